@@ -3,6 +3,8 @@
 
 import { AIPlayer } from './aiPlayer.js';
 import { GAME_PHASES, TURN_PHASES } from '../state/gameState.js';
+import { PACT_TYPES } from '../state/diplomacy.js';
+import { foggedStateFor } from '../state/fogOfWar.js';
 
 export class AIController {
   constructor() {
@@ -121,8 +123,9 @@ export class AIController {
     for (const player of this.gameState.players) {
       if (player.isAI) {
         console.log('[AI] Initializing AI player:', player.id, 'difficulty:', player.aiDifficulty);
+        // Under fog of war an AI plans with what its side can see
         const aiPlayer = new AIPlayer(
-          this.gameState,
+          foggedStateFor(this.gameState, player.id),
           player.id,
           player.aiDifficulty || 'medium'
         );
@@ -146,17 +149,19 @@ export class AIController {
     // Don't process during lobby phase
     if (this.gameState.phase === GAME_PHASES.LOBBY) return false;
 
+    // AI seats, plus a human seat whose turn clock handed the turn to the AI
     const currentPlayer = this.gameState.currentPlayer;
-    if (!currentPlayer?.isAI) return false;
+    const takenOver = !currentPlayer?.isAI && this.gameState.isTurnTakenOver?.(currentPlayer?.id);
+    if (!currentPlayer?.isAI && !takenOver) return false;
 
     const aiPlayer = this.aiPlayers[currentPlayer.id];
     if (!aiPlayer) {
       // AI player not initialized, try to create it
       console.log('[AI] Creating AIPlayer for', currentPlayer.id);
       const newAI = new AIPlayer(
-        this.gameState,
+        foggedStateFor(this.gameState, currentPlayer.id),
         currentPlayer.id,
-        currentPlayer.aiDifficulty || 'medium'
+        currentPlayer.aiDifficulty || (takenOver && this.gameState.turnClock.aiDifficulty) || 'medium'
       );
       newAI.unitDefs = this.unitDefs;
       this.aiPlayers[currentPlayer.id] = newAI;
@@ -186,7 +191,9 @@ export class AIController {
     if (!this._hasAuthority()) return;
 
     // Handle different game phases
-    if (phase === GAME_PHASES.CAPITAL_PLACEMENT) {
+    if (phase === GAME_PHASES.TERRITORY_DRAFT) {
+      await this._handleTerritoryDraft(aiPlayer, player);
+    } else if (phase === GAME_PHASES.CAPITAL_PLACEMENT) {
       await this._handleCapitalPlacement(aiPlayer, player);
     } else if (phase === GAME_PHASES.UNIT_PLACEMENT) {
       await this._handleInitialPlacement(aiPlayer, player);
@@ -195,6 +202,53 @@ export class AIController {
     }
   }
 
+  // ============================================
+  // TERRITORY DRAFT (draft mode)
+  // ============================================
+  async _handleTerritoryDraft(aiPlayer, player) {
+    this._updateStatus(`${player.name} is drafting...`);
+    await this._delay(this._getActionDelay() / 2);
+
+    const open = this.gameState.getDraftableTerritories();
+    if (open.length === 0) return;
+
+    let choice;
+    if (aiPlayer.difficulty === 'easy') {
+      // Random choice
+      choice = open[Math.floor(Math.random() * open.length)];
+    } else {
+      // Medium: grow a connected block. Hard: also chase continent bonuses.
+      const useContinents = aiPlayer.difficulty === 'hard';
+      choice = open.reduce((best, t) =>
+        (this._scoreDraftPick(t, player.id, useContinents) > this._scoreDraftPick(best, player.id, useContinents) ? t : best));
+    }
+
+    const result = this.gameState.draftTerritory(choice);
+    if (!result.success) return;
+    this._logAction('draft', { message: `${player.name} drafted ${choice}`, territory: choice }, player);
+    this._notifyAction('draftTerritory', { territory: choice });
+  }
+
+  _scoreDraftPick(territory, playerId, useContinents) {
+    const neighbors = this.gameState.getConnections(territory)
+      .filter(c => !this.gameState.territoryByName[c]?.isWater);
+    const own = neighbors.filter(c => this.gameState.getOwner(c) === playerId).length;
+    let score = own * 2 + neighbors.length * 0.1;
+
+    if (useContinents) {
+      const continent = (this.gameState.continents || []).find(c => c.territories.includes(territory));
+      if (continent) {
+        const owners = continent.territories.map(t => this.gameState.getOwner(t));
+        const contested = owners.some(o => o && o !== playerId);
+        const mine = owners.filter(o => o === playerId).length;
+        // Bonus per territory, worth more the closer we are to holding it all
+        const perTerritory = continent.bonus / continent.territories.length;
+        score += contested ? perTerritory * 0.5 : perTerritory * (1 + mine);
+      }
+    }
+    return score;
+  }
+
   // ============================================
   // CAPITAL PLACEMENT
   // ============================================
@@ -323,6 +377,7 @@ export class AIController {
     if (this.gameState.phase !== GAME_PHASES.PLAYING) return;
     switch (turnPhase) {
       case TURN_PHASES.DEVELOP_TECH:
+        this._handleDiplomacy(aiPlayer, player);
         await this._handleTechResearch(aiPlayer, player);
         break;
       case TURN_PHASES.PURCHASE:
@@ -352,6 +407,52 @@ export class AIController {
     }
   }
 
+  // ============================================
+  // DIPLOMACY (free-for-all pacts)
+  // ============================================
+  // Start of turn: answer open proposals, then give notice on any pact with a
+  // rival who is running away with the game. Easy AI never betrays.
+  _handleDiplomacy(aiPlayer, player) {
+    if (!this.gameState.canUseDiplomacy?.()) return;
+
+    const leaderId = this._getRunawayLeader(player.id);
+    for (const { player: other, pact, proposal } of this.gameState.getDiplomacyFor(player.id)) {
+      if (proposal && proposal.proposedBy === other.id) {
+        const accept = this._shouldAcceptPact(aiPlayer.difficulty, proposal.type, other.id, leaderId);
+        const result = this.gameState.respondToPact(proposal.id, player.id, accept);
+        if (result.success) this.actionLog?.logDiplomacy?.(player, accept ? 'accept' : 'decline', result.pact, other);
+      } else if (pact?.status === 'active' && other.id === leaderId && aiPlayer.difficulty !== 'easy') {
+        const result = this.gameState.breakPact(pact.id, player.id);
+        if (result.success) this.actionLog?.logDiplomacy?.(player, 'break', result.pact, other);
+      }
+    }
+  }
+
+  // The richest rival, if clearly ahead of this player (a third more income)
+  _getRunawayLeader(playerId) {
+    const mine = this.gameState.getIncome(playerId);
+    let leader = null;
+    let best = -1;
+    for (const p of this.gameState.players) {
+      if (p.id === playerId || p.surrendered) continue;
+      const income = this.gameState.getIncome(p.id);
+      if (income > best) {
+        best = income;
+        leader = p.id;
+      }
+    }
+    return leader && best > mine * 4 / 3 ? leader : null;
+  }
+
+  _shouldAcceptPact(difficulty, pactType, proposerId, leaderId) {
+    if (difficulty === 'easy') return pactType === PACT_TYPES.NON_AGGRESSION;
+    // Never tie our hands against the player running away with the game
+    if (proposerId === leaderId) return false;
+    // Hard AI only allies when there is a runaway leader to gang up on
+    if (pactType === PACT_TYPES.ALLIANCE && difficulty === 'hard') return !!leaderId;
+    return true;
+  }
+
   // ============================================
   // TECH RESEARCH
   // ============================================
@@ -579,6 +680,20 @@ export class AIController {
       }
     }
 
+    // Strategic bombing with bombers the attacks left behind
+    for (const raid of aiPlayer.planBombingRaids()) {
+      const raidResult = this.gameState.launchBombingRaid(raid.from, raid.target, raid.quantity, this.unitDefs);
+      if (raidResult.success) {
+        attacksMade++;
+        this._logAction('attack', {
+          message: `${player.name} sends ${raid.quantity} bomber(s) on a bombing raid against ${raid.target}`,
+          from: raid.from,
+          to: raid.target
+        }, player);
+        await this._delay(this.skipMode ? 100 : 300);
+      }
+    }
+
     if (attacksMade === 0) {
       this._updateStatus(`${player.name} holds position...`);
     }
@@ -675,7 +790,7 @@ export class AIController {
 
         if (targetTerritory?.isWater) continue;
         if (!targetOwner || targetOwner === playerId) continue;
-        if (this.gameState.areAllies?.(playerId, targetOwner)) continue;
+        if (this.gameState.isAtPeace?.(playerId, targetOwner)) continue;
 
         const defenders = this.gameState.units[targetName] || [];
         const defensePower = this._calculatePower(defenders, false);
@@ -770,7 +885,7 @@ export class AIController {
       const isWater = this.gameState.territories.find(t => t.name === conn)?.isWater;
 
       if (owner && owner !== playerId && !isWater) {
-        if (!this.gameState.areAllies?.(playerId, owner)) {
+        if (!this.gameState.isAtPeace?.(playerId, owner)) {
           const units = this.gameState.units[conn] || [];
           const power = this._calculatePower(units, true);
           if (power > 0) {
@@ -807,6 +922,19 @@ export class AIController {
   async _handleCombat(aiPlayer, player) {
     this._updateStatus(`${player.name} resolving combat...`);
 
+    // Bombing raids resolve before regular battles
+    for (const raid of this.gameState.getPendingBombingRaids?.() || []) {
+      this._updateStatus(`Bombing raid on ${raid.target}...`);
+      const result = this.gameState.resolveBombingRaid(raid.target, this.unitDefs);
+      if (result?.success) {
+        this._logAction('combat', {
+          message: `${player.name} bombed ${raid.target}: ${result.damage} IPC damage, ${result.aaHits} bomber(s) lost`,
+          territory: raid.target
+        }, player);
+      }
+      await this._delay(this.skipMode ? 50 : 300);
+    }
+
     // Auto-resolve all combats
     while (this.gameState.combatQueue && this.gameState.combatQueue.length > 0) {
       const combat = this.gameState.combatQueue[0];
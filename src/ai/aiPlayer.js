@@ -1,6 +1,8 @@
 // AI Player logic for Tactical Risk
 // Strategic AI that balances offense, defense, economics, and victory conditions
 
+import { isFrontline, findNearestFrontline } from '../state/standingOrders.js';
+
 // Difficulty configuration - affects all decision-making
 const DIFFICULTY_CONFIG = {
   easy: {
@@ -14,6 +16,7 @@ const DIFFICULTY_CONFIG = {
     minAttackRatio: 2.0,        // Won't attack unless 2:1 advantage
     reserveDefense: 0.6,        // Keep 60% of forces for defense
     expandAggression: 0.3,      // Low desire to expand
+    strategicBombing: false,    // Never flies bombing raids
   },
   medium: {
     analysisDepth: 2,
@@ -25,6 +28,7 @@ const DIFFICULTY_CONFIG = {
     minAttackRatio: 1.4,
     reserveDefense: 0.4,
     expandAggression: 0.6,
+    strategicBombing: true,
   },
   hard: {
     // Hard AI plays optimally and aggressively pursues victory
@@ -37,6 +41,7 @@ const DIFFICULTY_CONFIG = {
     minAttackRatio: 1.2,
     reserveDefense: 0.25,
     expandAggression: 0.9,
+    strategicBombing: true,
   }
 };
 
@@ -980,6 +985,53 @@ export class AIPlayer {
     return value * this.config.economicWeight;
   }
 
+  // ==================== STRATEGIC BOMBING ====================
+
+  // Raids for bombers left over after the attack plan (SPEC §6.4).
+  // Returns [{ from, target, quantity }]. A raid is worth it when expected
+  // IPC damage (3.5 per surviving bomber die, capped by production and the
+  // defender's treasury) beats the expected bomber losses to AA (1 in 6).
+  planBombingRaids() {
+    if (!this.config.strategicBombing) return [];
+    this._cache = {}; // Called outside takeTurn; ownership may have changed
+    const gs = this.gameState;
+    if (!gs.getBombingRaidTargets || !gs.getAvailableRaidBombers) return [];
+
+    const bomberCost = this.unitDefs?.bomber?.cost || 12;
+    const heavy = gs.hasTech?.(this.playerId, 'heavyBombers');
+    // Medium AI only raids when clearly profitable
+    const minGain = this.difficulty === 'hard' ? 0 : 3;
+    const raids = [];
+
+    for (const from of this._getOwnedTerritories()) {
+      let available = gs.getAvailableRaidBombers(from, this.playerId);
+      if (available <= 0) continue;
+
+      const options = gs.getBombingRaidTargets(from, this.unitDefs).map(target => {
+        const defender = gs.getOwner(target);
+        const hasAA = (gs.units[target] || []).some(u => u.type === 'aaGun' && u.owner === defender);
+        const survival = hasAA ? 5 / 6 : 1;
+        const perBomber = 3.5 * (heavy ? 2 : 1) * survival;
+        const cap = Math.min(gs.territoryByName[target]?.production || 0, gs.getIPCs(defender));
+        // Send only as many bombers as the cap can use
+        const quantity = Math.min(available, Math.max(1, Math.ceil(cap / perBomber)));
+        const expectedDamage = Math.min(quantity * perBomber, cap);
+        const expectedLoss = hasAA ? quantity * bomberCost / 6 : 0;
+        return { target, quantity, gain: expectedDamage - expectedLoss };
+      }).filter(o => o.gain > minGain);
+
+      options.sort((a, b) => b.gain - a.gain);
+      for (const option of options) {
+        if (available <= 0) break;
+        const quantity = Math.min(option.quantity, available);
+        raids.push({ from, target: option.target, quantity });
+        available -= quantity;
+      }
+    }
+
+    return raids;
+  }
+
   // ==================== COMBAT RESOLUTION ====================
 
   _resolveCombat(callbacks) {
@@ -1063,25 +1115,7 @@ export class AIPlayer {
   }
 
   _findNearestFrontline(territory) {
-    const visited = new Set([territory]);
-    const queue = [territory];
-
-    while (queue.length > 0) {
-      const current = queue.shift();
-
-      if (current !== territory && this._isFrontline(current)) {
-        return current;
-      }
-
-      for (const conn of this.gameState.getConnections(current)) {
-        if (visited.has(conn)) continue;
-        if (this.gameState.getOwner(conn) !== this.playerId) continue;
-        visited.add(conn);
-        queue.push(conn);
-      }
-    }
-
-    return null;
+    return findNearestFrontline(territory, this._frontlineBoard());
   }
 
   // ==================== MOBILIZE ====================
@@ -1135,12 +1169,20 @@ export class AIPlayer {
   }
 
   _isFrontline(territory) {
-    const connections = this.gameState.getConnections(territory);
-    return connections.some(c => {
-      const owner = this.gameState.getOwner(c);
-      const t = this.gameState.territoryByName[c];
-      return owner && owner !== this.playerId && !t?.isWater;
-    });
+    return isFrontline(territory, this._frontlineBoard());
+  }
+
+  // The map as the frontline search sees it (shared with standing orders):
+  // anyone else's land is the enemy's, only our own land is passable
+  _frontlineBoard() {
+    const gs = this.gameState;
+    return {
+      connections: name => gs.getConnections(name),
+      ownerOf: name => gs.getOwner(name),
+      isWater: name => gs.territoryByName[name]?.isWater,
+      hostile: owner => owner !== this.playerId,
+      passable: name => gs.getOwner(name) === this.playerId,
+    };
   }
 
   _calculateThreatLevel(territory) {
@@ -0,0 +1,273 @@
+// Sound: short cues synthesised with Web Audio (no audio files to load),
+// played for action log entries, dice rolls and the multiplayer your-turn
+// event. Mute and per-category volume are kept in this browser; the
+// pass-and-play handoff screen silences everything while it is up.
+//
+// main.js wires the triggers: ActionLog.setOnLog -> playForLog(type),
+// watchYourTurn(window), and setSilenced() from the handoff screen. Dice
+// animations call getSoundManager().play('dice') themselves.
+
+export const SOUND_SETTINGS_KEY = 'tacticalRisk_sound';
+
+// category -> label, in the order the Sound panel lists them
+export const SOUND_CATEGORIES = {
+  dice: 'Dice',
+  move: 'Moves',
+  combat: 'Combat',
+  capture: 'Captures',
+  purchase: 'Purchases',
+  phase: 'Phase changes',
+  turn: 'Turns',
+};
+
+const DEFAULT_VOLUME = 0.7;
+
+// ActionLog entry type -> cue
+export const LOG_CUES = {
+  move: 'move',
+  ncm: 'move',
+  combat: 'combat',
+  capture: 'capture',
+  purchase: 'purchase',
+  phase: 'phase',
+  turn: 'turn',
+};
+
+// Each cue: its volume category, and tones (frequency in Hz, optionally
+// gliding to `to`) and noise bursts (band-passed at `freq`), times in seconds
+export const CUES = {
+  dice: {
+    category: 'dice',
+    noise: [0, 0.07, 0.15, 0.26].map((at, i) => ({ at, length: 0.05, freq: 2400 + i * 300, gain: 0.5 })),
+  },
+  move: {
+    category: 'move',
+    tones: [{ at: 0, length: 0.12, freq: 330, to: 440, wave: 'triangle', gain: 0.25 }],
+  },
+  combat: {
+    category: 'combat',
+    tones: [{ at: 0, length: 0.35, freq: 120, to: 50, wave: 'sine', gain: 0.6 }],
+    noise: [{ at: 0, length: 0.3, freq: 500, gain: 0.6 }],
+  },
+  capture: {
+    category: 'capture',
+    tones: [
+      { at: 0, length: 0.15, freq: 523, wave: 'square', gain: 0.15 },
+      { at: 0.12, length: 0.3, freq: 784, wave: 'square', gain: 0.15 },
+    ],
+  },
+  purchase: {
+    category: 'purchase',
+    tones: [
+      { at: 0, length: 0.08, freq: 1319, wave: 'sine', gain: 0.25 },
+      { at: 0.07, length: 0.25, freq: 1760, wave: 'sine', gain: 0.25 },
+    ],
+  },
+  phase: {
+    category: 'phase',
+    tones: [{ at: 0, length: 0.2, freq: 660, wave: 'sine', gain: 0.2 }],
+  },
+  turn: {
+    category: 'turn',
+    tones: [
+      { at: 0, length: 0.2, freq: 440, wave: 'triangle', gain: 0.25 },
+      { at: 0.15, length: 0.3, freq: 554, wave: 'triangle', gain: 0.25 },
+    ],
+  },
+  yourTurn: {
+    category: 'turn',
+    tones: [523, 659, 784].map((freq, i) => ({ at: i * 0.14, length: 0.45, freq, wave: 'sine', gain: 0.3 })),
+  },
+};
+
+// The same cue again within this many ms is dropped (an AI turn or a
+// batch of moves logs many entries at once)
+const MIN_GAP_MS = 90;
+
+const clampVolume = value => Math.max(0, Math.min(1, Number(value)));
+
+// { muted, volumes: { category: 0..1 } } with every category filled in
+export function normalizeSoundSettings(raw) {
+  const volumes = {};
+  for (const category of Object.keys(SOUND_CATEGORIES)) {
+    const value = raw?.volumes?.[category];
+    volumes[category] = typeof value === 'number' && Number.isFinite(value) ? clampVolume(value) : DEFAULT_VOLUME;
+  }
+  return { muted: !!raw?.muted, volumes };
+}
+
+export function loadSoundSettings(storage = globalThis.localStorage) {
+  try {
+    return normalizeSoundSettings(JSON.parse(storage?.getItem?.(SOUND_SETTINGS_KEY) || '{}'));
+  } catch {
+    return normalizeSoundSettings(null);
+  }
+}
+
+export function saveSoundSettings(settings, storage = globalThis.localStorage) {
+  if (!storage?.setItem) return false;
+  storage.setItem(SOUND_SETTINGS_KEY, JSON.stringify(normalizeSoundSettings(settings)));
+  return true;
+}
+
+function createAudioContext() {
+  const Context = globalThis.AudioContext || globalThis.webkitAudioContext;
+  return Context ? new Context() : null;
+}
+
+export class SoundManager {
+  constructor({ storage = globalThis.localStorage, createContext = createAudioContext, now = () => Date.now() } = {}) {
+    this.storage = storage;
+    this.createContext = createContext;
+    this.now = now;
+    this.settings = loadSoundSettings(storage);
+    this.silenced = false; // Handoff screen up
+    this.ctx = null;
+    this.master = null;
+    this._noise = null;
+    this._lastPlayed = {};
+    this._yourTurn = false;
+  }
+
+  get muted() {
+    return this.settings.muted;
+  }
+
+  setMuted(muted) {
+    this.settings.muted = !!muted;
+    saveSoundSettings(this.settings, this.storage);
+    this._applyMaster();
+  }
+
+  toggleMuted() {
+    this.setMuted(!this.settings.muted);
+    return this.settings.muted;
+  }
+
+  volume(category) {
+    return this.settings.volumes[category] ?? 0;
+  }
+
+  setVolume(category, value) {
+    if (!(category in SOUND_CATEGORIES)) return;
+    this.settings.volumes[category] = clampVolume(value);
+    saveSoundSettings(this.settings, this.storage);
+  }
+
+  // Handoff screen: nothing plays and anything playing stops
+  setSilenced(silenced) {
+    this.silenced = !!silenced;
+    this._applyMaster();
+  }
+
+  // Browsers only start audio from a user gesture: call from one
+  unlock() {
+    const ctx = this._context();
+    if (ctx?.state === 'suspended') ctx.resume?.();
+  }
+
+  // Plays a cue at its category's volume. False when it was not played
+  // (unknown, muted, silenced, zero volume, just played, or no Web Audio).
+  play(name) {
+    const cue = CUES[name];
+    if (!cue || this.settings.muted || this.silenced) return false;
+    const volume = this.volume(cue.category);
+    if (!(volume > 0)) return false;
+
+    const at = this.now();
+    if (at - (this._lastPlayed[name] ?? -Infinity) < MIN_GAP_MS) return false;
+    const ctx = this._context();
+    if (!ctx) return false;
+    this._lastPlayed[name] = at;
+
+    const out = ctx.createGain();
+    out.gain.value = volume;
+    out.connect(this.master);
+    const t0 = ctx.currentTime;
+    for (const tone of cue.tones || []) this._tone(ctx, out, t0, tone);
+    for (const burst of cue.noise || []) this._burst(ctx, out, t0, burst);
+    return true;
+  }
+
+  playForLog(type) {
+    return LOG_CUES[type] ? this.play(LOG_CUES[type]) : false;
+  }
+
+  // Chime when emitYourTurnEvent reports the turn has become ours
+  watchYourTurn(target = globalThis.window) {
+    target?.addEventListener?.('tacticalrisk:your-turn', (e) => {
+      const yourTurn = !!e.detail?.yourTurn;
+      if (yourTurn && !this._yourTurn) this.play('yourTurn');
+      this._yourTurn = yourTurn;
+    });
+  }
+
+  _context() {
+    if (!this.ctx) {
+      try {
+        this.ctx = this.createContext();
+      } catch {
+        this.ctx = null;
+      }
+      if (!this.ctx) return null;
+      this.master = this.ctx.createGain();
+      this.master.connect(this.ctx.destination);
+      this._applyMaster();
+    }
+    return this.ctx;
+  }
+
+  _applyMaster() {
+    if (this.master) this.master.gain.value = this.settings.muted || this.silenced ? 0 : 1;
+  }
+
+  // A short attack then an exponential fade, so cues never click
+  _envelope(ctx, out, start, length, gain) {
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0.0001, start);
+    env.gain.linearRampToValueAtTime(gain, start + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, start + length);
+    env.connect(out);
+    return env;
+  }
+
+  _tone(ctx, out, t0, { at, length, freq, to, wave, gain }) {
+    const start = t0 + at;
+    const osc = ctx.createOscillator();
+    osc.type = wave || 'sine';
+    osc.frequency.setValueAtTime(freq, start);
+    if (to) osc.frequency.exponentialRampToValueAtTime(to, start + length);
+    osc.connect(this._envelope(ctx, out, start, length, gain));
+    osc.start(start);
+    osc.stop(start + length + 0.02);
+  }
+
+  _burst(ctx, out, t0, { at, length, freq, gain }) {
+    if (!this._noise) {
+      const size = Math.floor(ctx.sampleRate * 0.5);
+      this._noise = ctx.createBuffer(1, size, ctx.sampleRate);
+      const data = this._noise.getChannelData(0);
+      for (let i = 0; i < size; i++) data[i] = Math.random() * 2 - 1;
+    }
+    const start = t0 + at;
+    const src = ctx.createBufferSource();
+    src.buffer = this._noise;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = freq;
+    src.connect(filter);
+    filter.connect(this._envelope(ctx, out, start, length, gain));
+    src.start(start);
+    src.stop(start + length + 0.02);
+  }
+}
+
+// Singleton instance
+let soundManagerInstance = null;
+
+export function getSoundManager() {
+  if (!soundManagerInstance) {
+    soundManagerInstance = new SoundManager();
+  }
+  return soundManagerInstance;
+}
@@ -0,0 +1,139 @@
+// Command palette language: "buy 3 infantry", "go to Germany", "end phase".
+// No DOM, no GameState — parseCommand() turns text into a command that
+// main.js runs through the same handlers as the buttons, and
+// suggestCommands() lists completions as the player types.
+//
+// `ctx`: { unitDefs, territories } (territories: [{ name }]).
+//
+// Results:
+//   { type: 'buy', unitType, quantity }
+//   { type: 'goto', territory }
+//   { type: 'command', command }   one of PALETTE_COMMANDS
+//   { error }
+
+// command -> the phrases that run it (the first is the one suggested)
+export const PALETTE_COMMANDS = {
+  'end-phase': ['end phase', 'next phase', 'done'],
+  'undo': ['undo'],
+  'standing-orders': ['standing orders', 'rally points', 'orders'],
+  'heatmap': ['threat map', 'heatmap', 'heat map'],
+  'battle-calculator': ['battle calculator', 'calculator', 'odds'],
+  'rules': ['rules', 'game rules'],
+  'replay': ['replay'],
+  'shortcuts': ['keyboard shortcuts', 'shortcuts', 'keys', 'key bindings'],
+  'sound': ['sound', 'volume', 'sound settings'],
+  'mute': ['mute', 'unmute'],
+  'save': ['save game', 'save'],
+  'load': ['load game', 'load'],
+};
+
+// Other names players use for unit types
+const UNIT_ALIASES = {
+  tank: 'armour', armor: 'armour', aa: 'aaGun', antiaircraft: 'aaGun',
+  sub: 'submarine', tac: 'tacticalBomber', tacbomber: 'tacticalBomber',
+  battleships: 'battleship', bb: 'battleship', plane: 'fighter', ic: 'factory',
+};
+
+const BUY = /^(?:buy|purchase)\s+(?:(\d+)\s*x?\s+)?(.+)$/;
+const GOTO = /^(?:go\s*to|find|show|centre|center)\s+(.+)$/;
+
+const squash = text => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const tidy = text => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// The unit type a player's word names ("tanks", "Inf", "aa gun"), or null
+export function findUnitType(word, unitDefs) {
+  const types = Object.keys(unitDefs || {});
+  const wanted = squash(word);
+  if (!wanted) return null;
+  const forms = [wanted, wanted.replace(/es$/, ''), wanted.replace(/s$/, '')];
+  for (const form of forms) {
+    const alias = UNIT_ALIASES[form];
+    if (alias && unitDefs[alias]) return alias;
+    const exact = types.find(type => squash(type) === form);
+    if (exact) return exact;
+  }
+  if (wanted.length < 3) return null;
+  const byPrefix = types.filter(type => squash(type).startsWith(wanted));
+  return byPrefix.length === 1 ? byPrefix[0] : null;
+}
+
+// Territories a player's text could mean: exact name first, then names
+// starting with it, then names containing it (shortest first)
+export function matchTerritories(text, territories) {
+  const wanted = squash(text);
+  if (!wanted) return [];
+  const scored = [];
+  for (const t of territories || []) {
+    const name = squash(t.name);
+    const rank = name === wanted ? 0 : name.startsWith(wanted) ? 1 : name.includes(wanted) ? 2 : -1;
+    if (rank >= 0) scored.push({ name: t.name, rank });
+  }
+  return scored
+    .sort((a, b) => a.rank - b.rank || a.name.length - b.name.length || a.name.localeCompare(b.name))
+    .map(s => s.name);
+}
+
+export function parseCommand(text, ctx = {}) {
+  const line = tidy(text);
+  if (!line) return { error: 'Type a command' };
+
+  for (const [command, phrases] of Object.entries(PALETTE_COMMANDS)) {
+    if (phrases.includes(line)) return { type: 'command', command };
+  }
+
+  const buy = line.match(BUY);
+  if (buy) {
+    const quantity = buy[1] ? parseInt(buy[1], 10) : 1;
+    const unitType = findUnitType(buy[2], ctx.unitDefs);
+    if (!unitType) return { error: `Unknown unit ${buy[2]}` };
+    if (!(quantity > 0)) return { error: 'Buy at least one unit' };
+    return { type: 'buy', unitType, quantity };
+  }
+
+  const go = line.match(GOTO);
+  if (go) {
+    const [territory] = matchTerritories(go[1], ctx.territories);
+    if (!territory) return { error: `No territory called ${go[1]}` };
+    return { type: 'goto', territory };
+  }
+
+  return { error: `Unknown command "${line}"` };
+}
+
+// Up to `limit` completions for what has been typed: [{ text, label }],
+// where `text` is the full command to run
+export function suggestCommands(text, ctx = {}, limit = 8) {
+  const line = tidy(text);
+  const out = [];
+  const add = (full, label) => {
+    if (out.length < limit && !out.some(s => s.text === full)) out.push({ text: full, label });
+  };
+  const unitTypes = Object.keys(ctx.unitDefs || {});
+
+  const buy = line.match(/^(?:buy|purchase)(?:\s+(\d+))?(?:\s+(.*))?$/);
+  if (buy) {
+    const quantity = buy[1] ? parseInt(buy[1], 10) : 1;
+    const partial = squash(buy[2]);
+    for (const type of unitTypes) {
+      if (ctx.unitDefs[type].isBuilding && !partial) continue;
+      if (partial && !squash(type).startsWith(partial) && findUnitType(buy[2], ctx.unitDefs) !== type) continue;
+      add(`buy ${quantity} ${type}`, `Buy ${quantity} ${type}`);
+    }
+    return out;
+  }
+
+  const go = line.match(/^(?:go\s*to|find|show|centre|center)(?:\s+(.*))?$/);
+  if (go) {
+    for (const name of matchTerritories(go[1] || '', ctx.territories)) add(`go to ${name}`, `Go to ${name}`);
+    return out;
+  }
+
+  for (const phrases of Object.values(PALETTE_COMMANDS)) {
+    if (!line || phrases.some(p => p.startsWith(line))) add(phrases[0], phrases[0][0].toUpperCase() + phrases[0].slice(1));
+  }
+  if (!line) return out;
+  for (const name of matchTerritories(line, ctx.territories)) add(`go to ${name}`, `Go to ${name}`);
+  const unitType = findUnitType(line, ctx.unitDefs);
+  if (unitType) add(`buy 1 ${unitType}`, `Buy 1 ${unitType}`);
+  return out;
+}
@@ -0,0 +1,144 @@
+// Keyboard bindings: which keys run which map and turn actions, remappable
+// from the Keyboard Shortcuts screen and kept in this browser. No DOM —
+// main.js turns each keydown into a combo with keyComboOf() and runs the
+// action actionForKey() finds.
+//
+// A combo is the key, upper-cased if it is a letter, with Ctrl/Alt first
+// and Shift only on named keys ("Ctrl+K", "Shift+Tab", "ArrowUp", "Space").
+// Printable symbols carry their own shift ("+", "?"). Number keys are not
+// remappable: they set the quantity of the unit being adjusted.
+
+export const KEY_BINDINGS_KEY = 'tacticalRisk_keyBindings';
+
+// action -> label, in the order the bindings screen lists them
+export const KEY_ACTIONS = {
+  panUp: 'Pan up',
+  panDown: 'Pan down',
+  panLeft: 'Pan left',
+  panRight: 'Pan right',
+  zoomIn: 'Zoom in',
+  zoomOut: 'Zoom out',
+  nextTerritory: 'Next territory with units',
+  prevTerritory: 'Previous territory with units',
+  advance: 'End phase / confirm',
+  undo: 'Undo',
+  deselect: 'Deselect / close',
+  palette: 'Command palette',
+  shortcuts: 'Keyboard shortcuts',
+  mute: 'Mute / unmute sound',
+  save: 'Save game',
+  load: 'Load game',
+};
+
+export const DEFAULT_BINDINGS = {
+  panUp: ['ArrowUp', 'W'],
+  panDown: ['ArrowDown', 'S'],
+  panLeft: ['ArrowLeft', 'A'],
+  panRight: ['ArrowRight', 'D'],
+  zoomIn: ['+', '='],
+  zoomOut: ['-', '_'],
+  nextTerritory: ['Tab'],
+  prevTerritory: ['Shift+Tab'],
+  advance: ['Space', 'Enter'],
+  undo: ['U'],
+  deselect: ['Escape'],
+  palette: ['Ctrl+K'],
+  shortcuts: ['?'],
+  mute: ['M'],
+  save: ['Ctrl+S'],
+  load: ['Ctrl+L'],
+};
+
+// Keys a binding may not take: modifiers alone and the quantity digits
+const RESERVED = /^(Control|Shift|Alt|Meta|\d)$/;
+
+// The combo for a keydown event (or any { key, ctrlKey, metaKey, altKey,
+// shiftKey }), or null for a modifier pressed alone
+export function keyComboOf(event) {
+  let key = event.key;
+  if (!key || /^(Control|Shift|Alt|Meta|OS)$/.test(key)) return null;
+  if (key === ' ') key = 'Space';
+  const printable = key.length === 1;
+  if (printable) key = key.toUpperCase();
+  const mods = [];
+  if (event.ctrlKey || event.metaKey) mods.push('Ctrl');
+  if (event.altKey) mods.push('Alt');
+  if (event.shiftKey && !printable) mods.push('Shift');
+  return [...mods, key].join('+');
+}
+
+// Whether a combo can be bound to an action
+export function isBindableCombo(combo) {
+  return typeof combo === 'string' && !!combo && !RESERVED.test(combo);
+}
+
+// Defaults with the player's saved changes over them. Unknown actions and
+// bad combos in storage are dropped.
+export function loadBindings(storage = globalThis.localStorage) {
+  const bindings = cloneBindings(DEFAULT_BINDINGS);
+  let saved = {};
+  try {
+    saved = JSON.parse(storage?.getItem?.(KEY_BINDINGS_KEY) || '{}') || {};
+  } catch {
+    // unreadable: keep the defaults
+  }
+  for (const action of Object.keys(KEY_ACTIONS)) {
+    if (Array.isArray(saved[action])) {
+      bindings[action] = [...new Set(saved[action].filter(isBindableCombo))];
+    }
+  }
+  return bindings;
+}
+
+// Keeps only the actions that differ from the defaults
+export function saveBindings(bindings, storage = globalThis.localStorage) {
+  if (!storage?.setItem) return false;
+  const changed = {};
+  for (const action of Object.keys(KEY_ACTIONS)) {
+    const keys = bindings[action] || [];
+    if (keys.join() !== DEFAULT_BINDINGS[action].join()) changed[action] = keys;
+  }
+  storage.setItem(KEY_BINDINGS_KEY, JSON.stringify(changed));
+  return true;
+}
+
+export function resetBindings(storage = globalThis.localStorage) {
+  storage?.removeItem?.(KEY_BINDINGS_KEY);
+  return cloneBindings(DEFAULT_BINDINGS);
+}
+
+// The action bound to a combo, or null
+export function actionForKey(combo, bindings) {
+  if (!combo) return null;
+  for (const [action, keys] of Object.entries(bindings)) {
+    if (keys.includes(combo)) return action;
+  }
+  return null;
+}
+
+// Binds `combo` to `action` in place of its current keys, taking it from
+// any other action that had it.
+// { success, bindings, displaced } or { success: false, error }.
+export function bindKey(bindings, action, combo) {
+  if (!KEY_ACTIONS[action]) return { success: false, error: `Unknown action ${action}` };
+  if (!isBindableCombo(combo)) return { success: false, error: `${combo || 'That key'} cannot be bound` };
+  const next = cloneBindings(bindings);
+  const displaced = actionForKey(combo, bindings);
+  if (displaced && displaced !== action) {
+    next[displaced] = next[displaced].filter(k => k !== combo);
+  }
+  next[action] = [combo];
+  return { success: true, bindings: next, displaced: displaced !== action ? displaced : null };
+}
+
+// "Ctrl+K" / "ArrowUp" as shown on the shortcuts screen
+export function describeCombo(combo) {
+  const [, mods, key] = combo.match(/^((?:(?:Ctrl|Alt|Shift)\+)*)(.+)$/);
+  return mods + ({
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc',
+  }[key] || key);
+}
+
+function cloneBindings(bindings) {
+  return Object.fromEntries(Object.entries(bindings).map(([action, keys]) => [action, [...keys]]));
+}
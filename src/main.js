@@ -36,9 +36,24 @@ import { TechUI } from './ui/techUI.js';
 import { PlacementUI } from './ui/placementUI.js';
 import { MobilizeUI } from './ui/mobilizeUI.js';
 import { RulesPanel } from './ui/rulesPanel.js';
+import { BattleCalculator } from './ui/battleCalculator.js';
+import { ReplayViewer } from './ui/replayViewer.js';
+import { MapEditor } from './ui/mapEditor.js';
+import { ScenarioEditor } from './ui/scenarioEditor.js';
+import { mergeEventLogs } from './state/eventLog.js';
+import { parseTimeoutChoice } from './state/turnClock.js';
+import { fogViewerIds, foggedStateFor } from './state/fogOfWar.js';
 import { HUD } from './ui/hud.js';
 import { Minimap } from './ui/minimap.js';
+import { HeatmapLegend } from './ui/heatmapLegend.js';
+import { HEATMAP_LAYER_ORDER, nextHeatmapLayer } from './state/heatmap.js';
+import { CommandPalette } from './ui/commandPalette.js';
+import { ShortcutsScreen } from './ui/shortcutsScreen.js';
+import { SoundPanel } from './ui/soundPanel.js';
+import { getSoundManager } from './audio/sound.js';
+import { loadBindings, saveBindings, resetBindings, bindKey, keyComboOf, actionForKey } from './input/keyBindings.js';
 import { Lobby } from './ui/lobby.js';
+import { GAME_VERSION } from './version.js';
 import { ContinentPanel } from './ui/continentPanel.js';
 import { GameState, GAME_PHASES, TURN_PHASES, shouldShowPurchase } from './state/gameState.js';
 import { syncPushPhaseLabel } from './state/placementPass.js';
@@ -48,6 +63,7 @@ import { ActionLog } from './ui/actionLog.js';
 import { BugTracker } from './ui/bugTracker.js';
 import { AirLandingUI } from './ui/airLandingUI.js';
 import { RocketUI } from './ui/rocketUI.js';
+import { BombingRaidUI } from './ui/bombingRaidUI.js';
 import { UnitTooltip } from './ui/unitTooltip.js';
 import { TurnSummaryModal } from './ui/turnSummaryModal.js';
 import { initTouchInput, initZoomControls } from './input/touchInput.js';
@@ -83,6 +99,10 @@ import {
   shouldShowSignInForm,
 } from './multiplayer/presencePolicy.js';
 import { maybePostTurnNotice } from './multiplayer/turnNotice.js';
+import { isSpectatorOf, spectatorMode, SPECTATOR_ROLE } from './multiplayer/spectatorPolicy.js';
+import { getChatManager } from './multiplayer/chatManager.js';
+import { getMatchHistory } from './multiplayer/matchHistory.js';
+import { createLocalChat } from './multiplayer/chatPolicy.js';
 import {
   forgetLastMatch,
   rememberLastMatch,
@@ -95,6 +115,7 @@ import {
 import { AuthScreen } from './ui/authScreen.js';
 import { MultiplayerLobby } from './ui/multiplayerLobby.js';
 import { GameList } from './ui/gameList.js';
+import { ProfileScreen } from './ui/profileScreen.js';
 
 // DEBUG: Set to true to log sea zone click coordinates for positioning
 const DEBUG_SEA_ZONE_CLICKS = false;
@@ -127,18 +148,20 @@ function showNotification(message, duration = 3000) {
   }, duration);
 }
 
-// Persistent "a newer version is live" banner (Dimension C). Shown when the
-// game doc was written by a strictly-newer app version — a redeploy happened
-// while this tab stayed open. Non-blocking on purpose: an async player mid-turn
-// must still be able to finish; the schema is what governs actual compatibility.
-// Stays until the user reloads (or dismisses).
-function showVersionBanner(remoteVersion) {
+// Persistent version banner (Dimension C). Shown when the game doc was written
+// by a client this one cannot sync with (syncManager._checkRemoteVersion):
+// 'newer' — a redeploy happened while this tab stayed open; 'older' — the game
+// was last written before the action log. Sync stops either way, so the banner
+// says so. Stays until the user reloads (or dismisses).
+function showVersionBanner(remoteVersion, compatibility = 'newer') {
   if (document.getElementById('version-banner')) return; // one banner only
   const banner = document.createElement('div');
   banner.id = 'version-banner';
   banner.style.cssText = 'position:fixed;top:0;left:0;right:0;z-index:2000;background:#b45309;color:#fff;padding:10px 16px;font-size:14px;display:flex;align-items:center;justify-content:center;gap:16px;box-shadow:0 2px 8px rgba(0,0,0,0.4);';
   const label = document.createElement('span');
-  label.textContent = `A newer version (${remoteVersion}) is live. Refresh to update.`;
+  label.textContent = compatibility === 'newer'
+    ? `A newer version (${remoteVersion}) is live. Refresh to update.`
+    : `This game was last saved by ${remoteVersion || 'an older version'}, which ${GAME_VERSION} cannot continue.`;
   const refreshBtn = document.createElement('button');
   refreshBtn.textContent = 'Refresh';
   refreshBtn.style.cssText = 'background:#fff;color:#b45309;border:none;padding:6px 14px;border-radius:6px;font-weight:600;cursor:pointer;';
@@ -154,16 +177,18 @@ function showVersionBanner(remoteVersion) {
 
 async function init() {
   // Load data
-  const [territoriesRes, continentsRes, setupRes, unitsRes] = await Promise.all([
+  const [territoriesRes, continentsRes, setupRes, unitsRes, canalsRes] = await Promise.all([
     fetch('data/territories.json'),
     fetch('data/continents.json'),
     fetch('data/setup.json'),
     fetch('data/units.json'),
+    fetch('data/canals.json'),
   ]);
   const territories = await territoriesRes.json();
   const continents = await continentsRes.json();
   const setup = await setupRes.json();
   const unitDefs = await unitsRes.json();
+  const canals = await canalsRes.json();
 
   // Canvas setup
   const canvas = document.getElementById('mapCanvas');
@@ -173,6 +198,7 @@ async function init() {
   const camera = new Camera(canvas);
   const mapRenderer = new MapRenderer();
   const territoryRenderer = new TerritoryRenderer(territories, continents);
+  territoryRenderer.setCanals(canals);
   const territoryMap = new TerritoryMap(territories);
 
   function resizeCanvas() {
@@ -184,7 +210,7 @@ async function init() {
 
   // UI
   const hud = new HUD();
-  const minimap = new Minimap(camera);
+  const minimap = new Minimap(camera, territories);
 
   // State
   let hoverTerritory = null;
@@ -309,12 +335,33 @@ async function init() {
   // Victory Screen
   const victoryScreen = new VictoryScreen();
 
+  // Sound: cues for log entries, dice and your turn (see audio/sound.js).
+  // Browsers only start audio from a user gesture.
+  const sound = getSoundManager();
+  sound.watchYourTurn(window);
+  window.addEventListener('pointerdown', () => sound.unlock(), { once: true });
+  window.addEventListener('keydown', () => sound.unlock(), { once: true });
+  const soundPanel = new SoundPanel(sound);
+
   // Action Log (game event log)
   const actionLog = new ActionLog();
+  actionLog.setOnLog((type) => sound.playForLog(type));
 
   // Rules Panel
   const rulesPanel = new RulesPanel();
 
+  // Battle Calculator (HUD menu, or pre-filled from a pending attack)
+  const battleCalculator = new BattleCalculator();
+  battleCalculator.setUnitDefs(unitDefs);
+
+  // Replay Viewer (event log playback over the map)
+  const replayViewer = new ReplayViewer();
+
+  // Command palette (Ctrl+K) and the Keyboard Shortcuts screen
+  const commandPalette = new CommandPalette();
+  commandPalette.setContextProvider(() => ({ unitDefs, territories }));
+  const shortcutsScreen = new ShortcutsScreen();
+
   // Bug Tracker
   const bugTracker = new BugTracker();
 
@@ -327,6 +374,11 @@ async function init() {
   const rocketUI = new RocketUI();
   rocketUI.setUnitDefs(unitDefs);
 
+  // Strategic Bombing Raid UI (shown by CombatUI ahead of regular battles)
+  const bombingRaidUI = new BombingRaidUI();
+  bombingRaidUI.setUnitDefs(unitDefs);
+  combatUI.setBombingRaidUI(bombingRaidUI);
+
   // Rules button is now in the HUD (top bar)
 
   // Action handler for player panel buttons
@@ -347,6 +399,78 @@ async function init() {
         }
         break;
 
+      case 'draft-territory': {
+        // Capture player BEFORE draftTerritory (which passes the pick on)
+        const draftingPlayer = gameState.currentPlayer;
+        const result = gameState.draftTerritory(data.territory);
+        if (result.success) {
+          actionLog.logTerritoryDraft(data.territory, draftingPlayer);
+          camera.dirty = true;
+          selectedTerritory = null;
+          playerPanel.setSelectedTerritory(null);
+          notifyTurnSwap(draftingPlayer, gameState.currentPlayer);
+          if (syncManager) await syncManager.pushStateNow();
+        } else if (result.error) {
+          showNotification(result.error, 2000);
+        }
+        break;
+      }
+
+      case 'diplomacy': {
+        // FFA pacts. Proposals and answers work out of turn, so multiplayer
+        // writes them with pushDiplomacy rather than the active-player push.
+        const actor = gameState.players.find(p => p.id === data.playerId);
+        let result;
+        if (data.op === 'propose') {
+          result = gameState.proposePact(data.playerId, data.target, data.pactType);
+        } else if (data.op === 'break') {
+          result = gameState.breakPact(data.pactId, data.playerId);
+        } else {
+          result = gameState.respondToPact(data.pactId, data.playerId, data.op === 'accept');
+        }
+        if (!result.success) {
+          showNotification(result.error, 2500);
+          break;
+        }
+        const otherId = result.pact.players.find(id => id !== data.playerId);
+        const other = gameState.players.find(p => p.id === otherId);
+        if (actor && other) actionLog.logDiplomacy(actor, data.op, result.pact, other);
+        if (syncManager && !(await syncManager.pushDiplomacy())) {
+          showNotification('Could not send that to the other players — please try again.', 2500);
+        }
+        break;
+      }
+
+      case 'assemble-attack': {
+        // Target first, then units from every source in range (MovementUI)
+        const target = territoryRenderer.territoryByName[data.territory];
+        if (target && movementUI.openAssembly(target)) {
+          selectedTerritory = null;
+          playerPanel.setSelectedTerritory(null);
+          camera.dirty = true;
+        }
+        break;
+      }
+
+      case 'standing-orders':
+        // Rally points, and in non-combat move the routes they propose
+        if (movementUI.openStandingOrders()) {
+          selectedTerritory = null;
+          playerPanel.setSelectedTerritory(null);
+          camera.dirty = true;
+        }
+        break;
+
+      case 'open-battle-calculator':
+        if (data?.to && gameState.currentPlayer) {
+          // Under fog the odds count only the defenders the attacker can see
+          const attackerId = gameState.currentPlayer.id;
+          battleCalculator.openForAttack(foggedStateFor(gameState, attackerId), data.to, attackerId, data.units || [], {
+            amphibious: !!data.amphibious,
+          });
+        }
+        break;
+
       case 'open-purchase':
         // Close other modals first. Purchase is PLAYING-only — leftover
         // setup turnPhase (constructor purchase) must not open the shop.
@@ -679,6 +803,20 @@ async function init() {
               selectedTerritory = null;
               playerPanel.setSelectedTerritory(null);
             }
+          } else if (data.bombingRaid) {
+            // Strategic bombing raid: bombers fly to the factory and resolve in combat
+            const quantity = (data.units || [])
+              .filter(u => u.type === 'bomber')
+              .reduce((sum, u) => sum + (u.quantity || 0), 0);
+            const result = gameState.launchBombingRaid(data.from, data.to, quantity, unitDefs);
+            if (result.success) {
+              actionLog.logMove(data.from, data.to, [{ type: 'bomber (raid)', quantity }], gameState.currentPlayer);
+              camera.dirty = true;
+              selectedTerritory = null;
+              playerPanel.setSelectedTerritory(null);
+            } else {
+              console.warn('Bombing raid failed:', result.error);
+            }
           } else {
             // Regular move
             const moveOptions = {};
@@ -810,6 +948,7 @@ async function init() {
   let authScreen = null;
   let multiplayerLobby = null;
   let gameListUI = null;
+  let profileScreen = null;
   let currentGameCode = null;
   let lastTurnNoticeSeatId = null;
 
@@ -828,6 +967,13 @@ async function init() {
 
   // Pass-and-play handoff overlay (hotseat games only)
   const handoffScreen = new HandoffScreen();
+  // Chat belongs to the player who handed the device over; no sound while
+  // the device changes hands
+  handoffScreen.setOnShow(() => {
+    playerPanel.closeChat();
+    sound.setSilenced(true);
+  });
+  handoffScreen.setOnHide(() => sound.setSilenced(false));
 
   // Turn summary modal for showing what happened during other players' turns
   const turnSummaryModal = new TurnSummaryModal();
@@ -849,16 +995,29 @@ async function init() {
   const startMultiplayerGame = async (gameId, lobbyData) => {
     try {
       console.log('[MP] startMultiplayerGame called with:', { gameId, lobbyData });
+      // No seat in this game: watch it read-only (spectatorPolicy.js)
+      const spectating = isSpectatorOf(lobbyData, authManager.getUser()?.id);
+      // A finished game (opened from the profile) shows its final board to
+      // anyone who played it, seated or not
+      const finished = lobbyData?.status === 'finished';
+      const watchMode = finished ? 'live' : spectatorMode(lobbyData?.lobbyData?.settings || lobbyData?.settings);
+      if (spectating && watchMode === 'off') {
+        showNotification('This game is not open to spectators.', 2500);
+        return;
+      }
       currentGameCode = resolveLobbyCodeFromGameDoc(lobbyData) || resolveLobbyCodeFromGameDoc({
         lobbyCode: lobbyData?.lobbyCode,
         code: lobbyData?.code,
       });
-      rememberLastMatch({
-        gameId,
-        lobbyCode: currentGameCode,
-        hostName: (lobbyData?.lobbyData?.players || lobbyData?.players || [])
-          .find((p) => p.isHost)?.displayName || null,
-      });
+      // Rejoin banners are for seats; watching never replaces the user's own match
+      if (!spectating && !finished) {
+        rememberLastMatch({
+          gameId,
+          lobbyCode: currentGameCode,
+          hostName: (lobbyData?.lobbyData?.players || lobbyData?.players || [])
+            .find((p) => p.isHost)?.displayName || null,
+        });
+      }
       hud.setClarityContext({
         localUserId: authManager.getUser()?.id || null,
         gameCode: currentGameCode,
@@ -874,15 +1033,20 @@ async function init() {
       if (gameListUI) {
         gameListUI.hide();
       }
+      if (profileScreen) {
+        profileScreen.hide();
+      }
       // Also hide the main lobby just in case
       lobby.hide();
 
       // Initialize game state
-      gameState = new GameState(setup, territories, continents);
+      gameState = new GameState(setup, territories, continents, canals);
       gameState.isMultiplayer = true;
 
     // Create sync manager
     syncManager = createSyncManager(gameId, gameState);
+    syncManager.setSpectatorMode(watchMode);
+    syncManager.setSpectating(spectating);
 
     const user = authManager.getUser();
 
@@ -960,6 +1124,8 @@ async function init() {
       wasFailoverAuthority = isAuthority;
       return isAuthority;
     });
+    // The authority client rolls back other seats' illegal actions
+    syncManager.setTransitionRules(unitDefs, continents);
 
     console.log('[MP] Starting game:', {
       gameId,
@@ -983,6 +1149,11 @@ async function init() {
       const stateLoaded = await syncManager.startSync();
       if (!stateLoaded) {
         console.error('[MP] Failed to load existing game state');
+        if (syncManager.versionMismatch) {
+          const { remoteVersion, compatibility } = syncManager.versionMismatch;
+          showVersionBanner(remoteVersion, compatibility);
+          return;
+        }
         alert('Error 1: Failed to rejoin game. Could not load game state.');
         return;
       }
@@ -1006,10 +1177,29 @@ async function init() {
         alliancesEnabled: false,
         teamsEnabled: settingsData?.teamsEnabled || false,
         startingIPCs: settingsData?.startingIPCs || 80,
-        isMultiplayer: true
+        isMultiplayer: true,
+        // Opt-in. Online the seed is a secret only the host keeps (the game
+        // doc has its commitment), so a game another seat starts rolls unseeded.
+        diceSeed: settingsData?.seededDice && isHost ? true : null,
+        // Online lobbies only toggle it; every side uses the default threshold.
+        economicVictory: settingsData?.economicVictory ? { enabled: true } : null,
+        capitalVictory: {
+          capitals: settingsData?.capitalsToWin || null,
+          timing: settingsData?.victoryTiming || 'immediate',
+          roundLimit: settingsData?.roundLimit || null
+        },
+        // Optional turn clock (off unless a mode was picked); see turnClock.js
+        turnClock: settingsData?.turnClockMode ? {
+          mode: settingsData.turnClockMode,
+          minutes: settingsData.turnClockMinutes || 60,
+          ...parseTimeoutChoice(settingsData.turnClockTimeout)
+        } : null,
+        // Optional fog of war ('units' or 'full'); see fogOfWar.js
+        fogOfWar: settingsData?.fogOfWar || null
       };
 
-      gameState.initGame('risk', players, options);
+      // Territory Draft: same Risk rules, players pick the map in snake order
+      gameState.initGame(settingsData?.territoryDraft ? 'draft' : 'risk', players, options);
 
       // Log player mapping for debugging
       console.log('[MP] Player mapping:');
@@ -1043,6 +1233,11 @@ async function init() {
       const stateLoaded = await syncManager.startSyncAndWaitForState();
       if (!stateLoaded) {
         console.error('[MP] Timeout waiting for game state');
+        if (syncManager.versionMismatch) {
+          const { remoteVersion, compatibility } = syncManager.versionMismatch;
+          showVersionBanner(remoteVersion, compatibility);
+          return;
+        }
         alert('Error 4: Failed to join game. Timed out waiting for game to initialize. The host may have disconnected.');
         return;
       }
@@ -1134,10 +1329,26 @@ async function init() {
       }
       // push_stale is handled automatically (state reloads); no user action needed
 
+      // The authority client undid an action that broke the rules
+      if (event === 'action_rejected') {
+        const who = gameState.players.find(p => p.oderId === data.by)?.name || 'A player';
+        const reason = data.reasons?.[0] || 'it broke the rules';
+        showNotification(data.mine
+          ? `Your last action was rolled back: ${reason}`
+          : `${who}'s action was rolled back: ${reason}`);
+        camera.dirty = true;
+        if (data.mine) {
+          combatUI.syncFromAuthoritativeState();
+          playerPanel.setWaitingForSync(false);
+          playerPanel.revealActionsAfterResync();
+        }
+      }
+
       // A newer app version wrote the game doc (redeploy while this tab stayed
-      // open) — show the persistent refresh banner (Dimension C)
-      if (event === 'version_outdated') {
-        showVersionBanner(data?.remoteVersion);
+      // open), or an older one we cannot follow — sync has stopped, so show the
+      // persistent banner (Dimension C)
+      if (event === 'version_outdated' || event === 'version_mismatch') {
+        showVersionBanner(data?.remoteVersion, data?.compatibility);
       }
 
       // Handle auth errors. Session-lost must not dump to home / Create Game (B27).
@@ -1158,10 +1369,12 @@ async function init() {
         }
         const resumeGameId = syncManager?.gameId || null;
         const resumeCode = currentGameCode;
-        rememberLastMatch({
-          gameId: resumeGameId,
-          lobbyCode: resumeCode,
-        });
+        if (!spectating) {
+          rememberLastMatch({
+            gameId: resumeGameId,
+            lobbyCode: resumeCode,
+          });
+        }
         showNotification(resumeCode
           ? `Session expired. Sign in and rejoin ${resumeCode} — you are still in the match.`
           : 'Session expired. Sign in and rejoin — the match is still there.');
@@ -1176,6 +1389,7 @@ async function init() {
         if (presenceManager) {
           presenceManager.stop({ reason: presenceStopReason({ explicitLeave: false }) });
         }
+        getChatManager().stop();
 
         if (keepGameView) {
           const reconnectAfterAuth = (user) => {
@@ -1231,8 +1445,23 @@ async function init() {
       }
     });
 
-    // Start presence tracking
-    presenceManager.start(gameId);
+    // Start presence tracking (spectators are counted, not seated)
+    presenceManager.start(gameId, { role: spectating ? SPECTATOR_ROLE : 'player' });
+
+    // Table chat (spectators read along)
+    const chatManager = getChatManager();
+    chatManager.start(gameId, authManager.getUserId());
+    playerPanel.setChat(chatManager);
+
+    // Record the result and ratings once the game ends (matchHistory.js).
+    // The host stores them and files their copy; other seats file theirs
+    // if the host got there first, or on their next profile load.
+    let matchRecorded = false;
+    gameState.subscribe(() => {
+      if (matchRecorded || spectating || !gameState.gameOver) return;
+      matchRecorded = true;
+      getMatchHistory().recordFinishedGame(gameId, gameState.toJSON(), authManager.getUserId());
+    });
 
     // Subscribe to presence updates for player panel.
     // Also re-check AI on every presence tick: if the host went offline during
@@ -1254,7 +1483,7 @@ async function init() {
       const myId = authManager.getUser()?.id;
       if (lastPresenceStates) {
         for (const [oderId, info] of Object.entries(presence || {})) {
-          if (oderId === myId) continue;
+          if (oderId === myId || info.role === SPECTATOR_ROLE) continue;
           const prev = lastPresenceStates[oderId];
           const wasOffline = !prev || prev === 'offline';
           const isOffline = info.state === 'offline';
@@ -1295,6 +1524,11 @@ async function init() {
       camera.usePhoneMinZoom = true;
       requestAnimationFrame(fitPhoneCamera);
     }
+    if (spectating) {
+      showNotification(watchMode === 'delayed'
+        ? 'Spectating — the board is shown as it stood when the current turn began.'
+        : 'Spectating — you can watch but not act.');
+    }
     console.log('[MP] Game started successfully');
 
     } catch (error) {
@@ -1303,11 +1537,142 @@ async function init() {
     }
   };
 
+  // Replay: each frame goes into a separate GameState so the live game (and
+  // its multiplayer pushes) is never touched. The map renderers and tooltips
+  // point at it until the viewer closes.
+  let replayState = null;
+  const pointMapAt = (state) => {
+    territoryRenderer.setGameState(state);
+    if (unitRenderer) unitRenderer.gameState = state;
+    tooltip.gameState = state;
+    unitTooltip.gameState = state;
+    refreshHeatmap();
+    camera.dirty = true;
+  };
+
+  // Fog of war: the board as the local side sees it (see fogViewerIds), or
+  // null to draw everything. Rebuilt once per drawn frame; the replay viewer
+  // is fogged too while the game is still running.
+  let localFog;
+  const localFogView = () => {
+    const state = replayState || gameState;
+    if (!state?.fogOfWar || gameState?.gameOver) return null;
+    if (localFog === undefined) {
+      localFog = state.getFogView(fogViewerIds({
+        players: state.players,
+        currentPlayer: state.currentPlayer,
+        isMultiplayer: state.isMultiplayer,
+        localUserId: authManager.getUserId()
+      }));
+    }
+    return localFog;
+  };
+  territoryRenderer.setFogView(localFogView);
+  tooltip.setFogView(localFogView);
+  playerPanel.setFogView(localFogView);
+
+  // Heatmap overlay (threat, strike reach, income at stake) for the local
+  // side of the board the map shows; a spectator sees the side to move.
+  // Rebuilt when that board changes, not every frame.
+  let heatmapLayer = null;
+  const heatmapLegend = new HeatmapLegend();
+  const refreshHeatmap = () => {
+    const state = territoryRenderer.gameState;
+    let heatmap = null;
+    if (heatmapLayer && state && state.phase !== GAME_PHASES.LOBBY) {
+      const viewers = fogViewerIds({
+        players: state.players,
+        currentPlayer: state.currentPlayer,
+        isMultiplayer: state.isMultiplayer,
+        localUserId: authManager.getUserId()
+      });
+      // Under fog a spectator sees from no side, not the mover's
+      if (!viewers.length && state.currentPlayer && !state.fogOfWar) viewers.push(state.currentPlayer.id);
+      heatmap = state.getHeatmap(heatmapLayer, viewers, unitDefs);
+    }
+    territoryRenderer.setHeatmap(heatmap);
+    minimap.setHeatmap(heatmap);
+    heatmapLegend.show(heatmap);
+    camera.dirty = true;
+  };
+  const setHeatmapLayer = (layer) => {
+    heatmapLayer = layer;
+    refreshHeatmap();
+  };
+  heatmapLegend.setOnChange(setHeatmapLayer);
+
+  const openReplay = async () => {
+    if (!gameState || replayViewer.isOpen) return;
+    let log = gameState.getEventLog();
+    if (!log) {
+      showNotification('Nothing has been recorded for this game yet.', 2500);
+      return;
+    }
+    // Multiplayer: earlier turns live in the per-round archive
+    if (syncManager) {
+      try {
+        log = mergeEventLogs({ ...log, events: await syncManager.loadReplayEvents() }, log);
+      } catch (error) {
+        console.error('Replay: could not load the archive', error);
+        showNotification('Could not load earlier turns — showing this session only.', 2500);
+      }
+    }
+    replayState = new GameState(setup, territories, continents, canals);
+    replayState.autoSave = () => {};
+    replayState.loadFromJSON(gameState.toJSON());
+    pointMapAt(replayState);
+    replayViewer.open(log, gameState.players);
+  };
+
+  replayViewer.setOnFrame((board) => {
+    if (!replayState) return;
+    replayState.territoryState = board.territoryState;
+    replayState.units = board.units;
+    replayState.round = board.round;
+    replayState.phase = board.phase;
+    replayState.turnPhase = board.turnPhase;
+    replayState.currentPlayerIndex = board.currentPlayerIndex;
+    for (const [playerId, ipcs] of Object.entries(board.ipcs)) {
+      if (replayState.playerState[playerId]) replayState.playerState[playerId].ipcs = ipcs;
+    }
+    localFog = undefined;
+    refreshHeatmap();
+    camera.dirty = true;
+  });
+
+  replayViewer.setOnClose(() => {
+    replayState = null;
+    localFog = undefined;
+    if (gameState) pointMapAt(gameState);
+  });
+
+  // Turn clock: tick the HUD countdown and, on the client that runs AI seats
+  // (host or failover), act on a seat that has run out of time
+  const tickTurnClock = () => {
+    if (!gameState?.turnClock || replayViewer.isOpen) return;
+    hud.updateTurnClock();
+    if (!gameState.isTurnClockExpired()) return;
+    if (gameState.isMultiplayer && syncManager?.hasAIAuthority() !== true) return;
+
+    const timedOut = gameState.currentPlayer;
+    const result = gameState.timeOutTurn(unitDefs);
+    if (!result.success) return;
+    actionLog.logTimeout(timedOut, result.action);
+    if (gameState.currentPlayer !== timedOut) {
+      notifyTurnSwap(timedOut, gameState.currentPlayer);
+      actionLog.logTurnStart(gameState.currentPlayer, gameState.round);
+    }
+    syncManager?.pushStateNow();
+    camera.dirty = true;
+  };
+  setInterval(tickTurnClock, 1000);
+
   // Function to wire up all game components (shared between local and multiplayer)
   const wireUpGameComponents = () => {
     lastTurnNoticeSeatId = gameState.currentPlayer?.oderId || gameState.currentPlayer?.id || null;
-    // Check if there are AI players
-    const hasAIPlayers = gameState.players?.some(p => p.isAI);
+    // Check if there are AI players (or a turn clock that hands timed-out
+    // turns to the AI)
+    const hasAIPlayers = gameState.players?.some(p => p.isAI) || gameState.turnClock?.onTimeout === 'ai';
 
     // Initialize AI controller whenever the game has AI players. In multiplayer
     // the setCanAct gate below decides who actually RUNS the AI: normally only
@@ -1322,7 +1687,7 @@ async function init() {
       aiController.setGameState(gameState);
       aiController.setOnAction((action) => {
         camera.dirty = true;
-        if (action === 'finishPlacement' || action === 'placeCapital' || action === 'nextPhase') {
+        if (action === 'finishPlacement' || action === 'placeCapital' || action === 'draftTerritory' || action === 'nextPhase') {
           notifyTurnSwap(null, gameState.currentPlayer);
           syncManager?.pushStateNow();
         }
@@ -1355,6 +1720,11 @@ async function init() {
     hud.setActionLog(actionLog);
     // Pass-and-play handoff overlay (self-disables for multiplayer/AI-only)
     handoffScreen.setGameState(gameState);
+    // Pass-and-play table talk; online games attached ChatManager already
+    if (!gameState.isMultiplayer) {
+      const humans = gameState.players?.filter(p => !p.isAI).length || 0;
+      playerPanel.setChat(humans >= 2 ? createLocalChat() : null);
+    }
     hud.setNextPhaseCallback(async () => {
       const prevPlayer = gameState.currentPlayer;
       const prevRound = gameState.round;
@@ -1385,13 +1755,29 @@ async function init() {
       rulesPanel.toggle();
     });
 
+    hud.setOnBattleCalculator(() => {
+      battleCalculator.toggle();
+    });
+
+    hud.setOnReplay(() => {
+      openReplay();
+    });
+
+    // Threat map: off, then each layer in turn
+    hud.setOnHeatmap(() => {
+      setHeatmapLayer(heatmapLayer ? nextHeatmapLayer(heatmapLayer) : HEATMAP_LAYER_ORDER[0]);
+    });
+
     hud.setOnExitToLobby(() => {
       document.title = 'Tactical Risk';
-      forgetLastMatch();
+      // A spectator leaving must not drop the rejoin banner for their own match
+      if (!syncManager?.spectating) forgetLastMatch();
       // Stop presence tracking
       if (presenceManager) {
         presenceManager.stop();
       }
+      getChatManager().stop();
+      playerPanel.setChat(null);
 
       // Stop sync manager if multiplayer
       if (syncManager) {
@@ -1406,9 +1792,13 @@ async function init() {
       if (gameListUI) {
         gameListUI.hide();
       }
+      if (profileScreen) {
+        profileScreen.hide();
+      }
 
       // Reset game state
       gameState = null;
+      setHeatmapLayer(null);
 
       // Always go back to main home screen
       lobby.show();
@@ -1448,10 +1838,15 @@ async function init() {
 
     tooltip.setGameState(gameState);
     unitTooltip.setGameState(gameState);
-    gameState.subscribe(() => { camera.dirty = true; });
+    gameState.subscribe(() => {
+      camera.dirty = true;
+      localFog = undefined;
+      if (territoryRenderer.gameState === gameState) refreshHeatmap();
+    });
     territoryRenderer.setGameState(gameState);
     continentPanel.setGameState(gameState);
     unitRenderer = new UnitRenderer(gameState, territories, unitDefs);
+    unitRenderer.setFogView(localFogView);
 
     // Purchase popup
     purchasePopup.setGameState(gameState);
@@ -1524,6 +1919,10 @@ async function init() {
       camera.dirty = true;
     });
 
+    // Bombing Raid UI
+    bombingRaidUI.setGameState(gameState);
+    bombingRaidUI.setActionLog(actionLog);
+
     // Combat UI
     combatUI.setGameState(gameState);
     combatUI.setActionLog(actionLog);
@@ -1589,6 +1988,7 @@ async function init() {
 
     // Victory Screen
     victoryScreen.setGameState(gameState);
+    victoryScreen.setOnReplay(() => openReplay());
 
     // Action Log
     actionLog.setGameState(gameState);
@@ -1652,6 +2052,21 @@ async function init() {
           }
           multiplayerLobby.hide();
           gameListUI.show();
+        } else if (action === 'profile') {
+          if (!profileScreen) {
+            profileScreen = new ProfileScreen(
+              setup,
+              (gameId, game) => {
+                multiplayerLobby.hide();
+                startMultiplayerGame(gameId, game);
+              },
+              () => {
+                multiplayerLobby.show();
+              }
+            );
+          }
+          multiplayerLobby.hide();
+          profileScreen.show();
         } else {
           lobby.show();
         }
@@ -1717,7 +2132,7 @@ async function init() {
   // Lobby (local games)
   const lobby = new Lobby(setup, (gameMode, selectedPlayers, options = {}) => {
     // Initialize game state for local game
-    gameState = new GameState(setup, territories, continents);
+    gameState = new GameState(setup, territories, continents, canals);
     gameState.isMultiplayer = false;
 
     // Check if loading from save
@@ -1738,6 +2153,48 @@ async function init() {
     }
   }, handlePlayOnline);
 
+  // Map editor: edits a copy of the loaded map over the canvas (no game)
+  const mapEditor = new MapEditor(setup);
+  mapEditor.setOnChange(() => { camera.dirty = true; });
+  mapEditor.setOnClose(() => {
+    camera.dirty = true;
+    lobby.show();
+  });
+  lobby.setOnMapEditor(() => {
+    selectedTerritory = null;
+    mapEditor.open(territories, continents);
+  });
+
+  // Scenario editor: each change is previewed in its own GameState (as the
+  // replay viewer does), started through the same scenario loader a game uses
+  let scenarioState = null;
+  const scenarioEditor = new ScenarioEditor(setup, territories, unitDefs);
+  scenarioEditor.setOnChange((scenario) => {
+    if (!scenario) return;
+    scenarioState = new GameState(setup, territories, continents, canals);
+    scenarioState.autoSave = () => {};
+    scenarioState.initGame('scenario', [], { scenario });
+    if (!unitRenderer) unitRenderer = new UnitRenderer(scenarioState, territories, unitDefs);
+    pointMapAt(scenarioState);
+  });
+  scenarioEditor.setOnClose(() => {
+    scenarioState = null;
+    if (gameState) {
+      pointMapAt(gameState);
+    } else {
+      territoryRenderer.setGameState(null);
+      unitRenderer = null;
+      tooltip.gameState = null;
+      unitTooltip.gameState = null;
+      camera.dirty = true;
+    }
+    lobby.show();
+  });
+  lobby.setOnScenarioEditor(() => {
+    selectedTerritory = null;
+    scenarioEditor.open();
+  });
+
   onMobileShellChange(() => {
     if (lobby && !lobby.el?.classList.contains('hidden')) lobby._render();
   });
@@ -1837,7 +2294,7 @@ async function init() {
     }
 
     // Check if we should start a unit drag (during movement phases)
-    if (gameState && e.button === 0) {
+    if (gameState && e.button === 0 && !replayViewer.isOpen) {
       const turnPhase = gameState.turnPhase;
       const isMovementPhase =
         turnPhase === TURN_PHASES.COMBAT_MOVE ||
@@ -2087,6 +2544,11 @@ async function init() {
     console.log('[MouseUp] wasDrag:', wasDrag, 'Phase:', gameState?.phase);
 
     if (!wasDrag) {
+      // The replay board is for looking only
+      if (replayViewer.isOpen) {
+        camera.dirty = true;
+        return;
+      }
       // A panel + / Max / Deploy tap must not select the territory under
       // the finger (B22 / B31 East US) even when the canvas is the target.
       if (playerPanel.shouldBlockMapSelect(Date.now(), { x: e.clientX, y: e.clientY })) {
@@ -2099,6 +2561,18 @@ async function init() {
       const hit = territoryMap.hitTest(wrappedWorldX, world.y);
       console.log('[MouseUp] Hit test result:', hit?.name || 'null');
 
+      // The map editor takes every click while it is open
+      if (mapEditor.isOpen) {
+        if (hit) mapEditor.handleTerritoryClick(hit.name);
+        camera.dirty = true;
+        return;
+      }
+      if (scenarioEditor.isOpen) {
+        if (hit) scenarioEditor.handleTerritoryClick(hit.name);
+        camera.dirty = true;
+        return;
+      }
+
       // DEBUG: Log sea zone click coordinates for positioning naval units
       if (DEBUG_SEA_ZONE_CLICKS && hit && hit.isWater) {
         // Store absolute coordinates where user clicked
@@ -2311,52 +2785,250 @@ async function init() {
     }
   });
 
-  // Keyboard
+  // Keyboard: every shortcut goes through the player's bindings
+  // (input/keyBindings.js, remapped on the Keyboard Shortcuts screen).
+  // Number keys set the quantity of the unit row being adjusted.
+  let keyBindings = loadBindings();
+  const PAN_STEP = 120; // screen pixels per press
+  const ZOOM_STEP = 1.25;
+
+  const openShortcuts = () => {
+    commandPalette.hide();
+    shortcutsScreen.show(keyBindings);
+  };
+  shortcutsScreen.setOnBind((action, combo) => {
+    const result = bindKey(keyBindings, action, combo);
+    if (result.success) {
+      keyBindings = result.bindings;
+      saveBindings(keyBindings);
+      shortcutsScreen.update(keyBindings);
+    }
+    return result;
+  });
+  shortcutsScreen.setOnReset(() => {
+    keyBindings = resetBindings();
+    shortcutsScreen.update(keyBindings);
+  });
+  hud.setOnShortcuts(openShortcuts);
+  hud.setOnSound(() => soundPanel.toggle());
+
+  const toggleMute = () => {
+    showNotification(sound.toggleMuted() ? 'Sound off' : 'Sound on', 1500);
+    soundPanel.refresh();
+  };
+
+  // Press the primary advance button (End Phase / Done / Deploy / Confirm
+  // Move) — whatever the sidebar currently shows. Clicking the visible
+  // button inherits every context guard the mouse path has.
+  const pressAdvance = () => {
+    // Handoff overlay open: confirm it instead of acting through it
+    const handoffBtn = document.querySelector('.handoff-overlay:not(.hidden) .handoff-start-btn');
+    const sidebar = document.getElementById('sidebar');
+    const advanceBtn = handoffBtn ||
+      sidebar?.querySelector('[data-action="confirm-placement"]:not([disabled])') ||
+      sidebar?.querySelector('[data-action="finish-placement"]:not([disabled])') ||
+      sidebar?.querySelector('[data-action="next-phase"]:not([disabled])');
+    advanceBtn?.click();
+    return !!advanceBtn;
+  };
+
+  // Same idea for undo: the visible undo button of the current phase
+  const pressUndo = () => {
+    const sidebar = document.getElementById('sidebar');
+    const undoBtn = ['undo-move', 'undo-purchase', 'undo-placement', 'undo-mobilize']
+      .map(action => sidebar?.querySelector(`[data-action="${action}"]:not([disabled])`))
+      .find(Boolean);
+    undoBtn?.click();
+    return !!undoBtn;
+  };
+
+  const focusTerritory = (territory) => {
+    selectedTerritory = territory;
+    playerPanel.setSelectedTerritory(territory);
+    if (territory.center) camera.panTo(territory.center[0], territory.center[1]);
+    camera.dirty = true;
+  };
+
+  // Tab / Shift+Tab: the next territory holding the local side's units
+  const cycleTerritory = (step) => {
+    const owners = fogViewerIds({
+      players: gameState.players,
+      currentPlayer: gameState.currentPlayer,
+      isMultiplayer: gameState.isMultiplayer,
+      localUserId: authManager.getUserId()
+    });
+    if (!owners.length && gameState.currentPlayer) owners.push(gameState.currentPlayer.id);
+    const stops = territories
+      .filter(t => gameState.getUnitsAt(t.name).some(u => owners.includes(u.owner) && u.quantity > 0))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    if (!stops.length) return;
+    const at = stops.findIndex(t => t.name === selectedTerritory?.name);
+    const next = at < 0 ? (step > 0 ? 0 : stops.length - 1) : (at + step + stops.length) % stops.length;
+    focusTerritory(territoryRenderer.territoryByName[stops[next].name] || stops[next]);
+  };
+
+  const loadGame = () => {
+    gameState.loadFromFile().then(() => {
+      camera.dirty = true;
+    }).catch(console.error);
+  };
+
+  // Runs a parsed palette command; returns an error message, or nothing
+  const runCommand = (command) => {
+    if (command.type === 'command' && command.command === 'shortcuts') {
+      openShortcuts();
+      return null;
+    }
+    if (command.type === 'command' && command.command === 'sound') {
+      soundPanel.show();
+      return null;
+    }
+    if (command.type === 'command' && command.command === 'mute') {
+      toggleMute();
+      return null;
+    }
+    if (!gameState) return 'Start a game first';
+
+    if (command.type === 'goto') {
+      const territory = territoryRenderer.territoryByName[command.territory];
+      if (!territory) return `No territory called ${command.territory}`;
+      focusTerritory(territory);
+      return null;
+    }
+
+    if (command.type === 'buy') {
+      let bought = 0;
+      let error = null;
+      while (bought < command.quantity) {
+        const result = gameState.addToPendingPurchases(command.unitType, unitDefs, null);
+        if (!result.success) {
+          error = result.error;
+          break;
+        }
+        bought++;
+      }
+      camera.dirty = true;
+      if (!bought) return error || `Could not buy ${command.unitType}`;
+      if (bought < command.quantity) showNotification(`Bought ${bought} of ${command.quantity} ${command.unitType}: ${error}`, 2500);
+      return null;
+    }
+
+    switch (command.command) {
+      case 'end-phase':
+        return pressAdvance() ? null : 'Nothing to end right now';
+      case 'undo':
+        return pressUndo() ? null : 'Nothing to undo';
+      case 'standing-orders':
+        playerPanel.onAction?.('standing-orders', {});
+        return movementUI.isReviewingOrders() ? null : 'Standing orders open in Non-Combat Move or Mobilize';
+      case 'heatmap':
+        setHeatmapLayer(heatmapLayer ? nextHeatmapLayer(heatmapLayer) : HEATMAP_LAYER_ORDER[0]);
+        return null;
+      case 'battle-calculator':
+        battleCalculator.toggle();
+        return null;
+      case 'rules':
+        rulesPanel.toggle();
+        return null;
+      case 'replay':
+        openReplay();
+        return null;
+      case 'save':
+        gameState.saveToFile();
+        return null;
+      case 'load':
+        loadGame();
+        return null;
+    }
+    return `Unknown command ${command.command}`;
+  };
+  commandPalette.setOnRun(runCommand);
+
   window.addEventListener('keydown', (e) => {
     // Never intercept keys while the user is typing in a form field
     const tag = document.activeElement?.tagName;
     if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
 
-    if (e.key === 'Escape') {
-      selectedTerritory = null;
-      playerPanel.setSelectedTerritory(null);
-      camera.dirty = true;
+    const action = actionForKey(keyComboOf(e), keyBindings);
+
+    // The shortcuts screen takes its own keys; Escape closes it
+    if (shortcutsScreen.isOpen) {
+      if (action === 'deselect') shortcutsScreen.hide();
+      return;
     }
 
-    // Space / Enter: press the primary advance button (End Phase / Done /
-    // Deploy / Confirm Move) — whatever the sidebar currently shows. Clicking
-    // the visible button inherits every context guard the mouse path has.
-    if ((e.key === ' ' || e.key === 'Enter') && gameState) {
-      // Handoff overlay open: confirm it instead of acting through it
-      const handoffBtn = document.querySelector('.handoff-overlay:not(.hidden) .handoff-start-btn');
-      if (handoffBtn) {
+    if (/^\d$/.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      const quantity = Number(e.key);
+      if (movementUI.setActiveQuantity(quantity) || purchasePopup.setActiveQuantity(quantity)) {
         e.preventDefault();
-        handoffBtn.click();
-        return;
-      }
-      const sidebar = document.getElementById('sidebar');
-      const advanceBtn =
-        sidebar?.querySelector('[data-action="confirm-placement"]:not([disabled])') ||
-        sidebar?.querySelector('[data-action="finish-placement"]:not([disabled])') ||
-        sidebar?.querySelector('[data-action="next-phase"]:not([disabled])');
-      if (advanceBtn) {
-        e.preventDefault();
-        advanceBtn.click();
       }
+      return;
     }
 
-    if (e.ctrlKey && e.key === 's') {
+    if (!action) return;
+    if (action === 'shortcuts') {
       e.preventDefault();
-      if (gameState) gameState.saveToFile();
+      openShortcuts();
+      return;
     }
+    if (action === 'mute') {
+      toggleMute();
+      return;
+    }
+    if (!gameState) return;
 
-    if (e.ctrlKey && e.key === 'l') {
-      e.preventDefault();
-      if (gameState) {
-        gameState.loadFromFile().then(() => {
-          camera.dirty = true;
-        }).catch(console.error);
-      }
+    switch (action) {
+      case 'panUp':
+      case 'panDown':
+      case 'panLeft':
+      case 'panRight':
+        e.preventDefault();
+        camera.panBy(
+          action === 'panLeft' ? -PAN_STEP : action === 'panRight' ? PAN_STEP : 0,
+          action === 'panUp' ? -PAN_STEP : action === 'panDown' ? PAN_STEP : 0
+        );
+        break;
+
+      case 'zoomIn':
+      case 'zoomOut':
+        e.preventDefault();
+        camera.zoomBy(action === 'zoomIn' ? ZOOM_STEP : 1 / ZOOM_STEP);
+        break;
+
+      case 'nextTerritory':
+      case 'prevTerritory':
+        e.preventDefault();
+        cycleTerritory(action === 'nextTerritory' ? 1 : -1);
+        break;
+
+      case 'advance':
+        if (pressAdvance()) e.preventDefault();
+        break;
+
+      case 'undo':
+        if (pressUndo()) e.preventDefault();
+        break;
+
+      case 'deselect':
+        selectedTerritory = null;
+        playerPanel.setSelectedTerritory(null);
+        camera.dirty = true;
+        break;
+
+      case 'palette':
+        e.preventDefault();
+        commandPalette.toggle();
+        break;
+
+      case 'save':
+        e.preventDefault();
+        gameState.saveToFile();
+        break;
+
+      case 'load':
+        e.preventDefault();
+        loadGame();
+        break;
     }
   });
 
@@ -2374,6 +3046,7 @@ async function init() {
 
     if (camera.dirty) {
       camera.dirty = false;
+      localFog = undefined;
 
       const dpr = devicePixelRatio || 1;
       ctx.setTransform(1, 0, 0, 1, 0, 0);
@@ -2425,6 +3098,14 @@ async function init() {
         // Cross-water connection lines
         territoryRenderer.renderCrossWaterConnections(ctx, camera.zoom);
 
+        // Canal markers (open/closed for the current player)
+        territoryRenderer.renderCanals(ctx, camera.zoom);
+
+        // Territory draft: outline everything still up for grabs
+        if (gameState?.phase === GAME_PHASES.TERRITORY_DRAFT) {
+          territoryRenderer.renderValidMoveDestinations(ctx, gameState.getDraftableTerritories(), null);
+        }
+
         // Valid move destinations (highlight during movement phase or drag-and-drop)
         if (isDraggingUnits && dragValidDestinations.length > 0) {
           // During drag-and-drop, show valid destinations
@@ -2439,6 +3120,15 @@ async function init() {
           if (dragSourceTerritory) {
             territoryRenderer.renderSelected(ctx, dragSourceTerritory);
           }
+        } else if (movementUI.isAssembling()) {
+          // Assembling an attack: outline every source that can join it
+          territoryRenderer.renderValidMoveDestinations(ctx, movementUI.getAssemblySourceNames(), null);
+          territoryRenderer.renderSelected(ctx, movementUI.getAssemblyTarget());
+          territoryRenderer.clearAirMovementVisualization();
+        } else if (movementUI.isReviewingOrders()) {
+          // Standing orders: outline where the routes end
+          territoryRenderer.renderValidMoveDestinations(ctx, [...new Set(movementUI.getOrderRoutes().map(r => r.to))], null);
+          territoryRenderer.clearAirMovementVisualization();
         } else if (movementUI.isMovementPhase() && movementUI.hasUnitsSelected()) {
           const { destinations, isEnemy } = movementUI.getDestinationsWithEnemyFlags();
           territoryRenderer.renderValidMoveDestinations(ctx, destinations, isEnemy);
@@ -2467,6 +3157,9 @@ async function init() {
           territoryRenderer.setPhoneLegalTerritories([]);
         }
 
+        // Heatmap overlay (threat map)
+        territoryRenderer.renderHeatmap(ctx, camera.zoom);
+
         // Hover + selection
         if (hoverTerritory && hoverTerritory !== selectedTerritory) {
           territoryRenderer.renderHover(ctx, hoverTerritory);
@@ -2500,6 +3193,14 @@ async function init() {
           territoryRenderer.renderDragDestination(ctx);
         }
 
+        // Map editor overlay (continents, links and selection as edited)
+        if (mapEditor.isOpen) {
+          territoryRenderer.renderMapEditor(ctx, mapEditor.getView(), camera.zoom);
+        }
+        if (scenarioEditor.isOpen) {
+          territoryRenderer.renderSelected(ctx, territoryRenderer.territoryByName[scenarioEditor.getSelected()]);
+        }
+
         // Labels
         territoryRenderer.renderLabels(ctx, camera.zoom);
 
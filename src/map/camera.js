@@ -231,6 +231,23 @@ export class Camera {
     this.dirty = true;
   }
 
+  /** Keyboard pan: move the view by (dx, dy) screen pixels */
+  panBy(dx, dy) {
+    this._targetX = null;
+    this._targetY = null;
+    this.x += dx / this.zoom;
+    this.y += dy / this.zoom;
+    this._clamp();
+    this.dirty = true;
+  }
+
+  /** Keyboard zoom: scale by `factor` about the centre of the view */
+  zoomBy(factor) {
+    this.zoom = Math.max(this.minZoom, Math.min(MAX_ZOOM, this.zoom * factor));
+    this._clamp();
+    this.dirty = true;
+  }
+
   /** Ensure zoom stays valid after canvas resize */
   onResize() {
     this.zoom = Math.max(this.minZoom, Math.min(MAX_ZOOM, this.zoom));
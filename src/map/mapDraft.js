@@ -0,0 +1,292 @@
+// Map editor model: a working copy of territories.json / continents.json
+// that the editor changes, checks and exports. No DOM, no GameState — the
+// MapEditor panel (ui/mapEditor.js) drives it.
+//
+// Polygons and centers are shared with the loaded map (the editor never
+// changes shapes); everything else is copied, so the running app keeps the
+// map it loaded until the exported files replace data/.
+
+import { landBridgesFor } from '../state/landBridges.js';
+
+const pairKey = (a, b) => [a, b].sort().join('\u0000');
+
+const isCount = n => Number.isInteger(n) && n >= 0;
+
+export class MapDraft {
+  constructor(territories, continents) {
+    this.territories = (territories || []).map(t => ({
+      ...t,
+      connections: [...(t.connections || [])],
+    }));
+    this.byName = {};
+    for (const t of this.territories) this.byName[t.name] = t;
+    this.continents = (continents || []).map(c => ({ ...c, territories: [...(c.territories || [])] }));
+    this.landBridges = landBridgesFor(territories).map(([a, b]) => [a, b]);
+  }
+
+  get(name) {
+    return this.byName[name] || null;
+  }
+
+  isConnected(a, b) {
+    return !!this.get(a)?.connections.includes(b);
+  }
+
+  // Add or remove the connection both ways. Returns the new state.
+  toggleConnection(a, b) {
+    const ta = this.get(a);
+    const tb = this.get(b);
+    if (!ta || !tb || a === b) return false;
+    if (this.isConnected(a, b)) {
+      ta.connections = ta.connections.filter(n => n !== b);
+      tb.connections = tb.connections.filter(n => n !== a);
+      return false;
+    }
+    if (!ta.connections.includes(b)) ta.connections.push(b);
+    if (!tb.connections.includes(a)) tb.connections.push(a);
+    return true;
+  }
+
+  hasLandBridge(a, b) {
+    const key = pairKey(a, b);
+    return this.landBridges.some(([x, y]) => pairKey(x, y) === key);
+  }
+
+  // Land bridges join two land territories. Returns the new state.
+  toggleLandBridge(a, b) {
+    if (this.hasLandBridge(a, b)) {
+      const key = pairKey(a, b);
+      this.landBridges = this.landBridges.filter(([x, y]) => pairKey(x, y) !== key);
+      return false;
+    }
+    const ta = this.get(a);
+    const tb = this.get(b);
+    if (!ta || !tb || a === b || ta.isWater || tb.isWater) return false;
+    this.landBridges.push([a, b]);
+    return true;
+  }
+
+  setProduction(name, production) {
+    const t = this.get(name);
+    if (!t || t.isWater || !isCount(production)) return false;
+    t.production = production;
+    return true;
+  }
+
+  // Move a land territory into `continentName` (null: no continent)
+  setContinent(name, continentName) {
+    const t = this.get(name);
+    if (!t || t.isWater) return false;
+    const target = continentName ? this.continents.find(c => c.name === continentName) : null;
+    if (continentName && !target) return false;
+    for (const c of this.continents) c.territories = c.territories.filter(n => n !== name);
+    if (target) target.territories.push(name);
+    t.continent = target ? target.name : null;
+    return true;
+  }
+
+  addContinent(name, color = '#888888') {
+    const clean = String(name || '').trim();
+    if (!clean || this.continents.some(c => c.name === clean)) return false;
+    this.continents.push({ name: clean, bonus: 0, territories: [], color });
+    return true;
+  }
+
+  // Its territories are left without a continent
+  removeContinent(name) {
+    const continent = this.continents.find(c => c.name === name);
+    if (!continent) return false;
+    for (const member of continent.territories) {
+      const t = this.get(member);
+      if (t) t.continent = null;
+    }
+    this.continents = this.continents.filter(c => c !== continent);
+    return true;
+  }
+
+  setContinentBonus(name, bonus) {
+    const continent = this.continents.find(c => c.name === name);
+    if (!continent || !isCount(bonus)) return false;
+    continent.bonus = bonus;
+    return true;
+  }
+
+  // A capital candidate for `factionId`, or none (null)
+  setCapital(name, factionId) {
+    const t = this.get(name);
+    if (!t || t.isWater) return false;
+    if (factionId) {
+      t.isCapital = true;
+      t.capitalOf = factionId;
+    } else {
+      delete t.isCapital;
+      delete t.capitalOf;
+    }
+    return true;
+  }
+
+  validate() {
+    return validateMap(this.territories, this.continents, this.landBridges);
+  }
+
+  // { territories, continents } in the data/ file format
+  export() {
+    return exportMap(this.territories, this.continents, this.landBridges);
+  }
+}
+
+// Problems with a map: [{ level: 'error' | 'warning', message, territories }].
+// Errors make the map unplayable (broken graph, bad numbers); warnings are
+// worth a look.
+export function validateMap(territories, continents, landBridges = []) {
+  const issues = [];
+  const error = (message, names = []) => issues.push({ level: 'error', message, territories: names });
+  const warning = (message, names = []) => issues.push({ level: 'warning', message, territories: names });
+  const byName = {};
+  for (const t of territories || []) {
+    if (byName[t.name]) error(`${t.name} is listed twice`, [t.name]);
+    byName[t.name] = t;
+  }
+
+  // Connections: known, not to itself, and listed on both ends
+  for (const t of territories || []) {
+    for (const other of t.connections || []) {
+      if (other === t.name) error(`${t.name} connects to itself`, [t.name]);
+      else if (!byName[other]) error(`${t.name} connects to unknown territory ${other}`, [t.name]);
+      else if (!(byName[other].connections || []).includes(t.name)) {
+        error(`${t.name} → ${other} is one-way`, [t.name, other]);
+      }
+    }
+    if (!t.isWater && !isCount(t.production ?? 0)) {
+      error(`${t.name} has invalid production ${t.production}`, [t.name]);
+    }
+  }
+
+  for (const [a, b] of landBridges || []) {
+    if (!byName[a] || !byName[b]) error(`Land bridge ${a} – ${b} names an unknown territory`, [a, b].filter(n => byName[n]));
+    else if (byName[a].isWater || byName[b].isWater) error(`Land bridge ${a} – ${b} touches a sea zone`, [a, b]);
+    else if ((byName[a].connections || []).includes(b)) warning(`Land bridge ${a} – ${b} duplicates a direct connection`, [a, b]);
+  }
+
+  // Continents: land members, one continent each, and matching the
+  // territories' own `continent` field
+  const continentOf = {};
+  for (const c of continents || []) {
+    if (!isCount(c.bonus)) error(`${c.name} has invalid bonus ${c.bonus}`);
+    if (!c.territories?.length) warning(`${c.name} has no territories`);
+    for (const name of c.territories || []) {
+      const t = byName[name];
+      if (!t) error(`${c.name} lists unknown territory ${name}`);
+      else if (t.isWater) error(`${c.name} lists sea zone ${name}`, [name]);
+      else if (continentOf[name]) error(`${name} is in both ${continentOf[name]} and ${c.name}`, [name]);
+      else continentOf[name] = c.name;
+    }
+  }
+  for (const t of territories || []) {
+    if (t.isWater) continue;
+    if ((t.continent || null) !== (continentOf[t.name] || null)) {
+      error(`${t.name} says continent ${t.continent || 'none'} but is listed in ${continentOf[t.name] || 'none'}`, [t.name]);
+    } else if (!continentOf[t.name]) {
+      warning(`${t.name} is in no continent`, [t.name]);
+    }
+  }
+
+  // Capital candidates: land, one per faction
+  const capitals = {};
+  for (const t of territories || []) {
+    if (!t.isCapital) continue;
+    if (t.isWater) error(`Sea zone ${t.name} is marked as a capital`, [t.name]);
+    if (capitals[t.capitalOf]) error(`${t.capitalOf} has two capitals: ${capitals[t.capitalOf]} and ${t.name}`, [capitals[t.capitalOf], t.name]);
+    else capitals[t.capitalOf] = t.name;
+  }
+
+  // Every territory reachable from every other (connections and land bridges)
+  const parts = mapComponents(territories, landBridges);
+  if (parts.length > 1) {
+    for (const part of parts.slice(1)) {
+      error(`Cut off from the rest of the map: ${part.join(', ')}`, part);
+    }
+  }
+
+  return issues;
+}
+
+// Connected groups of territories, largest first
+export function mapComponents(territories, landBridges = []) {
+  const links = {};
+  for (const t of territories || []) links[t.name] = new Set();
+  const link = (a, b) => {
+    if (!links[a] || !links[b]) return;
+    links[a].add(b);
+    links[b].add(a);
+  };
+  for (const t of territories || []) {
+    for (const other of t.connections || []) link(t.name, other);
+  }
+  for (const [a, b] of landBridges || []) link(a, b);
+
+  const seen = new Set();
+  const parts = [];
+  for (const start of Object.keys(links)) {
+    if (seen.has(start)) continue;
+    const part = [];
+    const queue = [start];
+    seen.add(start);
+    while (queue.length) {
+      const name = queue.shift();
+      part.push(name);
+      for (const next of links[name]) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      }
+    }
+    parts.push(part.sort());
+  }
+  return parts.sort((a, b) => b.length - a.length);
+}
+
+// The map as data/territories.json and data/continents.json hold it, in
+// tools/convert-data.js's layout: land first, then sea zones, by name.
+// Land territories list their land bridges so the file carries them.
+export function exportMap(territories, continents, landBridges = []) {
+  const bridgesOf = {};
+  for (const [a, b] of landBridges || []) {
+    (bridgesOf[a] ||= []).push(b);
+    (bridgesOf[b] ||= []).push(a);
+  }
+
+  const territoryList = (territories || []).map(t => {
+    const entry = { name: t.name, isWater: !!t.isWater };
+    if (!t.isWater) {
+      entry.production = t.production ?? 1;
+      entry.continent = t.continent || null;
+      entry.originalOwner = t.originalOwner || 'Neutral';
+      if (t.isCapital) {
+        entry.isCapital = true;
+        entry.capitalOf = t.capitalOf;
+      }
+      if (t.hasFactory) entry.hasFactory = true;
+    }
+    entry.connections = [...(t.connections || [])].sort();
+    if (!t.isWater) entry.landBridges = (bridgesOf[t.name] || []).sort();
+    entry.polygons = t.polygons || [];
+    entry.center = t.center || null;
+    return entry;
+  });
+  territoryList.sort((a, b) => {
+    if (a.isWater !== b.isWater) return a.isWater ? 1 : -1;
+    return a.name.localeCompare(b.name);
+  });
+
+  return {
+    territories: territoryList,
+    continents: (continents || []).map(c => ({
+      name: c.name,
+      bonus: c.bonus,
+      territories: [...c.territories],
+      color: c.color || '#888888',
+    })),
+  };
+}
@@ -6,36 +6,8 @@ import {
   PHONE_LEGAL_EDGE_INK,
   PHONE_LEGAL_EDGE_COLOR,
 } from '../ui/mobileShell.js';
-
-// Cross-water connections that should be drawn as visual lines on the map
-// These are land-to-land connections that cross water (like Alaska-Kamchatka in Risk)
-// Land bridges - allow land movement between these territories (no naval required)
-const LAND_BRIDGES = [
-  // Pacific wrap-around
-  ['Alaska', 'Soviet Far East'],
-  // Atlantic crossings
-  ['East Canada', 'Eire'],
-  ['Brazil', 'French West Africa'],
-  ['East US', 'Cuba'],
-  // UK connections
-  ['Eire', 'United Kingdom'],
-  ['United Kingdom', 'Finland Norway'],
-  ['United Kingdom', 'West Europe'],
-  // Mediterranean
-  ['Spain', 'Algeria'],
-  ['South Europe', 'Anglo Sudan Egypt'],
-  ['Syria Jordan', 'Anglo Sudan Egypt'],  // Suez crossing
-  // Red Sea
-  ['Italian East Africa', 'Saudi Arabia'],  // Red Sea crossing
-  // Pacific / Asian connections
-  ['French Indo China', 'East Indies'],  // Note: "French Indo China" (no hyphen) matches territory name
-  ['East Indies', 'Australia'],
-  ['Australia', 'New Zealand'],
-  // African
-  ['Kenya-Rhodesia', 'Madagascar'],
-  // Asian
-  ['Japan', 'Manchuria'],  // Korea Strait crossing
-];
+import { LAND_BRIDGES, landBridgesFor } from '../state/landBridges.js';
+import { heatmapColor } from '../state/heatmap.js';
 
 export class TerritoryRenderer {
   // Per-territory offsets for flags/labels/units (shared across render functions)
@@ -53,6 +25,8 @@ export class TerritoryRenderer {
     this.territories = territories;
     this.continents = continents;
     this.gameState = null;
+    // Cross-water land connections drawn as dashed lines (landBridges.js)
+    this.landBridges = landBridgesFor(territories);
 
     // Build lookups
     this.territoryByName = {};
@@ -72,6 +46,10 @@ export class TerritoryRenderer {
     // Flag images cache
     this.flagImages = {};
 
+    // Canal definitions (data/canals.json) and their map marker
+    this.canals = [];
+    this.canalImage = null;
+
     // Territories highlighted from action log
     this.highlightedTerritories = [];
 
@@ -90,6 +68,19 @@ export class TerritoryRenderer {
     this._externalEdgesCache = {};
     this._territoryCenterCache = {};
     this._precomputeCaches();
+
+    // Fog of war: returns the local side's view (GameState.getFogView). In
+    // full fog, owners of hidden territories are not drawn.
+    this.fogView = null;
+  }
+
+  setFogView(fogView) {
+    this.fogView = fogView;
+  }
+
+  // Owner as the local side sees it
+  _ownerOf(name, fog) {
+    return fog ? fog.territoryState[name]?.owner || null : this.gameState.getOwner(name);
   }
 
   setPhoneLegalTerritories(names) {
@@ -194,6 +185,14 @@ export class TerritoryRenderer {
     }
   }
 
+  setCanals(canals) {
+    this.canals = Array.isArray(canals) ? canals : [];
+    if (this.canals.length > 0 && !this.canalImage && typeof Image !== 'undefined') {
+      this.canalImage = new Image();
+      this.canalImage.src = 'misc/canal.png';
+    }
+  }
+
   _loadFlagImages(players) {
     for (const player of players) {
       if (player.flag && !this.flagImages[player.flag]) {
@@ -364,11 +363,12 @@ export class TerritoryRenderer {
 
     const flagWidth = Math.max(16, Math.min(28, 22 * zoom));
     const flagHeight = flagWidth * 0.67;
+    const fog = this.fogView?.() || null;
 
     for (const t of this.territories) {
       if (t.isWater) continue;
 
-      const owner = this.gameState.getOwner(t.name);
+      const owner = this._ownerOf(t.name, fog);
       if (!owner) continue;
 
       const player = this.gameState.getPlayer(owner);
@@ -924,6 +924,7 @@ export class TerritoryRenderer {
     const flagWidth = Math.max(40, baseSize);
     const flagHeight = flagWidth * 0.75;
     const starSize = Math.max(20, baseSize * 0.5);
+    const fog = this.fogView?.() || null;
 
     for (const t of this.territories) {
       if (t.isWater) continue;
@@ -940,7 +941,7 @@ export class TerritoryRenderer {
         cy += offset.y;
       }
 
-      const owner = this.gameState.getOwner(t.name);
+      const owner = this._ownerOf(t.name, fog);
       const player = this.gameState.getPlayer(owner);
       const color = this.gameState.getPlayerColor(owner);
 
@@ -1602,7 +1603,7 @@ export class TerritoryRenderer {
 
     ctx.save();
 
-    for (const [t1Name, t2Name] of LAND_BRIDGES) {
+    for (const [t1Name, t2Name] of this.landBridges) {
       const t1 = this.territoryByName[t1Name];
       const t2 = this.territoryByName[t2Name];
 
@@ -1651,6 +1652,47 @@ export class TerritoryRenderer {
     ctx.restore();
   }
 
+  // Canal markers: the canal icon ringed green when the current player may
+  // sail through, red when the canal land is held by someone else.
+  renderCanals(ctx, zoom) {
+    if (this.canals.length === 0) return;
+    const player = this.gameState?.currentPlayer;
+    const status = player && this.gameState.getCanalStatus
+      ? this.gameState.getCanalStatus(player.id)
+      : this.canals.map(c => ({ ...c, open: null }));
+
+    const size = Math.max(10, 14 / Math.max(zoom, 0.3));
+    ctx.save();
+    for (const canal of status) {
+      if (!canal.position) continue;
+      const [x, y] = canal.position;
+
+      ctx.beginPath();
+      ctx.arc(x, y, size * 0.9, 0, Math.PI * 2);
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+      ctx.fill();
+      ctx.lineWidth = Math.max(2, 3 / Math.max(zoom, 0.3));
+      ctx.strokeStyle = canal.open === null ? '#ffd700' : (canal.open ? '#4caf50' : '#e53935');
+      ctx.stroke();
+
+      if (this.canalImage?.complete && this.canalImage.naturalWidth > 0) {
+        ctx.drawImage(this.canalImage, x - size / 2, y - size / 2, size, size);
+      }
+
+      if (zoom >= 0.6) {
+        ctx.font = 'bold 11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.strokeText(canal.name, x, y + size);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(canal.name, x, y + size);
+      }
+    }
+    ctx.restore();
+  }
+
   // Find the closest points between two territories' edges
   _findClosestEdgePoints(t1, t2) {
     const points1 = this._getEdgePoints(t1);
@@ -1699,6 +1741,72 @@ export class TerritoryRenderer {
     return points;
   }
 
+  /**
+   * Map editor overlay (ui/mapEditor.js): continents and land bridges as
+   * edited, the selected territory with lines to its connections, and
+   * territories the validator flagged.
+   * view: { continents, landBridges, selected, connections, flagged }
+   */
+  renderMapEditor(ctx, view, zoom) {
+    if (!view) return;
+    const MAP_WIDTH = 3500; // Must match camera.js MAP_WIDTH
+    const lineWidth = Math.max(2, 3 / Math.max(zoom, 0.3));
+    const polygonsOf = name => (this.territoryByName[name]?.polygons || []).filter(p => p && p.length >= 3);
+    const strokeTerritory = name => {
+      for (const poly of polygonsOf(name)) this._strokePoly(ctx, poly);
+    };
+    // Center to center, the short way round the wrapped map
+    const link = (a, b) => {
+      const ta = this.territoryByName[a];
+      const tb = this.territoryByName[b];
+      if (!ta || !tb) return;
+      const [x1, y1] = this._getTerritoryCenter(ta);
+      let [x2, y2] = this._getTerritoryCenter(tb);
+      if (x1 === null || x2 === null) return;
+      if (x2 - x1 > MAP_WIDTH / 2) x2 -= MAP_WIDTH;
+      else if (x1 - x2 > MAP_WIDTH / 2) x2 += MAP_WIDTH;
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
+    };
+
+    ctx.save();
+
+    ctx.globalAlpha = 0.35;
+    for (const continent of view.continents || []) {
+      ctx.fillStyle = continent.color || '#888888';
+      for (const name of continent.territories) {
+        for (const poly of polygonsOf(name)) this._fillPoly(ctx, poly);
+      }
+    }
+    ctx.globalAlpha = 1;
+
+    ctx.strokeStyle = 'rgba(255, 215, 0, 0.9)';
+    ctx.lineWidth = lineWidth;
+    ctx.setLineDash([8, 4]);
+    for (const [a, b] of view.landBridges || []) link(a, b);
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = 'rgba(239, 83, 80, 0.95)';
+    ctx.lineWidth = lineWidth * 1.5;
+    for (const name of view.flagged || []) strokeTerritory(name);
+
+    if (view.selected) {
+      ctx.strokeStyle = 'rgba(64, 196, 255, 0.9)';
+      ctx.lineWidth = lineWidth;
+      for (const other of view.connections || []) {
+        link(view.selected, other);
+        strokeTerritory(other);
+      }
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = lineWidth * 2;
+      strokeTerritory(view.selected);
+    }
+
+    ctx.restore();
+  }
+
   // Get land bridges for movement validation
   static getLandBridges() {
     return LAND_BRIDGES;
@@ -1751,6 +1859,50 @@ export class TerritoryRenderer {
     ctx.restore();
   }
 
+  // Heatmap overlay (GameState.getHeatmap), or null when off
+  heatmap = null;
+
+  setHeatmap(heatmap) {
+    this.heatmap = heatmap || null;
+  }
+
+  /** Shade each territory by its heatmap value, with the value on top */
+  renderHeatmap(ctx, zoom) {
+    const heatmap = this.heatmap;
+    if (!heatmap) return;
+
+    ctx.save();
+    for (const [name, value] of Object.entries(heatmap.values)) {
+      const t = this.territoryByName[name];
+      if (!t) continue;
+      ctx.fillStyle = heatmapColor(heatmap.layer, value, heatmap.max);
+      for (const poly of t.polygons) {
+        if (!poly || poly.length < 3) continue;
+        this._fillPoly(ctx, poly);
+      }
+    }
+
+    // Values once labels are readable
+    if (zoom >= 0.4) {
+      const fontSize = Math.max(9, Math.min(14, 12 / zoom * 0.7));
+      ctx.font = `bold ${fontSize}px 'Segoe UI', sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+      ctx.fillStyle = '#fff';
+      for (const [name, value] of Object.entries(heatmap.values)) {
+        const t = this.territoryByName[name];
+        if (!t) continue;
+        const [cx, cy] = this._getTerritoryCenter(t);
+        if (cx === null) continue;
+        ctx.strokeText(String(value), cx, cy + fontSize * 1.4);
+        ctx.fillText(String(value), cx, cy + fontSize * 1.4);
+      }
+    }
+    ctx.restore();
+  }
+
   // Manual hover highlight (from dropdown hover)
   manualHoverTerritory = null;
 
@@ -16,6 +16,10 @@ export class UnitRenderer {
     // Phone tray selection — gold halo on matching stacks. Desktop unused.
     this.highlightUnitType = null;
 
+    // Fog of war: returns the local side's view (GameState.getFogView), or
+    // null to draw every stack
+    this.fogView = null;
+
     // Load unit images per faction
     this.factionUnitImages = {}; // factionId -> { unitType -> Image }
     this.imagesLoaded = false;
@@ -53,6 +57,15 @@ export class UnitRenderer {
     return this.factionUnitImages[factionId]?.[unitType] || null;
   }
 
+  setFogView(fogView) {
+    this.fogView = fogView;
+  }
+
+  // Stacks to draw and hit-test: only what the local side can see
+  _visibleUnits() {
+    return this.fogView?.()?.units || this.gameState.units;
+  }
+
   render(ctx, zoom) {
     const mobile = isMobileShell();
     if (shouldHideUnitsAtZoom(zoom, { mobile })) return;
@@ -61,7 +74,7 @@ export class UnitRenderer {
     const spacingX = iconSize + 4;
     const spacingY = iconSize + 8;
 
-    for (const [territory, placements] of Object.entries(this.gameState.units)) {
+    for (const [territory, placements] of Object.entries(this._visibleUnits())) {
       const t = this.territoryByName[territory];
       if (!t) continue;
 
@@ -757,7 +770,7 @@ export class UnitRenderer {
     const spacingY = iconSize + 8;
     const hitRadius = (iconSize + 4) / 2;
 
-    for (const [territory, placements] of Object.entries(this.gameState.units)) {
+    for (const [territory, placements] of Object.entries(this._visibleUnits())) {
       const t = this.territoryByName[territory];
       if (!t) continue;
 
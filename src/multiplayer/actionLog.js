@@ -0,0 +1,37 @@
+// Firestore access to a game's action log: games/{id}/actions/{seq}.
+// What goes in an action and how it is replayed lives in actionSync.js.
+
+import {
+  doc,
+  collection,
+  getDocs,
+  onSnapshot,
+  query,
+  where,
+  orderBy
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+
+export function actionRef(db, gameId, seq) {
+  return doc(db, 'games', gameId, 'actions', String(seq));
+}
+
+function actionsAfter(db, gameId, seq) {
+  return query(collection(db, 'games', gameId, 'actions'), where('seq', '>', seq), orderBy('seq'));
+}
+
+// Action docs after `seq`, in order
+export async function loadActionsAfter(db, gameId, seq) {
+  const snapshot = await getDocs(actionsAfter(db, gameId, seq));
+  return snapshot.docs.map(action => action.data());
+}
+
+// Calls onActions with each batch of newly added actions after `seq`.
+// Returns the unsubscribe function.
+export function subscribeActionsAfter(db, gameId, seq, onActions, onError) {
+  return onSnapshot(actionsAfter(db, gameId, seq), (snapshot) => {
+    const added = snapshot.docChanges()
+      .filter(change => change.type === 'added')
+      .map(change => change.doc.data());
+    if (added.length > 0) onActions(added);
+  }, onError);
+}
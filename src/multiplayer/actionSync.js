@@ -0,0 +1,164 @@
+// Action-log sync rules for multiplayer. No Firebase here — SyncManager and
+// actionLog.js do the reads and writes; harnesses drive the same functions.
+//
+// Every committed change is one append-only doc games/{id}/actions/{seq}:
+//   { seq, by, seat, types, patch, checksum, at }
+// `seat` is the user id of the seat whose turn the change was made in
+// (firestore.rules lets only the host, or a failover, write other seats').
+// `patch` is the difference between the replicated state before and after
+// the change (diffState), so every client reaches the same state by applying
+// the actions in seq order on top of a snapshot, and checks it against the
+// writer's checksum. Appending action N only succeeds while N is free: that
+// orders concurrent writers, and the loser catches up instead of clobbering.
+//
+// The game doc keeps a full snapshot (state, stateVersion = its seq) that is
+// refreshed every SNAPSHOT_INTERVAL actions and whenever the turn passes, so
+// a joining client loads it and replays only the actions after it.
+
+import { withoutEvents } from '../state/eventLog.js';
+
+export const SNAPSHOT_INTERVAL = 20;
+// A client whose copy still disagrees with the log after this many snapshot
+// reloads in a row stops waiting: it follows the patches unchecked and asks
+// for a fresh snapshot with its next push (SyncManager._replayFromSnapshot)
+export const MAX_CHECKSUM_MISMATCHES = 3;
+
+// Never part of a patch: diplomacy is written out of turn straight to the
+// game doc (SyncManager.pushDiplomacy)
+const OUT_OF_BAND_KEYS = ['diplomacy'];
+// Never synced at all: an online game's dice secret stays on the client that
+// runs AI seats (SyncManager stores it apart); the state keeps diceSeedHash
+const PRIVATE_KEYS = ['diceSeed'];
+// Objects are diffed this many levels deep (units.<territory>,
+// playerState.<id>); deeper values are replaced whole
+const PATCH_DEPTH = 2;
+
+const clone = value => JSON.parse(JSON.stringify(value));
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The part of GameState.toJSON() that actions carry. JSON-cloned, so no
+// undefined fields reach Firestore; replay events go to the replay archive.
+export function replicatedState(json) {
+  const state = clone({ ...json, eventLog: withoutEvents(json.eventLog) });
+  for (const key of [...OUT_OF_BAND_KEYS, ...PRIVATE_KEYS]) delete state[key];
+  return state;
+}
+
+// Ops turning `prev` into `next`: { p: path, v: value } sets, { p: path, d: true }
+// deletes. Empty when nothing replicated changed.
+export function diffState(prev, next) {
+  const ops = [];
+  const walk = (a, b, path) => {
+    if (path.length < PATCH_DEPTH && isPlainObject(a) && isPlainObject(b)) {
+      for (const key of Object.keys(b)) {
+        if (key in a) walk(a[key], b[key], [...path, key]);
+        else ops.push({ p: [...path, key], v: clone(b[key]) });
+      }
+      for (const key of Object.keys(a)) {
+        if (!(key in b)) ops.push({ p: [...path, key], d: true });
+      }
+      return;
+    }
+    if (JSON.stringify(a) !== JSON.stringify(b)) ops.push({ p: path, v: clone(b) });
+  };
+  walk(prev || {}, next, []);
+  return ops;
+}
+
+// A new state with `ops` applied (the input is left untouched)
+export function applyStatePatch(state, ops) {
+  let next = clone(state);
+  for (const op of ops || []) {
+    if (op.p.length === 0) {
+      next = clone(op.v);
+      continue;
+    }
+    let target = next;
+    for (const key of op.p.slice(0, -1)) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    }
+    const last = op.p[op.p.length - 1];
+    if (op.d) delete target[last];
+    else target[last] = clone(op.v);
+  }
+  return next;
+}
+
+// Key-order independent stringify, so patched and freshly serialized states
+// hash the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// FNV-1a over the canonical form
+export function stateChecksum(state) {
+  const text = canonical(state);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Did the turn pass (or the game phase change, or the game end)?
+export function isTurnBoundary(prev, next) {
+  return prev?.currentPlayerIndex !== next?.currentPlayerIndex
+    || prev?.phase !== next?.phase
+    || !!next?.gameOver !== !!prev?.gameOver;
+}
+
+// Refresh the game doc snapshot with this action?
+export function shouldSnapshot({ seq, prev, next }) {
+  if (seq % SNAPSHOT_INTERVAL === 0) return true;
+  return isTurnBoundary(prev, next);
+}
+
+// Actions to apply after `localSeq`, in order. gap = the next one is missing
+// (pruned, or written by an older client): reload the snapshot instead.
+export function planCatchUp(localSeq, actions) {
+  const ordered = (actions || [])
+    .filter(a => a && a.seq > localSeq)
+    .sort((a, b) => a.seq - b.seq);
+  const apply = [];
+  let expected = localSeq + 1;
+  for (const action of ordered) {
+    if (action.seq < expected) continue; // duplicate delivery
+    if (action.seq > expected) break;
+    apply.push(action);
+    expected++;
+  }
+  return { apply, gap: ordered.length > 0 && apply.length === 0 };
+}
+
+// Apply `actions` (from planCatchUp) to `state` at `seq`. Stops at the first
+// checksum mismatch: { state, seq, diverged }. verify: false follows the
+// patches regardless, for a client resyncing after repeated mismatches.
+export function replayActions(state, seq, actions, { verify = true } = {}) {
+  let current = state;
+  let at = seq;
+  for (const action of actions) {
+    const next = applyStatePatch(current, action.patch);
+    if (verify && action.checksum && stateChecksum(next) !== action.checksum) {
+      return { state: current, seq: at, diverged: action.seq };
+    }
+    current = next;
+    at = action.seq;
+  }
+  return { state: current, seq: at, diverged: null };
+}
+
+// Event types recorded since `afterSeq`, for the action doc's `types`
+// (place, purchase, move, combat, phase, ...)
+export function actionTypes(eventLog, afterSeq = 0) {
+  const types = [];
+  for (const event of eventLog?.events || []) {
+    if (event.seq > afterSeq && !types.includes(event.type)) types.push(event.type);
+  }
+  return types;
+}
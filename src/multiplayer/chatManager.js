@@ -0,0 +1,115 @@
+// Chat Manager for Tactical Risk multiplayer
+// Per-game chat in games/{id}/chat, one doc per message (see chatPolicy.js).
+// Global lines are readable by anyone at the table; alliance lines only by
+// the user ids in their `to` list, so they are read with their own query
+// (firestore.rules only lets a reader list what they may read).
+
+import {
+  addDoc,
+  collection,
+  onSnapshot,
+  query,
+  where,
+  serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { getFirebaseDb } from './firebase.js';
+import { chatMessage, CHAT_HISTORY } from './chatPolicy.js';
+
+export class ChatManager {
+  constructor() {
+    this._db = null;
+    this.gameId = null;
+    this.userId = null;
+    this.messages = [];
+    this._byQuery = { global: [], alliance: [] };
+    this._unsubscribes = [];
+    this._listeners = [];
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = getFirebaseDb();
+    }
+    return this._db;
+  }
+
+  // Listen to a game's chat as `userId`. Spectators read global chat only
+  // (they are never in an alliance list).
+  start(gameId, userId) {
+    this.stop();
+    if (!this.db || !gameId || !userId) return false;
+    this.gameId = gameId;
+    this.userId = userId;
+
+    const chat = collection(this.db, 'games', gameId, 'chat');
+    this._listen('global', query(chat, where('channel', '==', 'global')));
+    this._listen('alliance', query(chat, where('to', 'array-contains', userId)));
+    return true;
+  }
+
+  stop() {
+    for (const unsubscribe of this._unsubscribes) unsubscribe();
+    this._unsubscribes = [];
+    this._byQuery = { global: [], alliance: [] };
+    this.messages = [];
+    this.gameId = null;
+    this.userId = null;
+    this._notifyListeners();
+  }
+
+  subscribe(callback) {
+    this._listeners.push(callback);
+    callback(this.messages);
+    return () => {
+      this._listeners = this._listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  // fields: chatMessage() input; the sender key is always this user
+  async send(fields) {
+    if (!this.gameId) return false;
+    const message = chatMessage({ ...fields, sender: { ...fields.sender, key: this.userId } });
+    if (!message) return false;
+    try {
+      await addDoc(collection(this.db, 'games', this.gameId, 'chat'), {
+        ...message,
+        createdAt: serverTimestamp()
+      });
+      return true;
+    } catch (error) {
+      console.error('[Chat] Error sending message:', error);
+      return false;
+    }
+  }
+
+  _listen(key, chatQuery) {
+    const unsubscribe = onSnapshot(chatQuery, (snapshot) => {
+      const lines = [];
+      snapshot.forEach(doc => lines.push({ id: doc.id, ...doc.data() }));
+      this._byQuery[key] = lines;
+      this.messages = [...this._byQuery.global, ...this._byQuery.alliance]
+        .sort((a, b) => (a.at || 0) - (b.at || 0))
+        .slice(-CHAT_HISTORY);
+      this._notifyListeners();
+    }, (error) => {
+      console.error(`[Chat] ${key} chat listener error:`, error);
+    });
+    this._unsubscribes.push(unsubscribe);
+  }
+
+  _notifyListeners() {
+    for (const cb of this._listeners) {
+      cb(this.messages);
+    }
+  }
+}
+
+// Singleton instance
+let chatManagerInstance = null;
+
+export function getChatManager() {
+  if (!chatManagerInstance) {
+    chatManagerInstance = new ChatManager();
+  }
+  return chatManagerInstance;
+}
@@ -0,0 +1,104 @@
+// In-game chat rules: who an alliance message goes to, what a reader sees,
+// the system lines built from turnEvents, and unread counts. No Firebase
+// here — ChatManager stores online chat in games/{id}/chat, and
+// createLocalChat() keeps pass-and-play table talk in memory.
+//
+// Message: { by, name, seat, color, channel, to, text, at }
+//   by       sender key: the user id online, the player id on one device
+//   channel  'global' (everyone at the table, spectators included) or
+//            'alliance' (only the keys listed in `to`, sender included)
+
+export const CHAT_CHANNELS = ['global', 'alliance'];
+
+export const MAX_CHAT_LENGTH = 300;
+
+// Oldest lines drop off the feed past this
+export const CHAT_HISTORY = 200;
+
+// Seats on `seatId`'s side (itself first), skipping surrendered players.
+// isAlly(a, b): GameState.areAllies.
+export function allianceSeats(players, seatId, isAlly) {
+  const me = (players || []).find(p => p.id === seatId);
+  if (!me) return [];
+  return [me, ...players.filter(p => p.id !== seatId && !p.surrendered && isAlly(seatId, p.id))];
+}
+
+// Alliance chat needs another human on the side
+export function hasAllianceChannel(players, seatId, isAlly) {
+  return allianceSeats(players, seatId, isAlly).slice(1).some(p => !p.isAI);
+}
+
+// A message ready to store, or null when there is nothing to send
+export function chatMessage({ text, channel = 'global', sender, to = [], now = Date.now() }) {
+  const body = String(text ?? '').trim().slice(0, MAX_CHAT_LENGTH);
+  if (!body || !sender?.key || !CHAT_CHANNELS.includes(channel)) return null;
+  return {
+    by: sender.key,
+    name: sender.name || 'Player',
+    seat: sender.seat || null,
+    color: sender.color || null,
+    channel,
+    to: channel === 'alliance' ? [...new Set([sender.key, ...to])] : [],
+    text: body,
+    at: now,
+  };
+}
+
+// Captures and surrenders as system lines. nameOf(playerId) → display name;
+// canSee(territory) hides captures the reader cannot see (fog of war).
+export function chatSystemMessages(turnEvents, nameOf, canSee = () => true) {
+  const lines = [];
+  (turnEvents || []).forEach((event, index) => {
+    let text = null;
+    if (event?.type === 'territory_captured' && canSee(event.territory)) {
+      text = event.fromPlayer
+        ? `${nameOf(event.toPlayer)} captured ${event.territory} from ${nameOf(event.fromPlayer)}`
+        : `${nameOf(event.toPlayer)} captured ${event.territory}`;
+    } else if (event?.type === 'surrender') {
+      text = `${nameOf(event.playerId)} surrendered`;
+    }
+    if (text) lines.push({ id: `event-${index}`, system: true, channel: 'global', text, at: event.timestamp || 0 });
+  });
+  return lines;
+}
+
+// What `viewerKey` reads: global lines, alliance lines addressed to them,
+// and the system lines, oldest first
+export function chatFeed(messages, systemLines, viewerKey) {
+  const readable = (messages || []).filter(m =>
+    m.channel === 'global' || (viewerKey && (m.to || []).includes(viewerKey)));
+  return [...readable, ...(systemLines || [])]
+    .sort((a, b) => (a.at || 0) - (b.at || 0))
+    .slice(-CHAT_HISTORY);
+}
+
+// Lines from other players since `readAt` (system lines do not count)
+export function unreadChatCount(feed, readAt, viewerKey) {
+  return (feed || []).filter(m => !m.system && m.by !== viewerKey && (m.at || 0) > (readAt || 0)).length;
+}
+
+// Pass-and-play table talk: the ChatManager interface, kept in memory for
+// the session
+export function createLocalChat() {
+  let listeners = [];
+  const chat = {
+    messages: [],
+    subscribe(callback) {
+      listeners.push(callback);
+      callback(chat.messages);
+      return () => { listeners = listeners.filter(cb => cb !== callback); };
+    },
+    async send(fields) {
+      const message = chatMessage(fields);
+      if (!message) return false;
+      chat.messages = [...chat.messages, { id: `local-${chat.messages.length}`, ...message }];
+      for (const cb of listeners) cb(chat.messages);
+      return true;
+    },
+    stop() {
+      listeners = [];
+      chat.messages = [];
+    },
+  };
+  return chat;
+}
@@ -31,6 +31,7 @@ import {
   resolveJoinNotFoundError,
 } from './lastMatch.js';
 import { resolveStartGameTarget } from './lobbyStart.js';
+import { watchableGames } from './spectatorPolicy.js';
 
 // Generate a random 6-character lobby code
 function generateLobbyCode() {
@@ -92,7 +93,11 @@ export class LobbyManager {
       settings: {
         maxPlayers: settings.maxPlayers || 5,
         startingIPCs: settings.startingIPCs || 80,
-        teamsEnabled: settings.teamsEnabled || false
+        teamsEnabled: settings.teamsEnabled || false,
+        // FFA capital victory (SPEC §8.3): null = default rule / no limit
+        capitalsToWin: settings.capitalsToWin || null,
+        victoryTiming: settings.victoryTiming || 'immediate',
+        roundLimit: settings.roundLimit || null
       },
       players: [{
         oderId: user.id,
@@ -259,6 +264,25 @@ export class LobbyManager {
     }
   }
 
+  // Running games the current user can watch (the Live list). Users who are
+  // not seated can also watch any game by its code.
+  async getLiveGames() {
+    if (!this.db) return [];
+
+    const user = this.authManager.getUser();
+    if (!user) return [];
+
+    try {
+      const snapshot = await getDocs(query(collection(this.db, 'games'), where('status', '==', 'active')));
+      const games = watchableGames(snapshot.docs.map(d => ({ id: d.id, ...d.data() })), user.id);
+      games.sort((a, b) => (b.updatedAt?.toMillis?.() || 0) - (a.updatedAt?.toMillis?.() || 0));
+      return games;
+    } catch (error) {
+      console.error('Error getting live games:', error);
+      return [];
+    }
+  }
+
   // Join a lobby by code (or rejoin a started game by code)
   async joinLobby(code, password = null) {
     if (!this.db) return { success: false, error: 'Not connected' };
@@ -696,7 +720,10 @@ export class LobbyManager {
         currentPlayerId: null, // Will be set when game initializes
         stateVersion: 0,
         playerUserIds,
+        // Password lobbies stay off the Live list; their code still lets people watch
+        isPrivate: !!this.currentLobby.password,
         startedBy: user.id, // Track who started the game (they will initialize)
+        hostId: this.currentLobby.hostId, // Runs AI seats; firestore.rules checks it
         state: null, // Will be populated by starter
         lobbyData: {
           players: this.currentLobby.players,
@@ -0,0 +1,165 @@
+// Match History for Tactical Risk multiplayer
+// Records finished games and keeps each player's rating (see matchResults.js).
+//
+// A finished game's results (with every human's rating before and after)
+// are written to the game doc once, by the host alone, in a transaction that
+// also marks the game 'finished'. Each player then files their own copy
+// under users/{uid}/matches/{gameId} and applies the rating change to their
+// user doc — firestore.rules only let a user write their own, and only the
+// change the host recorded for them (`ratedSeats`), once per game. Players
+// who were not at the table when the results were written (they
+// surrendered, closed the tab, or were waiting on the host) catch up the
+// next time their profile loads: results docs list their user ids in
+// `resultUserIds`.
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  increment,
+  query,
+  runTransaction,
+  serverTimestamp,
+  where
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { getFirebaseDb } from './firebase.js';
+import {
+  DEFAULT_RATING,
+  matchRecord,
+  matchResults,
+  nextRating,
+  profileStats,
+  rateMatch,
+  ratedSeats,
+  resultUserIds
+} from './matchResults.js';
+
+export class MatchHistory {
+  constructor() {
+    this._db = null;
+  }
+
+  get db() {
+    if (!this._db) {
+      this._db = getFirebaseDb();
+    }
+    return this._db;
+  }
+
+  // Store a finished game's results (once per game, host only), then this
+  // user's own record. state: GameState.toJSON(). Returns the stored
+  // results, or null while the host has not stored them.
+  async recordFinishedGame(gameId, state, userId) {
+    const results = matchResults(state);
+    if (!this.db || !gameId || !results) return null;
+
+    try {
+      const gameRef = doc(this.db, 'games', gameId);
+      const stored = await runTransaction(this.db, async (transaction) => {
+        const snapshot = await transaction.get(gameRef);
+        if (!snapshot.exists()) return null;
+        const data = snapshot.data();
+        if (data.results) return data.results;
+        if ((data.hostId || data.startedBy) !== userId) return null;
+
+        const userIds = resultUserIds(results);
+        const users = await Promise.all(userIds.map(id => transaction.get(doc(this.db, 'users', id))));
+        const ratings = {};
+        users.forEach((user, i) => {
+          if (user.exists()) ratings[userIds[i]] = user.data().rating;
+        });
+
+        const rated = rateMatch(results, ratings);
+        transaction.update(gameRef, {
+          results: rated,
+          ratedSeats: ratedSeats(rated),
+          resultUserIds: userIds,
+          status: 'finished',
+          finishedAt: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        });
+        return rated;
+      });
+
+      if (stored && userId) await this._fileRecord(gameId, stored, userId);
+      return stored;
+    } catch (error) {
+      console.error('[Matches] Error recording finished game:', error);
+      return null;
+    }
+  }
+
+  // File records for rated games this user has not filed yet
+  async catchUp(userId) {
+    if (!this.db || !userId) return 0;
+    const snapshot = await getDocs(query(
+      collection(this.db, 'games'),
+      where('resultUserIds', 'array-contains', userId)
+    ));
+    let filed = 0;
+    for (const game of snapshot.docs) {
+      if (await this._fileRecord(game.id, game.data().results, userId)) filed++;
+    }
+    return filed;
+  }
+
+  // { rating, stats } for a user (profileStats), after catching up
+  async loadProfile(userId) {
+    if (!this.db || !userId) return null;
+    try {
+      await this.catchUp(userId);
+      const [user, matches] = await Promise.all([
+        getDoc(doc(this.db, 'users', userId)),
+        getDocs(collection(this.db, 'users', userId, 'matches'))
+      ]);
+      const data = user.exists() ? user.data() : {};
+      return {
+        displayName: data.displayName || null,
+        rating: typeof data.rating === 'number' ? data.rating : DEFAULT_RATING,
+        stats: profileStats(matches.docs.map(d => ({ id: d.id, ...d.data() })))
+      };
+    } catch (error) {
+      console.error('[Matches] Error loading profile:', error);
+      return null;
+    }
+  }
+
+  // One user's record of a rated game, and their rating change — once per
+  // game, however many clients try. Resolves true when this call filed it.
+  async _fileRecord(gameId, results, userId) {
+    const record = matchRecord(gameId, results, userId);
+    if (!record) return false;
+    const userRef = doc(this.db, 'users', userId);
+    const matchRef = doc(this.db, 'users', userId, 'matches', gameId);
+
+    try {
+      return await runTransaction(this.db, async (transaction) => {
+        const [filed, user] = await Promise.all([transaction.get(matchRef), transaction.get(userRef)]);
+        if (filed.exists()) return false;
+        transaction.set(matchRef, { ...record, recordedAt: serverTimestamp() });
+        transaction.set(userRef, {
+          rating: nextRating(user.exists() ? user.data().rating : null, record),
+          matchesPlayed: increment(1),
+          matchesWon: increment(record.won ? 1 : 0),
+          // Which filing this is, for firestore.rules
+          lastMatchId: gameId
+        }, { merge: true });
+        return true;
+      });
+    } catch (error) {
+      console.error('[Matches] Error filing match record:', error);
+      return false;
+    }
+  }
+}
+
+// Singleton instance
+let matchHistoryInstance = null;
+
+export function getMatchHistory() {
+  if (!matchHistoryInstance) {
+    matchHistoryInstance = new MatchHistory();
+  }
+  return matchHistoryInstance;
+}
@@ -0,0 +1,166 @@
+// Match results, ratings and profile stats for finished multiplayer games.
+// No Firebase here — MatchHistory (matchHistory.js) stores the results on
+// the game doc once per game, and each player's own record under
+// users/{uid}/matches/{gameId}.
+//
+// Ratings are Elo-style: every human winner is paired with every human
+// loser (allies and fellow losers are not rated against each other), and a
+// seat moves by RATING_K times its average surprise over those pairings.
+// AI seats are recorded but never rated, and never move a human's rating.
+
+export const DEFAULT_RATING = 1200;
+
+export const RATING_K = 32;
+
+// Matches listed on the profile screen
+export const RECENT_MATCHES = 10;
+
+export const VICTORY_LABELS = {
+  capital: 'Capital victory',
+  team: 'Team victory',
+  alliance: 'Alliance victory',
+  economic: 'Economic victory',
+  round_limit: 'Round limit',
+  last_standing: 'Last player standing',
+  surrender: 'Opponents surrendered',
+};
+
+export const MODE_LABELS = {
+  ffa: 'Free for all',
+  teams: 'Teams',
+  alliances: 'Alliances',
+};
+
+// 'alliances', 'teams' or 'ffa' for a serialized game state
+export function matchMode(state) {
+  if (state?.alliancesEnabled || state?.gameMode === 'classic') return 'alliances';
+  if (state?.teamsEnabled) return 'teams';
+  return 'ffa';
+}
+
+// Per-seat results of a finished game (GameState.toJSON()), or null while
+// it runs or when it ended without a recorded winner (older saves).
+// A surrendered seat never shares its side's win.
+export function matchResults(state, now = Date.now()) {
+  if (!state?.gameOver || !state.winnerIds?.length) return null;
+  const winners = new Set(state.winnerIds);
+  return {
+    mode: matchMode(state),
+    rounds: state.round || 1,
+    victoryType: state.victoryType || null,
+    winCondition: state.winCondition || null,
+    winner: state.winner || null,
+    at: now,
+    seats: (state.players || []).map(p => ({
+      playerId: p.id,
+      userId: p.isAI ? null : (p.oderId || null),
+      name: p.name || p.id,
+      faction: p.id,
+      won: winners.has(p.id) && !p.surrendered,
+      surrendered: !!p.surrendered,
+    })),
+  };
+}
+
+// Human user ids in a result, once each
+export function resultUserIds(results) {
+  return [...new Set((results?.seats || []).map(s => s.userId).filter(Boolean))];
+}
+
+// Chance `rating` beats `opponent`
+export function expectedScore(rating, opponent) {
+  return 1 / (1 + 10 ** ((opponent - rating) / 400));
+}
+
+// Results with ratingBefore / ratingAfter on every human seat.
+// ratings: { userId: rating } as stored before the game (missing → default)
+export function rateMatch(results, ratings = {}) {
+  const humans = results.seats.filter(s => s.userId);
+  const before = seat => (typeof ratings[seat.userId] === 'number' ? ratings[seat.userId] : DEFAULT_RATING);
+  return {
+    ...results,
+    seats: results.seats.map(seat => {
+      if (!seat.userId) return seat;
+      const rating = before(seat);
+      const opponents = humans.filter(o => o.userId !== seat.userId && o.won !== seat.won);
+      const surprise = opponents.reduce((sum, o) => sum + (seat.won ? 1 : 0) - expectedScore(rating, before(o)), 0);
+      const delta = opponents.length ? Math.round(RATING_K * surprise / opponents.length) : 0;
+      return { ...seat, ratingBefore: rating, ratingAfter: rating + delta };
+    }),
+  };
+}
+
+// What each human's filing may change, by user id: { change, won }. Stored
+// with the results so firestore.rules can hold every player's own rating
+// write to the one the host computed. Same seat as matchRecord.
+export function ratedSeats(results) {
+  const seats = {};
+  for (const seat of results?.seats || []) {
+    if (!seat.userId || seat.userId in seats) continue;
+    seats[seat.userId] = {
+      change: (seat.ratingAfter ?? DEFAULT_RATING) - (seat.ratingBefore ?? DEFAULT_RATING),
+      won: seat.won,
+    };
+  }
+  return seats;
+}
+
+// What users/{userId}/matches/{gameId} holds for one player, or null when
+// they had no seat
+export function matchRecord(gameId, results, userId) {
+  const seat = (results?.seats || []).find(s => s.userId === userId);
+  if (!seat) return null;
+  return {
+    gameId,
+    faction: seat.faction,
+    name: seat.name,
+    mode: results.mode,
+    rounds: results.rounds,
+    victoryType: results.victoryType,
+    winCondition: results.winCondition,
+    won: seat.won,
+    surrendered: seat.surrendered,
+    ratingBefore: seat.ratingBefore ?? DEFAULT_RATING,
+    ratingAfter: seat.ratingAfter ?? DEFAULT_RATING,
+    opponents: results.seats.filter(s => s !== seat).map(s => s.name),
+    at: results.at || 0,
+  };
+}
+
+// A stored rating after one more recorded match. Applies the change rather
+// than copying ratingAfter, so matches recorded out of order still add up.
+export function nextRating(current, record) {
+  const rating = typeof current === 'number' ? current : DEFAULT_RATING;
+  return rating + (record.ratingAfter - record.ratingBefore);
+}
+
+export function winRate(wins, played) {
+  return played ? wins / played : 0;
+}
+
+function tally(matches, key) {
+  const groups = new Map();
+  for (const match of matches) {
+    const group = groups.get(match[key]) || { key: match[key], played: 0, wins: 0 };
+    group.played++;
+    if (match.won) group.wins++;
+    groups.set(match[key], group);
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, winRate: winRate(g.wins, g.played) }))
+    .sort((a, b) => b.played - a.played || String(a.key).localeCompare(String(b.key)));
+}
+
+// Profile screen numbers from a user's match records
+export function profileStats(matches) {
+  const list = [...(matches || [])].sort((a, b) => (b.at || 0) - (a.at || 0));
+  const wins = list.filter(m => m.won).length;
+  return {
+    played: list.length,
+    wins,
+    winRate: winRate(wins, list.length),
+    byFaction: tally(list, 'faction'),
+    byMode: tally(list, 'mode'),
+    recent: list.slice(0, RECENT_MATCHES),
+  };
+}
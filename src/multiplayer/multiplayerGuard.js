@@ -14,6 +14,8 @@ export class MultiplayerGuard {
       // Turn and phase management
       'nextPhase',
       'nextTurn',
+      // Territory draft (draft mode setup)
+      'draftTerritory',
       // Capital placement (initial game setup)
       'placeCapital',
       'setCapital',
@@ -56,6 +58,9 @@ export class MultiplayerGuard {
       'tradeSpecificCards',
       // Rocket attacks
       'fireRocket',
+      // Strategic bombing raids
+      'launchBombingRaid',
+      'resolveBombingRaid',
       // Placement UI methods
       'selectUnitToPlace',
       'confirmPlacement',
@@ -86,11 +91,18 @@ export class MultiplayerGuard {
               console.warn(`[Guard] BLOCKED ${methodName} - not your turn`);
               return { success: false, error: 'Not your turn' };
             }
-            // AI authority may act for AI players only — never for another human
-            if (!isActive && hasAIAuthority && !currentPlayer?.isAI) {
+            // AI authority may act for AI players only — never for another
+            // human, unless that human's turn clock ran out
+            const timedOut = gameState.turnClock?.expired === currentPlayer?.id;
+            if (!isActive && hasAIAuthority && !currentPlayer?.isAI && !timedOut) {
               console.warn(`[Guard] BLOCKED ${methodName} - AI authority but current player is not AI`);
               return { success: false, error: 'Not your turn' };
             }
+            // A timed-out seat's turn is finished by the authority client alone
+            if (isActive && timedOut && !hasAIAuthority) {
+              console.warn(`[Guard] BLOCKED ${methodName} - turn clock ran out`);
+              return { success: false, error: "Time's up for this turn" };
+            }
           }
           return original(...args);
         };
@@ -20,6 +20,7 @@ import {
   shouldReplaceSnapshotListener,
   shouldResumeSnapshots,
 } from './presencePolicy.js';
+import { countSpectators } from './spectatorPolicy.js';
 
 // Presence states
 export const PRESENCE_STATES = {
@@ -37,6 +38,7 @@ export class PresenceManager {
     this._db = null;
     this._authManager = null;
     this.gameId = null;
+    this.role = 'player'; // or 'spectator' (spectatorPolicy.js)
     this.presenceRef = null;
     this.unsubscribe = null;
     this._snapshotLive = false;
@@ -64,11 +66,13 @@ export class PresenceManager {
     return this._authManager;
   }
 
-  // Start tracking presence for a game
-  async start(gameId) {
+  // Start tracking presence for a game. Spectators are listed with
+  // role 'spectator' so seats can count them.
+  async start(gameId, { role = 'player' } = {}) {
     if (!this.db || !gameId) return false;
 
     this.gameId = gameId;
+    this.role = role;
     const user = this.authManager.getUser();
     if (!user) return false;
 
@@ -155,6 +159,11 @@ export class PresenceManager {
     return this.playerPresence;
   }
 
+  // Spectators currently watching
+  getSpectatorCount() {
+    return countSpectators(this.playerPresence);
+  }
+
   _onActivity() {
     this.lastActivity = Date.now();
   }
@@ -204,6 +213,7 @@ export class PresenceManager {
       await setDoc(this.presenceRef, {
         oderId: user.id,
         displayName: user.displayName,
+        role: this.role,
         state,
         lastSeen: Date.now(),
         updatedAt: serverTimestamp()
@@ -0,0 +1,79 @@
+// Spectator rules for multiplayer: who watches a game instead of playing it,
+// which live games are offered for watching, and what a delayed spectator
+// sees. No Firebase here — LobbyManager, SyncManager and PresenceManager
+// call these.
+//
+// Lobby setting `spectators`:
+//   live    — spectators follow the action log like any seat (default)
+//   delayed — spectators only see the board as it stood when the current
+//             turn began, so they cannot tell players about moves in progress
+//   off     — no spectators
+// Under fog of war live spectators are watched as delayed: following the log
+// would hand them the whole board.
+//
+// A delayed game keeps that turn-start board on the game doc
+// (spectatorState / spectatorVersion), written by whichever seat passes the
+// turn, in the same transaction as the snapshot refresh. Under fog of war
+// that board is fogged for a side with no seat: spectators see battles and,
+// in 'units' fog, who owns what (fogOfWar.js).
+
+import { isTurnBoundary } from './actionSync.js';
+import { fogState, normalizeFogOfWar } from '../state/fogOfWar.js';
+
+export const SPECTATOR_MODES = ['live', 'delayed', 'off'];
+
+export const SPECTATOR_ROLE = 'spectator';
+
+export function spectatorMode(settings) {
+  const mode = SPECTATOR_MODES.includes(settings?.spectators) ? settings.spectators : 'live';
+  return mode === 'live' && normalizeFogOfWar(settings?.fogOfWar) ? 'delayed' : mode;
+}
+
+// A signed-in user who holds no seat in a started game watches it. Stub docs
+// without a roster (rejoin by a remembered id) stay on the player path.
+export function isSpectatorOf(game, userId) {
+  const ids = game?.playerUserIds;
+  if (!userId || !Array.isArray(ids) || ids.length === 0) return false;
+  return !ids.includes(userId);
+}
+
+// Games for the "Live" list: running, public, not finished, open to
+// spectators, and not one the user plays in
+export function watchableGames(games, userId) {
+  return (games || []).filter(game =>
+    game?.status === 'active'
+    && !game.isPrivate
+    && !game.state?.gameOver
+    && spectatorMode(game.lobbyData?.settings) !== 'off'
+    && isSpectatorOf(game, userId));
+}
+
+// The board as a spectator may see it. connections(name): neighbouring
+// territory names (GameState.getConnections).
+export function spectatorBoard(state, connections) {
+  if (!state?.fogOfWar || state.gameOver) return state;
+  return fogState(state, state.fogOfWar, () => false, connections);
+}
+
+// Extra game doc fields for a write that moves `prev` to `next` at `seq`:
+// the turn-start board for delayed spectators, or null
+export function spectatorSnapshotFields({ mode, seq, prev, next, connections = () => [] }) {
+  if (mode !== 'delayed' || !isTurnBoundary(prev, next)) return null;
+  return { spectatorState: spectatorBoard(next, connections), spectatorVersion: seq };
+}
+
+// The board a spectator loads from the game doc: { state, version }, or
+// null while there is nothing to show yet
+export function spectatorView(data, mode) {
+  if (mode === 'delayed') {
+    return data?.spectatorState ? { state: data.spectatorState, version: data.spectatorVersion || 0 } : null;
+  }
+  return data?.state ? { state: data.state, version: data.stateVersion || 0 } : null;
+}
+
+// Spectators currently at the table, from PresenceManager's presence map
+export function countSpectators(presence) {
+  return Object.values(presence || {})
+    .filter(entry => entry?.role === SPECTATOR_ROLE && entry.state !== 'offline')
+    .length;
+}
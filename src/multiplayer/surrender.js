@@ -9,22 +9,43 @@
 // - their territories become neutral and their capital stops counting for victory
 // - their units are removed from the board (including carrier/transport cargo)
 // - if it was their turn, the turn advances to the next non-surrendered player
+//
+// The game doc's `state` is a snapshot that can trail the action log
+// (actionSync.js), so the surrender is applied to the replayed head and
+// appended as the next action, with a fresh snapshot.
 
 import {
   doc,
+  getDoc,
   runTransaction,
   serverTimestamp,
   arrayRemove
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
 import { getFirebaseDb } from './firebase.js';
+import { actionRef, loadActionsAfter } from './actionLog.js';
+import { replicatedState, diffState, stateChecksum, planCatchUp, replayActions } from './actionSync.js';
 // Pure transform lives in surrenderCore.js (no Firebase imports) so the node
 // robustness harness can exercise the exact same logic. Re-exported here for
 // existing importers.
 import { applySurrenderToState } from './surrenderCore.js';
 export { applySurrenderToState };
 
+const MAX_ATTEMPTS = 3;
+
+// Replicated state at the head of the action log: { state, seq }, or null
+// before the game has a state
+async function loadHeadState(db, gameId) {
+  const snapshot = await getDoc(doc(db, 'games', gameId));
+  if (!snapshot.exists() || !snapshot.data().state) return null;
+  const data = snapshot.data();
+  const base = data.stateVersion || 0;
+  const { apply } = planCatchUp(base, await loadActionsAfter(db, gameId, base));
+  return replayActions(replicatedState(data.state), base, apply);
+}
+
 // Surrender/leave a game from outside a live session (e.g. the My Games list).
-// Uses a transaction so we never clobber a concurrent state push.
+// Uses a transaction so we never clobber a concurrent state push: if another
+// seat appends first, read the new head and try again.
 export async function leaveGame(gameId, userId) {
   const db = getFirebaseDb();
   if (!db) return { success: false, error: 'Not connected' };
@@ -32,76 +53,105 @@ export async function leaveGame(gameId, userId) {
   try {
     const gameRef = doc(db, 'games', gameId);
 
-    const outcome = await runTransaction(db, async (transaction) => {
-      const snapshot = await transaction.get(gameRef);
-      if (!snapshot.exists()) {
-        return { success: false, error: 'Game not found' };
-      }
-
-      const data = snapshot.data();
-
-      // Game never initialized (still 'starting' with no state): just remove
-      // the player from the roster so it drops off their list
-      if (!data.state) {
-        transaction.update(gameRef, {
-          playerUserIds: arrayRemove(userId),
-          updatedAt: serverTimestamp()
-        });
-        return { success: true, surrendered: false };
-      }
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const head = await loadHeadState(db, gameId);
+      const outcome = await surrenderAtHead(db, gameRef, head, userId);
+      if (!outcome.retry) return outcome;
+    }
+    return { success: false, error: 'The game kept changing — try again' };
+  } catch (error) {
+    console.error('[Surrender] leaveGame failed:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-      const state = data.state;
-      const result = applySurrenderToState(state, userId);
-      if (!result.changed) {
-        // Not a player in the state (spectator?) — still remove from roster
-        transaction.update(gameRef, {
-          playerUserIds: arrayRemove(userId),
-          updatedAt: serverTimestamp()
-        });
-        return { success: true, surrendered: false };
-      }
+// One attempt: apply the surrender to `head` and append it as action
+// head.seq + 1. { retry: true } when that slot was taken meanwhile.
+function surrenderAtHead(db, gameRef, head, userId) {
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(gameRef);
+    if (!snapshot.exists()) {
+      return { success: false, error: 'Game not found' };
+    }
 
-      // If the game is over, or no human players remain (AI-only games
-      // can't continue — the host ran the AI), finish the game
-      const status = (result.gameOver || !result.humansRemain) ? 'finished' : (data.status || 'active');
+    const data = snapshot.data();
+    const seq = (head?.seq || 0) + 1;
+    const nextActionRef = actionRef(db, gameRef.id, seq);
+    const taken = data.state ? await transaction.get(nextActionRef) : null;
+    if (data.state && (!head || taken.exists() || (data.stateVersion || 0) >= seq)) {
+      return { retry: true };
+    }
 
-      // If the leaving player was the host, hand the host flag (and with it AI
-      // control) to the next active human. Clients pick this up on (re)join.
-      let lobbyData = data.lobbyData;
-      if (lobbyData?.players?.some(p => p.oderId === userId && p.isHost)) {
-        const surrenderedIds = new Set(
-          state.players.filter(p => p.surrendered).map(p => p.oderId)
-        );
-        const nextHost = lobbyData.players.find(
-          p => !p.isAI && p.oderId !== userId && !surrenderedIds.has(p.oderId)
-        );
-        if (nextHost) {
-          lobbyData = {
-            ...lobbyData,
-            players: lobbyData.players.map(p => ({
-              ...p,
-              isHost: p.oderId === nextHost.oderId
-            }))
-          };
-        }
-      }
+    // Game never initialized (still 'starting' with no state): just remove
+    // the player from the roster so it drops off their list
+    if (!data.state) {
+      transaction.update(gameRef, {
+        playerUserIds: arrayRemove(userId),
+        updatedAt: serverTimestamp()
+      });
+      return { success: true, surrendered: false };
+    }
 
+    const previous = head.state;
+    const state = JSON.parse(JSON.stringify(previous));
+    const result = applySurrenderToState(state, userId);
+    if (!result.changed) {
+      // Not a player in the state (spectator?) — still remove from roster
       transaction.update(gameRef, {
-        state,
-        stateVersion: (data.stateVersion || 0) + 1,
-        currentPlayerId: result.currentPlayerId,
-        status,
-        lobbyData,
         playerUserIds: arrayRemove(userId),
         updatedAt: serverTimestamp()
       });
+      return { success: true, surrendered: false };
+    }
+
+    // If the game is over, or no human players remain (AI-only games
+    // can't continue — the host ran the AI), finish the game
+    const status = (result.gameOver || !result.humansRemain) ? 'finished' : (data.status || 'active');
 
-      return { success: true, surrendered: true, gameFinished: status === 'finished' };
+    // If the leaving player was the host, hand the host flag (and with it AI
+    // control) to the next active human. Clients pick this up on (re)join.
+    let lobbyData = data.lobbyData;
+    let hostId = data.hostId ?? null;
+    if (lobbyData?.players?.some(p => p.oderId === userId && p.isHost)) {
+      const surrenderedIds = new Set(
+        state.players.filter(p => p.surrendered).map(p => p.oderId)
+      );
+      const nextHost = lobbyData.players.find(
+        p => !p.isAI && p.oderId !== userId && !surrenderedIds.has(p.oderId)
+      );
+      if (nextHost) {
+        hostId = nextHost.oderId;
+        lobbyData = {
+          ...lobbyData,
+          players: lobbyData.players.map(p => ({
+            ...p,
+            isHost: p.oderId === nextHost.oderId
+          }))
+        };
+      }
+    }
+
+    transaction.set(nextActionRef, {
+      seq,
+      by: userId,
+      seat: userId,
+      types: ['surrender'],
+      patch: diffState(previous, state),
+      checksum: stateChecksum(state),
+      at: serverTimestamp()
+    });
+    transaction.update(gameRef, {
+      state: { ...state, diplomacy: data.state.diplomacy ?? null },
+      stateVersion: seq,
+      currentPlayerId: result.currentPlayerId,
+      status,
+      lobbyData,
+      ...(hostId ? { hostId } : {}),
+      playerUserIds: arrayRemove(userId),
+      updatedAt: serverTimestamp()
     });
 
-    return outcome;
-  } catch (error) {
-    console.error('[Surrender] leaveGame failed:', error);
-    return { success: false, error: error.message };
-  }
+    // The final state goes back with the answer so the match can be recorded
+    return { success: true, surrendered: true, gameFinished: status === 'finished', state };
+  });
 }
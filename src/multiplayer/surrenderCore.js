@@ -28,6 +28,13 @@ export function applySurrenderToState(state, oderId) {
   player.surrendered = true;
   result.changed = true;
 
+  // Announced in the turn summary and as a chat system line
+  state.turnEvents = [...(state.turnEvents || []), {
+    type: 'surrender',
+    playerId: player.id,
+    timestamp: Date.now()
+  }];
+
   // Neutralize territories; a surrendered player's capital no longer counts
   // toward capital-victory thresholds
   const capital = state.playerState?.[player.id]?.capitalTerritory;
@@ -72,6 +79,8 @@ export function applySurrenderToState(state, oderId) {
     state.gameOver = true;
     state.winner = activePlayers[0].name;
     state.winCondition = 'Last player standing — all others surrendered';
+    state.winnerIds = [activePlayers[0].id];
+    state.victoryType = 'surrender';
     result.gameOver = true;
   } else if (activePlayers.length === 0) {
     state.gameOver = true;
@@ -1,9 +1,14 @@
 // Sync Manager for Tactical Risk multiplayer
-// Handles real-time game state synchronization via Firestore
+// Handles real-time game state synchronization via Firestore: each change is
+// appended to the game's action log, and the game doc holds a periodic full
+// snapshot (actionSync.js)
 
 import {
   doc,
+  collection,
   getDoc,
+  getDocs,
+  setDoc,
   updateDoc,
   onSnapshot,
   runTransaction,
@@ -11,26 +16,60 @@ import {
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
 import { getFirebaseDb } from './firebase.js';
 import { getAuthManager } from './auth.js';
-import { GAME_VERSION, compareGameVersions } from '../version.js';
+import { GAME_VERSION, syncCompatibility } from '../version.js';
 import { createPushQueue } from './pushCoalesce.js';
 import { shouldApplyRemoteGameState } from '../state/placementPass.js';
+import {
+  replicatedState,
+  diffState,
+  stateChecksum,
+  shouldSnapshot,
+  planCatchUp,
+  replayActions,
+  applyStatePatch,
+  actionTypes,
+  MAX_CHECKSUM_MISMATCHES,
+} from './actionSync.js';
+import { actionRef, loadActionsAfter, subscribeActionsAfter } from './actionLog.js';
+import { findIllegalAction, boardOf } from './transitionValidator.js';
+import { spectatorSnapshotFields, spectatorView } from './spectatorPolicy.js';
 import {
   shouldReplaceSnapshotListener,
   shouldResumeSnapshots,
 } from './presencePolicy.js';
 
+const MAX_ROLLBACK_ATTEMPTS = 5;
+// Checksums of recent actions the authority verified, to hold snapshots to
+const VERIFIED_CHECKSUMS_KEPT = 200;
+
 export class SyncManager {
   constructor(gameId, gameState) {
     this.db = getFirebaseDb();
     this.authManager = getAuthManager();
     this.gameId = gameId;
     this.gameState = gameState;
-    this.localVersion = 0;
+    this.localVersion = 0; // seq of the last action applied here
+    // Replicated state at localVersion, as every client holds it: only ever
+    // advanced by our own confirmed pushes or by applying remote patches
+    this._syncedState = null;
     this.isActivePlayer = false;
     this.isHost = false; // Whether this client is the game host
     this.isPushing = false;
     this.isLoadingRemoteState = false; // Flag to prevent push during remote state load
     this.unsubscribe = null;
+    this._unsubscribeActions = null;
+    this._catchUpRun = null; // serializes catch-ups
+    this._catchUpAfterPush = false; // actions arrived while we were pushing
+    this._transitionRules = null; // set on clients that may be the authority
+    this._pendingRollback = null; // { state, rejected, attempts } until appended
+    this._hostId = null; // runs AI seats (game doc hostId)
+    // When this client last started checking as the authority; AI-seat
+    // actions from before then may have come from a failover
+    this._authoritySince = null;
+    this._verifiedChecksums = new Map(); // seq → { checksum, by } the authority replayed itself
+    this._remoteSnapshot = null; // { seq, checksum } of the game doc's latest snapshot
+    this.spectatorMode = 'live'; // lobby setting (spectatorPolicy.js)
+    this.spectating = false; // read-only: this client holds no seat
     this._listeners = [];
     this._pendingPush = null;
     // Serialize + coalesce pushes. A Done/pass waiter must wait for the
@@ -42,29 +81,44 @@ export class SyncManager {
         return await this._runPushWithRetry();
       } finally {
         this.isPushing = false;
+        if (this._catchUpAfterPush) {
+          this._catchUpAfterPush = false;
+          this._catchUp();
+        }
       }
     });
-    this._versionOutdatedNotified = false; // fire the refresh banner at most once
+    this._archivedSeq = 0; // last replay event this client wrote to the archive
+    // { compatibility, remoteVersion, localVersion } once a game doc this
+    // client cannot sync with is seen; no writes after that
+    this.versionMismatch = null;
+    this._checksumMismatches = 0; // snapshot reloads in a row that still diverged
+    this._resyncFrom = null; // seq we follow unchecked from until a snapshot covers it
     this._lifecycleBound = false;
     this._snapshotLive = false;
     this._onLifecycleHide = () => this._flushOnHide();
     this._onLifecycleResume = (event) => this._resumeSnapshots(event);
+    // Back from a dropped connection: a failover may have run the AI meanwhile
+    this._onReconnect = () => { this._authoritySince = null; };
   }
 
   // Dimension C (version-upgrade robustness): every game doc records the
-  // clientVersion that last wrote it. If we ever load a doc written by a
-  // strictly-newer app version, a redeploy happened while this tab stayed open —
-  // surface a one-shot 'version_outdated' event so the UI can prompt a refresh.
-  // Older clients simply ignore the extra doc-level field, and a missing/garbled
-  // stamp never triggers the banner (compareGameVersions fails safe).
+  // clientVersion that last wrote its snapshot. A doc we cannot sync with
+  // (syncCompatibility) is refused: we do not load it, and mid-game we stop
+  // following and writing it. Written by a strictly-newer app version means a
+  // redeploy happened while this tab stayed open ('version_outdated': prompt a
+  // refresh); written before MIN_SYNC_VERSION means whole-state pushes this
+  // client never reads ('version_mismatch'). A doc without a snapshot yet
+  // (lobby start) passes. Returns false once refused.
   _checkRemoteVersion(newData) {
-    if (this._versionOutdatedNotified) return;
-    const remote = newData?.clientVersion;
-    if (remote && compareGameVersions(remote, GAME_VERSION) > 0) {
-      this._versionOutdatedNotified = true;
-      console.warn(`[Sync] Doc written by newer client ${remote} (we are ${GAME_VERSION}) — prompting refresh`);
-      this._notifyListeners('version_outdated', { remoteVersion: remote, localVersion: GAME_VERSION });
-    }
+    if (this.versionMismatch) return false;
+    if (!newData?.state) return true;
+    const remoteVersion = newData.clientVersion ?? null;
+    const compatibility = syncCompatibility(remoteVersion);
+    if (compatibility === 'ok') return true;
+    this.versionMismatch = { compatibility, remoteVersion, localVersion: GAME_VERSION };
+    console.warn(`[Sync] Doc written by ${compatibility} client ${remoteVersion} (we are ${GAME_VERSION}) — not syncing`);
+    this._notifyListeners(compatibility === 'newer' ? 'version_outdated' : 'version_mismatch', this.versionMismatch);
+    return false;
   }
 
   // Set whether this client is the host (controls AI players)
@@ -80,6 +134,7 @@ export class SyncManager {
 
   // True if this client may act for AI players (host, or failover authority)
   hasAIAuthority() {
+    if (this.spectating) return false;
     if (this.isHost) return true;
     try {
       return this.authorityCheck ? this.authorityCheck() === true : false;
@@ -88,6 +143,28 @@ export class SyncManager {
     }
   }
 
+  // Rules other seats' actions are checked against while this client is the
+  // authority (transitionValidator.js)
+  setTransitionRules(unitDefs, continents = []) {
+    this._transitionRules = { unitDefs, ...boardOf(this.gameState.territories, continents) };
+  }
+
+  // Every client passes the lobby's spectator setting in: the seat that
+  // passes the turn keeps the board delayed spectators see
+  setSpectatorMode(mode) {
+    this.spectatorMode = mode || 'live';
+  }
+
+  // Watch without a seat: never push, never act for AI, and in a delayed
+  // game follow the turn-start board instead of the action log
+  setSpectating(spectating) {
+    this.spectating = !!spectating;
+  }
+
+  _isDelayedSpectator() {
+    return this.spectating && this.spectatorMode === 'delayed';
+  }
+
   // Get current user ID
   get userId() {
     return this.authManager.getUserId();
@@ -130,16 +207,22 @@ export class SyncManager {
     }
 
     const data = snapshot.data();
-    this.localVersion = data.stateVersion || 0;
+    if (!this._checkRemoteVersion(data)) return false;
+    this._adoptSnapshot(data);
 
     // If state exists, load it
-    if (data.state) {
-      this.gameState.loadFromJSON(data.state);
+    const view = this._snapshotView(data);
+    if (view) {
+      this.gameState.loadFromJSON(view.state);
     }
 
     // Determine if we're the active player
     this._updateActivePlayer(data.currentPlayerId);
 
+    // The snapshot trails the action log by up to SNAPSHOT_INTERVAL actions
+    if (view) await this._catchUp({ notify: false });
+    await this._restoreDiceSecret();
+
     this._ensureGameSnapshot();
     return true;
   }
@@ -164,7 +247,9 @@ export class SyncManager {
       }
 
       const data = snapshot.data();
-      if (data.state && data.stateVersion > 0) {
+      if (!this._checkRemoteVersion(data)) return false;
+      const view = this._snapshotView(data);
+      if (view && data.stateVersion > 0) {
         // State is available, load it
         console.log('[Sync] State received from Firebase:');
         console.log(`  stateVersion: ${data.stateVersion}`);
@@ -172,11 +257,12 @@ export class SyncManager {
         console.log(`  currentPlayerIndex in state: ${data.state.currentPlayerIndex}`);
         console.log(`  players in state:`, data.state.players?.map((p, i) => `[${i}] ${p.name} (oderId: ${p.oderId})`));
 
-        this.localVersion = data.stateVersion;
+        this._adoptSnapshot(data);
         this.isLoadingRemoteState = true;
-        this.gameState.loadFromJSON(data.state);
+        this.gameState.loadFromJSON(view.state);
         this.isLoadingRemoteState = false;
         this._updateActivePlayer(data.currentPlayerId);
+        await this._catchUp({ notify: false });
 
         console.log(`[Sync] After load - currentPlayer: ${this.gameState.currentPlayer?.name} (oderId: ${this.gameState.currentPlayer?.oderId})`);
 
@@ -198,6 +284,10 @@ export class SyncManager {
       this.unsubscribe();
       this.unsubscribe = null;
     }
+    if (this._unsubscribeActions) {
+      this._unsubscribeActions();
+      this._unsubscribeActions = null;
+    }
     this._snapshotLive = false;
     this._unbindLifecycleFlush();
   }
@@ -221,6 +311,8 @@ export class SyncManager {
       this.unsubscribe = null;
     }
     this._snapshotLive = false;
+    this._authoritySince = null;
+    this._attachActionsListener();
     this.unsubscribe = onSnapshot(gameRef, (snapshot) => {
       this._snapshotLive = true;
       if (!snapshot.exists()) {
@@ -230,7 +322,14 @@ export class SyncManager {
 
       const newData = snapshot.data();
       console.log(`[Sync] onSnapshot: version=${newData.stateVersion}, localVersion=${this.localVersion}, isPushing=${this.isPushing}, currentPlayerId=${newData.currentPlayerId}`);
-      this._checkRemoteVersion(newData);
+      if (!this._checkRemoteVersion(newData)) return;
+
+      if (this._isDelayedSpectator()) {
+        this._showTurnStart(newData);
+        return;
+      }
+      this._hostId = newData.hostId || newData.startedBy || null;
+      this._noteRemoteSnapshot(newData);
 
       if (this.isPushing) {
         if (newData.currentPlayerId !== this._lastCurrentPlayerId) {
@@ -239,20 +338,23 @@ export class SyncManager {
         return;
       }
 
-      if (this._shouldApplyRemote(newData)) {
-        console.log(`[Sync] Loading remote state: ${this.localVersion} -> ${newData.stateVersion}, seat ${this._lastCurrentPlayerId} -> ${newData.currentPlayerId}`);
-        this.localVersion = Math.max(this.localVersion, newData.stateVersion || 0);
-        if (newData.state) {
-          this.isLoadingRemoteState = true;
-          this.gameState.loadFromJSON(newData.state);
-          this.isLoadingRemoteState = false;
+      // Diplomacy is written out of turn without a version bump
+      this._mergeRemoteDiplomacy(newData.state?.diplomacy);
+
+      if (this._resyncFrom !== null && newData.stateVersion >= this._resyncFrom) {
+        // A snapshot past the action we could not verify: take it whole
+        this._catchUp({ fromSnapshot: true });
+      } else if (this._shouldApplyRemote(newData)) {
+        // A newer snapshot (or a seat change) means actions we have not
+        // applied yet; the actions listener usually got there first
+        console.log(`[Sync] Snapshot ahead: ${this.localVersion} -> ${newData.stateVersion}, seat ${this._lastCurrentPlayerId} -> ${newData.currentPlayerId}`);
+        this._catchUp();
+      } else {
+        if (newData.currentPlayerId !== this._lastCurrentPlayerId) {
+          console.log(`[Sync] Turn changed without version bump: ${this._lastCurrentPlayerId} -> ${newData.currentPlayerId}`);
+          this._updateActivePlayer(newData.currentPlayerId);
+          this._notifyListeners('turn_changed', this._turnSnapshotPayload(newData.currentPlayerId));
         }
-        this._updateActivePlayer(newData.currentPlayerId);
-        this._notifyListeners('state_updated', this._turnSnapshotPayload(newData.currentPlayerId));
-      } else if (newData.currentPlayerId !== this._lastCurrentPlayerId) {
-        console.log(`[Sync] Turn changed without version bump: ${this._lastCurrentPlayerId} -> ${newData.currentPlayerId}`);
-        this._updateActivePlayer(newData.currentPlayerId);
-        this._notifyListeners('turn_changed', this._turnSnapshotPayload(newData.currentPlayerId));
       }
     }, async (error) => {
       console.error('SyncManager: Subscription error — will re-attach on resume', error);
@@ -267,6 +369,237 @@ export class SyncManager {
     });
   }
 
+  // New actions from other seats. The query starts after whatever we hold
+  // when attached; catch-up skips anything already applied.
+  _attachActionsListener() {
+    if (this._unsubscribeActions) {
+      this._unsubscribeActions();
+      this._unsubscribeActions = null;
+    }
+    if (this._isDelayedSpectator()) return;
+    this._unsubscribeActions = subscribeActionsAfter(this.db, this.gameId, this.localVersion, (added) => {
+      const actions = added.filter(action => action.seq > this.localVersion);
+      if (actions.length === 0) return;
+      if (this.isPushing) {
+        // Our own append may be among them; sort it out once the push settles
+        this._catchUpAfterPush = true;
+        return;
+      }
+      this._catchUp({ actions });
+    }, (error) => {
+      console.error('SyncManager: Action log subscription error', error);
+      this._unsubscribeActions = null;
+    });
+  }
+
+  // The board this client loads from a game doc: the snapshot, or for a
+  // delayed spectator the turn-start copy
+  _snapshotView(data) {
+    return spectatorView(data, this._isDelayedSpectator() ? 'delayed' : 'live');
+  }
+
+  // Take the game doc's snapshot as the base the action log replays onto
+  _adoptSnapshot(data) {
+    const view = this._snapshotView(data);
+    this.localVersion = view?.version || 0;
+    this._syncedState = view ? replicatedState(view.state) : null;
+    this._hostId = data.hostId || data.startedBy || null;
+  }
+
+  // Delayed spectator: a newer turn-start board replaces the one shown
+  _showTurnStart(data) {
+    const view = this._snapshotView(data);
+    if (!view || view.version <= this.localVersion) return;
+    this._adoptSnapshot(data);
+    this._loadReplicated(this._syncedState);
+    const currentPlayerId = this.gameState.currentPlayer?.oderId || null;
+    this._updateActivePlayer(currentPlayerId);
+    this._notifyListeners('state_updated', this._turnSnapshotPayload(currentPlayerId));
+  }
+
+  // Bring the local game up to the head of the action log. Runs one at a
+  // time. `actions` (from the listener) saves a read when they follow on
+  // from localVersion; force reloads the synced state even when nothing is
+  // new, dropping local changes that were never committed; fromSnapshot
+  // starts again from the game doc's snapshot.
+  _catchUp(options = {}) {
+    const run = (this._catchUpRun || Promise.resolve())
+      .then(() => this._runCatchUp(options))
+      .catch((error) => {
+        console.error('[Sync] Catch-up failed', error);
+        return false;
+      });
+    this._catchUpRun = run;
+    return run;
+  }
+
+  async _runCatchUp({ actions = null, force = false, notify = true, fromSnapshot = false } = {}) {
+    if (!this.db || !this.gameId || this._isDelayedSpectator()) return false;
+    const from = this.localVersion;
+    const base = this._syncedState;
+    let result = null;
+    let applied = [];
+    let checkBase = base; // the state the actions to check start from
+    let verified = true; // replayed on top of state we already hold
+
+    if (!fromSnapshot) {
+      let plan = planCatchUp(from, actions || []);
+      if (!actions || plan.gap || plan.apply.length === 0) {
+        plan = planCatchUp(from, await loadActionsAfter(this.db, this.gameId, from));
+      }
+      if (!plan.gap && base) result = replayActions(base, from, plan.apply);
+      applied = plan.apply;
+    }
+
+    if (!result || result.diverged) {
+      // Missed actions, or our copy disagrees with the writer's checksum:
+      // start again from the game doc's snapshot
+      if (result?.diverged) console.warn(`[Sync] Checksum mismatch at action ${result.diverged} — reloading snapshot`);
+      const reloaded = await this._replayFromSnapshot();
+      if (!reloaded) return false;
+      ({ result, applied } = reloaded);
+      verified = false;
+      // Actions we had already checked only move the snapshot on
+      checkBase = reloaded.snapshot;
+      for (const action of applied) {
+        if (action.seq <= from) checkBase = applyStatePatch(checkBase, action.patch);
+      }
+    } else if (result.seq === from && !force) {
+      return false;
+    }
+    applied = applied.filter(action => action.seq <= result.seq);
+    if (verified) applied.forEach(action => this._noteVerified(action));
+
+    console.log(`[Sync] Caught up: v${from} -> v${result.seq}${force ? ' (force)' : ''}`);
+    this.localVersion = result.seq;
+    this._syncedState = result.state;
+    this._loadReplicated(result.state);
+    const currentPlayerId = this.gameState.currentPlayer?.oderId || null;
+    this._updateActivePlayer(currentPlayerId);
+    if (notify) {
+      this._notifyListeners('state_updated', this._turnSnapshotPayload(currentPlayerId));
+    }
+    for (const action of applied) {
+      if (action.rejected) {
+        this._notifyListeners('action_rejected', { ...action.rejected, mine: action.rejected.by === this.userId });
+      }
+    }
+    this._checkRemoteActions(checkBase, applied.filter(action => action.seq > from));
+    return true;
+  }
+
+  // The game doc's snapshot plus the actions after it. An action that does
+  // not match its writer's checksum even from there stops the replay before
+  // it; after MAX_CHECKSUM_MISMATCHES such stops in a row we follow the log
+  // unchecked instead of staying stuck, and resync from the first snapshot
+  // at or past that action (our own next push writes one).
+  async _replayFromSnapshot() {
+    const snapshot = await getDoc(doc(this.db, 'games', this.gameId));
+    if (!snapshot.exists() || !snapshot.data().state) return null;
+    const data = snapshot.data();
+    const snapshotSeq = data.stateVersion || 0;
+    const { apply } = planCatchUp(snapshotSeq, await loadActionsAfter(this.db, this.gameId, snapshotSeq));
+    const state = replicatedState(data.state);
+    let result = replayActions(state, snapshotSeq, apply);
+    if (!result.diverged) {
+      if (this._resyncFrom !== null) console.log(`[Sync] Resynced from snapshot v${snapshotSeq}`);
+      this._checksumMismatches = 0;
+      this._resyncFrom = null;
+      return { result, applied: apply, snapshot: state };
+    }
+    this._checksumMismatches++;
+    console.warn(`[Sync] Action ${result.diverged} does not match its checksum — stopping at ${result.seq} (${this._checksumMismatches}/${MAX_CHECKSUM_MISMATCHES})`);
+    if (this._checksumMismatches >= MAX_CHECKSUM_MISMATCHES) {
+      this._resyncFrom = this._resyncFrom ?? result.diverged;
+      result = replayActions(state, snapshotSeq, apply, { verify: false });
+      console.warn(`[Sync] Following the log unchecked from action ${this._resyncFrom} until a snapshot covers it`);
+    }
+    return { result, applied: apply, snapshot: state };
+  }
+
+  // Authority client only: roll back the first illegal action another seat
+  // appended (transitionValidator.js). A rollback that lost the race to a
+  // newer action is re-sent on top of it.
+  _checkRemoteActions(base, applied) {
+    if (!this._transitionRules || !this.hasAIAuthority()) {
+      this._authoritySince = null;
+      return;
+    }
+    if (this._authoritySince === null) this._authoritySince = Date.now();
+    if (this._pendingRollback) {
+      if (++this._pendingRollback.attempts > MAX_ROLLBACK_ATTEMPTS) {
+        console.error('[Sync] Giving up on rollback of action', this._pendingRollback.rejected.seq);
+        this._pendingRollback = null;
+        return;
+      }
+      this._loadReplicated(this._pendingRollback.state);
+      this.pushStateNow();
+      return;
+    }
+    if (this._checkSnapshot() || !base) return;
+    const rules = {
+      ...this._transitionRules,
+      authorityIds: [this._hostId, this.userId].filter(Boolean),
+      authoritySince: this._authoritySince
+    };
+    const illegal = findIllegalAction(base, applied, rules, this.userId);
+    if (!illegal) return;
+    const { action, reasons, before } = illegal;
+    console.warn(`[Sync] Rolling back action ${action.seq} by ${action.by}: ${reasons.join('; ')}`);
+    this._pendingRollback = { state: before, rejected: { seq: action.seq, by: action.by || null, reasons }, attempts: 0 };
+    this._loadReplicated(before);
+    // Not awaited: this may run inside the push queue (stale-push catch-up)
+    this.pushStateNow();
+  }
+
+  // An action whose checksum we reproduced (or wrote): the state the log
+  // gives at its seq, which snapshots are held to
+  _noteVerified({ seq, checksum, by }) {
+    this._verifiedChecksums.set(seq, { checksum, by: by || null });
+    for (const old of this._verifiedChecksums.keys()) {
+      if (this._verifiedChecksums.size <= VERIFIED_CHECKSUMS_KEPT) break;
+      this._verifiedChecksums.delete(old);
+    }
+  }
+
+  // Authority client only: note a new game-doc snapshot to check
+  _noteRemoteSnapshot(data) {
+    if (!this._transitionRules || !this.hasAIAuthority() || !data.state) return;
+    const seq = data.stateVersion || 0;
+    if (seq === this._remoteSnapshot?.seq) return;
+    this._remoteSnapshot = { seq, checksum: stateChecksum(replicatedState(data.state)) };
+    if (!this.isPushing && !this._pendingRollback) this._checkSnapshot();
+  }
+
+  // Clients that reload start from the game doc's snapshot, so it must be the
+  // state the action log gives at its seq. One that is not was written by
+  // hand: roll it back to our own state, with a fresh snapshot. True when
+  // that was sent.
+  _checkSnapshot() {
+    const snapshot = this._remoteSnapshot;
+    const verified = snapshot && this._verifiedChecksums.get(snapshot.seq);
+    if (!verified || verified.checksum === snapshot.checksum) return false;
+    console.warn(`[Sync] Snapshot v${snapshot.seq} does not match the action log — writing ours`);
+    this._remoteSnapshot = null;
+    const reasons = ['The saved board did not match the action log'];
+    this._pendingRollback = { state: this._syncedState, rejected: { seq: snapshot.seq, by: verified.by, reasons }, attempts: 0 };
+    this._loadReplicated(this._syncedState);
+    this.pushStateNow();
+    return true;
+  }
+
+  // Load a replicated state into the game without triggering a push. Pacts
+  // are not in the action log, so the local pact book stays.
+  _loadReplicated(state) {
+    const diplomacy = this.gameState.diplomacy;
+    this.isLoadingRemoteState = true;
+    try {
+      this.gameState.loadFromJSON(JSON.parse(JSON.stringify({ ...state, diplomacy })));
+    } finally {
+      this.isLoadingRemoteState = false;
+    }
+  }
+
   _resumeSnapshots(event) {
     const persisted = !!(event && event.persisted);
     const visible = typeof document === 'undefined'
@@ -288,6 +621,7 @@ export class SyncManager {
     document.addEventListener('visibilitychange', this._onLifecycleHide);
     window.addEventListener('pageshow', this._onLifecycleResume);
     document.addEventListener('visibilitychange', this._onLifecycleResume);
+    window.addEventListener('online', this._onReconnect);
   }
 
   _unbindLifecycleFlush() {
@@ -296,6 +630,7 @@ export class SyncManager {
     document.removeEventListener('visibilitychange', this._onLifecycleHide);
     window.removeEventListener('pageshow', this._onLifecycleResume);
     document.removeEventListener('visibilitychange', this._onLifecycleResume);
+    window.removeEventListener('online', this._onReconnect);
     this._lifecycleBound = false;
   }
 
@@ -395,7 +730,7 @@ export class SyncManager {
   // which includes the follow-up write of the post-Done state — not just the
   // in-flight pre-Done place write.
   async _doPush() {
-    if (!this.db || !this.gameId) return false;
+    if (!this.db || !this.gameId || this.spectating || this.versionMismatch) return false;
     return this._pushQueue.enqueue();
   }
 
@@ -423,6 +758,7 @@ export class SyncManager {
 
         // status === 'ok'
         this.localVersion = outcome.version;
+        this._archiveEvents();
         if (outcome.currentPlayerId !== this._lastCurrentPlayerId) {
           this._updateActivePlayer(outcome.currentPlayerId);
         }
@@ -459,41 +795,193 @@ export class SyncManager {
     return false;
   }
 
-  // A single transaction-guarded write attempt. Never clobbers a state newer
-  // than the one this client is based on: two clients pushing concurrently
-  // (stale tab, or a host/active-player race) would otherwise overwrite each
-  // other since both stamp localVersion + 1. Returns a status object; a thrown
-  // transaction error propagates to the retry loop.
+  // A single transaction-guarded append of the next action. Never clobbers
+  // a change newer than the one this client is based on: two clients pushing
+  // concurrently (stale tab, or a host/active-player race) both aim at
+  // localVersion + 1, and only the first create of that action doc wins.
+  // At snapshot points (shouldSnapshot) the same transaction refreshes the
+  // game doc. Returns a status object; a thrown transaction error propagates
+  // to the retry loop.
   async _pushOnce() {
-    const gameRef = doc(this.db, 'games', this.gameId);
-    const state = this.gameState.toJSON();
+    const next = replicatedState(this.gameState.toJSON());
+    const prev = this._syncedState;
     const currentPlayer = this.gameState.currentPlayer;
     const currentPlayerId = currentPlayer?.oderId || null;
 
-    const pushedVersion = await runTransaction(this.db, async (transaction) => {
-      const snapshot = await transaction.get(gameRef);
-      if (!snapshot.exists()) return null;
+    // An authority rollback says which action it undoes and why; one that
+    // rewrites a bad snapshot may change nothing in the log itself
+    const rollback = this._pendingRollback;
+    const patch = diffState(prev, next);
+    if (patch.length === 0 && !rollback) return { status: 'ok', version: this.localVersion, currentPlayerId };
+
+    const seq = this.localVersion + 1;
+    // Resyncing: our copy is unverified, so write it whole for everyone.
+    // After a rollback everyone should be able to reload the state it restores.
+    const resyncing = this._resyncFrom !== null;
+    const snapshotPoint = !prev || resyncing || !!rollback || shouldSnapshot({ seq, prev, next });
+    const gameRef = doc(this.db, 'games', this.gameId);
+    const nextActionRef = actionRef(this.db, this.gameId, seq);
+    const action = {
+      seq,
+      by: this.userId || null,
+      seat: prev?.players?.[prev.currentPlayerIndex]?.oderId ?? this.userId ?? null,
+      // Replay events since the last push (place, purchase, move, combat, ...)
+      types: actionTypes(this.gameState.getEventLog?.(), this._archivedSeq),
+      patch,
+      checksum: stateChecksum(next),
+      at: serverTimestamp()
+    };
+    if (rollback) Object.assign(action, { types: ['rollback'], rejected: rollback.rejected });
+
+    const status = await runTransaction(this.db, async (transaction) => {
+      const taken = await transaction.get(nextActionRef);
+      // Reads before writes: the game doc is only needed for a snapshot
+      const snapshot = snapshotPoint ? await transaction.get(gameRef) : null;
+      if (snapshot && !snapshot.exists()) return 'gone';
+      if (taken.exists()) {
+        console.warn(`[Sync] Push aborted: action ${seq} already written by ${taken.data().by}`);
+        return 'stale';
+      }
 
-      const remoteVersion = snapshot.data().stateVersion || 0;
-      if (remoteVersion > this.localVersion) {
-        console.warn(`[Sync] Push aborted: remote v${remoteVersion} > local v${this.localVersion}`);
-        return -1;
+      transaction.set(nextActionRef, action);
+      if (snapshot) {
+        // Other seats may have written pacts since our last load — never drop them
+        this._mergeRemoteDiplomacy(snapshot.data().state?.diplomacy);
+        transaction.update(gameRef, {
+          state: { ...next, diplomacy: this.gameState.diplomacy ?? null },
+          stateVersion: seq,
+          currentPlayerId,
+          clientVersion: GAME_VERSION,
+          schemaVersion: next.version ?? null,
+          ...spectatorSnapshotFields({
+            mode: this.spectatorMode, seq, prev, next,
+            connections: name => this.gameState.getConnections(name)
+          }),
+          updatedAt: serverTimestamp()
+        });
       }
+      return 'ok';
+    });
 
-      transaction.update(gameRef, {
-        state,
-        stateVersion: remoteVersion + 1,
-        currentPlayerId,
-        clientVersion: GAME_VERSION,
-        schemaVersion: state.version ?? null,
-        updatedAt: serverTimestamp()
+    if (status !== 'ok') return { status };
+    this._noteVerified(action);
+    if (resyncing) {
+      this._checksumMismatches = 0;
+      this._resyncFrom = null;
+    }
+    if (rollback && this._pendingRollback === rollback) {
+      this._pendingRollback = null;
+      this._notifyListeners('action_rejected', { ...rollback.rejected, mine: false });
+    }
+    this._syncedState = next;
+    return { status: 'ok', version: seq, currentPlayerId };
+  }
+
+  // Online seeded dice: the secret lives in games/{id}/secrets/dice, which
+  // only the host may read until the game is finished (firestore.rules). The
+  // synced state carries just its commitment (diceStream.js).
+  _diceSecretRef() {
+    return doc(this.db, 'games', this.gameId, 'secrets', 'dice');
+  }
+
+  async _storeDiceSecret() {
+    const { diceSeed, diceSeedHash } = this.gameState;
+    if (!this.isHost || !diceSeedHash || !diceSeed) return false;
+    try {
+      await setDoc(this._diceSecretRef(), { seed: diceSeed, hash: diceSeedHash });
+      return true;
+    } catch (error) {
+      console.error('SyncManager: Could not store the dice secret', error);
+      return false;
+    }
+  }
+
+  // Host rejoining: take the secret back so AI battles keep to the stream
+  async _restoreDiceSecret() {
+    if (!this.isHost || this.spectating || !this.gameState.diceSeedHash || this.gameState.diceSeed) return false;
+    try {
+      const snapshot = await getDoc(this._diceSecretRef());
+      return snapshot.exists() && this.gameState.revealDiceSeed(snapshot.data().seed);
+    } catch (error) {
+      console.warn('SyncManager: Dice secret unavailable — AI dice roll unseeded', error);
+      return false;
+    }
+  }
+
+  // Diplomacy is the one part of the state any seat may change out of turn
+  // (proposals and answers). Write only the pact book, merged with the doc's
+  // copy, and leave stateVersion alone so the active player's next push is
+  // not made stale by it. Pacts merge record by record (diplomacy.js).
+  async pushDiplomacy() {
+    if (!this.db || !this.gameId || this.versionMismatch) return false;
+    const gameRef = doc(this.db, 'games', this.gameId);
+    try {
+      const written = await runTransaction(this.db, async (transaction) => {
+        const snapshot = await transaction.get(gameRef);
+        if (!snapshot.exists()) return false;
+        this._mergeRemoteDiplomacy(snapshot.data().state?.diplomacy);
+        transaction.update(gameRef, {
+          'state.diplomacy': this.gameState.diplomacy,
+          updatedAt: serverTimestamp()
+        });
+        return true;
       });
-      return remoteVersion + 1;
-    });
+      return written;
+    } catch (error) {
+      console.error('SyncManager: Diplomacy push failed', error);
+      return false;
+    }
+  }
 
-    if (pushedVersion === null) return { status: 'gone' };
-    if (pushedVersion === -1) return { status: 'stale' };
-    return { status: 'ok', version: pushedVersion, currentPlayerId };
+  // Merge without triggering the full-state push subscription in main.js
+  _mergeRemoteDiplomacy(remote) {
+    if (!remote) return false;
+    this.isLoadingRemoteState = true;
+    try {
+      return this.gameState.mergeDiplomacy(remote);
+    } finally {
+      this.isLoadingRemoteState = false;
+    }
+  }
+
+  // Replay events recorded here since the last archive, written to
+  // games/{id}/replay/r{round} keyed by seq. Writes merge, so a failed or
+  // repeated archive is harmless: it is retried after the next push.
+  // Archived events are dropped from memory to keep long games light.
+  async _archiveEvents() {
+    const log = this.gameState.getEventLog?.();
+    const pending = (log?.events || []).filter(e => e.seq > this._archivedSeq);
+    if (!this.db || !this.gameId || pending.length === 0) return false;
+
+    const byRound = new Map();
+    for (const event of pending) {
+      if (!byRound.has(event.round)) byRound.set(event.round, {});
+      // JSON round-trip drops undefined fields, which Firestore rejects
+      byRound.get(event.round)[event.seq] = JSON.parse(JSON.stringify(event));
+    }
+    try {
+      for (const [round, events] of byRound) {
+        const ref = doc(this.db, 'games', this.gameId, 'replay', `r${round}`);
+        await setDoc(ref, { round, events }, { merge: true });
+      }
+      this._archivedSeq = Math.max(this._archivedSeq, pending[pending.length - 1].seq);
+      // A remote load may have swapped the log object while we awaited
+      const current = this.gameState.getEventLog();
+      if (current) current.events = current.events.filter(e => e.seq > this._archivedSeq);
+      return true;
+    } catch (error) {
+      console.error('SyncManager: Replay archive failed (will retry after the next push)', error);
+      return false;
+    }
+  }
+
+  // Every archived replay event for this game, in seq order
+  async loadReplayEvents() {
+    if (!this.db || !this.gameId) return [];
+    const snapshot = await getDocs(collection(this.db, 'games', this.gameId, 'replay'));
+    const events = [];
+    snapshot.forEach((round) => events.push(...Object.values(round.data().events || {})));
+    return events.sort((a, b) => a.seq - b.seq);
   }
 
   // Exponential backoff with jitter (~150ms, ~300ms) between push retries.
@@ -505,34 +993,13 @@ export class SyncManager {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
-  // Re-fetch the game doc and apply it. Default: only if remote is newer
-  // (stale-push case). force=true also applies when versions are equal, which
-  // is the exhausted-retry case: local gameState has uncommitted mutations
-  // sitting on the same version the server still holds.
+  // Catch up with the action log and reload. Default: only if there is
+  // something newer (stale-push case). force=true also reloads when nothing
+  // is new, which is the exhausted-retry case: local gameState has
+  // uncommitted mutations sitting on the version the server still holds.
   async _reloadRemoteState({ force = false } = {}) {
     if (!this.db || !this.gameId) return;
-    try {
-      const snapshot = await getDoc(doc(this.db, 'games', this.gameId));
-      if (!snapshot.exists()) return;
-
-      const data = snapshot.data();
-      const remoteVersion = data.stateVersion || 0;
-      if (force || remoteVersion > this.localVersion) {
-        console.log(`[Sync] Reloading remote state: local v${this.localVersion} -> remote v${remoteVersion}${force ? ' (force)' : ''}`);
-        this.localVersion = remoteVersion;
-        if (data.state) {
-          this.isLoadingRemoteState = true;
-          this.gameState.loadFromJSON(data.state);
-          this.isLoadingRemoteState = false;
-        }
-        this._updateActivePlayer(data.currentPlayerId);
-        if (!force) {
-          this._notifyListeners('state_updated', this._turnSnapshotPayload(data.currentPlayerId));
-        }
-      }
-    } catch (error) {
-      console.error('[Sync] Reload after stale push failed', error);
-    }
+    await this._catchUp({ force, notify: !force });
   }
 
   // Force push (for game initialization by host)
@@ -543,7 +1010,9 @@ export class SyncManager {
 
     try {
       const gameRef = doc(this.db, 'games', this.gameId);
-      const state = this.gameState.toJSON();
+      const json = this.gameState.toJSON();
+      const synced = replicatedState(json);
+      const state = { ...synced, diplomacy: json.diplomacy ?? null };
 
       // Get current player's userId for turn tracking
       const currentPlayer = this.gameState.currentPlayer;
@@ -551,16 +1020,24 @@ export class SyncManager {
 
       await updateDoc(gameRef, {
         state,
+        // The snapshot the action log starts from
         stateVersion: 1,
         currentPlayerId,
         clientVersion: GAME_VERSION,
         schemaVersion: state.version ?? null,
+        ...spectatorSnapshotFields({
+          mode: this.spectatorMode, seq: 1, prev: null, next: synced,
+          connections: name => this.gameState.getConnections(name)
+        }),
         status: 'active',
         updatedAt: serverTimestamp()
       });
 
       this.localVersion = 1;
+      this._syncedState = synced;
       this._updateActivePlayer(currentPlayerId);
+      this._archiveEvents();
+      await this._storeDiceSecret();
 
       return true;
     } catch (error) {
@@ -590,6 +1067,7 @@ export class SyncManager {
   // the exact V2.55 failure). The cached flag stays true across that final push
   // because it only updates once the push confirms. AI authority may always push.
   canPushLocalChange() {
+    if (this.spectating || this.versionMismatch) return false;
     return this.isActivePlayer || this.hasAIAuthority();
   }
 
@@ -0,0 +1,517 @@
+// Rules check for incoming multiplayer actions (SPEC §9.2). No Firebase, no
+// GameState: works on the replicated states an action goes between
+// (actionSync.js), so the authority client and harnesses run the same code.
+//
+// The authority client (the one that runs AI seats) checks every action
+// another seat appends. An action that breaks a rule is undone by appending a
+// rollback action that restores the state before it, with the reasons, which
+// every client shows. Dice are not re-rolled here: a battle step is checked
+// for where units were lost and that nobody's forces grew, not for how the
+// dice fell.
+
+import {
+  GAME_PHASES,
+  TURN_PHASES,
+  TURN_PHASE_ORDER,
+  RISK_CARD_VALUES,
+  LONG_RANGE_AIR_BONUS,
+  CAPITAL_IPC_VALUE,
+} from '../state/gameState.js';
+import { applyStatePatch } from './actionSync.js';
+
+const GAME_PHASE_ORDER = [
+  GAME_PHASES.LOBBY,
+  GAME_PHASES.TERRITORY_DRAFT,
+  GAME_PHASES.CAPITAL_PLACEMENT,
+  GAME_PHASES.UNIT_PLACEMENT,
+  GAME_PHASES.PLAYING,
+];
+
+const MOVE_PHASES = [TURN_PHASES.COMBAT_MOVE, TURN_PHASES.NON_COMBAT_MOVE];
+// Movement techs add to aircraft range (LONG_RANGE_AIR_BONUS). Land units
+// may instead ride a transport: load, up to two more sea zones, unload.
+const TRANSPORTED_LAND_REACH = 4;
+// Captured with the land they stand on rather than destroyed
+const CAPTURABLE = ['factory', 'aaGun'];
+// A rocket does at most one die of damage
+const ROCKET_MAX_DAMAGE = 6;
+
+const quantityOf = unit => unit?.quantity ?? 1;
+
+// playerId → territory → type → count over the board (ships' cargo and
+// carried aircraft included), with bombers out on a raid counted where they
+// flew from. Factories and AA guns in `pooled` territories are counted
+// under '' instead: they change sides with the land.
+function countUnits(state, pooled = new Set()) {
+  const counts = {};
+  const add = (owner, territory, type, quantity) => {
+    counts[owner] = counts[owner] || {};
+    counts[owner][territory] = counts[owner][territory] || {};
+    counts[owner][territory][type] = (counts[owner][territory][type] || 0) + quantity;
+  };
+  for (const [territory, stacks] of Object.entries(state.units || {})) {
+    for (const unit of stacks || []) {
+      for (const u of [unit, ...(unit.cargo || []), ...(unit.aircraft || [])]) {
+        if (!u?.owner || !u.type) continue;
+        const owner = pooled.has(territory) && CAPTURABLE.includes(u.type) ? '' : u.owner;
+        add(owner, territory, u.type, quantityOf(u));
+      }
+    }
+  }
+  for (const raid of state.bombingRaids || []) {
+    if (!raid?.owner) continue;
+    for (const [origin, quantity] of Object.entries(raid.origins || {})) add(raid.owner, origin, 'bomber', quantity);
+  }
+  return counts;
+}
+
+// type → count over all of one player's territories
+function totalsOf(byTerritory = {}) {
+  const totals = {};
+  for (const types of Object.values(byTerritory)) {
+    for (const [type, count] of Object.entries(types)) totals[type] = (totals[type] || 0) + count;
+  }
+  return totals;
+}
+
+// type → count of a player's pending purchases, and what they cost
+function purchasesOf(state, playerId, unitDefs) {
+  const counts = {};
+  let cost = 0;
+  for (const p of state.pendingPurchases || []) {
+    if (p.owner && p.owner !== playerId) continue;
+    counts[p.type] = (counts[p.type] || 0) + (p.quantity || 0);
+    cost += (p.quantity || 0) * (p.cost ?? unitDefs?.[p.type]?.cost ?? 0);
+  }
+  return { counts, cost };
+}
+
+function poolOf(state, playerId) {
+  const counts = {};
+  for (const entry of state.unitsToPlace?.[playerId] || []) {
+    counts[entry.type] = (counts[entry.type] || 0) + (entry.quantity || 0);
+  }
+  return counts;
+}
+
+const ipcsOf = (state, playerId) => state.playerState?.[playerId]?.ipcs ?? 0;
+const nameOf = (state, playerId) => state.players?.find(p => p.id === playerId)?.name
+  || playerId || 'a captured territory';
+const ownerOf = (state, territory) => state.territoryState?.[territory]?.owner ?? null;
+// Action timestamps are Firestore Timestamps online, numbers in harnesses
+const millisOf = at => (typeof at?.toMillis === 'function' ? at.toMillis() : Number(at ?? NaN));
+
+const isPlaying = (prev, next) => prev.phase === GAME_PHASES.PLAYING && next.phase === GAME_PHASES.PLAYING;
+const sameTurn = (prev, next) => prev.round === next.round && prev.currentPlayerIndex === next.currentPlayerIndex;
+// A step into, within or out of the battles of one turn
+const isBattle = (prev, next) => isPlaying(prev, next) && sameTurn(prev, next)
+  && (prev.turnPhase === TURN_PHASES.COMBAT || next.turnPhase === TURN_PHASES.COMBAT);
+
+// Territories whose owner differs between the two states
+function changedHandsIn(prev, next) {
+  const names = new Set([...Object.keys(prev.territoryState || {}), ...Object.keys(next.territoryState || {})]);
+  return new Set([...names].filter(name => ownerOf(prev, name) !== ownerOf(next, name)));
+}
+
+// Turn events this step added (the list only grows over a game)
+function newTurnEvents(prev, next) {
+  const events = next.turnEvents || [];
+  const seen = (prev.turnEvents || []).length;
+  return events.length >= seen ? events.slice(seen) : events;
+}
+
+// What a player collects at the end of their turn in `state`: owned land
+// (a capital at CAPITAL_IPC_VALUE) plus every continent held whole
+function incomeOf(state, playerId, { production = {}, continents = [] }) {
+  const capital = state.playerState?.[playerId]?.capitalTerritory;
+  let income = 0;
+  for (const name of Object.keys(state.territoryState || {})) {
+    if (ownerOf(state, name) !== playerId) continue;
+    income += name === capital ? CAPITAL_IPC_VALUE : (production[name] || 0);
+  }
+  for (const continent of continents) {
+    const held = continent.territories?.length && continent.territories.every(name => ownerOf(state, name) === playerId);
+    if (held) income += continent.bonus || 0;
+  }
+  return income;
+}
+
+// IPCs a player's card trades in this step paid out
+function cardTradeValue(prev, next, playerId) {
+  let value = 0;
+  for (let n = prev.cardTradeCount?.[playerId] || 0; n < (next.cardTradeCount?.[playerId] || 0); n++) {
+    value += RISK_CARD_VALUES[Math.min(n, RISK_CARD_VALUES.length - 1)];
+  }
+  return value;
+}
+
+// playerId → their IPCs before, for every capital the seat to move took in
+// this step. GameState.handleCapitalCapture hands the treasury over and
+// marks it captured, possibly a notify after the land changed hands.
+function capitalsTaken(prev, next, actingId) {
+  const taken = new Map();
+  for (const [playerId, state] of Object.entries(prev.playerState || {})) {
+    const capital = state?.capitalTerritory;
+    if (playerId === actingId || !capital || ownerOf(next, capital) !== actingId) continue;
+    const marked = !state.capitalCaptured && next.playerState?.[playerId]?.capitalCaptured;
+    if (ownerOf(prev, capital) !== actingId || marked) taken.set(playerId, state.ipcs || 0);
+  }
+  return taken;
+}
+
+// Territories within `limit` hops of `from`, only passing through the ones
+// `through` allows
+function reachableFrom(from, limit, connections, through = () => true) {
+  const seen = new Set([from]);
+  let frontier = [from];
+  for (let d = 1; d <= limit && frontier.length; d++) {
+    const next = [];
+    for (const name of frontier) {
+      if (name !== from && !through(name)) continue;
+      for (const neighbour of connections[name] || []) {
+        if (!seen.has(neighbour)) {
+          seen.add(neighbour);
+          next.push(neighbour);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return seen;
+}
+
+function inReach(from, to, unitDef, { connections, water = new Set() }) {
+  const movement = unitDef?.movement ?? 0;
+  if (unitDef?.isAir) return reachableFrom(from, movement + LONG_RANGE_AIR_BONUS, connections).has(to);
+  if (!unitDef?.isLand) return reachableFrom(from, movement, connections).has(to);
+  return reachableFrom(from, movement, connections, name => !water.has(name)).has(to)
+    || reachableFrom(from, TRANSPORTED_LAND_REACH, connections, name => water.has(name)).has(to);
+}
+
+// Who may write this action: the seat to move, or a player surrendering
+// their own seat. AI seats and timed-out turns are played by the authority
+// client, so those actions must come from rules.authorityIds — or, if written
+// before rules.authoritySince (while this client was away and a failover ran
+// the AI), from a seated human.
+function checkTurn(prev, next, { by, types, at }, rules, reasons) {
+  const seat = prev.players?.[prev.currentPlayerIndex];
+  if (!seat || seat.oderId === by) return;
+  const writer = next.players?.find(p => p.oderId === by);
+  if (types.includes('surrender') && writer?.surrendered) return;
+  if (seat.isAI || prev.turnClock?.expired === seat.id || types.includes('timeout')) {
+    if ((rules.authorityIds || []).includes(by)) return;
+    const seated = prev.players?.some(p => p.oderId === by && !p.isAI && !p.surrendered);
+    if (seated && millisOf(at) < (rules.authoritySince ?? -Infinity)) return;
+    reasons.push(`Only the host may play ${seat.name || 'an AI seat'}'s turn`);
+    return;
+  }
+  reasons.push(`It was ${seat.name || 'another player'}'s turn`);
+}
+
+function checkPhaseOrder(prev, next, reasons) {
+  const from = GAME_PHASE_ORDER.indexOf(prev.phase);
+  const to = GAME_PHASE_ORDER.indexOf(next.phase);
+  if (from >= 0 && to >= 0 && to < from) {
+    reasons.push(`The game went back from ${prev.phase} to ${next.phase}`);
+    return;
+  }
+  if (prev.gameOver && !next.gameOver) reasons.push('A finished game was reopened');
+  if (prev.phase !== GAME_PHASES.PLAYING || next.phase !== GAME_PHASES.PLAYING) return;
+
+  const sameTurn = prev.round === next.round && prev.currentPlayerIndex === next.currentPlayerIndex;
+  if (sameTurn) {
+    if (TURN_PHASE_ORDER.indexOf(next.turnPhase) < TURN_PHASE_ORDER.indexOf(prev.turnPhase)) {
+      reasons.push(`The turn went back from ${prev.turnPhase} to ${next.turnPhase}`);
+    }
+  } else {
+    const forward = next.round === prev.round
+      ? next.currentPlayerIndex > prev.currentPlayerIndex
+      : next.round === prev.round + 1 && next.currentPlayerIndex <= prev.currentPlayerIndex;
+    if (!forward) reasons.push('Turn order was skipped or rewound');
+  }
+  if (next.turnPhase === TURN_PHASES.NON_COMBAT_MOVE && prev.turnPhase !== TURN_PHASES.NON_COMBAT_MOVE
+    && sameTurn && (next.combatQueue || []).length > 0) {
+    reasons.push('Battles were left unresolved');
+  }
+}
+
+// IPCs never go negative. The seat to move gains no more than the step
+// pays: income when its turn ends, card trades while it shops, a captured
+// capital's treasury and refunds. Everyone else only loses IPCs, to a
+// captured capital or to exactly the damage the step's raids and rockets
+// log. While shopping every IPC spent is in the pending purchases.
+function checkIpcs(prev, next, actingId, counts, rules, reasons) {
+  const { unitDefs } = rules;
+  const playing = isPlaying(prev, next);
+  const shopping = playing && sameTurn(prev, next)
+    && prev.turnPhase === TURN_PHASES.PURCHASE && next.turnPhase === TURN_PHASES.PURCHASE;
+  const taken = capitalsTaken(prev, next, actingId);
+
+  // IPCs the step's raids and rockets cost each player
+  const damage = {};
+  const events = newTurnEvents(prev, next).filter(ev => ev?.playerId === actingId);
+  for (const ev of events.filter(e => e.type === 'bombing_raid')) {
+    if (!(prev.bombingRaids || []).some(r => r.target === ev.territory && r.owner === actingId)) {
+      reasons.push(`No bombing raid on ${ev.territory} was under way`);
+    } else if ((ev.damage || 0) > (rules.production?.[ev.territory] || 0)) {
+      reasons.push(`A raid on ${ev.territory} did ${ev.damage} IPCs of damage`);
+    }
+    damage[ev.defender] = (damage[ev.defender] || 0) + (ev.damage || 0);
+  }
+  const rockets = events.filter(e => e.type === 'rocket');
+  for (const ev of rockets) {
+    if ((ev.damage || 0) > ROCKET_MAX_DAMAGE) reasons.push(`A rocket on ${ev.territory} did ${ev.damage} IPCs of damage`);
+    damage[ev.defender] = (damage[ev.defender] || 0) + (ev.damage || 0);
+  }
+  if (rockets.length) {
+    const fired = (next.turnEvents || []).filter(e => e?.type === 'rocket' && e.playerId === actingId && e.round === next.round).length;
+    const guns = totalsOf(counts.before[actingId]).aaGun || 0;
+    if (!prev.playerTechs?.[actingId]?.unlockedTechs?.includes('rockets') || fired > guns) {
+      reasons.push(`${nameOf(next, actingId)} fired rockets they do not have`);
+    }
+  }
+
+  for (const [playerId, state] of Object.entries(next.playerState || {})) {
+    if (!Number.isFinite(state?.ipcs) || state.ipcs < 0) {
+      reasons.push(`${nameOf(next, playerId)} would have ${state?.ipcs} IPCs`);
+      continue;
+    }
+    if (playerId === actingId) continue;
+    const lost = ipcsOf(prev, playerId) - state.ipcs;
+    if (lost < 0) {
+      reasons.push(`${nameOf(next, playerId)} gained IPCs out of turn`);
+    } else if (lost > 0 && !(taken.has(playerId) && state.ipcs === 0) && lost !== (damage[playerId] || 0)) {
+      reasons.push(`${nameOf(next, playerId)} lost ${lost} IPCs out of turn`);
+    }
+  }
+
+  const cards = cardTradeValue(prev, next, actingId);
+  if (cards > 0 && !(playing && prev.turnPhase === TURN_PHASES.PURCHASE)) {
+    reasons.push('Cards were traded outside the purchase phase');
+  }
+  const turnEnds = prev.phase === GAME_PHASES.PLAYING && !sameTurn(prev, next);
+  const income = turnEnds ? Math.max(incomeOf(prev, actingId, rules), incomeOf(next, actingId, rules)) : 0;
+  const loot = [...taken.values()].reduce((sum, ipcs) => sum + ipcs, 0);
+  const refunds = isBattle(prev, next) ? 0 : refundsOf(prev, next, actingId, counts, unitDefs);
+  const gained = ipcsOf(next, actingId) - ipcsOf(prev, actingId);
+  if (gained > income + cards + loot + refunds) {
+    reasons.push(`${nameOf(next, actingId)} gained ${gained} IPCs with ${income + cards + loot + refunds} to collect`);
+  }
+
+  if (shopping) {
+    const before = purchasesOf(prev, actingId, unitDefs);
+    const after = purchasesOf(next, actingId, unitDefs);
+    const spent = ipcsOf(prev, actingId) - ipcsOf(next, actingId) + cards;
+    // Units may also be bought straight onto the board at the capital
+    const board = Object.entries(totalsOf(counts.after[actingId])).reduce((sum, [type, count]) =>
+      sum + Math.max(0, count - (totalsOf(counts.before[actingId])[type] || 0)) * (unitDefs?.[type]?.cost ?? 0), 0);
+    const bought = after.cost - before.cost + board;
+    // Clearing the list refunds list prices, so the industrial tech
+    // discount (1 IPC a unit) may come back with it
+    const units = Object.values(after.counts).reduce((n, q) => n + q, 0)
+      - Object.values(before.counts).reduce((n, q) => n + q, 0);
+    const discount = prev.playerTechs?.[actingId]?.unlockedTechs?.includes('industrialTech') ? Math.abs(units) : 0;
+    if (Math.abs(spent - bought) > discount) reasons.push(`Spent ${spent} IPCs on purchases worth ${bought}`);
+  }
+}
+
+// IPCs a step may give back to the seat to move: purchases taken off the
+// list (beyond those placed on the board) and placed units picked up again
+// (beyond those put back on the list)
+function refundsOf(prev, next, actingId, counts, unitDefs) {
+  const costOf = type => unitDefs?.[type]?.cost ?? 0;
+  const before = totalsOf(counts.before[actingId]);
+  const after = totalsOf(counts.after[actingId]);
+  let placed = 0;
+  let pickedUp = 0;
+  for (const type of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const change = (after[type] || 0) - (before[type] || 0);
+    if (change > 0) placed += change * costOf(type);
+    else pickedUp -= change * costOf(type);
+  }
+  const unlisted = purchasesOf(prev, actingId, unitDefs).cost - purchasesOf(next, actingId, unitDefs).cost;
+  return Math.max(0, unlisted - placed) + Math.max(0, pickedUp - Math.max(0, -unlisted));
+}
+
+// Only the seat to move gets units. Once playing, new units come from the
+// starting pool, from purchases or are paid for on the spot (setup hands out
+// free ones: drafted infantry, the capital's AA gun), other players' units
+// are only lost in battle, and moves stay within each unit's reach.
+function checkUnits(prev, next, actingId, counts, unitDefs, board, reasons) {
+  if (isBattle(prev, next)) {
+    checkBattles(prev, next, actingId, counts, unitDefs, board, reasons);
+    return;
+  }
+  const purchasedBefore = purchasesOf(prev, actingId, unitDefs).counts;
+  const purchasedAfter = purchasesOf(next, actingId, unitDefs).counts;
+  const poolBefore = poolOf(prev, actingId);
+  const poolAfter = poolOf(next, actingId);
+  let unpaid = 0;
+  for (const playerId of new Set([...Object.keys(counts.before), ...Object.keys(counts.after)])) {
+    const before = totalsOf(counts.before[playerId]);
+    const after = totalsOf(counts.after[playerId]);
+    for (const type of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const added = (after[type] || 0) - (before[type] || 0);
+      if (added < 0 && playerId !== actingId) {
+        reasons.push(`${nameOf(next, playerId)} lost ${-added} ${type} outside a battle`);
+      }
+      if (added <= 0) continue;
+      if (playerId !== actingId) {
+        reasons.push(`${added} ${type} appeared for ${nameOf(next, playerId)}`);
+        continue;
+      }
+      const fromPurchases = Math.max(0, (purchasedBefore[type] || 0) - (purchasedAfter[type] || 0));
+      const fromPool = Math.max(0, (poolBefore[type] || 0) - (poolAfter[type] || 0));
+      unpaid += Math.max(0, added - fromPurchases - fromPool) * (unitDefs?.[type]?.cost ?? 0);
+    }
+  }
+  const playing = prev.phase === GAME_PHASES.PLAYING;
+  if (playing && unpaid > 0 && ipcsOf(prev, actingId) - ipcsOf(next, actingId) < unpaid) {
+    reasons.push('Units were added without being bought or drafted');
+  }
+
+  const moving = next.phase === GAME_PHASES.PLAYING && MOVE_PHASES.includes(next.turnPhase)
+    && prev.currentPlayerIndex === next.currentPlayerIndex;
+  if (moving) checkReach(counts.before[actingId], counts.after[actingId], unitDefs, board, reasons);
+}
+
+// Every unit of the seat to move that turns up somewhere new came from a
+// territory that lost that type, within its reach
+function checkReach(from = {}, to = {}, unitDefs, board, reasons) {
+  if (!board.connections) return;
+  for (const [territory, types] of Object.entries(to)) {
+    for (const [type, count] of Object.entries(types)) {
+      if (count <= (from[territory]?.[type] || 0)) continue;
+      const sources = Object.keys(from).filter(name => (from[name][type] || 0) > (to[name]?.[type] || 0));
+      if (!sources.some(name => inReach(name, territory, unitDefs?.[type], board))) {
+        reasons.push(`${type} reached ${territory} from out of range`);
+      }
+    }
+  }
+}
+
+// A battle step: nobody's forces grow, losses are where the seat to move
+// fights (its units, queued battles and raid targets; its aircraft may also
+// crash where they could not land), defenders stay put, attackers only
+// retreat or land within reach, and raid losses are the ones the raid logged.
+function checkBattles(prev, next, actingId, counts, unitDefs, board, reasons) {
+  const raids = (prev.bombingRaids || []).filter(r => r.owner === actingId);
+  const sites = new Set([...(prev.combatQueue || []), ...(next.combatQueue || [])]);
+  for (const raid of raids) sites.add(raid.target);
+  for (const side of [counts.before, counts.after]) {
+    for (const [territory, types] of Object.entries(side[actingId] || {})) {
+      if (Object.values(types).some(n => n > 0)) sites.add(territory);
+    }
+  }
+
+  for (const playerId of new Set([...Object.keys(counts.before), ...Object.keys(counts.after)])) {
+    const before = counts.before[playerId] || {};
+    const after = counts.after[playerId] || {};
+    const totalsBefore = totalsOf(before);
+    const totalsAfter = totalsOf(after);
+    for (const [type, count] of Object.entries(totalsAfter)) {
+      const added = count - (totalsBefore[type] || 0);
+      if (added > 0) reasons.push(`${added} ${type} appeared for ${nameOf(next, playerId)}`);
+    }
+    for (const territory of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      for (const type of new Set([...Object.keys(before[territory] || {}), ...Object.keys(after[territory] || {})])) {
+        const change = (after[territory]?.[type] || 0) - (before[territory]?.[type] || 0);
+        const crashed = playerId === actingId && unitDefs?.[type]?.isAir;
+        const raidOrigin = playerId === actingId && type === 'bomber' && raids.some(r => territory in (r.origins || {}));
+        if (change < 0 && !sites.has(territory) && !crashed && !raidOrigin) {
+          reasons.push(`${nameOf(next, playerId)} lost ${-change} ${type} in ${territory}, away from any battle`);
+        } else if (change > 0 && playerId !== actingId) {
+          reasons.push(`${nameOf(next, playerId)}'s ${type} moved to ${territory} during a battle`);
+        }
+      }
+    }
+  }
+  checkReach(counts.before[actingId], counts.after[actingId], unitDefs, board, reasons);
+
+  // Bombers back from resolved raids: home less the logged losses
+  const logged = newTurnEvents(prev, next).filter(ev => ev?.type === 'bombing_raid' && ev.playerId === actingId);
+  const resolved = raids.filter(r => !(next.bombingRaids || []).some(n => n.target === r.target && n.owner === actingId));
+  if (!resolved.length) return;
+  const origins = new Set(resolved.flatMap(r => Object.keys(r.origins || {})));
+  const bombersAt = (side, name) => counts[side][actingId]?.[name]?.bomber || 0;
+  const lost = [...origins].reduce((sum, name) => sum + bombersAt('before', name) - bombersAt('after', name), 0);
+  const reported = logged.reduce((sum, ev) => sum + (ev.bombersLost || 0), 0);
+  if (lost !== reported) reasons.push(`Raids logged ${reported} bombers lost, but ${lost} did not come home`);
+}
+
+// Land changes hands only by conquest: drafted during setup, or taken by the
+// seat to move in its combat move or battles, where it then has units (or
+// next door, when armour blitzed through). Undoing a combat move hands it
+// back.
+function checkOwnership(prev, next, actingId, changedHands, counts, board, reasons) {
+  const playing = isPlaying(prev, next);
+  const conquering = playing && sameTurn(prev, next)
+    && [TURN_PHASES.COMBAT_MOVE, TURN_PHASES.COMBAT].includes(next.turnPhase);
+  const present = name => Object.values(counts.after[actingId]?.[name] || {}).some(n => n > 0);
+  for (const name of changedHands) {
+    const from = ownerOf(prev, name);
+    const to = ownerOf(next, name);
+    const drafted = !playing && from === null && to === actingId;
+    const taken = conquering && to === actingId && !board.water?.has(name)
+      && (present(name) || (board.connections?.[name] || []).some(present));
+    const handedBack = conquering && next.turnPhase === TURN_PHASES.COMBAT_MOVE && from === actingId;
+    if (!drafted && !taken && !handedBack) reasons.push(`${name} changed hands outside a conquest`);
+  }
+}
+
+// Reasons the move from `prev` to `next` is illegal; empty when it is fine.
+//   action:  { by, types, at } of the action doc
+//   rules:   { unitDefs, connections, water, production, continents } (boardOf)
+//            plus authorityIds and authoritySince (checkTurn)
+export function validateTransition(prev, next, action = {}, rules = {}) {
+  if (!prev || !next) return [];
+  const reasons = [];
+  const types = action.types || [];
+  const actingId = prev.players?.[prev.currentPlayerIndex]?.id;
+  checkTurn(prev, next, { by: action.by, types, at: action.at }, rules, reasons);
+  checkPhaseOrder(prev, next, reasons);
+  // A surrender clears the seat's board; surrenderCore.js handles that
+  if (types.includes('surrender')) return reasons;
+  const changedHands = changedHandsIn(prev, next);
+  // Factories and AA guns may also be taken in a battle the attacker wins
+  // with aircraft alone, when the land stays put
+  const pooled = new Set(changedHands);
+  if (isBattle(prev, next)) for (const name of prev.combatQueue || []) pooled.add(name);
+  const counts = { before: countUnits(prev, pooled), after: countUnits(next, pooled) };
+  checkOwnership(prev, next, actingId, changedHands, counts, rules, reasons);
+  checkIpcs(prev, next, actingId, counts, rules, reasons);
+  checkUnits(prev, next, actingId, counts, rules.unitDefs, rules, reasons);
+  return reasons;
+}
+
+// Walk `actions` (in order, applied on top of `state` at `seq`) and return
+// the first illegal one not written by `self`:
+//   { action, reasons, before }  before = the state it should be rolled back to
+// or null when all are legal.
+export function findIllegalAction(state, actions, rules = {}, self = null) {
+  let current = state;
+  for (const action of actions) {
+    const next = applyStatePatch(current, action.patch);
+    if (action.by !== self && !action.rejected) {
+      const reasons = validateTransition(current, next, action, rules);
+      if (reasons.length) return { action, reasons, before: current };
+    }
+    current = next;
+  }
+  return null;
+}
+
+// The map as validateTransition needs it: connections (territory →
+// neighbour names), the set of sea zones, each territory's production and
+// the continents with their bonuses
+export function boardOf(territories, continents = []) {
+  const connections = {};
+  const water = new Set();
+  const production = {};
+  for (const t of territories || []) {
+    connections[t.name] = t.connections || [];
+    if (t.isWater) water.add(t.name);
+    if (t.production) production[t.name] = t.production;
+  }
+  return { connections, water, production, continents: continents || [] };
+}
@@ -0,0 +1,198 @@
+// Monte Carlo battle odds for the battle calculator. No DOM, no GameState.
+//
+// Plays the same battle thousands of times through combatEngine's
+// resolveBattleRound — the rules CombatUI and GameState.resolveCombat use —
+// with cheapest-first casualties and no retreat, then averages the outcomes.
+// Dice come from an injectable `rollDie` like everywhere else in the engine.
+
+import { resolveBattleRound, getCombatTechs, rollD6 } from './combatEngine.js';
+
+export const DEFAULT_TRIALS = 2000;
+export const MAX_TRIALS = 20000;
+// A battle neither side can finish (e.g. subs against aircraft) is a draw
+const MAX_ROUNDS = 50;
+const BOMBARDING_SHIPS = ['battleship', 'cruiser'];
+
+function copyStacks(units) {
+  return (units || [])
+    .filter(u => u.type !== 'factory' && (u.quantity || 0) > 0)
+    .map(u => ({
+      type: u.type,
+      quantity: u.quantity,
+      damagedCount: u.damagedCount || 0,
+      damaged: (u.damagedCount || 0) > 0,
+    }));
+}
+
+function ipcValue(losses, unitDefs) {
+  return Object.entries(losses).reduce((sum, [type, n]) => sum + (unitDefs[type]?.cost || 0) * n, 0);
+}
+
+// Fresh unrolled bombardment slots from { battleship: n, cruiser: n }
+function bombardmentRolls(bombardment, unitDefs) {
+  const rolls = [];
+  for (const type of BOMBARDING_SHIPS) {
+    for (let i = 0; i < (bombardment?.[type] || 0); i++) {
+      rolls.push({ unit: type, source: 'calculator', attackValue: unitDefs[type]?.attack || 0, roll: null, hit: null });
+    }
+  }
+  return rolls;
+}
+
+// One battle to the end. Returns { winner: 'attacker'|'defender'|'draw',
+// rounds, attackers, defenders, attackerLoss, defenderLoss } (losses in IPCs).
+export function playBattle({
+  attackers,
+  defenders,
+  unitDefs,
+  attackerTechs,
+  defenderTechs,
+  bombardment = null,
+  rollDie = rollD6,
+}) {
+  const atk = copyStacks(attackers);
+  const def = copyStacks(defenders);
+  let attackerLoss = 0;
+  let defenderLoss = 0;
+  let winner = null;
+  let rounds = 0;
+
+  while (!winner && rounds < MAX_ROUNDS) {
+    const firstRound = rounds === 0;
+    const report = resolveBattleRound({
+      attackers: atk,
+      defenders: def,
+      unitDefs,
+      attackerTechs,
+      defenderTechs,
+      firstRound,
+      bombardmentRolls: firstRound ? bombardmentRolls(bombardment, unitDefs) : [],
+      rollDie,
+    });
+    rounds++;
+    attackerLoss += ipcValue(report.attackerLosses, unitDefs);
+    defenderLoss += ipcValue(report.defenderLosses, unitDefs);
+    winner = report.winner;
+  }
+
+  const alive = units => units.filter(u => u.quantity > 0);
+  const bothGone = alive(atk).length === 0 && alive(def).length === 0;
+  return {
+    winner: !winner || bothGone ? 'draw' : winner,
+    rounds,
+    attackers: alive(atk),
+    defenders: alive(def),
+    attackerLoss,
+    defenderLoss,
+  };
+}
+
+// Run `trials` battles and summarise:
+//   attackerWin / defenderWin / draw   fractions of trials (0..1)
+//   capture          attacker won with a land unit left to take the territory
+//                    (null unless land units attacked)
+//   attackerSurvivors / defenderSurvivors   average units left, by type
+//   attackerIpcLoss / defenderIpcLoss       average IPCs lost
+//   ipcSwing         defender loss minus attacker loss (positive favours the attacker)
+//   rounds           average battle length
+export function simulateBattle({
+  attackers,
+  defenders,
+  unitDefs,
+  attackerTechs = {},
+  defenderTechs = {},
+  bombardment = null,
+  trials = DEFAULT_TRIALS,
+  rollDie = rollD6,
+}) {
+  const n = Math.max(1, Math.min(MAX_TRIALS, Math.floor(trials) || DEFAULT_TRIALS));
+  const landAttack = (attackers || []).some(u => u.quantity > 0 && unitDefs[u.type]?.isLand);
+  const totals = {
+    attacker: 0, defender: 0, draw: 0, capture: 0, rounds: 0,
+    attackerLoss: 0, defenderLoss: 0, attackerSurvivors: {}, defenderSurvivors: {},
+  };
+  const tally = (into, units) => {
+    for (const u of units) into[u.type] = (into[u.type] || 0) + u.quantity;
+  };
+
+  for (let i = 0; i < n; i++) {
+    const result = playBattle({ attackers, defenders, unitDefs, attackerTechs, defenderTechs, bombardment, rollDie });
+    totals[result.winner]++;
+    if (result.winner === 'attacker' && result.attackers.some(u => unitDefs[u.type]?.isLand)) totals.capture++;
+    totals.rounds += result.rounds;
+    totals.attackerLoss += result.attackerLoss;
+    totals.defenderLoss += result.defenderLoss;
+    tally(totals.attackerSurvivors, result.attackers);
+    tally(totals.defenderSurvivors, result.defenders);
+  }
+
+  const average = counts => Object.fromEntries(Object.entries(counts).map(([type, q]) => [type, q / n]));
+  const attackerIpcLoss = totals.attackerLoss / n;
+  const defenderIpcLoss = totals.defenderLoss / n;
+  return {
+    trials: n,
+    attackerWin: totals.attacker / n,
+    defenderWin: totals.defender / n,
+    draw: totals.draw / n,
+    capture: landAttack ? totals.capture / n : null,
+    attackerSurvivors: average(totals.attackerSurvivors),
+    defenderSurvivors: average(totals.defenderSurvivors),
+    attackerIpcLoss,
+    defenderIpcLoss,
+    ipcSwing: defenderIpcLoss - attackerIpcLoss,
+    rounds: totals.rounds / n,
+  };
+}
+
+// Calculator setup for a pending attack on `territory`: the attacker's units
+// already there plus `pendingUnits` ([{ type, quantity }] about to move in),
+// every defender not at peace with the attacker, both sides' techs and, for
+// an amphibious landing, the attacker's battleships/cruisers offshore.
+// `board` is a GameState (units, territoryByName, getOwner, areAllies, hasTech).
+export function buildBattleSetup(board, territory, attackerId, pendingUnits = [], { amphibious = false } = {}) {
+  const friendly = owner => owner === attackerId
+    || (board.isAtPeace ? board.isAtPeace(attackerId, owner) : board.areAllies?.(attackerId, owner));
+  const here = board.units?.[territory] || [];
+  const add = (into, type, quantity) => {
+    if (type === 'factory' || quantity <= 0) return;
+    const stack = into.find(u => u.type === type);
+    if (stack) stack.quantity += quantity;
+    else into.push({ type, quantity });
+  };
+
+  const attackers = [];
+  for (const u of here) if (u.owner === attackerId) add(attackers, u.type, u.quantity);
+  for (const u of pendingUnits) add(attackers, u.type, u.quantity);
+
+  const defenders = [];
+  const defenderOwners = new Set();
+  for (const u of here) {
+    if (friendly(u.owner)) continue;
+    add(defenders, u.type, u.quantity);
+    defenderOwners.add(u.owner);
+  }
+  const owner = board.getOwner?.(territory);
+  const defenderId = (owner && !friendly(owner) ? owner : null) || [...defenderOwners][0] || null;
+
+  const bombardment = { battleship: 0, cruiser: 0 };
+  const t = board.territoryByName?.[territory];
+  if (t && !t.isWater && (amphibious || board.hasAmphibiousAssault?.(territory))) {
+    for (const sea of t.connections || []) {
+      if (!board.territoryByName[sea]?.isWater) continue;
+      for (const u of board.units?.[sea] || []) {
+        if (u.owner === attackerId && BOMBARDING_SHIPS.includes(u.type)) bombardment[u.type] += u.quantity;
+      }
+    }
+  }
+
+  return {
+    territory,
+    attackerId,
+    defenderId,
+    attackers,
+    defenders,
+    attackerTechs: getCombatTechs(board, attackerId),
+    defenderTechs: getCombatTechs(board, defenderId),
+    bombardment,
+  };
+}
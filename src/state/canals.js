@@ -0,0 +1,30 @@
+// Pure canal helpers (SPEC §2.4). No Firebase. Definitions live in
+// data/canals.json: each canal is one sea-zone edge that ships may only
+// cross while the mover (or an ally) controls every listed land territory.
+// Air units fly over canals; land units are unaffected.
+
+// The canal on the edge between two sea zones (either direction), or null.
+export function findCanal(canals, seaA, seaB) {
+  for (const canal of canals || []) {
+    const [a, b] = canal.seaZones || [];
+    if ((a === seaA && b === seaB) || (a === seaB && b === seaA)) return canal;
+  }
+  return null;
+}
+
+// `getOwner(territory)` and `areAllies(a, b)` come from GameState so this
+// module stays independent of it. Unowned canal land keeps the canal shut.
+export function isCanalOpen(canal, playerId, { getOwner, areAllies }) {
+  return (canal.territories || []).every(name => {
+    const owner = getOwner(name);
+    if (!owner) return false;
+    return owner === playerId || !!areAllies?.(playerId, owner);
+  });
+}
+
+// Can `playerId`'s ships move directly between these two sea zones?
+// True when no canal sits on the edge.
+export function canCrossCanal(canals, seaA, seaB, playerId, rules) {
+  const canal = findCanal(canals, seaA, seaB);
+  return !canal || isCanalOpen(canal, playerId, rules);
+}
@@ -0,0 +1,41 @@
+// Pure free-for-all capital-victory rules (SPEC §8.3). No Firebase.
+// "Control N of M capitals", checked either the moment a capital falls or
+// only at the end of a full round, plus an optional round limit that ends
+// the game with a tiebreak on income.
+
+export const CAPITAL_VICTORY_TIMINGS = ['immediate', 'round_end'];
+
+// Lobby/save options → { capitals, timing, roundLimit }.
+// capitals: null = classic rule (all capitals for 2-3 players, majority for 4+)
+// timing:   'immediate' (on capture, the original behaviour) or 'round_end'
+// roundLimit: null = no limit, else the last round played
+export function normalizeCapitalVictory(options = {}) {
+  const capitals = Math.floor(Number(options?.capitals));
+  const roundLimit = Math.floor(Number(options?.roundLimit));
+  return {
+    capitals: capitals > 0 ? capitals : null,
+    timing: CAPITAL_VICTORY_TIMINGS.includes(options?.timing) ? options.timing : 'immediate',
+    roundLimit: roundLimit > 0 ? roundLimit : null,
+  };
+}
+
+// Capitals needed to win. A configured count above what is on the board
+// is capped, so the game stays winnable after a capital leaves play.
+export function requiredCapitals(totalCapitals, playerCount, config = {}) {
+  if (config.capitals) return Math.min(config.capitals, totalCapitals);
+  if (playerCount <= 3) return totalCapitals;
+  return Math.floor(totalCapitals / 2) + 1;
+}
+
+// Round-limit tiebreak: highest income, then most capitals held.
+// Returns every player still level after both (a shared win).
+export function pickRoundLimitWinners(standings) {
+  let best = [];
+  for (const s of standings) {
+    const top = best[0];
+    const cmp = !top ? 1 : (s.income - top.income) || (s.capitals - top.capitals);
+    if (cmp > 0) best = [s];
+    else if (cmp === 0) best.push(s);
+  }
+  return best;
+}
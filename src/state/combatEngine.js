@@ -0,0 +1,492 @@
+// Headless combat rules (no DOM, no GameState import).
+//
+// The battle rules used to live only inside CombatUI: artillery support, Jets,
+// Super Subs, Heavy Bombers, AA fire, submarine first strike, amphibious-only
+// shore bombardment and cheapest-first casualty selection with battleship
+// damage. GameState.resolveCombat (AI battles, robustness harness) rolled a
+// bare attack/defense pass instead, so the same battle played out differently
+// depending on who resolved it. Both now call into this module.
+//
+// Every roll goes through an injectable `rollDie(context)` so callers decide
+// where dice come from (GameState._rollDie for the roll log, a fixed script in
+// tests). The default is an unseeded Math.random() d6.
+
+export function rollD6() {
+  return Math.floor(Math.random() * 6) + 1;
+}
+
+const NO_TECHS = Object.freeze({ jets: false, superSubs: false, heavyBombers: false });
+
+// Combat-relevant tech flags for one player. `gameState` only needs hasTech().
+export function getCombatTechs(gameState, playerId) {
+  if (!playerId || typeof gameState?.hasTech !== 'function') return { ...NO_TECHS };
+  return {
+    jets: !!gameState.hasTech(playerId, 'jets'),
+    superSubs: !!gameState.hasTech(playerId, 'superSubs'),
+    heavyBombers: !!gameState.hasTech(playerId, 'heavyBombers'),
+  };
+}
+
+function totalQuantity(units) {
+  return (units || []).reduce((sum, u) => sum + (u.quantity || 0), 0);
+}
+
+function isAir(unit, unitDefs) {
+  return !!unitDefs[unit.type]?.isAir;
+}
+
+// Units that can keep a battle going. Factories are captured, not fought, and
+// 0/0 units (AA guns) cannot stop an attack on their own.
+export function isCombatUnit(unit, unitDefs) {
+  if (!unit || (unit.quantity || 0) <= 0) return false;
+  if (unit.type === 'factory') return false;
+  const def = unitDefs[unit.type];
+  if (def && def.attack === 0 && def.defense === 0) return false;
+  return true;
+}
+
+export function hasCombatUnits(units, unitDefs) {
+  return (units || []).some(u => isCombatUnit(u, unitDefs));
+}
+
+// One regular combat roll for a side. Attack applies artillery support (1:1
+// infantry +1), Jets (+1 fighter), Super Subs (+1 sub) and Heavy Bombers (2
+// dice per bomber); defense applies Jets only. Submarine hits are counted
+// separately because they cannot be assigned to aircraft.
+export function rollCombatDice(units, side, { unitDefs, techs = NO_TECHS, rollDie = rollD6 } = {}) {
+  const isAttack = side === 'attack';
+  const rolls = [];
+  let hits = 0;
+  let subHits = 0;
+
+  let supportedInfantry = isAttack
+    ? (units || []).filter(u => u.type === 'artillery').reduce((sum, u) => sum + (u.quantity || 0), 0)
+    : 0;
+
+  for (const unit of units || []) {
+    const def = unitDefs[unit.type];
+    if (!def) continue;
+    const dicePerUnit = (isAttack && unit.type === 'bomber' && techs.heavyBombers) ? 2 : 1;
+
+    for (let i = 0; i < (unit.quantity || 0); i++) {
+      for (let d = 0; d < dicePerUnit; d++) {
+        let value = isAttack ? def.attack : def.defense;
+        if (isAttack && unit.type === 'infantry' && supportedInfantry > 0 && d === 0) {
+          value += 1;
+          supportedInfantry--;
+        }
+        if (unit.type === 'fighter' && techs.jets) value += 1;
+        if (isAttack && unit.type === 'submarine' && techs.superSubs) value += 1;
+
+        const roll = rollDie(`combat:${side}`);
+        const hit = roll <= value;
+        rolls.push(isAttack
+          ? { roll, hit, unitType: unit.type, attackValue: value }
+          : { roll, hit, unitType: unit.type, defenseValue: value });
+        if (hit) {
+          hits++;
+          if (unit.type === 'submarine') subHits++;
+        }
+      }
+    }
+  }
+
+  return { rolls, hits, subHits };
+}
+
+// AA fire: one die per attacking aircraft, hit on a 1.
+export function rollAAFire(attackers, { unitDefs, rollDie = rollD6 } = {}) {
+  const aircraft = totalQuantity((attackers || []).filter(u => isAir(u, unitDefs)));
+  const rolls = [];
+  let hits = 0;
+  for (let i = 0; i < aircraft; i++) {
+    const roll = rollDie('aa');
+    const hit = roll === 1;
+    rolls.push({ roll, hit });
+    if (hit) hits++;
+  }
+  return { rolls, hits, aircraft };
+}
+
+// Subs get a first strike unless the opposing side has a destroyer.
+export function getSubmarineFirstStrike(attackers, defenders) {
+  const attackerSubs = totalQuantity((attackers || []).filter(u => u.type === 'submarine'));
+  const defenderSubs = totalQuantity((defenders || []).filter(u => u.type === 'submarine'));
+  const attackerHasDestroyer = (attackers || []).some(u => u.type === 'destroyer' && u.quantity > 0);
+  const defenderHasDestroyer = (defenders || []).some(u => u.type === 'destroyer' && u.quantity > 0);
+  const attackerSubsHaveFirstStrike = attackerSubs > 0 && !defenderHasDestroyer;
+  const defenderSubsHaveFirstStrike = defenderSubs > 0 && !attackerHasDestroyer;
+  return {
+    attackerSubsHaveFirstStrike,
+    defenderSubsHaveFirstStrike,
+    hasSubmarineFirstStrike: attackerSubsHaveFirstStrike || defenderSubsHaveFirstStrike,
+  };
+}
+
+// Roll `count` first-strike submarine dice for one side ('attacker' or
+// 'defender'). First strike uses the printed sub value.
+export function rollSubmarineFirstStrike(count, side, { unitDefs, rollDie = rollD6 } = {}) {
+  const def = unitDefs.submarine;
+  const value = side === 'attacker' ? def?.attack : def?.defense;
+  const rolls = [];
+  let hits = 0;
+  for (let i = 0; i < count; i++) {
+    const roll = rollDie('combat:firstStrike');
+    const hit = roll <= (value || 0);
+    rolls.push({ roll, hit, unitType: 'submarine', side });
+    if (hit) hits++;
+  }
+  return { rolls, hits };
+}
+
+// Shore bombardment slots for an amphibious assault on `territory`. Only
+// battleships and cruisers in adjacent sea zones that are already cleared may
+// fire. `board` needs territoryByName, units, hasAmphibiousAssault() and
+// isSeaZoneClearedForBombardment(). Rolls start unrolled (roll/hit null).
+export function planBombardment(board, territory, attackerId, unitDefs) {
+  const t = board.territoryByName?.[territory];
+  if (!t || t.isWater) return [];
+  if (!board.hasAmphibiousAssault?.(territory)) return [];
+
+  const rolls = [];
+  for (const connName of t.connections || []) {
+    const connT = board.territoryByName[connName];
+    if (!connT?.isWater) continue;
+    if (!board.isSeaZoneClearedForBombardment?.(connName)) continue;
+
+    for (const unit of board.units?.[connName] || []) {
+      if (unit.owner !== attackerId) continue;
+      const def = unitDefs[unit.type];
+      if (!def?.isSea) continue;
+      if (unit.type !== 'battleship' && unit.type !== 'cruiser') continue;
+      for (let i = 0; i < unit.quantity; i++) {
+        rolls.push({ unit: unit.type, source: connName, attackValue: def.attack, roll: null, hit: null });
+      }
+    }
+  }
+  return rolls;
+}
+
+// Fill in planned bombardment rolls in place; returns the hit count.
+export function fireBombardment(rolls, rollDie = rollD6) {
+  let hits = 0;
+  for (const r of rolls || []) {
+    r.roll = rollDie('bombard');
+    r.hit = r.roll <= r.attackValue;
+    if (r.hit) hits++;
+  }
+  return hits;
+}
+
+function byCost(unitDefs) {
+  return (a, b) => (unitDefs[a.type]?.cost || 999) - (unitDefs[b.type]?.cost || 999);
+}
+
+// Default casualty pick: cheapest units first, then absorb hits on undamaged
+// battleships ('battleship_damage'), then sink damaged battleships, then the
+// rest. Transports are defenseless (never picked; they die when left alone)
+// and factories are captured, so neither is ever selected.
+export function selectCheapestCasualties(units, count, unitDefs) {
+  const selected = {};
+  let remaining = count;
+
+  const battleships = (units || []).filter(u => u.type === 'battleship' && u.quantity > 0);
+  const sorted = (units || [])
+    .filter(u => u.quantity > 0 && u.type !== 'transport' && u.type !== 'factory' && u.type !== 'battleship')
+    .sort(byCost(unitDefs));
+
+  for (const unit of sorted) {
+    if (remaining <= 0) break;
+    const take = Math.min(unit.quantity, remaining);
+    selected[unit.type] = (selected[unit.type] || 0) + take;
+    remaining -= take;
+  }
+
+  for (const battleship of battleships) {
+    if (remaining <= 0) break;
+    if (unitDefs[battleship.type]?.hp > 1) {
+      const undamaged = battleship.quantity - (battleship.damagedCount || 0);
+      if (undamaged > 0) {
+        const toDamage = Math.min(undamaged, remaining);
+        selected.battleship_damage = (selected.battleship_damage || 0) + toDamage;
+        remaining -= toDamage;
+      }
+    }
+  }
+
+  for (const battleship of battleships) {
+    if (remaining <= 0) break;
+    const damagedCount = battleship.damagedCount || 0;
+    if (damagedCount > 0) {
+      const toDestroy = Math.min(damagedCount, remaining);
+      selected.battleship = (selected.battleship || 0) + toDestroy;
+      remaining -= toDestroy;
+    }
+  }
+
+  for (const battleship of battleships) {
+    if (remaining <= 0) break;
+    const undamaged = battleship.quantity - (battleship.damagedCount || 0) - (selected.battleship_damage || 0);
+    if (undamaged > 0) {
+      const toDestroy = Math.min(undamaged, remaining);
+      selected.battleship = (selected.battleship || 0) + toDestroy;
+      remaining -= toDestroy;
+    }
+  }
+
+  return selected;
+}
+
+// AA losses: cheapest aircraft first, attacker has no choice.
+export function selectCheapestAircraftCasualties(units, count, unitDefs) {
+  const airUnits = (units || [])
+    .filter(u => isAir(u, unitDefs) && u.quantity > 0)
+    .sort(byCost(unitDefs));
+
+  const selected = {};
+  let remaining = count;
+  for (const unit of airUnits) {
+    if (remaining <= 0) break;
+    const take = Math.min(unit.quantity, remaining);
+    selected[unit.type] = (selected[unit.type] || 0) + take;
+    remaining -= take;
+  }
+  return selected;
+}
+
+// Submarine hits can only land on sea units; the rest go cheapest-first.
+export function selectCasualtiesWithSubHits(units, totalHits, subHits, unitDefs) {
+  if (subHits === 0 || totalHits === 0) {
+    return selectCheapestCasualties(units, totalHits, unitDefs);
+  }
+
+  const seaUnits = (units || []).filter(u => {
+    const def = unitDefs[u.type];
+    return def && def.isSea && !def.isAir && u.quantity > 0;
+  });
+  const subCasualties = selectCheapestCasualties(seaUnits, subHits, unitDefs);
+
+  const nonSubHits = totalHits - subHits;
+  if (nonSubHits <= 0) return subCasualties;
+
+  const remainingUnits = (units || []).map(u => ({
+    ...u,
+    quantity: u.quantity - (subCasualties[u.type] || 0),
+  })).filter(u => u.quantity > 0);
+  const nonSubCasualties = selectCheapestCasualties(remainingUnits, nonSubHits, unitDefs);
+
+  const merged = { ...subCasualties };
+  for (const [type, n] of Object.entries(nonSubCasualties)) {
+    merged[type] = (merged[type] || 0) + n;
+  }
+  return merged;
+}
+
+// Apply a { type: count } selection to unit stacks in place. Losses spill
+// across stacks of the same type; 'battleship_damage' marks hits instead of
+// removing ships. Returns the units actually destroyed, by type.
+export function applyCasualtySelection(units, selected) {
+  const losses = {};
+  for (const [type, count] of Object.entries(selected || {})) {
+    if (type === 'battleship_damage') {
+      let left = count;
+      for (const ship of (units || []).filter(u => u.type === 'battleship' && u.quantity > 0)) {
+        if (left <= 0) break;
+        const undamaged = ship.quantity - (ship.damagedCount || 0);
+        const take = Math.min(undamaged, left);
+        if (take <= 0) continue;
+        ship.damaged = true;
+        ship.damagedCount = (ship.damagedCount || 0) + take;
+        left -= take;
+      }
+      continue;
+    }
+    let left = count;
+    for (const unit of (units || []).filter(u => u.type === type && u.quantity > 0)) {
+      if (left <= 0) break;
+      const take = Math.min(unit.quantity, left);
+      unit.quantity -= take;
+      if (type === 'battleship' && unit.damagedCount) {
+        unit.damagedCount = Math.max(0, unit.damagedCount - take);
+        unit.damaged = unit.damagedCount > 0;
+      }
+      left -= take;
+      losses[type] = (losses[type] || 0) + take;
+    }
+  }
+  return losses;
+}
+
+// Transports alone in a battle are sunk. Zeroes their quantity in place and
+// returns how many were lost.
+export function sinkDefenselessTransports(units) {
+  const alive = (units || []).filter(u => u.quantity > 0);
+  if (alive.length === 0 || alive.some(u => u.type !== 'transport')) return 0;
+  let lost = 0;
+  for (const u of alive) {
+    lost += u.quantity;
+    u.quantity = 0;
+  }
+  return lost;
+}
+
+function addLosses(into, losses) {
+  for (const [type, n] of Object.entries(losses)) {
+    into[type] = (into[type] || 0) + n;
+  }
+}
+
+// One full headless round, same order as the CombatUI popup:
+//   bombardment (first round) -> AA fire (first round) -> submarine first
+//   strike -> regular roll -> casualties (bombarded units fire back, then die)
+//   -> defenseless transports sink.
+// `attackers` / `defenders` are unit stacks, mutated in place (quantities go
+// to 0; callers filter). Casualties are always the default cheapest-first
+// pick. `bombardmentRolls` comes from planBombardment(). Returns the dice and
+// losses plus `winner` ('attacker', 'defender' or null while it continues).
+export function resolveBattleRound({
+  attackers,
+  defenders,
+  unitDefs,
+  attackerTechs = NO_TECHS,
+  defenderTechs = NO_TECHS,
+  firstRound = false,
+  bombardmentRolls = [],
+  rollDie = rollD6,
+}) {
+  const report = {
+    bombardmentRolls: [],
+    bombardmentHits: 0,
+    aaRolls: [],
+    aaHits: 0,
+    subFirstStrikeRolls: [],
+    attackRolls: [],
+    defenseRolls: [],
+    attackHits: 0,
+    defenseHits: 0,
+    attackerLosses: {},
+    defenderLosses: {},
+    winner: null,
+  };
+
+  const alive = units => units.filter(u => u.quantity > 0);
+
+  // Bombarded defenders are chosen now but removed only after they fire back.
+  let pendingBombardmentLosses = null;
+  if (firstRound && bombardmentRolls.length > 0) {
+    report.bombardmentHits = fireBombardment(bombardmentRolls, rollDie);
+    report.bombardmentRolls = bombardmentRolls;
+    if (report.bombardmentHits > 0) {
+      pendingBombardmentLosses = selectCheapestCasualties(alive(defenders), report.bombardmentHits, unitDefs);
+    }
+  }
+
+  if (firstRound && defenders.some(u => u.type === 'aaGun' && u.quantity > 0)) {
+    const aa = rollAAFire(alive(attackers), { unitDefs, rollDie });
+    report.aaRolls = aa.rolls;
+    report.aaHits = aa.hits;
+    if (aa.hits > 0) {
+      const picked = selectCheapestAircraftCasualties(alive(attackers), aa.hits, unitDefs);
+      addLosses(report.attackerLosses, applyCasualtySelection(attackers, picked));
+    }
+  }
+
+  const finish = () => {
+    // Mutual wipe-out: the attacker cannot take what nobody is left to hold.
+    if (totalQuantity(alive(attackers)) === 0) report.winner = 'defender';
+    else if (!hasCombatUnits(defenders, unitDefs)) report.winner = 'attacker';
+    return report;
+  };
+
+  if (totalQuantity(alive(attackers)) === 0 || !hasCombatUnits(defenders, unitDefs)) {
+    return finish();
+  }
+
+  const firstStrike = getSubmarineFirstStrike(alive(attackers), alive(defenders));
+  if (firstStrike.hasSubmarineFirstStrike) {
+    const atk = firstStrike.attackerSubsHaveFirstStrike
+      ? rollSubmarineFirstStrike(totalQuantity(attackers.filter(u => u.type === 'submarine')), 'attacker', { unitDefs, rollDie })
+      : { rolls: [], hits: 0 };
+    const def = firstStrike.defenderSubsHaveFirstStrike
+      ? rollSubmarineFirstStrike(totalQuantity(defenders.filter(u => u.type === 'submarine')), 'defender', { unitDefs, rollDie })
+      : { rolls: [], hits: 0 };
+    report.subFirstStrikeRolls = [...atk.rolls, ...def.rolls];
+
+    // First-strike casualties never fire back and cannot be subs or aircraft.
+    const targetable = units => alive(units).filter(u => u.type !== 'submarine' && !isAir(u, unitDefs));
+    if (def.hits > 0) {
+      const picked = selectCheapestCasualties(targetable(attackers), def.hits, unitDefs);
+      addLosses(report.attackerLosses, applyCasualtySelection(attackers, picked));
+    }
+    if (atk.hits > 0) {
+      const picked = selectCheapestCasualties(targetable(defenders), atk.hits, unitDefs);
+      addLosses(report.defenderLosses, applyCasualtySelection(defenders, picked));
+    }
+    if (totalQuantity(alive(attackers)) === 0 || !hasCombatUnits(defenders, unitDefs)) {
+      return finish();
+    }
+  }
+
+  const attack = rollCombatDice(alive(attackers), 'attack', { unitDefs, techs: attackerTechs, rollDie });
+  const defense = rollCombatDice(alive(defenders), 'defense', { unitDefs, techs: defenderTechs, rollDie });
+  report.attackRolls = attack.rolls;
+  report.defenseRolls = defense.rolls;
+  report.attackHits = attack.hits;
+  report.defenseHits = defense.hits;
+
+  const attackerPick = selectCasualtiesWithSubHits(alive(attackers), defense.hits, defense.subHits, unitDefs);
+  // Bombarded units are already doomed; regular hits go to the rest.
+  const defenderPool = alive(defenders).map(u => ({
+    ...u,
+    quantity: u.quantity - (pendingBombardmentLosses?.[u.type] || 0),
+  })).filter(u => u.quantity > 0);
+  const defenderPick = selectCasualtiesWithSubHits(defenderPool, attack.hits, attack.subHits, unitDefs);
+
+  addLosses(report.attackerLosses, applyCasualtySelection(attackers, attackerPick));
+  addLosses(report.defenderLosses, applyCasualtySelection(defenders, defenderPick));
+  if (pendingBombardmentLosses) {
+    addLosses(report.defenderLosses, applyCasualtySelection(defenders, pendingBombardmentLosses));
+  }
+
+  const sunkAttackers = sinkDefenselessTransports(attackers);
+  if (sunkAttackers) addLosses(report.attackerLosses, { transport: sunkAttackers });
+  const sunkDefenders = sinkDefenselessTransports(defenders.filter(u => u.type !== 'factory'));
+  if (sunkDefenders) addLosses(report.defenderLosses, { transport: sunkDefenders });
+
+  return finish();
+}
+
+// Strategic bombing raid (SPEC §6.4). Defending AA fires first (one die per
+// bomber, hit on 1); each surviving bomber rolls 1d6 (2d6 with Heavy
+// Bombers). The IPC loss is the total, capped by the territory's production
+// and by what the defender actually holds (`maxLoss`).
+export function resolveStrategicBombing({
+  bombers,
+  hasAA = false,
+  production = 0,
+  maxLoss = Infinity,
+  heavyBombers = false,
+  rollDie = rollD6,
+}) {
+  const aaRolls = [];
+  let aaHits = 0;
+  if (hasAA) {
+    for (let i = 0; i < bombers; i++) {
+      const roll = rollDie('raid:aa');
+      const hit = roll === 1;
+      aaRolls.push({ roll, hit });
+      if (hit) aaHits++;
+    }
+  }
+
+  const survivors = Math.max(0, bombers - aaHits);
+  const bombRolls = [];
+  const dicePerBomber = heavyBombers ? 2 : 1;
+  for (let i = 0; i < survivors * dicePerBomber; i++) {
+    bombRolls.push(rollDie('raid:bomb'));
+  }
+  const rawDamage = bombRolls.reduce((sum, r) => sum + r, 0);
+  const damage = Math.max(0, Math.min(rawDamage, production, maxLoss));
+
+  return { aaRolls, aaHits, survivors, bombRolls, rawDamage, damage };
+}
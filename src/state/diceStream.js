@@ -0,0 +1,140 @@
+// Seedable d6 stream for GameState._rollDie.
+//
+// Counter-based: die N of a game is a pure function of (seed, N), so the
+// persisted cursor is the whole PRNG state. Any client (or a node tool) can
+// re-derive a disputed battle from the saved seed and the cursor at the time
+// the battle started, without replaying the rest of the game. The mixer is
+// one mulberry32 step taken at state seed + (N + 1) * 0x6D2B79F5, which is
+// exactly what a sequential mulberry32 would output as its N-th value.
+//
+// Online games use a secret instead (generateDiceSecret): 128 random bits as
+// hex, with die N taken from SHA-256(secret:N). A 32-bit seed can be
+// recovered from a dozen observed rolls, a secret cannot. Only the client
+// that runs AI seats holds it; everyone else sees diceSeedCommitment(secret)
+// until the game ends (SPEC §9.4).
+//
+// Dependency-free so the harness and tools can import it directly.
+
+const MULBERRY_INCREMENT = 0x6D2B79F5;
+
+// 32-bit unsigned seed from a number or string (bug reports paste seeds as
+// text). Returns null for "no seed" so callers fall back to Math.random().
+export function normalizeDiceSeed(seed) {
+  if (seed === null || seed === undefined || seed === false || seed === '') return null;
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  const text = String(seed).trim();
+  if (isDiceSecret(text)) return text.toLowerCase();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  // FNV-1a over the characters for free-form seeds.
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function generateDiceSeed() {
+  const cryptoObj = globalThis.crypto;
+  if (cryptoObj?.getRandomValues) {
+    return cryptoObj.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// 128 random bits as 32 hex digits, for online games
+export function generateDiceSecret() {
+  const words = new Uint32Array(4);
+  const cryptoObj = globalThis.crypto;
+  if (cryptoObj?.getRandomValues) cryptoObj.getRandomValues(words);
+  else for (let i = 0; i < 4; i++) words[i] = Math.floor(Math.random() * 0x100000000);
+  return Array.from(words, w => w.toString(16).padStart(8, '0')).join('');
+}
+
+export function isDiceSecret(seed) {
+  return typeof seed === 'string' && /^[0-9a-f]{32}$/i.test(seed);
+}
+
+// What the game doc carries in place of a secret: anyone can check a
+// revealed secret against it, nobody can work the secret out from it
+export function diceSeedCommitment(seed) {
+  return isDiceSecret(seed) ? sha256Hex(`tacticalRisk-dice:${seed}`) : null;
+}
+
+// Uniform float in [0, 1) for position `cursor` of the stream.
+export function diceStreamValue(seed, cursor) {
+  let t = (seed + Math.imul(cursor + 1, MULBERRY_INCREMENT)) | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export function seededDie(seed, cursor) {
+  if (isDiceSecret(seed)) return secretDie(seed, cursor);
+  return Math.floor(diceStreamValue(seed, cursor) * 6) + 1;
+}
+
+// Die `cursor` of a secret's stream: the first byte of its hash below 252
+// (a multiple of 6, so every face is equally likely)
+function secretDie(secret, cursor) {
+  for (let attempt = 0; ; attempt++) {
+    const hash = sha256Hex(`${secret}:${cursor}${attempt ? `:${attempt}` : ''}`);
+    for (let i = 0; i < hash.length; i += 2) {
+      const byte = parseInt(hash.slice(i, i + 2), 16);
+      if (byte < 252) return (byte % 6) + 1;
+    }
+  }
+}
+
+// The `count` dice starting at `cursor`, e.g. to re-derive a battle.
+export function previewDice(seed, cursor, count) {
+  const rolls = [];
+  for (let i = 0; i < count; i++) rolls.push(seededDie(seed, cursor + i));
+  return rolls;
+}
+
+// SHA-256 of an ASCII string, as hex. Synchronous, unlike crypto.subtle,
+// because dice are rolled in the middle of combat.
+const SHA256_K = Uint32Array.from([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+export function sha256Hex(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i) & 0xff);
+  const bitLength = bytes.length * 8;
+  bytes.push(0x80);
+  while (bytes.length % 64 !== 56) bytes.push(0);
+  for (let shift = 56; shift >= 0; shift -= 8) bytes.push(shift >= 32 ? Math.floor(bitLength / 2 ** shift) & 0xff : (bitLength >>> shift) & 0xff);
+
+  const h = Uint32Array.from([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let block = 0; block < bytes.length; block += 64) {
+    for (let i = 0; i < 16; i++) {
+      const at = block + i * 4;
+      w[i] = (bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      hh = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+  }
+  return Array.from(h, x => x.toString(16).padStart(8, '0')).join('');
+}
@@ -0,0 +1,215 @@
+// Pure free-for-all diplomacy helpers: non-aggression pacts and temporary
+// alliances between two players. No Firebase.
+//
+// Every proposal and pact is one record in diplomacy.pacts. Records are never
+// deleted, only moved to a final status, and carry a revision counter so two
+// clients that edited the book concurrently can be merged (mergeDiplomacy).
+// Each record also names the player who made its last change (`by`), so a
+// merge can turn away changes made by the wrong side.
+//
+// Lifecycle: proposed → active → breaking → ended
+//            proposed → declined | withdrawn | lapsed
+// A broken pact stays in force for a notice period of one round: it ends at
+// the start of the breaker's next turn (expirePacts).
+
+export const PACT_TYPES = {
+  NON_AGGRESSION: 'non_aggression',
+  ALLIANCE: 'alliance',
+};
+
+export const PACT_LABELS = {
+  [PACT_TYPES.NON_AGGRESSION]: 'Non-aggression pact',
+  [PACT_TYPES.ALLIANCE]: 'Alliance',
+};
+
+// Merge precedence for two edits of the same record at the same revision:
+// the later stage of the lifecycle wins, so every client settles on one answer.
+const STATUS_RANK = ['proposed', 'active', 'breaking', 'declined', 'withdrawn', 'lapsed', 'ended'];
+const IN_FORCE = new Set(['active', 'breaking']);
+
+// Status → the statuses a record can reach from it (a remote copy may be
+// several steps ahead of ours)
+const LATER_STATUS = {
+  proposed: ['active', 'breaking', 'ended', 'declined', 'withdrawn', 'lapsed'],
+  active: ['breaking', 'ended'],
+  breaking: ['ended'],
+};
+
+export function createDiplomacy() {
+  return { pacts: [] };
+}
+
+// Saves / remote docs → a well-formed book (unknown records dropped)
+export function normalizeDiplomacy(data) {
+  const pacts = Array.isArray(data?.pacts) ? data.pacts : [];
+  return {
+    pacts: pacts
+      .filter(p => p && p.id && Object.values(PACT_TYPES).includes(p.type)
+        && STATUS_RANK.includes(p.status) && Array.isArray(p.players) && p.players.length === 2)
+      .map(p => ({ ...p, players: [...p.players] })),
+  };
+}
+
+const involves = (pact, a, b) => pact.players.includes(a) && pact.players.includes(b);
+
+// The pact in force between two players (active or serving notice), if any
+export function getPactBetween(diplomacy, a, b) {
+  return diplomacy?.pacts.find(p => IN_FORCE.has(p.status) && involves(p, a, b)) || null;
+}
+
+export function isPactInForce(pact) {
+  return !!pact && IN_FORCE.has(pact.status);
+}
+
+// Open proposals addressed to a player
+export function getIncomingProposals(diplomacy, playerId) {
+  return (diplomacy?.pacts || []).filter(p => p.status === 'proposed' && p.players[1] === playerId);
+}
+
+export function getProposalBetween(diplomacy, a, b) {
+  return diplomacy?.pacts.find(p => p.status === 'proposed' && involves(p, a, b)) || null;
+}
+
+const touch = (pact, changes, by) => Object.assign(pact, changes, { by, rev: (pact.rev || 0) + 1 });
+
+// Offer a pact. An alliance may be offered on top of a non-aggression pact
+// (it replaces the pact once accepted); anything else needs a clean slate.
+export function proposePact(diplomacy, { from, to, type, round }) {
+  if (!Object.values(PACT_TYPES).includes(type)) return { success: false, error: 'Unknown pact type' };
+  if (!from || !to || from === to) return { success: false, error: 'Pick another player' };
+  if (getProposalBetween(diplomacy, from, to)) return { success: false, error: 'A proposal is already waiting for an answer' };
+
+  const current = getPactBetween(diplomacy, from, to);
+  if (current && !(current.status === 'active' && current.type === PACT_TYPES.NON_AGGRESSION
+      && type === PACT_TYPES.ALLIANCE)) {
+    return { success: false, error: `Already bound by: ${PACT_LABELS[current.type]}` };
+  }
+
+  // Only the proposer's client creates ids with this prefix, so they stay unique
+  const n = diplomacy.pacts.filter(p => p.proposedBy === from).length + 1;
+  const pact = {
+    id: `${from}>${to}#${n}`,
+    type,
+    players: [from, to],
+    proposedBy: from,
+    proposedRound: round,
+    status: 'proposed',
+    by: from,
+    rev: 1,
+  };
+  diplomacy.pacts.push(pact);
+  return { success: true, pact };
+}
+
+// Answer a proposal: the recipient accepts or declines, the proposer may
+// withdraw. Accepting supersedes any non-aggression pact between the two.
+export function respondToProposal(diplomacy, pactId, playerId, accept, round) {
+  const pact = diplomacy.pacts.find(p => p.id === pactId);
+  if (!pact || pact.status !== 'proposed') return { success: false, error: 'That proposal is no longer open' };
+  const [from, to] = pact.players;
+
+  if (playerId === from) {
+    if (accept) return { success: false, error: 'You cannot accept your own proposal' };
+    touch(pact, { status: 'withdrawn', closedRound: round }, playerId);
+    return { success: true, pact };
+  }
+  if (playerId !== to) return { success: false, error: 'That proposal is not addressed to you' };
+
+  if (!accept) {
+    touch(pact, { status: 'declined', closedRound: round }, playerId);
+    return { success: true, pact };
+  }
+
+  const previous = getPactBetween(diplomacy, from, to);
+  if (previous) touch(previous, { status: 'ended', closedRound: round, supersededBy: pact.id }, playerId);
+  touch(pact, { status: 'active', signedRound: round }, playerId);
+  return { success: true, pact, superseded: previous || null };
+}
+
+// Give notice on a pact. It stays in force until the breaker's next turn.
+export function breakPact(diplomacy, pactId, playerId, round) {
+  const pact = diplomacy.pacts.find(p => p.id === pactId);
+  if (!pact || pact.status !== 'active') return { success: false, error: 'No active pact to break' };
+  if (!pact.players.includes(playerId)) return { success: false, error: 'You are not part of that pact' };
+  touch(pact, { status: 'breaking', brokenBy: playerId, brokenRound: round, endsRound: round + 1 }, playerId);
+  return { success: true, pact };
+}
+
+// Start of a player's turn: their broken pacts whose notice has run out end,
+// and their own unanswered proposals lapse. Returns { ended, lapsed }.
+export function expirePacts(diplomacy, playerId, round) {
+  const ended = [];
+  const lapsed = [];
+  for (const pact of diplomacy?.pacts || []) {
+    if (pact.status === 'breaking' && pact.brokenBy === playerId && round >= pact.endsRound) {
+      touch(pact, { status: 'ended', closedRound: round }, playerId);
+      ended.push(pact);
+    } else if (pact.status === 'proposed' && pact.proposedBy === playerId && round > pact.proposedRound) {
+      touch(pact, { status: 'lapsed', closedRound: round }, playerId);
+      lapsed.push(pact);
+    }
+  }
+  return { ended, lapsed };
+}
+
+// Combine two copies of the book record by record: higher revision wins,
+// ties go to the later lifecycle stage. Order follows the local copy. A
+// remote record only wins if it is a change its writer could have made
+// (isLegalChange); anything else keeps the local record.
+export function mergeDiplomacy(local, remote) {
+  const merged = new Map();
+  for (const pact of local?.pacts || []) merged.set(pact.id, pact);
+  for (const pact of remote?.pacts || []) {
+    const seen = merged.get(pact.id);
+    if (seen && pickNewer(seen, pact) !== pact) continue;
+    if (isLegalChange(seen || null, pact)) merged.set(pact.id, pact);
+  }
+  return normalizeDiplomacy({ pacts: [...merged.values()] });
+}
+
+// The side allowed to put a record in its status: the proposer offers,
+// withdraws and lets lapse, the recipient accepts or declines, the breaker
+// gives and serves notice. A pact superseded by an alliance is ended by
+// whichever member accepted it.
+function isRightWriter(pact) {
+  const [from, to] = pact.players;
+  switch (pact.status) {
+    case 'proposed':
+    case 'withdrawn':
+    case 'lapsed':
+      return pact.by === from;
+    case 'active':
+    case 'declined':
+      return pact.by === to;
+    case 'breaking':
+      return pact.by === pact.brokenBy && pact.players.includes(pact.brokenBy);
+    case 'ended':
+      return pact.supersededBy ? pact.players.includes(pact.by) : pact.by === pact.brokenBy;
+    default:
+      return false;
+  }
+}
+
+// A remote edit of `before` (null: a record new to us) that its writer
+// could have made: the parties and terms are unchanged, a newer revision
+// moved the status along the lifecycle (one at the same revision is a
+// concurrent edit of the same step) and the writer is the right side for it.
+export function isLegalChange(before, after) {
+  if (!Array.isArray(after?.players) || after.players.length !== 2) return false;
+  const [from, to] = after.players;
+  if (after.proposedBy !== from || !String(after.id).startsWith(`${from}>${to}#`)) return false;
+  if (!isRightWriter(after)) return false;
+  if (!before) return true;
+  return before.type === after.type
+    && before.proposedBy === after.proposedBy
+    && before.proposedRound === after.proposedRound
+    && before.players.every((id, i) => id === after.players[i])
+    && ((after.rev || 0) === (before.rev || 0) || (LATER_STATUS[before.status] || []).includes(after.status));
+}
+
+function pickNewer(a, b) {
+  const ra = a.rev || 0;
+  const rb = b.rev || 0;
+  if (ra !== rb) return ra > rb ? a : b;
+  return STATUS_RANK.indexOf(b.status) > STATUS_RANK.indexOf(a.status) ? b : a;
+}
@@ -0,0 +1,84 @@
+// Pure economic-victory helpers (SPEC §8.2). No Firebase.
+// A side wins when the territories it controls produce at least its
+// threshold, checked at the end of a full round. Sides are the two
+// alliances (classic / alliances on), the lobby teams (teams on; players
+// without a team compete alone), or every player on their own (FFA).
+
+// SPEC §8.2 values for the alliance game.
+export const DEFAULT_ALLIANCE_THRESHOLDS = { Axis: 84, Allies: 140 };
+// The Risk map produces roughly 60 IPCs plus 10 per capital, so these sit
+// a little over half the map for a team and about 40% for a lone player.
+export const DEFAULT_TEAM_THRESHOLD = 60;
+export const DEFAULT_PLAYER_THRESHOLD = 40;
+
+// Lobby/save options → `{ enabled: true, thresholds }`, or null when off.
+// Thresholds are keyed by side (see getEconomicSides); missing or
+// non-positive entries fall back to the defaults.
+export function normalizeEconomicVictory(options) {
+  if (!options || !options.enabled) return null;
+  const thresholds = {};
+  for (const [key, value] of Object.entries(options.thresholds || {})) {
+    const n = Math.floor(Number(value));
+    if (n > 0) thresholds[key] = n;
+  }
+  return { enabled: true, thresholds };
+}
+
+// 'alliance' | 'team' | 'player' for the given game flags.
+export function economicSideMode({ gameMode, alliancesEnabled, teamsEnabled }) {
+  if (gameMode === 'classic' || alliancesEnabled) return 'alliance';
+  if (teamsEnabled) return 'team';
+  return 'player';
+}
+
+// Group players into competing sides: [{ key, label, playerIds, defaultThreshold }].
+// Keys: the alliance name, `Team <n>`, or the player id.
+export function getEconomicSides(players, mode, getAlliance = () => null) {
+  const sides = new Map();
+  for (const player of players || []) {
+    let key, label, defaultThreshold;
+    const alliance = mode === 'alliance' ? getAlliance(player.id) : null;
+    if (alliance) {
+      key = label = alliance;
+      defaultThreshold = DEFAULT_ALLIANCE_THRESHOLDS[alliance] ?? DEFAULT_PLAYER_THRESHOLD;
+    } else if (mode === 'team' && player.teamId) {
+      key = label = `Team ${player.teamId}`;
+      defaultThreshold = DEFAULT_TEAM_THRESHOLD;
+    } else {
+      key = player.id;
+      label = player.name || player.id;
+      defaultThreshold = DEFAULT_PLAYER_THRESHOLD;
+    }
+    if (!sides.has(key)) sides.set(key, { key, label, playerIds: [], defaultThreshold });
+    sides.get(key).playerIds.push(player.id);
+  }
+  return [...sides.values()];
+}
+
+// Production and threshold per side. `getProduction(playerId)` comes from
+// GameState so this module stays independent of it.
+export function computeEconomicProgress(sides, thresholds, getProduction) {
+  return sides.map(side => {
+    const production = side.playerIds.reduce((sum, id) => sum + (getProduction(id) || 0), 0);
+    const threshold = thresholds?.[side.key] ?? side.defaultThreshold;
+    return {
+      key: side.key,
+      label: side.label,
+      playerIds: side.playerIds,
+      production,
+      threshold,
+      reached: production >= threshold,
+    };
+  });
+}
+
+// The side that wins this round, or null. If several sides clear their
+// threshold in the same round, the one furthest past it (by ratio) wins.
+export function findEconomicWinner(progress) {
+  let best = null;
+  for (const side of progress) {
+    if (!side.reached) continue;
+    if (!best || side.production / side.threshold > best.production / best.threshold) best = side;
+  }
+  return best;
+}
@@ -0,0 +1,259 @@
+// Game event log for the replay viewer. No DOM, no GameState.
+//
+// Every state-changing GameState call appends one event: what happened
+// (type + a small data summary), who did it, where the turn stood afterwards,
+// and the board changes it made. Changes are found by diffing per-territory
+// signatures against the board as of the previous event, so anything a UI
+// module mutated directly in between (CombatUI writes units itself) is folded
+// into the next recorded call rather than lost.
+//
+// Log shape: { id, base, seq, events }. `base` is the board when the log
+// started; replaying events 1..n on top of it gives the board after event n.
+// `seq` only grows, so events from different sources (a save, Firestore
+// replay archive, this client) merge by seq.
+
+export const EVENT_TYPES = {
+  DRAFT: 'draft',
+  CAPITAL: 'capital',
+  PLACE: 'place',
+  PURCHASE: 'purchase',
+  MOBILIZE: 'mobilize',
+  MOVE: 'move',
+  BOMBING_RAID: 'bombing_raid',
+  ROCKET: 'rocket',
+  COMBAT: 'combat',
+  RETREAT: 'retreat',
+  UNDO: 'undo',
+  PHASE: 'phase',
+  TURN: 'turn',
+  TIMEOUT: 'timeout',
+};
+
+// A keyframe every N events keeps scrubbing cheap on long games
+const KEYFRAME_INTERVAL = 25;
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function newLogId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Board as the replay needs it: ownership, units, treasuries and turn position
+export function snapshotBoard(state) {
+  const ipcs = {};
+  for (const [id, ps] of Object.entries(state.playerState || {})) ipcs[id] = ps?.ipcs ?? 0;
+  return {
+    round: state.round || 1,
+    phase: state.phase || null,
+    turnPhase: state.turnPhase || null,
+    currentPlayerIndex: state.currentPlayerIndex || 0,
+    territoryState: clone(state.territoryState || {}),
+    units: clone(state.units || {}),
+    ipcs,
+  };
+}
+
+export function createEventLog(base = null) {
+  return { id: newLogId(), base, seq: 0, events: [] };
+}
+
+// Saves / remote docs → a well-formed log, or null when there is none
+export function normalizeEventLog(data) {
+  if (!data || typeof data !== 'object' || !data.base) return null;
+  const events = Array.isArray(data.events) ? data.events.filter(e => e && Number.isFinite(e.seq)) : [];
+  events.sort((a, b) => a.seq - b.seq);
+  const lastSeq = events.length ? events[events.length - 1].seq : 0;
+  return {
+    id: data.id || newLogId(),
+    base: data.base,
+    seq: Math.max(Number(data.seq) || 0, lastSeq),
+    events,
+  };
+}
+
+// Same game's log from two sources (e.g. local unarchived events + a loaded
+// doc). Different games never merge: the incoming log wins outright.
+export function mergeEventLogs(local, incoming) {
+  if (!incoming) return local;
+  if (!local || local.id !== incoming.id) return incoming;
+  const bySeq = new Map();
+  for (const event of [...local.events, ...incoming.events]) bySeq.set(event.seq, event);
+  return {
+    id: incoming.id,
+    base: incoming.base || local.base,
+    seq: Math.max(local.seq, incoming.seq),
+    events: [...bySeq.values()].sort((a, b) => a.seq - b.seq),
+  };
+}
+
+// The log without its events (state doc copy; events are archived elsewhere)
+export function withoutEvents(log) {
+  return log ? { id: log.id, base: log.base, seq: log.seq, events: [] } : null;
+}
+
+// The log keeping only its last `keep` events: the older ones are folded
+// into the base board, so the replay starts later but every frame it has is
+// unchanged. The input is not changed.
+export function compactEventLog(log, keep) {
+  if (!log || log.events.length <= keep) return log;
+  const cut = log.events.length - keep;
+  const base = clone(log.base || snapshotBoard({}));
+  for (const event of log.events.slice(0, cut)) applyEvent(base, event);
+  return { id: log.id, base, seq: log.seq, events: log.events.slice(cut) };
+}
+
+// Per-territory and per-treasury fingerprints used to spot changes
+export function boardSignatures(state) {
+  const sigs = new Map();
+  const names = new Set([...Object.keys(state.territoryState || {}), ...Object.keys(state.units || {})]);
+  for (const name of names) {
+    sigs.set(`t:${name}`, JSON.stringify([state.territoryState?.[name] ?? null, state.units?.[name] ?? null]));
+  }
+  for (const [id, ps] of Object.entries(state.playerState || {})) {
+    sigs.set(`i:${id}`, String(ps?.ipcs ?? 0));
+  }
+  return sigs;
+}
+
+// Changes between `previous` signatures and the live state. Returns
+// { changes, sigs } where changes = { territories?: { name: { state, units } }, ipcs? }
+// (state/units null = the entry is gone).
+export function diffBoard(previous, state) {
+  const sigs = boardSignatures(state);
+  const territories = {};
+  const ipcs = {};
+  for (const [key, sig] of sigs) {
+    if (previous?.get(key) === sig) continue;
+    const name = key.slice(2);
+    if (key.startsWith('t:')) {
+      territories[name] = {
+        state: clone(state.territoryState?.[name] ?? null),
+        units: clone(state.units?.[name] ?? null),
+      };
+    } else {
+      ipcs[name] = state.playerState?.[name]?.ipcs ?? 0;
+    }
+  }
+  // A territory whose entry vanished entirely still needs clearing
+  for (const key of previous?.keys() || []) {
+    if (key.startsWith('t:') && !sigs.has(key)) territories[key.slice(2)] = { state: null, units: null };
+  }
+  const changes = {};
+  if (Object.keys(territories).length) changes.territories = territories;
+  if (Object.keys(ipcs).length) changes.ipcs = ipcs;
+  return { changes, sigs };
+}
+
+// Append an event. `state` is the GameState after the change.
+export function appendEvent(log, { type, playerId = null, data = {}, changes = {} }, state) {
+  log.seq += 1;
+  const event = {
+    seq: log.seq,
+    type,
+    playerId,
+    round: state.round || 1,
+    phase: state.phase || null,
+    turnPhase: state.turnPhase || null,
+    currentPlayerIndex: state.currentPlayerIndex || 0,
+    at: Date.now(),
+    data,
+    changes,
+  };
+  log.events.push(event);
+  return event;
+}
+
+// Moved units for a move event: regular stacks plus individually tracked
+// ships (looked up by id among the destination's units)
+export function summarizeMovedUnits(units, shipIds = [], destUnits = []) {
+  const summary = (units || []).map(u => ({ type: u.type, quantity: u.quantity }));
+  for (const id of shipIds || []) {
+    const ship = (destUnits || []).find(u => u.id === id);
+    if (!ship) continue;
+    const row = summary.find(u => u.type === ship.type);
+    if (row) row.quantity += 1;
+    else summary.push({ type: ship.type, quantity: 1 });
+  }
+  return summary;
+}
+
+// Apply one event's changes to a board (in place)
+export function applyEvent(board, event) {
+  for (const [name, change] of Object.entries(event.changes?.territories || {})) {
+    if (change.state) board.territoryState[name] = clone(change.state);
+    else delete board.territoryState[name];
+    if (change.units) board.units[name] = clone(change.units);
+    else delete board.units[name];
+  }
+  Object.assign(board.ipcs, event.changes?.ipcs || {});
+  board.round = event.round;
+  board.phase = event.phase;
+  board.turnPhase = event.turnPhase;
+  board.currentPlayerIndex = event.currentPlayerIndex;
+  return board;
+}
+
+// Random access over a log. Frame 0 is the base board; frame n is the board
+// after events[n - 1].
+export function createReplay(log) {
+  const events = log?.events || [];
+  const keyframes = new Map([[0, clone(log?.base || snapshotBoard({}))]]);
+
+  function frameAt(index) {
+    const target = Math.max(0, Math.min(events.length, index));
+    let start = target - (target % KEYFRAME_INTERVAL);
+    while (!keyframes.has(start)) start -= KEYFRAME_INTERVAL;
+    const board = clone(keyframes.get(start));
+    for (let i = start; i < target; i++) {
+      applyEvent(board, events[i]);
+      if ((i + 1) % KEYFRAME_INTERVAL === 0 && !keyframes.has(i + 1)) keyframes.set(i + 1, clone(board));
+    }
+    return board;
+  }
+
+  // First frame of each player-turn, for "jump to turn" controls
+  function turnStarts() {
+    const starts = [0];
+    for (let i = 0; i < events.length; i++) {
+      if (events[i].type === EVENT_TYPES.TURN) starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  return {
+    length: events.length,
+    eventAt: index => (index > 0 ? events[index - 1] : null),
+    frameAt,
+    turnStarts,
+  };
+}
+
+const unitList = units => (units || []).map(u => `${u.quantity} ${u.type}`).join(', ');
+
+// One line for the replay timeline. `nameOf` maps player ids to display names.
+export function describeEvent(event, nameOf = id => id) {
+  if (!event) return 'Start of the log';
+  const who = event.playerId ? nameOf(event.playerId) : 'Game';
+  const d = event.data || {};
+  switch (event.type) {
+    case EVENT_TYPES.DRAFT: return `${who} drafts ${d.territory}`;
+    case EVENT_TYPES.CAPITAL: return `${who} founds a capital in ${d.territory}`;
+    case EVENT_TYPES.PLACE: return `${who} places ${unitList(d.units)} in ${d.territory}`;
+    case EVENT_TYPES.PURCHASE: return `${who} buys ${unitList(d.units)}`;
+    case EVENT_TYPES.MOBILIZE: return `${who} mobilizes ${d.unitType} in ${d.territory}`;
+    case EVENT_TYPES.MOVE: return `${who} moves ${unitList(d.units)}: ${d.from} → ${d.to}`;
+    case EVENT_TYPES.BOMBING_RAID: return `${who} sends ${d.quantity} bomber(s) from ${d.from} to raid ${d.to}`;
+    case EVENT_TYPES.ROCKET: return `${who} fires a rocket from ${d.from} at ${d.to}`;
+    case EVENT_TYPES.COMBAT:
+      if (d.raid) return `Bombing raid on ${d.territory}: ${d.damage} IPC damage`;
+      return d.resolved === false
+        ? `Battle for ${d.territory} continues`
+        : `Battle for ${d.territory}: ${d.winner === 'attacker' ? 'attacker wins' : 'defender holds'}`;
+    case EVENT_TYPES.RETREAT: return `${who} retreats from ${d.from} to ${d.to}`;
+    case EVENT_TYPES.UNDO: return `${who} undoes ${d.action || 'an action'}`;
+    case EVENT_TYPES.PHASE: return `${who}: ${d.label || event.turnPhase}`;
+    case EVENT_TYPES.TIMEOUT: return `${who} ran out of time${d.action === 'ai' ? ': the AI plays the turn' : ''}`;
+    case EVENT_TYPES.TURN: return d.setup ? `${who} finishes placing` : `${who} ends their turn`;
+    default: return `${who}: ${event.type}`;
+  }
+}
@@ -0,0 +1,124 @@
+// Fog of war (optional rule, SPEC §9.3). No DOM, no GameState.
+// A side sees every territory it owns or has units in, and every territory
+// next to one of those. Battles are always in sight of both sides, since the
+// attackers stand in the territory they attack, so a battle reveals the
+// defenders. Everywhere else enemy units are hidden:
+//   units  hidden territories still show who owns them
+//   full   hidden territories show nothing
+//
+// The game state itself is never fogged: every seat needs the whole board to
+// play and to check the others' moves. Fog is applied to what is drawn, to
+// the AI's view of the board, to the battle calculator and to boards sent to
+// spectators. Online, the game doc and action log stay readable to anyone
+// signed in, so fog hides the board on screen, not from someone reading the
+// data (SPEC §9.3).
+
+export const FOG_MODES = ['units', 'full'];
+
+// Lobby/save option → mode, or null when the game has no fog
+export function normalizeFogOfWar(mode) {
+  return FOG_MODES.includes(mode) ? mode : null;
+}
+
+// Players whose side the local screen shows. Online: the local seat (none
+// for a spectator). On one device: the human to move, or every human
+// while an AI moves.
+export function fogViewerIds({ players = [], currentPlayer = null, isMultiplayer = false, localUserId = null } = {}) {
+  if (isMultiplayer) {
+    const seat = players.find(p => localUserId && p.oderId === localUserId);
+    return seat ? [seat.id] : [];
+  }
+  if (currentPlayer && !currentPlayer.isAI) return [currentPlayer.id];
+  return players.filter(p => !p.isAI).map(p => p.id);
+}
+
+// Names of the territories in sight. friendly(ownerId): the viewer's side;
+// connections(name): neighbouring territory names.
+export function visibleTerritories({ territoryState, units, combatQueue }, friendly, connections) {
+  const visible = new Set();
+  const see = (name) => {
+    visible.add(name);
+    for (const next of connections(name) || []) visible.add(next);
+  };
+  for (const [name, state] of Object.entries(territoryState || {})) {
+    if (state?.owner && friendly(state.owner)) see(name);
+  }
+  for (const [name, stack] of Object.entries(units || {})) {
+    if ((stack || []).some(u => friendly(u.owner))) see(name);
+  }
+  for (const name of combatQueue || []) visible.add(name);
+  return visible;
+}
+
+// The board as one side sees it: { mode, visible, units, territoryState,
+// friendly }. Hidden stacks are dropped; in full mode hidden territories lose
+// their owner.
+export function fogView(state, mode, friendly, connections) {
+  const visible = visibleTerritories(state, friendly, connections);
+  const units = {};
+  for (const [name, stack] of Object.entries(state.units || {})) {
+    if (visible.has(name)) units[name] = stack;
+  }
+  let territoryState = state.territoryState || {};
+  if (mode === 'full') {
+    territoryState = {};
+    for (const [name, entry] of Object.entries(state.territoryState || {})) {
+      territoryState[name] = visible.has(name) ? entry : { ...entry, owner: null };
+    }
+  }
+  return { mode, visible, units, territoryState, friendly };
+}
+
+// A JSON board (GameState.toJSON / replicatedState) with everything hidden
+// from the side removed, for boards that leave this client
+export function fogState(state, mode, friendly, connections) {
+  const view = fogView(state, mode, friendly, connections);
+  return { ...state, units: view.units, territoryState: view.territoryState };
+}
+
+// One fogged state per game and side, so asking again (each AI set-up, each
+// calculator opened) does not add another listener to the game
+const foggedStates = new WeakMap();
+
+// The GameState a side plans with: reads of units and owners go through its
+// side's fog, everything else (including the moves it makes) reaches the
+// real game. The view is rebuilt after each change to the game.
+export function foggedStateFor(gameState, playerId) {
+  let bySide = foggedStates.get(gameState);
+  if (!bySide) foggedStates.set(gameState, bySide = new Map());
+  if (!bySide.has(playerId)) bySide.set(playerId, buildFoggedState(gameState, playerId));
+  return bySide.get(playerId);
+}
+
+function buildFoggedState(gameState, playerId) {
+  let view = null;
+  gameState.subscribe?.(() => { view = null; });
+  const current = () => {
+    if (!view || !gameState.fogOfWar) {
+      view = gameState.getFogView?.([playerId]) || null;
+    }
+    return view;
+  };
+  return new Proxy(gameState, {
+    get(target, prop) {
+      const fog = current();
+      if (fog) {
+        if (prop === 'units') return fog.units;
+        if (prop === 'territoryState') return fog.territoryState;
+        if (prop === 'getUnitsAt') return name => fog.units[name] || [];
+        if (prop === 'getUnits') {
+          return (name, owner = null) => {
+            const stack = fog.units[name] || [];
+            return owner ? stack.filter(u => u.owner === owner) : stack;
+          };
+        }
+        if (prop === 'getOwner') return name => fog.territoryState[name]?.owner || null;
+      }
+      const value = Reflect.get(target, prop, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+    set(target, prop, value) {
+      return Reflect.set(target, prop, value, target);
+    },
+  });
+}
@@ -10,9 +10,70 @@ import {
   shouldRestoreStartingDeployPool,
 } from './placementPass.js';
 import { resolveDeployedThisRoundAfterLoad } from './placeQueue.js';
+import {
+  getCombatTechs,
+  planBombardment,
+  resolveBattleRound,
+  resolveStrategicBombing,
+} from './combatEngine.js';
+import { normalizeDiceSeed, generateDiceSeed, generateDiceSecret, diceSeedCommitment, seededDie, previewDice } from './diceStream.js';
+import { canCrossCanal, findCanal, isCanalOpen } from './canals.js';
+import {
+  normalizeEconomicVictory,
+  economicSideMode,
+  getEconomicSides,
+  computeEconomicProgress,
+  findEconomicWinner,
+} from './economicVictory.js';
+import { normalizeCapitalVictory, requiredCapitals, pickRoundLimitWinners } from './capitalVictory.js';
+import { normalizeTurnClock, startClockTurn, isClockExpired } from './turnClock.js';
+import { LAND_BRIDGES, landBridgesFor } from './landBridges.js';
+import { normalizeFogOfWar, fogView } from './fogOfWar.js';
+import { buildHeatmap } from './heatmap.js';
+import {
+  RALLY_KINDS,
+  normalizeRallyPoints,
+  normalizeAllRallyPoints,
+  rallyTargetFor,
+  isFrontline,
+  findNearestFrontline,
+  shortestPath,
+} from './standingOrders.js';
+import { normalizeScenario } from './scenario.js';
+import { migrateSave } from './saveFormat.js';
+import {
+  PACT_TYPES,
+  createDiplomacy,
+  normalizeDiplomacy,
+  getPactBetween,
+  getProposalBetween,
+  proposePact as addPactProposal,
+  respondToProposal,
+  breakPact as givePactNotice,
+  expirePacts,
+  mergeDiplomacy as mergeDiplomacyBooks,
+} from './diplomacy.js';
+import {
+  EVENT_TYPES,
+  createEventLog,
+  normalizeEventLog,
+  mergeEventLogs,
+  snapshotBoard,
+  boardSignatures,
+  diffBoard,
+  appendEvent,
+  summarizeMovedUnits,
+  compactEventLog,
+} from './eventLog.js';
+
+// Replay events kept in the local autosave; earlier ones are folded into
+// the log's starting board
+const AUTOSAVE_LOG_EVENTS = 300;
 
 export const GAME_PHASES = {
   LOBBY: 'lobby',
+  // Draft mode only: players pick territories in snake order before capitals
+  TERRITORY_DRAFT: 'territory_draft',
   CAPITAL_PLACEMENT: 'capital_placement',
   UNIT_PLACEMENT: 'unit_placement',
   PLAYING: 'playing',
@@ -62,10 +123,16 @@ export function resolvePersistedTurnPhase(phase, turnPhase) {
 }
 
 export function isSetupPhase(phase) {
-  return phase === GAME_PHASES.CAPITAL_PLACEMENT
+  return phase === GAME_PHASES.TERRITORY_DRAFT
+    || phase === GAME_PHASES.CAPITAL_PLACEMENT
     || phase === GAME_PHASES.UNIT_PLACEMENT;
 }
 
+// Draft mode plays by the Risk rules (cards, starting pools) once the map is dealt
+export function usesRiskRules(gameMode) {
+  return gameMode === 'risk' || gameMode === 'draft';
+}
+
 export function isPlayingPhase(phase) {
   return phase === GAME_PHASES.PLAYING;
 }
@@ -98,28 +165,16 @@ export const TECHNOLOGIES = {
   industrialTech: { name: 'Industrial Technology', description: 'Units cost -1 IPC (min 1)' },
 };
 
+// Movement Long Range Aircraft adds to fighters and bombers
+export const LONG_RANGE_AIR_BONUS = 2;
+// A capital is always worth this many IPCs, whatever its map value
+export const CAPITAL_IPC_VALUE = 10;
+
 // RISK card trade values (escalating)
 export const RISK_CARD_VALUES = [12, 18, 24, 30, 36, 45, 60, 75];
 
-// Land bridges - allow land movement between these territories without naval transport
-export const LAND_BRIDGES = [
-  ['Alaska', 'Soviet Far East'],
-  ['East Canada', 'Eire'],
-  ['Brazil', 'French West Africa'],
-  ['East US', 'Cuba'],
-  ['Eire', 'United Kingdom'],
-  ['United Kingdom', 'Finland Norway'],
-  ['United Kingdom', 'West Europe'],  // Channel crossing
-  ['South Europe', 'Anglo Sudan Egypt'],
-  ['Syria Jordan', 'Anglo Sudan Egypt'],
-  ['French Indo China', 'East Indies'],  // Note: "French Indo China" (no hyphen) matches territory name
-  ['East Indies', 'Australia'],
-  ['Australia', 'New Zealand'],
-  ['Kenya-Rhodesia', 'Madagascar'],
-  ['Spain', 'Algeria'],  // Strait of Gibraltar
-  ['Japan', 'Manchuria'],  // Korea Strait crossing
-  ['Italian East Africa', 'Saudi Arabia'],  // Red Sea crossing
-];
+// Land bridges live in landBridges.js; re-exported for existing importers
+export { LAND_BRIDGES };
 
 // Starting IPCs by player count for Risk mode
 export const STARTING_IPCS_BY_PLAYER_COUNT = {
@@ -154,10 +209,15 @@ export const RISK_STARTING_UNITS = {
 };
 
 export class GameState {
-  constructor(setup, territories, continents) {
+  constructor(setup, territories, continents, canals = []) {
     this.setup = setup;
     this.territories = territories;
     this.continents = continents;
+    // Canal definitions from data/canals.json (SPEC §2.4). Static map data,
+    // not saved: ownership of the canal land is the only state that matters.
+    this.canals = canals;
+    // Land bridges: the map file's own, or the built-in list (landBridges.js)
+    this.landBridges = landBridgesFor(territories);
     this.gameMode = null;
     this.alliancesEnabled = false;
     this.teamsEnabled = false;
@@ -200,6 +260,31 @@ export class GameState {
     this.gameOver = false;
     this.winner = null; // 'Allies', 'Axis', or player name
     this.winCondition = null;
+    // Who won (player ids) and how, for match records (matchResults.js):
+    // 'capital', 'team', 'alliance', 'economic', 'round_limit', 'last_standing'
+    this.winnerIds = [];
+    this.victoryType = null;
+    // Optional economic victory (SPEC §8.2): null = off, else
+    // { enabled, thresholds: { sideKey: IPCs } }. See economicVictory.js.
+    this.economicVictory = null;
+    // Free-for-all capital victory (SPEC §8.3): capital count, timing and
+    // optional round limit. See capitalVictory.js.
+    this.capitalVictory = normalizeCapitalVictory();
+    // Free-for-all diplomacy: non-aggression pacts and temporary alliances
+    // proposed between players. See diplomacy.js.
+    this.diplomacy = createDiplomacy();
+    // Optional turn clock (SPEC §9.1): null = untimed. See turnClock.js.
+    this.turnClock = null;
+    // Optional fog of war (SPEC §9.3): null = off, 'units' or 'full'.
+    // See fogOfWar.js.
+    this.fogOfWar = null;
+    // Standing orders: rally points per player ({ factories, regions }).
+    // See standingOrders.js.
+    this.rallyPoints = {};
+    // Ordered record of state-changing calls for the replay viewer. See
+    // eventLog.js. _eventSigs fingerprints the board as of the last event.
+    this.eventLog = null;
+    this._eventSigs = null;
 
     // Combat log for current round
     this.combatLog = [];
@@ -230,6 +315,11 @@ export class GameState {
     // Format: [{ originTerritory, units: [{ id, type, quantity, landingOptions }] }]
     this.pendingAirLandings = [];
 
+    // Strategic bombing raids committed during combat move, resolved at the
+    // start of the combat phase before regular battles (SPEC §6.4).
+    // Format: [{ target, owner, defender, origins: { territoryName: bomberCount } }]
+    this.bombingRaids = [];
+
     // Placement history for undo: [{ territory, unitType, owner }]
     this.placementHistory = [];
     // In-memory last capital only (not in toJSON — SCHEMA 11).
@@ -252,6 +342,18 @@ export class GameState {
     // Tracks battles, territory captures, etc. for showing what happened during other players' turns
     this.turnEvents = [];
 
+    // Optional seeded dice (diceStream.js). null = unseeded Math.random().
+    // diceCursor counts every die rolled so far; (seed, cursor) re-derives them.
+    // Online games hold a secret instead, and only on the client that runs AI
+    // seats: the others see its commitment (diceSeedHash) and a null seed.
+    this.diceSeed = null;
+    this.diceSeedHash = null;
+    this.diceCursor = 0;
+
+    // Territory draft (draft mode): number of picks made so far. The seat on
+    // the clock is derived from it (snake order), see getDraftPlayerIndex.
+    this.draftPick = 0;
+
     // Build lookups
     this.territoryByName = {};
     this.landTerritories = [];
@@ -396,16 +498,113 @@ export class GameState {
     this.gameMode = mode;
     this.alliancesEnabled = options.alliancesEnabled || (mode === 'classic');
     this.teamsEnabled = options.teamsEnabled || false;
+    this.economicVictory = normalizeEconomicVictory(options.economicVictory);
+    this.capitalVictory = normalizeCapitalVictory(options.capitalVictory);
+    this.diplomacy = createDiplomacy();
+    this.turnClock = normalizeTurnClock(options.turnClock);
+    this.fogOfWar = normalizeFogOfWar(options.fogOfWar);
+    this.rallyPoints = {};
+    // diceSeed: true = fresh random seed (a secret online), number/string =
+    // that seed, absent = unseeded
+    const freshSeed = options.isMultiplayer ? generateDiceSecret() : generateDiceSeed();
+    this.setDiceSeed(options.diceSeed === true ? freshSeed : options.diceSeed);
 
     if (mode === 'classic') {
       this._initClassicMode(selectedPlayers);
     } else if (mode === 'risk') {
       this._initRiskMode(selectedPlayers, options);
+    } else if (mode === 'draft') {
+      this._initDraftMode(selectedPlayers, options);
+    } else if (mode === 'scenario') {
+      this._initScenarioMode(selectedPlayers, options);
     }
 
+    this._startTurnClock();
+    this._startEventLog();
     this._notify();
   }
 
+  // --- Turn clock ---
+
+  // Put the seat to move on the clock (no-op outside PLAYING or when untimed)
+  _startTurnClock() {
+    if (!this.turnClock || this.phase !== GAME_PHASES.PLAYING) return;
+    startClockTurn(this.turnClock, this.currentPlayer?.id ?? null);
+  }
+
+  // The seat to move has run out of time and nobody has acted on it yet
+  isTurnClockExpired(now = Date.now()) {
+    if (this.gameOver || this.phase !== GAME_PHASES.PLAYING) return false;
+    return isClockExpired(this.turnClock, this.currentPlayer, now);
+  }
+
+  // This turn belongs to the AI because the seat timed out with onTimeout 'ai'
+  isTurnTakenOver(playerId = this.currentPlayer?.id) {
+    return !!playerId && this.turnClock?.expired === playerId && this.turnClock.onTimeout === 'ai';
+  }
+
+  // Act on an expired clock (authority client only). 'ai' marks the turn
+  // taken over for the AI controller; 'pass' finishes the turn here.
+  timeOutTurn(unitDefs) {
+    const player = this.currentPlayer;
+    if (!player || !this.isTurnClockExpired()) return { success: false, error: 'Turn clock has not run out' };
+    const action = this.turnClock.onTimeout;
+    this.turnClock.expired = player.id;
+    this._recordEvent(EVENT_TYPES.TIMEOUT, { action }, player.id);
+    if (action === 'pass') {
+      this._passTurn(unitDefs);
+    } else {
+      this._notify();
+    }
+    return { success: true, action, playerId: player.id };
+  }
+
+  // Finish the current turn without new decisions: uncommitted combat moves
+  // are taken back, unplaced purchases refunded, battles and raids already
+  // committed are fought out, then the turn ends as usual (income included).
+  _passTurn(unitDefs) {
+    const player = this.currentPlayer;
+    if (this.turnPhase === TURN_PHASES.COMBAT_MOVE) {
+      while (this.moveHistory.length > (this.undoLockMoveCount || 0)) {
+        if (!this.undoLastMove().success) break;
+      }
+    }
+    if (this.pendingPurchases.some(p => p.owner === player.id)) this.clearPendingPurchases(unitDefs);
+
+    // Each nextPhase() moves at least one phase on; the guard only stops a
+    // phase that refuses to advance from looping forever
+    let guard = TURN_PHASE_ORDER.length * 2;
+    while (this.currentPlayer === player && this.phase === GAME_PHASES.PLAYING && !this.gameOver && guard-- > 0) {
+      if (this.turnPhase === TURN_PHASES.COMBAT) {
+        for (const raid of this.getPendingBombingRaids()) this.resolveBombingRaid(raid.target, unitDefs);
+        let battles = 100;
+        while (this.combatQueue.length > 0 && battles-- > 0) this.resolveCombat(this.combatQueue[0], unitDefs);
+      }
+      this.nextPhase();
+    }
+  }
+
+  // --- Event log (replay) ---
+
+  // Fresh log whose base is the board as it stands now
+  _startEventLog() {
+    this.eventLog = createEventLog(snapshotBoard(this));
+    this._eventSigs = boardSignatures(this);
+  }
+
+  // Record a state-changing call. Called after the change and before
+  // _notify(), so multiplayer pushes carry the event with the state.
+  _recordEvent(type, data = {}, playerId = this.currentPlayer?.id ?? null) {
+    if (!this.eventLog) this._startEventLog();
+    const { changes, sigs } = diffBoard(this._eventSigs, this);
+    this._eventSigs = sigs;
+    return appendEvent(this.eventLog, { type, playerId, data, changes }, this);
+  }
+
+  getEventLog() {
+    return this.eventLog;
+  }
+
   // Check if two players are allies (same team or same alliance)
   areAllies(playerId1, playerId2) {
     const p1 = this.players.find(p => p.id === playerId1);
@@ -426,9 +625,69 @@ export class GameState {
       }
     }
 
+    // Free-for-all: a signed alliance (including one serving notice)
+    if (this._isFreeForAll()) {
+      return getPactBetween(this.diplomacy, playerId1, playerId2)?.type === PACT_TYPES.ALLIANCE;
+    }
+
     return false;
   }
 
+  // True if the two players hold a non-aggression pact (free-for-all only).
+  // Partners cannot attack each other but are not allies: no shared
+  // territory, landing or passage.
+  hasNonAggressionPact(playerId1, playerId2) {
+    if (!this._isFreeForAll()) return false;
+    return getPactBetween(this.diplomacy, playerId1, playerId2)?.type === PACT_TYPES.NON_AGGRESSION;
+  }
+
+  // Allies or non-aggression partners: no combat between them
+  isAtPeace(playerId1, playerId2) {
+    return this.areAllies(playerId1, playerId2) || this.hasNonAggressionPact(playerId1, playerId2);
+  }
+
+  // Fog of war: the board as the side of `viewerIds` (and their allies)
+  // sees it, or null when the game has no fog. See fogOfWar.js.
+  getFogView(viewerIds) {
+    if (!this.fogOfWar) return null;
+    const friendly = owner => viewerIds.some(id => id === owner || this.areAllies(id, owner));
+    return fogView(this, this.fogOfWar, friendly, name => this.getConnections(name));
+  }
+
+  // This game as `viewerIds` see it, for questions that only read the board
+  // (attack targets, their sources, the odds): units and owners come from
+  // their fog view, everything else from the game. Never move units through
+  // it. The game itself when there is no fog.
+  getFogBoard(viewerIds) {
+    const fog = this.getFogView(viewerIds);
+    if (!fog) return this;
+    return Object.assign(Object.create(this), { units: fog.units, territoryState: fog.territoryState });
+  }
+
+  // Heatmap layer ('threat' | 'reach' | 'income', see heatmap.js) for the
+  // side of `viewerIds`. Under fog only the units that side can see count.
+  getHeatmap(layer, viewerIds, unitDefs) {
+    const friendly = owner => !!owner && viewerIds.some(id => id === owner || this.areAllies(id, owner));
+    const hostile = owner => !!owner && !friendly(owner) && !viewerIds.some(id => this.hasNonAggressionPact(id, owner));
+    const fog = this.getFogView(viewerIds);
+    const finders = {
+      land: this.getReachableTerritoriesForLand,
+      sea: this.getReachableTerritoriesForSea,
+      air: this.getReachableTerritoriesForAir,
+    };
+    return buildHeatmap(layer, {
+      territories: this.territories,
+      territoryState: fog ? fog.territoryState : this.territoryState,
+      units: fog ? fog.units : this.units,
+      unitDefs,
+      friendly,
+      hostile,
+      reachable: (from, kind, range, owner) => finders[kind].call(this, from, range, owner, true),
+      longRange: owner => this.hasTech(owner, 'longRangeAircraft'),
+      income: name => this.getEffectiveIpc(name),
+    });
+  }
+
   // Get alliance for a player
   getAlliance(playerId) {
     const player = this.players.find(p => p.id === playerId);
@@ -471,7 +730,78 @@ export class GameState {
   }
 
   _initRiskMode(selectedPlayers, options = {}) {
-    const riskData = this.setup.risk;
+    this._initRiskPlayers(selectedPlayers, options);
+
+    // Randomly assign territories
+    this._assignTerritories();
+
+    // Place 1 infantry on each territory
+    this._placeStartingInfantry();
+
+    this.phase = GAME_PHASES.CAPITAL_PLACEMENT;
+    this.currentPlayerIndex = 0;
+    this.placementRound = 1;
+  }
+
+  // Draft mode: Risk rules, but the map starts empty and players take turns
+  // picking territories (draftTerritory) before capital placement.
+  _initDraftMode(selectedPlayers, options = {}) {
+    this._initRiskPlayers(selectedPlayers, options);
+
+    this.draftPick = 0;
+    this.phase = GAME_PHASES.TERRITORY_DRAFT;
+    this.currentPlayerIndex = this.getDraftPlayerIndex(0);
+  }
+
+  // Scenario mode: a hand-built position (options.scenario, see scenario.js)
+  // played from its first turn. The game then runs under the scenario's
+  // rules ('risk' or 'classic'), which become the game mode. Lobby players
+  // supply names, colours and AI; the scenario supplies the seats.
+  _initScenarioMode(selectedPlayers, options = {}) {
+    const scenario = normalizeScenario(options.scenario);
+    this.gameMode = scenario.rules;
+    if (scenario.rules === 'classic') this.alliancesEnabled = true;
+
+    this.players = scenario.seats.map((id, i) => ({
+      ...(selectedPlayers.find(p => p.id === id)
+        || this.setup.factions?.find(f => f.id === id)
+        || { id, name: id }),
+      turnOrder: i,
+    }));
+
+    for (const [territory, owner] of Object.entries(scenario.owners)) {
+      this.territoryState[territory] = { owner, isCapital: false };
+    }
+    for (const [territory, stacks] of Object.entries(scenario.units)) {
+      this.units[territory] = stacks.map(u => ({ ...u }));
+    }
+
+    for (const p of this.players) {
+      // A capital must be the seat's own territory (validateScenario)
+      const capital = this.territoryState[scenario.capitals[p.id]]?.owner === p.id ? scenario.capitals[p.id] : null;
+      if (capital) this.territoryState[capital].isCapital = true;
+      this.playerState[p.id] = {
+        ipcs: scenario.ipcs[p.id] || 0,
+        hasPlacedCapital: true,
+        capitalTerritory: capital,
+      };
+      this.playerTechs[p.id] = {
+        techTokens: 0,
+        unlockedTechs: [...(scenario.techs[p.id] || [])],
+      };
+      this.riskCards[p.id] = [...(scenario.cards[p.id] || [])];
+      this.cardTradeCount[p.id] = 0;
+    }
+
+    this.phase = GAME_PHASES.PLAYING;
+    this.turnPhase = TURN_PHASES.DEVELOP_TECH;
+    this.round = scenario.round;
+    this.currentPlayerIndex = Math.max(0, scenario.seats.indexOf(scenario.toMove));
+    this._initFriendlyTerritoriesAtTurnStart();
+  }
+
+  // Players, starting IPCs, techs, cards and deploy pools shared by Risk and Draft
+  _initRiskPlayers(selectedPlayers, options = {}) {
     const playerCount = selectedPlayers.length;
 
     // Use custom starting IPCs if provided, otherwise use player count-based defaults
@@ -509,16 +839,6 @@ export class GameState {
         ...RISK_STARTING_UNITS.naval.map(u => ({ ...u })),
       ];
     }
-
-    // Randomly assign territories
-    this._assignTerritories();
-
-    // Place 1 infantry on each territory
-    this._placeStartingInfantry();
-
-    this.phase = GAME_PHASES.CAPITAL_PLACEMENT;
-    this.currentPlayerIndex = 0;
-    this.placementRound = 1;
   }
 
   _assignTerritories() {
@@ -558,9 +878,8 @@ export class GameState {
     const t = this.territoryByName[territoryName];
     if (!t || t.isWater) return 0;
 
-    // Capitals are always worth 10 IPCs
     if (this.isCapital(territoryName)) {
-      return 10;
+      return CAPITAL_IPC_VALUE;
     }
 
     return t.production || 0;
@@ -591,7 +910,7 @@ export class GameState {
 
     // Add land bridge connections
     const landBridgeConnections = [];
-    for (const [t1, t2] of LAND_BRIDGES) {
+    for (const [t1, t2] of this.landBridges) {
       if (t1 === territoryName && !baseConnections.includes(t2)) {
         landBridgeConnections.push(t2);
       } else if (t2 === territoryName && !baseConnections.includes(t1)) {
@@ -687,7 +1006,7 @@ export class GameState {
     // Apply Long Range Aircraft tech bonus (+2 movement for fighters and bombers)
     const hasLongRange = this.hasTech(player.id, 'longRangeAircraft');
     const baseMovement = unitDef.movement || 4;
-    const totalMovement = hasLongRange ? baseMovement + 2 : baseMovement;
+    const totalMovement = hasLongRange ? baseMovement + LONG_RANGE_AIR_BONUS : baseMovement;
     const remainingMovement = Math.max(0, totalMovement - distanceTraveled);
 
     // Get all territories within remaining movement
@@ -899,6 +1218,9 @@ export class GameState {
         // Only move to water territories
         if (!connT?.isWater) continue;
 
+        // Canals need their land controlled by us or an ally
+        if (!this.canCrossCanal(territory, conn, playerId)) continue;
+
         queue.push({
           territory: conn,
           distance: distance + 1,
@@ -910,6 +1232,32 @@ export class GameState {
     return reachable;
   }
 
+  _canalRules() {
+    return {
+      getOwner: (name) => this.getOwner(name),
+      areAllies: (a, b) => this.areAllies(a, b),
+    };
+  }
+
+  // Can playerId's ships move directly between two adjacent sea zones?
+  canCrossCanal(fromSea, toSea, playerId) {
+    return canCrossCanal(this.canals, fromSea, toSea, playerId, this._canalRules());
+  }
+
+  // The canal on this edge if it is closed to playerId, else null.
+  getClosedCanal(fromSea, toSea, playerId) {
+    const canal = findCanal(this.canals, fromSea, toSea);
+    return canal && !isCanalOpen(canal, playerId, this._canalRules()) ? canal : null;
+  }
+
+  // Every canal with whether it is open to playerId (renderer / tooltips).
+  getCanalStatus(playerId) {
+    return (this.canals || []).map(canal => ({
+      ...canal,
+      open: isCanalOpen(canal, playerId, this._canalRules()),
+    }));
+  }
+
   // Check if sea unit can reach destination within movement range
   canSeaUnitReach(fromTerritory, toTerritory, movementRange, playerId, isCombatMove) {
     const reachable = this.getReachableTerritoriesForSea(fromTerritory, movementRange, playerId, isCombatMove);
@@ -1021,7 +1369,7 @@ export class GameState {
 
   // Check if two territories are connected by land bridge
   hasLandBridge(t1Name, t2Name) {
-    for (const [a, b] of LAND_BRIDGES) {
+    for (const [a, b] of this.landBridges) {
       if ((a === t1Name && b === t2Name) || (a === t2Name && b === t1Name)) {
         return true;
       }
@@ -1081,6 +1429,70 @@ export class GameState {
     });
   }
 
+  // Seat on the clock for draft pick `pick` (0-based). Snake order: seats
+  // 1..N, then N..1, so the last seat of one round also opens the next.
+  getDraftPlayerIndex(pick = this.draftPick) {
+    const n = this.players.length;
+    if (n === 0) return 0;
+    const pos = pick % n;
+    return Math.floor(pick / n) % 2 === 0 ? pos : n - 1 - pos;
+  }
+
+  // Land territories nobody has drafted yet
+  getDraftableTerritories() {
+    return this.landTerritories
+      .filter(t => !this.territoryState[t.name]?.owner)
+      .map(t => t.name);
+  }
+
+  // Draft one unowned land territory for the current player (draft mode).
+  // It arrives with the usual starting infantry. The last pick ends the
+  // draft and hands over to capital placement.
+  draftTerritory(territoryName) {
+    if (this.phase !== GAME_PHASES.TERRITORY_DRAFT) {
+      return { success: false, error: 'Not in the territory draft' };
+    }
+    const player = this.currentPlayer;
+    if (!player) return { success: false, error: 'No current player' };
+
+    const territory = this.territoryByName[territoryName];
+    if (!territory || territory.isWater) {
+      return { success: false, error: 'Only land territories can be drafted' };
+    }
+    if (this.territoryState[territoryName]?.owner) {
+      return { success: false, error: `${territoryName} has already been drafted` };
+    }
+
+    this.territoryState[territoryName] = { owner: player.id, isCapital: false };
+    this.units[territoryName] = [{ type: 'infantry', quantity: 1, owner: player.id }];
+
+    this._advanceDraft();
+    this._recordEvent(EVENT_TYPES.DRAFT, { territory: territoryName }, player.id);
+    this._notify();
+    this.autoSave(); // Persist setup progress, same as capital placement
+    return { success: true, territory: territoryName, playerId: player.id };
+  }
+
+  _advanceDraft() {
+    if (this.getDraftableTerritories().length === 0) {
+      // Draft over: capitals go in normal seat order
+      this.phase = GAME_PHASES.CAPITAL_PLACEMENT;
+      this.turnPhase = SETUP_TURN_PHASE;
+      this.placementRound = 1;
+      const first = this.players.findIndex(p => !p.surrendered);
+      this.currentPlayerIndex = first >= 0 ? first : 0;
+      return;
+    }
+
+    // Next pick, skipping seats that surrendered mid-draft
+    let guard = 0;
+    do {
+      this.draftPick++;
+      guard++;
+    } while (this.players[this.getDraftPlayerIndex()]?.surrendered && guard <= this.players.length * 2);
+    this.currentPlayerIndex = this.getDraftPlayerIndex();
+  }
+
   // Place capital for current player (Risk mode)
   placeCapital(territoryName) {
     const player = this.currentPlayer;
@@ -1131,6 +1543,7 @@ export class GameState {
     } while (this.players[this.currentPlayerIndex]?.surrendered && capGuard < this.players.length);
 
     this._lastCapital = lastCapital;
+    this._recordEvent(EVENT_TYPES.CAPITAL, { territory: territoryName }, player.id);
     this._notify();
     this.autoSave(); // Persist setup progress — losing capitals to a closed tab is brutal
     return true;
@@ -1173,6 +1586,7 @@ export class GameState {
     this.currentPlayerIndex = last.playerIndex;
     this.phase = last.prevPhase;
     this._lastCapital = null;
+    this._recordEvent(EVENT_TYPES.UNDO, { action: 'capital' }, last.playerId);
     this._notify();
     return true;
   }
@@ -1423,6 +1837,7 @@ export class GameState {
           this.unitsPlacedThisRound++;
           this.unitsPlacedThisRoundOwnerId = player.id;
           this._lastCapital = null;
+          this._recordEvent(EVENT_TYPES.PLACE, { territory: territoryName, units: [{ type: unitType, quantity: 1 }] }, player.id);
           this._notify();
           return { success: true, unitsPlacedThisRound: this.unitsPlacedThisRound };
         } else if (unitDef.isLand) {
@@ -1457,6 +1872,7 @@ export class GameState {
           this.unitsPlacedThisRound++;
           this.unitsPlacedThisRoundOwnerId = player.id;
           this._lastCapital = null;
+          this._recordEvent(EVENT_TYPES.PLACE, { territory: territoryName, units: [{ type: unitType, quantity: 1 }] }, player.id);
           this._notify();
           return { success: true, unitsPlacedThisRound: this.unitsPlacedThisRound };
         } else {
@@ -1489,6 +1905,7 @@ export class GameState {
     this.unitsPlacedThisRoundOwnerId = player.id;
     this._lastCapital = null;
 
+    this._recordEvent(EVENT_TYPES.PLACE, { territory: territoryName, units: [{ type: unitType, quantity: 1 }] }, player.id);
     this._notify();
     return { success: true, unitsPlacedThisRound: this.unitsPlacedThisRound };
   }
@@ -1588,6 +2005,7 @@ export class GameState {
     // next + looks like it vanished the restored unit (B15).
     this.unitsPlacedThisRound = Math.max(0, this.unitsPlacedThisRound - 1);
 
+    this._recordEvent(EVENT_TYPES.UNDO, { action: 'placement' }, player.id);
     this._notify();
     return true;
   }
@@ -1642,6 +2060,7 @@ export class GameState {
       this.phase = GAME_PHASES.PLAYING;
       this.turnPhase = TURN_PHASES.DEVELOP_TECH;
       this._initFriendlyTerritoriesAtTurnStart();
+      this._startTurnClock();
     } else {
       // Advance to the next player who still has units to place, skipping fully-deployed
       // and surrendered players. Without this a fully-deployed player must manually click
@@ -1664,6 +2083,7 @@ export class GameState {
       } while (iterations < this.players.length);
     }
 
+    this._recordEvent(EVENT_TYPES.TURN, { setup: true }, player.id);
     this._notify();
     this.autoSave(); // Persist deployment progress for hotseat resume
     return {
@@ -1715,6 +2135,7 @@ export class GameState {
       this.pendingPurchases.push({ type: unitType, quantity: 1, owner: player.id, cost, territory });
     }
 
+    this._recordEvent(EVENT_TYPES.PURCHASE, { units: [{ type: unitType, quantity: 1 }] }, player.id);
     this._notify();
     return { success: true };
   }
@@ -1742,6 +2163,7 @@ export class GameState {
       this.pendingPurchases.splice(idx, 1);
     }
 
+    this._recordEvent(EVENT_TYPES.UNDO, { action: 'purchase' }, player.id);
     this._notify();
     return { success: true };
   }
@@ -1781,6 +2203,7 @@ export class GameState {
     }
 
     this.pendingPurchases = this.pendingPurchases.filter(p => p.owner !== player.id);
+    this._recordEvent(EVENT_TYPES.UNDO, { action: 'purchases' }, player.id);
     this._notify();
   }
 
@@ -1877,6 +2300,7 @@ export class GameState {
       cost,
     });
 
+    this._recordEvent(EVENT_TYPES.MOBILIZE, { territory: territoryName, unitType }, player.id);
     this._notify();
     return { success: true };
   }
@@ -1928,6 +2352,7 @@ export class GameState {
       });
     }
 
+    this._recordEvent(EVENT_TYPES.UNDO, { action: 'mobilization' });
     this._notify();
     return { success: true };
   }
@@ -2062,6 +2487,7 @@ export class GameState {
       cost,
     });
 
+    this._recordEvent(EVENT_TYPES.PURCHASE, { units: [{ type: unitType, quantity: 1 }], territory: territoryName }, player.id);
     this._notify();
     return true;
   }
@@ -2108,14 +2534,17 @@ export class GameState {
       console.warn(`nextTurn() ignored: game phase is '${this.phase}', not playing`);
       return;
     }
+    const endingPlayerId = this.currentPlayer?.id ?? null;
 
     // Advance to the next player still in the game
     let advanceGuard = 0;
+    let roundEnded = false;
     do {
       this.currentPlayerIndex++;
       if (this.currentPlayerIndex >= this.players.length) {
         this.currentPlayerIndex = 0;
         this.round++;
+        roundEnded = true;
         // Clear combat log at start of new round
         this.clearCombatLog();
       }
@@ -2129,8 +2558,18 @@ export class GameState {
         this.gameOver = true;
         this.winner = alive[0].name;
         this.winCondition = 'Last player standing';
+        this._setWinners([alive[0].id], 'last_standing');
       }
     }
+    // Round-end victory checks: FFA capitals (when timed to the round end),
+    // economic victory, then the FFA round limit
+    if (roundEnded && !this.gameOver) {
+      if (this._isFreeForAll() && this.capitalVictory?.timing === 'round_end') {
+        this._checkCapitalVictory({ roundEnd: true });
+      }
+      if (!this.gameOver) this._checkEconomicVictory();
+      if (!this.gameOver && this._isFreeForAll()) this._checkRoundLimit();
+    }
     // Reset turn state - start with tech development phase
     this.turnPhase = TURN_PHASES.DEVELOP_TECH;
     this.unitsPlacedThisRound = 0;
@@ -2143,6 +2582,9 @@ export class GameState {
     this.mobilizationHistory = []; // Reset mobilization undo history for new turn
     this.airUnitOrigins = {}; // Reset air unit tracking for new turn
 
+    // Pacts this player gave notice on end now, before friendliness is fixed
+    if (this.currentPlayer) this._expirePacts(this.currentPlayer.id);
+
     // Track territories that are friendly at the START of this turn (for air landing)
     this._initFriendlyTerritoriesAtTurnStart();
 
@@ -2151,6 +2593,7 @@ export class GameState {
     this.amphibiousAssaultDetails = {};
     this.rocketsUsedThisTurn = {};
     this.pendingAirLandings = [];
+    this.bombingRaids = [];
 
     // Reset conquered flag for Risk card (one card per turn)
     const player = this.currentPlayer;
@@ -2158,6 +2601,8 @@ export class GameState {
       this.conqueredThisTurn[player.id] = false;
     }
     this._clearMovedFlags();
+    this._startTurnClock();
+    this._recordEvent(EVENT_TYPES.TURN, {}, endingPlayerId);
     this._notify();
     this.autoSave(); // Auto-save after each turn
   }
@@ -2188,9 +2633,9 @@ export class GameState {
 
     switch (phase) {
       case TURN_PHASES.COMBAT:
-        // Skip if no combats pending
+        // Skip if no combats or bombing raids pending
         this._detectCombats();
-        return this.combatQueue.length === 0;
+        return this.combatQueue.length === 0 && !this.hasPendingBombingRaids();
 
       case TURN_PHASES.MOBILIZE:
         // Skip if nothing was purchased
@@ -2221,13 +2666,13 @@ export class GameState {
       // Handle special phase transitions
       if (nextPhase === TURN_PHASES.COMBAT) {
         this._detectCombats();
-        // Skip if no combats
-        if (this.combatQueue.length === 0) {
+        // Skip if no combats (bombing raids also need the combat phase)
+        if (this.combatQueue.length === 0 && !this.hasPendingBombingRaids()) {
           continue;
         }
       } else if (nextPhase === TURN_PHASES.NON_COMBAT_MOVE) {
-        // Block advancing if there are unresolved combats
-        if (this.combatQueue && this.combatQueue.length > 0) {
+        // Block advancing if there are unresolved combats or bombing raids
+        if ((this.combatQueue && this.combatQueue.length > 0) || this.hasPendingBombingRaids()) {
           // Cannot advance - combats must be resolved first
           console.warn('Cannot advance to non-combat move: unresolved combats remain');
           return; // Don't advance, stay in current phase
@@ -2268,6 +2713,7 @@ export class GameState {
       break;
     }
 
+    this._recordEvent(EVENT_TYPES.PHASE, { label: TURN_PHASE_NAMES[this.turnPhase] });
     this._notify();
     this.autoSave(); // Auto-save after each phase change
   }
@@ -2300,6 +2746,7 @@ export class GameState {
       this.pendingPurchases.push({ type: unitType, quantity });
     }
 
+    this._recordEvent(EVENT_TYPES.PURCHASE, { units: [{ type: unitType, quantity }] }, player.id);
     this._notify();
     return true;
   }
@@ -2330,6 +2777,12 @@ export class GameState {
     const isEnemy = toOwner && toOwner !== player.id && !this.areAllies(player.id, toOwner);
     const isAllied = toOwner && toOwner !== player.id && this.areAllies(player.id, toOwner);
 
+    // A non-aggression pact keeps both sides out of each other's land
+    if (toOwner && !toT.isWater && this.hasNonAggressionPact(player.id, toOwner)) {
+      const partner = this.players.find(p => p.id === toOwner);
+      return { success: false, error: `Non-aggression pact with ${partner?.name || toOwner}: cannot enter their territory` };
+    }
+
     // Non-combat move rules
     if (isNonCombatMove) {
       // Cannot enter enemy territory
@@ -2350,6 +2803,14 @@ export class GameState {
     const landUnits = unitsToMove.filter(u => unitDefs[u.type]?.isLand);
     const seaUnits = unitsToMove.filter(u => unitDefs[u.type]?.isSea);
 
+    // Ships (by type or by id) cannot pass a canal the player does not control
+    if ((seaUnits.length > 0 || options.shipIds?.length > 0) && fromT.isWater && toT.isWater && isAdjacent) {
+      const closed = this.getClosedCanal(fromTerritory, toTerritory, player.id);
+      if (closed) {
+        return { success: false, error: `${closed.name} is closed: requires control of ${closed.territories.join(' and ')}` };
+      }
+    }
+
     // For sea units, check if destination is reachable within movement range
     if (seaUnits.length > 0) {
       if (!toT?.isWater) {
@@ -2460,7 +2921,7 @@ export class GameState {
 
       // Apply Long Range Aircraft tech bonus (+2 movement for fighters and bombers)
       const baseMovement = unitDef.movement || 4;
-      const movementRange = hasLongRangeAircraft ? baseMovement + 2 : baseMovement;
+      const movementRange = hasLongRangeAircraft ? baseMovement + LONG_RANGE_AIR_BONUS : baseMovement;
 
       // Check if destination is reachable within air unit's movement range
       if (!this.canAirUnitReach(fromTerritory, toTerritory, movementRange)) {
@@ -2882,6 +3343,7 @@ export class GameState {
       }
     }
 
+    this._recordEvent(EVENT_TYPES.MOVE, { from: fromTerritory, to: toTerritory, units: summarizeMovedUnits(unitsToMove, movedShipIds, this.units[toTerritory]) }, player.id);
     this._notify();
     return {
       success: true,
@@ -2896,8 +3358,198 @@ export class GameState {
     };
   }
 
-  // Undo the last movement (during combat or non-combat move phase)
+  // Whether `target` can be attacked this combat move: enemy land (not
+  // under a non-aggression pact) or a sea zone holding enemy units
+  isAttackTarget(target) {
+    const player = this.currentPlayer;
+    const t = this.territoryByName[target];
+    if (!player || !t || this.turnPhase !== TURN_PHASES.COMBAT_MOVE) return false;
+    const hostile = owner => owner && owner !== player.id && !this.areAllies(player.id, owner);
+    if (t.isWater) return (this.units[target] || []).some(u => hostile(u.owner) && u.quantity > 0);
+    const owner = this.getOwner(target);
+    return !!hostile(owner) && !this.hasNonAggressionPact(player.id, owner);
+  }
+
+  // Assembling an attack on `target`: every territory or sea zone holding
+  // the current player's units that can reach it this combat move, with how
+  // many of each type. Grouped units only — ships carrying cargo and
+  // aircraft on carriers are moved from their own sea zone.
+  // [{ territory, units: [{ type, quantity }] }], sorted by territory.
+  getAttackSources(target, unitDefs) {
+    if (!this.isAttackTarget(target)) return [];
+    const player = this.currentPlayer;
+    const toWater = this.territoryByName[target].isWater;
+    const longRange = this.hasTech(player.id, 'longRangeAircraft');
+    const sources = [];
+
+    for (const [from, stacks] of Object.entries(this.units)) {
+      if (from === target || !this.territoryByName[from]) continue;
+      const reach = new Map(); // `${kind}:${range}` -> reachable?
+      const canReach = (kind, range) => {
+        const key = `${kind}:${range}`;
+        if (!reach.has(key)) {
+          const find = kind === 'air' ? this.getReachableTerritoriesForAir
+            : kind === 'sea' ? this.getReachableTerritoriesForSea : this.getReachableTerritoriesForLand;
+          reach.set(key, find.call(this, from, range, player.id, true).has(target));
+        }
+        return reach.get(key);
+      };
+
+      const counts = {};
+      for (const u of stacks) {
+        const def = unitDefs[u.type];
+        if (u.owner !== player.id || u.id || u.moved || !def || def.isBuilding || !(def.movement > 0)) continue;
+        // Land units do not attack sea zones, ships do not attack land
+        if (toWater ? def.isLand : def.isSea) continue;
+        let range = def.movement;
+        if (def.isSea) range -= u.movementUsed || 0;
+        if (def.isAir && longRange) range += LONG_RANGE_AIR_BONUS;
+        const kind = def.isAir ? 'air' : def.isSea ? 'sea' : 'land';
+        if (range <= 0 || !canReach(kind, range)) continue;
+        counts[u.type] = (counts[u.type] || 0) + u.quantity;
+      }
+      const units = Object.entries(counts).map(([type, quantity]) => ({ type, quantity }));
+      if (units.length > 0) sources.push({ territory: from, units });
+    }
+
+    return sources.sort((a, b) => a.territory.localeCompare(b.territory));
+  }
+
+  // Several moves into one territory as a single step: an attack assembled
+  // from many sources. `moves` is [{ from, units: [{ type, quantity }] }].
+  // All or nothing: if one move fails the ones already made are taken back.
+  // The moves share a `group` in moveHistory, so undo takes them back together.
+  moveUnitsGroup(target, moves, unitDefs) {
+    return this.moveUnitsBatch(moves.map(move => ({ ...move, to: target })), unitDefs);
+  }
+
+  // Moves between any territories as a single step (standing orders, or an
+  // assembled attack). `moves` is [{ from, to, units: [{ type, quantity }] }].
+  // All or nothing, undone together, as moveUnitsGroup.
+  moveUnitsBatch(moves, unitDefs) {
+    const group = 1 + this.moveHistory.reduce((max, m) => Math.max(max, m.group || 0), 0);
+    const results = [];
+    for (const move of moves) {
+      const units = (move.units || []).filter(u => u.quantity > 0);
+      if (units.length === 0) continue;
+      const result = this.moveUnits(move.from, move.to, units, unitDefs);
+      if (!result.success) {
+        if (results.length > 0) this.undoLastMove();
+        return { success: false, error: `${move.from}: ${result.error}` };
+      }
+      this.moveHistory[this.moveHistory.length - 1].group = group;
+      results.push(result);
+    }
+    if (results.length === 0) return { success: false, error: 'No units selected' };
+    return { success: true, results };
+  }
+
+  // A player's rally points: { factories: { territory: target }, regions:
+  // { continent: target } } (a copy). See standingOrders.js.
+  getRallyPoints(playerId) {
+    return normalizeRallyPoints(this.rallyPoints[playerId]);
+  }
+
+  // Set (or with a null target, clear) a rally point for `playerId`'s
+  // factory in `source` ('factory') or for the continent `source`
+  // ('region'). The target must be the player's own or allied land.
+  setRallyPoint(playerId, kind, source, target) {
+    if (!this.getPlayer(playerId)) return { success: false, error: 'Unknown player' };
+    if (!RALLY_KINDS.includes(kind)) return { success: false, error: `Unknown rally point kind ${kind}` };
+    if (kind === 'factory' && !(this.units[source] || []).some(u => u.type === 'factory' && u.owner === playerId)) {
+      return { success: false, error: `${source} has no factory of yours` };
+    }
+    if (kind === 'region' && !this.continents.some(c => c.name === source)) {
+      return { success: false, error: `Unknown region ${source}` };
+    }
+    if (target) {
+      const owner = this.getOwner(target);
+      if (!this.territoryByName[target] || this.territoryByName[target].isWater
+        || !(owner === playerId || this.areAllies(playerId, owner))) {
+        return { success: false, error: 'A rally point must be your own or allied land' };
+      }
+    }
+
+    const points = this.getRallyPoints(playerId);
+    const map = kind === 'factory' ? points.factories : points.regions;
+    if (target) map[source] = target;
+    else delete map[source];
+    this.rallyPoints[playerId] = points;
+    this._notify();
+    return { success: true };
+  }
+
+  // Standing orders for the current player this non-combat move: each idle
+  // land unit away from the front marches toward its rally point (else the
+  // nearest front) as far as it can go this turn. AA guns stay put.
+  // [{ from, to, goal, kind: 'factory' | 'region' | 'front', units: [{ type, quantity }] }]
+  getStandingOrderRoutes(unitDefs) {
+    const player = this.currentPlayer;
+    if (!player || this.turnPhase !== TURN_PHASES.NON_COMBAT_MOVE) return [];
+    const friendly = owner => !!owner && (owner === player.id || this.areAllies(player.id, owner));
+    const board = {
+      connections: name => this.getConnections(name),
+      ownerOf: name => this.getOwner(name),
+      isWater: name => this.territoryByName[name]?.isWater,
+      hostile: owner => !friendly(owner),
+      passable: name => !!this.territoryByName[name] && !this.territoryByName[name].isWater && friendly(this.getOwner(name)),
+      hasFactory: name => (this.units[name] || []).some(u => u.type === 'factory' && u.owner === player.id),
+      continentOf: name => this.continentByTerritory[name]?.name || null,
+    };
+    const points = this.getRallyPoints(player.id);
+    const routes = [];
+
+    for (const [from, stacks] of Object.entries(this.units)) {
+      if (!board.passable(from)) continue;
+      const idle = (stacks || []).filter(u => {
+        const def = unitDefs[u.type];
+        return u.owner === player.id && !u.moved && u.quantity > 0 && def?.isLand && !def.antiAir && def.movement > 0;
+      });
+      if (idle.length === 0) continue;
+
+      const onFront = isFrontline(from, board);
+      const rally = rallyTargetFor(from, points, board, onFront);
+      const goal = rally ? rally.target : onFront ? null : findNearestFrontline(from, board);
+      const path = goal && goal !== from ? shortestPath(from, goal, board) : null;
+      if (!path) continue;
+
+      // As far along the path as each unit's movement allows this turn
+      const byStep = new Map(); // to -> { unitType: quantity }
+      for (const u of idle) {
+        const range = unitDefs[u.type].movement;
+        let step = Math.min(range, path.length - 1);
+        while (step > 0 && !this.getLandUnitPath(from, path[step], range, player.id, false)) step--;
+        if (step === 0) continue;
+        const counts = byStep.get(path[step]) || {};
+        counts[u.type] = (counts[u.type] || 0) + u.quantity;
+        byStep.set(path[step], counts);
+      }
+      for (const [to, counts] of byStep) {
+        routes.push({
+          from,
+          to,
+          goal,
+          kind: rally ? rally.kind : 'front',
+          units: Object.entries(counts).map(([type, quantity]) => ({ type, quantity })),
+        });
+      }
+    }
+
+    return routes.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+  }
+
+  // Undo the last movement (during combat or non-combat move phase). A
+  // group of moves (moveUnitsGroup, moveUnitsBatch) is undone as one.
   undoLastMove() {
+    const group = this.moveHistory[this.moveHistory.length - 1]?.group;
+    let result = this._undoSingleMove();
+    while (result.success && group && this.moveHistory[this.moveHistory.length - 1]?.group === group) {
+      result = this._undoSingleMove();
+    }
+    return result;
+  }
+
+  _undoSingleMove() {
     if (this.turnPhase === TURN_PHASES.COMBAT) {
       return { success: false, error: 'Cannot undo after combat resolve' };
     }
@@ -2922,6 +3574,13 @@ export class GameState {
       return { success: false, error: 'Cannot undo other player moves' };
     }
 
+    if (lastMove.bombingRaid) {
+      this._undoBombingRaid(lastMove);
+      this._recordEvent(EVENT_TYPES.UNDO, { action: 'move' });
+      this._notify();
+      return { success: true };
+    }
+
     // Move units back from destination to source
     const toUnits = this.units[lastMove.to] || [];
     const fromUnits = this.units[lastMove.from] || [];
@@ -2963,6 +3622,7 @@ export class GameState {
         this.amphibiousTerritories.delete(lastMove.to);
       }
 
+      this._recordEvent(EVENT_TYPES.UNDO, { action: 'move' });
       this._notify();
       return { success: true };
     }
@@ -3101,6 +3761,7 @@ export class GameState {
       }
     }
 
+    this._recordEvent(EVENT_TYPES.UNDO, { action: 'move' });
     this._notify();
     return { success: true };
   }
@@ -3163,6 +3824,7 @@ export class GameState {
     }
 
     this.units[combatTerritory] = combatUnits;
+    this._recordEvent(EVENT_TYPES.RETREAT, { from: combatTerritory, to: 'origin' }, player.id);
     this._notify();
     return { success: true };
   }
@@ -3234,6 +3896,7 @@ export class GameState {
     this.units[combatTerritory] = combatUnits.filter(u => u.quantity > 0);
     this.units[destination] = destUnits;
 
+    this._recordEvent(EVENT_TYPES.RETREAT, { from: combatTerritory, to: destination }, player.id);
     this._notify();
     return { success: true };
   }
@@ -3252,8 +3915,9 @@ export class GameState {
 
     for (const [territory, units] of Object.entries(this.units)) {
       const hasPlayerUnits = units.some(u => u.owner === player.id);
+      // Non-aggression partners share a sea zone without fighting
       const hasEnemyUnits = units.some(u =>
-        u.owner !== player.id && !this.areAllies(player.id, u.owner)
+        u.owner !== player.id && !this.isAtPeace(player.id, u.owner)
       );
 
       if (hasPlayerUnits && hasEnemyUnits) {
@@ -3427,6 +4091,7 @@ export class GameState {
       this._repairDamagedShips(units, unitDefs);
       // Remove from combat queue
       this.combatQueue = this.combatQueue.filter(t => t !== territory);
+      this._recordEvent(EVENT_TYPES.COMBAT, { territory, resolved: true, winner: attackers.length > 0 ? 'attacker' : 'defender' }, player.id);
       this._notify();
       return { resolved: true, winner: attackers.length > 0 ? 'attacker' : 'defender', conquered: attackers.length > 0 };
     }
@@ -3434,37 +4099,28 @@ export class GameState {
     const t = this.territoryByName[territory];
     const isNavalBattle = t?.isWater;
 
-    // Shore bombardment: ships in adjacent sea zones can bombard land battles (first round only)
-    let bombardmentHits = 0;
-    let bombardmentRolls = [];
-    if (!isNavalBattle && !this._combatRoundsTracker?.[territory]) {
-      const bombardmentResult = this._calculateShoreBombardment(territory, player.id, unitDefs);
-      bombardmentHits = bombardmentResult.hits;
-      bombardmentRolls = bombardmentResult.rolls;
-    }
-    // Track combat rounds
+    // Same rules as the CombatUI popup (combatEngine.js): bombardment and AA
+    // fire on the first round only, sub first strike, artillery and techs.
+    const firstRound = !this._combatRoundsTracker?.[territory];
     if (!this._combatRoundsTracker) this._combatRoundsTracker = {};
     this._combatRoundsTracker[territory] = (this._combatRoundsTracker[territory] || 0) + 1;
 
-    // Roll dice for combat (allDefenders includes AA guns which can fire at aircraft)
-    const { hits: attackHits, rolls: attackRolls } = this._rollCombatWithRolls(attackers, 'attack', unitDefs);
-    const { hits: defenseHits, rolls: defenseRolls } = this._rollCombatWithRolls(allDefenders, 'defense', unitDefs);
-
-    // Add bombardment hits to attack hits
-    const totalAttackHits = attackHits + bombardmentHits;
-
-    // Apply casualties (handles multi-hit ships)
-    // Defenders take hits from attacks + bombardment
-    const attackerCasualties = this._applyCasualtiesWithDamage(allDefenders, totalAttackHits, unitDefs, isNavalBattle);
-    const defenderCasualties = this._applyCasualtiesWithDamage(attackers, defenseHits, unitDefs, isNavalBattle);
+    const defenders = allDefenders.filter(u => u.type !== 'factory');
+    const round = resolveBattleRound({
+      attackers,
+      defenders,
+      unitDefs,
+      attackerTechs: getCombatTechs(this, player.id),
+      defenderTechs: getCombatTechs(this, defenders[0]?.owner),
+      firstRound,
+      bombardmentRolls: firstRound ? planBombardment(this, territory, player.id, unitDefs) : [],
+      rollDie: (context) => this._rollDie(context),
+    });
 
     // Clean up destroyed units (quantity <= 0)
     // IMPORTANT: Preserve factories - they are captured, never destroyed
     this.units[territory] = units.filter(u => u.quantity > 0 || u.type === 'factory');
 
-    // Check if combat is over
-    // Note: Factories are captured (not destroyed) and AA guns have 0 combat value
-    // Only count units that can actually fight as "remaining"
     const remainingAttackers = this.units[territory].filter(u => u.owner === player.id);
     const remainingDefenders = this.units[territory].filter(u => {
       if (u.owner === player.id || this.areAllies(player.id, u.owner)) return false;
@@ -3477,19 +4133,22 @@ export class GameState {
     });
 
     const result = {
-      attackHits,
-      defenseHits,
-      bombardmentHits,
-      bombardmentRolls,
-      attackRolls,
-      defenseRolls,
-      attackerCasualties,
-      defenderCasualties,
+      attackHits: round.attackHits,
+      defenseHits: round.defenseHits,
+      bombardmentHits: round.bombardmentHits,
+      bombardmentRolls: round.bombardmentRolls,
+      aaHits: round.aaHits,
+      aaRolls: round.aaRolls,
+      subFirstStrikeRolls: round.subFirstStrikeRolls,
+      attackRolls: round.attackRolls,
+      defenseRolls: round.defenseRolls,
+      attackerLosses: round.attackerLosses,
+      defenderLosses: round.defenderLosses,
       attackersRemaining: remainingAttackers.reduce((sum, u) => sum + u.quantity, 0),
       defendersRemaining: remainingDefenders.reduce((sum, u) => sum + u.quantity, 0),
     };
 
-    if (remainingDefenders.length === 0) {
+    if (remainingDefenders.length === 0 && remainingAttackers.length > 0) {
       // Attacker wins
       if (isNavalBattle) {
         // Naval battle won - mark sea zone as cleared for shore bombardment
@@ -3544,21 +4203,33 @@ export class GameState {
       result.resolved = false;
     }
 
+    this._recordEvent(EVENT_TYPES.COMBAT, { territory, resolved: result.resolved, winner: result.winner ?? null }, player.id);
     this._notify();
     return result;
   }
 
   // Central d6 roller (Bug 4). Every die in the game funnels through here so
-  // rolls can be logged for empirical fairness auditing. Gameplay is UNCHANGED:
-  // still an unseeded Math.random() d6 — there is no seeding anywhere. The
-  // "predetermined rolls" report was a byproduct of Bug 1 (the same combat
-  // re-resolved across refreshes on un-persisted state → similar outcomes).
-  // The log is in-memory only (never serialized into toJSON / Firestore) and
+  // rolls can be logged for empirical fairness auditing. Unseeded games use
+  // Math.random(); seeded games (setDiceSeed) draw die #diceCursor from the
+  // counter-based stream in diceStream.js, so a saved seed + cursor re-derives
+  // any battle exactly. Online, only AI seats draw from the stream: the host
+  // holds the secret, and must not be able to foresee its own battles. The
+  // log is in-memory only (never serialized into toJSON / Firestore) and
   // bounded to the last 500 rolls; inspect via getRollLog() from the console.
   _rollDie(context = 'combat') {
-    const roll = Math.floor(Math.random() * 6) + 1;
+    let roll;
+    let cursor = null;
+    const seeded = this.diceSeed !== null && this.diceSeed !== undefined
+      && (!this.isMultiplayer || !!this.currentPlayer?.isAI);
+    if (seeded) {
+      cursor = this.diceCursor || 0;
+      roll = seededDie(this.diceSeed, cursor);
+      this.diceCursor = cursor + 1;
+    } else {
+      roll = Math.floor(Math.random() * 6) + 1;
+    }
     if (!this._rollLog) this._rollLog = [];
-    this._rollLog.push({ t: Date.now(), context, roll });
+    this._rollLog.push(cursor === null ? { t: Date.now(), context, roll } : { t: Date.now(), context, roll, cursor });
     if (this._rollLog.length > 500) this._rollLog.shift();
     return roll;
   }
@@ -3568,139 +4239,28 @@ export class GameState {
     return this._rollLog ? this._rollLog.slice() : [];
   }
 
-  _rollCombatWithRolls(units, type, unitDefs) {
-    let hits = 0;
-    const rolls = [];
-
-    for (const unit of units) {
-      const def = unitDefs[unit.type];
-      if (!def) continue;
-      const hitValue = type === 'attack' ? def.attack : def.defense;
-
-      for (let i = 0; i < unit.quantity; i++) {
-        const roll = this._rollDie(`combat:${type}`);
-        rolls.push({ unit: unit.type, roll, hit: roll <= hitValue });
-        if (roll <= hitValue) hits++;
-      }
-    }
-    return { hits, rolls };
-  }
-
-  _rollCombat(units, type, unitDefs) {
-    return this._rollCombatWithRolls(units, type, unitDefs).hits;
+  // Seed the dice stream (null/undefined turns seeding off). The cursor
+  // defaults to 0 so a fresh seed starts a fresh stream.
+  setDiceSeed(seed, cursor = 0) {
+    this.diceSeed = normalizeDiceSeed(seed);
+    this.diceSeedHash = diceSeedCommitment(this.diceSeed);
+    this.diceCursor = this.diceSeed === null ? 0 : Math.max(0, Math.floor(cursor) || 0);
   }
 
-  // Calculate shore bombardment from ships in adjacent sea zones
-  _calculateShoreBombardment(territory, attackerId, unitDefs) {
-    let hits = 0;
-    const rolls = [];
-
-    // Find adjacent sea zones
-    const t = this.territoryByName[territory];
-    if (!t || t.isWater) return { hits: 0, rolls: [] };
-
-    const connections = t.connections || [];
-    for (const connName of connections) {
-      const connT = this.territoryByName[connName];
-      if (!connT?.isWater) continue;
-
-      // Per A&A rules: Shore bombardment only allowed from sea zones where:
-      // 1. There are no enemy ships, OR
-      // 2. The naval battle was already won (sea zone cleared)
-      if (!this.isSeaZoneClearedForBombardment(connName)) {
-        continue; // Skip - naval battle not yet resolved
-      }
-
-      // Check for friendly ships that can bombard
-      const seaUnits = this.units[connName] || [];
-      for (const unit of seaUnits) {
-        if (unit.owner !== attackerId) continue;
-
-        const def = unitDefs[unit.type];
-        if (!def?.isSea) continue;
-
-        // Ships that can bombard: battleships (attack 4) and cruisers (attack 3)
-        // In A&A, only battleships and cruisers can shore bombard
-        if (unit.type === 'battleship' || unit.type === 'cruiser') {
-          const bombardValue = def.attack;
-          for (let i = 0; i < unit.quantity; i++) {
-            const roll = this._rollDie('bombard');
-            const isHit = roll <= bombardValue;
-            rolls.push({ unit: unit.type, roll, hit: isHit, source: connName });
-            if (isHit) hits++;
-          }
-        }
-      }
-    }
-
-    return { hits, rolls };
-  }
-
-  _applyCasualtiesWithDamage(units, hits, unitDefs, isNavalBattle) {
-    const casualties = [];
-    let remaining = hits;
-
-    // For naval battles, first try to damage multi-hit ships before destroying units
-    if (isNavalBattle) {
-      // Prioritize damaging already-damaged ships to destroy them
-      const multiHitShips = units.filter(u => {
-        const def = unitDefs[u.type];
-        return def?.hp > 1;
-      });
-
-      // First, finish off damaged ships
-      for (const unit of multiHitShips) {
-        if (remaining <= 0) break;
-        if (unit.damaged && unit.quantity > 0) {
-          // Destroy damaged ship
-          unit.quantity--;
-          remaining--;
-          casualties.push({ type: unit.type, destroyed: true, wasDamaged: true });
-        }
-      }
-
-      // Then, damage undamaged multi-hit ships
-      for (const unit of multiHitShips) {
-        if (remaining <= 0) break;
-        const undamaged = unit.quantity - (unit.damagedCount || 0);
-        if (undamaged > 0) {
-          // Damage the ship instead of destroying
-          unit.damagedCount = (unit.damagedCount || 0) + 1;
-          unit.damaged = true;
-          remaining--;
-          casualties.push({ type: unit.type, damaged: true });
-        }
-      }
-    }
-
-    // Apply remaining hits to cheapest units first
-    const sorted = [...units].filter(u => {
-      const def = unitDefs[u.type];
-      // Skip factories - they are captured, not destroyed
-      if (u.type === 'factory') return false;
-      // Skip multi-hit ships that are only damaged (not destroyed)
-      return !(def?.hp > 1 && u.damaged && !u.destroyed);
-    }).sort((a, b) => {
-      const costA = unitDefs[a.type]?.cost || 0;
-      const costB = unitDefs[b.type]?.cost || 0;
-      return costA - costB;
-    });
-
-    for (const unit of sorted) {
-      if (remaining <= 0) break;
-      const remove = Math.min(unit.quantity, remaining);
-      unit.quantity -= remove;
-      remaining -= remove;
-      for (let i = 0; i < remove; i++) {
-        casualties.push({ type: unit.type, destroyed: true });
-      }
-    }
-
-    return casualties;
+  // Take an online game's secret (kept apart from the game state) when it
+  // matches the commitment this game was started with. True if taken.
+  revealDiceSeed(seed) {
+    const secret = normalizeDiceSeed(seed);
+    if (!this.diceSeedHash || diceSeedCommitment(secret) !== this.diceSeedHash) return false;
+    this.diceSeed = secret;
+    return true;
   }
 
-  _applyCasualties(units, hits, unitDefs) {
-    this._applyCasualtiesWithDamage(units, hits, unitDefs, false);
+  // Re-derive `count` dice from `fromCursor` of this game's seeded stream,
+  // e.g. the cursor logged when a disputed battle started. Null if unseeded.
+  replayDice(fromCursor, count) {
+    if (this.diceSeed === null || this.diceSeed === undefined) return null;
+    return previewDice(this.diceSeed, fromCursor, count);
   }
 
   // Repair damaged ships at end of combat
@@ -3810,11 +4370,19 @@ export class GameState {
       return;
     }
 
+    this.playerState[player.id].ipcs += this.getIncome(player.id);
+  }
+
+  // Income a player would collect now: territories (capital = 10) plus
+  // continent bonuses; 0 while their capital is captured.
+  getIncome(playerId) {
+    if (!this.canCollectIncome(playerId)) return 0;
+
     let income = 0;
-    const capitalTerritory = this.playerState[player.id]?.capitalTerritory;
+    const capitalTerritory = this.playerState[playerId]?.capitalTerritory;
 
     for (const [territory, state] of Object.entries(this.territoryState)) {
-      if (state.owner === player.id) {
+      if (state.owner === playerId) {
         // Capitals always produce 10 IPCs
         if (territory === capitalTerritory) {
           income += 10;
@@ -3829,12 +4397,12 @@ export class GameState {
 
     // Add continent bonuses
     for (const continent of this.continents) {
-      if (this.controlsContinent(player.id, continent.name)) {
+      if (this.controlsContinent(playerId, continent.name)) {
         income += continent.bonus;
       }
     }
 
-    this.playerState[player.id].ipcs += income;
+    return income;
   }
 
   _clearMovedFlags() {
@@ -3994,6 +4562,7 @@ export class GameState {
         this.gameOver = true;
         this.winner = `Team ${teamId}`;
         this.winCondition = `Team Victory - ${teamPlayers} captured all enemy capitals`;
+        this._setWinners(teams[teamId], 'team');
         this._notify();
         return;
       }
@@ -4026,6 +4595,7 @@ export class GameState {
         this.gameOver = true;
         this.winner = 'Axis';
         this.winCondition = 'Capital Victory - Axis controls 2 Allied capitals';
+        this._setWinners(this.players.filter(p => this.getAlliance(p.id) === 'Axis').map(p => p.id), 'alliance');
         this._notify();
         return;
       }
@@ -4042,14 +4612,26 @@ export class GameState {
         this.gameOver = true;
         this.winner = 'Allies';
         this.winCondition = 'Capital Victory - Allies controls both Axis capitals';
+        this._setWinners(this.players.filter(p => this.getAlliance(p.id) === 'Allies').map(p => p.id), 'alliance');
         this._notify();
         return;
       }
     }
   }
 
-  _checkCapitalVictory() {
-    // Count total capitals and who controls what
+  // Record who won and how alongside winner / winCondition
+  _setWinners(playerIds, victoryType) {
+    this.winnerIds = [...playerIds];
+    this.victoryType = victoryType;
+  }
+
+  // FFA: neither alliances nor teams, so capitals decide the game
+  _isFreeForAll() {
+    return !(this.gameMode === 'classic' || this.alliancesEnabled || this.teamsEnabled);
+  }
+
+  // Capitals each player holds plus the total on the board
+  _countCapitals() {
     const capitalControl = {};
     let totalCapitals = 0;
 
@@ -4060,32 +4642,218 @@ export class GameState {
         capitalControl[owner] = (capitalControl[owner] || 0) + 1;
       }
     }
+    return { capitalControl, totalCapitals };
+  }
 
-    // Determine victory threshold based on player count
-    const playerCount = this.players.length;
-    let requiredCapitals;
+  // FFA capital race for the HUD legend: { required, total, tally, roundLimit, timing }.
+  // null outside free-for-all.
+  getCapitalVictoryStatus() {
+    if (!this._isFreeForAll()) return null;
+    const { capitalControl, totalCapitals } = this._countCapitals();
+    const tally = {};
+    for (const p of this.players) tally[p.id] = capitalControl[p.id] || 0;
+    return {
+      required: requiredCapitals(totalCapitals, this.players.length, this.capitalVictory),
+      total: totalCapitals,
+      tally,
+      roundLimit: this.capitalVictory?.roundLimit || null,
+      timing: this.capitalVictory?.timing || 'immediate',
+    };
+  }
 
-    if (playerCount <= 3) {
-      // 2-3 players: must control ALL capitals
-      requiredCapitals = totalCapitals;
-    } else {
-      // 4+ players: must control majority (more than half)
-      requiredCapitals = Math.floor(totalCapitals / 2) + 1;
-    }
+  // `roundEnd` is set by nextTurn; with round-end timing a capture alone
+  // never ends the game.
+  _checkCapitalVictory({ roundEnd = false } = {}) {
+    if (this.gameOver) return;
+    if (this.capitalVictory?.timing === 'round_end' && !roundEnd) return;
+
+    const { capitalControl, totalCapitals } = this._countCapitals();
+    if (totalCapitals === 0) return;
+
+    // Victory threshold: configured count, else by player count
+    const playerCount = this.players.length;
+    const required = requiredCapitals(totalCapitals, playerCount, this.capitalVictory);
 
     for (const [playerId, count] of Object.entries(capitalControl)) {
-      if (count >= requiredCapitals) {
+      if (!this.getPlayer(playerId)) continue;
+      if (count >= required) {
         const player = this.getPlayer(playerId);
         this.gameOver = true;
         this.winner = player?.name || playerId;
-        const condition = playerCount <= 3 ? 'all capitals' : `${count}/${totalCapitals} capitals (majority)`;
+        let condition;
+        if (this.capitalVictory?.capitals) {
+          condition = `${count}/${totalCapitals} capitals (needed ${required})`;
+        } else {
+          condition = playerCount <= 3 ? 'all capitals' : `${count}/${totalCapitals} capitals (majority)`;
+        }
         this.winCondition = `Capital Victory - Controls ${condition}`;
+        this._setWinners([playerId], 'capital');
         this._notify();
         return;
       }
     }
   }
 
+  // FFA round limit: once the last round is over, the richest player wins
+  // (ties broken by capitals held; a dead heat is a shared win).
+  _checkRoundLimit() {
+    const limit = this.capitalVictory?.roundLimit;
+    if (!limit || this.gameOver || this.round <= limit) return false;
+
+    const { capitalControl } = this._countCapitals();
+    const standings = this.players
+      .filter(p => !this._isOutOfPlay(p))
+      .map(p => ({ player: p, income: this.getIncome(p.id), capitals: capitalControl[p.id] || 0 }));
+    const winners = pickRoundLimitWinners(standings);
+    if (winners.length === 0) return false;
+
+    this.gameOver = true;
+    this.winner = winners.map(w => w.player.name).join(' & ');
+    this.winCondition = winners.length === 1
+      ? `Round Limit - Highest income after round ${limit} (${winners[0].income} IPCs)`
+      : `Round Limit - Shared win after round ${limit} (${winners[0].income} IPCs income each)`;
+    this._setWinners(winners.map(w => w.player.id), 'round_limit');
+    return true;
+  }
+
+  // --- Diplomacy (free-for-all pacts) ---
+
+  // Pacts are negotiated in free-for-all games once play has begun
+  canUseDiplomacy() {
+    return this.phase === GAME_PHASES.PLAYING && !this.gameOver && this._isFreeForAll();
+  }
+
+  // Standing with every other player still in the game, for the panels:
+  // [{ player, pact, proposal }] where pact/proposal may be null
+  getDiplomacyFor(playerId) {
+    return this.players
+      .filter(p => p.id !== playerId && !this._isOutOfPlay(p))
+      .map(p => ({
+        player: p,
+        pact: getPactBetween(this.diplomacy, playerId, p.id),
+        proposal: getProposalBetween(this.diplomacy, playerId, p.id),
+      }));
+  }
+
+  // Offer a pact. Any seat may propose at any time, not just on its turn.
+  proposePact(fromId, toId, type) {
+    if (!this.canUseDiplomacy()) return { success: false, error: 'Diplomacy is only available in free-for-all games' };
+    const from = this.players.find(p => p.id === fromId);
+    const to = this.players.find(p => p.id === toId);
+    if (!from || !to || this._isOutOfPlay(from) || this._isOutOfPlay(to)) {
+      return { success: false, error: 'That player is not in the game' };
+    }
+    const result = addPactProposal(this.diplomacy, { from: fromId, to: toId, type, round: this.round });
+    if (result.success) this._notify();
+    return result;
+  }
+
+  // Accept or decline a proposal addressed to playerId; the proposer may
+  // withdraw it instead (accept = false).
+  respondToPact(pactId, playerId, accept) {
+    if (!this.canUseDiplomacy()) return { success: false, error: 'Diplomacy is only available in free-for-all games' };
+    const result = respondToProposal(this.diplomacy, pactId, playerId, accept, this.round);
+    if (!result.success) return result;
+
+    if (result.pact.status === 'active') {
+      const [proposer, partner] = result.pact.players;
+      this.turnEvents.push({
+        type: 'pact_signed',
+        playerId: partner,
+        timestamp: Date.now(),
+        partner: this._playerName(proposer),
+        pactType: result.pact.type,
+      });
+    }
+    this._notify();
+    return result;
+  }
+
+  // Give notice on a pact. Only on your own turn; the pact stays in force
+  // for one more round and ends at the start of your next turn. Logged for
+  // the turn summary so the betrayed player hears about it.
+  breakPact(pactId, playerId) {
+    if (!this.canUseDiplomacy()) return { success: false, error: 'Diplomacy is only available in free-for-all games' };
+    if (this.currentPlayer?.id !== playerId) return { success: false, error: 'Pacts can only be broken on your own turn' };
+    const result = givePactNotice(this.diplomacy, pactId, playerId, this.round);
+    if (!result.success) return result;
+
+    const partner = result.pact.players.find(id => id !== playerId);
+    this.turnEvents.push({
+      type: 'pact_broken',
+      playerId,
+      timestamp: Date.now(),
+      partner: this._playerName(partner),
+      pactType: result.pact.type,
+      endsRound: result.pact.endsRound,
+    });
+    this._notify();
+    return result;
+  }
+
+  // Fold a remote copy of the pact book into ours (multiplayer: pacts are
+  // written by whichever seat acted, not only the player on turn).
+  // Returns true if anything changed.
+  mergeDiplomacy(remote) {
+    if (!remote) return false;
+    const merged = mergeDiplomacyBooks(this.diplomacy, remote);
+    if (JSON.stringify(merged) === JSON.stringify(this.diplomacy)) return false;
+    this.diplomacy = merged;
+    this._notify();
+    return true;
+  }
+
+  // Start of a player's turn: notice served on their broken pacts runs out
+  // and their unanswered proposals lapse. nextTurn notifies afterwards.
+  _expirePacts(playerId) {
+    const { ended } = expirePacts(this.diplomacy, playerId, this.round);
+    for (const pact of ended) {
+      const partner = pact.players.find(id => id !== playerId);
+      this.turnEvents.push({
+        type: 'pact_ended',
+        playerId,
+        timestamp: Date.now(),
+        partner: this._playerName(partner),
+        pactType: pact.type,
+      });
+    }
+  }
+
+  _playerName(playerId) {
+    return this.players.find(p => p.id === playerId)?.name || playerId;
+  }
+
+  // Total production of the land a player controls (capitals count 10),
+  // the measure economic victory compares against its thresholds.
+  getControlledProduction(playerId) {
+    let total = 0;
+    for (const [territory, state] of Object.entries(this.territoryState)) {
+      if (state.owner === playerId) total += this.getEffectiveIpc(territory);
+    }
+    return total;
+  }
+
+  // Per-side economic victory progress for the panels; [] when the option is off.
+  getEconomicVictoryProgress() {
+    if (!this.economicVictory?.enabled) return [];
+    const sides = getEconomicSides(this.players, economicSideMode(this), id => this.getAlliance(id));
+    return computeEconomicProgress(sides, this.economicVictory.thresholds, id => this.getControlledProduction(id));
+  }
+
+  // End-of-round economic victory check (SPEC §8.2). Called from nextTurn,
+  // which notifies listeners afterwards.
+  _checkEconomicVictory() {
+    if (this.gameOver) return false;
+    const side = findEconomicWinner(this.getEconomicVictoryProgress());
+    if (!side) return false;
+
+    this.gameOver = true;
+    this.winner = side.label;
+    this.winCondition = `Economic Victory - ${side.label} controls ${side.production} IPCs of production (target ${side.threshold})`;
+    this._setWinners(side.playerIds, 'economic');
+    return true;
+  }
+
   // Check if a player can collect income (capital not captured)
   canCollectIncome(playerId) {
     const pState = this.playerState[playerId];
@@ -4138,6 +4906,7 @@ export class GameState {
       attackerLosses: result.attackerLosses,
       defenderLosses: result.defenderLosses
     });
+    this._recordEvent(EVENT_TYPES.COMBAT, { territory: result.territory, resolved: true, winner: result.winner });
   }
 
   // Get combat log for display
@@ -4920,6 +5689,204 @@ export class GameState {
     return available;
   }
 
+  // --- Strategic bombing raids (SPEC §6.4) ---
+  // Bombers fly to an enemy factory during combat move instead of joining a
+  // battle. They stay off the map (this.bombingRaids) until the raid is
+  // resolved in the combat phase, then survivors fly back to where they took
+  // off. A raid target must therefore be within half the bomber's range.
+
+  getBombingRaidRange(playerId, unitDefs) {
+    const base = unitDefs?.bomber?.movement || 6;
+    const range = this.hasTech(playerId, 'longRangeAircraft') ? base + LONG_RANGE_AIR_BONUS : base;
+    return Math.floor(range / 2);
+  }
+
+  // Bombers at `fromTerritory` that can still fly a raid this turn.
+  getAvailableRaidBombers(fromTerritory, playerId) {
+    return (this.units[fromTerritory] || [])
+      .filter(u => u.type === 'bomber' && u.owner === playerId && !u.moved && !u.id)
+      .reduce((sum, u) => sum + (u.quantity || 0), 0);
+  }
+
+  // Enemy factory territories in raid range of `fromTerritory`.
+  getBombingRaidTargets(fromTerritory, unitDefs) {
+    const player = this.currentPlayer;
+    if (!player) return [];
+    const range = this.getBombingRaidRange(player.id, unitDefs);
+    const reachable = this.getReachableTerritoriesForAir(fromTerritory, range, player.id, true);
+    const targets = [];
+    for (const [name] of reachable) {
+      if (this._isBombingRaidTarget(name, player.id)) targets.push(name);
+    }
+    return targets;
+  }
+
+  _isBombingRaidTarget(territory, playerId) {
+    const t = this.territoryByName[territory];
+    if (!t || t.isWater) return false;
+    const owner = this.getOwner(territory);
+    if (!owner || owner === playerId || this.areAllies(playerId, owner)) return false;
+    return (this.units[territory] || []).some(u => u.type === 'factory' && u.owner === owner);
+  }
+
+  launchBombingRaid(fromTerritory, targetTerritory, quantity, unitDefs) {
+    const player = this.currentPlayer;
+    if (!player) return { success: false, error: 'No current player' };
+
+    if (this.turnPhase !== TURN_PHASES.COMBAT_MOVE) {
+      return { success: false, error: 'Bombing raids can only be launched during combat move phase' };
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { success: false, error: 'Select at least one bomber' };
+    }
+    if (!this._isBombingRaidTarget(targetTerritory, player.id)) {
+      return { success: false, error: 'Target must be an enemy territory with a factory' };
+    }
+    if (this.getAvailableRaidBombers(fromTerritory, player.id) < quantity) {
+      return { success: false, error: 'Not enough bombers to raid' };
+    }
+    const range = this.getBombingRaidRange(player.id, unitDefs);
+    if (this._calculateAirDistance(fromTerritory, targetTerritory) > range) {
+      return { success: false, error: `Target out of raid range (${range} — bombers must be able to fly home)` };
+    }
+
+    // Pull bombers off the map
+    const fromUnits = this.units[fromTerritory];
+    let remaining = quantity;
+    for (const stack of fromUnits.filter(u => u.type === 'bomber' && u.owner === player.id && !u.moved && !u.id)) {
+      if (remaining <= 0) break;
+      const take = Math.min(stack.quantity, remaining);
+      stack.quantity -= take;
+      remaining -= take;
+    }
+    this.units[fromTerritory] = fromUnits.filter(u => u.quantity > 0 || u.type === 'factory');
+
+    let raid = this.bombingRaids.find(r => r.target === targetTerritory && r.owner === player.id);
+    if (!raid) {
+      raid = { target: targetTerritory, owner: player.id, defender: this.getOwner(targetTerritory), origins: {} };
+      this.bombingRaids.push(raid);
+    }
+    raid.origins[fromTerritory] = (raid.origins[fromTerritory] || 0) + quantity;
+
+    this.moveHistory.push({
+      from: fromTerritory,
+      to: targetTerritory,
+      units: [{ type: 'bomber', quantity }],
+      player: player.id,
+      bombingRaid: true,
+    });
+
+    this._recordEvent(EVENT_TYPES.BOMBING_RAID, { from: fromTerritory, to: targetTerritory, quantity }, player.id);
+    this._notify();
+    return { success: true, from: fromTerritory, to: targetTerritory, quantity, raid };
+  }
+
+  // Undo helper for launchBombingRaid (called from undoLastMove)
+  _undoBombingRaid(move) {
+    const raid = this.bombingRaids.find(r => r.target === move.to && r.owner === move.player);
+    const quantity = move.units?.[0]?.quantity || 0;
+    if (raid) {
+      raid.origins[move.from] = Math.max(0, (raid.origins[move.from] || 0) - quantity);
+      if (raid.origins[move.from] === 0) delete raid.origins[move.from];
+      if (Object.keys(raid.origins).length === 0) {
+        this.bombingRaids = this.bombingRaids.filter(r => r !== raid);
+      }
+    }
+    this._returnRaidBombers(move.from, move.player, quantity, false);
+  }
+
+  _returnRaidBombers(territory, playerId, quantity, moved) {
+    if (quantity <= 0) return;
+    const units = this.units[territory] || [];
+    const stack = units.find(u => u.type === 'bomber' && u.owner === playerId && !u.id && !!u.moved === moved);
+    if (stack) {
+      stack.quantity += quantity;
+    } else {
+      units.push(moved
+        ? { type: 'bomber', quantity, owner: playerId, moved: true }
+        : { type: 'bomber', quantity, owner: playerId });
+    }
+    this.units[territory] = units;
+  }
+
+  hasPendingBombingRaids() {
+    const player = this.currentPlayer;
+    return (this.bombingRaids || []).some(r => !player || r.owner === player.id);
+  }
+
+  getPendingBombingRaids() {
+    const player = this.currentPlayer;
+    return (this.bombingRaids || []).filter(r => !player || r.owner === player.id);
+  }
+
+  // Resolve the raid on `targetTerritory`: AA first, then bomb dice, IPC loss
+  // capped by production (and by the defender's treasury). Survivors return
+  // to their takeoff territories, spread in origin order.
+  resolveBombingRaid(targetTerritory, unitDefs) {
+    const player = this.currentPlayer;
+    if (!player) return null;
+    if (this.turnPhase !== TURN_PHASES.COMBAT) {
+      return { success: false, error: 'Bombing raids resolve during the combat phase' };
+    }
+    const raid = this.bombingRaids.find(r => r.target === targetTerritory && r.owner === player.id);
+    if (!raid) return { success: false, error: 'No bombing raid on that territory' };
+
+    const defender = this.getOwner(targetTerritory);
+    const bombers = Object.values(raid.origins).reduce((sum, n) => sum + n, 0);
+    const hasAA = !!defender && defender !== player.id && !this.areAllies(player.id, defender)
+      && (this.units[targetTerritory] || []).some(u => u.type === 'aaGun' && u.owner === defender && u.quantity > 0);
+    const production = this.territoryByName[targetTerritory]?.production || 0;
+    const canDamage = !!defender && defender !== player.id && !this.areAllies(player.id, defender);
+
+    const outcome = resolveStrategicBombing({
+      bombers,
+      hasAA,
+      production: canDamage ? production : 0,
+      maxLoss: canDamage ? Math.max(0, this.getIPCs(defender)) : 0,
+      heavyBombers: this.hasTech(player.id, 'heavyBombers'),
+      rollDie: (context) => this._rollDie(context),
+    });
+
+    if (outcome.damage > 0) {
+      this.playerState[defender].ipcs -= outcome.damage;
+    }
+
+    // Losses come out of origins in order; the rest fly home.
+    let lost = outcome.aaHits;
+    for (const [origin, count] of Object.entries(raid.origins)) {
+      const dead = Math.min(count, lost);
+      lost -= dead;
+      this._returnRaidBombers(origin, player.id, count - dead, true);
+    }
+
+    this.bombingRaids = this.bombingRaids.filter(r => r !== raid);
+
+    this.turnEvents.push({
+      type: 'bombing_raid',
+      playerId: player.id,
+      timestamp: Date.now(),
+      territory: targetTerritory,
+      attacker: player.id,
+      defender,
+      bombers,
+      bombersLost: outcome.aaHits,
+      damage: outcome.damage,
+    });
+
+    this._recordEvent(EVENT_TYPES.COMBAT, { territory: targetTerritory, raid: true, damage: outcome.damage }, player.id);
+    this._notify();
+    return {
+      success: true,
+      territory: targetTerritory,
+      attacker: player.id,
+      defender,
+      bombers,
+      hasAA,
+      production,
+      ...outcome,
+    };
+  }
+
   // Get valid rocket targets from a territory (adjacent enemy factories)
   getRocketTargets(fromTerritory) {
     const player = this.currentPlayer;
@@ -5005,7 +5972,7 @@ export class GameState {
     }
 
     // Roll for damage (1d6)
-    const damage = Math.floor(Math.random() * 6) + 1;
+    const damage = this._rollDie('rocket');
     const targetIPCs = this.getIPCs(targetOwner);
     const actualDamage = Math.min(damage, targetIPCs);
 
@@ -5018,6 +5985,17 @@ export class GameState {
     const targetPlayer = this.getPlayer(targetOwner);
     const message = `Rocket attack on ${targetTerritory}! Rolled ${damage}, ${targetPlayer?.name || targetOwner} loses ${actualDamage} IPCs.`;
 
+    // Logged for the turn summary; the authority checks the IPCs lost against it
+    this.turnEvents.push({
+      type: 'rocket',
+      playerId: player.id,
+      timestamp: Date.now(),
+      round: this.round,
+      territory: targetTerritory,
+      defender: targetOwner,
+      damage: actualDamage,
+    });
+    this._recordEvent(EVENT_TYPES.ROCKET, { from: fromTerritory, to: targetTerritory, damage: actualDamage }, player.id);
     this._notify();
 
     return {
@@ -5092,7 +6070,7 @@ export class GameState {
 
   toJSON() {
     return {
-      version: 11, // v11: Added turn events for turn summary modal
+      version: 12, // v12: winners, dice, raids, victory options, clock, fog, pacts, rally points, replay log
       gameMode: this.gameMode,
       alliancesEnabled: this.alliancesEnabled,
       teamsEnabled: this.teamsEnabled,
@@ -5110,6 +6088,9 @@ export class GameState {
       gameOver: this.gameOver,
       winner: this.winner,
       winCondition: this.winCondition,
+      // v12: winning player ids and victory type
+      winnerIds: this.winnerIds,
+      victoryType: this.victoryType,
       playerTechs: this.playerTechs,
       riskCards: this.riskCards,
       cardTradeCount: this.cardTradeCount,
@@ -5124,22 +6105,49 @@ export class GameState {
       factoriesAtTurnStart: Array.from(this.factoriesAtTurnStart || []),
       // v11: Turn events for turn summary modal (multiplayer)
       turnEvents: this.turnEvents,
-      // Additive config (no schema bump): AI-when-unattended policy (Bug 2).
-      // Default false = AI pauses when no human is present. Old clients ignore
-      // the extra field; a missing field loads as false. See aiPolicy.js.
+      // AI-when-unattended policy (Bug 2). Default false = AI pauses when no
+      // human is present. Saves before v12 load as false. See aiPolicy.js.
       aiRunsWhenUnattended: this.aiRunsWhenUnattended ?? false,
+      // v12: seeded dice stream. null seed = Math.random().
+      // Sync strips diceSeed (actionSync.replicatedState) and keeps the hash.
+      diceSeed: this.diceSeed ?? null,
+      diceSeedHash: this.diceSeedHash ?? null,
+      diceCursor: this.diceCursor || 0,
+      // v12: raids committed but not yet resolved, so a
+      // refresh between combat move and combat keeps the bombers in the air.
+      bombingRaids: this.bombingRaids || [],
+      // v12: economic victory option. null = off.
+      economicVictory: this.economicVictory ?? null,
+      // v12: territory draft progress (draft mode)
+      draftPick: this.draftPick || 0,
+      // v12: FFA capital victory settings
+      capitalVictory: this.capitalVictory,
+      // v12: turn clock settings and the running turn.
+      // null = untimed.
+      turnClock: this.turnClock,
+      // v12: fog of war mode. null = off.
+      fogOfWar: this.fogOfWar ?? null,
+      // v12: FFA pacts and proposals
+      diplomacy: this.diplomacy,
+      // v12: standing orders' rally points
+      rallyPoints: this.rallyPoints,
+      // v12: replay event log (multiplayer pushes send
+      // it without events; SyncManager archives those per round)
+      eventLog: this.eventLog,
     };
   }
 
   loadFromJSON(data) {
-    if (data.version < 3) throw new Error('Incompatible save version');
+    // Older versions are brought up to SCHEMA_VERSION step by step (see
+    // saveFormat.js), so every field below is present
+    data = migrateSave(data).state;
     const prevPlayerId = this.currentPlayer?.id;
     const prevPlacedThisRound = this.unitsPlacedThisRound || 0;
     const prevPlacementRound = this.placementRound || 0;
     this.gameMode = data.gameMode;
-    this.alliancesEnabled = data.alliancesEnabled ?? (data.gameMode === 'classic');
-    this.teamsEnabled = data.teamsEnabled ?? false;
-    // v10: Multiplayer flag (don't overwrite if already set - syncManager sets it before load)
+    this.alliancesEnabled = data.alliancesEnabled;
+    this.teamsEnabled = data.teamsEnabled;
+    // Multiplayer flag (don't overwrite if already set - syncManager sets it before load)
     if (data.isMultiplayer !== undefined && !this.isMultiplayer) {
       this.isMultiplayer = data.isMultiplayer;
     }
@@ -5157,16 +6165,18 @@ export class GameState {
     this.territoryState = data.territoryState;
     this.units = data.units;
     this.playerState = data.playerState;
-    this.pendingPurchases = data.pendingPurchases || [];
-    this.combatQueue = data.combatQueue || [];
-    this.gameOver = data.gameOver || false;
-    this.winner = data.winner || null;
-    this.winCondition = data.winCondition || null;
-    this.playerTechs = data.playerTechs || {};
-    this.riskCards = data.riskCards || {};
-    this.cardTradeCount = data.cardTradeCount || {};
-    this.unitsToPlace = cloneUnitsToPlace(data.unitsToPlace || {});
-    this.placementRound = data.placementRound || 0;
+    this.pendingPurchases = data.pendingPurchases;
+    this.combatQueue = data.combatQueue;
+    this.gameOver = data.gameOver;
+    this.winner = data.winner;
+    this.winCondition = data.winCondition;
+    this.winnerIds = data.winnerIds;
+    this.victoryType = data.victoryType;
+    this.playerTechs = data.playerTechs;
+    this.riskCards = data.riskCards;
+    this.cardTradeCount = data.cardTradeCount;
+    this.unitsToPlace = cloneUnitsToPlace(data.unitsToPlace);
+    this.placementRound = data.placementRound;
     // Same seat + stale remote 0/missing must not wipe a local 1/6 (B28).
     const nextPlayerId = this.players?.[this.currentPlayerIndex]?.id;
     this.unitsPlacedThisRound = resolveDeployedThisRoundAfterLoad({
@@ -5185,31 +6195,54 @@ export class GameState {
       : null;
     this.ensureInitialDeployPools();
 
-    // v8: Restore air unit tracking for proper landing calculation
-    this.airUnitOrigins = data.airUnitOrigins || {};
+    // Air unit tracking for proper landing calculation, and factories at
+    // turn start for mobilization validation (docs without them: as the
+    // board stands now)
+    this.airUnitOrigins = data.airUnitOrigins;
+    this._initFriendlyTerritoriesAtTurnStart();
     if (data.friendlyTerritoriesAtTurnStart) {
       this.friendlyTerritoriesAtTurnStart = new Set(data.friendlyTerritoriesAtTurnStart);
-    } else {
-      // Older saves (v7 and below): Re-initialize friendly territories
-      // This is approximate but better than empty - includes all currently owned territories
-      this._initFriendlyTerritoriesAtTurnStart();
     }
-
-    // v9: Restore factories at turn start for mobilization validation
     if (data.factoriesAtTurnStart) {
       this.factoriesAtTurnStart = new Set(data.factoriesAtTurnStart);
-    } else {
-      // Older saves (v8 and below): Initialize from current factories
-      // This allows placing on any currently owned factory (less restrictive, but better than broken)
-      this.factoriesAtTurnStart = new Set(this._getFactoryTerritories(this.currentPlayer?.id));
     }
 
-    // v11: Restore turn events for turn summary modal
-    this.turnEvents = data.turnEvents || [];
+    // Turn events for turn summary modal
+    this.turnEvents = data.turnEvents;
+
+    // AI-when-unattended policy (Bug 2): false pauses AI when no human is present
+    this.aiRunsWhenUnattended = data.aiRunsWhenUnattended;
+
+    // Seeded dice: the cursor travels with the doc so whichever client rolls
+    // next continues the same stream (a refresh before the push re-rolls the
+    // same dice rather than fresh ones). A synced state has only the
+    // commitment: the holder of the secret keeps it.
+    const heldSecret = data.diceSeedHash && data.diceSeedHash === this.diceSeedHash ? this.diceSeed : null;
+    this.setDiceSeed(data.diceSeed ?? heldSecret, data.diceCursor);
+    if (this.diceSeed === null && data.diceSeedHash) {
+      this.diceSeedHash = data.diceSeedHash;
+      this.diceCursor = data.diceCursor;
+    }
+
+    // Pending strategic bombing raids
+    this.bombingRaids = data.bombingRaids;
+
+    // Victory options, draft progress, turn clock and fog of war
+    this.economicVictory = normalizeEconomicVictory(data.economicVictory);
+    this.draftPick = data.draftPick;
+    this.capitalVictory = normalizeCapitalVictory(data.capitalVictory);
+    this.turnClock = normalizeTurnClock(data.turnClock);
+    this.fogOfWar = normalizeFogOfWar(data.fogOfWar);
 
-    // AI-when-unattended policy (Bug 2). Default false: pause AI when no human
-    // is present. Older docs without the field load as the safe default.
-    this.aiRunsWhenUnattended = data.aiRunsWhenUnattended ?? false;
+    // FFA diplomacy and standing orders
+    this.diplomacy = normalizeDiplomacy(data.diplomacy);
+    this.rallyPoints = normalizeAllRallyPoints(data.rallyPoints);
+
+    // Replay log: same game keeps this client's events not yet in the doc;
+    // saves without one start a log from the loaded board
+    const eventLog = normalizeEventLog(data.eventLog);
+    this.eventLog = eventLog ? mergeEventLogs(this.eventLog, eventLog) : createEventLog(snapshotBoard(this));
+    this._eventSigs = boardSignatures(this);
 
     // Reset per-turn state on load (fresh state for the turn)
     this.rocketsUsedThisTurn = {};
@@ -5264,29 +6297,39 @@ export class GameState {
     });
   }
 
-  // Auto-save to localStorage for pass-and-play
+  // Auto-save to localStorage for pass-and-play. The replay log is kept under
+  // its own key, cut to its last AUTOSAVE_LOG_EVENTS events, so a long game's
+  // history can neither crowd out nor (over quota) lose the game itself.
   autoSave() {
     // Online games persist in Firestore — never write them to the local
     // autosave slot, or they'd overwrite a hotseat save AND show up in
     // "My Games" as a broken 'local' game with no sync manager
     if (this.isMultiplayer) return false;
     try {
-      const data = JSON.stringify(this.toJSON());
+      const data = JSON.stringify({ ...this.toJSON(), eventLog: null });
       localStorage.setItem('tacticalRisk_autoSave', data);
       localStorage.setItem('tacticalRisk_autoSave_time', new Date().toISOString());
-      return true;
     } catch (err) {
       console.warn('Auto-save failed:', err);
       return false;
     }
+    try {
+      localStorage.setItem('tacticalRisk_autoSave_log', JSON.stringify(compactEventLog(this.eventLog, AUTOSAVE_LOG_EVENTS)));
+    } catch (err) {
+      // The game is saved; its replay restarts from the board on load
+      console.warn('Auto-save of the replay log failed:', err);
+      localStorage.removeItem('tacticalRisk_autoSave_log');
+    }
+    return true;
   }
 
-  // Load from auto-save
+  // Load from auto-save, with its replay log
   static loadAutoSave() {
     try {
       const data = localStorage.getItem('tacticalRisk_autoSave');
       if (!data) return null;
-      return JSON.parse(data);
+      const log = localStorage.getItem('tacticalRisk_autoSave_log');
+      return { ...JSON.parse(data), eventLog: log ? JSON.parse(log) : null };
     } catch (err) {
       console.warn('Load auto-save failed:', err);
       return null;
@@ -5307,5 +6350,6 @@ export class GameState {
   static clearAutoSave() {
     localStorage.removeItem('tacticalRisk_autoSave');
     localStorage.removeItem('tacticalRisk_autoSave_time');
+    localStorage.removeItem('tacticalRisk_autoSave_log');
   }
 }
@@ -0,0 +1,102 @@
+// Heatmap overlays: how much attack power can land on each territory next
+// turn, seen from one side. No DOM, no GameState — GameState.getHeatmap
+// supplies the board (fogged if the game has fog) and its reach rules, the
+// TerritoryRenderer and the minimap draw the result.
+//
+//   threat  enemy attack power that can reach each of our territories
+//   reach   our attack power that can reach each enemy territory, or each
+//           sea zone holding enemy ships
+//   income  production of our territories under threat (income at stake)
+//
+// Power is attack × quantity over a unit's full movement (air +2 with Long
+// Range Aircraft), the same reach the combat move allows. Units that could
+// only arrive by transport are not counted.
+
+export const HEATMAP_LAYERS = {
+  threat: { label: 'Enemy threat', color: [229, 57, 53], unit: 'attack' },
+  reach: { label: 'Our strike reach', color: [30, 136, 229], unit: 'attack' },
+  income: { label: 'Income at stake', color: [255, 179, 0], unit: 'IPCs' },
+};
+
+// Toggle order: off, then each layer in turn
+export const HEATMAP_LAYER_ORDER = Object.keys(HEATMAP_LAYERS);
+
+export function nextHeatmapLayer(layer) {
+  const i = HEATMAP_LAYER_ORDER.indexOf(layer);
+  return i + 1 < HEATMAP_LAYER_ORDER.length ? HEATMAP_LAYER_ORDER[i + 1] : null;
+}
+
+// `rgba(...)` for a value as a share of the layer's max
+export function heatmapColor(layer, value, max, maxAlpha = 0.6) {
+  const [r, g, b] = HEATMAP_LAYERS[layer].color;
+  const share = max > 0 ? Math.min(1, value / max) : 0;
+  return `rgba(${r}, ${g}, ${b}, ${(0.15 + (maxAlpha - 0.15) * share).toFixed(3)})`;
+}
+
+// Attack power that can reach each territory, by the units whose owner
+// passes `include`. `board.reachable(from, kind, range, owner)` gives the
+// names a unit of that kind ('land' | 'sea' | 'air') reaches in a combat move.
+function strikePower(board, include) {
+  const { territories, units, unitDefs } = board;
+  const byName = {};
+  for (const t of territories) byName[t.name] = t;
+  const power = {};
+
+  for (const [from, stacks] of Object.entries(units || {})) {
+    if (!byName[from]) continue;
+    const reach = new Map(); // `${kind}:${range}:${owner}` -> names
+    for (const u of stacks || []) {
+      const def = unitDefs[u.type];
+      if (!include(u.owner) || !def || def.isBuilding || !(def.attack > 0) || !(def.movement > 0) || !(u.quantity > 0)) continue;
+      const kind = def.isAir ? 'air' : def.isSea ? 'sea' : 'land';
+      const range = def.movement + (def.isAir && board.longRange?.(u.owner) ? 2 : 0);
+      const key = `${kind}:${range}:${u.owner}`;
+      if (!reach.has(key)) reach.set(key, [...board.reachable(from, kind, range, u.owner).keys()]);
+      for (const name of reach.get(key)) {
+        const t = byName[name];
+        // Land units do not attack sea zones, ships do not attack land
+        if (!t || (t.isWater ? def.isLand : def.isSea)) continue;
+        power[name] = (power[name] || 0) + def.attack * u.quantity;
+      }
+    }
+  }
+  return power;
+}
+
+// { layer, values: { territory: n }, max, total } for one layer.
+// `board`: { territories, territoryState, units, unitDefs, friendly(owner),
+// hostile(owner), reachable(from, kind, range, owner), longRange(owner),
+// income(name) }. friendly is the viewer's side; hostile are the players it
+// can fight; income defaults to each territory's production.
+export function buildHeatmap(layer, board) {
+  if (!HEATMAP_LAYERS[layer]) throw new Error(`Unknown heatmap layer ${layer}`);
+  const { territories, territoryState = {}, units = {} } = board;
+  const ownerOf = name => territoryState[name]?.owner || null;
+  const values = {};
+
+  if (layer === 'reach') {
+    const power = strikePower(board, owner => board.friendly(owner));
+    for (const t of territories) {
+      const target = t.isWater
+        ? (units[t.name] || []).some(u => u.quantity > 0 && board.hostile(u.owner))
+        : !!ownerOf(t.name) && board.hostile(ownerOf(t.name));
+      if (target && power[t.name]) values[t.name] = power[t.name];
+    }
+  } else {
+    const power = strikePower(board, owner => board.hostile(owner));
+    for (const t of territories) {
+      if (t.isWater || !board.friendly(ownerOf(t.name)) || !power[t.name]) continue;
+      const ipcs = board.income ? board.income(t.name) : t.production || 0;
+      if (layer === 'threat') values[t.name] = power[t.name];
+      else if (ipcs > 0) values[t.name] = ipcs;
+    }
+  }
+
+  const numbers = Object.values(values);
+  return {
+    layer,
+    values,
+    max: numbers.length ? Math.max(...numbers) : 0,
+    total: numbers.reduce((sum, n) => sum + n, 0),
+  };
+}
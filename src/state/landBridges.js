@@ -0,0 +1,52 @@
+// Land bridges: land-to-land crossings over water that land units may use
+// without transports (drawn as dashed lines on the map). No DOM, no
+// GameState.
+//
+// The built-in map keeps them here. A map from the map editor lists them in
+// territories.json instead, as `landBridges: [name, ...]` on both land
+// territories; when any territory carries that field, the file's list
+// replaces this one.
+
+export const LAND_BRIDGES = [
+  // Pacific wrap-around
+  ['Alaska', 'Soviet Far East'],
+  // Atlantic crossings
+  ['East Canada', 'Eire'],
+  ['Brazil', 'French West Africa'],
+  ['East US', 'Cuba'],
+  // UK connections
+  ['Eire', 'United Kingdom'],
+  ['United Kingdom', 'Finland Norway'],
+  ['United Kingdom', 'West Europe'],  // Channel crossing
+  // Mediterranean
+  ['Spain', 'Algeria'],  // Strait of Gibraltar
+  ['South Europe', 'Anglo Sudan Egypt'],
+  ['Syria Jordan', 'Anglo Sudan Egypt'],  // Suez crossing
+  // Red Sea
+  ['Italian East Africa', 'Saudi Arabia'],  // Red Sea crossing
+  // Pacific / Asian connections
+  ['French Indo China', 'East Indies'],  // Note: "French Indo China" (no hyphen) matches territory name
+  ['East Indies', 'Australia'],
+  ['Australia', 'New Zealand'],
+  // African
+  ['Kenya-Rhodesia', 'Madagascar'],
+  // Asian
+  ['Japan', 'Manchuria'],  // Korea Strait crossing
+];
+
+// The land bridges for a territory list: the file's own, or the built-in ones
+export function landBridgesFor(territories) {
+  const listed = (territories || []).filter(t => Array.isArray(t.landBridges));
+  if (listed.length === 0) return LAND_BRIDGES;
+  const pairs = [];
+  const seen = new Set();
+  for (const t of listed) {
+    for (const other of t.landBridges) {
+      const key = [t.name, other].sort().join('\u0000');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      pairs.push([t.name, other]);
+    }
+  }
+  return pairs;
+}
@@ -0,0 +1,324 @@
+// Save format: brings a saved game state (GameState.toJSON(), a save file or
+// a game doc's `state`) up to SCHEMA_VERSION one version at a time, and
+// checks a state for broken references. No DOM, no GameState —
+// GameState.loadFromJSON migrates through here and tools/save-tool.mjs
+// checks and upgrades files from the command line.
+
+import { SCHEMA_VERSION } from '../version.js';
+
+// Saves older than this cannot be loaded
+export const OLDEST_SAVE_VERSION = 3;
+
+// The lists ships keep units aboard in: what may ride in each and the unit
+// definition field that says how many fit
+const ABOARD = {
+  cargo: { kind: 'isLand', capacity: 'capacity' },
+  aircraft: { kind: 'isAir', capacity: 'aircraftCapacity' },
+};
+
+// MIGRATIONS[n] turns a version n state into a version n + 1 state. Steps
+// only add what is missing, so a state that already has a field keeps it.
+// Each step gets a shallow copy to change.
+const MIGRATIONS = {
+  // The baseline fields every loader has defaulted. Which of v4-v7 added
+  // each is not recorded, so they are all filled on the first step.
+  3: (state) => {
+    state.alliancesEnabled ??= state.gameMode === 'classic';
+    state.teamsEnabled ??= false;
+    state.pendingPurchases ??= [];
+    state.combatQueue ??= [];
+    state.gameOver ??= false;
+    state.winner ??= null;
+    state.winCondition ??= null;
+    state.playerTechs ??= {};
+    state.riskCards ??= {};
+    state.cardTradeCount ??= {};
+    state.unitsToPlace ??= {};
+    state.placementRound ??= 0;
+  },
+  // v4-v7: no shape change recorded
+  4: () => {},
+  5: () => {},
+  6: () => {},
+  // v8: air unit origins and the territories friendly at turn start (for
+  // air landing). Older saves get the current player's side as it stands.
+  7: (state) => {
+    state.airUnitOrigins ??= {};
+    state.friendlyTerritoriesAtTurnStart ??= friendlyTerritories(state);
+  },
+  // v9: factories at turn start (mobilization). Older saves get the current
+  // player's capital and factories as they stand.
+  8: (state) => {
+    state.factoriesAtTurnStart ??= factoryTerritories(state);
+  },
+  // v10: multiplayer flag
+  9: (state) => {
+    state.isMultiplayer ??= false;
+  },
+  // v11: turn events for the turn summary modal
+  10: (state) => {
+    state.turnEvents ??= [];
+  },
+  // v12: winners, the AI-when-unattended policy, seeded dice, pending
+  // bombing raids, victory options, draft progress, the turn clock, fog of
+  // war, pacts, rally points and the replay log. Older saves get each one
+  // off or empty; a missing replay log is started from the loaded board.
+  11: (state) => {
+    state.winnerIds ??= [];
+    state.victoryType ??= null;
+    state.aiRunsWhenUnattended ??= false;
+    state.diceSeed ??= null;
+    state.diceSeedHash ??= null;
+    state.diceCursor ??= 0;
+    state.bombingRaids ??= [];
+    state.economicVictory ??= null;
+    state.draftPick ??= 0;
+    state.capitalVictory ??= null;
+    state.turnClock ??= null;
+    state.fogOfWar ??= null;
+    state.diplomacy ??= { pacts: [] };
+    state.rallyPoints ??= {};
+    state.eventLog ??= null;
+  },
+};
+
+// Territories the current player (or a teammate / alliance partner) owns
+function friendlyTerritories(state) {
+  const players = state.players || [];
+  const current = players[state.currentPlayerIndex];
+  if (!current) return [];
+  const side = (id) => {
+    if (id === current.id) return true;
+    const other = players.find(p => p.id === id);
+    if (!other) return false;
+    if (state.teamsEnabled && current.teamId && current.teamId === other.teamId) return true;
+    return !!(state.alliancesEnabled && current.alliance && current.alliance === other.alliance);
+  };
+  return Object.entries(state.territoryState || {})
+    .filter(([, ts]) => side(ts?.owner))
+    .map(([name]) => name);
+}
+
+// The current player's capital plus every territory holding their factory
+function factoryTerritories(state) {
+  const playerId = state.players?.[state.currentPlayerIndex]?.id;
+  if (!playerId) return [];
+  const territories = [];
+  const capital = state.playerState?.[playerId]?.capitalTerritory;
+  if (capital) territories.push(capital);
+  for (const [name, stacks] of Object.entries(state.units || {})) {
+    if ((stacks || []).some(u => u.type === 'factory' && u.owner === playerId) && !territories.includes(name)) {
+      territories.push(name);
+    }
+  }
+  return territories;
+}
+
+// { state, from, steps }: `state` at SCHEMA_VERSION (a copy; the input is
+// not changed), the version it started at and the versions it passed
+// through. A state without a version is treated as the oldest, so every
+// step fills in whatever it lacks. A newer state is passed through as it is,
+// as the loader always did: fields this game does not know are ignored.
+// Throws for versions that cannot load.
+export function migrateSave(data) {
+  if (!data || typeof data !== 'object') throw new Error('Not a saved game');
+  const from = data.version ?? OLDEST_SAVE_VERSION;
+  if (!Number.isInteger(from) || from < OLDEST_SAVE_VERSION) throw new Error('Incompatible save version');
+  if (from > SCHEMA_VERSION) return { state: { ...data }, from, steps: [] };
+  const state = { ...data };
+  const steps = [];
+  for (let version = from; version < SCHEMA_VERSION; version++) {
+    MIGRATIONS[version](state);
+    steps.push(version + 1);
+  }
+  state.version = SCHEMA_VERSION;
+  return { state, from, steps };
+}
+
+// Problems with a (migrated) state: [{ level: 'error' | 'warning', message }].
+// `context` is the map and rules it is checked against, all optional:
+// { territories, unitDefs, techIds, phases }.
+export function validateSave(state, context = {}) {
+  const issues = [];
+  const error = message => issues.push({ level: 'error', message });
+  const warning = message => issues.push({ level: 'warning', message });
+  if (!state || typeof state !== 'object') {
+    error('Not a saved game');
+    return issues;
+  }
+
+  const byName = {};
+  for (const t of context.territories || []) byName[t.name] = t;
+  const hasMap = !!context.territories;
+  const unitDefs = context.unitDefs || null;
+  const known = name => !hasMap || !!byName[name];
+
+  if (state.version === undefined) warning('No version (loads as the oldest supported)');
+  else if (state.version > SCHEMA_VERSION) warning(`Version ${state.version} is newer than this game (${SCHEMA_VERSION}); what it adds is ignored`);
+  else if (state.version < OLDEST_SAVE_VERSION) error(`Version ${state.version} is too old to load`);
+  if (context.phases && !context.phases.includes(state.phase)) error(`Unknown phase ${state.phase}`);
+
+  // Players
+  const players = Array.isArray(state.players) ? state.players : [];
+  if (!players.length) error('No players');
+  const playerIds = new Set();
+  for (const p of players) {
+    if (!p?.id) error('A player has no id');
+    else if (playerIds.has(p.id)) error(`Player ${p.id} is listed twice`);
+    else playerIds.add(p.id);
+  }
+  if (players.length && !(state.currentPlayerIndex >= 0 && state.currentPlayerIndex < players.length)) {
+    error(`Current player index ${state.currentPlayerIndex} is out of range`);
+  }
+  const player = id => playerIds.has(id);
+  // Same side: one player, or a team or alliance when the game uses them
+  // (GameState.areAllies)
+  const sameSide = (a, b) => {
+    if (a === b) return true;
+    const pa = players.find(p => p?.id === a);
+    const pb = players.find(p => p?.id === b);
+    if (!pa || !pb) return false;
+    return (state.teamsEnabled && !!pa.teamId && pa.teamId === pb.teamId)
+      || (state.alliancesEnabled && !!pa.alliance && pa.alliance === pb.alliance);
+  };
+
+  // Units aboard a ship: land units in a transport's `cargo`, planes in a
+  // carrier's `aircraft`. ABOARD[list] picks the ships that hold that list
+  // and how many each holds (GameState._canLoadOnTransport, aircraftCapacity).
+  const countOf = list => list.reduce((sum, c) => sum + (c?.quantity ?? 1), 0);
+  const holds = (def, list) => {
+    if (!def?.isSea || !Array.isArray(def.canCarry)) return 0;
+    const { kind, capacity } = ABOARD[list];
+    return def.canCarry.some(type => unitDefs?.[type]?.[kind]) ? (def[capacity] ?? 2) : 0;
+  };
+  const checkAboard = (ship, list, label) => {
+    if (ship?.[list] === undefined) return;
+    if (!Array.isArray(ship[list])) {
+      error(`${label}: ${list} is not a list`);
+      return;
+    }
+    if (!ship[list].length) return;
+    const def = unitDefs?.[ship.type];
+    if (unitDefs && !holds(def, list)) {
+      error(`${label}: carries ${list} but has no room for any`);
+      return;
+    }
+    for (const c of ship[list]) {
+      const what = `${c?.owner} ${c?.type} aboard ${label}`;
+      if (!player(c?.owner)) error(`${what}: unknown owner`);
+      else if (!sameSide(c.owner, ship.owner)) error(`${what}: an enemy's ship`);
+      if (unitDefs && !(unitDefs[c?.type]?.[ABOARD[list].kind] && def.canCarry.includes(c.type))) {
+        error(`${what}: cannot be carried there`);
+      }
+    }
+    const room = unitDefs ? holds(def, list) * (ship.quantity ?? 1) : Infinity;
+    if (countOf(ship[list]) > room) error(`${label}: ${countOf(ship[list])} aboard, room for ${room}`);
+  };
+  // Free places for `u` on friendly ships in the zone; null with no such ship
+  const roomAboard = (stacks, u, list) => {
+    const ships = stacks.filter(s => s?.quantity > 0 && sameSide(s.owner, u.owner)
+      && holds(unitDefs[s.type], list) && unitDefs[s.type].canCarry.includes(u.type));
+    if (!ships.length) return null;
+    return ships.reduce((sum, s) => sum + Math.max(0, holds(unitDefs[s.type], list) * s.quantity
+      - countOf(Array.isArray(s[list]) ? s[list] : [])), 0);
+  };
+  // Units of u's kind and side in the zone that are not aboard yet
+  const waiting = (stacks, u) => stacks
+    .filter(s => sameSide(s?.owner, u.owner) && unitDefs[s.type]?.isLand === unitDefs[u.type].isLand
+      && unitDefs[s.type]?.isAir === unitDefs[u.type].isAir)
+    .reduce((sum, s) => sum + (s.quantity > 0 ? s.quantity : 0), 0);
+
+  // Territories. Names the map lacks are only warned about: the game
+  // ignores them, and the classic setup lists a few (Caucasus, Libya, ...).
+  for (const [name, ts] of Object.entries(state.territoryState || {})) {
+    if (!known(name)) warning(`${name} is not on this map (ignored)`);
+    else if (byName[name]?.isWater) error(`Sea zone ${name} has an owner`);
+    if (ts?.owner && !player(ts.owner)) error(`${name} belongs to unknown player ${ts.owner}`);
+    if (ts?.isCapital && !players.some(p => state.playerState?.[p.id]?.capitalTerritory === name)) {
+      warning(`${name} is marked as a capital but no player has it as theirs`);
+    }
+  }
+
+  // Units
+  for (const [name, stacks] of Object.entries(state.units || {})) {
+    if (!known(name)) {
+      warning(`Units in ${name}, which is not on this map (ignored)`);
+      continue;
+    }
+    if (!Array.isArray(stacks)) {
+      error(`Units in ${name} are not a list`);
+      continue;
+    }
+    const atSea = !!byName[name]?.isWater;
+    for (const u of stacks) {
+      const label = `${u?.owner} ${u?.type} in ${name}`;
+      if (!Number.isInteger(u?.quantity) || u.quantity < 0) error(`${label}: invalid quantity ${u?.quantity}`);
+      if (!player(u?.owner)) error(`${label}: unknown owner`);
+      const def = unitDefs?.[u?.type];
+      if (unitDefs && !def) {
+        error(`Unknown unit type ${u?.type} in ${name}`);
+        continue;
+      }
+      checkAboard(u, 'cargo', label);
+      checkAboard(u, 'aircraft', label);
+      if (!def || !hasMap) continue;
+      if (def.isSea && !atSea) error(`${label}: ships on land`);
+      if (def.isBuilding && atSea) error(`${label}: buildings at sea`);
+      // Land units ride transports, their own or an ally's, with room left
+      // after their cargo. Planes may be in flight over the zone mid-turn
+      // (they land or are lost when it ends), so a plane with no carrier
+      // deck to land on is only warned about.
+      if (atSea && def.isLand) {
+        const room = roomAboard(stacks, u, 'cargo');
+        if (room === null) error(`${label}: no transport to carry them`);
+        else if (room < waiting(stacks, u)) error(`${label}: not enough room on the transports`);
+      }
+      if (atSea && def.isAir) {
+        const room = roomAboard(stacks, u, 'aircraft');
+        if (room === null) warning(`${label}: no carrier to land on`);
+        else if (room < waiting(stacks, u)) warning(`${label}: not enough deck room on the carriers`);
+      }
+    }
+  }
+
+  // Player resources
+  for (const id of playerIds) {
+    const ps = state.playerState?.[id];
+    if (!ps) {
+      error(`Player ${id} has no resources entry`);
+      continue;
+    }
+    if (!Number.isInteger(ps.ipcs) || ps.ipcs < 0) error(`Player ${id} has invalid IPCs ${ps.ipcs}`);
+    if (ps.capitalTerritory && !known(ps.capitalTerritory)) error(`Player ${id}'s capital ${ps.capitalTerritory} is unknown`);
+    for (const tech of state.playerTechs?.[id]?.unlockedTechs || []) {
+      if (context.techIds && !context.techIds.includes(tech)) error(`Player ${id} has unknown tech ${tech}`);
+    }
+  }
+  for (const id of Object.keys(state.playerState || {})) {
+    if (!player(id)) warning(`Resources for unknown player ${id}`);
+  }
+
+  // Turn bookkeeping that names territories or unit types
+  for (const name of state.combatQueue || []) {
+    if (!known(name)) error(`Combat queued in unknown territory ${name}`);
+  }
+  for (const p of state.pendingPurchases || []) {
+    if (unitDefs && !unitDefs[p.type]) error(`Pending purchase of unknown unit type ${p.type}`);
+    if (p.territory && !known(p.territory)) error(`Pending purchase placed in unknown territory ${p.territory}`);
+  }
+  for (const [id, rows] of Object.entries(state.unitsToPlace || {})) {
+    for (const row of rows || []) {
+      if (unitDefs && !unitDefs[row.type]) error(`Player ${id} has unknown unit type ${row.type} to place`);
+      if (!Number.isInteger(row.quantity) || row.quantity < 0) error(`Player ${id} has invalid ${row.type} count ${row.quantity} to place`);
+    }
+  }
+
+  for (const [id, points] of Object.entries(state.rallyPoints || {})) {
+    const named = [...Object.keys(points?.factories || {}), ...Object.values(points?.factories || {}), ...Object.values(points?.regions || {})];
+    for (const name of named) {
+      if (!known(name)) warning(`Player ${id} has a rally point at unknown territory ${name}`);
+    }
+  }
+
+  return issues;
+}
@@ -0,0 +1,405 @@
+// Scenarios: hand-built starting positions (owners, unit stacks, IPCs,
+// techs, cards, whose turn) that GameState.initGame('scenario', ...) plays
+// from. No DOM, no GameState — the ScenarioEditor (ui/scenarioEditor.js)
+// builds them and the lobby picks them.
+//
+// File format (SCENARIO_FORMAT 1):
+//   { format, name, description,
+//     rules: 'risk' | 'classic',   // classic: fixed alliances, no cards
+//     seats: [factionId, ...],     // turn order
+//     toMove: factionId, round,
+//     owners: { territory: factionId },  // land left out is neutral
+//     capitals: { factionId: territory },
+//     units: { territory: [{ type, quantity, owner }] },
+//     ipcs: { factionId: n }, techs: { factionId: [techId] },
+//     cards: { factionId: [cardType] } }
+
+export const SCENARIO_FORMAT = 1;
+
+export const SCENARIO_RULES = ['risk', 'classic'];
+
+// Risk card types (see GameState.awardRiskCard)
+export const CARD_TYPES = ['infantry', 'cavalry', 'artillery', 'wild'];
+
+// Saved scenarios on this browser: { name: scenario }
+export const SCENARIOS_KEY = 'tacticalRisk_scenarios';
+
+const isCount = n => Number.isInteger(n) && n >= 0;
+
+// A clean copy of a scenario file. Throws on anything that is not one.
+export function normalizeScenario(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.seats)) {
+    throw new Error('Not a scenario file');
+  }
+  if (data.format > SCENARIO_FORMAT) {
+    throw new Error('This scenario was made by a newer version of the game');
+  }
+  const seats = [...new Set(data.seats.filter(id => typeof id === 'string' && id))];
+  const perSeat = (source, copy) => {
+    const out = {};
+    for (const id of seats) {
+      if (source?.[id] !== undefined) out[id] = copy(source[id]);
+    }
+    return out;
+  };
+  const units = {};
+  for (const [territory, stacks] of Object.entries(data.units || {})) {
+    const list = (Array.isArray(stacks) ? stacks : [])
+      .filter(u => u && u.type && u.owner && u.quantity > 0)
+      .map(u => ({ type: u.type, quantity: u.quantity, owner: u.owner }));
+    if (list.length) units[territory] = list;
+  }
+  return {
+    format: SCENARIO_FORMAT,
+    name: String(data.name || 'Untitled scenario').trim() || 'Untitled scenario',
+    description: String(data.description || ''),
+    rules: SCENARIO_RULES.includes(data.rules) ? data.rules : 'risk',
+    seats,
+    toMove: seats.includes(data.toMove) ? data.toMove : seats[0] || null,
+    round: isCount(data.round) && data.round > 0 ? data.round : 1,
+    owners: { ...(data.owners || {}) },
+    capitals: perSeat(data.capitals, t => t),
+    units,
+    ipcs: perSeat(data.ipcs, n => n),
+    techs: perSeat(data.techs, list => [...(list || [])]),
+    cards: perSeat(data.cards, list => [...(list || [])]),
+  };
+}
+
+// The position in a GameState, or in a save file (its toJSON()). Units keep
+// type, quantity and owner only; per-turn state is not part of a scenario.
+export function scenarioFromState(state, { name, description } = {}) {
+  const seats = (state.players || []).map(p => p.id);
+  const owners = {};
+  const capitals = {};
+  for (const [territory, ts] of Object.entries(state.territoryState || {})) {
+    if (!ts?.owner) continue;
+    owners[territory] = ts.owner;
+  }
+  const units = {};
+  for (const [territory, stacks] of Object.entries(state.units || {})) {
+    const list = (stacks || []).filter(u => u.quantity > 0)
+      .map(u => ({ type: u.type, quantity: u.quantity, owner: u.owner }));
+    if (list.length) units[territory] = list;
+  }
+  const ipcs = {};
+  const techs = {};
+  const cards = {};
+  for (const id of seats) {
+    const ps = state.playerState?.[id];
+    ipcs[id] = ps?.ipcs || 0;
+    const capital = ps?.capitalTerritory;
+    if (capital && state.territoryState?.[capital]?.isCapital) capitals[id] = capital;
+    techs[id] = [...(state.playerTechs?.[id]?.unlockedTechs || [])];
+    cards[id] = [...(state.riskCards?.[id] || [])];
+  }
+  return normalizeScenario({
+    name,
+    description,
+    rules: state.gameMode === 'classic' ? 'classic' : 'risk',
+    seats,
+    toMove: state.players?.[state.currentPlayerIndex]?.id,
+    round: state.round,
+    owners,
+    capitals,
+    units,
+    ipcs,
+    techs,
+    cards,
+  });
+}
+
+// The 1942 setup from setup.json's `classic` block
+export function scenarioFromClassic(classic) {
+  const seats = classic.turnOrder || classic.factions.map(f => f.id);
+  const ipcs = {};
+  for (const f of classic.factions) ipcs[f.id] = f.startingPUs || 0;
+  return normalizeScenario({
+    name: 'Classic 1942',
+    rules: 'classic',
+    seats,
+    owners: classic.territoryOwners,
+    units: classic.unitPlacements,
+    ipcs,
+  });
+}
+
+// Problems with a scenario: [{ level: 'error' | 'warning', message,
+// territories }] (the map editor's shape). `context` is the map and rules
+// it must fit: { territories, unitDefs, factions, techIds }.
+export function validateScenario(scenario, context = {}) {
+  const issues = [];
+  const error = (message, names = []) => issues.push({ level: 'error', message, territories: names });
+  const warning = (message, names = []) => issues.push({ level: 'warning', message, territories: names });
+  const byName = {};
+  for (const t of context.territories || []) byName[t.name] = t;
+  const unitDefs = context.unitDefs || {};
+  const factionIds = new Set((context.factions || []).map(f => f.id));
+  const seats = new Set(scenario.seats);
+  const allianceOf = id => (context.factions || []).find(f => f.id === id)?.alliance || null;
+  const friendly = (a, b) => a === b || (scenario.rules === 'classic' && !!allianceOf(a) && allianceOf(a) === allianceOf(b));
+
+  if (scenario.seats.length < 2) error('A scenario needs at least 2 players');
+  for (const id of scenario.seats) {
+    if (factionIds.size && !factionIds.has(id)) error(`Unknown faction ${id}`);
+  }
+  if (!scenario.toMove) error('Nobody is set to move first');
+
+  for (const [territory, owner] of Object.entries(scenario.owners)) {
+    const t = byName[territory];
+    // Unknown names are inert in a game (setup.json's classic block has a few)
+    if (!t) warning(`${territory} is not on this map (ignored)`);
+    else if (t.isWater) error(`Sea zone ${territory} cannot be owned`, [territory]);
+    else if (!seats.has(owner)) error(`${territory} belongs to ${owner}, who is not playing`, [territory]);
+  }
+
+  for (const id of scenario.seats) {
+    const capital = scenario.capitals[id];
+    if (capital && scenario.owners[capital] !== id) {
+      error(`${id}'s capital ${capital} is not theirs`, byName[capital] ? [capital] : []);
+    }
+    if (!capital && scenario.rules === 'risk') warning(`${id} has no capital`);
+    if (!Object.values(scenario.owners).includes(id)) warning(`${id} owns no territory`);
+    if (!isCount(scenario.ipcs[id] ?? 0)) error(`${id} has invalid IPCs ${scenario.ipcs[id]}`);
+    for (const tech of scenario.techs[id] || []) {
+      if (context.techIds && !context.techIds.includes(tech)) error(`${id} has unknown tech ${tech}`);
+    }
+    for (const card of scenario.cards[id] || []) {
+      if (!CARD_TYPES.includes(card)) error(`${id} has unknown card ${card}`);
+    }
+    if (scenario.rules === 'classic' && scenario.cards[id]?.length) {
+      warning(`${id} holds cards, which classic rules do not use`);
+    }
+  }
+
+  // Units: known types on the right kind of territory, owned by a player,
+  // and (on land) standing in friendly territory
+  for (const [territory, stacks] of Object.entries(scenario.units)) {
+    const t = byName[territory];
+    if (!t) {
+      warning(`Units in ${territory}, which is not on this map (ignored)`);
+      continue;
+    }
+    for (const u of stacks) {
+      const def = unitDefs[u.type];
+      const label = `${u.owner} ${u.type} in ${territory}`;
+      if (!def) error(`Unknown unit type ${u.type} in ${territory}`, [territory]);
+      else if (!isCount(u.quantity) || u.quantity === 0) error(`${label}: invalid quantity ${u.quantity}`, [territory]);
+      else if (def.isSea && !t.isWater) error(`${label}: ships must be at sea`, [territory]);
+      else if ((def.isLand || def.isBuilding) && t.isWater) error(`${label}: land units cannot be at sea`, [territory]);
+      if (!seats.has(u.owner)) error(`${label}: ${u.owner} is not playing`, [territory]);
+      else if (!t.isWater && !friendly(u.owner, scenario.owners[territory])) {
+        error(`${label}: ${territory} is not friendly to ${u.owner}`, [territory]);
+      }
+      if (def?.isBuilding && !t.isWater && scenario.owners[territory] !== u.owner) {
+        error(`${label}: a ${u.type} belongs to the territory's owner`, [territory]);
+      }
+    }
+  }
+
+  return issues;
+}
+
+// Editable working copy of a scenario. Every setter refuses changes that
+// cannot be represented and returns whether it changed anything.
+export class ScenarioDraft {
+  constructor(scenario) {
+    this.data = normalizeScenario(JSON.parse(JSON.stringify(scenario)));
+  }
+
+  setName(name) {
+    const clean = String(name || '').trim();
+    if (!clean) return false;
+    this.data.name = clean;
+    return true;
+  }
+
+  setDescription(text) {
+    this.data.description = String(text || '');
+    return true;
+  }
+
+  setRules(rules) {
+    if (!SCENARIO_RULES.includes(rules)) return false;
+    this.data.rules = rules;
+    return true;
+  }
+
+  setRound(round) {
+    if (!isCount(round) || round < 1) return false;
+    this.data.round = round;
+    return true;
+  }
+
+  setToMove(id) {
+    if (!this.data.seats.includes(id)) return false;
+    this.data.toMove = id;
+    return true;
+  }
+
+  addSeat(id) {
+    if (!id || this.data.seats.includes(id)) return false;
+    this.data.seats.push(id);
+    this.data.ipcs[id] = 0;
+    this.data.techs[id] = [];
+    this.data.cards[id] = [];
+    if (!this.data.toMove) this.data.toMove = id;
+    return true;
+  }
+
+  // Their territories turn neutral and their units go
+  removeSeat(id) {
+    const d = this.data;
+    if (!d.seats.includes(id)) return false;
+    d.seats = d.seats.filter(s => s !== id);
+    for (const [territory, owner] of Object.entries(d.owners)) {
+      if (owner === id) delete d.owners[territory];
+    }
+    for (const territory of Object.keys(d.units)) {
+      d.units[territory] = d.units[territory].filter(u => u.owner !== id);
+      if (!d.units[territory].length) delete d.units[territory];
+    }
+    delete d.capitals[id];
+    delete d.ipcs[id];
+    delete d.techs[id];
+    delete d.cards[id];
+    if (d.toMove === id) d.toMove = d.seats[0] || null;
+    return true;
+  }
+
+  // Move a seat one place earlier (-1) or later (+1) in the turn order
+  moveSeat(id, step) {
+    const seats = this.data.seats;
+    const from = seats.indexOf(id);
+    const to = from + step;
+    if (from < 0 || to < 0 || to >= seats.length) return false;
+    [seats[from], seats[to]] = [seats[to], seats[from]];
+    return true;
+  }
+
+  // null: neutral. A capital stays only with its owner.
+  setOwner(territory, id) {
+    const d = this.data;
+    if (id && !d.seats.includes(id)) return false;
+    if ((d.owners[territory] || null) === (id || null)) return false;
+    if (id) d.owners[territory] = id;
+    else delete d.owners[territory];
+    for (const [seat, capital] of Object.entries(d.capitals)) {
+      if (capital === territory && seat !== id) delete d.capitals[seat];
+    }
+    return true;
+  }
+
+  // The territory must be the seat's own; null clears the capital
+  setCapital(id, territory) {
+    const d = this.data;
+    if (!d.seats.includes(id)) return false;
+    if (!territory) {
+      const had = !!d.capitals[id];
+      delete d.capitals[id];
+      return had;
+    }
+    if (d.owners[territory] !== id) return false;
+    d.capitals[id] = territory;
+    return true;
+  }
+
+  unitsIn(territory) {
+    return this.data.units[territory] || [];
+  }
+
+  // Set one stack's size (0 removes it)
+  setUnits(territory, owner, type, quantity) {
+    const d = this.data;
+    if (!d.seats.includes(owner) || !type || !isCount(quantity)) return false;
+    const list = d.units[territory] || [];
+    const stack = list.find(u => u.owner === owner && u.type === type);
+    if (stack) stack.quantity = quantity;
+    else if (quantity > 0) list.push({ type, quantity, owner });
+    d.units[territory] = list.filter(u => u.quantity > 0);
+    if (!d.units[territory].length) delete d.units[territory];
+    return true;
+  }
+
+  setIpcs(id, ipcs) {
+    if (!this.data.seats.includes(id) || !isCount(ipcs)) return false;
+    this.data.ipcs[id] = ipcs;
+    return true;
+  }
+
+  toggleTech(id, techId) {
+    const techs = this.data.techs[id];
+    if (!techs) return false;
+    const i = techs.indexOf(techId);
+    if (i >= 0) techs.splice(i, 1);
+    else techs.push(techId);
+    return true;
+  }
+
+  // How many cards of `type` the seat holds
+  setCardCount(id, type, count) {
+    const cards = this.data.cards[id];
+    if (!cards || !CARD_TYPES.includes(type) || !isCount(count)) return false;
+    this.data.cards[id] = [...cards.filter(c => c !== type), ...Array(count).fill(type)];
+    return true;
+  }
+
+  validate(context) {
+    return validateScenario(this.data, context);
+  }
+
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.data));
+  }
+}
+
+// --- Saved scenarios (this browser) ---
+
+export function listScenarios(storage = globalThis.localStorage) {
+  try {
+    const saved = JSON.parse(storage?.getItem?.(SCENARIOS_KEY) || '{}');
+    return Object.values(saved)
+      .map(s => {
+        try {
+          return normalizeScenario(s);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch {
+    return [];
+  }
+}
+
+export function findScenario(name, storage = globalThis.localStorage) {
+  return listScenarios(storage).find(s => s.name === name) || null;
+}
+
+// Saves under the scenario's name, replacing one with the same name
+export function saveScenario(scenario, storage = globalThis.localStorage) {
+  if (!storage?.setItem) return false;
+  const clean = normalizeScenario(scenario);
+  let saved = {};
+  try {
+    saved = JSON.parse(storage.getItem(SCENARIOS_KEY) || '{}');
+  } catch {
+    // unreadable list: start over
+  }
+  saved[clean.name] = clean;
+  storage.setItem(SCENARIOS_KEY, JSON.stringify(saved));
+  return true;
+}
+
+export function deleteScenario(name, storage = globalThis.localStorage) {
+  try {
+    const saved = JSON.parse(storage?.getItem?.(SCENARIOS_KEY) || '{}');
+    if (!saved[name]) return false;
+    delete saved[name];
+    storage.setItem(SCENARIOS_KEY, JSON.stringify(saved));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,97 @@
+// Standing orders: rally points per factory or region, and the frontline
+// search the routes are built from. No DOM, no GameState —
+// GameState.getStandingOrderRoutes proposes the non-combat moves and the AI
+// shares the frontline search.
+//
+// Rally points are kept per player:
+//   { factories: { territory: target }, regions: { continent: target } }
+// Land units standing on a factory with a rally point march toward it; so do
+// units anywhere in the interior of a region with one. Other interior units
+// march to the nearest front.
+
+export const RALLY_KINDS = ['factory', 'region'];
+
+// One player's rally points with every entry a territory name
+export function normalizeRallyPoints(raw) {
+  const pick = (map) => Object.fromEntries(Object.entries(map && typeof map === 'object' ? map : {})
+    .filter(([source, target]) => source && typeof target === 'string' && target));
+  return { factories: pick(raw?.factories), regions: pick(raw?.regions) };
+}
+
+// Every player's rally points (saves without any: none)
+export function normalizeAllRallyPoints(raw) {
+  const out = {};
+  for (const [playerId, points] of Object.entries(raw && typeof raw === 'object' ? raw : {})) {
+    out[playerId] = normalizeRallyPoints(points);
+  }
+  return out;
+}
+
+// The rally point for units in `territory`: its factory's first, else its
+// region's when the territory is not on the front. `board.hasFactory(name)`
+// and `board.continentOf(name)` describe the map.
+// { target, kind } or null.
+export function rallyTargetFor(territory, points, board, onFront) {
+  const factoryTarget = board.hasFactory(territory) ? points.factories[territory] : null;
+  if (factoryTarget) return { target: factoryTarget, kind: 'factory' };
+  const region = board.continentOf(territory);
+  const regionTarget = region && !onFront ? points.regions[region] : null;
+  return regionTarget ? { target: regionTarget, kind: 'region' } : null;
+}
+
+// A land territory next to land held by someone `board.hostile` marks as an
+// enemy. `board`: { connections(name), ownerOf(name), isWater(name), hostile(owner) }.
+export function isFrontline(territory, board) {
+  return board.connections(territory).some(c => {
+    const owner = board.ownerOf(c);
+    return owner && board.hostile(owner) && !board.isWater(c);
+  });
+}
+
+// Nearest frontline territory through territories `board.passable(name)`
+// allows (breadth first, so fewest steps), or null
+export function findNearestFrontline(territory, board) {
+  const visited = new Set([territory]);
+  const queue = [territory];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    if (current !== territory && isFrontline(current, board)) {
+      return current;
+    }
+
+    for (const conn of board.connections(current)) {
+      if (visited.has(conn)) continue;
+      if (!board.passable(conn)) continue;
+      visited.add(conn);
+      queue.push(conn);
+    }
+  }
+
+  return null;
+}
+
+// Fewest-steps path from `from` to `to` (both included) through
+// territories `board.passable` allows, or null
+export function shortestPath(from, to, board) {
+  if (from === to) return [from];
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const conn of board.connections(current)) {
+      if (previous.has(conn) || !board.passable(conn)) continue;
+      previous.set(conn, current);
+      if (conn === to) {
+        const path = [to];
+        for (let step = current; step !== null; step = previous.get(step)) path.unshift(step);
+        return path;
+      }
+      queue.push(conn);
+    }
+  }
+
+  return null;
+}
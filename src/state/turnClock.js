@@ -0,0 +1,93 @@
+// Pure per-turn clock rules (SPEC §9.1). No Firebase.
+// Two modes:
+//   bank      chess-style: each seat's bank only runs on its own turns and
+//             gets a tenth of the starting bank back after every turn
+//   deadline  a fixed allowance per turn; unused time is not carried over
+// When the seat to move runs out, the authority client (the one that runs AI
+// seats) either passes the rest of the turn or lets an AI play it.
+//
+// Times are wall-clock ms, so every client can count down from the synced doc.
+
+export const TURN_CLOCK_MODES = ['bank', 'deadline'];
+export const TURN_CLOCK_TIMEOUTS = ['pass', 'ai'];
+export const TURN_CLOCK_AI_DIFFICULTIES = ['easy', 'medium', 'hard'];
+// Lobby choices, in minutes (bank: whole game; deadline: per turn)
+export const TURN_CLOCK_MINUTES = [5, 15, 60, 240, 1440];
+
+const MINUTE_MS = 60 * 1000;
+
+// Lobby/save options → clock, or null when the game has none.
+//   { mode, minutes, onTimeout, aiDifficulty } from a lobby, or a saved clock
+//   (limitMs and runtime fields) from a doc.
+// Runtime: banks (playerId → ms left at the start of their turn), turn
+// ({ playerId, startedAt } while a seat is on the clock) and expired (the
+// seat whose time ran out this turn).
+export function normalizeTurnClock(options = null) {
+  if (!options || !TURN_CLOCK_MODES.includes(options.mode)) return null;
+  const limitMs = Math.floor(Number(options.limitMs)) || Math.floor(Number(options.minutes) * MINUTE_MS);
+  if (!(limitMs > 0)) return null;
+  const incrementMs = Number.isFinite(Number(options.incrementMs))
+    ? Math.max(0, Math.floor(Number(options.incrementMs)))
+    : (options.mode === 'bank' ? Math.round(limitMs / 10) : 0);
+  return {
+    mode: options.mode,
+    limitMs,
+    incrementMs,
+    onTimeout: TURN_CLOCK_TIMEOUTS.includes(options.onTimeout) ? options.onTimeout : 'pass',
+    aiDifficulty: TURN_CLOCK_AI_DIFFICULTIES.includes(options.aiDifficulty) ? options.aiDifficulty : 'medium',
+    banks: { ...(options.banks || {}) },
+    turn: options.turn?.playerId ? { playerId: options.turn.playerId, startedAt: Number(options.turn.startedAt) || 0 } : null,
+    expired: options.expired || null,
+  };
+}
+
+// Lobby timeout choice ('pass' | 'ai:easy' | 'ai:medium' | 'ai:hard') →
+// { onTimeout, aiDifficulty }
+export function parseTimeoutChoice(choice) {
+  const [onTimeout, aiDifficulty] = String(choice || 'pass').split(':');
+  return { onTimeout, aiDifficulty: aiDifficulty || 'medium' };
+}
+
+// Time the seat had when its current turn began
+function allowanceMs(clock, playerId) {
+  if (clock.mode === 'deadline') return clock.limitMs;
+  return clock.banks[playerId] ?? clock.limitMs;
+}
+
+// Close the running turn (bank mode charges the seat) and start the clock
+// for `playerId`. A seat that ran out keeps an empty bank until its
+// per-turn increment refills it.
+export function startClockTurn(clock, playerId, now = Date.now()) {
+  const previous = clock.turn;
+  if (previous && clock.mode === 'bank') {
+    const used = Math.max(0, now - previous.startedAt);
+    const left = Math.max(0, allowanceMs(clock, previous.playerId) - used);
+    clock.banks[previous.playerId] = left + clock.incrementMs;
+  }
+  clock.turn = playerId ? { playerId, startedAt: now } : null;
+  clock.expired = null;
+  return clock;
+}
+
+// Ms left for the seat on the clock (null when nobody is)
+export function clockRemainingMs(clock, now = Date.now()) {
+  if (!clock?.turn) return null;
+  return Math.max(0, allowanceMs(clock, clock.turn.playerId) - Math.max(0, now - clock.turn.startedAt));
+}
+
+// True once `player` (the seat to move) is out of time and not yet handled.
+// AI seats never time out.
+export function isClockExpired(clock, player, now = Date.now()) {
+  if (!clock?.turn || !player || player.isAI) return false;
+  if (clock.turn.playerId !== player.id || clock.expired === player.id) return false;
+  return clockRemainingMs(clock, now) <= 0;
+}
+
+// "1:05:09", "4:07", "0:09"
+export function formatClock(ms) {
+  const total = Math.ceil(Math.max(0, ms) / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
@@ -2,6 +2,7 @@
 // Now integrated into the sidebar/player panel
 
 import { possessivePhrase } from '../utils/possessive.js';
+import { PACT_LABELS } from '../state/diplomacy.js';
 
 export class ActionLog {
   constructor() {
@@ -11,6 +12,7 @@ export class ActionLog {
     this._unsubscribe = null;
     this.onHighlightTerritory = null; // Callback for territory highlighting
     this.onHighlightMovement = null; // Callback for movement arrow highlighting
+    this.onLog = null; // Callback for each new entry (sound cues)
     this.isCollapsed = true; // Start collapsed
 
     this._create();
@@ -26,6 +28,11 @@ export class ActionLog {
     this.onHighlightMovement = callback;
   }
 
+  // fn(type, data) for each entry logged
+  setOnLog(callback) {
+    this.onLog = callback;
+  }
+
   _create() {
     // Note: Visual display is now handled by PlayerPanel's Log tab
     // This class just stores entries and provides logging methods
@@ -71,6 +78,7 @@ export class ActionLog {
 
     // Note: Visual rendering is handled by PlayerPanel's Log tab
     // which reads this.entries directly
+    this.onLog?.(type, data);
   }
 
   // Convenience methods for common actions
@@ -124,6 +132,15 @@ export class ActionLog {
     });
   }
 
+  logBombingRaid(territory, attacker, defender, result) {
+    const lost = result.aaHits ? ` (${result.aaHits} bomber${result.aaHits === 1 ? '' : 's'} shot down)` : '';
+    this.log('combat', {
+      message: `💣 ${attacker.name} bombed ${territory}: ${defender?.name || 'Defender'} loses ${result.damage} IPCs${lost}`,
+      territory, result,
+      color: attacker.color
+    });
+  }
+
   logCapture(territory, player) {
     this.log('capture', {
       message: `${player.name} captures ${territory}!`,
@@ -149,6 +166,38 @@ export class ActionLog {
     });
   }
 
+  logTerritoryDraft(territory, player) {
+    this.log('draft', {
+      message: `${player.name} drafted ${territory}`,
+      territory,
+      color: player.color
+    });
+  }
+
+  // FFA diplomacy: op is propose / accept / decline / withdraw / break
+  logDiplomacy(player, op, pact, other) {
+    const label = PACT_LABELS[pact.type].toLowerCase();
+    const messages = {
+      propose: `${player.name} offered ${other.name} a ${label}`,
+      accept: `${player.name} signed a ${label} with ${other.name}`,
+      decline: `${player.name} declined ${possessivePhrase(other.name, label)}`,
+      withdraw: `${player.name} withdrew the ${label} offered to ${other.name}`,
+      break: `${player.name} broke the ${label} with ${other.name} (ends round ${pact.endsRound})`,
+    };
+    this.log('diplomacy', {
+      message: `🤝 ${messages[op]}`,
+      color: player.color
+    });
+  }
+
+  // Turn clock ran out: action is 'pass' or 'ai'
+  logTimeout(player, action) {
+    this.log('timeout', {
+      message: `⏱ ${player.name} ran out of time: ${action === 'ai' ? 'the AI plays this turn' : 'turn passed'}`,
+      color: player.color
+    });
+  }
+
   logPhaseChange(phase, player) {
     this.log('phase', {
       message: `${player.name}: ${phase}`,
@@ -0,0 +1,266 @@
+// Battle Calculator - standalone odds simulator. Pick attacking and defending
+// units, techs and shore bombardment, then run Monte Carlo battles through
+// the real combat rules (battleSimulator.js). Opens empty from the HUD menu or
+// pre-filled from the movement panel before a combat move is committed.
+
+import { simulateBattle, buildBattleSetup, DEFAULT_TRIALS } from '../state/battleSimulator.js';
+
+const TRIAL_OPTIONS = [1000, 2000, 5000, 10000];
+const ATTACKER_TECHS = [
+  { id: 'jets', label: 'Jets' },
+  { id: 'superSubs', label: 'Super Subs' },
+  { id: 'heavyBombers', label: 'Heavy Bombers' },
+];
+const DEFENDER_TECHS = [{ id: 'jets', label: 'Jets' }];
+const BOMBARDING_SHIPS = ['battleship', 'cruiser'];
+
+export class BattleCalculator {
+  constructor() {
+    this.unitDefs = null;
+    this.result = null;
+    this._resetSetup();
+    this._create();
+  }
+
+  setUnitDefs(unitDefs) {
+    this.unitDefs = unitDefs;
+  }
+
+  _resetSetup() {
+    this.setup = {
+      territory: null,
+      attackers: {},
+      defenders: {},
+      attackerTechs: {},
+      defenderTechs: {},
+      bombardment: {},
+      trials: this.setup?.trials || DEFAULT_TRIALS,
+    };
+    this.result = null;
+  }
+
+  _create() {
+    this.el = document.createElement('div');
+    this.el.id = 'battleCalculator';
+    this.el.className = 'battle-calc-overlay hidden';
+    document.body.appendChild(this.el);
+
+    // Delegated: the content is re-rendered on every change
+    this.el.addEventListener('click', (e) => {
+      if (e.target === this.el) {
+        this.hide();
+        return;
+      }
+      const btn = e.target.closest('[data-action]');
+      if (btn) this._handleAction(btn);
+    });
+    this.el.addEventListener('change', (e) => this._handleChange(e.target));
+  }
+
+  get isVisible() {
+    return !this.el.classList.contains('hidden');
+  }
+
+  // Open with a blank board, or with a setup from buildBattleSetup()
+  open(prefill = null) {
+    this._resetSetup();
+    if (prefill) {
+      const toCounts = units => Object.fromEntries((units || []).map(u => [u.type, u.quantity]));
+      this.setup.territory = prefill.territory || null;
+      this.setup.attackers = toCounts(prefill.attackers);
+      this.setup.defenders = toCounts(prefill.defenders);
+      this.setup.attackerTechs = { ...prefill.attackerTechs };
+      this.setup.defenderTechs = { ...prefill.defenderTechs };
+      this.setup.bombardment = { ...prefill.bombardment };
+    }
+    this.el.classList.remove('hidden');
+    this._render();
+    if (prefill) this._run();
+  }
+
+  // Pre-filled from a pending combat move: units already committed to
+  // `territory` plus the ones about to move in, against its defenders
+  openForAttack(gameState, territory, attackerId, pendingUnits, options = {}) {
+    this.open(buildBattleSetup(gameState, territory, attackerId, pendingUnits, options));
+  }
+
+  hide() {
+    this.el.classList.add('hidden');
+  }
+
+  toggle() {
+    if (this.isVisible) this.hide();
+    else this.open();
+  }
+
+  _unitTypes(side) {
+    return Object.entries(this.unitDefs || {})
+      .filter(([type, def]) => !def.isBuilding && (side === 'defenders' || type !== 'aaGun'))
+      .map(([type]) => type);
+  }
+
+  _handleAction(btn) {
+    const { action, side, unit } = btn.dataset;
+    if (action === 'close') {
+      this.hide();
+    } else if (action === 'qty') {
+      const counts = this.setup[side];
+      counts[unit] = Math.max(0, (counts[unit] || 0) + parseInt(btn.dataset.delta, 10));
+      this.result = null;
+      this._render();
+    } else if (action === 'swap') {
+      const { attackers, defenders } = this.setup;
+      this.setup.attackers = Object.fromEntries(Object.entries(defenders).filter(([type]) => type !== 'aaGun'));
+      this.setup.defenders = attackers;
+      this.setup.bombardment = {};
+      this.result = null;
+      this._render();
+    } else if (action === 'clear') {
+      this._resetSetup();
+      this._render();
+    } else if (action === 'run') {
+      this._run();
+    }
+  }
+
+  _handleChange(target) {
+    if (target.matches('[data-tech]')) {
+      const techs = target.dataset.side === 'attacker' ? this.setup.attackerTechs : this.setup.defenderTechs;
+      techs[target.dataset.tech] = target.checked;
+      this.result = null;
+      this._render();
+    } else if (target.matches('[data-trials]')) {
+      this.setup.trials = parseInt(target.value, 10) || DEFAULT_TRIALS;
+    }
+  }
+
+  _stacks(counts) {
+    return Object.entries(counts)
+      .filter(([, q]) => q > 0)
+      .map(([type, quantity]) => ({ type, quantity }));
+  }
+
+  _run() {
+    const attackers = this._stacks(this.setup.attackers);
+    const defenders = this._stacks(this.setup.defenders);
+    if (attackers.length === 0 || defenders.length === 0) {
+      this.result = { error: 'Add units to both sides first.' };
+      this._render();
+      return;
+    }
+
+    this.el.querySelector('.bc-results').innerHTML = '<div class="bc-running">Simulating…</div>';
+    // Let the "Simulating…" paint before the (synchronous) run
+    setTimeout(() => {
+      this.result = simulateBattle({
+        attackers,
+        defenders,
+        unitDefs: this.unitDefs,
+        attackerTechs: this.setup.attackerTechs,
+        defenderTechs: this.setup.defenderTechs,
+        bombardment: this.setup.bombardment,
+        trials: this.setup.trials,
+      });
+      this._render();
+    }, 0);
+  }
+
+  _render() {
+    const { territory, trials } = this.setup;
+    this.el.innerHTML = `
+      <div class="battle-calc-content">
+        <div class="bc-header">
+          <h2>🎲 Battle Calculator${territory ? `: ${territory}` : ''}</h2>
+          <button class="bc-close" data-action="close">✕</button>
+        </div>
+        <div class="bc-sides">
+          ${this._renderSide('attackers', 'Attacker', ATTACKER_TECHS)}
+          ${this._renderSide('defenders', 'Defender', DEFENDER_TECHS)}
+        </div>
+        <div class="bc-controls">
+          <label>Battles
+            <select data-trials>
+              ${TRIAL_OPTIONS.map(n => `<option value="${n}" ${n === trials ? 'selected' : ''}>${n.toLocaleString()}</option>`).join('')}
+            </select>
+          </label>
+          <button class="bc-btn" data-action="swap">⇄ Swap</button>
+          <button class="bc-btn" data-action="clear">Clear</button>
+          <button class="bc-btn primary" data-action="run">Run</button>
+        </div>
+        <div class="bc-results">${this._renderResults()}</div>
+      </div>
+    `;
+  }
+
+  _renderSide(side, title, techs) {
+    const counts = this.setup[side];
+    const techState = side === 'attackers' ? this.setup.attackerTechs : this.setup.defenderTechs;
+    const techSide = side === 'attackers' ? 'attacker' : 'defender';
+
+    const rows = this._unitTypes(side).map(type => this._renderCounter(side, type, counts[type] || 0)).join('');
+    const techBoxes = techs.map(t => `
+      <label class="bc-tech">
+        <input type="checkbox" data-side="${techSide}" data-tech="${t.id}" ${techState[t.id] ? 'checked' : ''}> ${t.label}
+      </label>`).join('');
+    const bombard = side === 'attackers' ? `
+      <div class="bc-subtitle">Shore bombardment</div>
+      ${BOMBARDING_SHIPS.map(type => this._renderCounter('bombardment', type, this.setup.bombardment[type] || 0)).join('')}
+    ` : '';
+
+    return `
+      <div class="bc-side ${techSide}">
+        <div class="bc-side-title">${title}</div>
+        <div class="bc-units">${rows}</div>
+        <div class="bc-subtitle">Technology</div>
+        <div class="bc-techs">${techBoxes}</div>
+        ${bombard}
+      </div>`;
+  }
+
+  _renderCounter(side, type, quantity) {
+    const def = this.unitDefs?.[type];
+    return `
+      <div class="bc-unit-row ${quantity > 0 ? 'active' : ''}">
+        <span class="bc-unit-name" title="Attack ${def?.attack ?? 0} / Defense ${def?.defense ?? 0} / Cost ${def?.cost ?? 0}">${def?.name || type}</span>
+        <button class="bc-qty" data-action="qty" data-side="${side}" data-unit="${type}" data-delta="-1" ${quantity === 0 ? 'disabled' : ''}>−</button>
+        <span class="bc-qty-value">${quantity}</span>
+        <button class="bc-qty" data-action="qty" data-side="${side}" data-unit="${type}" data-delta="1">+</button>
+      </div>`;
+  }
+
+  _renderResults() {
+    const r = this.result;
+    if (!r) return '<div class="bc-hint">Set up both sides and press Run.</div>';
+    if (r.error) return `<div class="bc-hint">${r.error}</div>`;
+
+    const pct = x => `${Math.round(x * 1000) / 10}%`;
+    const survivors = counts => {
+      const entries = Object.entries(counts).filter(([, q]) => q >= 0.05);
+      if (entries.length === 0) return '<span class="bc-none">none</span>';
+      return entries.map(([type, q]) => `${this.unitDefs?.[type]?.name || type} ${q.toFixed(1)}`).join(', ');
+    };
+    const swing = r.ipcSwing;
+
+    return `
+      <div class="bc-bar">
+        <div class="bc-bar-fill attacker" style="width: ${r.attackerWin * 100}%"></div>
+        <div class="bc-bar-fill draw" style="width: ${r.draw * 100}%"></div>
+        <div class="bc-bar-fill defender" style="width: ${r.defenderWin * 100}%"></div>
+      </div>
+      <div class="bc-odds">
+        <span class="attacker">Attacker wins ${pct(r.attackerWin)}</span>
+        ${r.draw > 0 ? `<span class="draw">Draw ${pct(r.draw)}</span>` : ''}
+        <span class="defender">Defender holds ${pct(r.defenderWin)}</span>
+      </div>
+      <table class="bc-stats">
+        ${r.capture !== null ? `<tr><td>Territory taken</td><td>${pct(r.capture)}</td></tr>` : ''}
+        <tr><td>Attacker survivors</td><td>${survivors(r.attackerSurvivors)}</td></tr>
+        <tr><td>Defender survivors</td><td>${survivors(r.defenderSurvivors)}</td></tr>
+        <tr><td>IPCs lost (attacker / defender)</td><td>${r.attackerIpcLoss.toFixed(1)} / ${r.defenderIpcLoss.toFixed(1)}</td></tr>
+        <tr><td>IPC swing</td><td class="${swing >= 0 ? 'good' : 'bad'}">${swing >= 0 ? '+' : ''}${swing.toFixed(1)} for the attacker</td></tr>
+        <tr><td>Average length</td><td>${r.rounds.toFixed(1)} rounds</td></tr>
+      </table>
+      <div class="bc-footnote">${r.trials.toLocaleString()} battles fought to the end: no retreats, cheapest casualties first.</div>
+    `;
+  }
+}
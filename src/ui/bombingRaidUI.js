@@ -0,0 +1,183 @@
+// Bombing Raid UI - Popup for resolving strategic bombing raids (SPEC §6.4)
+// Shown by CombatUI at the start of the combat phase, one raid at a time,
+// before regular battles.
+
+import { getUnitIconPath } from '../utils/unitIcons.js';
+
+export class BombingRaidUI {
+  constructor() {
+    this.gameState = null;
+    this.unitDefs = null;
+    this.actionLog = null;
+    this.onDone = null;
+
+    this.targetTerritory = null;
+    this.raidResult = null;
+    this.phase = 'ready'; // 'ready', 'result'
+
+    this._create();
+  }
+
+  _create() {
+    this.el = document.createElement('div');
+    this.el.id = 'bombingRaidPopup';
+    this.el.className = 'rocket-popup bombing-raid-popup hidden';
+    document.body.appendChild(this.el);
+  }
+
+  setGameState(gameState) {
+    this.gameState = gameState;
+  }
+
+  setUnitDefs(unitDefs) {
+    this.unitDefs = unitDefs;
+  }
+
+  setActionLog(actionLog) {
+    this.actionLog = actionLog;
+  }
+
+  // Show the raid on `targetTerritory`; `onDone` runs after Continue.
+  show(targetTerritory, onDone = null) {
+    this.targetTerritory = targetTerritory;
+    this.onDone = onDone;
+    this.raidResult = null;
+    this.phase = 'ready';
+
+    this._render();
+    this.el.classList.remove('hidden');
+  }
+
+  hide() {
+    this.el.classList.add('hidden');
+    this.targetTerritory = null;
+    this.raidResult = null;
+
+    const onDone = this.onDone;
+    this.onDone = null;
+    if (onDone) onDone();
+  }
+
+  _resolve() {
+    const result = this.gameState.resolveBombingRaid(this.targetTerritory, this.unitDefs);
+    this.raidResult = result;
+    this.phase = 'result';
+
+    if (result?.success && this.actionLog) {
+      this.actionLog.logBombingRaid(
+        result.territory,
+        this.gameState.getPlayer(result.attacker),
+        this.gameState.getPlayer(result.defender),
+        result,
+      );
+    }
+    this._render();
+  }
+
+  _render() {
+    if (!this.gameState) return;
+
+    const player = this.gameState.currentPlayer;
+    if (!player) return;
+
+    const raid = this.gameState.getPendingBombingRaids().find(r => r.target === this.targetTerritory);
+    const defender = raid?.defender || this.raidResult?.defender || this.gameState.getOwner(this.targetTerritory);
+    const defenderPlayer = this.gameState.getPlayer(defender);
+    const bombers = raid
+      ? Object.values(raid.origins).reduce((sum, n) => sum + n, 0)
+      : (this.raidResult?.bombers || 0);
+    const production = this.gameState.territoryByName?.[this.targetTerritory]?.production || 0;
+
+    this.el.innerHTML = `
+      <div class="rocket-header" style="border-left: 5px solid ${player.color}">
+        <div class="rocket-title">
+          <span class="rocket-icon">💣</span>
+          Strategic Bombing Raid
+        </div>
+      </div>
+
+      <div class="rocket-content">
+        <div class="rocket-battle-display">
+          <div class="rocket-attacker">
+            <div class="rocket-side-label">Bombers</div>
+            <div class="rocket-side-territory">${bombers}</div>
+            <img src="${getUnitIconPath('bomber', player.id)}" class="rocket-battle-icon" alt="Bomber">
+          </div>
+
+          <div class="rocket-arrow ${this.phase === 'result' ? 'hit' : ''}">
+            <span class="rocket-projectile">${this.phase === 'result' ? '💥' : '✈'}</span>
+          </div>
+
+          <div class="rocket-target">
+            <div class="rocket-side-label">Target</div>
+            <div class="rocket-side-territory">${this.targetTerritory}</div>
+            <img src="${getUnitIconPath('factory', defender)}" class="rocket-battle-icon" alt="Factory">
+          </div>
+        </div>
+
+        ${this.phase === 'ready' ? `
+          <div class="rocket-instructions">
+            Defending AA fires first (hits on 1). Each surviving bomber rolls for
+            damage; ${defenderPlayer?.name || defender} loses up to ${production} IPCs
+            (the territory's production).
+          </div>
+        ` : this._renderResult(defenderPlayer, defender)}
+      </div>
+
+      <div class="rocket-actions">
+        ${this.phase === 'ready'
+          ? '<button class="rocket-btn primary" data-action="resolve">Launch Raid</button>'
+          : '<button class="rocket-btn primary" data-action="close">Continue</button>'}
+      </div>
+    `;
+    this._bindEvents();
+  }
+
+  _renderResult(defenderPlayer, defender) {
+    const result = this.raidResult;
+    if (!result?.success) {
+      return `<div class="rocket-error">${result?.error || 'Bombing raid failed'}</div>`;
+    }
+
+    const dice = (rolls) => rolls
+      .map(r => (typeof r === 'number'
+        ? `<span class="rocket-dice-value bombing-raid-die">${r}</span>`
+        : `<span class="rocket-dice-value bombing-raid-die ${r.hit ? '' : 'miss'}">${r.roll}</span>`))
+      .join('');
+
+    return `
+      <div class="rocket-result-section">
+        ${result.hasAA ? `
+          <div class="rocket-dice-section">
+            <div class="rocket-dice-label">AA Fire (${result.aaHits} shot down)</div>
+            <div class="rocket-dice result">${dice(result.aaRolls) || '—'}</div>
+          </div>
+        ` : ''}
+
+        <div class="rocket-dice-section">
+          <div class="rocket-dice-label">Bomb Damage (${result.survivors} bomber${result.survivors === 1 ? '' : 's'})</div>
+          <div class="rocket-dice result">${dice(result.bombRolls) || '—'}</div>
+        </div>
+
+        <div class="rocket-damage-display">
+          <div class="rocket-damage-icon">💰</div>
+          <div class="rocket-damage-text">
+            <span class="rocket-damage-amount">-${result.damage} IPCs</span>
+            <span class="rocket-damage-target">${defenderPlayer?.name || defender}</span>
+          </div>
+        </div>
+
+        ${result.damage < result.rawDamage ? `
+          <div class="rocket-damage-note">
+            (${result.rawDamage} rolled, capped at production ${result.production} / IPCs on hand)
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  _bindEvents() {
+    this.el.querySelector('[data-action="resolve"]')?.addEventListener('click', () => this._resolve());
+    this.el.querySelector('[data-action="close"]')?.addEventListener('click', () => this.hide());
+  }
+}
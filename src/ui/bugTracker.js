@@ -129,7 +129,8 @@ export class BugTracker {
                   <div class="bug-report-context">
                     Phase: ${r.gameStateSnapshot?.phase || 'N/A'}/${r.gamePhase || 'N/A'} |
                     Player: ${r.currentPlayer || 'N/A'}${r.gameStateSnapshot?.aiPlayer ? ' (AI)' : ''} |
-                    Round: ${r.round || 'N/A'}
+                    Round: ${r.round || 'N/A'}${r.gameStateSnapshot?.diceSeed != null ? ` |
+                    Dice: seed ${r.gameStateSnapshot.diceSeed} @ ${r.gameStateSnapshot.diceCursor}` : ''}
                   </div>
                   ${r.gameStateSnapshot?.combatQueue ? `
                     <div class="bug-report-combat">
@@ -265,7 +266,14 @@ export class BugTracker {
       currentPlayerIndex: this.gameState.currentPlayerIndex,
       playerCount: this.gameState.players?.length || 0,
       pendingPurchasesCount: this.gameState.pendingPurchases?.length || 0,
+      // Seeded games: seed + cursor + recent rolls let the dice be replayed
+      diceSeed: this.gameState.diceSeed ?? null,
+      diceCursor: this.gameState.diceCursor || 0,
     };
+    if (this.gameState.diceSeed !== null && this.gameState.diceSeed !== undefined) {
+      snapshot.recentRolls = (this.gameState.getRollLog?.() || []).slice(-60)
+        .map(r => ({ context: r.context, roll: r.roll, cursor: r.cursor }));
+    }
 
     // Combat-specific debugging
     if (this.gameState.combatQueue && this.gameState.combatQueue.length > 0) {
@@ -2,6 +2,20 @@
 
 import { getUnitIconPath } from '../utils/unitIcons.js';
 import { setShellFlag } from './mobileShell.js';
+import { getSoundManager } from '../audio/sound.js';
+import {
+  rollD6,
+  getCombatTechs,
+  getSubmarineFirstStrike,
+  planBombardment,
+  fireBombardment,
+  rollAAFire,
+  rollSubmarineFirstStrike,
+  rollCombatDice,
+  selectCheapestCasualties,
+  selectCheapestAircraftCasualties,
+  selectCasualtiesWithSubHits,
+} from '../state/combatEngine.js';
 
 // Readable AA result step (UI only). Rules unchanged: 1 die per attacking
 // aircraft, hit on 1, cheapest aircraft first, no attacker choice.
@@ -32,6 +46,7 @@ export class CombatUI {
     this.onCombatComplete = null;
     this.onCombatStart = null; // Callback when a combat starts (for camera centering)
     this.onAirLandingRequired = null; // Callback when air landing phase starts
+    this.bombingRaidUI = null; // Raids resolve through their own popup, ahead of battles
 
     this.currentTerritory = null;
     this.combatState = null; // { attackers, defenders, phase, pendingCasualties }
@@ -78,11 +93,30 @@ export class CombatUI {
     this.actionLog = actionLog;
   }
 
+  setBombingRaidUI(bombingRaidUI) {
+    this.bombingRaidUI = bombingRaidUI;
+  }
+
   hasCombats() {
-    return this.gameState && this.gameState.combatQueue.length > 0;
+    return !!this.gameState && (this.gameState.combatQueue.length > 0 || this._hasPendingRaids());
+  }
+
+  _hasPendingRaids() {
+    return !!this.bombingRaidUI && !!this.gameState?.hasPendingBombingRaids?.();
   }
 
   showNextCombat() {
+    // Strategic bombing raids resolve before regular battles (SPEC §6.4).
+    if (this._hasPendingRaids()) {
+      const raid = this.gameState.getPendingBombingRaids()[0];
+      this.hide();
+      this.bombingRaidUI.show(raid.target, () => this._nextCombat());
+      if (this.onCombatStart) {
+        this.onCombatStart(raid.target);
+      }
+      return { shown: true, skipped: [] };
+    }
+
     const skipped = this._dequeueResolvedCombatHeads();
     if (!this.hasCombats()) {
       this.hide();
@@ -192,16 +226,12 @@ export class CombatUI {
       return def && def.isAir;
     });
 
-    // A&A Submarine Rules: Check for submarines and destroyers
-    // IMPORTANT: Must check quantity > 0 to ensure units are actually present, not just empty entries
-    const attackerSubs = attackers.filter(u => u.type === 'submarine' && u.quantity > 0);
-    const defenderSubs = defenders.filter(u => u.type === 'submarine' && u.quantity > 0);
-    const attackerHasDestroyer = attackers.some(u => u.type === 'destroyer' && u.quantity > 0);
-    const defenderHasDestroyer = defenders.some(u => u.type === 'destroyer' && u.quantity > 0);
-    // Submarines have first strike if opposing side has no destroyer
-    const attackerSubsHaveFirstStrike = attackerSubs.length > 0 && !defenderHasDestroyer;
-    const defenderSubsHaveFirstStrike = defenderSubs.length > 0 && !attackerHasDestroyer;
-    const hasSubmarineFirstStrike = attackerSubsHaveFirstStrike || defenderSubsHaveFirstStrike;
+    // A&A Submarine Rules: subs have first strike if the opposing side has no destroyer
+    const {
+      attackerSubsHaveFirstStrike,
+      defenderSubsHaveFirstStrike,
+      hasSubmarineFirstStrike,
+    } = getSubmarineFirstStrike(attackers, defenders);
 
     // Calculate shore bombardment for amphibious assaults
     const bombardmentResult = this._calculateBombardment();
@@ -222,8 +252,8 @@ export class CombatUI {
       defenders.filter(u => u.type !== 'aaGun').every(u => this.unitDefs[u.type]?.isAir);
 
     // Track submerged submarines (they exit combat but stay in the zone)
-    const attackerSubsCanSubmerge = attackerSubs.length > 0 && !defenderHasDestroyer;
-    const defenderSubsCanSubmerge = defenderSubs.length > 0 && !attackerHasDestroyer;
+    const attackerSubsCanSubmerge = attackerSubsHaveFirstStrike;
+    const defenderSubsCanSubmerge = defenderSubsHaveFirstStrike;
 
     this.combatState = {
       attackers,
@@ -270,72 +300,24 @@ export class CombatUI {
     this.lastRolls = null;
   }
 
+  // Dice for this battle. Routed through GameState._rollDie when available so
+  // popup battles share the roll log (and any seeding) with headless combat.
+  _rollDie(context) {
+    return typeof this.gameState?._rollDie === 'function'
+      ? this.gameState._rollDie(context)
+      : rollD6();
+  }
+
   _calculateBombardment() {
-    // Calculate shore bombardment from ships in adjacent sea zones
     // A&A Rule: Shore bombardment ONLY occurs during amphibious assaults (units from transports)
     const player = this.gameState.currentPlayer;
-    const territory = this.currentTerritory;
-    const hits = [];
-    const rolls = [];
-
-    // Check if this is a land territory
-    const t = this.gameState.territoryByName[territory];
-    if (!t || t.isWater) return { hits: 0, rolls: [] };
-
-    // Shore bombardment only allowed when units are amphibiously assaulting (came from transports)
-    if (!this.gameState.hasAmphibiousAssault(territory)) {
-      return { hits: 0, rolls: [] };
-    }
-
-    // Find adjacent sea zones with friendly ships that can bombard
-    const connections = t.connections || [];
-    for (const connName of connections) {
-      const connT = this.gameState.territoryByName[connName];
-      if (!connT?.isWater) continue;
-
-      // A&A Anniversary Rule: Check if sea zone is cleared (no enemy naval units)
-      // Shore bombardment only allowed from sea zones where naval battle was already won
-      // or there were no enemy naval units to begin with
-      if (!this.gameState.isSeaZoneClearedForBombardment(connName)) {
-        continue; // Cannot bombard from contested sea zones
-      }
-
-      // Check for friendly ships that can bombard
-      const seaUnits = this.gameState.units[connName] || [];
-      for (const unit of seaUnits) {
-        if (unit.owner !== player.id) continue;
-
-        const def = this.unitDefs[unit.type];
-        if (!def?.isSea) continue;
-
-        // Ships that can bombard: battleships (attack 4) and cruisers (attack 3)
-        if (unit.type === 'battleship' || unit.type === 'cruiser') {
-          for (let i = 0; i < unit.quantity; i++) {
-            rolls.push({
-              unit: unit.type,
-              source: connName,
-              attackValue: def.attack,
-              roll: null,  // Will be set when fired
-              hit: null
-            });
-          }
-        }
-      }
-    }
-
+    const rolls = planBombardment(this.gameState, this.currentTerritory, player.id, this.unitDefs);
     return { hits: 0, rolls };
   }
 
   _fireBombardment() {
     const { bombardmentRolls } = this.combatState;
-    let hits = 0;
-
-    // Roll for each bombarding ship
-    for (const roll of bombardmentRolls) {
-      roll.roll = Math.floor(Math.random() * 6) + 1;
-      roll.hit = roll.roll <= roll.attackValue;
-      if (roll.hit) hits++;
-    }
+    const hits = fireBombardment(bombardmentRolls, (context) => this._rollDie(context));
 
     this.combatState.bombardmentHits = hits;
     this.combatState.bombardmentFired = true;
@@ -391,23 +373,11 @@ export class CombatUI {
   _rollAAFire() {
     const { attackers } = this.combatState;
 
-    // Count attacking aircraft
-    const attackingAir = attackers.filter(u => {
-      const def = this.unitDefs[u.type];
-      return def && def.isAir;
-    });
-
-    const totalAircraft = attackingAir.reduce((sum, u) => sum + u.quantity, 0);
-
     // Roll 1 die per aircraft, hits on 1
-    const rolls = [];
-    let hits = 0;
-    for (let i = 0; i < totalAircraft; i++) {
-      const roll = Math.floor(Math.random() * 6) + 1;
-      const hit = roll === 1;
-      rolls.push({ roll, hit });
-      if (hit) hits++;
-    }
+    const { rolls, hits } = rollAAFire(attackers, {
+      unitDefs: this.unitDefs,
+      rollDie: (context) => this._rollDie(context),
+    });
 
     this.combatState.aaResults = { rolls, hits };
     this.combatState.aaFired = true;
@@ -549,13 +519,12 @@ export class CombatUI {
       const activeSubs = totalAttackerSubs - (attackerSubmergedSubs || 0);
 
       // Roll for active (non-submerged) subs only
-      for (let i = 0; i < activeSubs; i++) {
-        const def = this.unitDefs['submarine'];
-        const roll = Math.floor(Math.random() * 6) + 1;
-        const hit = roll <= def.attack;
-        subFirstStrikeRolls.push({ roll, hit, unitType: 'submarine', side: 'attacker' });
-        if (hit) attackerSubHits++;
-      }
+      const strike = rollSubmarineFirstStrike(activeSubs, 'attacker', {
+        unitDefs: this.unitDefs,
+        rollDie: (context) => this._rollDie(context),
+      });
+      subFirstStrikeRolls.push(...strike.rolls);
+      attackerSubHits = strike.hits;
 
       // Remove submerged subs from combat (they stay in the zone but exit battle)
       if (attackerSubmergedSubs > 0) {
@@ -571,13 +540,12 @@ export class CombatUI {
       const activeSubs = totalDefenderSubs - (defenderSubmergedSubs || 0);
 
       // Roll for active (non-submerged) subs only
-      for (let i = 0; i < activeSubs; i++) {
-        const def = this.unitDefs['submarine'];
-        const roll = Math.floor(Math.random() * 6) + 1;
-        const hit = roll <= def.defense;
-        subFirstStrikeRolls.push({ roll, hit, unitType: 'submarine', side: 'defender' });
-        if (hit) defenderSubHits++;
-      }
+      const strike = rollSubmarineFirstStrike(activeSubs, 'defender', {
+        unitDefs: this.unitDefs,
+        rollDie: (context) => this._rollDie(context),
+      });
+      subFirstStrikeRolls.push(...strike.rolls);
+      defenderSubHits = strike.hits;
 
       // Remove submerged subs from combat (they stay in the zone but exit battle)
       if (defenderSubmergedSubs > 0) {
@@ -692,26 +660,7 @@ export class CombatUI {
   }
 
   _selectCheapestAircraftCasualties(units, count) {
-    const airUnits = units.filter(u => {
-      const def = this.unitDefs[u.type];
-      return def && def.isAir && u.quantity > 0;
-    }).sort((a, b) => {
-      const costA = this.unitDefs[a.type]?.cost || 999;
-      const costB = this.unitDefs[b.type]?.cost || 999;
-      return costA - costB;
-    });
-
-    const selected = {};
-    let remaining = count;
-
-    for (const unit of airUnits) {
-      if (remaining <= 0) break;
-      const take = Math.min(unit.quantity, remaining);
-      selected[unit.type] = take;
-      remaining -= take;
-    }
-
-    return selected;
+    return selectCheapestAircraftCasualties(units, count, this.unitDefs);
   }
 
   _calculateProbability() {
@@ -757,84 +706,28 @@ export class CombatUI {
     const { attackers, defenders } = this.combatState;
     const attackerId = this.gameState.currentPlayer?.id;
     const defenderId = defenders[0]?.owner;
+    const rollDie = (context) => this._rollDie(context);
 
-    // Roll for attackers
-    const attackRolls = [];
-    let attackHits = 0;
-
-    // Artillery support: Count artillery for infantry bonus (1:1 ratio)
-    const artilleryCount = attackers.filter(u => u.type === 'artillery')
-      .reduce((sum, u) => sum + u.quantity, 0);
-    let supportedInfantry = artilleryCount; // Number of infantry that get +1 attack
-
-    // Check attacker technologies
-    const hasJets = attackerId && this.gameState.hasTech(attackerId, 'jets');
-    const hasSuperSubs = attackerId && this.gameState.hasTech(attackerId, 'superSubs');
-    const hasHeavyBombers = attackerId && this.gameState.hasTech(attackerId, 'heavyBombers');
-
-    for (const unit of attackers) {
-      const def = this.unitDefs[unit.type];
-      if (!def) continue;
-
-      // Heavy Bombers: Bombers roll 2 dice each
-      const dicePerUnit = (unit.type === 'bomber' && hasHeavyBombers) ? 2 : 1;
-
-      for (let i = 0; i < unit.quantity; i++) {
-        for (let d = 0; d < dicePerUnit; d++) {
-          let attackValue = def.attack;
-
-          // Artillery support: Infantry gets +1 attack when paired with artillery (1:1 ratio)
-          if (unit.type === 'infantry' && supportedInfantry > 0 && d === 0) {
-            attackValue += 1; // Infantry attack 1 -> 2
-            supportedInfantry--;
-          }
-
-          // Jets technology: Fighters +1 attack
-          if (unit.type === 'fighter' && hasJets) {
-            attackValue += 1;
-          }
-
-          // Super Submarines: Submarines +1 attack
-          if (unit.type === 'submarine' && hasSuperSubs) {
-            attackValue += 1;
-          }
-
-          const roll = Math.floor(Math.random() * 6) + 1;
-          const hit = roll <= attackValue;
-          attackRolls.push({ roll, hit, unitType: unit.type, attackValue });
-          if (hit) attackHits++;
-        }
-      }
-    }
-
-    // Roll for defenders
-    const defenseRolls = [];
-    let defenseHits = 0;
-
-    // Check defender technologies
-    const defenderHasJets = defenderId && this.gameState.hasTech(defenderId, 'jets');
-
-    for (const unit of defenders) {
-      const def = this.unitDefs[unit.type];
-      if (!def) continue;
-      for (let i = 0; i < unit.quantity; i++) {
-        let defenseValue = def.defense;
+    // Artillery support, Jets, Super Subs and Heavy Bombers (combatEngine.js)
+    const attack = rollCombatDice(attackers, 'attack', {
+      unitDefs: this.unitDefs,
+      techs: getCombatTechs(this.gameState, attackerId),
+      rollDie,
+    });
+    const defense = rollCombatDice(defenders, 'defense', {
+      unitDefs: this.unitDefs,
+      techs: getCombatTechs(this.gameState, defenderId),
+      rollDie,
+    });
 
-        // Jets technology: Fighters +1 defense
-        if (unit.type === 'fighter' && defenderHasJets) {
-          defenseValue += 1;
-        }
-
-        const roll = Math.floor(Math.random() * 6) + 1;
-        const hit = roll <= defenseValue;
-        defenseRolls.push({ roll, hit, unitType: unit.type, defenseValue });
-        if (hit) defenseHits++;
-      }
-    }
+    const attackRolls = attack.rolls;
+    const defenseRolls = defense.rolls;
+    const attackHits = attack.hits;
+    const defenseHits = defense.hits;
 
     // Track submarine hits separately (subs can only hit sea units, not air)
-    const attackerSubHits = attackRolls.filter(r => r.unitType === 'submarine' && r.hit).length;
-    const defenderSubHits = defenseRolls.filter(r => r.unitType === 'submarine' && r.hit).length;
+    const attackerSubHits = attack.subHits;
+    const defenderSubHits = defense.subHits;
 
     // Store sub hits for casualty selection (defender takes attacker sub hits, etc.)
     this.combatState.attackerSubHits = attackerSubHits;
@@ -847,6 +740,7 @@ export class CombatUI {
   async _animateDiceRoll() {
     this.combatState.phase = 'rolling';
     this._render();
+    getSoundManager().play('dice');
 
     // Animate dice for 0.5 seconds (faster animation)
     const duration = 500;
@@ -927,109 +821,13 @@ export class CombatUI {
 
   // Select casualties accounting for submarine hits (which can't hit air)
   _selectCasualtiesWithSubHits(units, totalHits, subHits) {
-    if (subHits === 0 || totalHits === 0) {
-      return this._selectCheapestCasualties(units, totalHits);
-    }
-
-    // First, assign submarine hits to non-air sea units only
-    const seaUnits = units.filter(u => {
-      const def = this.unitDefs[u.type];
-      return def && def.isSea && !def.isAir && u.quantity > 0;
-    });
-
-    const subCasualties = this._selectCheapestCasualties(seaUnits, subHits);
-
-    // Calculate remaining non-sub hits
-    const nonSubHits = totalHits - subHits;
-    if (nonSubHits <= 0) {
-      return subCasualties;
-    }
-
-    // For remaining hits, select from all units (including air)
-    // But account for units already selected as sub casualties
-    const remainingUnits = units.map(u => {
-      const alreadyTaken = subCasualties[u.type] || 0;
-      return { ...u, quantity: u.quantity - alreadyTaken };
-    }).filter(u => u.quantity > 0);
-
-    const nonSubCasualties = this._selectCheapestCasualties(remainingUnits, nonSubHits);
-
-    // Merge the two selections
-    const merged = { ...subCasualties };
-    for (const [type, count] of Object.entries(nonSubCasualties)) {
-      merged[type] = (merged[type] || 0) + count;
-    }
-
-    return merged;
+    return selectCasualtiesWithSubHits(units, totalHits, subHits, this.unitDefs);
   }
 
+  // Cheapest first, then battleship damage; transports and factories are
+  // never picked (see combatEngine.js)
   _selectCheapestCasualties(units, count) {
-    // A&A Anniversary Rule: Transports are defenseless and cannot be taken as casualties
-    // They are automatically destroyed when all other combat units are eliminated
-    // Factories are captured, not destroyed - exclude from casualties
-    // Default casualty priority: cheapest units first, then battleship damage (which is free)
-    const selected = {};
-    let remaining = count;
-
-    // Get battleships for later
-    const battleships = units.filter(u => u.type === 'battleship' && u.quantity > 0);
-
-    // First, destroy cheapest units by IPC cost (excluding battleships, transports, factories)
-    const sorted = [...units]
-      .filter(u => u.quantity > 0 && u.type !== 'transport' && u.type !== 'factory' && u.type !== 'battleship')
-      .sort((a, b) => {
-        const costA = this.unitDefs[a.type]?.cost || 999;
-        const costB = this.unitDefs[b.type]?.cost || 999;
-        return costA - costB;
-      });
-
-    for (const unit of sorted) {
-      if (remaining <= 0) break;
-      const take = Math.min(unit.quantity, remaining);
-      selected[unit.type] = take;
-      remaining -= take;
-    }
-
-    // Then, damage undamaged battleships (2-hit system - this absorbs hits for free)
-    for (const battleship of battleships) {
-      if (remaining <= 0) break;
-      const def = this.unitDefs[battleship.type];
-      if (def?.hp > 1) {
-        // Count undamaged battleships
-        const undamaged = battleship.quantity - (battleship.damagedCount || 0);
-        if (undamaged > 0) {
-          const toDamage = Math.min(undamaged, remaining);
-          selected['battleship_damage'] = (selected['battleship_damage'] || 0) + toDamage;
-          remaining -= toDamage;
-        }
-      }
-    }
-
-    // Then, destroy damaged battleships
-    for (const battleship of battleships) {
-      if (remaining <= 0) break;
-      const damagedCount = battleship.damagedCount || 0;
-      if (damagedCount > 0) {
-        const toDestroy = Math.min(damagedCount, remaining);
-        selected['battleship'] = (selected['battleship'] || 0) + toDestroy;
-        remaining -= toDestroy;
-      }
-    }
-
-    // Finally, destroy remaining undamaged battleships if still hits left
-    if (remaining > 0) {
-      for (const battleship of battleships) {
-        if (remaining <= 0) break;
-        const undamaged = battleship.quantity - (battleship.damagedCount || 0) - (selected['battleship_damage'] || 0);
-        if (undamaged > 0) {
-          const toDestroy = Math.min(undamaged, remaining);
-          selected['battleship'] = (selected['battleship'] || 0) + toDestroy;
-          remaining -= toDestroy;
-        }
-      }
-    }
-
-    return selected;
+    return selectCheapestCasualties(units, count, this.unitDefs);
   }
 
   _getTotalSelectedCasualties(selected) {
@@ -1459,16 +1257,6 @@ export class CombatUI {
 
     this.gameState.units[this.currentTerritory] = units;
 
-    // Log combat result
-    this.gameState.logCombat({
-      territory: this.currentTerritory,
-      attacker: player.name,
-      defender: defenderPlayer?.name || 'Unknown',
-      winner: this.combatState.winner,
-      attackerSurvivors: this._getTotalUnits(this.combatState.attackers),
-      defenderSurvivors: this._getTotalUnits(this.combatState.defenders),
-    });
-
     // Update territory ownership if attacker won AND has land units
     // Air units cannot capture territory - only land units can
     if (this.combatState.winner === 'attacker') {
@@ -1500,6 +1288,16 @@ export class CombatUI {
       }
     }
 
+    // Log combat result (after any capture, so the replay event includes it)
+    this.gameState.logCombat({
+      territory: this.currentTerritory,
+      attacker: player.name,
+      defender: defenderPlayer?.name || 'Unknown',
+      winner: this.combatState.winner,
+      attackerSurvivors: this._getTotalUnits(this.combatState.attackers),
+      defenderSurvivors: this._getTotalUnits(this.combatState.defenders),
+    });
+
     // Remove from combat queue
     this.gameState.combatQueue = this.gameState.combatQueue.filter(t => t !== this.currentTerritory);
 
@@ -0,0 +1,122 @@
+// Command palette (Ctrl+K): type "buy 3 infantry", "go to Germany" or
+// "end phase" and press Enter. Suggestions follow the typing; ↑/↓ pick one.
+// main.js runs the parsed command through the same handlers as the buttons.
+
+import { parseCommand, suggestCommands } from '../input/commands.js';
+
+export class CommandPalette {
+  constructor() {
+    this.onRun = null;
+    this.contextProvider = () => ({});
+    this.suggestions = [];
+    this.selected = 0;
+    this._create();
+  }
+
+  _create() {
+    this.el = document.createElement('div');
+    this.el.id = 'command-palette';
+    this.el.className = 'command-palette hidden';
+    this.el.innerHTML = `
+      <div class="command-palette-box">
+        <input class="command-palette-input" type="text" placeholder="buy 3 infantry · go to Germany · end phase" autocomplete="off" spellcheck="false">
+        <div class="command-palette-error" hidden></div>
+        <ul class="command-palette-list"></ul>
+      </div>
+    `;
+    document.body.appendChild(this.el);
+    this.input = this.el.querySelector('.command-palette-input');
+    this.list = this.el.querySelector('.command-palette-list');
+    this.errorEl = this.el.querySelector('.command-palette-error');
+
+    this.input.addEventListener('input', () => {
+      this.selected = 0;
+      this._refresh();
+    });
+
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const count = this.suggestions.length;
+        if (count) this.selected = (this.selected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        this._renderList();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this._run(this.suggestions[this.selected]?.text ?? this.input.value);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.hide();
+      }
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-index]');
+      if (item) this._run(this.suggestions[Number(item.dataset.index)].text);
+    });
+
+    // Close on background click
+    this.el.addEventListener('click', (e) => {
+      if (e.target === this.el) this.hide();
+    });
+  }
+
+  // fn(result) with a parseCommand result; return an error message to keep
+  // the palette open and show it
+  setOnRun(fn) {
+    this.onRun = fn;
+  }
+
+  // fn() -> { unitDefs, territories } for parsing and suggestions
+  setContextProvider(fn) {
+    this.contextProvider = fn;
+  }
+
+  get isOpen() {
+    return !this.el.classList.contains('hidden');
+  }
+
+  show() {
+    this.el.classList.remove('hidden');
+    this.input.value = '';
+    this.selected = 0;
+    this._refresh();
+    this.input.focus();
+  }
+
+  hide() {
+    this.el.classList.add('hidden');
+    this.input.blur();
+  }
+
+  toggle() {
+    if (this.isOpen) this.hide();
+    else this.show();
+  }
+
+  _run(text) {
+    const result = parseCommand(text, this.contextProvider());
+    const error = result.error || this.onRun?.(result);
+    if (error) {
+      this._showError(error);
+      return;
+    }
+    this.hide();
+  }
+
+  _showError(message) {
+    this.errorEl.hidden = !message;
+    this.errorEl.textContent = message || '';
+  }
+
+  _refresh() {
+    this._showError(null);
+    this.suggestions = suggestCommands(this.input.value, this.contextProvider());
+    this._renderList();
+  }
+
+  _renderList() {
+    this.list.innerHTML = this.suggestions.map((s, i) => `
+      <li class="command-palette-item ${i === this.selected ? 'active' : ''}" data-index="${i}">${s.label}</li>
+    `).join('');
+  }
+}
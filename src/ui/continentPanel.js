@@ -1,6 +1,6 @@
 // Sidebar panel showing continent bonuses and player stats
 
-import { shouldShowPurchase } from '../state/gameState.js';
+import { shouldShowPurchase, usesRiskRules } from '../state/gameState.js';
 
 export class ContinentPanel {
   constructor(continents) {
@@ -12,6 +12,7 @@ export class ContinentPanel {
     // Persist collapsed state across renders - start all sections minimized
     this.collapsedSections = {
       'player-stats': true,
+      'economic-victory': true,
       'continent-bonuses': true,
       'risk-cards': true
     };
@@ -65,11 +66,14 @@ export class ContinentPanel {
     // Player Stats Section
     html += this._renderPlayerStats();
 
+    // Economic Victory progress (only when the option is on)
+    html += this._renderEconomicVictory();
+
     // Continent Bonuses Section
     html += this._renderContinentBonuses();
 
     // Risk Cards Section (only in Risk mode)
-    if (this.gameState.gameMode === 'risk') {
+    if (usesRiskRules(this.gameState.gameMode)) {
       html += this._renderRiskCards();
     }
 
@@ -113,7 +117,7 @@ export class ContinentPanel {
             <span class="ps-stat" title="IPCs"><span class="ps-icon">💰</span>${ipcs}</span>
             <span class="ps-stat" title="Territories"><span class="ps-icon">🗺️</span>${territories}</span>
             <span class="ps-stat" title="Units"><span class="ps-icon">⚔️</span>${units}</span>
-            ${this.gameState.gameMode === 'risk' ? `<span class="ps-stat" title="Risk Cards"><span class="ps-icon">🃏</span>${riskCards}</span>` : ''}
+            ${usesRiskRules(this.gameState.gameMode) ? `<span class="ps-stat" title="Risk Cards"><span class="ps-icon">🃏</span>${riskCards}</span>` : ''}
           </div>
           ${continentsControlled.length > 0 ? `
             <div class="ps-continents" title="Controlled Continents">
@@ -138,6 +142,50 @@ export class ContinentPanel {
     return html;
   }
 
+  _renderEconomicVictory() {
+    const progress = this.gameState.getEconomicVictoryProgress?.() || [];
+    if (progress.length === 0) return '';
+
+    const isCollapsed = this.collapsedSections['economic-victory'];
+
+    let html = `
+      <div class="info-section economic-victory-section ${isCollapsed ? 'collapsed' : ''}">
+        <div class="info-section-header" data-toggle="economic-victory">
+          <span class="info-section-title">💰 Economic Victory</span>
+          <span class="info-section-toggle">${isCollapsed ? '▶' : '▼'}</span>
+        </div>
+        <div class="info-section-content" id="economic-victory-content">
+          <div class="ev-list">
+    `;
+
+    for (const side of progress) {
+      // Sides are single players in FFA, otherwise colour by the first member
+      const player = this.gameState.getPlayer(side.playerIds[0]);
+      const pct = Math.min(100, Math.round((side.production / side.threshold) * 100));
+
+      html += `
+        <div class="ev-row ${side.reached ? 'reached' : ''}">
+          <div class="ev-info">
+            <span class="ev-name" style="color:${player?.color || '#ccc'}">${side.label}</span>
+            <span class="ev-count">${side.production} / ${side.threshold}</span>
+          </div>
+          <div class="ev-bar">
+            <div class="ev-fill" style="width:${pct}%; background:${player?.color || '#4169e1'}"></div>
+          </div>
+        </div>
+      `;
+    }
+
+    html += `
+          </div>
+          <div class="ev-note">Checked at the end of each round</div>
+        </div>
+      </div>
+    `;
+
+    return html;
+  }
+
   _renderContinentBonuses() {
     const isCollapsed = this.collapsedSections['continent-bonuses'];
 
@@ -1,6 +1,8 @@
 // Unified 3D Dice Animation Component
 // Used for all dice rolls: combat, AA fire, tech research
 
+import { getSoundManager } from '../audio/sound.js';
+
 export class DiceAnimator {
   constructor(container) {
     this.container = container;
@@ -19,6 +21,7 @@ export class DiceAnimator {
     const color = options.color || 'neutral';
 
     this.isAnimating = true;
+    getSoundManager().play('dice');
 
     // Create dice elements
     this._renderAnimatingDice(diceCount, color);
@@ -14,6 +14,7 @@ import { getFirebaseDb } from '../multiplayer/firebase.js';
 import { getAuthManager } from '../multiplayer/auth.js';
 import { getLobbyManager } from '../multiplayer/lobbyManager.js';
 import { leaveGame } from '../multiplayer/surrender.js';
+import { getMatchHistory } from '../multiplayer/matchHistory.js';
 import {
   mergeMyActiveGames,
   shouldAbortMyGamesOnTokenHiccup,
@@ -426,6 +427,10 @@ export class GameList {
         const userId = this.authManager.getUserId();
         const result = await leaveGame(gameId, userId);
         if (result.success) {
+          // Leaving can end the game (last opponent standing)
+          if (result.gameFinished) {
+            await getMatchHistory().recordFinishedGame(gameId, result.state, userId);
+          }
           const remembered = readLastMatch();
           if (remembered?.gameId === gameId) forgetLastMatch();
           await this._loadGames();
@@ -13,6 +13,8 @@ export class HandoffScreen {
   constructor() {
     this.gameState = null;
     this.lastConfirmedPlayerId = null;
+    this.onShow = null;
+    this.onHide = null;
     this.el = document.createElement('div');
     this.el.id = 'handoffScreen';
     this.el.className = 'handoff-overlay hidden';
@@ -28,6 +30,16 @@ export class HandoffScreen {
     this._check();
   }
 
+  // Called as the board is covered (e.g. to put chat away)
+  setOnShow(callback) {
+    this.onShow = callback;
+  }
+
+  // Called as the board is uncovered
+  setOnHide(callback) {
+    this.onHide = callback;
+  }
+
   _isHotseat() {
     const gs = this.gameState;
     if (!gs || gs.isMultiplayer) return false;
@@ -64,6 +76,7 @@ export class HandoffScreen {
     `;
     this.el.classList.remove('hidden');
     setShellFlag('handoff-active', true);
+    this.onShow?.();
 
     this.el.querySelector('.handoff-start-btn').addEventListener('click', () => {
       this.lastConfirmedPlayerId = player.id;
@@ -74,6 +87,7 @@ export class HandoffScreen {
   hide() {
     this.el.classList.add('hidden');
     setShellFlag('handoff-active', false);
+    this.onHide?.();
   }
 
   get isVisible() {
@@ -0,0 +1,57 @@
+// Heatmap legend: which overlay is on, its colour scale and totals, with
+// buttons to switch layers or turn the overlay off. Sits above the minimap.
+
+import { HEATMAP_LAYERS, HEATMAP_LAYER_ORDER, heatmapColor } from '../state/heatmap.js';
+
+export class HeatmapLegend {
+  constructor() {
+    this.onChange = null;
+    this.el = document.createElement('div');
+    this.el.id = 'heatmap-legend';
+    this.el.hidden = true;
+    document.body.appendChild(this.el);
+
+    this.el.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-layer]');
+      if (!btn) return;
+      e.stopPropagation();
+      this.onChange?.(btn.dataset.layer || null);
+    });
+  }
+
+  // fn(layer | null)
+  setOnChange(fn) {
+    this.onChange = fn;
+  }
+
+  // GameState.getHeatmap result, or null to hide
+  show(heatmap) {
+    if (!heatmap) {
+      this.el.hidden = true;
+      this.el.innerHTML = '';
+      return;
+    }
+    const { layer, max, total } = heatmap;
+    const info = HEATMAP_LAYERS[layer];
+    const values = Object.values(heatmap.values);
+    const count = values.length;
+    const summary = !count ? (layer === 'reach' ? 'No targets in reach' : 'Nothing under threat')
+      : layer === 'income' ? `${total} IPCs in ${count} territor${count === 1 ? 'y' : 'ies'}`
+      : `${count} territor${count === 1 ? 'y' : 'ies'}, up to ${max} ${info.unit}`;
+    this.el.hidden = false;
+    this.el.innerHTML = `
+      <div class="heatmap-legend-tabs">
+        ${HEATMAP_LAYER_ORDER.map(id => `
+          <button class="heatmap-legend-tab ${id === layer ? 'active' : ''}" data-layer="${id}">${HEATMAP_LAYERS[id].label}</button>
+        `).join('')}
+        <button class="heatmap-legend-close" data-layer="" title="Hide overlay">✕</button>
+      </div>
+      <div class="heatmap-legend-scale">
+        <span>${count ? Math.min(...values) : 0}</span>
+        <span class="heatmap-legend-ramp" style="background: linear-gradient(to right, ${heatmapColor(layer, 0, max, 0.85)}, ${heatmapColor(layer, max, max, 0.85)})"></span>
+        <span>${max}</span>
+      </div>
+      <div class="heatmap-legend-summary">${summary}</div>
+    `;
+  }
+}
@@ -4,12 +4,18 @@ import { GAME_PHASES, TURN_PHASES, TURN_PHASE_ORDER, TURN_PHASE_NAMES } from '..
 import { possessivePhrase } from '../utils/possessive.js';
 import { isMobileShell, formatMobilePhaseLabel, formatMobilePlayerMeta, readableFactionTextColor } from './mobileShell.js';
 import { resolveHudClarity } from './hudClarity.js';
+import { clockRemainingMs, formatClock } from '../state/turnClock.js';
 
 export class HUD {
   constructor() {
     this.gameState = null;
     this.onNextPhase = null;
     this.onRulesToggle = null;
+    this.onBattleCalculator = null;
+    this.onReplay = null;
+    this.onHeatmap = null;
+    this.onShortcuts = null;
+    this.onSound = null;
     this.onExitToLobby = null;
     this.menuOpen = false;
     this.menuTab = null;
@@ -56,6 +62,26 @@ export class HUD {
     this.onRulesToggle = callback;
   }
 
+  setOnBattleCalculator(callback) {
+    this.onBattleCalculator = callback;
+  }
+
+  setOnReplay(callback) {
+    this.onReplay = callback;
+  }
+
+  setOnHeatmap(callback) {
+    this.onHeatmap = callback;
+  }
+
+  setOnShortcuts(callback) {
+    this.onShortcuts = callback;
+  }
+
+  setOnSound(callback) {
+    this.onSound = callback;
+  }
+
   setOnExitToLobby(callback) {
     this.onExitToLobby = callback;
   }
@@ -101,6 +127,26 @@ export class HUD {
             <span class="hud-menu-item-icon">📖</span>
             <span>Game Rules</span>
           </button>
+          <button class="hud-menu-item" data-action="battle-calculator">
+            <span class="hud-menu-item-icon">🎲</span>
+            <span>Battle Calculator</span>
+          </button>
+          <button class="hud-menu-item" data-action="replay">
+            <span class="hud-menu-item-icon">🎞</span>
+            <span>Replay</span>
+          </button>
+          <button class="hud-menu-item" data-action="heatmap">
+            <span class="hud-menu-item-icon">🌡</span>
+            <span>Threat Map</span>
+          </button>
+          <button class="hud-menu-item" data-action="shortcuts">
+            <span class="hud-menu-item-icon">⌨</span>
+            <span>Keyboard Shortcuts</span>
+          </button>
+          <button class="hud-menu-item" data-action="sound">
+            <span class="hud-menu-item-icon">🔊</span>
+            <span>Sound</span>
+          </button>
           <button class="hud-menu-item" data-action="exit-lobby">
             <span class="hud-menu-item-icon">💾</span>
             <span>Save & Exit</span>
@@ -125,14 +171,16 @@ export class HUD {
               <span class="hud-player-name" style="color: ${player.color}">${possessivePhrase(player.name, 'Turn')}</span>
               <span class="hud-phase-name">${this._getPhaseName(phase)}</span>
             </div>
+            ${this._renderTurnClock()}
           </div>`;
 
         // Turn phase progress (during PLAYING)
         if (phase === GAME_PHASES.PLAYING) {
           const currentIndex = TURN_PHASE_ORDER.indexOf(this.gameState.turnPhase);
+          const roundLimit = this.gameState.capitalVictory?.roundLimit;
           html += `
             <div class="hud-phase-progress">
-              <span class="hud-round-badge">Round ${this.gameState.round}</span>
+              <span class="hud-round-badge"${roundLimit ? ' title="Highest income wins after the last round"' : ''}>Round ${this.gameState.round}${roundLimit ? `/${roundLimit}` : ''}</span>
               <div class="phase-dots">
                 ${TURN_PHASE_ORDER.map((tp, i) => {
                   const isActive = i === currentIndex;
@@ -169,9 +217,12 @@ export class HUD {
       }
     }
 
-    // Player legend - compact, shows turn order only (detailed stats in Players tab)
+    // Player legend - compact, shows turn order only (detailed stats in Players tab).
+    // FFA adds each player's capital tally against the capitals needed to win.
     html += `<div class="hud-legend">`;
     if (this.gameState && this.gameState.players.length > 0) {
+      const capitalStatus = this.gameState.getCapitalVictoryStatus?.();
+      const showCapitals = capitalStatus && capitalStatus.total > 0;
       for (const p of this.gameState.players) {
         const isActive = this.gameState.currentPlayer?.id === p.id;
         let itemClass = isActive ? ' active' : '';
@@ -182,6 +233,9 @@ export class HUD {
           <span class="legend-item${itemClass}" ${p.surrendered ? 'title="Surrendered"' : ''}>
             ${flagSrc ? `<img src="${flagSrc}" class="legend-flag" alt="${p.name}">` : `<span class="legend-dot" style="background:${p.color}"></span>`}
             <span class="legend-name">${p.name}</span>${p.surrendered ? '<span class="legend-out">OUT</span>' : ''}
+            ${showCapitals && !p.surrendered ? `
+              <span class="legend-capitals" title="Capitals held (${capitalStatus.required} of ${capitalStatus.total} to win)">🏛${capitalStatus.tally[p.id]}/${capitalStatus.required}</span>
+            ` : ''}
           </span>`;
       }
     }
@@ -213,6 +267,7 @@ export class HUD {
           <span class="hud-mobile-faction" style="color:${readableFactionTextColor(player.color)}">${player.name}</span>
           <span class="hud-mobile-sep" aria-hidden="true">·</span>
           <span class="hud-mobile-phase">${phaseName}</span>
+          ${this._renderTurnClock()}
         </div>`;
     }
 
@@ -275,6 +330,22 @@ export class HUD {
               <span class="hud-menu-item-icon">📖</span>
               <span>Game Rules</span>
             </button>
+            <button class="phone-menu-row" data-action="battle-calculator">
+              <span class="hud-menu-item-icon">🎲</span>
+              <span>Battle Calculator</span>
+            </button>
+            <button class="phone-menu-row" data-action="replay">
+              <span class="hud-menu-item-icon">🎞</span>
+              <span>Replay</span>
+            </button>
+            <button class="phone-menu-row" data-action="heatmap">
+              <span class="hud-menu-item-icon">🌡</span>
+              <span>Threat Map</span>
+            </button>
+            <button class="phone-menu-row" data-action="sound">
+              <span class="hud-menu-item-icon">🔊</span>
+              <span>Sound</span>
+            </button>
             <button class="phone-menu-row" data-action="exit-lobby">
               <span class="hud-menu-item-icon">💾</span>
               <span>Save & Exit</span>
@@ -288,6 +359,29 @@ export class HUD {
     this._renderClarity();
   }
 
+  // Turn clock chip (empty when the game is untimed or between turns)
+  _renderTurnClock() {
+    const clock = this.gameState?.turnClock;
+    if (!clock?.turn || this.gameState.phase !== GAME_PHASES.PLAYING) return '';
+    const title = clock.mode === 'bank' ? 'Time bank left' : 'Time left this turn';
+    return `<span class="hud-turn-clock" title="${title}">${this._turnClockText()}</span>`;
+  }
+
+  _turnClockText() {
+    const clock = this.gameState.turnClock;
+    if (clock.expired) return clock.onTimeout === 'ai' ? '⏱ AI playing' : '⏱ Time up';
+    return `⏱ ${formatClock(clockRemainingMs(clock))}`;
+  }
+
+  // Called every second by main.js: refresh the countdown without a re-render
+  updateTurnClock() {
+    const chip = this.el?.querySelector('.hud-turn-clock');
+    if (!chip || !this.gameState?.turnClock) return;
+    const remaining = clockRemainingMs(this.gameState.turnClock);
+    chip.textContent = this._turnClockText();
+    chip.classList.toggle('low', remaining !== null && remaining < 60 * 1000);
+  }
+
   _clarityModel() {
     const gs = this.gameState;
     const player = gs?.currentPlayer;
@@ -385,6 +479,68 @@ export class HUD {
       }
     });
 
+    // Battle calculator (desktop menu item and phone sheet row)
+    this.el.querySelectorAll('[data-action="battle-calculator"]').forEach((item) => {
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.menuOpen = false;
+        this.menuTab = null;
+        this._updateMenuState();
+        if (this.onBattleCalculator) {
+          this.onBattleCalculator();
+        }
+      });
+    });
+
+    // Replay viewer (desktop menu item and phone sheet row)
+    this.el.querySelectorAll('[data-action="replay"]').forEach((item) => {
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.menuOpen = false;
+        this.menuTab = null;
+        this._updateMenuState();
+        if (this.onReplay) {
+          this.onReplay();
+        }
+      });
+    });
+
+    // Threat map overlay (desktop menu item and phone sheet row)
+    this.el.querySelectorAll('[data-action="heatmap"]').forEach((item) => {
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.menuOpen = false;
+        this.menuTab = null;
+        this._updateMenuState();
+        if (this.onHeatmap) {
+          this.onHeatmap();
+        }
+      });
+    });
+
+    // Keyboard shortcuts screen (desktop menu only: phones have no keyboard)
+    this.el.querySelector('.hud-menu-item[data-action="shortcuts"]')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.menuOpen = false;
+      this._updateMenuState();
+      if (this.onShortcuts) {
+        this.onShortcuts();
+      }
+    });
+
+    // Sound settings (desktop menu item and phone sheet row)
+    this.el.querySelectorAll('[data-action="sound"]').forEach((item) => {
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.menuOpen = false;
+        this.menuTab = null;
+        this._updateMenuState();
+        if (this.onSound) {
+          this.onSound();
+        }
+      });
+    });
+
     // Exit to lobby menu item
     const exitItem = this.el.querySelector('.hud-menu-item[data-action="exit-lobby"]');
     exitItem?.addEventListener('click', () => {
@@ -404,6 +560,7 @@ export class HUD {
   }
 
   _getPhaseName(phase) {
+    if (phase === GAME_PHASES.TERRITORY_DRAFT) return 'Territory Draft';
     if (phase === GAME_PHASES.CAPITAL_PLACEMENT) return 'Place Capital';
     if (phase === GAME_PHASES.UNIT_PLACEMENT) return 'Initial Deployment';
     if (phase === GAME_PHASES.PLAYING) {
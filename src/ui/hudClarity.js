@@ -9,6 +9,7 @@ import { placementBudgetCopy } from '../state/placeQueue.js';
 import { resolveHostReconnectCopy } from '../multiplayer/lastMatch.js';
 
 export function resolveHudPhaseLabel({ phase, turnPhase } = {}) {
+  if (phase === GAME_PHASES.TERRITORY_DRAFT) return 'Territory Draft';
   if (phase === GAME_PHASES.CAPITAL_PLACEMENT) return 'Place Capital';
   if (phase === GAME_PHASES.UNIT_PLACEMENT) return 'Initial Deployment';
   return formatMobilePhaseLabel(phase, turnPhase) || 'Setup';
@@ -8,6 +8,9 @@
 // importers but leave GAME_VERSION undefined inside this module.
 import { GAME_VERSION } from '../version.js';
 import { isMobileShell } from './mobileShell.js';
+import { getEconomicSides } from '../state/economicVictory.js';
+import { listScenarios, findScenario } from '../state/scenario.js';
+import { GameState } from '../state/gameState.js';
 export { GAME_VERSION };
 
 // AI Difficulty levels
@@ -43,6 +46,8 @@ export class Lobby {
     this.setup = setup;
     this.onStart = onStart;
     this.onPlayOnline = onPlayOnline;
+    this.onMapEditor = null;
+    this.onScenarioEditor = null;
     this.mode = 'main'; // 'main', 'local-setup', 'my-games'
     this.selectedPlayers = [];
     this.playerNames = {};
@@ -51,6 +56,22 @@ export class Lobby {
     this.playerTeams = {};
     this.teamsEnabled = false;
     this.startingIPCs = 80;
+    // Territory Draft mode: players pick the map instead of a random deal
+    this.territoryDraft = false;
+    // Scenario mode: the saved scenario (scenario.js) to start from, or null.
+    // Its seats are the players; its board, IPCs and cards replace the deal.
+    this.scenarioName = null;
+    // Economic victory (SPEC §8.2): per-side thresholds keyed like
+    // economicVictory.js sides ('Team 1' or a player id)
+    this.economicVictory = false;
+    this.economicThresholds = {};
+    // Free-for-all capital victory (SPEC §8.3). null capitals/roundLimit =
+    // the default rule / no limit; see capitalVictory.js.
+    this.capitalsToWin = null;
+    this.victoryTiming = 'immediate';
+    this.roundLimit = null;
+    // Fog of war (SPEC §9.3): null, 'units' or 'full'; see fogOfWar.js
+    this.fogOfWar = null;
     this.el = null;
     this._create();
   }
@@ -133,7 +154,10 @@ export class Lobby {
   }
 
   _initFactionDefaults() {
-    const factions = this.setup.risk.factions;
+    const scenario = this._scenario();
+    const factions = scenario
+      ? scenario.seats.map(id => this.setup.risk.factions.find(f => f.id === id)).filter(Boolean)
+      : this.setup.risk.factions;
     factions.forEach((p, i) => {
       const defaultColor = FACTION_COLORS[i % FACTION_COLORS.length];
       if (!this.playerColors[p.id]) {
@@ -166,6 +190,7 @@ export class Lobby {
         </div>
 
         <div class="lobby-phone-options">
+          ${this.scenarioName ? '' : `
           <label class="lobby-phone-option">
             <span>Starting IPCs</span>
             <select id="starting-ipcs" class="modern-select compact">
@@ -177,10 +202,31 @@ export class Lobby {
               <option value="150" ${this.startingIPCs === 150 ? 'selected' : ''}>150</option>
             </select>
           </label>
+          `}
+          <label class="lobby-phone-option">
+            <span>Territories</span>
+            ${this._renderTerritoryModeSelect()}
+          </label>
+          ${this.scenarioName ? `
+            <label class="lobby-phone-option">
+              <span>Scenario</span>
+              ${this._renderScenarioSelect()}
+            </label>
+          ` : ''}
+          <label class="lobby-phone-option">
+            <span>Fog of War</span>
+            ${this._renderFogSelect()}
+          </label>
           <label class="lobby-phone-option lobby-phone-teams">
             <input type="checkbox" id="teams-enabled" ${this.teamsEnabled ? 'checked' : ''}>
             <span>Teams</span>
           </label>
+          <label class="lobby-phone-option lobby-phone-teams">
+            <input type="checkbox" id="economic-victory" ${this.economicVictory ? 'checked' : ''}>
+            <span>Economic Victory</span>
+          </label>
+          ${this._renderEconomicThresholds()}
+          ${this._renderCapitalVictoryOptions('lobby-phone-option')}
         </div>
 
         <div class="setup-footer lobby-phone-start">
@@ -280,6 +326,20 @@ export class Lobby {
             <span class="saved-count">${savedGames.length}</span>
           </button>
         ` : ''}
+
+        ${this.onMapEditor ? `
+          <button class="lobby-saved-games-btn" data-action="map-editor">
+            <span class="saved-icon">🗺️</span>
+            <span>Map Editor</span>
+          </button>
+        ` : ''}
+
+        ${this.onScenarioEditor ? `
+          <button class="lobby-saved-games-btn" data-action="scenario-editor">
+            <span class="saved-icon">🧩</span>
+            <span>Scenario Editor</span>
+          </button>
+        ` : ''}
       </div>
     `;
   }
@@ -298,7 +358,7 @@ export class Lobby {
           </button>
           <div class="setup-title">
             <h2>New Local Game</h2>
-            <p>Select 2-5 players to begin</p>
+            <p>${this.scenarioName ? 'The scenario sets the players' : 'Select 2-5 players to begin'}</p>
           </div>
         </div>
 
@@ -318,6 +378,7 @@ export class Lobby {
           </div>
 
           <div class="options-row">
+            ${this.scenarioName ? '' : `
             <label class="select-option inline">
               <span class="select-label">Starting IPCs</span>
               <select id="starting-ipcs" class="modern-select compact">
@@ -329,14 +390,48 @@ export class Lobby {
                 <option value="150" ${this.startingIPCs === 150 ? 'selected' : ''}>150</option>
               </select>
             </label>
+            `}
+            <label class="select-option inline" title="Draft: players pick territories one at a time in snake order. Scenario: start from a position saved in the Scenario Editor">
+              <span class="select-label">Territories</span>
+              ${this._renderTerritoryModeSelect()}
+            </label>
+            ${this.scenarioName ? `
+              <label class="select-option inline" title="${this._escapeAttr(this._scenario()?.description || '')}">
+                <span class="select-label">Scenario</span>
+                ${this._renderScenarioSelect()}
+              </label>
+            ` : ''}
+            <label class="select-option inline" title="Hide enemy units beyond your territories and their neighbours. Full also hides who owns those territories.">
+              <span class="select-label">Fog of War</span>
+              ${this._renderFogSelect()}
+            </label>
+            <label class="teams-toggle-compact" title="Win by controlling enough production at the end of a round">
+              <input type="checkbox" id="economic-victory" ${this.economicVictory ? 'checked' : ''}>
+              <span class="toggle-slider small"></span>
+              <span class="toggle-text">Economic Victory</span>
+            </label>
           </div>
+          ${this._renderEconomicThresholds()}
+          ${this.teamsEnabled ? '' : `
+            <div class="options-row capital-victory-row">
+              ${this._renderCapitalVictoryOptions('select-option inline')}
+            </div>
+          `}
         </div>
 
         <div class="setup-footer">
           <div class="game-rules-preview">
-            <span>Random Territories</span>
+            <span>${this.scenarioName ? `Scenario: ${this._escapeAttr(this.scenarioName)}` : this.territoryDraft ? 'Territory Draft' : 'Random Territories'}</span>
             <span class="dot">•</span>
-            <span>Capital Conquest Victory</span>
+            <span>${this._describeCapitalVictory()}</span>
+            ${this.economicVictory ? `
+              <span class="dot">•</span>
+              <span>Economic Victory</span>
+            ` : ''}
+            ${this.fogOfWar ? `
+              <span class="dot">•</span>
+              <span>Fog of War</span>
+            ` : ''}
           </div>
           <button class="start-game-btn ${canStart ? '' : 'disabled'}" data-action="start" ${canStart ? '' : 'disabled'}>
             ${canStart ? `Start Game (${selectedCount} Players)` : 'Select at least 2 players'}
@@ -346,6 +441,135 @@ export class Lobby {
     `;
   }
 
+  // FFA capital-victory selects. Team games win by taking every enemy
+  // capital, so these only apply without teams.
+  _renderCapitalVictoryOptions(labelClass) {
+    if (this.teamsEnabled) return '';
+    const opt = (value, current, text) =>
+      `<option value="${value}" ${String(current ?? '') === String(value) ? 'selected' : ''}>${text}</option>`;
+    const labelSpan = labelClass.startsWith('select-option') ? 'select-label' : '';
+
+    return `
+      <label class="${labelClass}" title="Capitals a player must hold to win (Auto: all with 2-3 players, a majority with 4+)">
+        <span class="${labelSpan}">Capitals to Win</span>
+        <select id="capitals-to-win" class="modern-select compact">
+          ${opt('', this.capitalsToWin, 'Auto')}
+          ${[2, 3, 4, 5].map(n => opt(n, this.capitalsToWin, n)).join('')}
+        </select>
+      </label>
+      <label class="${labelClass}" title="When capital control is checked">
+        <span class="${labelSpan}">Check</span>
+        <select id="victory-timing" class="modern-select compact">
+          ${opt('immediate', this.victoryTiming, 'On capture')}
+          ${opt('round_end', this.victoryTiming, 'End of round')}
+        </select>
+      </label>
+      <label class="${labelClass}" title="After the last round the highest income wins">
+        <span class="${labelSpan}">Round Limit</span>
+        <select id="round-limit" class="modern-select compact">
+          ${opt('', this.roundLimit, 'None')}
+          ${[10, 15, 20, 30].map(n => opt(n, this.roundLimit, n)).join('')}
+        </select>
+      </label>
+    `;
+  }
+
+  // Fog of war select (SPEC §9.3), shared by both setup layouts
+  _renderFogSelect() {
+    const opt = (value, text) =>
+      `<option value="${value}" ${(this.fogOfWar || '') === value ? 'selected' : ''}>${text}</option>`;
+    return `
+      <select id="fog-of-war" class="modern-select compact">
+        ${opt('', 'Off')}
+        ${opt('units', 'Hide units')}
+        ${opt('full', 'Full')}
+      </select>
+    `;
+  }
+
+  // Random deal, draft, or a saved scenario (shared by both setup layouts)
+  _renderTerritoryModeSelect() {
+    const mode = this.scenarioName ? 'scenario' : this.territoryDraft ? 'draft' : 'random';
+    const hasScenarios = listScenarios().length > 0;
+    return `
+      <select id="territory-mode" class="modern-select compact">
+        <option value="random" ${mode === 'random' ? 'selected' : ''}>Random</option>
+        <option value="draft" ${mode === 'draft' ? 'selected' : ''}>Draft</option>
+        <option value="scenario" ${mode === 'scenario' ? 'selected' : ''} ${hasScenarios ? '' : 'disabled'}>Scenario</option>
+      </select>
+    `;
+  }
+
+  _renderScenarioSelect() {
+    return `
+      <select id="scenario-pick" class="modern-select compact">
+        ${listScenarios().map(s => `
+          <option value="${this._escapeAttr(s.name)}" ${s.name === this.scenarioName ? 'selected' : ''}>${this._escapeAttr(s.name)}</option>
+        `).join('')}
+      </select>
+    `;
+  }
+
+  _scenario() {
+    return this.scenarioName ? findScenario(this.scenarioName) : null;
+  }
+
+  // Scenario seats are the players; pick them all
+  _pickScenario(name) {
+    const scenario = name ? findScenario(name) : null;
+    this.scenarioName = scenario?.name || null;
+    if (!scenario) return;
+    this.selectedPlayers = [...scenario.seats];
+    for (const id of scenario.seats) {
+      if (!this.playerNames[id]) {
+        this.playerNames[id] = this.setup.risk.factions.find(f => f.id === id)?.name || id;
+      }
+    }
+  }
+
+  _escapeAttr(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[ch]);
+  }
+
+  _describeCapitalVictory() {
+    if (this.teamsEnabled) return 'Capital Conquest Victory';
+    let text = this.capitalsToWin ? `${this.capitalsToWin} Capitals to Win` : 'Capital Conquest Victory';
+    if (this.roundLimit) text += ` • ${this.roundLimit} Rounds`;
+    return text;
+  }
+
+  // Sides the selected players would compete as, for threshold inputs
+  _getEconomicSides() {
+    const players = this.selectedPlayers.map(id => ({
+      id,
+      name: this.playerNames[id]?.trim() || this.setup.risk.factions.find(f => f.id === id)?.name || id,
+      teamId: this.teamsEnabled ? (this.playerTeams[id] || null) : null,
+    }));
+    return getEconomicSides(players, this.teamsEnabled ? 'team' : 'player');
+  }
+
+  _renderEconomicThresholds() {
+    if (!this.economicVictory) return '';
+    const sides = this._getEconomicSides();
+    if (sides.length === 0) return '';
+
+    return `
+      <div class="economic-thresholds">
+        <span class="select-label">Production to win</span>
+        ${sides.map(side => `
+          <label class="economic-threshold">
+            <span>${side.label}</span>
+            <input type="number" class="modern-select compact economic-threshold-input"
+                   data-side="${side.key}" min="1" max="200"
+                   value="${this.economicThresholds[side.key] ?? side.defaultThreshold}">
+          </label>
+        `).join('')}
+      </div>
+    `;
+  }
+
   _renderPlayerCard(faction, index) {
     const isSelected = this.selectedPlayers.includes(faction.id);
     const currentColor = this.playerColors[faction.id];
@@ -459,8 +683,7 @@ export class Lobby {
 
       // Delete if older than 30 days
       if (saveTime < thirtyDaysAgo) {
-        localStorage.removeItem('tacticalRisk_autoSave');
-        localStorage.removeItem('tacticalRisk_autoSave_time');
+        GameState.clearAutoSave();
       } else {
         try {
           const data = JSON.parse(autoSave);
@@ -515,6 +738,20 @@ export class Lobby {
       this._render();
     });
 
+    this.el.querySelector('[data-action="map-editor"]')?.addEventListener('click', () => {
+      if (this.onMapEditor) {
+        this.hide();
+        this.onMapEditor();
+      }
+    });
+
+    this.el.querySelector('[data-action="scenario-editor"]')?.addEventListener('click', () => {
+      if (this.onScenarioEditor) {
+        this.hide();
+        this.onScenarioEditor();
+      }
+    });
+
     // Back button
     this.el.querySelector('[data-action="back"]')?.addEventListener('click', () => {
       this.mode = 'main';
@@ -585,6 +822,18 @@ export class Lobby {
       this.startingIPCs = parseInt(e.target.value, 10);
     });
 
+    // Territory assignment: random deal or draft
+    this.el.querySelector('#territory-mode')?.addEventListener('change', (e) => {
+      this.territoryDraft = e.target.value === 'draft';
+      this._pickScenario(e.target.value === 'scenario' ? listScenarios()[0]?.name : null);
+      this._render();
+    });
+
+    this.el.querySelector('#scenario-pick')?.addEventListener('change', (e) => {
+      this._pickScenario(e.target.value);
+      this._render();
+    });
+
     // Teams toggle
     this.el.querySelector('#teams-enabled')?.addEventListener('change', (e) => {
       this.teamsEnabled = e.target.checked;
@@ -594,6 +843,44 @@ export class Lobby {
       this._render();
     });
 
+    // FFA capital victory settings
+    this.el.querySelector('#capitals-to-win')?.addEventListener('change', (e) => {
+      this.capitalsToWin = parseInt(e.target.value, 10) || null;
+      this._render();
+    });
+
+    this.el.querySelector('#victory-timing')?.addEventListener('change', (e) => {
+      this.victoryTiming = e.target.value;
+    });
+
+    this.el.querySelector('#round-limit')?.addEventListener('change', (e) => {
+      this.roundLimit = parseInt(e.target.value, 10) || null;
+      this._render();
+    });
+
+    // Fog of war
+    this.el.querySelector('#fog-of-war')?.addEventListener('change', (e) => {
+      this.fogOfWar = e.target.value || null;
+      this._render();
+    });
+
+    // Economic victory toggle + per-side thresholds
+    this.el.querySelector('#economic-victory')?.addEventListener('change', (e) => {
+      this.economicVictory = e.target.checked;
+      this._render();
+    });
+
+    this.el.querySelectorAll('.economic-threshold-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const value = parseInt(e.target.value, 10);
+        if (value > 0) {
+          this.economicThresholds[e.target.dataset.side] = value;
+        } else {
+          delete this.economicThresholds[e.target.dataset.side];
+        }
+      });
+    });
+
     // Team buttons
     this.el.querySelectorAll('.team-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -632,6 +919,8 @@ export class Lobby {
   }
 
   _togglePlayer(playerId) {
+    // A scenario's seats are fixed (change them in the Scenario Editor)
+    if (this.scenarioName) return;
     const factions = this.setup.risk.factions;
     const faction = factions.find(p => p.id === playerId);
     const idx = this.selectedPlayers.indexOf(playerId);
@@ -666,28 +955,50 @@ export class Lobby {
       };
     });
 
+    // Only thresholds for sides that exist in this game (team changes in the
+    // lobby can leave stale keys behind); unset sides use the defaults.
+    const thresholds = {};
+    for (const side of this._getEconomicSides()) {
+      if (this.economicThresholds[side.key]) thresholds[side.key] = this.economicThresholds[side.key];
+    }
+
     const options = {
       alliancesEnabled: false,
       teamsEnabled: this.teamsEnabled,
       startingIPCs: this.startingIPCs,
+      // Local games are always seeded so bug reports can replay their dice.
+      diceSeed: true,
+      economicVictory: this.economicVictory ? { enabled: true, thresholds } : null,
+      capitalVictory: {
+        capitals: this.capitalsToWin,
+        timing: this.victoryTiming,
+        roundLimit: this.roundLimit,
+      },
+      fogOfWar: this.fogOfWar,
     };
 
+    const scenario = this._scenario();
+    if (this.scenarioName && !scenario) {
+      alert('That scenario is no longer saved on this browser.');
+      this._pickScenario(null);
+      this._render();
+      return;
+    }
+    if (scenario) options.scenario = scenario;
+
     this.hide();
-    this.onStart('risk', players, options);
+    this.onStart(scenario ? 'scenario' : this.territoryDraft ? 'draft' : 'risk', players, options);
   }
 
   _loadGame(gameId, gameType) {
     if (gameType === 'local' && gameId === 'local_autosave') {
-      const data = localStorage.getItem('tacticalRisk_autoSave');
-      if (data) {
-        try {
-          const saveData = JSON.parse(data);
-          this.hide();
-          this.onStart(null, null, { loadFromSave: saveData });
-        } catch (err) {
-          console.error('Failed to load save:', err);
-          alert('Failed to load saved game.');
-        }
+      if (!GameState.hasAutoSave()) return;
+      const saveData = GameState.loadAutoSave();
+      if (saveData) {
+        this.hide();
+        this.onStart(null, null, { loadFromSave: saveData });
+      } else {
+        alert('Failed to load saved game.');
       }
     }
   }
@@ -696,12 +1007,23 @@ export class Lobby {
     if (!confirm('Are you sure you want to delete this game?')) return;
 
     if (gameType === 'local' && gameId === 'local_autosave') {
-      localStorage.removeItem('tacticalRisk_autoSave');
-      localStorage.removeItem('tacticalRisk_autoSave_time');
+      GameState.clearAutoSave();
       this._render();
     }
   }
 
+  // Main menu entry for the map editor (desktop layout only)
+  setOnMapEditor(callback) {
+    this.onMapEditor = callback;
+    if (this.mode === 'main') this._render();
+  }
+
+  // Main menu entry for the scenario editor (desktop layout only)
+  setOnScenarioEditor(callback) {
+    this.onScenarioEditor = callback;
+    if (this.mode === 'main') this._render();
+  }
+
   show() {
     this.mode = 'main';
     this._render();
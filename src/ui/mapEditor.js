@@ -0,0 +1,307 @@
+// Map Editor - edits territory connections, production, continents and
+// their bonuses, land bridges and capital candidates on the live map, checks
+// the graph, and exports data/territories.json and data/continents.json.
+// The model is a MapDraft (map/mapDraft.js); main.js routes map clicks here
+// and draws getView() with TerritoryRenderer.renderMapEditor.
+
+import { MapDraft } from '../map/mapDraft.js';
+
+// What a click on a second territory does while one is selected
+const TOOLS = [
+  { id: 'select', label: 'Select', hint: 'Click a territory to edit it' },
+  { id: 'connect', label: 'Connect', hint: 'Click another territory to add or remove a connection' },
+  { id: 'bridge', label: 'Land bridge', hint: 'Click another land territory to add or remove a land bridge' },
+];
+
+export class MapEditor {
+  constructor(setup) {
+    this.setup = setup;
+    this.draft = null;
+    this.selected = null;
+    this.tool = 'select';
+    this.issues = [];
+    this.onChange = null;
+    this.onClose = null;
+    this._create();
+  }
+
+  setOnChange(callback) {
+    this.onChange = callback;
+  }
+
+  setOnClose(callback) {
+    this.onClose = callback;
+  }
+
+  get isOpen() {
+    return !this.el.classList.contains('hidden');
+  }
+
+  _create() {
+    this.el = document.createElement('div');
+    this.el.id = 'mapEditor';
+    this.el.className = 'map-editor-panel hidden';
+    document.body.appendChild(this.el);
+
+    this.el.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (btn) this._handleAction(btn.dataset.action, btn);
+    });
+    this.el.addEventListener('change', (e) => {
+      const field = e.target.closest('[data-field]');
+      if (field) this._handleField(field.dataset.field, field);
+    });
+  }
+
+  // Start from the loaded map. Edits stay in the draft until exported.
+  open(territories, continents) {
+    this.draft = new MapDraft(territories, continents);
+    this.selected = null;
+    this.tool = 'select';
+    this.issues = this.draft.validate();
+    this.el.classList.remove('hidden');
+    document.body.classList.add('map-editor-active');
+    this._render();
+    this._changed();
+  }
+
+  close() {
+    this.draft = null;
+    this.selected = null;
+    this.el.classList.add('hidden');
+    document.body.classList.remove('map-editor-active');
+    if (this.onClose) this.onClose();
+  }
+
+  // A map click. With a territory selected, the Connect and Land bridge
+  // tools link the clicked one to it; otherwise the click selects.
+  handleTerritoryClick(name) {
+    if (!this.draft) return false;
+    if (this.selected && name !== this.selected && this.tool !== 'select') {
+      if (this.tool === 'connect') this.draft.toggleConnection(this.selected, name);
+      else this.draft.toggleLandBridge(this.selected, name);
+      this._edited();
+      return true;
+    }
+    this.selected = name === this.selected ? null : name;
+    this._render();
+    this._changed();
+    return true;
+  }
+
+  // What the map draws: see TerritoryRenderer.renderMapEditor
+  getView() {
+    if (!this.draft) return null;
+    const selected = this.draft.get(this.selected);
+    return {
+      continents: this.draft.continents,
+      landBridges: this.draft.landBridges,
+      selected: selected?.name || null,
+      connections: selected?.connections || [],
+      flagged: [...new Set(this.issues.filter(i => i.level === 'error').flatMap(i => i.territories))],
+    };
+  }
+
+  _edited() {
+    this.issues = this.draft.validate();
+    this._render();
+    this._changed();
+  }
+
+  _changed() {
+    if (this.onChange) this.onChange();
+  }
+
+  _handleAction(action, el) {
+    if (!this.draft) return;
+    switch (action) {
+      case 'close':
+        this.close();
+        break;
+      case 'tool':
+        this.tool = el.dataset.tool;
+        this._render();
+        break;
+      case 'select':
+        this.selected = el.dataset.name;
+        this._render();
+        this._changed();
+        break;
+      case 'disconnect':
+        this.draft.toggleConnection(this.selected, el.dataset.name);
+        this._edited();
+        break;
+      case 'remove-bridge':
+        this.draft.toggleLandBridge(this.selected, el.dataset.name);
+        this._edited();
+        break;
+      case 'add-continent': {
+        const input = this.el.querySelector('.map-editor-new-continent');
+        if (this.draft.addContinent(input?.value)) this._edited();
+        break;
+      }
+      case 'remove-continent':
+        if (confirm(`Remove ${el.dataset.name}? Its territories will have no continent.`)) {
+          this.draft.removeContinent(el.dataset.name);
+          this._edited();
+        }
+        break;
+      case 'export':
+        this._export();
+        break;
+    }
+  }
+
+  _handleField(field, el) {
+    const value = el.value;
+    let changed = false;
+    if (field === 'production') changed = this.draft.setProduction(this.selected, parseInt(value, 10));
+    else if (field === 'continent') changed = this.draft.setContinent(this.selected, value || null);
+    else if (field === 'capital') changed = this.draft.setCapital(this.selected, value || null);
+    else if (field === 'bonus') changed = this.draft.setContinentBonus(el.dataset.name, parseInt(value, 10));
+    // Refused values snap back to the draft's
+    if (changed) this._edited();
+    else this._render();
+  }
+
+  // Both files, in the data/ format; errors are allowed through on purpose
+  // (work in progress) but called out first
+  _export() {
+    const errors = this.issues.filter(i => i.level === 'error').length;
+    if (errors && !confirm(`The map has ${errors} error(s). Export anyway?`)) return;
+    const { territories, continents } = this.draft.export();
+    this._download('territories.json', territories);
+    this._download('continents.json', continents);
+  }
+
+  _download(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  _render() {
+    if (!this.draft) return;
+    const tool = TOOLS.find(t => t.id === this.tool);
+    const errors = this.issues.filter(i => i.level === 'error');
+    const warnings = this.issues.filter(i => i.level === 'warning');
+
+    this.el.innerHTML = `
+      <div class="map-editor-header">
+        <span class="map-editor-title">Map Editor</span>
+        <button class="map-editor-btn" data-action="export" title="Download territories.json and continents.json">Export</button>
+        <button class="map-editor-close" data-action="close" title="Close the editor">✕</button>
+      </div>
+      <div class="map-editor-tools">
+        ${TOOLS.map(t => `
+          <button class="map-editor-tool ${t.id === this.tool ? 'active' : ''}" data-action="tool" data-tool="${t.id}">${t.label}</button>
+        `).join('')}
+      </div>
+      <div class="map-editor-hint">${tool.hint}</div>
+      <div class="map-editor-body">
+        ${this._renderTerritory()}
+        ${this._renderContinents()}
+        <div class="map-editor-section">
+          <div class="map-editor-section-title">Checks
+            <span class="map-editor-count ${errors.length ? 'bad' : 'good'}">${errors.length} error(s), ${warnings.length} warning(s)</span>
+          </div>
+          ${this.issues.length === 0 ? '<div class="map-editor-empty">No problems found</div>' : `
+            <ul class="map-editor-issues">
+              ${[...errors, ...warnings].map(issue => `
+                <li class="map-editor-issue ${issue.level}">
+                  ${issue.territories.length
+                    ? `<button class="map-editor-link" data-action="select" data-name="${this._escape(issue.territories[0])}">${this._escape(issue.message)}</button>`
+                    : this._escape(issue.message)}
+                </li>
+              `).join('')}
+            </ul>
+          `}
+        </div>
+      </div>
+    `;
+  }
+
+  _renderTerritory() {
+    const t = this.draft.get(this.selected);
+    if (!t) {
+      return '<div class="map-editor-section"><div class="map-editor-empty">No territory selected</div></div>';
+    }
+    const bridges = this.draft.landBridges
+      .filter(([a, b]) => a === t.name || b === t.name)
+      .map(([a, b]) => (a === t.name ? b : a));
+    const factions = this.setup?.risk?.factions || [];
+
+    return `
+      <div class="map-editor-section">
+        <div class="map-editor-section-title">${this._escape(t.name)} <span class="map-editor-kind">${t.isWater ? 'Sea zone' : 'Land'}</span></div>
+        ${t.isWater ? '' : `
+          <label class="map-editor-row">Production
+            <input type="number" min="0" step="1" data-field="production" value="${t.production ?? 0}">
+          </label>
+          <label class="map-editor-row">Continent
+            <select data-field="continent">
+              <option value="">None</option>
+              ${this.draft.continents.map(c => `
+                <option value="${this._escape(c.name)}" ${c.name === t.continent ? 'selected' : ''}>${this._escape(c.name)}</option>
+              `).join('')}
+            </select>
+          </label>
+          <label class="map-editor-row">Capital of
+            <select data-field="capital">
+              <option value="">None</option>
+              ${factions.map(f => `
+                <option value="${f.id}" ${t.isCapital && t.capitalOf === f.id ? 'selected' : ''}>${this._escape(f.name || f.id)}</option>
+              `).join('')}
+            </select>
+          </label>
+        `}
+        <div class="map-editor-subtitle">Connections (${t.connections.length})</div>
+        <div class="map-editor-chips">
+          ${t.connections.map(name => `
+            <span class="map-editor-chip">${this._escape(name)}<button data-action="disconnect" data-name="${this._escape(name)}" title="Remove connection">✕</button></span>
+          `).join('') || '<span class="map-editor-empty">None</span>'}
+        </div>
+        ${t.isWater ? '' : `
+          <div class="map-editor-subtitle">Land bridges (${bridges.length})</div>
+          <div class="map-editor-chips">
+            ${bridges.map(name => `
+              <span class="map-editor-chip bridge">${this._escape(name)}<button data-action="remove-bridge" data-name="${this._escape(name)}" title="Remove land bridge">✕</button></span>
+            `).join('') || '<span class="map-editor-empty">None</span>'}
+          </div>
+        `}
+      </div>
+    `;
+  }
+
+  _renderContinents() {
+    return `
+      <div class="map-editor-section">
+        <div class="map-editor-section-title">Continents</div>
+        ${this.draft.continents.map(c => `
+          <div class="map-editor-continent">
+            <span class="map-editor-swatch" style="background:${c.color || '#888888'}"></span>
+            <span class="map-editor-continent-name">${this._escape(c.name)} <small>(${c.territories.length})</small></span>
+            <input type="number" min="0" step="1" data-field="bonus" data-name="${this._escape(c.name)}" value="${c.bonus}" title="Bonus">
+            <button class="map-editor-close" data-action="remove-continent" data-name="${this._escape(c.name)}" title="Remove continent">✕</button>
+          </div>
+        `).join('')}
+        <div class="map-editor-continent">
+          <input type="text" class="map-editor-new-continent" placeholder="New continent">
+          <button class="map-editor-btn" data-action="add-continent">Add</button>
+        </div>
+      </div>
+    `;
+  }
+
+  _escape(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[ch]);
+  }
+}
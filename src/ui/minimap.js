@@ -1,12 +1,17 @@
 // Minimap: shows smallMap.jpeg with a red viewport rectangle.
 // Click/drag on minimap pans the main camera.
 // Handles horizontal wraparound for the viewport indicator.
+// Shades territories with the heatmap overlay when one is on.
 
 import { MAP_WIDTH, MAP_HEIGHT } from '../map/camera.js';
+import { heatmapColor } from '../state/heatmap.js';
 
 export class Minimap {
-  constructor(camera) {
+  constructor(camera, territories = []) {
     this.camera = camera;
+    this.territoryByName = {};
+    for (const t of territories) this.territoryByName[t.name] = t;
+    this.heatmap = null;
     this.canvas = document.getElementById('minimap');
     this.ctx = this.canvas.getContext('2d');
     this.bgImage = null;
@@ -61,6 +66,11 @@ export class Minimap {
     });
   }
 
+  // GameState.getHeatmap result, or null when the overlay is off
+  setHeatmap(heatmap) {
+    this.heatmap = heatmap || null;
+  }
+
   _panFromEvent(e) {
     const rect = this.canvas.getBoundingClientRect();
     if (!(rect.width > 0) || !(rect.height > 0)) return;
@@ -85,6 +95,8 @@ export class Minimap {
       ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
     }
 
+    if (this.heatmap) this._renderHeatmap(ctx);
+
     // Draw viewport rectangle (with horizontal wrap handling)
     const vp = this.camera.getViewport();
 
@@ -113,4 +125,23 @@ export class Minimap {
       ctx.fillRect(rx, ry, rw, rh);
     }
   }
+
+  _renderHeatmap(ctx) {
+    const { layer, values, max } = this.heatmap;
+    for (const [name, value] of Object.entries(values)) {
+      const t = this.territoryByName[name];
+      if (!t) continue;
+      ctx.fillStyle = heatmapColor(layer, value, max, 0.85);
+      for (const poly of t.polygons || []) {
+        if (!poly || poly.length < 3) continue;
+        ctx.beginPath();
+        ctx.moveTo(poly[0][0] * this.scaleX, poly[0][1] * this.scaleY);
+        for (let i = 1; i < poly.length; i++) {
+          ctx.lineTo(poly[i][0] * this.scaleX, poly[i][1] * this.scaleY);
+        }
+        ctx.closePath();
+        ctx.fill();
+      }
+    }
+  }
 }
@@ -84,6 +84,7 @@ export function pickMobilePrimaryButtons(buttons) {
 // Always-visible phase identity. Do not copy the tablet 9px / hidden-dots path.
 // Playing: "3/7 Combat Movement". Setup phases keep their name.
 export function formatMobilePhaseLabel(gamePhase, turnPhase) {
+  if (gamePhase === GAME_PHASES.TERRITORY_DRAFT) return 'Territory Draft';
   if (gamePhase === GAME_PHASES.CAPITAL_PLACEMENT) return 'Place Capital';
   if (gamePhase === GAME_PHASES.UNIT_PLACEMENT) return 'Initial Deployment';
   if (gamePhase === GAME_PHASES.PLAYING) {
@@ -2,6 +2,10 @@
 
 import { TURN_PHASES } from '../state/gameState.js';
 import { getUnitIconPath } from '../utils/unitIcons.js';
+import { simulateBattle, buildBattleSetup } from '../state/battleSimulator.js';
+
+// Trials for the assembled attack's odds (kept low: it runs on every check)
+const ASSEMBLY_TRIALS = 1000;
 
 export class MovementUI {
   constructor() {
@@ -15,6 +19,7 @@ export class MovementUI {
     // Movement state
     this.selectedFrom = null;
     this.selectedUnits = {}; // { unitType: quantity }
+    this.activeUnitType = null; // Row the number keys set (the last one adjusted)
     this.selectedCargoUnits = {}; // { transportIndex: { unitType: quantity } } for unloading
     this.selectedShipIds = new Set(); // Track which specific ships are selected to move
     this.unloadMode = false; // True when unloading cargo from transports
@@ -22,6 +27,18 @@ export class MovementUI {
     this.loadingTargetShipId = null; // Ship selected to load cargo onto
     this.pendingDestination = null; // Selected destination awaiting confirmation
 
+    // Assemble attack: target first, then units from every source in range
+    this.assemblyTarget = null; // Territory being attacked
+    this.assemblyPicks = {}; // { source: { unitType: quantity } }
+    this.assemblyOdds = null; // simulateBattle() result for the current picks
+    this.assemblyError = null;
+
+    // Standing orders: rally points and the batch of routes they propose
+    this.ordersOpen = false;
+    this.ordersSkipped = new Set(); // `${from}>${to}` of routes left out
+    this.ordersError = null;
+    this._ordersRoutes = null; // proposed routes as of the last render
+
     // Drag state
     this.isDragging = false;
     this.dragOffset = { x: 0, y: 0 };
@@ -193,6 +210,7 @@ export class MovementUI {
   selectSource(territory) {
     this.selectedFrom = territory;
     this.selectedUnits = {};
+    this.activeUnitType = null;
     this.selectedCargoUnits = {};
     this.unloadMode = false;
 
@@ -672,8 +690,17 @@ export class MovementUI {
   }
 
   cancel() {
+    this.ordersOpen = false;
+    this._ordersRoutes = null;
+    this.ordersSkipped = new Set();
+    this.ordersError = null;
+    this.assemblyTarget = null;
+    this.assemblyPicks = {};
+    this.assemblyOdds = null;
+    this.assemblyError = null;
     this.selectedFrom = null;
     this.selectedUnits = {};
+    this.activeUnitType = null;
     this.selectedCargoUnits = {};
     this.selectedShipIds = new Set();
     this.unloadMode = false;
@@ -1224,7 +1251,408 @@ export class MovementUI {
     }
   }
 
+  // --- Assemble attack ---
+
+  // Start an attack on `territory` gathered from every source in range.
+  // False when it is not an attack target this combat move.
+  openAssembly(territory) {
+    if (!this.gameState || !this._assemblyBoard().isAttackTarget(territory.name)) return false;
+    this.selectedFrom = null;
+    this.selectedUnits = {};
+    this.selectedShipIds = new Set();
+    this.pendingDestination = null;
+    this.assemblyTarget = territory;
+    this.assemblyPicks = {};
+    this.assemblyOdds = null;
+    this.assemblyError = null;
+    this._render();
+    this.el.classList.remove('hidden');
+    return true;
+  }
+
+  isAssembling() {
+    return !!this.assemblyTarget;
+  }
+
+  getAssemblyTarget() {
+    return this.assemblyTarget;
+  }
+
+  // Names of the territories that can join the attack (for map highlights)
+  getAssemblySourceNames() {
+    return this._assemblySources().map(s => s.territory);
+  }
+
+  // The board as the attacker sees it: under fog, the targets, the routes
+  // to them and the odds must not give away hidden units
+  _assemblyBoard() {
+    const player = this.gameState.currentPlayer;
+    return player ? this.gameState.getFogBoard([player.id]) : this.gameState;
+  }
+
+  _assemblySources() {
+    if (!this.assemblyTarget || !this.gameState) return [];
+    return this._assemblyBoard().getAttackSources(this.assemblyTarget.name, this.unitDefs);
+  }
+
+  // Picked units summed by type, as [{ type, quantity }]
+  _assemblyTotals() {
+    const totals = {};
+    for (const picks of Object.values(this.assemblyPicks)) {
+      for (const [type, qty] of Object.entries(picks)) {
+        if (qty > 0) totals[type] = (totals[type] || 0) + qty;
+      }
+    }
+    return Object.entries(totals).map(([type, quantity]) => ({ type, quantity }));
+  }
+
+  _setAssemblyPick(source, unitType, quantity) {
+    const available = this._assemblySources().find(s => s.territory === source)
+      ?.units.find(u => u.type === unitType)?.quantity || 0;
+    const picks = this.assemblyPicks[source] || (this.assemblyPicks[source] = {});
+    picks[unitType] = Math.max(0, Math.min(available, quantity));
+    this.assemblyOdds = null;
+    this.assemblyError = null;
+    this._render();
+  }
+
+  _checkAssemblyOdds() {
+    const player = this.gameState.currentPlayer;
+    const setup = buildBattleSetup(this._assemblyBoard(), this.assemblyTarget.name, player.id, this._assemblyTotals());
+    this.assemblyOdds = simulateBattle({ ...setup, unitDefs: this.unitDefs, trials: ASSEMBLY_TRIALS });
+    this._render();
+  }
+
+  _confirmAssembly() {
+    const target = this.assemblyTarget.name;
+    const moves = Object.entries(this.assemblyPicks).map(([from, picks]) => ({
+      from,
+      units: Object.entries(picks).filter(([, qty]) => qty > 0).map(([type, quantity]) => ({ type, quantity })),
+    })).filter(m => m.units.length > 0);
+    const result = this.gameState.moveUnitsGroup(target, moves, this.unitDefs);
+    if (!result.success) {
+      this.assemblyError = result.error;
+      this._render();
+      return;
+    }
+    this.cancel();
+    if (this.onMoveComplete) {
+      for (const move of result.results) {
+        this.onMoveComplete({
+          from: move.from,
+          to: move.to,
+          units: move.units,
+          captured: move.captured,
+          cardAwarded: move.cardAwarded,
+          isAttack: move.isAttack,
+        });
+      }
+    }
+  }
+
+  _renderAssembly() {
+    const player = this.gameState.currentPlayer;
+    const target = this.assemblyTarget.name;
+    const sources = this._assemblySources();
+    const totals = this._assemblyTotals();
+    const totalPicked = totals.reduce((sum, u) => sum + u.quantity, 0);
+
+    let html = `
+      <div class="mp-drag-handle"></div>
+      <div class="mp-header">
+        <div class="mp-title">Assemble Attack</div>
+        <div class="mp-phase">Combat Movement</div>
+      </div>
+
+      <div class="mp-from">
+        <span class="mp-label">Target:</span>
+        <span class="mp-territory">${target}</span>
+        <span class="mp-enemy-tag">ATTACK</span>
+      </div>
+    `;
+
+    if (sources.length === 0) {
+      html += `<div class="mp-assembly-empty">None of your units can reach ${target} this turn.</div>`;
+    }
+
+    for (const source of sources) {
+      const picks = this.assemblyPicks[source.territory] || {};
+      html += `
+        <div class="mp-assembly-source" data-territory="${source.territory}">
+          <div class="mp-assembly-source-head">
+            <span class="mp-territory">${source.territory}</span>
+            <button class="mp-all-btn" data-action="assembly-source-all" data-from="${source.territory}">All</button>
+          </div>
+      `;
+      for (const unit of source.units) {
+        const selected = picks[unit.type] || 0;
+        const def = this.unitDefs[unit.type];
+        const cantLand = def?.isAir && selected > 0
+          && !this.gameState.checkAirUnitCanLand(source.territory, target, unit.type, this.unitDefs).canLand;
+        html += `
+          <div class="mp-unit-row">
+            <div class="mp-unit-info">
+              <img src="${getUnitIconPath(unit.type, player.id)}" class="mp-unit-icon" alt="${unit.type}">
+              <span class="mp-unit-name">${unit.type}${cantLand ? ' ⚠️' : ''}</span>
+              <span class="mp-unit-avail">(${unit.quantity})</span>
+            </div>
+            <div class="mp-unit-select">
+              <button class="mp-qty-btn" data-action="assembly-qty" data-from="${source.territory}" data-unit="${unit.type}" data-delta="-1">−</button>
+              <span class="mp-qty">${selected}</span>
+              <button class="mp-qty-btn" data-action="assembly-qty" data-from="${source.territory}" data-unit="${unit.type}" data-delta="1">+</button>
+            </div>
+          </div>
+        `;
+      }
+      html += `</div>`;
+    }
+
+    if (totalPicked > 0) {
+      html += `
+        <div class="mp-assembly-total">
+          <span class="mp-label">Attacking with:</span>
+          ${totals.map(u => `${u.quantity} ${u.type}`).join(', ')}
+        </div>
+      `;
+      const odds = this.assemblyOdds;
+      if (odds) {
+        const pct = p => `${Math.round(p * 100)}%`;
+        html += `
+          <div class="mp-assembly-odds">
+            <span>Win ${pct(odds.attackerWin)}</span>
+            ${odds.capture !== null ? `<span>Capture ${pct(odds.capture)}</span>` : ''}
+            <span>IPC swing ${odds.ipcSwing >= 0 ? '+' : ''}${odds.ipcSwing.toFixed(1)}</span>
+          </div>
+        `;
+      } else {
+        html += `<button class="mp-assembly-odds-btn" data-action="assembly-odds">🎲 Check Odds</button>`;
+      }
+    }
+
+    if (this.assemblyError) {
+      html += `<div class="mp-air-warning"><span>${this.assemblyError}</span></div>`;
+    }
+
+    html += `
+      <div class="mp-actions">
+        <button class="mp-confirm-btn primary attack" data-action="assembly-confirm" ${totalPicked > 0 ? '' : 'disabled'}>Confirm Attack</button>
+        <button class="mp-cancel-btn">Cancel</button>
+      </div>
+    `;
+
+    this.el.innerHTML = html;
+    this._bindAssemblyEvents();
+  }
+
+  _bindAssemblyEvents() {
+    this.el.querySelectorAll('[data-action="assembly-qty"]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const { from, unit } = btn.dataset;
+        const current = this.assemblyPicks[from]?.[unit] || 0;
+        this._setAssemblyPick(from, unit, current + parseInt(btn.dataset.delta));
+      });
+    });
+
+    // All units from one source
+    this.el.querySelectorAll('[data-action="assembly-source-all"]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const source = this._assemblySources().find(s => s.territory === btn.dataset.from);
+        if (!source) return;
+        this.assemblyPicks[source.territory] = Object.fromEntries(source.units.map(u => [u.type, u.quantity]));
+        this.assemblyOdds = null;
+        this.assemblyError = null;
+        this._render();
+      });
+    });
+
+    // Hovering a source highlights it on the map
+    this.el.querySelectorAll('.mp-assembly-source').forEach(row => {
+      row.addEventListener('mouseenter', () => this.onHighlightTerritory?.(row.dataset.territory, true));
+      row.addEventListener('mouseleave', () => this.onHighlightTerritory?.(null, false));
+    });
+
+    this.el.querySelector('[data-action="assembly-odds"]')?.addEventListener('click', () => this._checkAssemblyOdds());
+    this.el.querySelector('[data-action="assembly-confirm"]')?.addEventListener('click', () => this._confirmAssembly());
+    this.el.querySelector('.mp-cancel-btn')?.addEventListener('click', () => this.cancel());
+  }
+
+  // --- Standing orders ---
+
+  // Open the standing orders panel: rally points any time in Non-Combat Move
+  // or Mobilize, and in Non-Combat Move the routes they propose
+  openStandingOrders() {
+    const phase = this.gameState?.turnPhase;
+    if (phase !== TURN_PHASES.NON_COMBAT_MOVE && phase !== TURN_PHASES.MOBILIZE) return false;
+    this.selectedFrom = null;
+    this.selectedUnits = {};
+    this.selectedShipIds = new Set();
+    this.pendingDestination = null;
+    this.assemblyTarget = null;
+    this.ordersOpen = true;
+    this.ordersSkipped = new Set();
+    this.ordersError = null;
+    this._render();
+    this.el.classList.remove('hidden');
+    return true;
+  }
+
+  isReviewingOrders() {
+    return this.ordersOpen;
+  }
+
+  // Routes to apply (the proposed ones less any unticked), for map highlights
+  getOrderRoutes() {
+    return this._orderRoutes().filter(r => !this.ordersSkipped.has(`${r.from}>${r.to}`));
+  }
+
+  // Proposed once per panel render: the map asks for them every frame
+  _orderRoutes() {
+    if (!this.ordersOpen || !this.gameState) return [];
+    if (!this._ordersRoutes) this._ordersRoutes = this.gameState.getStandingOrderRoutes(this.unitDefs);
+    return this._ordersRoutes;
+  }
+
+  _confirmOrders() {
+    const result = this.gameState.moveUnitsBatch(this.getOrderRoutes(), this.unitDefs);
+    if (!result.success) {
+      this.ordersError = result.error;
+      this._render();
+      return;
+    }
+    this.cancel();
+    if (this.onMoveComplete) {
+      for (const move of result.results) {
+        this.onMoveComplete({ from: move.from, to: move.to, units: move.units, captured: move.captured });
+      }
+    }
+  }
+
+  // <select> options for a rally point: the nearest front, or any of our
+  // (or allied) land
+  _rallyOptions(current) {
+    const player = this.gameState.currentPlayer;
+    const names = this.gameState.territories
+      .filter(t => !t.isWater)
+      .map(t => t.name)
+      .filter(name => {
+        const owner = this.gameState.getOwner(name);
+        return owner && (owner === player.id || this.gameState.areAllies(player.id, owner));
+      })
+      .sort();
+    // A rally point on land since lost still shows until it is changed
+    if (current && !names.includes(current)) names.unshift(current);
+    return `<option value="">Nearest front</option>` + names.map(name =>
+      `<option value="${name}" ${name === current ? 'selected' : ''}>${name}</option>`).join('');
+  }
+
+  _renderOrders() {
+    this._ordersRoutes = null;
+    const gs = this.gameState;
+    const player = gs.currentPlayer;
+    const points = gs.getRallyPoints(player.id);
+    const isNonCombat = gs.turnPhase === TURN_PHASES.NON_COMBAT_MOVE;
+
+    const factories = Object.entries(gs.units)
+      .filter(([, stacks]) => (stacks || []).some(u => u.type === 'factory' && u.owner === player.id))
+      .map(([name]) => name)
+      .sort();
+    const regions = gs.continents
+      .filter(c => c.territories.some(name => gs.getOwner(name) === player.id))
+      .map(c => c.name);
+
+    const rallyRow = (kind, source, current) => `
+      <div class="mp-rally-row">
+        <span class="mp-rally-source">${kind === 'factory' ? '🏭' : '🗺'} ${source}</span>
+        <select class="mp-rally-select" data-kind="${kind}" data-source="${source}">${this._rallyOptions(current)}</select>
+      </div>`;
+
+    let html = `
+      <div class="mp-drag-handle"></div>
+      <div class="mp-header">
+        <div class="mp-title">Standing Orders</div>
+        <div class="mp-phase">${isNonCombat ? 'Non-Combat Movement' : 'Mobilize Units'}</div>
+      </div>
+
+      <div class="mp-orders-section">
+        <div class="mp-label">Rally points</div>
+        ${factories.map(name => rallyRow('factory', name, points.factories[name])).join('')}
+        ${regions.map(name => rallyRow('region', name, points.regions[name])).join('')}
+        <div class="mp-orders-note">Units on a factory follow its rally point; other units away from the front follow their region's, else head for the nearest front.</div>
+      </div>
+    `;
+
+    if (isNonCombat) {
+      const routes = this._orderRoutes();
+      html += `<div class="mp-orders-section"><div class="mp-label">Routes</div>`;
+      if (routes.length === 0) {
+        html += `<div class="mp-assembly-empty">No idle units to send this turn.</div>`;
+      }
+      for (const route of routes) {
+        const key = `${route.from}>${route.to}`;
+        html += `
+          <label class="mp-order-route" data-territory="${route.to}">
+            <input type="checkbox" data-route="${key}" ${this.ordersSkipped.has(key) ? '' : 'checked'}>
+            <span class="mp-order-path">${route.from} → ${route.to}${route.to !== route.goal ? ` <span class="mp-order-goal">(toward ${route.goal})</span>` : ''}</span>
+            <span class="mp-order-units">${route.units.map(u => `${u.quantity} ${u.type}`).join(', ')}</span>
+          </label>`;
+      }
+      html += `</div>`;
+    }
+
+    if (this.ordersError) {
+      html += `<div class="mp-air-warning"><span>${this.ordersError}</span></div>`;
+    }
+
+    const count = isNonCombat ? this.getOrderRoutes().length : 0;
+    html += `
+      <div class="mp-actions">
+        ${isNonCombat ? `<button class="mp-confirm-btn primary" data-action="orders-confirm" ${count > 0 ? '' : 'disabled'}>Apply ${count} Move${count === 1 ? '' : 's'}</button>` : ''}
+        <button class="mp-cancel-btn">${isNonCombat ? 'Cancel' : 'Close'}</button>
+      </div>
+    `;
+
+    this.el.innerHTML = html;
+    this._bindOrdersEvents();
+  }
+
+  _bindOrdersEvents() {
+    this.el.querySelectorAll('.mp-rally-select').forEach(select => {
+      select.addEventListener('change', () => {
+        const player = this.gameState.currentPlayer;
+        const result = this.gameState.setRallyPoint(player.id, select.dataset.kind, select.dataset.source, select.value || null);
+        this.ordersError = result.success ? null : result.error;
+        this.ordersSkipped = new Set();
+        this._render();
+      });
+    });
+
+    this.el.querySelectorAll('[data-route]').forEach(box => {
+      box.addEventListener('change', () => {
+        if (box.checked) this.ordersSkipped.delete(box.dataset.route);
+        else this.ordersSkipped.add(box.dataset.route);
+        this._render();
+      });
+    });
+
+    // Hovering a route highlights where it ends on the map
+    this.el.querySelectorAll('.mp-order-route').forEach(row => {
+      row.addEventListener('mouseenter', () => this.onHighlightTerritory?.(row.dataset.territory, true));
+      row.addEventListener('mouseleave', () => this.onHighlightTerritory?.(null, false));
+    });
+
+    this.el.querySelector('[data-action="orders-confirm"]')?.addEventListener('click', () => this._confirmOrders());
+    this.el.querySelector('.mp-cancel-btn')?.addEventListener('click', () => this.cancel());
+  }
+
   _render() {
+    if (this.ordersOpen && this.gameState) {
+      this._renderOrders();
+      return;
+    }
+    if (this.assemblyTarget && this.gameState) {
+      this._renderAssembly();
+      return;
+    }
     if (!this.selectedFrom || !this.gameState) {
       this.el.classList.add('hidden');
       return;
@@ -1326,7 +1754,7 @@ export class MovementUI {
       const tooltipText = tooltipParts.join(' | ');
 
       html += `
-        <div class="mp-unit-row">
+        <div class="mp-unit-row ${unitType === this.activeUnitType ? 'active' : ''}">
           <div class="mp-unit-info">
             ${imageSrc ? `<img src="${imageSrc}" class="mp-unit-icon" alt="${unitType}">` : ''}
             <span class="mp-unit-name">${unitType}</span>
@@ -1461,6 +1889,7 @@ export class MovementUI {
         const unit = btn.dataset.unit;
         const qty = parseInt(btn.dataset.qty);
         this.selectedUnits[unit] = qty;
+        this.activeUnitType = unit;
         this._render();
       });
     });
@@ -1625,10 +2054,33 @@ export class MovementUI {
     const current = this.selectedUnits[unitType] || 0;
     const newValue = Math.max(0, Math.min(totalAvailable, current + delta));
     this.selectedUnits[unitType] = newValue;
+    this.activeUnitType = unitType;
 
     this._render();
   }
 
+  // Number keys: set the quantity of the row last adjusted (the first row
+  // until one is), up to what can move. False when no unit rows are showing.
+  setActiveQuantity(quantity) {
+    if (!this.selectedFrom || !this.gameState || this.ordersOpen || this.assemblyTarget ||
+        this.unloadMode || this.el.classList.contains('hidden')) return false;
+
+    const player = this.gameState.currentPlayer;
+    const available = {};
+    for (const u of this.gameState.getUnitsAt(this.selectedFrom.name)) {
+      if (u.owner === player.id && !u.id && this._hasRemainingMovement(u) && this._canUnitMove(u.type)) {
+        available[u.type] = (available[u.type] || 0) + u.quantity;
+      }
+    }
+    const unitType = available[this.activeUnitType] ? this.activeUnitType : Object.keys(available)[0];
+    if (!unitType) return false;
+
+    this.activeUnitType = unitType;
+    this.selectedUnits[unitType] = Math.max(0, Math.min(available[unitType], quantity));
+    this._render();
+    return true;
+  }
+
   // Launch aircraft from carrier - makes it a free unit that can be selected to move
   _launchAircraft(carrierIndex, aircraftIndex) {
     if (!this.selectedFrom || !this.gameState) return;
@@ -15,6 +15,8 @@ import {
 } from '../multiplayer/lastMatch.js';
 import { resolveHostLobbyPrimaryCta } from '../multiplayer/lobbyStart.js';
 import { resolveHostAwayBanner } from '../ui/hudClarity.js';
+import { TURN_CLOCK_MINUTES } from '../state/turnClock.js';
+import { spectatorMode } from '../multiplayer/spectatorPolicy.js';
 
 // Available factions (should match setup data)
 const FACTIONS = [
@@ -42,6 +44,28 @@ const AI_DIFFICULTIES = [
   { id: 'hard', name: 'Hard AI' },
 ];
 
+// Turn clock: what happens when a player runs out of time
+const TIMEOUT_CHOICES = [
+  ['pass', 'Pass the turn'],
+  ...AI_DIFFICULTIES.map(d => [`ai:${d.id}`, `${d.name} plays it`]),
+];
+
+const formatClockMinutes = n => (n >= 60 ? `${n / 60} h` : `${n} min`);
+
+// Who may watch the game and what they see (spectatorPolicy.js)
+const SPECTATOR_CHOICES = [
+  ['live', 'Live'],
+  ['delayed', 'One turn behind'],
+  ['off', 'Off'],
+];
+
+// Fog of war modes (fogOfWar.js); '' = no fog
+const FOG_CHOICES = [
+  ['', 'Off'],
+  ['units', 'Hide units'],
+  ['full', 'Full'],
+];
+
 export class MultiplayerLobby {
   constructor(setup, onStart, onBack) {
     this.setup = setup;
@@ -257,6 +281,7 @@ export class MultiplayerLobby {
 
       <div class="mp-footer-actions">
         <button class="mp-secondary-btn" data-action="back">← Back</button>
+        <button class="mp-secondary-btn" data-action="profile">Profile</button>
         <button class="mp-secondary-btn danger" data-action="signout">Sign Out</button>
       </div>
     `;
@@ -393,9 +418,10 @@ export class MultiplayerLobby {
       // Load joinable lobbies and the user's own in-progress games in parallel.
       // A started game is no longer a 'waiting' lobby, so without the second
       // query the player's current game would be invisible on this screen.
-      const [lobbies, myGames] = await Promise.all([
+      const [lobbies, myGames, liveGames] = await Promise.all([
         this.lobbyManager.getOpenLobbies(),
-        this.lobbyManager.getMyActiveGames()
+        this.lobbyManager.getMyActiveGames(),
+        this.lobbyManager.getLiveGames()
       ]);
 
       // Sort: user's own lobbies first, then by creation time
@@ -435,7 +461,33 @@ export class MultiplayerLobby {
         `;
       }
 
-      if (sortedLobbies.length === 0 && myGames.length === 0) {
+      // Games anyone can watch without a seat
+      let liveGamesHtml = '';
+      if (liveGames.length > 0) {
+        liveGamesHtml = `
+          <div class="mp-section-subheader">Live — watch a game</div>
+          <div class="mp-games-list">
+            ${liveGames.map(game => {
+              const players = game.lobbyData?.players || [];
+              const playerNames = players.map(p => p.displayName).join(', ');
+              const delayed = spectatorMode(game.lobbyData?.settings) === 'delayed';
+              return `
+                <div class="mp-game-row">
+                  <button class="mp-game-item" data-watch-game-id="${game.id}">
+                    <div class="mp-game-info">
+                      <span class="mp-game-name">${playerNames || 'Game in progress'}</span>
+                      <span class="mp-game-details">Round ${game.state?.round || 1} · ${players.length} players${delayed ? ' · one turn behind' : ''}</span>
+                    </div>
+                    <span class="mp-game-join">Watch</span>
+                  </button>
+                </div>
+              `;
+            }).join('')}
+          </div>
+        `;
+      }
+
+      if (sortedLobbies.length === 0 && myGames.length === 0 && liveGames.length === 0) {
         container.innerHTML = `
           <p class="mp-no-games">No open games available.</p>
           <p class="mp-no-games-hint">Create a game or check back later.</p>
@@ -444,8 +496,10 @@ export class MultiplayerLobby {
         container.innerHTML = `
           ${myGamesHtml}
           <p class="mp-no-games-hint">No open lobbies to join right now.</p>
+          ${liveGamesHtml}
         `;
         this._bindResumeGameButtons(container, myGames);
+        this._bindWatchGameButtons(container, liveGames);
       } else {
         container.innerHTML = `
           ${myGamesHtml}
@@ -468,6 +522,7 @@ export class MultiplayerLobby {
               `;
             }).join('')}
           </div>
+          ${liveGamesHtml}
         `;
 
         // Bind click events for lobby items (resume buttons are bound separately)
@@ -488,6 +543,7 @@ export class MultiplayerLobby {
         });
 
         this._bindResumeGameButtons(container, myGames);
+        this._bindWatchGameButtons(container, liveGames);
 
         // Bind admin delete buttons
         if (isAdmin) {
@@ -531,6 +587,22 @@ export class MultiplayerLobby {
     });
   }
 
+  // Wire up "Live" rows: the game opens read-only (main.js spots that the
+  // user holds no seat)
+  _bindWatchGameButtons(container, liveGames) {
+    container.querySelectorAll('[data-watch-game-id]').forEach(item => {
+      item.addEventListener('click', () => {
+        const game = liveGames.find(g => g.id === item.dataset.watchGameId);
+        if (game) {
+          this.hide();
+          if (this.onStart) {
+            this.onStart(game.id, game);
+          }
+        }
+      });
+    });
+  }
+
   _renderLobby(user) {
     const lobby = this.lobbyManager.getLobby();
     if (!lobby) {
@@ -642,10 +714,91 @@ export class MultiplayerLobby {
                 <span class="toggle-slider small"></span>
                 <span class="toggle-label-text">Team Mode</span>
               </label>
+              <label class="mp-toggle-inline" title="AI battles roll from a secret seed the host keeps; it is revealed when the game ends so they can be re-derived. Battles between human players are not covered: they roll unseeded">
+                <input type="checkbox" id="lobby-seeded-dice" ${lobby.settings?.seededDice ? 'checked' : ''}>
+                <span class="toggle-slider small"></span>
+                <span class="toggle-label-text">Replayable Dice</span>
+              </label>
+              <label class="mp-toggle-inline" title="Players pick territories one at a time in snake order instead of a random deal">
+                <input type="checkbox" id="lobby-territory-draft" ${lobby.settings?.territoryDraft ? 'checked' : ''}>
+                <span class="toggle-slider small"></span>
+                <span class="toggle-label-text">Territory Draft</span>
+              </label>
+              <label class="mp-toggle-inline" title="Also win by controlling enough production at the end of a round (default targets)">
+                <input type="checkbox" id="lobby-economic-victory" ${lobby.settings?.economicVictory ? 'checked' : ''}>
+                <span class="toggle-slider small"></span>
+                <span class="toggle-label-text">Economic Victory</span>
+              </label>
+              <label class="mp-select-inline" title="Time bank: each player's clock runs only on their turns. Deadline: a fixed time for every turn.">
+                <span class="toggle-label-text">Turn Clock</span>
+                <select id="lobby-turn-clock-mode">
+                  <option value="" ${!lobby.settings?.turnClockMode ? 'selected' : ''}>Off</option>
+                  <option value="bank" ${lobby.settings?.turnClockMode === 'bank' ? 'selected' : ''}>Time bank</option>
+                  <option value="deadline" ${lobby.settings?.turnClockMode === 'deadline' ? 'selected' : ''}>Per-turn deadline</option>
+                </select>
+              </label>
+              ${lobby.settings?.turnClockMode ? `
+                <label class="mp-select-inline" title="${lobby.settings.turnClockMode === 'bank' ? 'Starting bank (a tenth of it comes back after each turn)' : 'Time for each turn'}">
+                  <span class="toggle-label-text">Time</span>
+                  <select id="lobby-turn-clock-minutes">
+                    ${TURN_CLOCK_MINUTES.map(n => `<option value="${n}" ${(lobby.settings.turnClockMinutes || 60) === n ? 'selected' : ''}>${formatClockMinutes(n)}</option>`).join('')}
+                  </select>
+                </label>
+                <label class="mp-select-inline" title="What happens to a player who runs out of time">
+                  <span class="toggle-label-text">On Timeout</span>
+                  <select id="lobby-turn-clock-timeout">
+                    ${TIMEOUT_CHOICES.map(([value, label]) => `<option value="${value}" ${(lobby.settings.turnClockTimeout || 'pass') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                  </select>
+                </label>
+              ` : ''}
+              <label class="mp-select-inline" title="Hide enemy units beyond your territories and their neighbours. Full also hides who owns those territories.">
+                <span class="toggle-label-text">Fog of War</span>
+                <select id="lobby-fog-of-war">
+                  ${FOG_CHOICES.map(([value, label]) => `<option value="${value}" ${(lobby.settings?.fogOfWar || '') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+              </label>
+              <label class="mp-select-inline" title="One turn behind: spectators only see the board as it stood when the current turn began">
+                <span class="toggle-label-text">Spectators</span>
+                <select id="lobby-spectators">
+                  ${SPECTATOR_CHOICES.map(([value, label]) => `<option value="${value}" ${spectatorMode(lobby.settings) === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+              </label>
+              ${lobby.settings?.teamsEnabled ? '' : `
+                <label class="mp-select-inline" title="Capitals a player must hold to win (Auto: all with 2-3 players, a majority with 4+)">
+                  <span class="toggle-label-text">Capitals to Win</span>
+                  <select id="lobby-capitals-to-win">
+                    <option value="" ${!lobby.settings?.capitalsToWin ? 'selected' : ''}>Auto</option>
+                    ${[2, 3, 4, 5].map(n => `<option value="${n}" ${lobby.settings?.capitalsToWin === n ? 'selected' : ''}>${n}</option>`).join('')}
+                  </select>
+                </label>
+                <label class="mp-select-inline" title="When capital control is checked">
+                  <span class="toggle-label-text">Check</span>
+                  <select id="lobby-victory-timing">
+                    <option value="immediate" ${lobby.settings?.victoryTiming !== 'round_end' ? 'selected' : ''}>On capture</option>
+                    <option value="round_end" ${lobby.settings?.victoryTiming === 'round_end' ? 'selected' : ''}>End of round</option>
+                  </select>
+                </label>
+                <label class="mp-select-inline" title="After the last round the highest income wins">
+                  <span class="toggle-label-text">Round Limit</span>
+                  <select id="lobby-round-limit">
+                    <option value="" ${!lobby.settings?.roundLimit ? 'selected' : ''}>None</option>
+                    ${[10, 15, 20, 30].map(n => `<option value="${n}" ${lobby.settings?.roundLimit === n ? 'selected' : ''}>${n}</option>`).join('')}
+                  </select>
+                </label>
+              `}
             </div>
-          ` : (lobby.settings?.teamsEnabled ? `
-            <div class="mp-team-mode-badge">Team Mode Enabled</div>
-          ` : '')}
+          ` : `
+            ${lobby.settings?.teamsEnabled ? '<div class="mp-team-mode-badge">Team Mode Enabled</div>' : ''}
+            ${lobby.settings?.seededDice ? '<div class="mp-team-mode-badge" title="AI battles only: human players\' battles roll unseeded">Replayable Dice (AI battles)</div>' : ''}
+            ${lobby.settings?.territoryDraft ? '<div class="mp-team-mode-badge">Territory Draft</div>' : ''}
+            ${lobby.settings?.economicVictory ? '<div class="mp-team-mode-badge">Economic Victory</div>' : ''}
+            ${lobby.settings?.fogOfWar ? `<div class="mp-team-mode-badge">Fog of War: ${FOG_CHOICES.find(([value]) => value === lobby.settings.fogOfWar)?.[1] || 'On'}</div>` : ''}
+            ${spectatorMode(lobby.settings) !== 'live' ? `<div class="mp-team-mode-badge">Spectators: ${SPECTATOR_CHOICES.find(([value]) => value === spectatorMode(lobby.settings))[1]}</div>` : ''}
+            ${lobby.settings?.turnClockMode ? `<div class="mp-team-mode-badge">Turn Clock: ${formatClockMinutes(lobby.settings.turnClockMinutes || 60)}${lobby.settings.turnClockMode === 'bank' ? ' bank' : ' per turn'}</div>` : ''}
+            ${!lobby.settings?.teamsEnabled && lobby.settings?.capitalsToWin ? `<div class="mp-team-mode-badge">${lobby.settings.capitalsToWin} Capitals to Win</div>` : ''}
+            ${!lobby.settings?.teamsEnabled && lobby.settings?.victoryTiming === 'round_end' ? '<div class="mp-team-mode-badge">Victory Checked at Round End</div>' : ''}
+            ${!lobby.settings?.teamsEnabled && lobby.settings?.roundLimit ? `<div class="mp-team-mode-badge">${lobby.settings.roundLimit} Round Limit</div>` : ''}
+          `}
         </div>
 
         <div class="mp-lobby-actions">
@@ -737,6 +890,10 @@ export class MultiplayerLobby {
       }
     });
 
+    this.el.querySelector('[data-action="profile"]')?.addEventListener('click', () => {
+      if (this.onBack) this.onBack('profile');
+    });
+
     this.el.querySelector('[data-action="signout"]')?.addEventListener('click', async () => {
       await this.authManager.signOut();
       this.hide();
@@ -875,6 +1032,53 @@ export class MultiplayerLobby {
     this.el.querySelector('#lobby-teams')?.addEventListener('change', async (e) => {
       await this.lobbyManager.updateSettings({ teamsEnabled: e.target.checked });
     });
+
+    // Replayable (seeded) dice toggle (host only)
+    this.el.querySelector('#lobby-seeded-dice')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ seededDice: e.target.checked });
+    });
+
+    // Territory draft toggle (host only)
+    this.el.querySelector('#lobby-territory-draft')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ territoryDraft: e.target.checked });
+    });
+
+    // FFA capital victory settings (host only)
+    this.el.querySelector('#lobby-capitals-to-win')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ capitalsToWin: parseInt(e.target.value, 10) || null });
+    });
+    this.el.querySelector('#lobby-victory-timing')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ victoryTiming: e.target.value });
+    });
+    this.el.querySelector('#lobby-round-limit')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ roundLimit: parseInt(e.target.value, 10) || null });
+    });
+
+    // Turn clock settings (host only)
+    this.el.querySelector('#lobby-turn-clock-mode')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ turnClockMode: e.target.value || null });
+    });
+    this.el.querySelector('#lobby-turn-clock-minutes')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ turnClockMinutes: parseInt(e.target.value, 10) || 60 });
+    });
+    this.el.querySelector('#lobby-turn-clock-timeout')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ turnClockTimeout: e.target.value });
+    });
+
+    // Fog of war (host only)
+    this.el.querySelector('#lobby-fog-of-war')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ fogOfWar: e.target.value || null });
+    });
+
+    // Spectator setting (host only)
+    this.el.querySelector('#lobby-spectators')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ spectators: e.target.value });
+    });
+
+    // Economic victory toggle (host only)
+    this.el.querySelector('#lobby-economic-victory')?.addEventListener('change', async (e) => {
+      await this.lobbyManager.updateSettings({ economicVictory: e.target.checked });
+    });
   }
 
   _showAddAIDialog() {
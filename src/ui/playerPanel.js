@@ -14,6 +14,7 @@ import {
   shouldUsePhonePlacementTray,
 } from './mobileShell.js';
 import { knownUnitsToPlace } from '../state/placementPass.js';
+import { PACT_LABELS, PACT_TYPES } from '../state/diplomacy.js';
 import {
   applyPlaceQueueDelta,
   applyPlaceQueueMax,
@@ -26,6 +27,15 @@ import {
   queueAfterDeployAttempt,
 } from '../state/placeQueue.js';
 import { resolvePresenceState } from '../multiplayer/presencePolicy.js';
+import { countSpectators } from '../multiplayer/spectatorPolicy.js';
+import {
+  allianceSeats,
+  hasAllianceChannel,
+  chatSystemMessages,
+  chatFeed,
+  unreadChatCount,
+  MAX_CHAT_LENGTH,
+} from '../multiplayer/chatPolicy.js';
 import { resolveHostReconnectCopy } from '../multiplayer/lastMatch.js';
 import { resolveUndoAction, canUndoLastMove, shouldPassPlacementTurn, shouldApplyUndoAction } from '../state/undoPolicy.js';
 import {
@@ -45,6 +55,7 @@ import {
 
 // Compact phase hints — phone tray peek reads these next to End ${phase}.
 export const PHASE_HINTS = {
+  [GAME_PHASES.TERRITORY_DRAFT]: 'Click an unclaimed territory',
   [GAME_PHASES.CAPITAL_PLACEMENT]: 'Click your territory',
   [GAME_PHASES.UNIT_PLACEMENT]: 'Click to place units',
   [TURN_PHASES.DEVELOP_TECH]: '',
@@ -61,6 +72,7 @@ const TABS = [
   { id: 'stats', label: 'Players', icon: '📊' },
   { id: 'territory', label: 'Territory', icon: '🗺' },
   { id: 'log', label: 'Log', icon: '📜' },
+  { id: 'chat', label: 'Chat', icon: '💬', chatOnly: true },
   { id: 'debug', label: 'Debug', icon: '🔧', multiplayerOnly: true },
 ];
 
@@ -239,6 +251,7 @@ export function computeInitialPlacementUX({
 
 // One-line "what now" for the phone tray peek (and the desktop phase row).
 export function resolvePhaseHint(phase, turnPhase) {
+  if (phase === GAME_PHASES.TERRITORY_DRAFT) return PHASE_HINTS[GAME_PHASES.TERRITORY_DRAFT] || '';
   if (phase === GAME_PHASES.CAPITAL_PLACEMENT) return PHASE_HINTS[GAME_PHASES.CAPITAL_PLACEMENT] || '';
   if (phase === GAME_PHASES.UNIT_PLACEMENT) return PHASE_HINTS[GAME_PHASES.UNIT_PLACEMENT] || '';
   if (phase === GAME_PHASES.PLAYING) return PHASE_HINTS[turnPhase] || '';
@@ -254,6 +267,7 @@ export function resolvePhonePeekHint(phase, turnPhase, selectedUnitType) {
       : 'Tap a territory to select';
   }
   if (phase === GAME_PHASES.CAPITAL_PLACEMENT) return 'Tap your land, then Confirm';
+  if (phase === GAME_PHASES.TERRITORY_DRAFT) return 'Tap unclaimed land, then Draft';
   const base = resolvePhaseHint(phase, turnPhase);
   if (base) return base;
   if (phase === GAME_PHASES.PLAYING) {
@@ -266,7 +280,7 @@ export function resolvePhonePeekHint(phase, turnPhase, selectedUnitType) {
 
 // Place Capital Confirm is the verb. Do not also show a hint line.
 export function shouldShowPhoneSetupPeekHint({ phase, hasPrimaryCta } = {}) {
-  if (phase === GAME_PHASES.CAPITAL_PLACEMENT && hasPrimaryCta) return false;
+  if ((phase === GAME_PHASES.CAPITAL_PLACEMENT || phase === GAME_PHASES.TERRITORY_DRAFT) && hasPrimaryCta) return false;
   return true;
 }
 
@@ -319,7 +333,7 @@ export function formatRecentMove(move) {
   const from = typeof move.from === 'string' ? move.from : '';
   const to = typeof move.to === 'string' ? move.to : '';
 
-  if (unitStr && from && to) return `${unitStr}: ${from} → ${to}`;
+  if (unitStr && from && to) return `${unitStr}: ${from} → ${to}${move.bombingRaid ? ' 💣' : ''}`;
   if (unitStr) return unitStr;
 
   if (Array.isArray(move.shipIds) && move.shipIds.length > 0 && from && to) {
@@ -367,6 +381,18 @@ export class PlayerPanel {
     // Player presence data (green/yellow/red indicators)
     this.presenceData = {};
 
+    // Fog of war: returns the local side's view (GameState.getFogView)
+    this.fogView = null;
+
+    // Chat (ChatManager online, createLocalChat on one device). Read marks
+    // are per reader so pass-and-play players each get their own badge.
+    this.chat = null;
+    this.chatMessages = [];
+    this.chatChannel = 'global';
+    this.chatDraft = '';
+    this.chatReadAt = {};
+    this._chatUnsubscribe = null;
+
     // Inline air landing state
     this.airLandingData = null;  // { airUnitsToLand, combatTerritory, isRetreating }
     this.airLandingIndex = 0;
@@ -402,6 +428,15 @@ export class PlayerPanel {
     });
     this.contentEl.addEventListener('click', (e) => this._onPanelClick(e));
     this.contentEl.addEventListener('change', (e) => this._onPanelChange(e));
+    this.contentEl.addEventListener('input', (e) => {
+      if (e.target.matches('.pp-chat-input')) this.chatDraft = e.target.value;
+    });
+    this.contentEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.matches('.pp-chat-input')) {
+        e.preventDefault();
+        this._sendChat();
+      }
+    });
   }
 
   _readPointerLock(e) {
@@ -584,6 +619,39 @@ export class PlayerPanel {
     this.actionLog = actionLog;
   }
 
+  setFogView(fogView) {
+    this.fogView = fogView;
+  }
+
+  // Attach the game's chat (null: no chat tab)
+  setChat(chat) {
+    this._chatUnsubscribe?.();
+    this._chatUnsubscribe = null;
+    this.chat = chat;
+    this.chatMessages = [];
+    this.chatChannel = 'global';
+    this.chatDraft = '';
+    this.chatReadAt = {};
+    if (this.activeTab === 'chat' && !chat) this.activeTab = 'actions';
+    if (chat) {
+      this._chatUnsubscribe = chat.subscribe((messages) => {
+        this.chatMessages = messages || [];
+        this._scheduleRender();
+      });
+    }
+    this._scheduleRender();
+  }
+
+  // Pass-and-play handoff: put chat away so the next player does not see
+  // the last one's conversation or half-typed message
+  closeChat() {
+    this.chatDraft = '';
+    this.chatChannel = 'global';
+    if (this.activeTab === 'chat') this.activeTab = 'actions';
+    if (this.phoneDetentTab === 'chat') this.phoneDetentTab = 'actions';
+    this._scheduleRender();
+  }
+
   // Multiplayer state
   setMultiplayerState(syncManager, localUserId, gameCode = null) {
     this.syncManager = syncManager;
@@ -828,6 +896,8 @@ export class PlayerPanel {
         html += this._renderTerritoryTab(player);
       } else if (this.phoneDetentTab === 'log') {
         html += this._renderLogTab();
+      } else if (this.phoneDetentTab === 'chat' && this.chat) {
+        html += this._renderChatTab();
       } else if (phoneTray) {
         html += this._renderInlinePlacement(player);
       } else if (shouldShowPhonePanelBody({ mobile, phase, turnPhase, airLanding, movePending })) {
@@ -864,10 +934,21 @@ export class PlayerPanel {
 
     const list = this.contentEl.querySelector('.pp-unit-list');
     if (list) this._unitListScrollTop = list.scrollTop;
+    const typing = typeof document !== 'undefined'
+      && !!document.activeElement?.classList?.contains('pp-chat-input');
 
     this.contentEl.innerHTML = html;
     this._bindEvents();
 
+    // Re-renders replace the chat box; keep the typist's place
+    const chatLines = this.contentEl.querySelector('.pp-chat-lines');
+    if (chatLines) chatLines.scrollTop = chatLines.scrollHeight;
+    const chatInput = this.contentEl.querySelector('.pp-chat-input');
+    if (chatInput && typing) {
+      chatInput.focus();
+      chatInput.setSelectionRange(chatInput.value.length, chatInput.value.length);
+    }
+
     const restored = this.contentEl.querySelector('.pp-unit-list');
     if (restored) restored.scrollTop = this._unitListScrollTop || 0;
   }
@@ -932,6 +1013,18 @@ export class PlayerPanel {
         });
       }
     }
+    // Territory draft — Draft is the only verb. Unclaimed-land tap selects.
+    else if (phase === GAME_PHASES.TERRITORY_DRAFT && this.selectedTerritory && !this.selectedTerritory.isWater) {
+      if (!this.gameState.getOwner(this.selectedTerritory.name)) {
+        buttons.push({
+          action: 'draft-territory',
+          label: `Draft: ${this.selectedTerritory.name}`,
+          disabled: false,
+          primary: true,
+          territory: this.selectedTerritory.name
+        });
+      }
+    }
     // Initial unit placement — Deploy stays on the peek CTA (not clipped
     // in the tray body). Done only after the queue is empty.
     else if (phase === GAME_PHASES.UNIT_PLACEMENT) {
@@ -962,7 +1055,8 @@ export class PlayerPanel {
     // End Phase button (always visible during PLAYING phase, unless in special modes)
     if (phase === GAME_PHASES.PLAYING && !this.isAirLandingActive() && !this.movePendingDest) {
       const hasUnresolvedCombats = turnPhase === TURN_PHASES.COMBAT &&
-        this.gameState.combatQueue && this.gameState.combatQueue.length > 0;
+        ((this.gameState.combatQueue && this.gameState.combatQueue.length > 0) ||
+          !!this.gameState.hasPendingBombingRaids?.());
 
       const pendingPurchases = this.gameState.getPendingPurchases?.() || [];
       const unplacedUnits = pendingPurchases.reduce((sum, p) => sum + p.quantity, 0);
@@ -1082,7 +1176,12 @@ export class PlayerPanel {
     // Identity bar + WAITING badge follow the loaded seat, not the optimistic
     // waiting lock. Own-seat + WAITING / "You: …" is the V2.72 stuck state.
     let identityBar = '';
-    if (isMultiplayer && !isOwnSeat && this.localUserId) {
+    if (isMultiplayer && this.syncManager?.spectating) {
+      identityBar = `
+        <div class="pp-identity-bar spectating">
+          <span>Spectating${this.syncManager.spectatorMode === 'delayed' ? ' · one turn behind' : ''}</span>
+        </div>`;
+    } else if (isMultiplayer && !isOwnSeat && this.localUserId) {
       // Find local player info
       const localPlayer = this.gameState.players?.find(p => p.oderId === this.localUserId);
       if (localPlayer) {
@@ -1098,6 +1197,10 @@ export class PlayerPanel {
     // Multiplayer turn indicator
     let turnIndicator = '';
     let headerLabel = player.name;
+    const watching = isMultiplayer ? countSpectators(this.presenceData) : 0;
+    const watchingChip = watching > 0
+      ? `<span class="pp-watching" style="color: ${textColor};" title="${watching} watching">👁 ${watching}</span>`
+      : '';
     if (isMultiplayer) {
       if (isOwnSeat) {
         turnIndicator = `<span class="pp-turn-badge your-turn" style="color: ${textColor};">YOUR TURN</span>`;
@@ -1115,6 +1218,7 @@ export class PlayerPanel {
         <span class="pp-player-name" style="color: ${textColor};">${headerLabel}</span>
         ${aiLabel}
         ${turnIndicator}
+        ${watchingChip}
         <span class="pp-resources-inline" style="color: ${textColor};">${ipcs}$ · ${territories}T</span>
       </div>`;
   }
@@ -1161,15 +1265,18 @@ export class PlayerPanel {
 
   _renderTabs() {
     const isMultiplayer = this.gameState?.isMultiplayer;
-    const visibleTabs = TABS.filter(tab => !tab.multiplayerOnly || isMultiplayer);
+    const visibleTabs = TABS.filter(tab =>
+      (!tab.multiplayerOnly || isMultiplayer) && (!tab.chatOnly || this.chat));
+    const unread = this.chat ? this._chatUnread() : 0;
 
     return `
       <div class="pp-tabs">
         ${visibleTabs.map(tab => `
-          <button class="pp-tab ${this.activeTab === tab.id ? 'active' : ''}"
+          <button class="pp-tab ${tab.id === 'chat' ? 'pp-tab-chat' : ''} ${this.activeTab === tab.id ? 'active' : ''}"
                   data-tab="${tab.id}" title="${tab.label}">
             <span class="pp-tab-icon">${tab.icon}</span>
             <span class="pp-tab-label">${tab.label}</span>
+            ${tab.id === 'chat' && unread > 0 ? `<span class="pp-tab-badge">${unread > 9 ? '9+' : unread}</span>` : ''}
           </button>
         `).join('')}
       </div>`;
@@ -1185,6 +1292,8 @@ export class PlayerPanel {
         return this._renderTerritoryTab(player);
       case 'log':
         return this._renderLogTab();
+      case 'chat':
+        return this._renderChatTab();
       case 'debug':
         return this._renderDebugTab();
       default:
@@ -1213,7 +1322,7 @@ export class PlayerPanel {
             <span style="color: ${player.color}">${player.name}</span> is playing
           </div>
           <div class="pp-waiting-phase">${this._getPhaseDisplayName(phase, turnPhase)}</div>
-          <div class="pp-waiting-hint">You can view the map while waiting</div>
+          <div class="pp-waiting-hint">${this.syncManager?.spectating ? 'You are spectating this game' : 'You can view the map while waiting'}</div>
           ${this._renderHostReconnectHint()}
         </div>`;
       html += '</div>';
@@ -1244,6 +1353,7 @@ export class PlayerPanel {
   }
 
   _getPhaseDisplayName(phase, turnPhase) {
+    if (phase === GAME_PHASES.TERRITORY_DRAFT) return 'Drafting Territories';
     if (phase === GAME_PHASES.CAPITAL_PLACEMENT) return 'Placing Capital';
     if (phase === GAME_PHASES.UNIT_PLACEMENT) return 'Initial Deployment';
     if (phase === GAME_PHASES.PLAYING) {
@@ -1272,6 +1382,16 @@ export class PlayerPanel {
       }
     }
 
+    // Territory draft - pick counter + hint, button is in bottom actions bar
+    if (phase === GAME_PHASES.TERRITORY_DRAFT) {
+      const remaining = this.gameState.getDraftableTerritories().length;
+      html += `<div class="pp-hint">${remaining} territor${remaining === 1 ? 'y' : 'ies'} left to draft`;
+      if (!isMobileShell() && (!this.selectedTerritory || this.selectedTerritory.isWater)) {
+        html += ` — click an unclaimed territory to draft it`;
+      }
+      html += `</div>`;
+    }
+
     // Unit placement
     if (phase === GAME_PHASES.UNIT_PLACEMENT) {
       html += this._renderInlinePlacement(player);
@@ -1295,10 +1415,22 @@ export class PlayerPanel {
 
         if (hasMovableTerritory) {
           html += this._renderInlineMovement(player, turnPhase);
+        } else if (this.selectedTerritory && this.gameState.getFogBoard([player.id]).isAttackTarget(this.selectedTerritory.name)) {
+          // Enemy territory picked first: gather an attack from every source
+          // in range (under fog, only enemies the player can see)
+          html += `
+            <button class="pp-move-btn attack" data-action="assemble-attack" data-territory="${this.selectedTerritory.name}">
+              ⚔ Assemble Attack on ${this.selectedTerritory.name}
+            </button>`;
         } else {
           html += `<div class="pp-hint">Click a territory with your units to move them</div>`;
         }
 
+        // Rally points and the routes they propose for idle interior units
+        if (turnPhase === TURN_PHASES.NON_COMBAT_MOVE && !hasMovableTerritory) {
+          html += `<button class="pp-move-btn secondary" data-action="standing-orders">📯 Execute Standing Orders</button>`;
+        }
+
         // Show rockets option during combat move phase (if player has tech)
         if (turnPhase === TURN_PHASES.COMBAT_MOVE) {
           html += this._renderRocketsUI(player);
@@ -1339,7 +1471,13 @@ export class PlayerPanel {
 
       if (turnPhase === TURN_PHASES.COMBAT) {
         const combatCount = this.gameState.combatQueue?.length || 0;
-        if (combatCount > 0) {
+        const raidCount = this.gameState.getPendingBombingRaids?.().length || 0;
+        if (raidCount > 0) {
+          html += `
+            <button class="pp-action-btn combat" data-action="open-combat">
+              💣 Resolve ${raidCount} Bombing Raid${raidCount > 1 ? 's' : ''}
+            </button>`;
+        } else if (combatCount > 0) {
           html += `
             <button class="pp-action-btn combat" data-action="open-combat">
               ⚔️ Resolve ${combatCount} Battle${combatCount > 1 ? 's' : ''}
@@ -1351,6 +1489,7 @@ export class PlayerPanel {
 
       if (turnPhase === TURN_PHASES.MOBILIZE) {
         html += this._renderInlineMobilize(player);
+        html += `<button class="pp-move-btn secondary" data-action="standing-orders">📯 Rally Points</button>`;
       }
 
       if (turnPhase === TURN_PHASES.COLLECT_INCOME) {
@@ -1368,11 +1507,15 @@ export class PlayerPanel {
     html += `<div class="pp-all-players">`;
 
     // Gather stats for all players
+    const fog = this.fogView?.() || null;
     const playerStats = this.gameState.players.map(p => {
       const territories = this.gameState.getPlayerTerritories(p.id);
       const income = this._calculateIncome(p.id);
       const units = this._countUnits(p.id);
-      const totalUnits = Object.values(units).reduce((a, b) => a + b, 0);
+      // Under fog of war other sides' armies are not counted
+      const totalUnits = fog && !fog.friendly(p.id)
+        ? '?'
+        : Object.values(units).reduce((a, b) => a + b, 0);
       const techs = this.gameState.playerTechs?.[p.id]?.unlockedTechs || [];
       const ipcs = this.gameState.getIPCs(p.id);
       // Capital is stored in playerState, not a separate capitals object
@@ -1457,6 +1600,9 @@ export class PlayerPanel {
 
     html += `</div>`;
 
+    // Free-for-all pacts, from the local seat's point of view
+    html += this._renderDiplomacy(currentPlayer);
+
     // In multiplayer, find the LOCAL player's stats (not the current turn player)
     // In single player, show current turn player's stats
     const hasLocalUser = isMultiplayer && this.localUserId;
@@ -1676,6 +1822,125 @@ export class PlayerPanel {
     return html;
   }
 
+  // Who is reading chat: online the local user (seat null for a spectator),
+  // on one device the human whose turn it is. key null = read-only.
+  _chatViewer() {
+    const gs = this.gameState;
+    if (!gs) return { key: null, seat: null };
+    if (gs.isMultiplayer) {
+      const seat = gs.players?.find(p => p.oderId && p.oderId === this.localUserId) || null;
+      return { key: this.localUserId || null, seat: seat?.surrendered ? null : seat };
+    }
+    const current = gs.currentPlayer;
+    const seat = current && !current.isAI ? current : null;
+    return { key: seat?.id || null, seat };
+  }
+
+  _chatFeed(viewer = this._chatViewer()) {
+    const gs = this.gameState;
+    const fog = this.fogView?.() || null;
+    const system = chatSystemMessages(
+      gs?.turnEvents,
+      id => gs?.players?.find(p => p.id === id)?.name || id || 'Neutral',
+      fog ? name => fog.visible.has(name) : undefined,
+    );
+    return chatFeed(this.chatMessages, system, viewer.key);
+  }
+
+  _chatUnread() {
+    const viewer = this._chatViewer();
+    if (!viewer.key) return 0;
+    return unreadChatCount(this._chatFeed(viewer), this.chatReadAt[viewer.key], viewer.key);
+  }
+
+  _chatAllianceKeys(seat) {
+    const gs = this.gameState;
+    const seats = allianceSeats(gs.players, seat.id, (a, b) => gs.areAllies(a, b));
+    return seats.map(p => (gs.isMultiplayer ? p.oderId : p.id)).filter(Boolean);
+  }
+
+  _renderChatTab() {
+    const gs = this.gameState;
+    const viewer = this._chatViewer();
+    const feed = this._chatFeed(viewer);
+    // Reading the tab clears the badge
+    const latest = feed.reduce((at, m) => Math.max(at, m.at || 0), 0);
+    if (viewer.key) this.chatReadAt[viewer.key] = latest;
+
+    const alliance = !!viewer.seat && hasAllianceChannel(gs.players, viewer.seat.id, (a, b) => gs.areAllies(a, b));
+    const channel = alliance ? this.chatChannel : 'global';
+
+    let html = '<div class="pp-chat-tab">';
+    if (alliance) {
+      html += `
+        <div class="pp-chat-channels">
+          <button class="pp-chat-channel ${channel === 'global' ? 'active' : ''}" data-action="chat-channel" data-channel="global">Everyone</button>
+          <button class="pp-chat-channel ${channel === 'alliance' ? 'active' : ''}" data-action="chat-channel" data-channel="alliance">Alliance</button>
+        </div>`;
+    }
+
+    html += '<div class="pp-chat-lines">';
+    if (feed.length === 0) {
+      html += `<div class="pp-log-empty">No messages yet</div>`;
+    }
+    for (const line of feed) {
+      if (line.system) {
+        html += `<div class="pp-chat-line system">${this._escapeHtml(line.text)}</div>`;
+        continue;
+      }
+      const mine = line.by === viewer.key;
+      html += `
+        <div class="pp-chat-line ${line.channel === 'alliance' ? 'alliance' : ''} ${mine ? 'mine' : ''}">
+          <span class="pp-chat-name" style="color: ${line.color || '#ccc'}">${this._escapeHtml(line.name)}${line.channel === 'alliance' ? ' (alliance)' : ''}</span>
+          <span class="pp-chat-text">${this._escapeHtml(line.text)}</span>
+        </div>`;
+    }
+    html += '</div>';
+
+    if (viewer.seat) {
+      html += `
+        <div class="pp-chat-compose">
+          <input type="text" class="pp-chat-input" maxlength="${MAX_CHAT_LENGTH}"
+                 placeholder="${channel === 'alliance' ? 'Message your alliance' : 'Message everyone'}"
+                 value="${this._escapeHtml(this.chatDraft)}">
+          <button class="pp-chat-send" data-action="chat-send">Send</button>
+        </div>`;
+    } else {
+      html += `<div class="pp-chat-readonly">${gs.isMultiplayer ? 'Spectators can read the table chat' : 'Chat opens on a human player\'s turn'}</div>`;
+    }
+
+    html += '</div>';
+    return html;
+  }
+
+  async _sendChat() {
+    const viewer = this._chatViewer();
+    if (!this.chat || !viewer.seat || !this.chatDraft.trim()) return;
+    const gs = this.gameState;
+    const alliance = this.chatChannel === 'alliance'
+      && hasAllianceChannel(gs.players, viewer.seat.id, (a, b) => gs.areAllies(a, b));
+    const text = this.chatDraft;
+    this.chatDraft = '';
+    const sent = await this.chat.send({
+      text,
+      channel: alliance ? 'alliance' : 'global',
+      to: alliance ? this._chatAllianceKeys(viewer.seat) : [],
+      sender: { key: viewer.key, name: viewer.seat.name, seat: viewer.seat.id, color: viewer.seat.color },
+    });
+    // Keep the text if it did not go out
+    if (!sent && !this.chatDraft) this.chatDraft = text;
+    this._scheduleRender();
+  }
+
+  _escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   // Collapse consecutive placement entries into summaries
   _collapseLogEntries(entries) {
     const result = [];
@@ -1786,6 +2051,7 @@ export class PlayerPanel {
       case 'placement-summary':
       case 'mobilize':
       case 'capital':
+      case 'draft':
         result.territories = [data.territory].filter(Boolean);
         break;
       default:
@@ -1818,6 +2084,7 @@ export class PlayerPanel {
       case 'capture': return `🏴 Captured ${data.territory}`;
       case 'purchase': return `🛒 Purchased units`;
       case 'capital': return `🏛️ Capital: ${data.territory}`;
+      case 'draft': return `📌 Drafted ${data.territory}`;
       case 'income': return `💰 +${data.amount} IPCs`;
       case 'tech': return data.tech ? `🔬 ${data.tech}` : 'Research failed';
       case 'turn': return `📍 ${data.message}`;
@@ -1831,6 +2098,64 @@ export class PlayerPanel {
     }
   }
 
+  // Diplomacy section of the Players tab: standing with each other player
+  // plus the propose / answer / break buttons. Multiplayer acts for the
+  // local seat (proposals work out of turn); hot-seat for the player on turn.
+  _renderDiplomacy(currentPlayer) {
+    if (!this.gameState.canUseDiplomacy?.()) return '';
+    const isMultiplayer = this.gameState.isMultiplayer && this.localUserId;
+    const me = isMultiplayer
+      ? this.gameState.players.find(p => p.oderId === this.localUserId)
+      : currentPlayer;
+    if (!me || me.isAI || me.surrendered) return '';
+
+    const myTurn = currentPlayer?.id === me.id;
+    const btn = (op, label, attrs, extra = '') =>
+      `<button class="pp-diplo-btn ${extra}" data-action="diplomacy" data-op="${op}" data-player="${me.id}" ${attrs}>${label}</button>`;
+
+    let html = `
+      <div class="pp-stat-section pp-diplomacy">
+        <div class="pp-stat-header">🤝 Diplomacy</div>`;
+
+    for (const { player, pact, proposal } of this.gameState.getDiplomacyFor(me.id)) {
+      let status = 'At war';
+      let actions = '';
+
+      if (proposal && proposal.proposedBy === me.id) {
+        status = `${PACT_LABELS[proposal.type]} offered`;
+        actions = btn('withdraw', 'Withdraw', `data-pact-id="${proposal.id}"`);
+      } else if (proposal) {
+        status = `Offers: ${PACT_LABELS[proposal.type]}`;
+        actions = btn('accept', 'Accept', `data-pact-id="${proposal.id}"`, 'primary')
+          + btn('decline', 'Decline', `data-pact-id="${proposal.id}"`);
+      } else if (pact?.status === 'breaking') {
+        const breaker = pact.brokenBy === me.id ? 'you' : player.name;
+        status = `${PACT_LABELS[pact.type]} ends round ${pact.endsRound} (broken by ${breaker})`;
+      } else if (pact) {
+        status = PACT_LABELS[pact.type];
+        if (pact.type === PACT_TYPES.NON_AGGRESSION) {
+          actions += btn('propose', 'Propose Alliance', `data-target="${player.id}" data-pact-type="${PACT_TYPES.ALLIANCE}"`);
+        }
+        actions += btn('break', 'Break', `data-pact-id="${pact.id}" ${myTurn ? '' : 'disabled title="Only on your turn"'}`, 'danger');
+      } else {
+        actions = btn('propose', 'Propose NAP', `data-target="${player.id}" data-pact-type="${PACT_TYPES.NON_AGGRESSION}"`)
+          + btn('propose', 'Propose Alliance', `data-target="${player.id}" data-pact-type="${PACT_TYPES.ALLIANCE}"`);
+      }
+
+      html += `
+        <div class="pp-diplo-row" style="--player-color: ${player.color}">
+          <span class="pp-diplo-name" style="color: ${player.color}">${player.name}</span>
+          <span class="pp-diplo-status ${pact ? pact.type : ''}">${status}</span>
+          ${actions ? `<div class="pp-diplo-actions">${actions}</div>` : ''}
+        </div>`;
+    }
+
+    html += `
+        <div class="pp-diplo-hint">Breaking a pact takes a round's notice: it ends at the start of your next turn.</div>
+      </div>`;
+    return html;
+  }
+
   _calculateIncome(playerId) {
     let income = 0;
     const territories = this.gameState.getPlayerTerritories(playerId);
@@ -1872,6 +2197,7 @@ export class PlayerPanel {
   }
 
   _getPhaseName(phase, turnPhase) {
+    if (phase === GAME_PHASES.TERRITORY_DRAFT) return 'Territory Draft';
     if (phase === GAME_PHASES.CAPITAL_PLACEMENT) return 'Place Capital';
     if (phase === GAME_PHASES.UNIT_PLACEMENT) return 'Initial Deployment';
     if (phase === GAME_PHASES.PLAYING) return TURN_PHASE_NAMES[turnPhase] || turnPhase;
@@ -2187,10 +2513,13 @@ export class PlayerPanel {
       { id: 'territory', label: 'Territory' },
       { id: 'log', label: 'Log' },
     ];
+    if (this.chat) tabs.push({ id: 'chat', label: 'Chat' });
+    const unread = this.chat ? this._chatUnread() : 0;
     let html = `<div class="phone-detent-tabs">`;
     for (const tab of tabs) {
       const active = this.phoneDetentTab === tab.id ? ' active' : '';
-      html += `<button type="button" class="phone-detent-tab${active}" data-action="phone-detent-tab" data-tab="${tab.id}">${tab.label}</button>`;
+      const badge = tab.id === 'chat' && unread > 0 ? ` <span class="pp-tab-badge">${unread > 9 ? '9+' : unread}</span>` : '';
+      html += `<button type="button" class="phone-detent-tab${tab.id === 'chat' ? ' pp-tab-chat' : ''}${active}" data-action="phone-detent-tab" data-tab="${tab.id}">${tab.label}${badge}</button>`;
     }
     html += `</div>`;
     return html;
@@ -3161,6 +3490,9 @@ export class PlayerPanel {
           }
         }
 
+        // Bombers-only selection against an enemy factory can raid instead
+        const raidBombers = isCombatMove ? this._getBombingRaidQuantity(player) : 0;
+
         // Show destination info and warning - button is in bottom actions bar
         html += `
           <div class="pp-move-confirm-area">
@@ -3168,6 +3500,12 @@ export class PlayerPanel {
               ${isAttack ? '⚔ Attack: ' : 'Moving to: '}${this.movePendingDest}
             </div>
             ${airLandingWarning ? `<div class="pp-air-warning">${airLandingWarning}</div>` : ''}
+            ${isCombatMove && isAttack ? `
+              <button class="pp-move-btn odds" data-action="open-battle-calculator">🎲 Battle Odds</button>` : ''}
+            ${raidBombers > 0 ? `
+              <button class="pp-move-btn bombing-raid" data-action="confirm-bombing-raid">
+                💣 Bombing Raid (${raidBombers} bomber${raidBombers > 1 ? 's' : ''})
+              </button>` : ''}
           </div>`;
       } else {
         html += `<div class="pp-hint">Select destination above or click on the map</div>`;
@@ -3182,6 +3520,20 @@ export class PlayerPanel {
     return html;
   }
 
+  // Bombers selected for a raid on the pending destination, or 0 when the
+  // selection/destination does not qualify (SPEC §6.4).
+  _getBombingRaidQuantity(player) {
+    if (!player || !this.selectedTerritory || !this.movePendingDest) return 0;
+    if (this.gameState.turnPhase !== TURN_PHASES.COMBAT_MOVE) return 0;
+    const selected = Object.entries(this.moveSelectedUnits).filter(([, qty]) => qty > 0);
+    if (selected.length !== 1 || selected[0][0] !== 'bomber') return 0;
+    const quantity = selected[0][1];
+    const from = this.selectedTerritory.name;
+    if (this.gameState.getAvailableRaidBombers?.(from, player.id) < quantity) return 0;
+    const targets = this.gameState.getBombingRaidTargets?.(from, this.unitDefs) || [];
+    return targets.includes(this.movePendingDest) ? quantity : 0;
+  }
+
   // Inline Air Landing UI - styled like buy/movement UI
   _renderInlineAirLanding(player) {
     const { airUnitsToLand, combatTerritory, isRetreating } = this.airLandingData;
@@ -3547,6 +3899,30 @@ export class PlayerPanel {
           return;
         }
 
+        if (action === 'chat-send') {
+          this._sendChat();
+          return;
+        }
+
+        if (action === 'chat-channel') {
+          this.chatChannel = btn.dataset.channel === 'alliance' ? 'alliance' : 'global';
+          this._scheduleRender();
+          return;
+        }
+
+        if (action === 'diplomacy') {
+          if (this.onAction) {
+            this.onAction('diplomacy', {
+              op: btn.dataset.op,
+              playerId: btn.dataset.player,
+              target: btn.dataset.target,
+              pactType: btn.dataset.pactType,
+              pactId: btn.dataset.pactId,
+            });
+          }
+          return;
+        }
+
         if (action === 'toggle-cards') {
           this.cardsCollapsed = !this.cardsCollapsed;
           this._scheduleRender();
@@ -3919,6 +4295,41 @@ export class PlayerPanel {
           return;
         }
 
+        // Battle calculator pre-filled with the pending attack
+        if (action === 'open-battle-calculator') {
+          if (this.onAction && this.movePendingDest && this.selectedTerritory) {
+            const from = this.selectedTerritory.name;
+            const here = this.gameState.units[from] || [];
+            const units = [];
+            for (const [key, qty] of Object.entries(this.moveSelectedUnits)) {
+              if (qty <= 0) continue;
+              let type = key;
+              if (key.startsWith('ship:')) type = here.find(u => u.id === key.slice(5))?.type;
+              else if (key.startsWith('cargo:')) type = key.split(':')[2];
+              if (type) units.push({ type, quantity: qty });
+            }
+            const amphibious = !!this.territories?.[from]?.isWater && !this.territories?.[this.movePendingDest]?.isWater;
+            this.onAction('open-battle-calculator', { from, to: this.movePendingDest, units, amphibious });
+          }
+          return;
+        }
+
+        // Strategic bombing raid instead of a regular attack
+        if (action === 'confirm-bombing-raid') {
+          const quantity = this._getBombingRaidQuantity(this.gameState.currentPlayer);
+          if (this.onAction && quantity > 0) {
+            this.onAction('execute-move', {
+              from: this.selectedTerritory.name,
+              to: this.movePendingDest,
+              units: [{ type: 'bomber', quantity }],
+              bombingRaid: true
+            });
+            this.moveSelectedUnits = {};
+            this.movePendingDest = null;
+          }
+          return;
+        }
+
         // Handle cancel move
         if (action === 'cancel-move') {
           this.moveSelectedUnits = {};
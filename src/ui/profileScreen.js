@@ -0,0 +1,198 @@
+// Profile screen for Tactical Risk multiplayer
+// Rating, win rate by faction and by mode, and recent matches. A recent
+// match opens the finished game on its final board.
+
+import { doc, getDoc } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { getFirebaseDb } from '../multiplayer/firebase.js';
+import { getAuthManager } from '../multiplayer/auth.js';
+import { getMatchHistory } from '../multiplayer/matchHistory.js';
+import { MODE_LABELS, VICTORY_LABELS } from '../multiplayer/matchResults.js';
+
+export class ProfileScreen {
+  constructor(setup, onOpenMatch, onBack) {
+    this.setup = setup;
+    this.onOpenMatch = onOpenMatch;
+    this.onBack = onBack;
+    this.db = getFirebaseDb();
+    this.authManager = getAuthManager();
+    this.matchHistory = getMatchHistory();
+    this.el = null;
+    this.profile = null;
+    this.isLoading = false;
+  }
+
+  async show() {
+    if (!this.el) {
+      this._create();
+    }
+    this.el.classList.remove('hidden');
+    this.el.style.display = 'flex';
+    await this._load();
+  }
+
+  hide() {
+    if (this.el) {
+      this.el.classList.add('hidden');
+      this.el.style.display = 'none';
+    }
+  }
+
+  _create() {
+    this.el = document.createElement('div');
+    this.el.id = 'profile-screen';
+    this.el.className = 'lobby-overlay modern';
+    document.body.appendChild(this.el);
+  }
+
+  async _load() {
+    this.isLoading = true;
+    this._render();
+    this.profile = await this.matchHistory.loadProfile(this.authManager.getUserId());
+    this.isLoading = false;
+    this._render();
+  }
+
+  _factionName(id) {
+    return this.setup?.risk?.factions?.find(f => f.id === id)?.name || id;
+  }
+
+  _percent(rate) {
+    return `${Math.round(rate * 100)}%`;
+  }
+
+  _render() {
+    const user = this.authManager.getUser();
+    let content;
+
+    if (this.isLoading) {
+      content = '<div class="mp-games-loading">Loading your profile...</div>';
+    } else if (!this.profile) {
+      content = '<p class="mp-no-games">Could not load your profile.</p>';
+    } else {
+      const { rating, stats } = this.profile;
+      content = `
+        <div class="mp-profile-summary">
+          <div class="mp-profile-stat"><span class="mp-profile-value">${rating}</span><span class="mp-profile-label">Rating</span></div>
+          <div class="mp-profile-stat"><span class="mp-profile-value">${stats.played}</span><span class="mp-profile-label">Played</span></div>
+          <div class="mp-profile-stat"><span class="mp-profile-value">${stats.wins}</span><span class="mp-profile-label">Won</span></div>
+          <div class="mp-profile-stat"><span class="mp-profile-value">${this._percent(stats.winRate)}</span><span class="mp-profile-label">Win rate</span></div>
+        </div>
+        ${stats.played === 0 ? `
+          <p class="mp-no-games">No finished games yet.</p>
+          <p class="mp-no-games-hint">Online games you finish are recorded here.</p>
+        ` : `
+          <div class="mp-section-subheader">By faction</div>
+          ${this._renderTally(stats.byFaction, id => this._factionName(id))}
+          <div class="mp-section-subheader">By mode</div>
+          ${this._renderTally(stats.byMode, mode => MODE_LABELS[mode] || mode)}
+          <div class="mp-section-subheader">Recent matches</div>
+          <div class="mp-games-list">
+            ${stats.recent.map(match => this._renderMatch(match)).join('')}
+          </div>
+        `}
+      `;
+    }
+
+    this.el.innerHTML = `
+      <div class="lobby-container modern">
+        <div class="lobby-bg-pattern"></div>
+        <div class="lobby-content-wrapper">
+          <div class="mp-lobby-container">
+            <div class="lobby-brand mp-brand">
+              <h1 class="lobby-logo">Tactical Risk</h1>
+              <p class="lobby-tagline">${user?.displayName || 'Player'}</p>
+            </div>
+
+            <div class="mp-active-games-section">
+              <div class="mp-section-header">
+                <h3 class="mp-section-title">Profile</h3>
+                <button class="mp-refresh-btn" data-action="refresh" title="Refresh">↻</button>
+              </div>
+              ${content}
+            </div>
+
+            <div class="mp-footer-actions">
+              <button class="mp-secondary-btn" data-action="back">← Back</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this._bindEvents();
+  }
+
+  _renderTally(groups, label) {
+    return `
+      <table class="mp-profile-table">
+        ${groups.map(g => `
+          <tr>
+            <td>${label(g.key)}</td>
+            <td>${g.wins}/${g.played}</td>
+            <td>${this._percent(g.winRate)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  _renderMatch(match) {
+    const change = match.ratingAfter - match.ratingBefore;
+    const result = match.won
+      ? '<span class="mp-your-turn">Won</span>'
+      : `<span class="mp-waiting">${match.surrendered ? 'Surrendered' : 'Lost'}</span>`;
+    const when = match.at ? new Date(match.at).toLocaleDateString() : '';
+
+    return `
+      <div class="mp-game-row">
+        <button type="button" class="mp-game-item" data-game-id="${match.gameId}">
+          <div class="mp-game-info">
+            <span class="mp-game-name">${this._factionName(match.faction)} vs ${(match.opponents || []).join(', ')}</span>
+            <span class="mp-game-details">
+              ${MODE_LABELS[match.mode] || match.mode} · ${VICTORY_LABELS[match.victoryType] || 'Finished'} · Round ${match.rounds} · ${when}
+            </span>
+          </div>
+          <div class="mp-game-status">
+            ${result}
+            <span class="mp-profile-change ${change < 0 ? 'down' : 'up'}">${change < 0 ? change : `+${change}`}</span>
+          </div>
+          <span class="mp-game-join">Final board</span>
+        </button>
+      </div>
+    `;
+  }
+
+  _bindEvents() {
+    this.el.querySelector('[data-action="back"]')?.addEventListener('click', () => {
+      this.hide();
+      if (this.onBack) {
+        this.onBack();
+      }
+    });
+
+    this.el.querySelector('[data-action="refresh"]')?.addEventListener('click', () => {
+      this._load();
+    });
+
+    // Recent matches open the finished game
+    this.el.querySelectorAll('.mp-game-item[data-game-id]').forEach(item => {
+      item.addEventListener('click', async () => {
+        const gameId = item.dataset.gameId;
+        try {
+          const snapshot = await getDoc(doc(this.db, 'games', gameId));
+          if (!snapshot.exists()) {
+            alert('This game is no longer available.');
+            return;
+          }
+          this.hide();
+          if (this.onOpenMatch) {
+            await this.onOpenMatch(gameId, { id: snapshot.id, ...snapshot.data() });
+          }
+        } catch (error) {
+          console.error('[Profile] Error opening match:', error);
+          alert('Failed to open the game: ' + error.message);
+        }
+      });
+    });
+  }
+}
@@ -14,6 +14,8 @@ export class PurchasePopup {
     this.cartCost = 0;
     this.selectedTerritory = null; // Territory to place purchased units
     this.territories = null;
+    this.activeUnitType = null; // Row the number keys set (the last one adjusted)
+    this._rowTypes = []; // Unit rows as of the last render
 
     this.isMinimized = false;
 
@@ -61,6 +63,7 @@ export class PurchasePopup {
     this.purchaseCart = {};
     this.cartCost = 0;
     this.selectedTerritory = null;
+    this.activeUnitType = null;
     this._render();
     this.el.classList.remove('hidden');
   }
@@ -307,13 +310,14 @@ export class PurchasePopup {
       <div class="pp-units">
     `;
 
+    this._rowTypes = units.map(([unitType]) => unitType);
     for (const [unitType, def] of units) {
       const qty = this.purchaseCart[unitType] || 0;
       const canAdd = remaining >= def.cost && remainingCapacity > 0;
       const imageSrc = getUnitIconPath(unitType, player.id);
 
       html += `
-        <div class="pp-unit-row ${qty > 0 ? 'has-qty' : ''}" data-unit="${unitType}">
+        <div class="pp-unit-row ${qty > 0 ? 'has-qty' : ''} ${unitType === this.activeUnitType ? 'active' : ''}" data-unit="${unitType}">
           <div class="pp-unit-info">
             ${imageSrc ? `<img src="${imageSrc}" class="pp-unit-icon" alt="${unitType}">` : ''}
             <span class="pp-unit-name">${unitType}</span>
@@ -446,6 +450,7 @@ export class PurchasePopup {
 
     const currentQty = this.purchaseCart[unitType] || 0;
     let newQty = currentQty + delta;
+    this.activeUnitType = unitType;
 
     newQty = Math.max(0, newQty);
     if (delta > 0 && remaining < def.cost) {
@@ -476,6 +481,7 @@ export class PurchasePopup {
 
 
     const newQty = currentQty + additionalAffordable;
+    this.activeUnitType = unitType;
 
     if (newQty > 0) {
       this.purchaseCart[unitType] = newQty;
@@ -485,6 +491,30 @@ export class PurchasePopup {
     this._render();
   }
 
+  // Number keys: set the quantity of the row last adjusted (the first row
+  // until one is), as many as the budget allows. False when not showing.
+  setActiveQuantity(quantity) {
+    if (!this.isPurchasePhase() || this.el.classList.contains('hidden') || !this._rowTypes.length) return false;
+    const unitType = this._rowTypes.includes(this.activeUnitType) ? this.activeUnitType : this._rowTypes[0];
+    const def = this.unitDefs[unitType];
+
+    const player = this.gameState.currentPlayer;
+    const currentQty = this.purchaseCart[unitType] || 0;
+    const budget = this.gameState.getIPCs(player.id) - this.cartCost + currentQty * def.cost;
+    const newQty = Math.max(0, Math.min(quantity, Math.floor(budget / def.cost)));
+
+    this.activeUnitType = unitType;
+    if (newQty === 0) {
+      delete this.purchaseCart[unitType];
+    } else {
+      this.purchaseCart[unitType] = newQty;
+    }
+
+    this._recalculateCartCost();
+    this._render();
+    return true;
+  }
+
   _clearCart() {
     this.purchaseCart = {};
     this.cartCost = 0;
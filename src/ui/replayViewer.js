@@ -0,0 +1,183 @@
+// Replay Viewer - steps through a game's recorded event log (eventLog.js) over
+// the map. The bar only drives the timeline; main.js draws each frame by
+// pointing the map renderers at a separate replay GameState.
+
+import { createReplay, describeEvent } from '../state/eventLog.js';
+import { GAME_PHASES, TURN_PHASE_NAMES } from '../state/gameState.js';
+
+const SPEEDS = [0.5, 1, 2, 4];
+const BASE_STEP_MS = 800;
+
+export class ReplayViewer {
+  constructor() {
+    this.replay = null;
+    this.index = 0;
+    this.playing = false;
+    this.speed = 1;
+    this.players = [];
+    this.onFrame = null;
+    this.onClose = null;
+    this._timer = null;
+    this._create();
+  }
+
+  setOnFrame(callback) {
+    this.onFrame = callback;
+  }
+
+  setOnClose(callback) {
+    this.onClose = callback;
+  }
+
+  get isOpen() {
+    return !this.el.classList.contains('hidden');
+  }
+
+  _create() {
+    this.el = document.createElement('div');
+    this.el.id = 'replayViewer';
+    this.el.className = 'replay-bar hidden';
+    document.body.appendChild(this.el);
+
+    this.el.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (btn) this._handleAction(btn.dataset.action);
+    });
+    this.el.addEventListener('input', (e) => {
+      if (e.target.matches('.replay-scrub')) {
+        this.pause();
+        this.seek(parseInt(e.target.value, 10));
+      }
+    });
+    this.el.addEventListener('change', (e) => {
+      if (e.target.matches('.replay-speed')) {
+        this.speed = parseFloat(e.target.value) || 1;
+        if (this.playing) this._schedule();
+      }
+    });
+  }
+
+  // log: { base, events }, players: [{ id, name, color }]
+  open(log, players = []) {
+    this.replay = createReplay(log);
+    this.players = players;
+    this.playing = false;
+    this.index = 0;
+    this.el.classList.remove('hidden');
+    document.body.classList.add('replay-active');
+    this._render();
+    this.seek(0);
+  }
+
+  close() {
+    this.pause();
+    this.replay = null;
+    this.el.classList.add('hidden');
+    document.body.classList.remove('replay-active');
+    if (this.onClose) this.onClose();
+  }
+
+  play() {
+    if (!this.replay) return;
+    if (this.index >= this.replay.length) this.seek(0);
+    this.playing = true;
+    this._schedule();
+    this._render();
+  }
+
+  pause() {
+    this.playing = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this.replay) this._render();
+  }
+
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      if (!this.playing) return;
+      if (this.index >= this.replay.length) {
+        this.pause();
+        return;
+      }
+      this.seek(this.index + 1);
+      this._schedule();
+    }, BASE_STEP_MS / this.speed);
+  }
+
+  seek(index) {
+    if (!this.replay) return;
+    this.index = Math.max(0, Math.min(this.replay.length, index));
+    const event = this.replay.eventAt(this.index);
+    if (this.onFrame) this.onFrame(this.replay.frameAt(this.index), event, this.index);
+    this._updateStatus(event);
+  }
+
+  // Jump to the start of the previous / next player-turn
+  _seekTurn(direction) {
+    const starts = this.replay.turnStarts();
+    const target = direction < 0
+      ? [...starts].reverse().find(i => i < this.index)
+      : starts.find(i => i > this.index);
+    this.seek(target ?? (direction < 0 ? 0 : this.replay.length));
+  }
+
+  _handleAction(action) {
+    if (!this.replay && action !== 'close') return;
+    switch (action) {
+      case 'play':
+        if (this.playing) this.pause();
+        else this.play();
+        break;
+      case 'step-back': this.pause(); this.seek(this.index - 1); break;
+      case 'step-forward': this.pause(); this.seek(this.index + 1); break;
+      case 'prev-turn': this.pause(); this._seekTurn(-1); break;
+      case 'next-turn': this.pause(); this._seekTurn(1); break;
+      case 'close': this.close(); break;
+    }
+  }
+
+  _nameOf(id) {
+    return this.players.find(p => p.id === id)?.name || id;
+  }
+
+  _render() {
+    const length = this.replay?.length || 0;
+    this.el.innerHTML = `
+      <div class="replay-controls">
+        <button class="replay-btn" data-action="prev-turn" title="Previous turn">⏮</button>
+        <button class="replay-btn" data-action="step-back" title="Step back">◀</button>
+        <button class="replay-btn play" data-action="play" title="${this.playing ? 'Pause' : 'Play'}">${this.playing ? '⏸' : '▶'}</button>
+        <button class="replay-btn" data-action="step-forward" title="Step forward">▶|</button>
+        <button class="replay-btn" data-action="next-turn" title="Next turn">⏭</button>
+        <select class="replay-speed" title="Speed">
+          ${SPEEDS.map(s => `<option value="${s}" ${s === this.speed ? 'selected' : ''}>${s}×</option>`).join('')}
+        </select>
+      </div>
+      <input class="replay-scrub" type="range" min="0" max="${length}" value="${this.index}">
+      <div class="replay-status">
+        <span class="replay-turn"></span>
+        <span class="replay-event"></span>
+        <span class="replay-count"></span>
+      </div>
+      <button class="replay-btn close" data-action="close" title="Back to the game">✕</button>
+    `;
+    this._updateStatus(this.replay?.eventAt(this.index));
+  }
+
+  // Cheap per-frame update (no re-render, so the slider keeps its drag)
+  _updateStatus(event) {
+    if (!this.replay) return;
+    const turn = this.el.querySelector('.replay-turn');
+    const text = this.el.querySelector('.replay-event');
+    const count = this.el.querySelector('.replay-count');
+    const scrub = this.el.querySelector('.replay-scrub');
+    if (turn) {
+      const phase = event?.phase === GAME_PHASES.PLAYING ? ` · ${TURN_PHASE_NAMES[event.turnPhase] || event.turnPhase}` : '';
+      turn.textContent = event ? `Round ${event.round}${phase}` : 'Start';
+    }
+    if (text) text.textContent = describeEvent(event, id => this._nameOf(id));
+    if (count) count.textContent = `${this.index} / ${this.replay.length}`;
+    if (scrub && parseInt(scrub.value, 10) !== this.index) scrub.value = this.index;
+  }
+}
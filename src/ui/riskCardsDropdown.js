@@ -1,6 +1,6 @@
 // Risk Cards Dropdown - shows cards on the right side with a collapsible panel
 
-import { shouldShowPurchase } from '../state/gameState.js';
+import { shouldShowPurchase, usesRiskRules } from '../state/gameState.js';
 
 export class RiskCardsDropdown {
   constructor() {
@@ -43,7 +43,7 @@ export class RiskCardsDropdown {
   }
 
   _render() {
-    if (!this.gameState || this.gameState.gameMode !== 'risk') {
+    if (!this.gameState || !usesRiskRules(this.gameState.gameMode)) {
       this.el.classList.add('hidden');
       return;
     }
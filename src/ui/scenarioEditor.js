@@ -0,0 +1,470 @@
+// Scenario Editor - sets up a board by hand (owners, unit stacks, IPCs,
+// techs, cards, whose turn) and saves it as a named scenario for the lobby's
+// Scenario option, or as a file. The model is a ScenarioDraft
+// (state/scenario.js); main.js routes map clicks here and previews each
+// change through a separate GameState, as the replay viewer does.
+
+import {
+  ScenarioDraft, CARD_TYPES, normalizeScenario, scenarioFromState, scenarioFromClassic,
+  listScenarios, findScenario, saveScenario, deleteScenario,
+} from '../state/scenario.js';
+import { TECHNOLOGIES } from '../state/gameState.js';
+
+// What a map click does
+const TOOLS = [
+  { id: 'select', label: 'Select', hint: 'Click a territory to edit it' },
+  { id: 'paint', label: 'Paint owner', hint: 'Click territories to give them to the chosen player' },
+];
+
+const CARD_LABELS = { infantry: 'Inf', cavalry: 'Cav', artillery: 'Art', wild: 'Wild' };
+
+export class ScenarioEditor {
+  constructor(setup, territories, unitDefs) {
+    this.setup = setup;
+    this.territories = territories;
+    this.territoryByName = {};
+    for (const t of territories) this.territoryByName[t.name] = t;
+    this.unitDefs = unitDefs;
+    this.draft = null;
+    this.selected = null;
+    this.tool = 'select';
+    this.paintOwner = null;
+    this.issues = [];
+    this.status = '';
+    this.onChange = null;
+    this.onClose = null;
+    this._create();
+  }
+
+  setOnChange(callback) {
+    this.onChange = callback;
+  }
+
+  setOnClose(callback) {
+    this.onClose = callback;
+  }
+
+  get isOpen() {
+    return !this.el.classList.contains('hidden');
+  }
+
+  get factions() {
+    return this.setup?.risk?.factions || [];
+  }
+
+  _create() {
+    this.el = document.createElement('div');
+    this.el.id = 'scenarioEditor';
+    this.el.className = 'map-editor-panel scenario-editor-panel hidden';
+    document.body.appendChild(this.el);
+
+    this.el.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (btn) this._handleAction(btn.dataset.action, btn);
+    });
+    this.el.addEventListener('change', (e) => {
+      const field = e.target.closest('[data-field]');
+      if (field) this._handleField(field.dataset.field, field);
+    });
+  }
+
+  // Opens on the classic 1942 setup
+  open() {
+    this.el.classList.remove('hidden');
+    document.body.classList.add('map-editor-active');
+    this._load(scenarioFromClassic(this.setup.classic));
+  }
+
+  close() {
+    this.draft = null;
+    this.selected = null;
+    this.el.classList.add('hidden');
+    document.body.classList.remove('map-editor-active');
+    if (this.onClose) this.onClose();
+  }
+
+  // The scenario as it stands (what the map previews)
+  getScenario() {
+    return this.draft ? this.draft.toJSON() : null;
+  }
+
+  // Territory the map outlines
+  getSelected() {
+    return this.selected;
+  }
+
+  handleTerritoryClick(name) {
+    if (!this.draft) return false;
+    const t = this.territoryByName[name];
+    if (this.tool === 'paint' && t && !t.isWater) {
+      if (this.draft.setOwner(name, this.paintOwner)) this._edited();
+      return true;
+    }
+    this.selected = name === this.selected ? null : name;
+    this._render();
+    this._changed();
+    return true;
+  }
+
+  _load(scenario) {
+    this.draft = new ScenarioDraft(scenario);
+    this.selected = null;
+    this.tool = 'select';
+    this.paintOwner = this.draft.data.seats[0] || null;
+    this.status = '';
+    this._edited();
+  }
+
+  _edited() {
+    this.issues = this.draft.validate({
+      territories: this.territories,
+      unitDefs: this.unitDefs,
+      factions: this.setup?.factions || this.factions,
+      techIds: Object.keys(TECHNOLOGIES),
+    });
+    this._render();
+    this._changed();
+  }
+
+  _changed() {
+    if (this.onChange) this.onChange(this.getScenario());
+  }
+
+  _factionName(id) {
+    return this.factions.find(f => f.id === id)?.name || id;
+  }
+
+  _handleAction(action, el) {
+    if (!this.draft) return;
+    const d = this.draft;
+    switch (action) {
+      case 'close':
+        this.close();
+        break;
+      case 'tool':
+        this.tool = el.dataset.tool;
+        this._render();
+        break;
+      case 'select':
+        this.selected = el.dataset.name;
+        this._render();
+        this._changed();
+        break;
+      case 'start-classic':
+        if (confirm('Replace this scenario with the classic 1942 setup?')) this._load(scenarioFromClassic(this.setup.classic));
+        break;
+      case 'start-empty':
+        if (confirm('Replace this scenario with an empty map?')) {
+          this._load({ name: 'New scenario', seats: this.factions.map(f => f.id) });
+        }
+        break;
+      case 'open-saved': {
+        const scenario = findScenario(el.dataset.name);
+        if (scenario) this._load(scenario);
+        break;
+      }
+      case 'delete-saved':
+        if (confirm(`Delete the saved scenario ${el.dataset.name}?`)) {
+          deleteScenario(el.dataset.name);
+          this._render();
+        }
+        break;
+      case 'load-file':
+        this._loadFile();
+        break;
+      case 'save':
+        this._save();
+        break;
+      case 'export':
+        this._download(`${d.data.name.replace(/[^\w-]+/g, '-').toLowerCase()}.json`, d.toJSON());
+        break;
+      case 'add-seat': {
+        const select = this.el.querySelector('.scenario-editor-new-seat');
+        if (d.addSeat(select?.value)) this._edited();
+        break;
+      }
+      case 'remove-seat':
+        if (confirm(`Remove ${this._factionName(el.dataset.id)}? Their territories turn neutral and their units are removed.`)) {
+          d.removeSeat(el.dataset.id);
+          if (this.paintOwner === el.dataset.id) this.paintOwner = d.data.seats[0] || null;
+          this._edited();
+        }
+        break;
+      case 'seat-up':
+      case 'seat-down':
+        if (d.moveSeat(el.dataset.id, action === 'seat-up' ? -1 : 1)) this._edited();
+        break;
+      case 'toggle-tech':
+        if (d.toggleTech(el.dataset.id, el.dataset.tech)) this._edited();
+        break;
+      case 'add-units': {
+        const owner = this.el.querySelector('.scenario-editor-add-owner')?.value;
+        const type = this.el.querySelector('.scenario-editor-add-type')?.value;
+        const quantity = parseInt(this.el.querySelector('.scenario-editor-add-qty')?.value, 10);
+        const current = d.unitsIn(this.selected).find(u => u.owner === owner && u.type === type)?.quantity || 0;
+        if (quantity > 0 && d.setUnits(this.selected, owner, type, current + quantity)) this._edited();
+        break;
+      }
+    }
+  }
+
+  _handleField(field, el) {
+    const d = this.draft;
+    if (!d) return;
+    const value = el.value;
+    const number = parseInt(value, 10);
+    let changed = false;
+    switch (field) {
+      case 'name': changed = d.setName(value); break;
+      case 'description': changed = d.setDescription(value); break;
+      case 'rules': changed = d.setRules(value); break;
+      case 'round': changed = d.setRound(number); break;
+      case 'to-move': changed = d.setToMove(value); break;
+      case 'owner': changed = d.setOwner(this.selected, value || null); break;
+      case 'capital': changed = d.setCapital(d.data.owners[this.selected], el.checked ? this.selected : null); break;
+      case 'units': changed = d.setUnits(this.selected, el.dataset.owner, el.dataset.type, number); break;
+      case 'ipcs': changed = d.setIpcs(el.dataset.id, number); break;
+      case 'cards': changed = d.setCardCount(el.dataset.id, el.dataset.card, number); break;
+      case 'paint-owner':
+        this.paintOwner = value || null;
+        return;
+    }
+    // Refused values snap back to the draft's
+    if (changed) this._edited();
+    else this._render();
+  }
+
+  // Saved on this browser under the scenario's name, for the lobby
+  _save() {
+    const d = this.draft;
+    const errors = this.issues.filter(i => i.level === 'error').length;
+    if (errors && !confirm(`The scenario has ${errors} error(s) and will not start until they are fixed. Save anyway?`)) return;
+    if (findScenario(d.data.name) && !confirm(`Replace the saved scenario ${d.data.name}?`)) return;
+    this.status = saveScenario(d.toJSON()) ? `Saved as ${d.data.name}` : 'Could not save on this browser';
+    this._render();
+  }
+
+  // A scenario file, or a saved game (its position becomes the scenario)
+  _loadFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (ev) => {
+        try {
+          const data = JSON.parse(ev.target.result);
+          this._load(data.territoryState
+            ? scenarioFromState(data, { name: file.name.replace(/\.json$/i, '') })
+            : normalizeScenario(data));
+        } catch (err) {
+          console.error('Failed to load scenario:', err);
+          alert(`Could not load ${file.name}: ${err.message}`);
+        }
+      };
+      reader.readAsText(file);
+    };
+    input.click();
+  }
+
+  _download(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  _render() {
+    if (!this.draft) return;
+    const d = this.draft.data;
+    const tool = TOOLS.find(t => t.id === this.tool);
+    const errors = this.issues.filter(i => i.level === 'error');
+    const warnings = this.issues.filter(i => i.level === 'warning');
+    const saved = listScenarios();
+
+    this.el.innerHTML = `
+      <div class="map-editor-header">
+        <span class="map-editor-title">Scenario Editor</span>
+        <button class="map-editor-btn" data-action="save" title="Save on this browser for the lobby">Save</button>
+        <button class="map-editor-btn" data-action="export" title="Download the scenario file">Export</button>
+        <button class="map-editor-close" data-action="close" title="Close the editor">✕</button>
+      </div>
+      ${this.status ? `<div class="map-editor-hint">${this._escape(this.status)}</div>` : ''}
+      <div class="map-editor-body">
+        <div class="map-editor-section">
+          <div class="map-editor-section-title">Start from</div>
+          <div class="map-editor-chips">
+            <button class="map-editor-btn" data-action="start-classic">Classic 1942</button>
+            <button class="map-editor-btn" data-action="start-empty">Empty map</button>
+            <button class="map-editor-btn" data-action="load-file" title="A scenario file or a saved game">Load file…</button>
+          </div>
+          ${saved.map(s => `
+            <div class="map-editor-continent">
+              <button class="map-editor-link" data-action="open-saved" data-name="${this._escape(s.name)}">${this._escape(s.name)}</button>
+              <button class="map-editor-close" data-action="delete-saved" data-name="${this._escape(s.name)}" title="Delete saved scenario">✕</button>
+            </div>
+          `).join('')}
+        </div>
+        <div class="map-editor-section">
+          <label class="map-editor-row">Name
+            <input type="text" data-field="name" value="${this._escape(d.name)}" maxlength="40">
+          </label>
+          <label class="map-editor-row">Notes
+            <textarea data-field="description" rows="2" placeholder="Goal, hints, what it tests">${this._escape(d.description)}</textarea>
+          </label>
+          <label class="map-editor-row">Rules
+            <select data-field="rules">
+              <option value="risk" ${d.rules === 'risk' ? 'selected' : ''}>Risk (cards, free-for-all)</option>
+              <option value="classic" ${d.rules === 'classic' ? 'selected' : ''}>Classic (Axis vs Allies)</option>
+            </select>
+          </label>
+          <label class="map-editor-row">Round
+            <input type="number" min="1" step="1" data-field="round" value="${d.round}">
+          </label>
+        </div>
+        <div class="map-editor-tools">
+          ${TOOLS.map(t => `
+            <button class="map-editor-tool ${t.id === this.tool ? 'active' : ''}" data-action="tool" data-tool="${t.id}">${t.label}</button>
+          `).join('')}
+          ${this.tool === 'paint' ? `
+            <select data-field="paint-owner">
+              ${d.seats.map(id => `<option value="${id}" ${id === this.paintOwner ? 'selected' : ''}>${this._escape(this._factionName(id))}</option>`).join('')}
+              <option value="" ${this.paintOwner ? '' : 'selected'}>Neutral</option>
+            </select>
+          ` : ''}
+        </div>
+        <div class="map-editor-hint">${tool.hint}</div>
+        ${this._renderTerritory()}
+        ${this._renderSeats()}
+        <div class="map-editor-section">
+          <div class="map-editor-section-title">Checks
+            <span class="map-editor-count ${errors.length ? 'bad' : 'good'}">${errors.length} error(s), ${warnings.length} warning(s)</span>
+          </div>
+          ${this.issues.length === 0 ? '<div class="map-editor-empty">No problems found</div>' : `
+            <ul class="map-editor-issues">
+              ${[...errors, ...warnings].map(issue => `
+                <li class="map-editor-issue ${issue.level}">
+                  ${issue.territories.length
+                    ? `<button class="map-editor-link" data-action="select" data-name="${this._escape(issue.territories[0])}">${this._escape(issue.message)}</button>`
+                    : this._escape(issue.message)}
+                </li>
+              `).join('')}
+            </ul>
+          `}
+        </div>
+      </div>
+    `;
+  }
+
+  _renderTerritory() {
+    const t = this.territoryByName[this.selected];
+    if (!t) {
+      return '<div class="map-editor-section"><div class="map-editor-empty">No territory selected</div></div>';
+    }
+    const d = this.draft.data;
+    const owner = d.owners[t.name] || '';
+    const units = this.draft.unitsIn(t.name);
+    const types = Object.entries(this.unitDefs || {})
+      .filter(([, def]) => (t.isWater ? !def.isLand && !def.isBuilding : !def.isSea))
+      .map(([type]) => type);
+    const seatOptions = selectedId => d.seats.map(id =>
+      `<option value="${id}" ${id === selectedId ? 'selected' : ''}>${this._escape(this._factionName(id))}</option>`).join('');
+
+    return `
+      <div class="map-editor-section">
+        <div class="map-editor-section-title">${this._escape(t.name)} <span class="map-editor-kind">${t.isWater ? 'Sea zone' : 'Land'}</span></div>
+        ${t.isWater ? '' : `
+          <label class="map-editor-row">Owner
+            <select data-field="owner">
+              <option value="">Neutral</option>
+              ${seatOptions(owner)}
+            </select>
+          </label>
+          ${owner ? `
+            <label class="map-editor-row">Capital
+              <input type="checkbox" data-field="capital" ${d.capitals[owner] === t.name ? 'checked' : ''}>
+            </label>
+          ` : ''}
+        `}
+        <div class="map-editor-subtitle">Units</div>
+        ${units.length === 0 ? '<div class="map-editor-empty">None</div>' : units.map(u => `
+          <label class="map-editor-row">${this._escape(this._factionName(u.owner))} ${this._escape(u.type)}
+            <input type="number" min="0" step="1" data-field="units" data-owner="${u.owner}" data-type="${u.type}" value="${u.quantity}">
+          </label>
+        `).join('')}
+        ${d.seats.length ? `
+          <div class="map-editor-continent">
+            <select class="scenario-editor-add-owner">${seatOptions(owner || d.seats[0])}</select>
+            <select class="scenario-editor-add-type">
+              ${types.map(type => `<option value="${type}">${type}</option>`).join('')}
+            </select>
+            <input type="number" class="scenario-editor-add-qty" min="1" step="1" value="1">
+            <button class="map-editor-btn" data-action="add-units">Add</button>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  _renderSeats() {
+    const d = this.draft.data;
+    const free = this.factions.filter(f => !d.seats.includes(f.id));
+
+    return `
+      <div class="map-editor-section">
+        <div class="map-editor-section-title">Players <span class="map-editor-kind">in turn order</span></div>
+        ${d.seats.map((id, i) => `
+          <div class="scenario-editor-seat">
+            <div class="map-editor-continent">
+              <label class="scenario-editor-to-move" title="Moves first">
+                <input type="radio" name="scenario-to-move" data-field="to-move" value="${id}" ${d.toMove === id ? 'checked' : ''}>
+                <span class="map-editor-continent-name">${this._escape(this._factionName(id))}</span>
+              </label>
+              <button class="map-editor-close" data-action="seat-up" data-id="${id}" title="Earlier in the turn order" ${i === 0 ? 'disabled' : ''}>▲</button>
+              <button class="map-editor-close" data-action="seat-down" data-id="${id}" title="Later in the turn order" ${i === d.seats.length - 1 ? 'disabled' : ''}>▼</button>
+              <button class="map-editor-close" data-action="remove-seat" data-id="${id}" title="Remove player">✕</button>
+            </div>
+            <label class="map-editor-row">IPCs
+              <input type="number" min="0" step="1" data-field="ipcs" data-id="${id}" value="${d.ipcs[id] ?? 0}">
+            </label>
+            <div class="map-editor-chips">
+              ${Object.entries(TECHNOLOGIES).map(([tech, def]) => `
+                <button class="map-editor-chip scenario-editor-tech ${(d.techs[id] || []).includes(tech) ? 'active' : ''}"
+                        data-action="toggle-tech" data-id="${id}" data-tech="${tech}" title="${this._escape(def.description)}">${this._escape(def.name)}</button>
+              `).join('')}
+            </div>
+            <div class="map-editor-chips scenario-editor-cards">
+              ${CARD_TYPES.map(card => `
+                <label title="${card} cards">${CARD_LABELS[card]}
+                  <input type="number" min="0" max="9" step="1" data-field="cards" data-id="${id}" data-card="${card}"
+                         value="${(d.cards[id] || []).filter(c => c === card).length}">
+                </label>
+              `).join('')}
+            </div>
+          </div>
+        `).join('')}
+        ${free.length ? `
+          <div class="map-editor-continent">
+            <select class="scenario-editor-new-seat">
+              ${free.map(f => `<option value="${f.id}">${this._escape(f.name)}</option>`).join('')}
+            </select>
+            <button class="map-editor-btn" data-action="add-seat">Add player</button>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  _escape(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[ch]);
+  }
+}
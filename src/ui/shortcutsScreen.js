@@ -0,0 +1,135 @@
+// Keyboard Shortcuts screen: every binding, with Change to press a new key
+// for an action and Reset to go back to the defaults. main.js saves the
+// bindings in this browser (see input/keyBindings.js).
+
+import { KEY_ACTIONS, keyComboOf, describeCombo } from '../input/keyBindings.js';
+
+export class ShortcutsScreen {
+  constructor() {
+    this.bindings = null;
+    this.capturing = null; // Action waiting for its new key
+    this.message = null;
+    this.onBind = null;
+    this.onReset = null;
+    this._create();
+  }
+
+  _create() {
+    this.el = document.createElement('div');
+    this.el.id = 'shortcutsScreen';
+    this.el.className = 'shortcuts-screen hidden';
+    document.body.appendChild(this.el);
+
+    this.el.addEventListener('click', (e) => {
+      if (e.target === this.el || e.target.closest('.shortcuts-close')) {
+        this.hide();
+        return;
+      }
+      const change = e.target.closest('[data-bind]');
+      if (change) {
+        this.capturing = change.dataset.bind;
+        this.message = null;
+        this._render();
+        return;
+      }
+      if (e.target.closest('[data-action="reset-bindings"]')) {
+        this.capturing = null;
+        this.message = 'Shortcuts reset to the defaults';
+        this.onReset?.();
+      }
+    });
+
+    // Capture phase, ahead of the game's own shortcuts
+    window.addEventListener('keydown', (e) => {
+      if (!this.capturing || !this.isOpen) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.key === 'Escape') {
+        this.capturing = null;
+        this.message = null;
+        this._render();
+        return;
+      }
+      const combo = keyComboOf(e);
+      if (!combo) return;
+      const action = this.capturing;
+      const result = this.onBind?.(action, combo);
+      this.capturing = null;
+      this.message = !result ? null
+        : !result.success ? result.error
+        : result.displaced ? `${describeCombo(combo)} moved from ${KEY_ACTIONS[result.displaced]}`
+        : null;
+      this._render();
+    }, true);
+  }
+
+  // fn(action, combo) -> bindKey() result
+  setOnBind(fn) {
+    this.onBind = fn;
+  }
+
+  setOnReset(fn) {
+    this.onReset = fn;
+  }
+
+  get isOpen() {
+    return !this.el.classList.contains('hidden');
+  }
+
+  show(bindings) {
+    this.capturing = null;
+    this.message = null;
+    this.update(bindings);
+    this.el.classList.remove('hidden');
+  }
+
+  hide() {
+    this.capturing = null;
+    this.el.classList.add('hidden');
+  }
+
+  update(bindings) {
+    this.bindings = bindings;
+    this._render();
+  }
+
+  _render() {
+    if (!this.bindings) return;
+    const rows = Object.entries(KEY_ACTIONS).map(([action, label]) => {
+      const keys = this.bindings[action] || [];
+      const shown = this.capturing === action
+        ? '<span class="shortcuts-waiting">Press a key… (Esc to cancel)</span>'
+        : keys.length ? keys.map(k => `<kbd>${describeCombo(k)}</kbd>`).join(' ') : '<span class="shortcuts-unbound">None</span>';
+      return `
+        <tr>
+          <td>${label}</td>
+          <td>${shown}</td>
+          <td><button class="shortcuts-change" data-bind="${action}">Change</button></td>
+        </tr>
+      `;
+    }).join('');
+
+    this.el.innerHTML = `
+      <div class="shortcuts-content">
+        <div class="shortcuts-header">
+          <h2>Keyboard Shortcuts</h2>
+          <button class="shortcuts-close">✕</button>
+        </div>
+        <table class="shortcuts-table">
+          <tbody>
+            ${rows}
+            <tr>
+              <td>Set quantity</td>
+              <td><kbd>0</kbd>–<kbd>9</kbd></td>
+              <td class="shortcuts-note">The unit row last adjusted</td>
+            </tr>
+          </tbody>
+        </table>
+        ${this.message ? `<div class="shortcuts-message">${this.message}</div>` : ''}
+        <div class="shortcuts-footer">
+          <button class="shortcuts-reset" data-action="reset-bindings">Reset to defaults</button>
+        </div>
+      </div>
+    `;
+  }
+}
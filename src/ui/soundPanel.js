@@ -0,0 +1,97 @@
+// Sound panel: mute, and a volume slider per kind of cue with a button to
+// hear it. Settings are kept in this browser by the SoundManager.
+
+import { SOUND_CATEGORIES } from '../audio/sound.js';
+
+export class SoundPanel {
+  constructor(sound) {
+    this.sound = sound;
+    this._create();
+  }
+
+  _create() {
+    this.el = document.createElement('div');
+    this.el.id = 'soundPanel';
+    this.el.className = 'sound-panel hidden';
+    document.body.appendChild(this.el);
+
+    this.el.addEventListener('click', (e) => {
+      if (e.target === this.el || e.target.closest('.sound-close')) {
+        this.hide();
+        return;
+      }
+      const sample = e.target.closest('[data-sample]');
+      if (sample) this.sound.play(sample.dataset.sample);
+    });
+
+    this.el.addEventListener('input', (e) => {
+      if (e.target.matches('[data-volume]')) {
+        this.sound.setVolume(e.target.dataset.volume, Number(e.target.value) / 100);
+        e.target.nextElementSibling.textContent = `${e.target.value}%`;
+      }
+    });
+
+    this.el.addEventListener('change', (e) => {
+      if (e.target.matches('[data-action="mute"]')) {
+        this.sound.setMuted(e.target.checked);
+        this._render();
+      } else if (e.target.matches('[data-volume]')) {
+        this.sound.play(e.target.dataset.volume);
+      }
+    });
+  }
+
+  get isOpen() {
+    return !this.el.classList.contains('hidden');
+  }
+
+  show() {
+    this.sound.unlock();
+    this._render();
+    this.el.classList.remove('hidden');
+  }
+
+  hide() {
+    this.el.classList.add('hidden');
+  }
+
+  toggle() {
+    if (this.isOpen) this.hide();
+    else this.show();
+  }
+
+  // Re-render after a change from elsewhere (e.g. the mute key)
+  refresh() {
+    if (this.isOpen) this._render();
+  }
+
+  _render() {
+    const muted = this.sound.muted;
+    const rows = Object.entries(SOUND_CATEGORIES).map(([category, label]) => {
+      const percent = Math.round(this.sound.volume(category) * 100);
+      return `
+        <div class="sound-row">
+          <span class="sound-label">${label}</span>
+          <input type="range" min="0" max="100" step="5" value="${percent}" data-volume="${category}" ${muted ? 'disabled' : ''}>
+          <span class="sound-value">${percent}%</span>
+          <button class="sound-sample" data-sample="${category}" title="Play" ${muted ? 'disabled' : ''}>▶</button>
+        </div>
+      `;
+    }).join('');
+
+    this.el.innerHTML = `
+      <div class="sound-content">
+        <div class="sound-header">
+          <h2>Sound</h2>
+          <button class="sound-close">✕</button>
+        </div>
+        <label class="sound-mute">
+          <input type="checkbox" data-action="mute" ${muted ? 'checked' : ''}>
+          Mute all sound
+        </label>
+        <div class="sound-rows ${muted ? 'muted' : ''}">${rows}</div>
+        <div class="sound-hint">Sound is off while the pass-and-play screen is up.</div>
+      </div>
+    `;
+  }
+}
@@ -1,6 +1,7 @@
 // Tech Research UI - popup for developing technologies during DEVELOP_TECH phase
 
 import { TECHNOLOGIES, shouldShowTechResearch } from '../state/gameState.js';
+import { getSoundManager } from '../audio/sound.js';
 
 export class TechUI {
   constructor() {
@@ -271,6 +272,7 @@ export class TechUI {
 
     html += `</div></div>`;
     diceArea.innerHTML = html;
+    getSoundManager().play('dice');
 
     // Animate values
     const animateInterval = setInterval(() => {
@@ -354,6 +356,7 @@ export class TechUI {
       // Start rolling animation
       overlay.innerHTML = html;
       overlay.classList.remove('hidden');
+      getSoundManager().play('dice');
 
       // Animate dice values
       const animateInterval = setInterval(() => {
@@ -30,7 +30,8 @@ export function shouldToggleOffPhoneTooltip({ mobile, visibleName, tappedName }
 }
 
 export function isPhoneSetupPlacementPhase(phase) {
-  return phase === GAME_PHASES.CAPITAL_PLACEMENT || phase === GAME_PHASES.UNIT_PLACEMENT;
+  return phase === GAME_PHASES.TERRITORY_DRAFT
+    || phase === GAME_PHASES.CAPITAL_PLACEMENT || phase === GAME_PHASES.UNIT_PLACEMENT;
 }
 
 // Place Capital / Initial Deployment: a tap commits (select / place).
@@ -196,6 +197,21 @@ export class TerritoryTooltip {
     this.currentTerritory = null;
     this._phoneDismissTimer = null;
     this._phaseKey = null;
+    // Fog of war: returns the local side's view (GameState.getFogView)
+    this.fogView = null;
+  }
+
+  setFogView(fogView) {
+    this.fogView = fogView;
+  }
+
+  // Owner and units as the local side sees them
+  _ownerOf(name, fog) {
+    return fog ? fog.territoryState[name]?.owner || null : this.gameState.getOwner(name);
+  }
+
+  _unitsAt(name, fog) {
+    return fog ? fog.units[name] || [] : this.gameState.getUnitsAt(name);
   }
 
   setGameState(gameState) {
@@ -228,6 +244,7 @@ export class TerritoryTooltip {
 
     this.currentTerritory = territory;
     const t = territory;
+    const fog = this.gameState ? this.fogView?.() || null : null;
     const isLand = !t.isWater;
     const continent = isLand ? this.continentByTerritory[t.name] : null;
     const edgeInspect = !!(inspect && isMobileShell());
@@ -236,7 +253,7 @@ export class TerritoryTooltip {
     if (edgeInspect) {
       let html = `<div class="tt-header">${t.name}</div>`;
       if (this.gameState && isLand) {
-        const owner = this.gameState.getOwner(t.name);
+        const owner = this._ownerOf(t.name, fog);
         const player = owner ? this.gameState.getPlayer(owner) : null;
         const ownerColor = readableFactionTextColor(player?.color || '#888');
         const ipc = this.gameState.getEffectiveIpc?.(t.name) ?? (t.production || 0);
@@ -256,7 +273,7 @@ export class TerritoryTooltip {
 
     // Owner info for land territories
     if (this.gameState && isLand) {
-      const owner = this.gameState.getOwner(t.name);
+      const owner = this._ownerOf(t.name, fog);
       if (owner) {
         const player = this.gameState.getPlayer(owner);
         const flag = player?.flag;
@@ -276,7 +293,7 @@ export class TerritoryTooltip {
       if (this.gameState.isCapital(t.name)) {
         indicators.push(`<span class="tt-indicator capital">★ Capital</span>`);
       }
-      const units = this.gameState.getUnitsAt(t.name);
+      const units = this._unitsAt(t.name, fog);
       const hasFactory = units.some(u => u.type === 'factory');
       if (hasFactory) {
         const capacity = this.gameState.getFactoryCapacity(t.name);
@@ -306,7 +323,10 @@ export class TerritoryTooltip {
 
     // Units section - grouped by owner
     if (this.gameState) {
-      const units = this.gameState.getUnitsAt(t.name);
+      const units = this._unitsAt(t.name, fog);
+      if (fog && !fog.visible.has(t.name)) {
+        html += `<div class="tt-fogged">Units hidden by fog of war</div>`;
+      }
       if (units && units.length > 0) {
         // Group units by owner, and collect cargo/aircraft for sea zones
         const unitsByOwner = {};
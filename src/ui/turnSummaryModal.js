@@ -1,6 +1,8 @@
 // Turn Summary Modal - shown at the start of a player's turn in multiplayer
 // to recap what other players did during their turns
 
+import { PACT_LABELS } from '../state/diplomacy.js';
+
 export class TurnSummaryModal {
   constructor() {
     this.gameState = null;
@@ -91,9 +93,35 @@ export class TurnSummaryModal {
     if (ev.type === 'territory_captured') {
       return `Captured <strong>${this._escapeHtml(ev.territory)}</strong> from ${this._escapeHtml(ev.fromPlayer)}`;
     }
+    if (ev.type === 'bombing_raid') {
+      const lost = ev.bombersLost ? `, ${ev.bombersLost} bomber(s) shot down` : '';
+      return `Bombing raid on <strong>${this._escapeHtml(ev.territory)}</strong>: `
+        + `${this._escapeHtml(this._getPlayerName(ev.defender))} lost <strong>${ev.damage || 0} IPCs</strong>${lost}`;
+    }
+    if (ev.type === 'rocket') {
+      return `Rocket on <strong>${this._escapeHtml(ev.territory)}</strong>: `
+        + `${this._escapeHtml(this._getPlayerName(ev.defender))} lost <strong>${ev.damage || 0} IPCs</strong>`;
+    }
+    if (ev.type === 'pact_signed') {
+      return `Signed a ${this._pactLabel(ev)} with <strong>${this._escapeHtml(ev.partner)}</strong>`;
+    }
+    if (ev.type === 'pact_broken') {
+      return `⚠ <strong>Broke</strong> the ${this._pactLabel(ev)} with <strong>${this._escapeHtml(ev.partner)}</strong> `
+        + `(in force until their turn in round ${ev.endsRound})`;
+    }
+    if (ev.type === 'surrender') {
+      return '<strong>Surrendered</strong>';
+    }
+    if (ev.type === 'pact_ended') {
+      return `The ${this._pactLabel(ev)} with <strong>${this._escapeHtml(ev.partner)}</strong> has ended`;
+    }
     return this._escapeHtml(ev.type || 'Unknown event');
   }
 
+  _pactLabel(ev) {
+    return (PACT_LABELS[ev.pactType] || 'pact').toLowerCase();
+  }
+
   _getPlayerName(playerId) {
     if (!this.gameState) return playerId;
     const player = this.gameState.players?.find(p => p.id === playerId);
@@ -3,6 +3,7 @@
 export class VictoryScreen {
   constructor() {
     this.gameState = null;
+    this.onReplay = null;
     this._create();
   }
 
@@ -24,6 +25,10 @@ export class VictoryScreen {
     });
   }
 
+  setOnReplay(callback) {
+    this.onReplay = callback;
+  }
+
   show() {
     if (!this.gameState || !this.gameState.gameOver) return;
 
@@ -47,6 +52,7 @@ export class VictoryScreen {
         <div class="victory-details">
           ${this._getVictoryDetails()}
         </div>
+        ${this.onReplay ? '<button class="victory-btn secondary" id="victoryReplay">Watch Replay</button>' : ''}
         <button class="victory-btn" id="victoryNewGame">New Game</button>
       </div>
     `;
@@ -57,6 +63,11 @@ export class VictoryScreen {
     this.el.querySelector('#victoryNewGame').addEventListener('click', () => {
       window.location.reload();
     });
+
+    this.el.querySelector('#victoryReplay')?.addEventListener('click', () => {
+      this.hide();
+      this.onReplay();
+    });
   }
 
   _getVictoryDetails() {
@@ -80,6 +91,15 @@ export class VictoryScreen {
       lines.push(`${player.name}: ${count} territories, ${ipcs} IPCs`);
     }
 
+    // Economic victory games: final production against each side's target
+    const economic = this.gameState.getEconomicVictoryProgress?.() || [];
+    if (economic.length > 0) {
+      lines.push('<br><strong>Final Production:</strong>');
+      for (const side of economic) {
+        lines.push(`${side.label}: ${side.production} / ${side.threshold} IPCs${side.reached ? ' ✓' : ''}`);
+      }
+    }
+
     return lines.join('<br>');
   }
 
@@ -3,12 +3,12 @@
 // multiplayer core (syncManager) can both import it without coupling UI code
 // into the sync path. Bump GAME_VERSION for every deployed change.
 
-export const GAME_VERSION = 'V2.78';
+export const GAME_VERSION = 'V2.79';
 
 // Schema version of the serialized game state (mirrors gameState.toJSON().version).
 // Bump only when the persisted state shape changes; a mismatch here is a harder
 // compatibility signal than the display version.
-export const SCHEMA_VERSION = 11;
+export const SCHEMA_VERSION = 12;
 
 // Compare two 'V<major>.<minor>' version strings.
 // Returns -1 if a < b, 0 if equal, 1 if a > b.
@@ -26,3 +26,18 @@ export function compareGameVersions(a, b) {
   if (aMin !== bMin) return aMin < bMin ? -1 : 1;
   return 0;
 }
+
+// Oldest app version whose game docs this one can sync with. V2.79 moved
+// multiplayer sync to the action log (actionSync.js): a game last written by
+// an older client holds whole-state pushes this version would never see.
+// Raise it with every change older clients cannot follow.
+export const MIN_SYNC_VERSION = 'V2.79';
+
+// May this client play a game doc last written by `docVersion`?
+//   'ok', 'newer' (a newer client wrote it: refresh to update) or 'older'
+//   (written before MIN_SYNC_VERSION; a missing or garbled stamp counts)
+export function syncCompatibility(docVersion, localVersion = GAME_VERSION, minVersion = MIN_SYNC_VERSION) {
+  if (compareGameVersions(docVersion, localVersion) > 0) return 'newer';
+  if (compareGameVersions(docVersion, minVersion) < 0) return 'older';
+  return 'ok';
+}
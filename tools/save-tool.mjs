@@ -0,0 +1,106 @@
+// Check or upgrade a saved game.
+// Usage: node tools/save-tool.mjs check <file>
+//        node tools/save-tool.mjs upgrade <file> [out]
+//
+// <file> is a save file (Save Game / the autosave), a game doc ({ state, ... })
+// or a game doc exported from Firestore with typed values ({ fields: ... }).
+// `check` lists broken references against data/ (unknown territories or
+// unit types, units at sea without ships, negative IPCs, ...) and exits 1 on
+// any error. `upgrade` migrates the state to the current schema version and
+// writes it (to [out], else back over <file>) in the same wrapping it came in;
+// a Firestore export is written as a plain game doc.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { migrateSave, validateSave } = await import(pathToFileURL(join(root, 'src/state/saveFormat.js')));
+const { GAME_PHASES, TECHNOLOGIES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+
+// Firestore's typed JSON ({ stringValue: 'x' }, { mapValue: { fields } }, ...)
+// as plain values
+export function fromFirestoreValue(value) {
+  if ('mapValue' in value) return fromFirestoreFields(value.mapValue.fields || {});
+  if ('arrayValue' in value) return (value.arrayValue.values || []).map(fromFirestoreValue);
+  if ('integerValue' in value) return Number(value.integerValue);
+  if ('doubleValue' in value) return Number(value.doubleValue);
+  if ('nullValue' in value) return null;
+  if ('booleanValue' in value) return value.booleanValue;
+  if ('stringValue' in value) return value.stringValue;
+  if ('timestampValue' in value) return value.timestampValue;
+  if ('referenceValue' in value) return value.referenceValue;
+  throw new Error(`Unsupported Firestore value: ${Object.keys(value).join()}`);
+}
+
+function fromFirestoreFields(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) out[key] = fromFirestoreValue(value);
+  return out;
+}
+
+// { state, wrap(state) }: the game state inside a file and how to put an
+// upgraded state back the way it came
+export function unwrapSave(json) {
+  if (json?.fields && !json.players) json = fromFirestoreFields(json.fields);
+  if (json?.state && typeof json.state === 'object' && !json.players) {
+    return { state: json.state, wrap: state => ({ ...json, state }) };
+  }
+  return { state: json, wrap: state => state };
+}
+
+function readData(file) {
+  return JSON.parse(readFileSync(join(root, 'data', file), 'utf8'));
+}
+
+// Issues for a file's contents, against the shipped map and rules
+export function checkSave(json) {
+  const { state } = unwrapSave(json);
+  const issues = [];
+  let migrated = state;
+  try {
+    migrated = migrateSave(state).state;
+  } catch (err) {
+    return [{ level: 'error', message: err.message }];
+  }
+  if (state.version === undefined) issues.push({ level: 'warning', message: 'No version (loads as the oldest supported)' });
+  return issues.concat(validateSave(migrated, {
+    territories: readData('territories.json'),
+    unitDefs: readData('units.json'),
+    techIds: Object.keys(TECHNOLOGIES),
+    phases: Object.values(GAME_PHASES),
+  }));
+}
+
+function main([command, file, out]) {
+  if (!['check', 'upgrade'].includes(command) || !file) {
+    console.error('Usage: node tools/save-tool.mjs check <file>\n       node tools/save-tool.mjs upgrade <file> [out]');
+    return 2;
+  }
+  const json = JSON.parse(readFileSync(file, 'utf8'));
+
+  if (command === 'upgrade') {
+    const { state, wrap } = unwrapSave(json);
+    const { state: upgraded, from, steps } = migrateSave(state);
+    writeFileSync(out || file, JSON.stringify(wrap(upgraded), null, 2) + '\n');
+    console.log(steps.length
+      ? `[save-tool] upgraded v${from} -> v${upgraded.version} (${out || file})`
+      : `[save-tool] already v${from}; written unchanged (${out || file})`);
+    return 0;
+  }
+
+  const issues = checkSave(json);
+  for (const issue of issues) console.log(`${issue.level === 'error' ? 'ERROR' : 'warn '}  ${issue.message}`);
+  const errors = issues.filter(i => i.level === 'error').length;
+  console.log(`[save-tool] ${errors} error(s), ${issues.length - errors} warning(s)`);
+  return errors ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    process.exit(main(process.argv.slice(2)));
+  } catch (err) {
+    console.error(`[save-tool] ${err.message}`);
+    process.exit(1);
+  }
+}
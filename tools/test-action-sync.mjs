@@ -0,0 +1,186 @@
+// Action-log sync: patches between replicated states, checksums, catch-up
+// ordering and snapshot points, two clients ending on the same game, and the
+// online dice secret staying out of what is synced.
+// Run: node tools/test-action-sync.mjs
+
+import { readFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  SNAPSHOT_INTERVAL, replicatedState, diffState, applyStatePatch, stateChecksum,
+  shouldSnapshot, planCatchUp, replayActions, actionTypes,
+} = await import(pathToFileURL(join(root, 'src/multiplayer/actionSync.js')));
+const { GameState, GAME_PHASES, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { sha256Hex, isDiceSecret, diceSeedCommitment } = await import(pathToFileURL(join(root, 'src/state/diceStream.js')));
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const territories = [
+  { name: 'A', isWater: false, production: 3, connections: ['B'], polygons: [] },
+  { name: 'B', isWater: false, production: 2, connections: ['A', 'C'], polygons: [] },
+  { name: 'C', isWater: false, production: 1, connections: ['B'], polygons: [] },
+];
+
+function newState() {
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.initGame('none', [], {});
+  return gs;
+}
+
+// p1 holds A and B, p2 holds C; p1 is in non-combat move
+function makeState() {
+  const gs = newState();
+  gs.gameMode = 'risk';
+  gs.players = ['p1', 'p2'].map(id => ({ id, name: id.toUpperCase(), oderId: `user-${id}` }));
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.turnPhase = TURN_PHASES.NON_COMBAT_MOVE;
+  gs.currentPlayerIndex = 0;
+  gs.territoryState = { A: { owner: 'p1' }, B: { owner: 'p1' }, C: { owner: 'p2' } };
+  gs.playerState = { p1: { ipcs: 10 }, p2: { ipcs: 10 } };
+  gs.units = {
+    A: [{ type: 'infantry', quantity: 3, owner: 'p1' }],
+    B: [{ type: 'infantry', quantity: 1, owner: 'p1' }],
+    C: [{ type: 'infantry', quantity: 2, owner: 'p2' }],
+  };
+  gs._startEventLog();
+  return gs;
+}
+
+console.log('=== Patches ===');
+{
+  const gs = makeState();
+  const before = replicatedState(gs.toJSON());
+  check('diplomacy and replay events stay out of the log', !('diplomacy' in before) && before.eventLog.events.length === 0);
+
+  gs.moveUnits('A', 'B', [{ type: 'infantry', quantity: 2 }], unitDefs);
+  const after = replicatedState(gs.toJSON());
+  const patch = diffState(before, after);
+  check('a move only patches the territories it touched', patch.some(op => same(op.p, ['units', 'A']))
+    && patch.some(op => same(op.p, ['units', 'B'])) && !patch.some(op => same(op.p, ['units', 'C'])));
+  check('patch applied to the old state gives the new one', same(applyStatePatch(before, patch), after));
+  check('the patch is far smaller than the state', JSON.stringify(patch).length < JSON.stringify(after).length / 2);
+  check('applying leaves the input alone', before.units.A[0].quantity === 3);
+  check('no change, no patch', diffState(after, replicatedState(gs.toJSON())).length === 0);
+
+  const removed = applyStatePatch({ units: { A: [1], B: [2] } }, diffState({ units: { A: [1], B: [2] } }, { units: { A: [1] } }));
+  check('removed keys are deleted', same(removed, { units: { A: [1] } }));
+  check('a patch from nothing rebuilds the whole state', same(applyStatePatch({}, diffState(null, after)), after));
+}
+
+console.log('=== Checksums ===');
+{
+  check('key order does not matter', stateChecksum({ a: 1, b: { c: [1, 2], d: null } })
+    === stateChecksum({ b: { d: null, c: [1, 2] }, a: 1 }));
+  check('any change does', stateChecksum({ a: 1, b: [1, 2] }) !== stateChecksum({ a: 1, b: [2, 1] }));
+}
+
+console.log('=== Catch-up ===');
+{
+  const actions = [3, 1, 2, 2, 5].map(seq => ({ seq }));
+  const plan = planCatchUp(0, actions);
+  check('applied in order, duplicates once, stops at a hole', same(plan.apply.map(a => a.seq), [1, 2, 3]) && !plan.gap);
+  check('already applied actions are skipped', same(planCatchUp(2, actions).apply.map(a => a.seq), [3]));
+  check('a missing next action is a gap', planCatchUp(3, actions).gap && planCatchUp(3, actions).apply.length === 0);
+  check('nothing new is not a gap', !planCatchUp(5, actions).gap);
+
+  check('snapshot every interval', shouldSnapshot({ seq: SNAPSHOT_INTERVAL, prev: {}, next: {} })
+    && !shouldSnapshot({ seq: SNAPSHOT_INTERVAL + 1, prev: {}, next: {} }));
+  check('snapshot when the turn passes', shouldSnapshot({ seq: 3, prev: { currentPlayerIndex: 0 }, next: { currentPlayerIndex: 1 } }));
+  check('not for a move within a turn', !shouldSnapshot({ seq: 3,
+    prev: { currentPlayerIndex: 0, phase: 'playing', turnPhase: 'combat_move' },
+    next: { currentPlayerIndex: 0, phase: 'playing', turnPhase: 'non_combat_move' } }));
+}
+
+console.log('=== Two clients ===');
+{
+  // p1 plays; p2 starts from the snapshot and replays the action log
+  const writer = makeState();
+  const snapshot = replicatedState(writer.toJSON());
+  let synced = snapshot;
+  const log = [];
+  const push = () => {
+    const next = replicatedState(writer.toJSON());
+    const patch = diffState(synced, next);
+    if (patch.length === 0) return;
+    log.push({ seq: log.length + 1, types: actionTypes(writer.getEventLog(), log.at(-1)?.eventSeq || 0),
+      eventSeq: writer.getEventLog().seq, patch, checksum: stateChecksum(next) });
+    synced = next;
+  };
+
+  writer.moveUnits('A', 'B', [{ type: 'infantry', quantity: 1 }], unitDefs);
+  push();
+  push();
+  writer.nextPhase();
+  push();
+  check('one action per change', log.length === 2);
+  check('actions name what happened', same(log[0].types, ['move']) && log[1].types.includes('turn'));
+  check('the turn change is a snapshot point', shouldSnapshot({ seq: 2, prev: snapshot, next: synced }));
+
+  const reader = newState();
+  const { state, seq, diverged } = replayActions(snapshot, 0, planCatchUp(0, log).apply);
+  check('replay reaches the head', seq === 2 && diverged === null);
+  reader.loadFromJSON(JSON.parse(JSON.stringify(state)));
+  const a = replicatedState(writer.toJSON());
+  const b = replicatedState(reader.toJSON());
+  check('both clients hold the same game', stateChecksum(a) === stateChecksum(b)
+    && same(reader.units, writer.units) && reader.currentPlayerIndex === writer.currentPlayerIndex
+    && reader.turnPhase === writer.turnPhase);
+
+  const tampered = log.map(action => ({ ...action }));
+  tampered[1].checksum = '00000000';
+  const stopped = replayActions(snapshot, 0, tampered);
+  check('a checksum mismatch stops the replay', stopped.diverged === 2 && stopped.seq === 1);
+}
+
+console.log('=== Online dice secret ===');
+{
+  check('SHA-256 matches the standard vectors', sha256Hex('abc')
+    === 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    && sha256Hex('') === 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+
+  const host = makeState();
+  host.isMultiplayer = true;
+  host.initGame('none', [], { isMultiplayer: true, diceSeed: true });
+  host.players = [{ id: 'p1', name: 'P1', oderId: 'user-p1' }, { id: 'ai', name: 'Bot', oderId: 'ai-1', isAI: true }];
+  const secret = host.diceSeed;
+  check('an online game gets a secret with its commitment', isDiceSecret(secret) && host.diceSeedHash === diceSeedCommitment(secret));
+
+  const synced = replicatedState(host.toJSON());
+  check('the secret is never synced, its commitment is', !('diceSeed' in synced) && synced.diceSeedHash === host.diceSeedHash
+    && !JSON.stringify(synced).includes(secret));
+
+  host.currentPlayerIndex = 0;
+  host._rollDie();
+  check('a human seat rolls unseeded', host.diceCursor === 0);
+  host.currentPlayerIndex = 1;
+  const expected = host.replayDice(0, 3);
+  const rolled = [host._rollDie(), host._rollDie(), host._rollDie()];
+  check('an AI seat rolls from the stream', host.diceCursor === 3 && same(rolled, expected));
+
+  const reader = newState();
+  reader.loadFromJSON(replicatedState(host.toJSON()));
+  check('other seats get the commitment and cursor, not the secret', reader.diceSeed === null
+    && reader.diceSeedHash === host.diceSeedHash && reader.diceCursor === 3 && reader.replayDice(0, 1) === null);
+  check('a wrong secret is refused', !reader.revealDiceSeed('0'.repeat(32)) && reader.diceSeed === null);
+  check('the real one is taken', reader.revealDiceSeed(secret) && same(reader.replayDice(0, 3), expected));
+
+  host.loadFromJSON(replicatedState(host.toJSON()));
+  check('the holder keeps its secret across synced loads', host.diceSeed === secret && host.diceCursor === 3);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll action sync checks passed');
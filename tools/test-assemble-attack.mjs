@@ -0,0 +1,141 @@
+// Assemble attack: picking a target first, the sources that can reach it,
+// committing moves from many sources as one group, and undoing the group.
+// Run: node tools/test-assemble-attack.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { GameState, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { buildBattleSetup } = await import(pathToFileURL(join(root, 'src/state/battleSimulator.js')));
+
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// North -- Mid -- Target, West -- Mid, Far -- West; sea zones Near (by
+// Target and West) and Open (by Near only). p2 holds Target and a destroyer
+// in Near.
+function makeState() {
+  const land = (name, connections) => ({ name, isWater: false, production: 1, connections, polygons: [] });
+  const sea = (name, connections) => ({ name, isWater: true, connections, polygons: [] });
+  const territories = [
+    land('Far', ['West']),
+    land('West', ['Far', 'Mid', 'Near']),
+    land('North', ['Mid']),
+    land('Mid', ['West', 'North', 'Target']),
+    land('Target', ['Mid', 'Near']),
+    sea('Near', ['West', 'Target', 'Open']),
+    sea('Open', ['Near']),
+  ];
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.players = [{ id: 'p1', name: 'P1' }, { id: 'p2', name: 'P2' }];
+  gs.currentPlayerIndex = 0;
+  gs.turnPhase = TURN_PHASES.COMBAT_MOVE;
+  gs.territoryState = {
+    Far: { owner: 'p1' }, West: { owner: 'p1' }, North: { owner: 'p1' }, Mid: { owner: 'p1' }, Target: { owner: 'p2' },
+  };
+  gs.playerState = { p1: { ipcs: 10 }, p2: { ipcs: 10 } };
+  gs.units = {
+    Far: [{ type: 'fighter', quantity: 1, owner: 'p1' }],
+    West: [{ type: 'infantry', quantity: 2, owner: 'p1' }, { type: 'armour', quantity: 1, owner: 'p1' }],
+    North: [{ type: 'armour', quantity: 2, owner: 'p1' }, { type: 'infantry', quantity: 3, owner: 'p1' }],
+    Mid: [{ type: 'infantry', quantity: 1, owner: 'p1' }],
+    Target: [{ type: 'infantry', quantity: 2, owner: 'p2' }],
+    Near: [{ type: 'destroyer', quantity: 1, owner: 'p2' }],
+    Open: [{ type: 'battleship', quantity: 1, owner: 'p1' }],
+  };
+  return gs;
+}
+
+const describe = sources => sources.map(s => `${s.territory}:${s.units.map(u => `${u.type}${u.quantity}`).join('+')}`).join(' ');
+const snapshot = gs => JSON.stringify({ units: gs.units, territoryState: gs.territoryState });
+
+console.log('=== Targets ===');
+{
+  const gs = makeState();
+  check('enemy land', gs.isAttackTarget('Target'));
+  check('a sea zone with enemy ships', gs.isAttackTarget('Near'));
+  check('not own land or empty sea', !gs.isAttackTarget('Mid') && !gs.isAttackTarget('Open'));
+  gs.turnPhase = TURN_PHASES.NON_COMBAT_MOVE;
+  check('combat move only', !gs.isAttackTarget('Target') && gs.getAttackSources('Target', unitDefs).length === 0);
+}
+
+console.log('=== Sources ===');
+{
+  const gs = makeState();
+  check('every unit in range, by territory', describe(gs.getAttackSources('Target', unitDefs))
+    === 'Far:fighter1 Mid:infantry1 North:armour2 West:armour1');
+  check('ships and air for a sea zone', describe(gs.getAttackSources('Near', unitDefs)) === 'Far:fighter1 Open:battleship1');
+
+  gs.units.West[1].moved = true;
+  check('units that already moved are left out', !describe(gs.getAttackSources('Target', unitDefs)).includes('West'));
+}
+
+console.log('=== One group ===');
+{
+  const gs = makeState();
+  check('a single move first', gs.moveUnits('North', 'Target', [{ type: 'armour', quantity: 1 }], unitDefs).success);
+  const before = snapshot(gs);
+  const result = gs.moveUnitsGroup('Target', [
+    { from: 'West', units: [{ type: 'armour', quantity: 1 }] },
+    { from: 'Mid', units: [{ type: 'infantry', quantity: 1 }] },
+    { from: 'Far', units: [{ type: 'fighter', quantity: 1 }] },
+    { from: 'North', units: [{ type: 'armour', quantity: 0 }] },
+  ], unitDefs);
+  check('all sources move', result.success && result.results.length === 3);
+  const attackers = Object.fromEntries(gs.units.Target.filter(u => u.owner === 'p1').map(u => [u.type, u.quantity]));
+  check('they meet in the target', attackers.armour === 2 && attackers.infantry === 1 && attackers.fighter === 1);
+  check('each move is an attack', result.results.every(r => r.isAttack && r.to === 'Target'));
+  check('recorded as one group', gs.moveHistory.length === 4 && new Set(gs.moveHistory.slice(1).map(m => m.group)).size === 1
+    && !gs.moveHistory[0].group);
+
+  check('undo takes the whole group back', gs.undoLastMove().success && gs.moveHistory.length === 1);
+  check('the board is as before the group', snapshot(gs) === before);
+  check('and the single move undoes alone', gs.undoLastMove().success && gs.moveHistory.length === 0
+    && gs.units.North.find(u => u.type === 'armour').quantity === 2);
+}
+
+console.log('=== Under fog ===');
+{
+  // Open is out of p1's sight once its battleship has gone
+  const gs = makeState();
+  gs.fogOfWar = 'units';
+  gs.units.Open = [{ type: 'submarine', quantity: 2, owner: 'p2' }];
+  const board = gs.getFogBoard(['p1']);
+  check('hidden ships are no target', gs.isAttackTarget('Open') && !board.isAttackTarget('Open')
+    && board.getAttackSources('Open', unitDefs).length === 0);
+  check('seen ones are', board.isAttackTarget('Near') && describe(board.getAttackSources('Target', unitDefs))
+    === describe(gs.getAttackSources('Target', unitDefs)));
+  check('the odds count only defenders in sight', buildBattleSetup(board, 'Open', 'p1').defenders.length === 0
+    && buildBattleSetup(gs, 'Open', 'p1').defenders[0].quantity === 2);
+  check('the game itself is untouched', gs.units.Open.length === 1 && board.currentPlayer === gs.currentPlayer);
+  gs.fogOfWar = null;
+  check('without fog, the game', gs.getFogBoard(['p1']) === gs);
+}
+
+console.log('=== All or nothing ===');
+{
+  const gs = makeState();
+  const before = snapshot(gs);
+  const result = gs.moveUnitsGroup('Target', [
+    { from: 'West', units: [{ type: 'armour', quantity: 1 }] },
+    { from: 'North', units: [{ type: 'infantry', quantity: 1 }] },
+  ], unitDefs);
+  check('a move out of range fails the group', !result.success && result.error.startsWith('North:'));
+  check('the moves already made are taken back', snapshot(gs) === before && gs.moveHistory.length === 0);
+  check('nothing picked', gs.moveUnitsGroup('Target', [{ from: 'West', units: [] }], unitDefs).success === false);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll assemble attack checks passed');
@@ -0,0 +1,143 @@
+// Battle calculator: Monte Carlo odds through the real combat rules, and the
+// pre-filled setup for a pending attack.
+// Run: node tools/test-battle-simulator.mjs
+
+import { readFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { playBattle, simulateBattle, buildBattleSetup, MAX_TRIALS } =
+  await import(pathToFileURL(join(root, 'src/state/battleSimulator.js')));
+const { PACT_TYPES } = await import(pathToFileURL(join(root, 'src/state/diplomacy.js')));
+const { GameState, GAME_PHASES, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+const always = n => () => n;
+
+console.log('=== Single battle ===');
+{
+  const win = playBattle({
+    attackers: [{ type: 'armour', quantity: 3 }],
+    defenders: [{ type: 'infantry', quantity: 2 }, { type: 'factory', quantity: 1 }],
+    unitDefs, rollDie: always(1),
+  });
+  check('every die hits: attacker wins in one round', win.winner === 'attacker' && win.rounds === 1);
+  check('losses counted in IPCs', win.defenderLoss === 2 * unitDefs.infantry.cost
+    && win.attackerLoss === 2 * unitDefs.armour.cost);
+  check('factories take no part', win.defenders.length === 0);
+
+  const input = [{ type: 'infantry', quantity: 2 }];
+  const stall = playBattle({ attackers: input, defenders: [{ type: 'infantry', quantity: 2 }], unitDefs, rollDie: always(6) });
+  check('nobody ever hits: a draw', stall.winner === 'draw' && stall.attackers[0].quantity === 2);
+  check('inputs left untouched', input[0].quantity === 2);
+
+  const wipe = playBattle({
+    attackers: [{ type: 'infantry', quantity: 1 }], defenders: [{ type: 'infantry', quantity: 1 }], unitDefs, rollDie: always(1),
+  });
+  check('both sides destroyed: a draw', wipe.winner === 'draw');
+
+  const shelled = playBattle({
+    attackers: [{ type: 'infantry', quantity: 1 }],
+    defenders: [{ type: 'infantry', quantity: 1 }],
+    unitDefs, bombardment: { battleship: 1 }, rollDie: always(4),
+  });
+  check('bombardment fires in the first round', shelled.winner === 'attacker' && shelled.defenderLoss === unitDefs.infantry.cost);
+}
+
+console.log('=== Simulation ===');
+{
+  const crush = simulateBattle({
+    attackers: [{ type: 'armour', quantity: 10 }, { type: 'fighter', quantity: 4 }],
+    defenders: [{ type: 'infantry', quantity: 2 }],
+    unitDefs, trials: 500,
+  });
+  check('overwhelming force: attacker almost always wins', crush.attackerWin > 0.99);
+  check('land attack reports captures', crush.capture !== null && crush.capture > 0.99);
+  check('fractions add up', Math.abs(crush.attackerWin + crush.defenderWin + crush.draw - 1) < 1e-9);
+  check('expected survivors by type', crush.attackerSurvivors.armour > 8 && !crush.defenderSurvivors.infantry);
+  check('IPC swing favours the attacker', crush.ipcSwing === crush.defenderIpcLoss - crush.attackerIpcLoss && crush.ipcSwing > 0);
+
+  const hopeless = simulateBattle({
+    attackers: [{ type: 'infantry', quantity: 1 }],
+    defenders: [{ type: 'infantry', quantity: 6 }],
+    unitDefs, trials: 500,
+  });
+  check('hopeless attack: defender usually holds', hopeless.defenderWin > 0.9 && hopeless.ipcSwing < 0);
+
+  const air = simulateBattle({
+    attackers: [{ type: 'fighter', quantity: 3 }], defenders: [{ type: 'infantry', quantity: 1 }], unitDefs, trials: 50,
+  });
+  check('air-only attack cannot capture', air.capture === null);
+  check('trial count capped', simulateBattle({
+    attackers: [{ type: 'infantry', quantity: 1 }], defenders: [{ type: 'infantry', quantity: 1 }],
+    unitDefs, trials: 1e9, rollDie: always(1),
+  }).trials === MAX_TRIALS);
+}
+
+// Land X (p2) with p1 infantry next door in Y and p1 warships in the Sea.
+function makeState() {
+  const territories = [
+    { name: 'X', isWater: false, production: 3, connections: ['Y', 'Sea'], polygons: [] },
+    { name: 'Y', isWater: false, production: 2, connections: ['X'], polygons: [] },
+    { name: 'Sea', isWater: true, production: 0, connections: ['X'], polygons: [] },
+  ];
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.initGame('none', [], {});
+  gs.gameMode = 'risk';
+  gs.players = ['p1', 'p2', 'p3'].map(id => ({ id, name: id.toUpperCase() }));
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.turnPhase = TURN_PHASES.COMBAT_MOVE;
+  gs.currentPlayerIndex = 0;
+  gs.territoryState = { X: { owner: 'p2' }, Y: { owner: 'p1' } };
+  gs.playerState = { p1: { ipcs: 0 }, p2: { ipcs: 0 }, p3: { ipcs: 0 } };
+  gs.units = {
+    X: [
+      { type: 'infantry', quantity: 2, owner: 'p2' },
+      { type: 'aaGun', quantity: 1, owner: 'p2' },
+      { type: 'factory', quantity: 1, owner: 'p2' },
+      { type: 'armour', quantity: 1, owner: 'p3' },
+      { type: 'infantry', quantity: 1, owner: 'p1' },
+    ],
+    Y: [{ type: 'infantry', quantity: 3, owner: 'p1' }],
+    Sea: [{ type: 'battleship', quantity: 1, owner: 'p1' }, { type: 'cruiser', quantity: 2, owner: 'p1' }],
+  };
+  return gs;
+}
+
+console.log('=== Pre-filled from a pending attack ===');
+{
+  const gs = makeState();
+  gs.playerTechs.p2 = { unlockedTechs: ['jets'] };
+  const setup = buildBattleSetup(gs, 'X', 'p1', [{ type: 'infantry', quantity: 3 }]);
+  check('attackers: units already there plus the move', setup.attackers.length === 1 && setup.attackers[0].quantity === 4);
+  check('defenders: every hostile unit except factories', setup.defenders.length === 3
+    && !setup.defenders.some(u => u.type === 'factory'));
+  check('defending owner and techs', setup.defenderId === 'p2' && setup.defenderTechs.jets && !setup.attackerTechs.jets);
+  check('no bombardment without a landing', setup.bombardment.battleship === 0);
+
+  const landing = buildBattleSetup(gs, 'X', 'p1', [], { amphibious: true });
+  check('amphibious: offshore warships bombard', landing.bombardment.battleship === 1 && landing.bombardment.cruiser === 2);
+
+  const { pact } = gs.proposePact('p1', 'p3', PACT_TYPES.NON_AGGRESSION);
+  gs.respondToPact(pact.id, 'p3', true);
+  const peace = buildBattleSetup(gs, 'X', 'p1', []);
+  check('pact partners do not defend', !peace.defenders.some(u => u.type === 'armour'));
+
+  const result = simulateBattle({ ...peace, unitDefs, trials: 200 });
+  check('setup runs straight through the simulator', result.trials === 200 && result.capture !== null);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll battle simulator checks passed');
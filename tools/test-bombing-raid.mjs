@@ -0,0 +1,155 @@
+// Strategic bombing raids (SPEC §6.4): launch, combat-phase resolution, undo, AI.
+// Run: node tools/test-bombing-raid.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { resolveStrategicBombing } = await import(pathToFileURL(join(root, 'src/state/combatEngine.js')));
+const { GameState, GAME_PHASES, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { AIPlayer } = await import(pathToFileURL(join(root, 'src/ai/aiPlayer.js')));
+const { TurnSummaryModal } = await import(pathToFileURL(join(root, 'src/ui/turnSummaryModal.js')));
+
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// Scripted dice: returns the given rolls in order, then 6s.
+function script(...rolls) {
+  let i = 0;
+  const fn = (context) => { fn.contexts.push(context); return i < rolls.length ? rolls[i++] : 6; };
+  fn.contexts = [];
+  return fn;
+}
+
+// Home -- Mid -- Far -- Target (production 3, factory + AA).
+function makeState() {
+  const territories = [
+    { name: 'Home', isWater: false, production: 5, connections: ['Mid'], polygons: [] },
+    { name: 'Mid', isWater: false, production: 1, connections: ['Home', 'Far'], polygons: [] },
+    { name: 'Far', isWater: false, production: 1, connections: ['Mid', 'Target'], polygons: [] },
+    { name: 'Target', isWater: false, production: 3, connections: ['Far'], polygons: [] },
+  ];
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.players = [{ id: 'p1', name: 'P1' }, { id: 'p2', name: 'P2' }];
+  gs.currentPlayerIndex = 0;
+  gs.turnPhase = TURN_PHASES.COMBAT_MOVE;
+  gs.territoryState = {
+    Home: { owner: 'p1' }, Mid: { owner: 'p1' }, Far: { owner: 'p2' }, Target: { owner: 'p2' },
+  };
+  gs.playerState = { p1: { ipcs: 10, techs: [] }, p2: { ipcs: 20, techs: [] } };
+  gs.units = {
+    Home: [{ type: 'bomber', quantity: 2, owner: 'p1' }],
+    Mid: [],
+    Far: [{ type: 'infantry', quantity: 1, owner: 'p2' }],
+    Target: [
+      { type: 'factory', quantity: 1, owner: 'p2' },
+      { type: 'aaGun', quantity: 1, owner: 'p2' },
+    ],
+  };
+  return gs;
+}
+
+console.log('=== Engine ===');
+{
+  const out = resolveStrategicBombing({ bombers: 3, hasAA: true, production: 4, rollDie: script(1, 6, 6, 5, 6) });
+  check('AA fires one die per bomber, hits on 1', out.aaRolls.length === 3 && out.aaHits === 1);
+  check('only survivors roll damage', out.survivors === 2 && out.bombRolls.length === 2);
+  check('damage capped by production', out.rawDamage === 11 && out.damage === 4);
+
+  const poor = resolveStrategicBombing({ bombers: 1, production: 10, maxLoss: 2, rollDie: script(5) });
+  check('damage capped by what the defender holds', poor.damage === 2);
+
+  const heavy = resolveStrategicBombing({ bombers: 1, heavyBombers: true, production: 20, rollDie: script(3, 4) });
+  check('Heavy Bombers roll two damage dice', heavy.bombRolls.length === 2 && heavy.damage === 7);
+
+  const dice = script(2);
+  resolveStrategicBombing({ bombers: 1, production: 5, rollDie: dice });
+  check('no AA → no AA dice', dice.contexts.join() === 'raid:bomb');
+}
+
+console.log('=== Launch + undo ===');
+{
+  const gs = makeState();
+  check('raid range is half the bomber move', gs.getBombingRaidRange('p1', unitDefs) === 3);
+  check('factory in range is a raid target', gs.getBombingRaidTargets('Home', unitDefs).includes('Target'));
+  check('territory without a factory is not', !gs.getBombingRaidTargets('Home', unitDefs).includes('Far'));
+
+  const noFactory = gs.launchBombingRaid('Home', 'Far', 1, unitDefs);
+  check('raid on a non-factory territory is rejected', noFactory.success === false);
+
+  const ok = gs.launchBombingRaid('Home', 'Target', 2, unitDefs);
+  check('raid launches', ok.success === true);
+  check('bombers leave the map', gs.getAvailableRaidBombers('Home', 'p1') === 0);
+  check('bombers are not placed in the target', !(gs.units.Target || []).some(u => u.type === 'bomber'));
+  check('raid is pending', gs.hasPendingBombingRaids() && gs.getPendingBombingRaids()[0].origins.Home === 2);
+
+  const json = gs.toJSON();
+  check('pending raids persist in toJSON', json.bombingRaids.length === 1);
+
+  const undo = gs.undoLastMove();
+  check('undo succeeds', undo.success === true);
+  check('undo returns the bombers', gs.getAvailableRaidBombers('Home', 'p1') === 2);
+  check('undo cancels the raid', !gs.hasPendingBombingRaids());
+}
+
+console.log('=== Combat phase ===');
+{
+  const gs = makeState();
+  gs.launchBombingRaid('Home', 'Target', 2, unitDefs);
+  check('combat phase is not skipped while a raid is pending', gs._shouldSkipPhase(TURN_PHASES.COMBAT) === false);
+
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.turnPhase = TURN_PHASES.COMBAT;
+  const blocked = gs.nextPhase();
+  check('cannot leave combat with a pending raid', gs.turnPhase === TURN_PHASES.COMBAT && blocked?.success !== true);
+
+  // AA: 1 (hit), 4 (miss). Bomber: 6.
+  const dice = script(1, 4, 6);
+  gs._rollDie = dice;
+  const result = gs.resolveBombingRaid('Target', unitDefs);
+  check('AA fires before the bomb die', dice.contexts.join() === 'raid:aa,raid:aa,raid:bomb');
+  check('loss capped at production 3', result.damage === 3);
+  check('defender IPCs deducted in playerState', gs.playerState.p2.ipcs === 17);
+  check('shot-down bomber is gone, survivor flies home moved', (gs.units.Home || [])
+    .filter(u => u.type === 'bomber').reduce((n, u) => n + u.quantity, 0) === 1
+    && gs.units.Home.find(u => u.type === 'bomber').moved === true);
+  check('raid cleared', !gs.hasPendingBombingRaids());
+  check('turn event recorded', gs.turnEvents.some(e => e.type === 'bombing_raid' && e.damage === 3 && e.bombersLost === 1));
+
+  // The modal's renderer without its DOM
+  const summary = Object.assign(Object.create(TurnSummaryModal.prototype), { gameState: gs });
+  const line = summary._renderEvent(gs.turnEvents.find(e => e.type === 'bombing_raid'));
+  check('the turn summary names the defender', line.includes('P2 lost <strong>3 IPCs</strong>') && !line.includes('p2 lost'));
+}
+
+console.log('=== AI ===');
+{
+  const gs = makeState();
+  const easy = new AIPlayer(gs, 'p1', 'easy');
+  easy.unitDefs = unitDefs;
+  check('easy AI never raids', easy.planBombingRaids().length === 0);
+
+  // No AA: 2 bombers can only do 3 damage, so one is enough.
+  gs.units.Target = gs.units.Target.filter(u => u.type !== 'aaGun');
+  const hard = new AIPlayer(gs, 'p1', 'hard');
+  hard.unitDefs = unitDefs;
+  const raids = hard.planBombingRaids();
+  check('hard AI raids an undefended factory', raids.length === 1 && raids[0].target === 'Target');
+  check('AI sends only what the production cap can use', raids[0].quantity === 1);
+
+  gs.units.Target.push({ type: 'aaGun', quantity: 1, owner: 'p2' });
+  check('AI skips a raid that AA makes unprofitable', hard.planBombingRaids().length === 0);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll bombing raid checks passed');
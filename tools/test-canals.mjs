@@ -0,0 +1,93 @@
+// Suez / Panama canals (SPEC §2.4) on the real map: data, sea reach, moveUnits.
+// Run: node tools/test-canals.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { findCanal, isCanalOpen } = await import(pathToFileURL(join(root, 'src/state/canals.js')));
+const { GameState, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+
+const readJSON = (file) => JSON.parse(readFileSync(join(root, file), 'utf8'));
+const territories = readJSON('data/territories.json');
+const canals = readJSON('data/canals.json');
+const unitDefs = readJSON('data/units.json');
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+const SUEZ_MED = 'East Mediteranean Sea Zone';
+const SUEZ_RED = 'Red Sea Zone';
+const CARIBBEAN = 'Carribean Sea Zone';
+const WEST_PANAMA = 'West Panama Sea Zone';
+
+console.log('=== Canal data ===');
+{
+  const byName = Object.fromEntries(territories.map(t => [t.name, t]));
+  for (const canal of canals) {
+    const [a, b] = canal.seaZones;
+    check(`${canal.name}: both sea zones exist and are water`, byName[a]?.isWater && byName[b]?.isWater);
+    check(`${canal.name}: sea zones are adjacent`, byName[a].connections.includes(b));
+    check(`${canal.name}: canal land exists`, canal.territories.every(n => byName[n] && !byName[n].isWater));
+  }
+  check('findCanal works in both directions', findCanal(canals, SUEZ_RED, SUEZ_MED)?.name === 'Suez Canal');
+  check('no canal on an ordinary edge', findCanal(canals, CARIBBEAN, 'Gulf of Mexico Sea Zone') === null);
+
+  const suez = findCanal(canals, SUEZ_MED, SUEZ_RED);
+  const owners = { 'Anglo Sudan Egypt': 'p1', 'Syria Jordan': 'p2' };
+  const rules = (allied) => ({ getOwner: n => owners[n], areAllies: () => allied });
+  check('Suez needs both Egypt and Syria Jordan', !isCanalOpen(suez, 'p1', rules(false)));
+  check('an ally holding the other half opens Suez', isCanalOpen(suez, 'p1', rules(true)));
+}
+
+function makeState(panamaOwner, egyptOwner = 'p1') {
+  const gs = new GameState({ risk: { factions: [] } }, territories, [], canals);
+  gs.players = [{ id: 'p1', name: 'P1' }, { id: 'p2', name: 'P2' }];
+  gs.currentPlayerIndex = 0;
+  gs.turnPhase = TURN_PHASES.NON_COMBAT_MOVE;
+  gs.territoryState = {
+    Panama: { owner: panamaOwner },
+    'Anglo Sudan Egypt': { owner: egyptOwner },
+    'Syria Jordan': { owner: 'p1' },
+    Columbia: { owner: 'p2' },
+    'Italian East Africa': { owner: 'p2' },
+  };
+  gs.playerState = { p1: { ipcs: 0 }, p2: { ipcs: 0 } };
+  gs.units = {
+    [CARIBBEAN]: [{ type: 'destroyer', quantity: 1, owner: 'p1' }],
+    [SUEZ_MED]: [{ type: 'cruiser', quantity: 1, owner: 'p1' }],
+  };
+  return gs;
+}
+
+console.log('=== Sea movement ===');
+{
+  const open = makeState('p1');
+  check('own Panama → West Panama one step away', open.getReachableTerritoriesForSea(CARIBBEAN, 1, 'p1').has(WEST_PANAMA));
+  const moved = open.moveUnits(CARIBBEAN, WEST_PANAMA, [{ type: 'destroyer', quantity: 1 }], unitDefs);
+  check('destroyer passes an open canal', moved.success === true);
+
+  const closed = makeState('p2');
+  check('enemy Panama → canal edge not reachable', !closed.getReachableTerritoriesForSea(CARIBBEAN, 1, 'p1').has(WEST_PANAMA));
+  const blocked = closed.moveUnits(CARIBBEAN, WEST_PANAMA, [{ type: 'destroyer', quantity: 1 }], unitDefs);
+  check('moveUnits rejects a closed canal', blocked.success === false && /Panama Canal/.test(blocked.error));
+  check('ships stay put after a rejected move', closed.units[CARIBBEAN][0].quantity === 1);
+
+  const ordinary = closed.moveUnits(CARIBBEAN, 'Gulf of Mexico Sea Zone', [{ type: 'destroyer', quantity: 1 }], unitDefs);
+  check('ordinary sea edges are unaffected', ordinary.success === true);
+
+  const status = closed.getCanalStatus('p1');
+  check('canal status reports Panama closed, Suez open',
+    status.find(c => c.name === 'Panama Canal').open === false && status.find(c => c.name === 'Suez Canal').open === true);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll canal checks passed');
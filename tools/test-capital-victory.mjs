@@ -0,0 +1,130 @@
+// Free-for-all capital victory (SPEC §8.3): capital count, round-end timing, round limit.
+// Run: node tools/test-capital-victory.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { normalizeCapitalVictory, requiredCapitals, pickRoundLimitWinners } =
+  await import(pathToFileURL(join(root, 'src/state/capitalVictory.js')));
+const { GameState, GAME_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+console.log('=== Rules ===');
+{
+  const def = normalizeCapitalVictory();
+  check('defaults: classic rule, on capture, no limit',
+    def.capitals === null && def.timing === 'immediate' && def.roundLimit === null);
+  const cfg = normalizeCapitalVictory({ capitals: '3', timing: 'round_end', roundLimit: 20 });
+  check('settings parsed', cfg.capitals === 3 && cfg.timing === 'round_end' && cfg.roundLimit === 20);
+  check('unknown timing falls back', normalizeCapitalVictory({ timing: 'whenever' }).timing === 'immediate');
+
+  check('2-3 players default: all capitals', requiredCapitals(3, 3, def) === 3);
+  check('4+ players default: majority', requiredCapitals(5, 5, def) === 3);
+  check('configured count wins over the default', requiredCapitals(5, 5, { capitals: 4 }) === 4);
+  check('configured count capped at capitals on the board', requiredCapitals(2, 3, { capitals: 3 }) === 2);
+
+  const winners = pickRoundLimitWinners([
+    { id: 'a', income: 20, capitals: 1 }, { id: 'b', income: 25, capitals: 1 }, { id: 'c', income: 25, capitals: 2 },
+  ]);
+  check('round limit: income first, capitals break ties', winners.length === 1 && winners[0].id === 'c');
+  check('dead heat is shared', pickRoundLimitWinners([
+    { id: 'a', income: 10, capitals: 1 }, { id: 'b', income: 10, capitals: 1 },
+  ]).length === 2);
+}
+
+// Five territories, one capital each for p1..p4 plus C5 held by p1 as a spare.
+function makeState(capitalVictory) {
+  const names = ['C1', 'C2', 'C3', 'C4', 'X'];
+  const territories = names.map(name => ({ name, isWater: false, production: 2, connections: [], polygons: [] }));
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.initGame('none', [], { capitalVictory });
+  gs.gameMode = 'risk';
+  gs.players = ['p1', 'p2', 'p3', 'p4'].map(id => ({ id, name: id.toUpperCase() }));
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.currentPlayerIndex = 0;
+  gs.territoryState = {
+    C1: { owner: 'p1', isCapital: true },
+    C2: { owner: 'p2', isCapital: true },
+    C3: { owner: 'p3', isCapital: true },
+    C4: { owner: 'p4', isCapital: true },
+    X: { owner: 'p2' },
+  };
+  gs.playerState = Object.fromEntries(gs.players.map((p, i) => [p.id, { ipcs: 0, capitalTerritory: `C${i + 1}` }]));
+  gs.units = {};
+  return gs;
+}
+
+const capture = (gs, territory, newOwner) => {
+  const previous = gs.getOwner(territory);
+  gs.territoryState[territory].owner = newOwner;
+  gs.handleCapitalCapture(territory, newOwner, previous);
+};
+
+console.log('=== Capital count ===');
+{
+  const legacy = makeState();
+  capture(legacy, 'C2', 'p1');
+  check('default 4-player rule: 2 of 4 is not a majority', legacy.gameOver === false);
+  capture(legacy, 'C3', 'p1');
+  check('default 4-player rule: 3 of 4 wins', legacy.gameOver && /majority/.test(legacy.winCondition));
+
+  const two = makeState({ capitals: 2 });
+  capture(two, 'C2', 'p1');
+  check('configured 2 capitals wins on capture', two.gameOver && two.winner === 'P1' && /needed 2/.test(two.winCondition));
+
+  const status = makeState({ capitals: 3 }).getCapitalVictoryStatus();
+  check('HUD status: tally and target', status.required === 3 && status.total === 4 && status.tally.p1 === 1);
+  const teams = makeState();
+  teams.teamsEnabled = true;
+  check('no capital status in team games', teams.getCapitalVictoryStatus() === null);
+}
+
+console.log('=== Round-end timing ===');
+{
+  const gs = makeState({ capitals: 2, timing: 'round_end' });
+  capture(gs, 'C2', 'p1');
+  check('capture alone does not end the game', gs.gameOver === false);
+  gs.nextTurn(); gs.nextTurn(); gs.nextTurn();
+  check('still running mid-round', gs.gameOver === false);
+  gs.nextTurn();
+  check('checked when the round ends', gs.gameOver === true && gs.winner === 'P1');
+
+  const retaken = makeState({ capitals: 2, timing: 'round_end' });
+  capture(retaken, 'C2', 'p1');
+  retaken.territoryState.C2.owner = 'p2';
+  for (let i = 0; i < 4; i++) retaken.nextTurn();
+  check('a capital retaken before round end does not count', retaken.gameOver === false);
+}
+
+console.log('=== Round limit ===');
+{
+  const gs = makeState({ roundLimit: 2 });
+  for (let i = 0; i < 4; i++) gs.nextTurn();
+  check('game continues through the last round', gs.round === 2 && gs.gameOver === false);
+  for (let i = 0; i < 4; i++) gs.nextTurn();
+  check('limit reached: highest income wins', gs.gameOver === true && gs.winner === 'P2');
+  check('round-limit win condition', /^Round Limit/.test(gs.winCondition));
+  check('income helper counts capital as 10', gs.getIncome('p2') === 12 && gs.getIncome('p1') === 10);
+
+  const saved = makeState({ capitals: 3, timing: 'round_end', roundLimit: 15 }).toJSON();
+  const loaded = makeState();
+  loaded.loadFromJSON(saved);
+  check('settings survive save/load',
+    loaded.capitalVictory.capitals === 3 && loaded.capitalVictory.timing === 'round_end' && loaded.capitalVictory.roundLimit === 15);
+  loaded.loadFromJSON({ ...saved, capitalVictory: undefined });
+  check('older saves keep the original rule', loaded.capitalVictory.capitals === null && loaded.capitalVictory.roundLimit === null);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll capital victory checks passed');
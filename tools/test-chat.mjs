@@ -0,0 +1,117 @@
+// In-game chat: who alliance lines go to, what each reader sees, the system
+// lines built from turnEvents (captures, surrenders), unread counts and the
+// pass-and-play chat store.
+// Run: node tools/test-chat.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  allianceSeats, hasAllianceChannel, chatMessage, chatSystemMessages, chatFeed, unreadChatCount,
+  createLocalChat, MAX_CHAT_LENGTH,
+} = await import(pathToFileURL(join(root, 'src/multiplayer/chatPolicy.js')));
+const { applySurrenderToState } = await import(pathToFileURL(join(root, 'src/multiplayer/surrenderCore.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// Teams: p1 + p2 (humans) against p3 (human) + p4 (AI)
+const players = [
+  { id: 'p1', name: 'Red', oderId: 'u1', teamId: 'A' },
+  { id: 'p2', name: 'Blue', oderId: 'u2', teamId: 'A' },
+  { id: 'p3', name: 'Green', oderId: 'u3', teamId: 'B' },
+  { id: 'p4', name: 'Grey', isAI: true, teamId: 'B' },
+];
+const isAlly = (a, b) => players.find(p => p.id === a)?.teamId === players.find(p => p.id === b)?.teamId;
+const nameOf = id => players.find(p => p.id === id)?.name || id;
+
+console.log('=== Channels ===');
+{
+  check('a side lists itself first, then its allies', allianceSeats(players, 'p1', isAlly).map(p => p.id).join() === 'p1,p2');
+  check('alliance chat needs a human ally', hasAllianceChannel(players, 'p1', isAlly) && !hasAllianceChannel(players, 'p3', isAlly));
+  const fallen = players.map(p => (p.id === 'p2' ? { ...p, surrendered: true } : p));
+  check('surrendered allies drop out', !hasAllianceChannel(fallen, 'p1', isAlly));
+  check('no seat, no alliance', allianceSeats(players, 'spectator', isAlly).length === 0);
+}
+
+console.log('=== Messages ===');
+{
+  const sender = { key: 'u1', name: 'Red', seat: 'p1', color: '#c00' };
+  check('blank lines are not sent', chatMessage({ text: '   ', sender }) === null);
+  check('no sender, no message', chatMessage({ text: 'hi', sender: null }) === null);
+  check('unknown channels are refused', chatMessage({ text: 'hi', sender, channel: 'whisper' }) === null);
+  check('long lines are cut', chatMessage({ text: 'x'.repeat(1000), sender }).text.length === MAX_CHAT_LENGTH);
+  const global = chatMessage({ text: ' attack east ', sender, to: ['u2'], now: 5 });
+  check('global lines are trimmed and go to nobody in particular', global.text === 'attack east' && global.to.length === 0 && global.at === 5);
+  const ally = chatMessage({ text: 'hold the line', sender, channel: 'alliance', to: ['u2'] });
+  check('alliance lines include the sender', ally.to.join() === 'u1,u2');
+}
+
+console.log('=== Feed ===');
+{
+  const messages = [
+    { id: 'a', by: 'u3', channel: 'global', to: [], text: 'gg', at: 10 },
+    { id: 'b', by: 'u1', channel: 'alliance', to: ['u1', 'u2'], text: 'plan', at: 20 },
+    { id: 'c', by: 'u3', channel: 'alliance', to: ['u3'], text: 'secret', at: 30 },
+  ];
+  const events = [
+    { type: 'combat', territory: 'X', timestamp: 5 },
+    { type: 'territory_captured', territory: 'Egypt', fromPlayer: 'p3', toPlayer: 'p1', timestamp: 15 },
+    { type: 'territory_captured', territory: 'Chad', fromPlayer: null, toPlayer: 'p1', timestamp: 16 },
+    { type: 'surrender', playerId: 'p3', timestamp: 40 },
+  ];
+  const system = chatSystemMessages(events, nameOf);
+  check('captures and surrenders become system lines',
+    system.map(m => m.text).join('|') === 'Red captured Egypt from Green|Red captured Chad|Green surrendered');
+  check('captures out of sight are left out', chatSystemMessages(events, nameOf, t => t !== 'Egypt').length === 2);
+
+  const blue = chatFeed(messages, system, 'u2');
+  check('an ally reads global and alliance lines in order',
+    blue.map(m => m.id).join() === 'a,event-1,event-2,b,event-3');
+  check('nobody reads another side\'s alliance lines', !blue.some(m => m.id === 'c')
+    && chatFeed(messages, [], 'u9').map(m => m.id).join() === 'a');
+
+  check('unread: other players\' lines since the last read', unreadChatCount(blue, 0, 'u2') === 2
+    && unreadChatCount(blue, 15, 'u2') === 1);
+  check('own lines and system lines never count', unreadChatCount(chatFeed(messages, system, 'u1'), 10, 'u1') === 0);
+}
+
+console.log('=== Surrender ===');
+{
+  const state = {
+    players: players.map(p => ({ ...p })),
+    currentPlayerIndex: 0,
+    phase: 'playing',
+    territoryState: { Egypt: { owner: 'p3' } },
+    units: {},
+    turnEvents: [{ type: 'combat', territory: 'X' }],
+  };
+  applySurrenderToState(state, 'u3');
+  const last = state.turnEvents[state.turnEvents.length - 1];
+  check('a surrender is recorded in turnEvents', state.turnEvents.length === 2 && last.type === 'surrender' && last.playerId === 'p3');
+  applySurrenderToState(state, 'u3');
+  check('only once', state.turnEvents.length === 2);
+}
+
+console.log('=== Pass-and-play chat ===');
+{
+  const chat = createLocalChat();
+  let seen = null;
+  chat.subscribe(messages => { seen = messages; });
+  const sent = await chat.send({ text: 'your move', sender: { key: 'p1', name: 'Red' } });
+  check('messages reach subscribers', sent && seen.length === 1 && seen[0].by === 'p1');
+  check('empty lines are refused', !(await chat.send({ text: '', sender: { key: 'p1' } })) && seen.length === 1);
+  chat.stop();
+  check('stopping clears the table', chat.messages.length === 0);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll chat checks passed');
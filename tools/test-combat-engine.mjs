@@ -0,0 +1,193 @@
+// Headless combat engine: the rules CombatUI and GameState.resolveCombat share.
+// Run: node tools/test-combat-engine.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  rollCombatDice,
+  rollAAFire,
+  getSubmarineFirstStrike,
+  planBombardment,
+  selectCheapestCasualties,
+  selectCheapestAircraftCasualties,
+  selectCasualtiesWithSubHits,
+  applyCasualtySelection,
+  sinkDefenselessTransports,
+  resolveBattleRound,
+} = await import(pathToFileURL(join(root, 'src/state/combatEngine.js')));
+const { GameState } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// Scripted dice: returns the given rolls in order, then 6s (misses).
+function script(...rolls) {
+  let i = 0;
+  const fn = (context) => { fn.contexts.push(context); return i < rolls.length ? rolls[i++] : 6; };
+  fn.contexts = [];
+  return fn;
+}
+
+console.log('=== Attack modifiers ===');
+{
+  const units = [
+    { type: 'infantry', quantity: 2, owner: 'p1' },
+    { type: 'artillery', quantity: 1, owner: 'p1' },
+  ];
+  const out = rollCombatDice(units, 'attack', { unitDefs, rollDie: script(2, 2, 2) });
+  check('artillery supports one infantry 1:1 (attack 2)', out.rolls[0].attackValue === 2 && out.rolls[1].attackValue === 1);
+  check('supported infantry + artillery hit on 2, bare infantry misses', out.hits === 2);
+
+  const jets = rollCombatDice([{ type: 'fighter', quantity: 1 }], 'attack', {
+    unitDefs, techs: { jets: true }, rollDie: script(4),
+  });
+  check('Jets: fighter attacks at 4', jets.rolls[0].attackValue === 4 && jets.hits === 1);
+
+  const jetsDef = rollCombatDice([{ type: 'fighter', quantity: 1 }], 'defense', {
+    unitDefs, techs: { jets: true }, rollDie: script(5),
+  });
+  check('Jets: fighter defends at 5', jetsDef.rolls[0].defenseValue === 5 && jetsDef.hits === 1);
+
+  const heavy = rollCombatDice([{ type: 'bomber', quantity: 2 }], 'attack', {
+    unitDefs, techs: { heavyBombers: true }, rollDie: script(),
+  });
+  check('Heavy Bombers: two dice per bomber', heavy.rolls.length === 4);
+
+  const subs = rollCombatDice([{ type: 'submarine', quantity: 1 }], 'attack', {
+    unitDefs, techs: { superSubs: true }, rollDie: script(3),
+  });
+  check('Super Subs: sub attacks at 3 and counts as a sub hit', subs.hits === 1 && subs.subHits === 1);
+
+  const noArtDefense = rollCombatDice(units, 'defense', { unitDefs, rollDie: script() });
+  check('artillery support does not apply on defense', noArtDefense.rolls.every(r => r.unitType !== 'infantry' || r.defenseValue === 2));
+}
+
+console.log('=== AA fire + first strike ===');
+{
+  const attackers = [{ type: 'fighter', quantity: 1 }, { type: 'bomber', quantity: 1 }, { type: 'infantry', quantity: 3 }];
+  const aa = rollAAFire(attackers, { unitDefs, rollDie: script(1, 6) });
+  check('one AA die per aircraft only', aa.rolls.length === 2 && aa.aircraft === 2);
+  check('AA hits only on a 1', aa.hits === 1);
+  const lost = selectCheapestAircraftCasualties(attackers, 1, unitDefs);
+  check('AA loss is the cheapest aircraft', lost.fighter === 1 && !lost.bomber);
+
+  const fs1 = getSubmarineFirstStrike([{ type: 'submarine', quantity: 1 }], [{ type: 'destroyer', quantity: 1 }]);
+  check('destroyer cancels attacking sub first strike', !fs1.attackerSubsHaveFirstStrike);
+  const fs2 = getSubmarineFirstStrike([{ type: 'submarine', quantity: 1 }], [{ type: 'cruiser', quantity: 1 }]);
+  check('no destroyer → first strike', fs2.attackerSubsHaveFirstStrike && fs2.hasSubmarineFirstStrike);
+}
+
+console.log('=== Casualty selection ===');
+{
+  const fleet = [
+    { type: 'transport', quantity: 1 },
+    { type: 'battleship', quantity: 1 },
+    { type: 'destroyer', quantity: 1 },
+  ];
+  const pick = selectCheapestCasualties(fleet, 2, unitDefs);
+  check('transports are never picked', !pick.transport);
+  check('destroyer dies first, then battleship takes damage', pick.destroyer === 1 && pick.battleship_damage === 1);
+
+  const mixed = [{ type: 'fighter', quantity: 1 }, { type: 'destroyer', quantity: 1 }];
+  const subPick = selectCasualtiesWithSubHits(mixed, 1, 1, unitDefs);
+  check('sub hits cannot land on aircraft', subPick.destroyer === 1 && !subPick.fighter);
+
+  const stacks = [{ type: 'infantry', quantity: 1 }, { type: 'infantry', quantity: 2 }];
+  const losses = applyCasualtySelection(stacks, { infantry: 2 });
+  check('losses spill across stacks of the same type', losses.infantry === 2 && stacks[0].quantity === 0 && stacks[1].quantity === 1);
+
+  const ships = [{ type: 'battleship', quantity: 1 }];
+  applyCasualtySelection(ships, { battleship_damage: 1 });
+  check('battleship damage marks the ship instead of sinking it', ships[0].quantity === 1 && ships[0].damagedCount === 1);
+
+  const lone = [{ type: 'transport', quantity: 2 }];
+  check('lone transports are sunk', sinkDefenselessTransports(lone) === 2 && lone[0].quantity === 0);
+  const escorted = [{ type: 'transport', quantity: 1 }, { type: 'destroyer', quantity: 1 }];
+  check('escorted transports survive', sinkDefenselessTransports(escorted) === 0 && escorted[0].quantity === 1);
+}
+
+console.log('=== Bombardment is amphibious-only ===');
+{
+  const board = {
+    territoryByName: {
+      Coast: { name: 'Coast', isWater: false, connections: ['SZ 1'] },
+      'SZ 1': { name: 'SZ 1', isWater: true, connections: ['Coast'] },
+    },
+    units: { 'SZ 1': [{ type: 'battleship', quantity: 1, owner: 'p1' }, { type: 'destroyer', quantity: 1, owner: 'p1' }] },
+    amphibious: false,
+    hasAmphibiousAssault() { return this.amphibious; },
+    isSeaZoneClearedForBombardment() { return true; },
+  };
+  check('no amphibious assault → no bombardment', planBombardment(board, 'Coast', 'p1', unitDefs).length === 0);
+  board.amphibious = true;
+  const rolls = planBombardment(board, 'Coast', 'p1', unitDefs);
+  check('amphibious → battleship bombards, destroyer does not', rolls.length === 1 && rolls[0].unit === 'battleship');
+}
+
+console.log('=== Full round ===');
+{
+  const attackers = [{ type: 'fighter', quantity: 1, owner: 'p1' }, { type: 'infantry', quantity: 1, owner: 'p1' }];
+  const defenders = [{ type: 'infantry', quantity: 1, owner: 'p2' }, { type: 'aaGun', quantity: 1, owner: 'p2' }];
+  // AA die: 1 (fighter shot down). Attack: infantry 1 (hit). Defense: infantry 6, aaGun 6.
+  const round = resolveBattleRound({ attackers, defenders, unitDefs, firstRound: true, rollDie: script(1, 1, 6, 6) });
+  check('AA fires before the regular roll', round.aaHits === 1 && round.attackerLosses.fighter === 1);
+  check('shot-down fighter does not roll', round.attackRolls.length === 1);
+  check('AA-only defender left → attacker wins', round.winner === 'attacker');
+
+  const again = resolveBattleRound({
+    attackers: [{ type: 'fighter', quantity: 1 }],
+    defenders: [{ type: 'infantry', quantity: 1 }, { type: 'aaGun', quantity: 1 }],
+    unitDefs, firstRound: false, rollDie: script(),
+  });
+  check('AA fires on the first round only', again.aaRolls.length === 0);
+}
+
+console.log('=== GameState.resolveCombat uses the shared rules ===');
+{
+  const territories = [
+    { name: 'A', isWater: false, production: 2, connections: ['B'], polygons: [] },
+    { name: 'B', isWater: false, production: 2, connections: ['A'], polygons: [] },
+  ];
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.players = [{ id: 'p1', name: 'P1' }, { id: 'p2', name: 'P2' }];
+  gs.currentPlayerIndex = 0;
+  gs.territoryState = { A: { owner: 'p1' }, B: { owner: 'p2' } };
+  gs.playerState = { p1: { ipcs: 0 }, p2: { ipcs: 0 } };
+  gs.units = {
+    A: [],
+    B: [
+      { type: 'fighter', quantity: 2, owner: 'p1' },
+      { type: 'infantry', quantity: 3, owner: 'p2' },
+      { type: 'aaGun', quantity: 1, owner: 'p2' },
+    ],
+  };
+  gs.combatQueue = ['B'];
+  const origRandom = Math.random;
+  Math.random = () => 0.9; // every die a 6
+  const result = gs.resolveCombat('B', unitDefs);
+  Math.random = origRandom;
+  check('headless battle rolls AA fire on round 1', result.aaRolls.length === 2);
+  check('AA dice land in the roll log', gs.getRollLog().filter(r => r.context === 'aa').length === 2);
+  check('battle continues when nobody hits', result.resolved === false);
+
+  Math.random = () => 0; // every die a 1
+  const round2 = gs.resolveCombat('B', unitDefs);
+  Math.random = origRandom;
+  check('no AA fire after round 1', round2.aaRolls.length === 0);
+  check('both fighters hit on round 2', round2.attackHits === 2 && round2.defenderLosses.infantry === 2);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll combat engine checks passed');
@@ -110,8 +110,8 @@ function makeUI(game) {
 }
 
 console.log('=== Version stamps ===');
-check('GAME_VERSION is V2.78', GAME_VERSION === 'V2.78');
-check('SCHEMA_VERSION stays 11', SCHEMA_VERSION === 11);
+check('GAME_VERSION is V2.79', GAME_VERSION === 'V2.79');
+check('SCHEMA_VERSION stays 12', SCHEMA_VERSION === 12);
 check('AA result auto-pause is readable (not a 150ms blip)', AA_RESULT_AUTO_PAUSE_MS >= 400);
 
 console.log('=== Enemy combat units (factory excluded, AA counts) ===');
@@ -0,0 +1,232 @@
+// FFA diplomacy: pact lifecycle, notice period, merge, combat/movement effects, AI answers.
+// Run: node tools/test-diplomacy.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  PACT_TYPES,
+  createDiplomacy,
+  getPactBetween,
+  getIncomingProposals,
+  proposePact,
+  respondToProposal,
+  breakPact,
+  expirePacts,
+  mergeDiplomacy,
+} = await import(pathToFileURL(join(root, 'src/state/diplomacy.js')));
+const { GameState, GAME_PHASES, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { AIController } = await import(pathToFileURL(join(root, 'src/ai/aiController.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+const { NON_AGGRESSION, ALLIANCE } = PACT_TYPES;
+
+console.log('=== Pact book ===');
+{
+  const book = createDiplomacy();
+  const offer = proposePact(book, { from: 'a', to: 'b', type: NON_AGGRESSION, round: 1 });
+  check('proposal recorded', offer.success && offer.pact.status === 'proposed');
+  check('duplicate proposal rejected', !proposePact(book, { from: 'b', to: 'a', type: ALLIANCE, round: 1 }).success);
+  check('addressed to the recipient', getIncomingProposals(book, 'b').length === 1 && getIncomingProposals(book, 'a').length === 0);
+  check('only the recipient accepts', !respondToProposal(book, offer.pact.id, 'a', true, 1).success);
+
+  respondToProposal(book, offer.pact.id, 'b', true, 1);
+  check('accepted pact in force', getPactBetween(book, 'a', 'b')?.type === NON_AGGRESSION);
+  check('no second pact of the same kind', !proposePact(book, { from: 'b', to: 'a', type: NON_AGGRESSION, round: 1 }).success);
+
+  const upgrade = proposePact(book, { from: 'b', to: 'a', type: ALLIANCE, round: 2 });
+  check('alliance may be offered on top of a NAP', upgrade.success);
+  respondToProposal(book, upgrade.pact.id, 'a', true, 2);
+  check('alliance replaces the NAP', getPactBetween(book, 'a', 'b')?.type === ALLIANCE
+    && book.pacts.find(p => p.id === offer.pact.id).status === 'ended');
+
+  const broken = breakPact(book, upgrade.pact.id, 'a', 3);
+  check('breaking gives a round of notice', broken.success && broken.pact.endsRound === 4
+    && getPactBetween(book, 'a', 'b')?.status === 'breaking');
+  check('notice runs for the rest of the round', expirePacts(book, 'b', 3).ended.length === 0
+    && expirePacts(book, 'a', 3).ended.length === 0);
+  check('pact ends on the breaker\'s next turn', expirePacts(book, 'a', 4).ended.length === 1
+    && getPactBetween(book, 'a', 'b') === null);
+
+  const stale = proposePact(book, { from: 'c', to: 'a', type: ALLIANCE, round: 4 });
+  expirePacts(book, 'c', 5);
+  check('unanswered proposals lapse on the proposer\'s next turn', stale.pact.status === 'lapsed');
+}
+
+console.log('=== Merge ===');
+{
+  const base = createDiplomacy();
+  const { pact } = proposePact(base, { from: 'a', to: 'b', type: ALLIANCE, round: 1 });
+  const mine = JSON.parse(JSON.stringify(base));
+  const theirs = JSON.parse(JSON.stringify(base));
+  respondToProposal(theirs, pact.id, 'b', true, 1);
+  proposePact(mine, { from: 'c', to: 'a', type: NON_AGGRESSION, round: 1 });
+
+  const merged = mergeDiplomacy(mine, theirs);
+  check('merge keeps both sides\' edits', merged.pacts.length === 2
+    && merged.pacts.find(p => p.id === pact.id).status === 'active');
+  check('merge is symmetric', JSON.stringify(mergeDiplomacy(theirs, mine).pacts.find(p => p.id === pact.id))
+    === JSON.stringify(merged.pacts.find(p => p.id === pact.id)));
+
+  const withdrawn = JSON.parse(JSON.stringify(base));
+  respondToProposal(withdrawn, pact.id, 'a', false, 1);
+  const a = mergeDiplomacy(theirs, withdrawn).pacts[0].status;
+  const b = mergeDiplomacy(withdrawn, theirs).pacts[0].status;
+  check('concurrent accept/withdraw settle the same way everywhere', a === b && a === 'withdrawn');
+
+  // A copy edited by the wrong side loses to ours, however high its revision
+  const forge = (edit) => {
+    const copy = JSON.parse(JSON.stringify(base));
+    Object.assign(copy.pacts[0], edit);
+    return mergeDiplomacy(base, copy).pacts[0].status;
+  };
+  check('proposer cannot accept their own offer', forge({ status: 'active', by: 'a', rev: 9 }) === 'proposed');
+  check('outsider cannot accept an offer', forge({ status: 'active', by: 'c', rev: 9 }) === 'proposed');
+  check('recipient can accept', forge({ status: 'active', by: 'b', signedRound: 1, rev: 2 }) === 'active');
+  check('recipient cannot withdraw', forge({ status: 'withdrawn', by: 'b', rev: 2 }) === 'proposed');
+
+  const signed = JSON.parse(JSON.stringify(theirs));
+  const breakAs = (by, brokenBy) => {
+    const copy = JSON.parse(JSON.stringify(signed));
+    Object.assign(copy.pacts[0], { status: 'breaking', by, brokenBy, brokenRound: 2, endsRound: 3, rev: 3 });
+    return mergeDiplomacy(signed, copy).pacts[0].status;
+  };
+  check('member can give notice', breakAs('a', 'a') === 'breaking');
+  check('notice in another member\'s name refused', breakAs('a', 'b') === 'active');
+  check('outsider cannot give notice', breakAs('c', 'c') === 'active');
+
+  const revived = JSON.parse(JSON.stringify(withdrawn));
+  Object.assign(revived.pacts[0], { status: 'active', by: 'b', rev: 5 });
+  check('closed offer cannot be revived', mergeDiplomacy(withdrawn, revived).pacts[0].status === 'withdrawn');
+
+  const planted = createDiplomacy();
+  planted.pacts.push({ id: 'a>b#7', type: ALLIANCE, players: ['a', 'b'], proposedBy: 'a', proposedRound: 1, status: 'active', by: 'c', rev: 2 });
+  check('pact planted by an outsider dropped', mergeDiplomacy(createDiplomacy(), planted).pacts.length === 0);
+  planted.pacts[0].by = 'b';
+  check('pact signed by its recipient taken', mergeDiplomacy(createDiplomacy(), planted).pacts.length === 1);
+}
+
+// Four land territories in a row plus a sea zone; p1 p2 p3 each own land.
+function makeState({ teams = false } = {}) {
+  const territories = [
+    { name: 'A', isWater: false, production: 2, connections: ['B', 'Sea'], polygons: [] },
+    { name: 'B', isWater: false, production: 2, connections: ['A', 'C', 'Sea'], polygons: [] },
+    { name: 'C', isWater: false, production: 2, connections: ['B', 'D'], polygons: [] },
+    { name: 'D', isWater: false, production: 8, connections: ['C'], polygons: [] },
+    { name: 'Sea', isWater: true, production: 0, connections: ['A', 'B'], polygons: [] },
+  ];
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.initGame('none', [], { teamsEnabled: teams });
+  gs.gameMode = 'risk';
+  gs.players = ['p1', 'p2', 'p3'].map(id => ({ id, name: id.toUpperCase(), teamId: teams ? 1 : null }));
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.turnPhase = TURN_PHASES.DEVELOP_TECH;
+  gs.currentPlayerIndex = 0;
+  gs.territoryState = { A: { owner: 'p1' }, B: { owner: 'p2' }, C: { owner: 'p2' }, D: { owner: 'p3' } };
+  gs.playerState = { p1: { ipcs: 0 }, p2: { ipcs: 0 }, p3: { ipcs: 0 } };
+  gs.units = {
+    A: [{ type: 'infantry', quantity: 2, owner: 'p1' }],
+    B: [{ type: 'infantry', quantity: 1, owner: 'p2' }],
+    C: [{ type: 'infantry', quantity: 1, owner: 'p2' }],
+    D: [{ type: 'infantry', quantity: 1, owner: 'p3' }],
+    Sea: [{ type: 'destroyer', quantity: 1, owner: 'p1' }, { type: 'destroyer', quantity: 1, owner: 'p2' }],
+  };
+  return gs;
+}
+
+const sign = (gs, from, to, type) => {
+  const { pact } = gs.proposePact(from, to, type);
+  gs.respondToPact(pact.id, to, true);
+  return pact;
+};
+
+console.log('=== GameState ===');
+{
+  const gs = makeState();
+  check('available in free-for-all play', gs.canUseDiplomacy());
+  check('not in team games', !makeState({ teams: true }).canUseDiplomacy());
+  check('cannot propose to yourself', !gs.proposePact('p1', 'p1', ALLIANCE).success);
+
+  gs._detectCombats();
+  check('ships at war fight', gs.combatQueue.includes('Sea'));
+
+  const nap = sign(gs, 'p1', 'p2', NON_AGGRESSION);
+  check('NAP partners are at peace but not allies', gs.isAtPeace('p1', 'p2') && !gs.areAllies('p1', 'p2'));
+  gs._detectCombats();
+  check('NAP: shared sea zone is not a battle', !gs.combatQueue.includes('Sea'));
+  gs.turnPhase = TURN_PHASES.COMBAT_MOVE;
+  const blocked = gs.moveUnits('A', 'B', [{ type: 'infantry', quantity: 1 }], { infantry: { isLand: true, movement: 1 } });
+  check('NAP: cannot attack the partner\'s land', !blocked.success && /Non-aggression pact/.test(blocked.error));
+  check('signing is in the turn summary', gs.turnEvents.some(e => e.type === 'pact_signed' && e.playerId === 'p2'));
+
+  const upgrade = gs.proposePact('p1', 'p2', ALLIANCE);
+  gs.respondToPact(upgrade.pact.id, 'p2', true);
+  check('alliance makes them allies', gs.areAllies('p1', 'p2') && gs.getDiplomacyFor('p1')[0].pact.type === ALLIANCE);
+  check('old NAP superseded', gs.diplomacy.pacts.find(p => p.id === nap.id).status === 'ended');
+
+  gs.currentPlayerIndex = 1;
+  check('breaking only on your own turn', !gs.breakPact(upgrade.pact.id, 'p1').success);
+  gs.currentPlayerIndex = 0;
+  check('break accepted', gs.breakPact(upgrade.pact.id, 'p1').success);
+  check('betrayal logged for the turn summary',
+    gs.turnEvents.some(e => e.type === 'pact_broken' && e.playerId === 'p1' && e.partner === 'P2' && e.endsRound === 2));
+  check('still allied during the notice period', gs.areAllies('p1', 'p2'));
+
+  gs.nextTurn(); gs.nextTurn();
+  check('still allied until the breaker\'s next turn', gs.areAllies('p1', 'p2'));
+  gs.nextTurn();
+  check('alliance over at the start of the breaker\'s turn', gs.round === 2 && !gs.areAllies('p1', 'p2'));
+  check('end of pact logged', gs.turnEvents.some(e => e.type === 'pact_ended'));
+
+  const saved = makeState();
+  sign(saved, 'p2', 'p3', NON_AGGRESSION);
+  const loaded = makeState();
+  loaded.loadFromJSON(saved.toJSON());
+  check('pacts survive save/load', loaded.hasNonAggressionPact('p2', 'p3'));
+  loaded.loadFromJSON({ ...saved.toJSON(), diplomacy: undefined });
+  check('older saves load with no pacts', loaded.diplomacy.pacts.length === 0);
+
+  const remote = makeState();
+  remote.proposePact('p3', 'p1', ALLIANCE);
+  check('remote book merged in', saved.mergeDiplomacy(remote.diplomacy) && saved.diplomacy.pacts.length === 2);
+  check('merging again changes nothing', !saved.mergeDiplomacy(remote.diplomacy));
+}
+
+console.log('=== AI ===');
+{
+  const gs = makeState();
+  const ai = new AIController();
+  ai.gameState = gs;
+
+  // p3 holds D (8) — well ahead of p1 and p2 (2 and 4)
+  check('runaway leader spotted', ai._getRunawayLeader('p1') === 'p3');
+  check('AI refuses the leader', ai._shouldAcceptPact('medium', NON_AGGRESSION, 'p3', 'p3') === false);
+  check('hard AI allies against a leader', ai._shouldAcceptPact('hard', ALLIANCE, 'p2', 'p3') === true);
+  check('easy AI only takes NAPs', ai._shouldAcceptPact('easy', ALLIANCE, 'p2', null) === false);
+
+  gs.proposePact('p2', 'p1', NON_AGGRESSION);
+  gs.proposePact('p3', 'p1', NON_AGGRESSION);
+  ai._handleDiplomacy({ difficulty: 'medium' }, gs.players[0]);
+  check('AI accepts a fellow underdog', gs.hasNonAggressionPact('p1', 'p2'));
+  check('AI declines the leader', !gs.hasNonAggressionPact('p1', 'p3') && getIncomingProposals(gs.diplomacy, 'p1').length === 0);
+
+  const pact = sign(gs, 'p3', 'p2', NON_AGGRESSION);
+  gs.currentPlayerIndex = 1;
+  ai._handleDiplomacy({ difficulty: 'hard' }, gs.players[1]);
+  check('AI gives notice to a runaway partner', gs.diplomacy.pacts.find(p => p.id === pact.id).status === 'breaking');
+  check('AI threat checks skip pact partners', ai._getThreatsToTerritory('B', 'p2').threats.length === 0);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll diplomacy checks passed');
@@ -0,0 +1,108 @@
+// Economic victory (SPEC §8.2): sides, thresholds, end-of-round check, save/load.
+// Run: node tools/test-economic-victory.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  normalizeEconomicVictory,
+  getEconomicSides,
+  computeEconomicProgress,
+  findEconomicWinner,
+  DEFAULT_ALLIANCE_THRESHOLDS,
+  DEFAULT_PLAYER_THRESHOLD,
+} = await import(pathToFileURL(join(root, 'src/state/economicVictory.js')));
+const { GameState, GAME_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+console.log('=== Options + sides ===');
+{
+  check('off → null', normalizeEconomicVictory(null) === null && normalizeEconomicVictory({ enabled: false }) === null);
+  const cfg = normalizeEconomicVictory({ enabled: true, thresholds: { p1: '30', p2: 0, p3: 'x' } });
+  check('thresholds parsed, junk dropped', cfg.thresholds.p1 === 30 && !('p2' in cfg.thresholds) && !('p3' in cfg.thresholds));
+
+  const players = [
+    { id: 'ger', name: 'Germany', teamId: 1 },
+    { id: 'jap', name: 'Japan', teamId: 1 },
+    { id: 'usa', name: 'USA', teamId: 2 },
+    { id: 'ita', name: 'Italy', teamId: null },
+  ];
+  const teams = getEconomicSides(players, 'team');
+  check('team mode groups by team, loners stand alone',
+    teams.map(s => s.key).join() === 'Team 1,Team 2,ita' && teams[0].playerIds.length === 2);
+
+  const alliance = { ger: 'Axis', jap: 'Axis', usa: 'Allies', ita: 'Axis' };
+  const sides = getEconomicSides(players, 'alliance', id => alliance[id]);
+  check('alliance mode uses SPEC thresholds',
+    sides.find(s => s.key === 'Axis').defaultThreshold === DEFAULT_ALLIANCE_THRESHOLDS.Axis
+    && sides.find(s => s.key === 'Allies').defaultThreshold === 140);
+
+  const ffa = getEconomicSides(players, 'player');
+  check('FFA: one side per player', ffa.length === 4 && ffa[0].defaultThreshold === DEFAULT_PLAYER_THRESHOLD);
+
+  const production = { ger: 20, jap: 15, usa: 50, ita: 3 };
+  const progress = computeEconomicProgress(teams, { 'Team 1': 30 }, id => production[id]);
+  check('team production sums members', progress[0].production === 35 && progress[0].reached);
+  check('unset threshold falls back to default', progress[1].threshold === 60 && !progress[1].reached);
+  check('winner is the side that reached its target', findEconomicWinner(progress)?.key === 'Team 1');
+}
+
+// Four land territories, production 2/3/4/5; A is p1's capital (worth 10).
+function makeState(economicVictory) {
+  const territories = ['A', 'B', 'C', 'D'].map((name, i) => ({
+    name, isWater: false, production: i + 2, connections: [], polygons: [],
+  }));
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.initGame('none', [], { economicVictory });
+  gs.players = [{ id: 'p1', name: 'P1' }, { id: 'p2', name: 'P2' }];
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.currentPlayerIndex = 0;
+  gs.territoryState = {
+    A: { owner: 'p1', isCapital: true }, B: { owner: 'p1' }, C: { owner: 'p2' }, D: { owner: 'p2' },
+  };
+  gs.playerState = { p1: { ipcs: 0 }, p2: { ipcs: 0 } };
+  gs.units = {};
+  gs.autoSave = () => {};
+  return gs;
+}
+
+console.log('=== GameState ===');
+{
+  const off = makeState(null);
+  check('option off → no progress', off.getEconomicVictoryProgress().length === 0);
+  off.nextTurn();
+  off.nextTurn();
+  check('option off → never wins economically', off.gameOver === false);
+
+  const gs = makeState({ enabled: true, thresholds: { p1: 13 } });
+  check('capital counts 10 toward production', gs.getControlledProduction('p1') === 13);
+  const p1 = gs.getEconomicVictoryProgress().find(s => s.key === 'p1');
+  check('progress reports production against target', p1.production === 13 && p1.threshold === 13 && p1.reached);
+
+  gs.nextTurn();
+  check('not checked mid-round', gs.gameOver === false && gs.currentPlayerIndex === 1);
+  gs.nextTurn();
+  check('checked when the round ends', gs.gameOver === true && gs.winner === 'P1');
+  check('own win condition', /^Economic Victory - P1 controls 13 IPCs/.test(gs.winCondition));
+
+  const saved = makeState({ enabled: true, thresholds: { p2: 50 } }).toJSON();
+  check('option persists in toJSON', saved.economicVictory?.thresholds?.p2 === 50);
+  const loaded = makeState(null);
+  loaded.loadFromJSON(saved);
+  check('option restores from a save', loaded.economicVictory?.thresholds?.p2 === 50);
+  loaded.loadFromJSON({ ...saved, economicVictory: undefined });
+  check('older saves load with the option off', loaded.economicVictory === null);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll economic victory checks passed');
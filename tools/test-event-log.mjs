@@ -0,0 +1,195 @@
+// Event log / replay: GameState records each change with its board diff,
+// replaying the log rebuilds the live board, and the log survives save/load.
+// Run: node tools/test-event-log.mjs
+
+import { readFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { EVENT_TYPES, createReplay, mergeEventLogs, withoutEvents, compactEventLog, describeEvent } =
+  await import(pathToFileURL(join(root, 'src/state/eventLog.js')));
+const { GameState, GAME_PHASES, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const territories = [
+  { name: 'A', isWater: false, production: 3, connections: ['B'], polygons: [] },
+  { name: 'B', isWater: false, production: 2, connections: ['A', 'C'], polygons: [] },
+  { name: 'C', isWater: false, production: 1, connections: ['B'], polygons: [] },
+];
+
+function newState() {
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.initGame('none', [], {});
+  return gs;
+}
+
+// p1 holds A and B, p2 holds C; p1 is in non-combat move
+function makeState() {
+  const gs = newState();
+  gs.gameMode = 'risk';
+  gs.players = ['p1', 'p2'].map(id => ({ id, name: id.toUpperCase() }));
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.turnPhase = TURN_PHASES.NON_COMBAT_MOVE;
+  gs.currentPlayerIndex = 0;
+  gs.territoryState = { A: { owner: 'p1' }, B: { owner: 'p1' }, C: { owner: 'p2' } };
+  gs.playerState = { p1: { ipcs: 10 }, p2: { ipcs: 10 } };
+  gs.units = {
+    A: [{ type: 'infantry', quantity: 3, owner: 'p1' }],
+    B: [{ type: 'infantry', quantity: 1, owner: 'p1' }],
+    C: [{ type: 'infantry', quantity: 2, owner: 'p2' }],
+  };
+  gs._startEventLog();
+  return gs;
+}
+
+console.log('=== Recording ===');
+{
+  const gs = makeState();
+  const base = gs.getEventLog().base;
+  check('log starts from the current board', base.units.A[0].quantity === 3 && base.ipcs.p1 === 10);
+
+  const move = gs.moveUnits('A', 'B', [{ type: 'infantry', quantity: 2 }], unitDefs);
+  check('move succeeds', move.success);
+  const [moved] = gs.getEventLog().events;
+  check('move recorded with who, what and where', moved.type === EVENT_TYPES.MOVE && moved.playerId === 'p1'
+    && moved.data.from === 'A' && moved.data.to === 'B' && moved.data.units[0].quantity === 2);
+  check('only the touched territories are in the diff', same(Object.keys(moved.changes.territories).sort(), ['A', 'B']));
+  check('readable timeline line', describeEvent(moved, id => id.toUpperCase()) === 'P1 moves 2 infantry: A → B');
+
+  gs.undoLastMove();
+  const undo = gs.getEventLog().events.at(-1);
+  check('undo is its own event', undo.type === EVENT_TYPES.UNDO && undo.changes.territories.A);
+
+  gs.moveUnits('A', 'B', [{ type: 'infantry', quantity: 1 }], unitDefs);
+  gs.nextPhase();
+  const turn = gs.getEventLog().events.at(-1);
+  check('end of turn recorded with where the game moved on to', turn.type === EVENT_TYPES.TURN && turn.playerId === 'p1'
+    && turn.currentPlayerIndex === gs.currentPlayerIndex && turn.turnPhase === gs.turnPhase);
+  check('turn boundaries found for jump-to-turn', same(createReplay(gs.getEventLog()).turnStarts(), [0, 4]));
+
+  const replay = createReplay(gs.getEventLog());
+  check('frame 0 is the base board', same(replay.frameAt(0).units, base.units));
+  check('frame 1 is the board after the first move', replay.frameAt(1).units.A[0].quantity === 1);
+  const last = replay.frameAt(replay.length);
+  check('replaying every event rebuilds the live board', same(last.units, gs.units)
+    && same(last.territoryState, gs.territoryState) && last.turnPhase === gs.turnPhase);
+  check('seq numbers only grow', gs.getEventLog().events.every((e, i, all) => i === 0 || e.seq > all[i - 1].seq));
+}
+
+console.log('=== Draft and turns ===');
+{
+  const gs = newState();
+  gs.players = ['p1', 'p2'].map(id => ({ id, name: id.toUpperCase() }));
+  gs.phase = GAME_PHASES.TERRITORY_DRAFT;
+  gs.currentPlayerIndex = 0;
+  gs.territoryState = {};
+  gs.units = {};
+  gs._startEventLog();
+  gs.draftTerritory('A');
+  gs.draftTerritory('C');
+  const events = gs.getEventLog().events;
+  check('each pick is an event by the picking player', events.length === 2
+    && events[0].playerId === 'p1' && events[1].playerId === 'p2' && events[1].data.territory === 'C');
+  const frame = createReplay(gs.getEventLog()).frameAt(1);
+  check('replay shows the first pick only', frame.territoryState.A?.owner === 'p1' && !frame.territoryState.C);
+}
+
+console.log('=== Combat logged after capture ===');
+{
+  const gs = makeState();
+  gs.turnPhase = TURN_PHASES.COMBAT;
+  // CombatUI writes the board itself, then logs the result
+  gs.territoryState.C = { owner: 'p1' };
+  gs.units.C = [{ type: 'infantry', quantity: 1, owner: 'p1' }];
+  gs.units.B = [];
+  gs.logCombat({ territory: 'C', attacker: 'P1', defender: 'P2', winner: 'attacker' });
+  const combat = gs.getEventLog().events.at(-1);
+  check('combat event carries the capture', combat.type === EVENT_TYPES.COMBAT
+    && combat.changes.territories.C.state.owner === 'p1' && combat.changes.territories.B);
+  check('combat timeline line', describeEvent(combat) === 'Battle for C: attacker wins');
+}
+
+console.log('=== Save / load and merging ===');
+{
+  const gs = makeState();
+  gs.moveUnits('A', 'B', [{ type: 'infantry', quantity: 1 }], unitDefs);
+  const saved = JSON.parse(JSON.stringify(gs.toJSON()));
+  check('save carries the log', saved.eventLog.events.length === 1);
+
+  const loaded = newState();
+  loaded.loadFromJSON(saved);
+  check('load keeps the log', loaded.getEventLog().id === gs.getEventLog().id && loaded.getEventLog().events.length === 1);
+  loaded.moveUnits('B', 'A', [{ type: 'infantry', quantity: 1 }], unitDefs);
+  check('recording continues after a load', loaded.getEventLog().events.at(-1).seq === 2);
+
+  // A remote doc without events (they are archived) must not drop local ones
+  loaded.loadFromJSON({ ...saved, eventLog: withoutEvents(loaded.getEventLog()) });
+  check('events-less doc of the same game keeps local events', loaded.getEventLog().events.length === 2);
+
+  const merged = mergeEventLogs(
+    { ...gs.getEventLog(), events: gs.getEventLog().events.slice(0, 1) },
+    { ...loaded.getEventLog(), events: loaded.getEventLog().events.slice(1) },
+  );
+  check('archive + live events merge by seq', same(merged.events.map(e => e.seq), [1, 2]));
+  check('a different game replaces the log', mergeEventLogs(gs.getEventLog(), { ...merged, id: 'other' }).id === 'other');
+
+  const old = JSON.parse(JSON.stringify(gs.toJSON()));
+  delete old.eventLog;
+  const legacy = newState();
+  legacy.loadFromJSON(old);
+  check('older saves start a fresh log from the loaded board', legacy.getEventLog().events.length === 0
+    && legacy.getEventLog().base.units.B.reduce((n, u) => n + u.quantity, 0) === 2);
+}
+
+console.log('=== Local autosave ===');
+{
+  const gs = makeState();
+  gs.moveUnits('A', 'B', [{ type: 'infantry', quantity: 2 }], unitDefs);
+  gs.moveUnits('A', 'B', [{ type: 'infantry', quantity: 1 }], unitDefs);
+  const full = gs.getEventLog();
+
+  const compact = compactEventLog(full, 1);
+  check('compacting keeps the last events', same(compact.events.map(e => e.seq), [full.seq]) && compact.seq === full.seq);
+  check('and folds the rest into the base', same(compact.base, createReplay(full).frameAt(full.events.length - 1)));
+  check('the latest frame is unchanged', same(createReplay(compact).frameAt(1), createReplay(full).frameAt(full.events.length)));
+  check('the log itself is not changed', full.events.length > 1 && compactEventLog(full, 99) === full);
+
+  const store = new Map();
+  let quotaFor = null;
+  globalThis.localStorage = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => {
+      if (key === quotaFor) throw new Error('QuotaExceededError');
+      store.set(key, String(value));
+    },
+    removeItem: key => store.delete(key),
+  };
+  check('autosave written', GameState.prototype.autoSave.call(gs));
+  check('the game slot holds no replay events', JSON.parse(store.get('tacticalRisk_autoSave')).eventLog === null);
+  const restored = GameState.loadAutoSave();
+  check('the replay log comes back with the game', restored.eventLog.id === full.id && restored.eventLog.events.length === full.events.length);
+
+  quotaFor = 'tacticalRisk_autoSave_log';
+  check('a full store still saves the game', GameState.prototype.autoSave.call(gs) && store.has('tacticalRisk_autoSave')
+    && !store.has('tacticalRisk_autoSave_log') && GameState.loadAutoSave().eventLog === null);
+  GameState.clearAutoSave();
+  check('clearing drops every key', store.size === 0);
+  delete globalThis.localStorage;
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll event log checks passed');
@@ -0,0 +1,142 @@
+// Fog of war: what a side can see, who the local screen shows, the fogged
+// GameState an AI plans with, saving the setting, and the board spectators
+// of a fogged game are sent.
+// Run: node tools/test-fog-of-war.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  normalizeFogOfWar, fogViewerIds, visibleTerritories, fogView, foggedStateFor,
+} = await import(pathToFileURL(join(root, 'src/state/fogOfWar.js')));
+const { GameState, GAME_PHASES, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { spectatorBoard, spectatorSnapshotFields } = await import(pathToFileURL(join(root, 'src/multiplayer/spectatorPolicy.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// A line of land A-B-C-D-E: p1 holds A and B, p2 holds C, D and E
+const LINE = ['A', 'B', 'C', 'D', 'E'];
+const neighbours = name => {
+  const i = LINE.indexOf(name);
+  return [LINE[i - 1], LINE[i + 1]].filter(Boolean);
+};
+
+function makeState(fogOfWar) {
+  const territories = LINE.map(name => ({
+    name, isWater: false, production: 1, connections: neighbours(name), polygons: [],
+  }));
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.initGame('none', [], { fogOfWar });
+  gs.gameMode = 'risk';
+  gs.players = [
+    { id: 'p1', name: 'P1', oderId: 'user-p1' },
+    { id: 'p2', name: 'P2', oderId: 'user-p2', isAI: true },
+  ];
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.turnPhase = TURN_PHASES.COMBAT_MOVE;
+  gs.currentPlayerIndex = 0;
+  gs.territoryState = { A: { owner: 'p1' }, B: { owner: 'p1' }, C: { owner: 'p2' }, D: { owner: 'p2' }, E: { owner: 'p2' } };
+  gs.playerState = { p1: { ipcs: 10 }, p2: { ipcs: 10 } };
+  gs.units = {
+    A: [{ type: 'infantry', quantity: 3, owner: 'p1' }],
+    C: [{ type: 'infantry', quantity: 1, owner: 'p2' }],
+    E: [{ type: 'tank', quantity: 2, owner: 'p2' }],
+  };
+  return gs;
+}
+
+console.log('=== Visibility ===');
+{
+  check('unknown modes are off', normalizeFogOfWar('units') === 'units' && normalizeFogOfWar('smoke') === null);
+  const board = makeState('units').toJSON();
+  const p1 = owner => owner === 'p1';
+  const seen = visibleTerritories(board, p1, neighbours);
+  check('own territories and their neighbours', [...seen].sort().join() === 'A,B,C');
+  check('a stack in enemy land extends the view',
+    visibleTerritories({ ...board, units: { ...board.units, D: [{ type: 'infantry', quantity: 1, owner: 'p1' }] } }, p1, neighbours).has('E'));
+  check('battles are seen by both sides',
+    visibleTerritories({ ...board, combatQueue: ['E'] }, p1, neighbours).has('E'));
+
+  const units = fogView(board, 'units', p1, neighbours);
+  check('enemy stacks out of sight are hidden', !units.units.E && units.units.C?.[0].quantity === 1);
+  check('hide units: owners still shown', units.territoryState.E.owner === 'p2');
+  const full = fogView(board, 'full', p1, neighbours);
+  check('full: hidden territories show nothing', full.territoryState.E.owner === null && full.territoryState.C.owner === 'p2');
+  check('the board itself is untouched', board.territoryState.E.owner === 'p2' && board.units.E.length === 1);
+}
+
+console.log('=== Whose view ===');
+{
+  const players = [{ id: 'p1', oderId: 'u1' }, { id: 'p2', oderId: 'u2' }, { id: 'p3', isAI: true }];
+  check('online: the local seat', fogViewerIds({ players, currentPlayer: players[1], isMultiplayer: true, localUserId: 'u1' }).join() === 'p1');
+  check('online spectator: no side', fogViewerIds({ players, currentPlayer: players[0], isMultiplayer: true, localUserId: 'u9' }).length === 0);
+  check('one device: the human to move', fogViewerIds({ players, currentPlayer: players[1] }).join() === 'p2');
+  check('one device, AI to move: every human', fogViewerIds({ players, currentPlayer: players[2] }).join() === 'p1,p2');
+
+  const gs = makeState('units');
+  check('no fog, no view', makeState(null).getFogView(['p1']) === null);
+  check('GameState view', !gs.getFogView(['p1']).units.E && !gs.getFogView(['p2']).units.A && !!gs.getFogView(['p2']).units.C);
+}
+
+console.log('=== AI information ===');
+{
+  const gs = makeState('full');
+  const seen = foggedStateFor(gs, 'p1');
+  check('the AI does not see hidden stacks', seen.getUnitsAt('E').length === 0 && !seen.units.E
+    && seen.getUnits('C', 'p2').length === 1);
+  check('nor hidden owners', seen.getOwner('E') === null && seen.getOwner('C') === 'p2');
+  check('everything else is the real game', seen.currentPlayer === gs.currentPlayer && seen.getIPCs('p1') === 10);
+  const listeners = gs._listeners.length;
+  check('asked again, the same view and no new listener', foggedStateFor(gs, 'p1') === seen && gs._listeners.length === listeners);
+
+  gs.units.D = [{ type: 'infantry', quantity: 1, owner: 'p1' }];
+  gs._notify();
+  check('the view follows the game', seen.getUnitsAt('E').length === 1);
+
+  seen.round = 4;
+  check('writes reach the real game', gs.round === 4);
+
+  const open = makeState(null);
+  check('without fog the AI sees everything', foggedStateFor(open, 'p1').getUnitsAt('E').length === 1);
+}
+
+console.log('=== Saving ===');
+{
+  const gs = makeState('full');
+  const json = JSON.parse(JSON.stringify(gs.toJSON()));
+  check('the mode is saved', json.fogOfWar === 'full');
+  const loaded = makeState(null);
+  loaded.loadFromJSON(json);
+  check('and loaded', loaded.fogOfWar === 'full');
+  delete json.fogOfWar;
+  loaded.loadFromJSON(json);
+  check('older saves have no fog', loaded.fogOfWar === null);
+}
+
+console.log('=== Spectators ===');
+{
+  const gs = makeState('units');
+  const state = gs.toJSON();
+  const board = spectatorBoard(state, neighbours);
+  check('spectators of a fogged game see no stacks', Object.keys(board.units).length === 0);
+  check('but owners in hide-units fog', board.territoryState.E.owner === 'p2');
+  check('a finished game is shown whole', spectatorBoard({ ...state, gameOver: true }, neighbours).units.E.length === 1);
+  check('games without fog are passed through', spectatorBoard(makeState(null).toJSON(), neighbours).units.E.length === 1);
+
+  const next = { ...state, currentPlayerIndex: 1 };
+  const fields = spectatorSnapshotFields({ mode: 'delayed', seq: 7, prev: state, next, connections: neighbours });
+  check('the delayed spectator board is fogged', !fields.spectatorState.units.A && fields.spectatorVersion === 7);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll fog of war checks passed');
@@ -0,0 +1,118 @@
+// Heatmap overlays: enemy threat, our strike reach and income at stake for
+// one side, the layer cycle and fog of war.
+// Run: node tools/test-heatmap.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { GameState, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { HEATMAP_LAYER_ORDER, nextHeatmapLayer, heatmapColor } = await import(pathToFileURL(join(root, 'src/state/heatmap.js')));
+
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// Home -- Border -- Front -- Deep -- Far -- Remote in a line; the sea zone
+// Bay touches Home and Front. p1 holds Home (capital) and Border, p2 the rest.
+function makeState() {
+  const land = (name, production, connections) => ({ name, isWater: false, production, connections, polygons: [] });
+  const territories = [
+    land('Home', 3, ['Border', 'Bay']),
+    land('Border', 2, ['Home', 'Front']),
+    land('Front', 1, ['Border', 'Deep', 'Bay']),
+    land('Deep', 1, ['Front', 'Far']),
+    land('Far', 1, ['Deep', 'Remote']),
+    land('Remote', 1, ['Far']),
+    { name: 'Bay', isWater: true, connections: ['Home', 'Front'], polygons: [] },
+  ];
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.players = [{ id: 'p1', name: 'P1' }, { id: 'p2', name: 'P2' }];
+  gs.currentPlayerIndex = 0;
+  gs.turnPhase = TURN_PHASES.PURCHASE;
+  gs.territoryState = {
+    Home: { owner: 'p1', isCapital: true }, Border: { owner: 'p1' },
+    Front: { owner: 'p2' }, Deep: { owner: 'p2' }, Far: { owner: 'p2' }, Remote: { owner: 'p2' },
+  };
+  gs.playerState = { p1: { ipcs: 10, capitalTerritory: 'Home' }, p2: { ipcs: 10 } };
+  gs.units = {
+    Home: [{ type: 'fighter', quantity: 1, owner: 'p1' }, { type: 'factory', quantity: 1, owner: 'p1' }],
+    Border: [{ type: 'infantry', quantity: 2, owner: 'p1' }],
+    Front: [{ type: 'armour', quantity: 2, owner: 'p2' }],
+    Deep: [{ type: 'infantry', quantity: 3, owner: 'p2' }],
+    Far: [{ type: 'bomber', quantity: 1, owner: 'p2' }],
+    Bay: [{ type: 'destroyer', quantity: 1, owner: 'p2' }],
+  };
+  return gs;
+}
+
+console.log('=== Layers ===');
+{
+  const gs = makeState();
+  const threat = gs.getHeatmap('threat', ['p1'], unitDefs);
+  // Border: armour 2×3 + bomber 4. Home: the armour cannot pass Border, the
+  // destroyer does not attack land, infantry in Deep is out of reach.
+  check('enemy threat on our land', JSON.stringify(threat.values) === '{"Home":4,"Border":10}' && threat.max === 10);
+
+  const reach = gs.getHeatmap('reach', ['p1'], unitDefs);
+  check('our strike reach', JSON.stringify(reach.values) === '{"Front":5,"Deep":3,"Far":3,"Bay":3}');
+  check('out of range is left out', !('Remote' in reach.values));
+
+  const income = gs.getHeatmap('income', ['p1'], unitDefs);
+  check('income at stake (capital counts 10)', income.values.Home === 10 && income.values.Border === 2 && income.total === 12);
+
+  gs.units.Far = [];
+  check('land out of enemy reach is not at stake', JSON.stringify(gs.getHeatmap('income', ['p1'], unitDefs).values) === '{"Border":2}');
+
+  gs.playerTechs = { p1: { unlockedTechs: ['longRangeAircraft'] } };
+  check('long range aircraft reach further', gs.getHeatmap('reach', ['p1'], unitDefs).values.Remote === 3);
+
+  const other = gs.getHeatmap('threat', ['p2'], unitDefs);
+  check('seen from the other side', other.values.Front === 5 && !('Home' in other.values));
+
+  let threw = null;
+  try { gs.getHeatmap('weather', ['p1'], unitDefs); } catch (err) { threw = err.message; }
+  check('unknown layers refused', threw === 'Unknown heatmap layer weather');
+}
+
+console.log('=== Allies ===');
+{
+  const gs = makeState();
+  gs.players.push({ id: 'p3', name: 'P3' });
+  gs.players[0].alliance = gs.players[2].alliance = 'Axis';
+  gs.alliancesEnabled = true;
+  gs.territoryState.Far.owner = 'p3';
+  gs.units.Far = [{ type: 'bomber', quantity: 1, owner: 'p3' }];
+  const threat = gs.getHeatmap('threat', ['p1'], unitDefs);
+  check('allied land counts as ours', JSON.stringify(threat.values) === '{"Border":6,"Far":9}');
+  check('allied units strike with us', gs.getHeatmap('reach', ['p1'], unitDefs).values.Front === 9);
+}
+
+console.log('=== Fog of war ===');
+{
+  const gs = makeState();
+  gs.fogOfWar = 'units';
+  // p1 sees Home, Border, Bay and their neighbours: the bomber in Far is hidden
+  const threat = gs.getHeatmap('threat', ['p1'], unitDefs);
+  check('hidden units do not count', JSON.stringify(threat.values) === '{"Border":6}');
+}
+
+console.log('=== Legend helpers ===');
+{
+  check('layers cycle back to off', HEATMAP_LAYER_ORDER.map(nextHeatmapLayer).join() === 'reach,income,');
+  check('colour scales with the value', heatmapColor('threat', 10, 10) === 'rgba(229, 57, 53, 0.600)'
+    && heatmapColor('threat', 0, 10) === 'rgba(229, 57, 53, 0.150)' && heatmapColor('income', 5, 0).endsWith('0.150)'));
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll heatmap checks passed');
@@ -0,0 +1,190 @@
+// Keyboard control: key combos and remappable bindings kept in storage,
+// the command palette's language and suggestions, and the number keys in
+// the move and purchase panels.
+// Run: node tools/test-keyboard.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+
+// Just enough DOM for the panels to render into
+function makeEl() {
+  const classSet = new Set();
+  const el = {
+    innerHTML: '',
+    style: {},
+    classList: {
+      add(...names) { names.forEach((n) => classSet.add(n)); },
+      remove(...names) { names.forEach((n) => classSet.delete(n)); },
+      contains(name) { return classSet.has(name); },
+      toggle(name, force) { (force ?? !classSet.has(name)) ? classSet.add(name) : classSet.delete(name); },
+    },
+    appendChild(child) { return child; },
+    querySelector() { return null; },
+    querySelectorAll() { return []; },
+    addEventListener() {},
+  };
+  return el;
+}
+globalThis.document = {
+  body: makeEl(),
+  createElement() { return makeEl(); },
+  getElementById() { return null; },
+  addEventListener() {},
+};
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  DEFAULT_BINDINGS, KEY_BINDINGS_KEY, keyComboOf, loadBindings, saveBindings, resetBindings,
+  actionForKey, bindKey, describeCombo,
+} = await import(pathToFileURL(join(root, 'src/input/keyBindings.js')));
+const { parseCommand, suggestCommands, findUnitType, matchTerritories } = await import(pathToFileURL(join(root, 'src/input/commands.js')));
+const { GameState, GAME_PHASES, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { MovementUI } = await import(pathToFileURL(join(root, 'src/ui/movementUI.js')));
+const { PurchasePopup } = await import(pathToFileURL(join(root, 'src/ui/purchasePopup.js')));
+
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+function memoryStorage() {
+  const items = {};
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: (key) => { delete items[key]; },
+  };
+}
+
+console.log('=== Key combos ===');
+{
+  check('letters are upper-cased', keyComboOf({ key: 'w' }) === 'W' && keyComboOf({ key: 'W', shiftKey: true }) === 'W');
+  check('Ctrl (or Cmd) comes first', keyComboOf({ key: 'k', ctrlKey: true }) === 'Ctrl+K' && keyComboOf({ key: 'k', metaKey: true }) === 'Ctrl+K');
+  check('Shift only on named keys', keyComboOf({ key: 'Tab', shiftKey: true }) === 'Shift+Tab' && keyComboOf({ key: '+', shiftKey: true }) === '+');
+  check('space has a name', keyComboOf({ key: ' ' }) === 'Space');
+  check('a modifier alone is no combo', keyComboOf({ key: 'Shift', shiftKey: true }) === null);
+  check('shown with arrows', describeCombo('ArrowUp') === '↑' && describeCombo('Ctrl++') === 'Ctrl++' && describeCombo('Escape') === 'Esc');
+}
+
+console.log('=== Bindings ===');
+{
+  const b = loadBindings(memoryStorage());
+  check('defaults without saved changes', JSON.stringify(b) === JSON.stringify(DEFAULT_BINDINGS));
+  check('the request\'s keys', actionForKey('W', b) === 'panUp' && actionForKey('ArrowLeft', b) === 'panLeft'
+    && actionForKey('+', b) === 'zoomIn' && actionForKey('-', b) === 'zoomOut' && actionForKey('Tab', b) === 'nextTerritory'
+    && actionForKey('U', b) === 'undo' && actionForKey('Ctrl+K', b) === 'palette' && actionForKey('Ctrl+S', b) === 'save');
+  check('unbound keys do nothing', actionForKey('Q', b) === null && actionForKey(null, b) === null);
+
+  const moved = bindKey(b, 'undo', 'Z');
+  check('rebinding replaces the keys', moved.success && moved.bindings.undo.join() === 'Z' && actionForKey('U', moved.bindings) === null);
+  check('the original is left alone', b.undo.join() === 'U');
+  const stolen = bindKey(moved.bindings, 'palette', 'W');
+  check('a key taken from another action', stolen.displaced === 'panUp' && stolen.bindings.panUp.join() === 'ArrowUp'
+    && actionForKey('W', stolen.bindings) === 'palette');
+  check('rebinding to its own key displaces nothing', bindKey(b, 'undo', 'U').displaced === null);
+  check('digits are kept for quantities', bindKey(b, 'undo', '5').error === '5 cannot be bound');
+  check('unknown actions refused', bindKey(b, 'fly', 'F').error === 'Unknown action fly');
+
+  const storage = memoryStorage();
+  saveBindings(stolen.bindings, storage);
+  check('only changes are stored', JSON.stringify(JSON.parse(storage.items[KEY_BINDINGS_KEY]))
+    === '{"panUp":["ArrowUp"],"undo":["Z"],"palette":["W"]}');
+  const loaded = loadBindings(storage);
+  check('and come back', actionForKey('W', loaded) === 'palette' && actionForKey('Z', loaded) === 'undo' && actionForKey('Tab', loaded) === 'nextTerritory');
+  check('reset clears them', JSON.stringify(resetBindings(storage)) === JSON.stringify(DEFAULT_BINDINGS) && !(KEY_BINDINGS_KEY in storage.items));
+
+  storage.setItem(KEY_BINDINGS_KEY, '{"undo":["Y","3",7],"warp":["X"]}');
+  const cleaned = loadBindings(storage);
+  check('bad saved entries are dropped', cleaned.undo.join() === 'Y' && !('warp' in cleaned));
+  storage.setItem(KEY_BINDINGS_KEY, 'not json');
+  check('an unreadable save keeps the defaults', loadBindings(storage).undo.join() === 'U');
+}
+
+console.log('=== Command palette ===');
+{
+  const territories = [{ name: 'Germany' }, { name: 'Northwestern Europe' }, { name: 'Southern Europe' }, { name: 'Eastern Germany' }];
+  const ctx = { unitDefs, territories };
+  const parse = text => JSON.stringify(parseCommand(text, ctx));
+
+  check('buy 3 infantry', parse('buy 3 infantry') === '{"type":"buy","unitType":"infantry","quantity":3}');
+  check('plurals, aliases and case', parse('Buy 2 Tanks') === '{"type":"buy","unitType":"armour","quantity":2}'
+    && parse('purchase 4x aa guns') === '{"type":"buy","unitType":"aaGun","quantity":4}'
+    && parse('buy tactical bombers') === '{"type":"buy","unitType":"tacticalBomber","quantity":1}');
+  check('short unique names', findUnitType('inf', unitDefs) === 'infantry' && findUnitType('bat', unitDefs) === 'battleship'
+    && findUnitType('b', unitDefs) === null);
+  check('unknown units', parseCommand('buy 3 dragons', ctx).error === 'Unknown unit dragons');
+
+  check('go to Germany', parse('go to Germany') === '{"type":"goto","territory":"Germany"}');
+  check('exact, then prefix, then anywhere in the name', matchTerritories('germ', territories).join() === 'Germany,Eastern Germany'
+    && parse('goto europe') === '{"type":"goto","territory":"Southern Europe"}');
+  check('unknown territories', parseCommand('go to Atlantis', ctx).error === 'No territory called atlantis');
+
+  check('end phase', parse('end phase') === '{"type":"command","command":"end-phase"}' && parse('  Next   Phase ') === parse('end phase'));
+  check('other commands', parseCommand('threat map', ctx).command === 'heatmap' && parseCommand('undo', ctx).command === 'undo'
+    && parseCommand('keys', ctx).command === 'shortcuts');
+  check('nonsense refused', parseCommand('dance', ctx).error === 'Unknown command "dance"' && !!parseCommand('', ctx).error);
+
+  const labels = text => suggestCommands(text, ctx).map(s => s.label).join(' | ');
+  check('suggests commands', labels('en') === 'End phase');
+  check('suggests units while buying', labels('buy 3 art') === 'Buy 3 artillery' && suggestCommands('buy 3', ctx).every(s => s.text.startsWith('buy 3 ')));
+  check('no factories until asked for', !labels('buy').includes('factory') && labels('buy fac') === 'Buy 1 factory');
+  check('suggests territories', labels('go to ger') === 'Go to Germany | Go to Eastern Germany' && labels('germ').startsWith('Go to Germany'));
+  check('every suggestion parses', suggestCommands('', ctx).every(s => !parseCommand(s.text, ctx).error)
+    && suggestCommands('s', ctx).every(s => !parseCommand(s.text, ctx).error));
+  check('capped', suggestCommands('', ctx, 3).length === 3);
+}
+
+console.log('=== Number keys ===');
+{
+  const land = (name, connections) => ({ name, isWater: false, production: 2, connections, polygons: [] });
+  const territories = [land('Home', ['Next']), land('Next', ['Home'])];
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.players = [{ id: 'p1', name: 'P1' }, { id: 'p2', name: 'P2' }];
+  gs.currentPlayerIndex = 0;
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.turnPhase = TURN_PHASES.NON_COMBAT_MOVE;
+  gs.territoryState = { Home: { owner: 'p1' }, Next: { owner: 'p1' } };
+  gs.playerState = { p1: { ipcs: 10 }, p2: { ipcs: 10 } };
+  gs.units = {
+    Home: [{ type: 'infantry', quantity: 4, owner: 'p1' }, { type: 'armour', quantity: 2, owner: 'p1' }, { type: 'factory', quantity: 1, owner: 'p1' }],
+  };
+
+  const move = new MovementUI();
+  move.setGameState(gs);
+  move.setUnitDefs(unitDefs);
+  move.setTerritories(territories);
+  check('nothing to set without a source', move.setActiveQuantity(3) === false);
+  move.selectSource(territories[0]);
+  check('the first row until one is adjusted', move.setActiveQuantity(3) && move.selectedUnits.infantry === 3);
+  move._updateSelection('armour', 1);
+  check('then the row last adjusted', move.setActiveQuantity(9) && move.selectedUnits.armour === 2 && move.selectedUnits.infantry === 3);
+  check('zero clears it', move.setActiveQuantity(0) && move.selectedUnits.armour === 0);
+  move.cancel();
+  check('forgotten on cancel', move.activeUnitType === null && move.setActiveQuantity(1) === false);
+
+  gs.turnPhase = TURN_PHASES.PURCHASE;
+  const shop = new PurchasePopup();
+  shop.setGameState(gs);
+  shop.setUnitDefs(unitDefs);
+  shop.setTerritories(territories);
+  check('the shop must be open', shop.setActiveQuantity(2) === false);
+  shop.show();
+  check('sets the first row', shop.setActiveQuantity(2) && shop.purchaseCart.infantry === 2 && shop.cartCost === 6);
+  shop._updateCart('artillery', 1);
+  check('then the row last adjusted, as many as the budget allows', shop.setActiveQuantity(9)
+    && shop.purchaseCart.artillery === 1 && shop.cartCost === 10);
+  check('zero takes the row out of the cart', shop.setActiveQuantity(0) && !('artillery' in shop.purchaseCart) && shop.cartCost === 6);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll keyboard checks passed');
@@ -0,0 +1,147 @@
+// Map editor model: editing connections, production, continents, land
+// bridges and capital candidates, the graph checks, the exported file
+// format, and land bridges read back from an exported map.
+// Run: node tools/test-map-editor.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { MapDraft, validateMap, mapComponents } = await import(pathToFileURL(join(root, 'src/map/mapDraft.js')));
+const { LAND_BRIDGES, landBridgesFor } = await import(pathToFileURL(join(root, 'src/state/landBridges.js')));
+const { GameState } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// Land A-B-C in a row, island D, sea zone S touching C and D. Saved the
+// way the editor exports, so no built-in land bridges apply.
+function makeMap() {
+  const land = (name, connections) => ({
+    name, isWater: false, production: 1, continent: 'Main', originalOwner: 'Neutral',
+    connections, landBridges: [], polygons: [[[0, 0], [1, 0], [1, 1]]], center: [0, 0],
+  });
+  const territories = [
+    land('A', ['B']),
+    land('B', ['A', 'C']),
+    land('C', ['B', 'S']),
+    { ...land('D', ['S']), continent: null },
+    { name: 'S', isWater: true, connections: ['C', 'D'], polygons: [], center: null },
+  ];
+  const continents = [{ name: 'Main', bonus: 3, territories: ['A', 'B', 'C'], color: '#123456' }];
+  return { territories, continents };
+}
+
+const errorsOf = issues => issues.filter(i => i.level === 'error').map(i => i.message);
+
+console.log('=== Shipped map ===');
+{
+  const territories = JSON.parse(readFileSync(join(root, 'data/territories.json'), 'utf8'));
+  const continents = JSON.parse(readFileSync(join(root, 'data/continents.json'), 'utf8'));
+  const draft = new MapDraft(territories, continents);
+  check('the built-in map has no errors', errorsOf(draft.validate()).length === 0);
+  check('it uses the built-in land bridges', landBridgesFor(territories) === LAND_BRIDGES
+    && draft.landBridges.length === LAND_BRIDGES.length);
+  draft.toggleConnection('Alaska', 'Mexico');
+  check('the loaded map is not touched', !territories.find(t => t.name === 'Alaska').connections.includes('Mexico'));
+}
+
+console.log('=== Editing ===');
+{
+  const { territories, continents } = makeMap();
+  const draft = new MapDraft(territories, continents);
+  check('connections are added both ways', draft.toggleConnection('A', 'C') && draft.isConnected('C', 'A'));
+  check('and removed both ways', !draft.toggleConnection('C', 'A') && !draft.isConnected('A', 'C'));
+  check('no connection to itself', !draft.toggleConnection('A', 'A') && !draft.isConnected('A', 'A'));
+
+  check('land bridges join land', draft.toggleLandBridge('C', 'D') && draft.hasLandBridge('D', 'C'));
+  check('not sea zones', !draft.toggleLandBridge('C', 'S') && !draft.hasLandBridge('C', 'S'));
+
+  check('production must be a whole number', draft.setProduction('A', 4) && !draft.setProduction('A', -1)
+    && !draft.setProduction('A', 1.5) && draft.get('A').production === 4);
+
+  check('new continents', draft.addContinent('Isle') && !draft.addContinent('Isle') && !draft.addContinent('  '));
+  draft.setContinent('D', 'Isle');
+  check('moving a territory updates both lists', draft.get('D').continent === 'Isle'
+    && draft.continents.find(c => c.name === 'Isle').territories.join() === 'D');
+  draft.setContinent('C', 'Isle');
+  check('and leaves the old continent', !draft.continents.find(c => c.name === 'Main').territories.includes('C'));
+  check('bonuses', draft.setContinentBonus('Isle', 5) && !draft.setContinentBonus('Isle', -2)
+    && draft.continents.find(c => c.name === 'Isle').bonus === 5);
+  draft.removeContinent('Isle');
+  check('removing a continent frees its territories', draft.get('D').continent === null && draft.get('C').continent === null);
+
+  check('capital candidates', draft.setCapital('B', 'Germans') && draft.get('B').capitalOf === 'Germans');
+  draft.setCapital('B', null);
+  check('and clearing them', !draft.get('B').isCapital && !('capitalOf' in draft.get('B')));
+}
+
+console.log('=== Checks ===');
+{
+  const clean = makeMap();
+  const issues = validateMap(clean.territories, clean.continents);
+  check('a sound map has no errors', errorsOf(issues).length === 0);
+  check('a land territory outside every continent is a warning', issues.some(i => i.level === 'warning' && i.territories[0] === 'D'));
+
+  const oneWay = makeMap();
+  oneWay.territories[0].connections.push('C');
+  check('one-way connections', errorsOf(validateMap(oneWay.territories, oneWay.continents)).some(m => m.includes('one-way')));
+
+  const unknown = makeMap();
+  unknown.territories[0].connections.push('Atlantis');
+  check('unknown territories', errorsOf(validateMap(unknown.territories, unknown.continents)).some(m => m.includes('Atlantis')));
+
+  const cut = new MapDraft(makeMap().territories, makeMap().continents);
+  cut.toggleConnection('B', 'C');
+  const cutErrors = cut.validate().filter(i => i.level === 'error');
+  check('a cut-off region', cutErrors.length === 1 && cutErrors[0].territories.join() === 'A,B');
+  cut.toggleLandBridge('B', 'D');
+  check('land bridges reconnect the map', errorsOf(cut.validate()).length === 0 && mapComponents(cut.territories, cut.landBridges).length === 1);
+
+  const continents = makeMap();
+  continents.continents.push({ name: 'Sea', bonus: 1.5, territories: ['S', 'A'] });
+  const continentErrors = errorsOf(validateMap(continents.territories, continents.continents));
+  check('continents: sea zones, double membership and bad bonuses',
+    continentErrors.some(m => m.includes('sea zone S')) && continentErrors.some(m => m.includes('both Main and Sea'))
+    && continentErrors.some(m => m.includes('invalid bonus')));
+
+  const capitals = new MapDraft(makeMap().territories, makeMap().continents);
+  capitals.setCapital('A', 'Germans');
+  capitals.setCapital('C', 'Germans');
+  check('one capital per faction', errorsOf(capitals.validate()).some(m => m.includes('two capitals')));
+}
+
+console.log('=== Export ===');
+{
+  const draft = new MapDraft(makeMap().territories, makeMap().continents);
+  draft.toggleLandBridge('C', 'D');
+  draft.toggleConnection('A', 'C');
+  const { territories, continents } = JSON.parse(JSON.stringify(draft.export()));
+  check('land first, then sea zones, by name', territories.map(t => t.name).join() === 'A,B,C,D,S');
+  check('the data file fields', Object.keys(territories[0]).join()
+    === 'name,isWater,production,continent,originalOwner,connections,landBridges,polygons,center');
+  check('sea zones carry no land fields', Object.keys(territories[4]).join() === 'name,isWater,connections,polygons,center');
+  check('connections sorted', territories[0].connections.join() === 'B,C');
+  check('land bridges on both ends', territories[2].landBridges.join() === 'D' && territories[3].landBridges.join() === 'C'
+    && territories[0].landBridges.length === 0);
+  check('continents', continents.length === 1 && continents[0].bonus === 3 && continents[0].color === '#123456');
+
+  const bridges = landBridgesFor(territories);
+  check('the exported land bridges replace the built-in list', bridges.length === 1 && bridges[0].join() === 'C,D');
+  const gs = new GameState({ risk: { factions: [] } }, territories, continents);
+  check('the game moves over them', gs.hasLandBridge('D', 'C') && gs.getConnections('D').includes('C')
+    && !gs.hasLandBridge('Alaska', 'Soviet Far East'));
+  const reopened = new MapDraft(territories, continents);
+  check('and the editor reads them back', reopened.landBridges.length === 1 && errorsOf(reopened.validate()).length === 0);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll map editor checks passed');
@@ -0,0 +1,148 @@
+// Match results and ratings: who won and how (GameState / surrender), the
+// per-seat results of a finished game, Elo changes between humans, each
+// player's match record and the profile screen's numbers.
+// Run: node tools/test-match-results.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  DEFAULT_RATING, RATING_K, matchMode, matchResults, resultUserIds, expectedScore, rateMatch,
+  matchRecord, nextRating, profileStats, RECENT_MATCHES, ratedSeats,
+} = await import(pathToFileURL(join(root, 'src/multiplayer/matchResults.js')));
+const { GameState, GAME_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { applySurrenderToState } = await import(pathToFileURL(join(root, 'src/multiplayer/surrenderCore.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// Free-for-all on A-B-C: red (human) holds A and B, blue (human) C, grey (AI) nothing
+function makeState() {
+  const territories = ['A', 'B', 'C'].map(name => ({
+    name, isWater: false, production: 2, connections: [], polygons: [],
+  }));
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.initGame('none', []);
+  gs.gameMode = 'risk';
+  gs.players = [
+    { id: 'red', name: 'Ann', oderId: 'u1' },
+    { id: 'blue', name: 'Bo', oderId: 'u2' },
+    { id: 'grey', name: 'Grey', isAI: true },
+  ];
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.territoryState = { A: { owner: 'red' }, B: { owner: 'red' }, C: { owner: 'blue' } };
+  gs.playerState = { red: { ipcs: 0 }, blue: { ipcs: 0 }, grey: { ipcs: 0 } };
+  return gs;
+}
+
+console.log('=== Who won ===');
+{
+  const gs = makeState();
+  gs.capitalVictory = { roundLimit: 4 };
+  gs.round = 5;
+  check('the round limit ends the game', gs._checkRoundLimit() && gs.gameOver);
+  check('winner ids and victory type are kept', gs.winnerIds.join() === 'red' && gs.victoryType === 'round_limit');
+
+  const json = JSON.parse(JSON.stringify(gs.toJSON()));
+  const loaded = makeState();
+  loaded.loadFromJSON(json);
+  check('and saved', loaded.winnerIds.join() === 'red' && loaded.victoryType === 'round_limit');
+  delete json.winnerIds;
+  delete json.victoryType;
+  loaded.loadFromJSON({ ...json, version: 11 });
+  check('older saves have no winners', loaded.winnerIds.length === 0 && loaded.victoryType === null);
+
+  const state = makeState().toJSON();
+  applySurrenderToState(state, 'u2');
+  applySurrenderToState(state, 'u1');
+  check('an AI left standing wins', state.winnerIds.join() === 'grey' && matchResults(state).seats.every(s => !s.won || !s.userId));
+  check('a running game is not recorded', matchResults(makeState().toJSON()) === null);
+  const last = makeState().toJSON();
+  last.players = last.players.slice(0, 2);
+  applySurrenderToState(last, 'u2');
+  check('the last seat standing wins by surrender', last.gameOver && last.winnerIds.join() === 'red' && last.victoryType === 'surrender');
+}
+
+console.log('=== Results ===');
+const finished = makeState();
+finished.capitalVictory = { roundLimit: 4 };
+finished.round = 5;
+finished._checkRoundLimit();
+{
+  check('modes', matchMode({ teamsEnabled: true }) === 'teams' && matchMode({ gameMode: 'classic' }) === 'alliances'
+    && matchMode({}) === 'ffa');
+  const results = matchResults(finished.toJSON(), 99);
+  check('one seat per player', results.seats.length === 3 && results.at === 99 && results.rounds === 5);
+  check('humans keep their user id, AI none', resultUserIds(results).join() === 'u1,u2' && results.seats[2].userId === null);
+  check('the winner is marked', results.seats.map(s => s.won).join() === 'true,false,false');
+
+  const state = JSON.parse(JSON.stringify(finished.toJSON()));
+  state.players[0].surrendered = true;
+  check('a surrendered seat does not share the win', matchResults(state).seats[0].won === false);
+}
+
+console.log('=== Ratings ===');
+{
+  check('even ratings expect even odds', expectedScore(1500, 1500) === 0.5);
+  const results = matchResults(finished.toJSON());
+  const rated = rateMatch(results);
+  const [red, blue, grey] = rated.seats;
+  check('new players start at the default', red.ratingBefore === DEFAULT_RATING && blue.ratingBefore === DEFAULT_RATING);
+  check('an even win is worth half of K', red.ratingAfter - red.ratingBefore === RATING_K / 2
+    && blue.ratingAfter - blue.ratingBefore === -RATING_K / 2);
+  check('AI seats are not rated', grey.ratingBefore === undefined);
+
+  const upset = rateMatch(results, { u1: 1000, u2: 1400 }).seats;
+  check('beating a stronger player is worth more', upset[0].ratingAfter - upset[0].ratingBefore > RATING_K / 2);
+
+  const versusAI = { ...results, seats: results.seats.filter(s => s.playerId !== 'blue') };
+  check('a win against the AI alone moves nothing', rateMatch(versusAI).seats[0].ratingAfter === DEFAULT_RATING);
+
+  const allies = { ...results, seats: results.seats.map(s => ({ ...s, won: s.playerId !== 'grey' })) };
+  check('allies are not rated against each other', rateMatch(allies).seats.every(s => !s.userId || s.ratingAfter === s.ratingBefore));
+}
+
+console.log('=== Records ===');
+{
+  const rated = rateMatch(matchResults(finished.toJSON(), 50), { u1: 1300 });
+  const record = matchRecord('g1', rated, 'u2');
+  check('a record for the seat', record.gameId === 'g1' && record.faction === 'blue' && !record.won
+    && record.opponents.join() === 'Ann,Grey' && record.at === 50);
+  check('no seat, no record', matchRecord('g1', rated, 'u9') === null);
+  check('the rating change is applied to the stored rating',
+    nextRating(1100, record) === 1100 + record.ratingAfter - record.ratingBefore
+    && nextRating(undefined, record) === record.ratingAfter);
+  const seats = ratedSeats(rated);
+  check('each human\'s change, as their record files it', Object.keys(seats).join() === 'u1,u2'
+    && seats.u2.change === record.ratingAfter - record.ratingBefore && seats.u2.won === false
+    && seats.u1.change === -seats.u2.change && seats.u1.won === true);
+}
+
+console.log('=== Profile ===');
+{
+  const matches = [
+    { gameId: 'a', faction: 'red', mode: 'ffa', won: true, at: 3 },
+    { gameId: 'b', faction: 'red', mode: 'teams', won: false, at: 1 },
+    { gameId: 'c', faction: 'blue', mode: 'ffa', won: true, at: 2 },
+  ];
+  const stats = profileStats(matches);
+  check('totals', stats.played === 3 && stats.wins === 2 && Math.abs(stats.winRate - 2 / 3) < 1e-9);
+  check('by faction, most played first', stats.byFaction.map(g => `${g.key}:${g.wins}/${g.played}`).join() === 'red:1/2,blue:1/1');
+  check('by mode', stats.byMode.find(g => g.key === 'ffa').winRate === 1);
+  check('recent matches newest first', stats.recent.map(m => m.gameId).join() === 'a,c,b');
+  const many = Array.from({ length: 15 }, (_, i) => ({ gameId: `g${i}`, faction: 'red', mode: 'ffa', won: false, at: i }));
+  check('only the most recent are listed', profileStats(many).recent.length === RECENT_MATCHES);
+  check('no matches, no rate', profileStats([]).winRate === 0);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll match result checks passed');
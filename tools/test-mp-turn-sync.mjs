@@ -166,8 +166,8 @@ function makePlacementTable({
 
 console.log('=== V2.72 version + leftover-unit pass predicate ===');
 {
-  check('GAME_VERSION is V2.78', GAME_VERSION === 'V2.78');
-  check('SCHEMA_VERSION stays 11', SCHEMA_VERSION === 11);
+  check('GAME_VERSION is V2.79', GAME_VERSION === 'V2.79');
+  check('SCHEMA_VERSION stays 12', SCHEMA_VERSION === 12);
   check('round cap allows Done with leftovers still in the pool',
     canFinishPlacementRound({
       placedThisRound: 6, limit: 6, remainingKnown: 4, hasPlaceable: true,
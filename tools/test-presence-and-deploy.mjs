@@ -146,8 +146,8 @@ const unitDefs = {
 };
 
 console.log('=== Version stamps ===');
-check('GAME_VERSION is V2.78', GAME_VERSION === 'V2.78');
-check('SCHEMA_VERSION stays 11', SCHEMA_VERSION === 11);
+check('GAME_VERSION is V2.79', GAME_VERSION === 'V2.79');
+check('SCHEMA_VERSION stays 12', SCHEMA_VERSION === 12);
 
 console.log('=== Presence: background must not delete or go offline ===');
 check('beforeunload / hide is not a delete',
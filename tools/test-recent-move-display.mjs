@@ -18,8 +18,8 @@ const check = (label, cond) => {
 };
 
 console.log('=== Version stamps ===');
-check('GAME_VERSION is V2.78', GAME_VERSION === 'V2.78');
-check('SCHEMA_VERSION stays 11', SCHEMA_VERSION === 11);
+check('GAME_VERSION is V2.79', GAME_VERSION === 'V2.79');
+check('SCHEMA_VERSION stays 12', SCHEMA_VERSION === 12);
 
 console.log('=== formatRecentMove: real attack ===');
 {
@@ -0,0 +1,219 @@
+// Save format: the migration chain from the oldest loadable version up to
+// SCHEMA_VERSION, the save checks, and the save-tool CLI helpers.
+// Run: node tools/test-save-format.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { execFileSync } from 'child_process';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { migrateSave, validateSave, OLDEST_SAVE_VERSION } = await import(pathToFileURL(join(root, 'src/state/saveFormat.js')));
+const { SCHEMA_VERSION } = await import(pathToFileURL(join(root, 'src/version.js')));
+const { GameState, GAME_PHASES, TECHNOLOGIES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { scenarioFromClassic } = await import(pathToFileURL(join(root, 'src/state/scenario.js')));
+const { checkSave, unwrapSave, fromFirestoreValue } = await import(pathToFileURL(join(root, 'tools/save-tool.mjs')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+const readData = file => JSON.parse(readFileSync(join(root, 'data', file), 'utf8'));
+const setup = readData('setup.json');
+const territories = readData('territories.json');
+const continents = readData('continents.json');
+const unitDefs = readData('units.json');
+const context = { territories, unitDefs, techIds: Object.keys(TECHNOLOGIES), phases: Object.values(GAME_PHASES) };
+const errorsOf = issues => issues.filter(i => i.level === 'error').map(i => i.message);
+
+function newGame() {
+  const gs = new GameState(setup, territories, continents);
+  gs.autoSave = () => {};
+  return gs;
+}
+
+// The classic 1942 board in play (Russians to move), saved
+function classicSave() {
+  const gs = newGame();
+  gs.initGame('scenario', [], { scenario: scenarioFromClassic(setup.classic) });
+  return JSON.parse(JSON.stringify(gs.toJSON()));
+}
+
+// The same game as a version 3 save: only the fields every version has had
+function v3Save() {
+  const { version, gameMode, players, currentPlayerIndex, round, phase, turnPhase, territoryState, units, playerState } = classicSave();
+  return { version: 3, gameMode, players, currentPlayerIndex, round, phase, turnPhase, territoryState, units, playerState };
+}
+
+console.log('=== Migrations ===');
+{
+  const current = classicSave();
+  check('toJSON writes the current schema version', current.version === SCHEMA_VERSION);
+  const same = migrateSave(current);
+  check('a current save passes through unchanged', same.steps.length === 0 && JSON.stringify(same.state) === JSON.stringify(current));
+
+  const old = v3Save();
+  const { state, from, steps } = migrateSave(old);
+  check('every step from v3 runs in order', from === 3 && steps.join() === '4,5,6,7,8,9,10,11,12');
+  check('and lands on the current version', state.version === SCHEMA_VERSION);
+  check('the input is not changed', old.version === 3 && !('combatQueue' in old));
+  check('baseline fields filled', state.alliancesEnabled === true && state.teamsEnabled === false
+    && Array.isArray(state.combatQueue) && state.placementRound === 0 && state.gameOver === false);
+  check('v8: friendly territories are the side to move (with allies)',
+    JSON.stringify([...state.friendlyTerritoriesAtTurnStart].sort()) === JSON.stringify([...current.friendlyTerritoriesAtTurnStart].sort())
+    && state.friendlyTerritoriesAtTurnStart.includes('United Kingdom') && !state.friendlyTerritoriesAtTurnStart.includes('Germany'));
+  check('v9: factories at turn start', JSON.stringify([...state.factoriesAtTurnStart].sort())
+    === JSON.stringify([...current.factoriesAtTurnStart].sort()));
+  check('v10/v11 defaults', state.isMultiplayer === false && Array.isArray(state.turnEvents));
+  check('v12 defaults', state.winnerIds.length === 0 && state.diceSeed === null && state.diceCursor === 0
+    && state.bombingRaids.length === 0 && state.draftPick === 0 && state.turnClock === null
+    && state.diplomacy.pacts.length === 0 && state.eventLog === null && state.aiRunsWhenUnattended === false);
+
+  const fromV9 = migrateSave({ ...current, version: 9, isMultiplayer: undefined, turnEvents: undefined, factoriesAtTurnStart: ['Nowhere'] });
+  check('a later start skips earlier steps and keeps what is there', fromV9.steps.join() === '10,11,12'
+    && fromV9.state.factoriesAtTurnStart.join() === 'Nowhere' && fromV9.state.isMultiplayer === false);
+
+  const loaded = newGame();
+  loaded.loadFromJSON(old);
+  check('an old save loads', loaded.gameMode === 'classic' && loaded.alliancesEnabled && loaded.getOwner('Germany') === 'Germans'
+    && loaded.friendlyTerritoriesAtTurnStart.has('United Kingdom') && loaded.factoriesAtTurnStart.has('Russia'));
+
+  const refused = data => { try { migrateSave(data); return null; } catch (err) { return err.message; } };
+  check('too old', refused({ ...old, version: OLDEST_SAVE_VERSION - 1 }) === 'Incompatible save version');
+  const newer = migrateSave({ ...old, version: SCHEMA_VERSION + 1 });
+  check('a newer save loads as it is', newer.from === SCHEMA_VERSION + 1 && newer.steps.length === 0
+    && newer.state.version === SCHEMA_VERSION + 1 && newer.state.territoryState === old.territoryState);
+  check('no version loads as the oldest', migrateSave({ ...old, version: undefined }).from === OLDEST_SAVE_VERSION);
+  let threw = null;
+  try { newGame().loadFromJSON({ ...old, version: 2 }); } catch (err) { threw = err.message; }
+  check('the loader refuses what cannot migrate', threw === 'Incompatible save version');
+}
+
+console.log('=== Checks ===');
+{
+  check('a fresh classic game has no errors', errorsOf(validateSave(classicSave(), context)).length === 0);
+  check('a migrated old save has no errors', errorsOf(validateSave(migrateSave(v3Save()).state, context)).length === 0);
+
+  const bad = classicSave();
+  bad.territoryState.Atlantis = { owner: 'Germans' };
+  bad.territoryState['Alaska Sea Zone'] = { owner: 'Germans' };
+  bad.territoryState.Alaska.owner = 'Martians';
+  bad.units.Germany.push({ type: 'battleship', quantity: 1, owner: 'Germans' }, { type: 'zeppelin', quantity: 1, owner: 'Germans' });
+  bad.units['Alaska Sea Zone'] = [{ type: 'infantry', quantity: 2, owner: 'Germans' }];
+  bad.units.Russia.push({ type: 'infantry', quantity: -1, owner: 'Russians' });
+  bad.playerState.Germans.ipcs = -5;
+  bad.playerTechs.Germans = { unlockedTechs: ['teleporter'] };
+  bad.combatQueue = ['Atlantis'];
+  bad.phase = 'lunch';
+  bad.currentPlayerIndex = 99;
+  const issues = validateSave(bad, context);
+  const errors = errorsOf(issues);
+  const has = text => errors.some(m => m.includes(text));
+  check('unknown territories', has('Combat queued in unknown territory Atlantis')
+    && issues.some(i => i.level === 'warning' && i.message === 'Atlantis is not on this map (ignored)'));
+  check('owned sea zones', has('Sea zone Alaska Sea Zone has an owner'));
+  check('unknown owners', has('Alaska belongs to unknown player Martians'));
+  check('ships on land', has('Germans battleship in Germany: ships on land'));
+  check('unknown unit types', has('Unknown unit type zeppelin'));
+  check('units on water without a transport', has('Germans infantry in Alaska Sea Zone: no transport to carry them'));
+  check('bad quantities', has('invalid quantity -1'));
+  check('negative IPCs', has('Player Germans has invalid IPCs -5'));
+  check('unknown techs', has('unknown tech teleporter'));
+  check('phase and current player', has('Unknown phase lunch') && has('Current player index 99'));
+
+  bad.units['Alaska Sea Zone'].push({ type: 'battleship', quantity: 1, owner: 'Germans' });
+  check('a warship does not carry them', errorsOf(validateSave(bad, context)).some(m => m.includes('no transport')));
+  bad.units['Alaska Sea Zone'].push({ type: 'transport', quantity: 1, owner: 'Germans' });
+  check('a transport carries them', !errorsOf(validateSave(bad, context)).some(m => m.includes('transport')));
+  bad.units['Alaska Sea Zone'][2].cargo = [{ type: 'armour', owner: 'Germans' }];
+  check('not with its cargo aboard', errorsOf(validateSave(bad, context))
+    .includes('Germans infantry in Alaska Sea Zone: not enough room on the transports'));
+
+  const allied = classicSave();
+  allied.units['Alaska Sea Zone'] = [
+    { type: 'infantry', quantity: 1, owner: 'Germans' },
+    { type: 'transport', quantity: 1, owner: 'Japanese' },
+    { type: 'fighter', quantity: 2, owner: 'Americans' },
+  ];
+  const alliedIssues = validateSave(allied, context);
+  check('an ally\'s transport carries them', !errorsOf(alliedIssues).some(m => m.includes('no ships')));
+  check('planes over open sea are only warned about', !errorsOf(alliedIssues).some(m => m.includes('fighter'))
+    && alliedIssues.some(i => i.level === 'warning' && i.message === 'Americans fighter in Alaska Sea Zone: no carrier to land on'));
+  const fleet = classicSave();
+  fleet.units['Alaska Sea Zone'] = [
+    { type: 'transport', quantity: 1, owner: 'Germans', id: 'transport_1',
+      cargo: [{ type: 'infantry', owner: 'Germans' }, { type: 'fighter', owner: 'Germans' }, { type: 'infantry', owner: 'Russians' }] },
+    { type: 'battleship', quantity: 1, owner: 'Germans', cargo: [{ type: 'infantry', owner: 'Germans' }] },
+    { type: 'destroyer', quantity: 1, owner: 'Germans', aircraft: 'two fighters' },
+    { type: 'carrier', quantity: 1, owner: 'Japanese', aircraft: [{ type: 'fighter', owner: 'Japanese' }, { type: 'fighter', owner: 'Germans' }] },
+    { type: 'fighter', quantity: 1, owner: 'Germans' },
+  ];
+  const fleetIssues = validateSave(fleet, context);
+  const fleetErrors = errorsOf(fleetIssues);
+  check('cargo is checked aboard', fleetErrors.includes('Germans fighter aboard Germans transport in Alaska Sea Zone: cannot be carried there')
+    && fleetErrors.includes('Russians infantry aboard Germans transport in Alaska Sea Zone: an enemy\'s ship')
+    && fleetErrors.includes('Germans transport in Alaska Sea Zone: 3 aboard, room for 2'));
+  check('only ships that carry may hold cargo', fleetErrors.includes('Germans battleship in Alaska Sea Zone: carries cargo but has no room for any'));
+  check('aircraft must be a list', fleetErrors.includes('Germans destroyer in Alaska Sea Zone: aircraft is not a list'));
+  check('an ally\'s full deck is warned about', fleetIssues.some(i => i.level === 'warning'
+    && i.message === 'Germans fighter in Alaska Sea Zone: not enough deck room on the carriers'));
+  check('without a map only the shape is checked', errorsOf(validateSave(bad)).every(m => !m.includes('Atlantis') && !m.includes('ships')));
+}
+
+console.log('=== save-tool ===');
+{
+  const save = classicSave();
+  check('a save file', unwrapSave(save).state === save);
+  const doc = { stateVersion: 4, state: v3Save() };
+  const { state, wrap } = unwrapSave(doc);
+  check('a game doc', state.version === 3 && wrap({ version: 11 }).stateVersion === 4);
+
+  const typed = {
+    name: 'projects/p/databases/(default)/documents/games/abc',
+    fields: {
+      stateVersion: { integerValue: '4' },
+      state: { mapValue: { fields: {
+        version: { integerValue: '3' },
+        players: { arrayValue: { values: [{ mapValue: { fields: { id: { stringValue: 'Germans' }, isAI: { booleanValue: false } } } }] } },
+        winner: { nullValue: null },
+        ratio: { doubleValue: 0.5 },
+      } } },
+    },
+  };
+  const fromTyped = unwrapSave(typed).state;
+  check('a Firestore export', fromTyped.version === 3 && fromTyped.players[0].id === 'Germans'
+    && fromTyped.players[0].isAI === false && fromTyped.winner === null && fromTyped.ratio === 0.5);
+  check('empty arrays', JSON.stringify(fromFirestoreValue({ arrayValue: {} })) === '[]');
+
+  check('check: a sound save', errorsOf(checkSave(save)).length === 0);
+  check('check: broken references', errorsOf(checkSave({ state: { ...save, combatQueue: ['Atlantis'] } })).length === 1);
+  check('check: unloadable', errorsOf(checkSave({ ...save, version: 1 }))[0] === 'Incompatible save version');
+
+  const dir = mkdtempSync(join(tmpdir(), 'save-tool-'));
+  try {
+    const file = join(dir, 'game.json');
+    writeFileSync(file, JSON.stringify(doc));
+    const tool = join(root, 'tools/save-tool.mjs');
+    execFileSync(process.execPath, [tool, 'upgrade', file, join(dir, 'out.json')], { stdio: 'pipe' });
+    const upgraded = JSON.parse(readFileSync(join(dir, 'out.json'), 'utf8'));
+    check('upgrade keeps the doc around the state', upgraded.stateVersion === 4 && upgraded.state.version === SCHEMA_VERSION);
+    execFileSync(process.execPath, [tool, 'check', join(dir, 'out.json')], { stdio: 'pipe' });
+    check('check exits 0 on a sound file', true);
+    writeFileSync(file, JSON.stringify({ ...save, combatQueue: ['Atlantis'] }));
+    let status = 0;
+    try { execFileSync(process.execPath, [tool, 'check', file], { stdio: 'pipe' }); } catch (err) { status = err.status; }
+    check('and 1 on errors', status === 1);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll save format checks passed');
@@ -0,0 +1,183 @@
+// Scenarios: the file format, editing, checks, starting a game from one,
+// capturing a position from a game or save, and the saved list.
+// Run: node tools/test-scenario.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  ScenarioDraft, normalizeScenario, validateScenario, scenarioFromState, scenarioFromClassic,
+  listScenarios, findScenario, saveScenario, deleteScenario,
+} = await import(pathToFileURL(join(root, 'src/state/scenario.js')));
+const { GameState, GAME_PHASES, TURN_PHASES, TECHNOLOGIES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+const readData = file => JSON.parse(readFileSync(join(root, 'data', file), 'utf8'));
+const setup = readData('setup.json');
+const territories = readData('territories.json');
+const continents = readData('continents.json');
+const unitDefs = readData('units.json');
+const context = { territories, unitDefs, factions: setup.factions, techIds: Object.keys(TECHNOLOGIES) };
+const errorsOf = issues => issues.filter(i => i.level === 'error').map(i => i.message);
+
+function start(scenario, players = []) {
+  const gs = new GameState(setup, territories, continents);
+  gs.autoSave = () => {};
+  gs.initGame('scenario', players, { scenario });
+  return gs;
+}
+
+// Germans and Russians facing off over East Europe and Karelia S.S.R.
+function duel() {
+  return normalizeScenario({
+    name: 'Eastern Front',
+    seats: ['Germans', 'Russians'],
+    toMove: 'Russians',
+    round: 4,
+    owners: { Germany: 'Germans', 'East Europe': 'Germans', Russia: 'Russians', 'Karelia S.S.R.': 'Russians' },
+    capitals: { Germans: 'Germany', Russians: 'Russia' },
+    units: {
+      'East Europe': [{ type: 'armour', quantity: 3, owner: 'Germans' }],
+      'Karelia S.S.R.': [{ type: 'infantry', quantity: 4, owner: 'Russians' }],
+    },
+    ipcs: { Germans: 30, Russians: 12 },
+    techs: { Germans: ['jets'] },
+    cards: { Russians: ['infantry', 'wild'] },
+  });
+}
+
+console.log('=== Classic 1942 ===');
+{
+  const classic = scenarioFromClassic(setup.classic);
+  const issues = validateScenario(classic, context);
+  check('the shipped setup is a valid scenario', errorsOf(issues).length === 0);
+  check('names missing from the map are only warned about', issues.some(i => i.level === 'warning' && i.message.startsWith('Libya')));
+  const gs = start(classic);
+  check('classic rules with alliances', gs.gameMode === 'classic' && gs.alliancesEnabled);
+  check('owners and units as in setup.json', Object.entries(setup.classic.territoryOwners).every(([t, o]) => gs.getOwner(t) === o)
+    && JSON.stringify(gs.units.Alaska) === JSON.stringify(setup.classic.unitPlacements.Alaska));
+  check('starting PUs', gs.playerState.Germans.ipcs === setup.classic.factions.find(f => f.id === 'Germans').startingPUs);
+  check('the first seat in the turn order moves', gs.currentPlayer.id === setup.classic.turnOrder[0]);
+}
+
+console.log('=== Starting a scenario ===');
+{
+  const gs = start(duel(), [{ id: 'Russians', name: 'Ivan', isAI: true, aiDifficulty: 'hard' }]);
+  check('risk rules', gs.gameMode === 'risk' && !gs.alliancesEnabled);
+  check('seats in turn order', gs.players.map(p => p.id).join() === 'Germans,Russians');
+  check('lobby names and AI kept', gs.getPlayer('Russians').name === 'Ivan' && gs.getPlayer('Russians').isAI);
+  check('other seats from the faction list', gs.getPlayer('Germans').name === 'Germans' && !!gs.getPlayer('Germans').color);
+  check('straight into play', gs.phase === GAME_PHASES.PLAYING && gs.turnPhase === TURN_PHASES.DEVELOP_TECH);
+  check('whose turn and round', gs.currentPlayer.id === 'Russians' && gs.round === 4);
+  check('owners', gs.getOwner('East Europe') === 'Germans' && gs.getOwner('Karelia S.S.R.') === 'Russians' && gs.getOwner('West Europe') === null);
+  check('capitals', gs.isCapital('Germany') && gs.getCapital('Russians') === 'Russia');
+  check('units', gs.units['East Europe'][0].quantity === 3 && gs.units['East Europe'][0].type === 'armour');
+  check('IPCs, techs and cards', gs.playerState.Germans.ipcs === 30 && gs.hasTech('Germans', 'jets')
+    && gs.riskCards.Russians.join() === 'infantry,wild' && gs.riskCards.Germans.length === 0);
+  check('the replay starts from the scenario board', gs.getEventLog()?.base?.territoryState?.['East Europe']?.owner === 'Germans');
+
+  const loaded = new GameState(setup, territories, continents);
+  loaded.autoSave = () => {};
+  loaded.loadFromJSON(JSON.parse(JSON.stringify(gs.toJSON())));
+  check('saves and loads like any game', loaded.getOwner('East Europe') === 'Germans' && loaded.currentPlayer.id === 'Russians');
+}
+
+console.log('=== Editing ===');
+{
+  const draft = new ScenarioDraft(duel());
+  check('capital only on own land', !draft.setCapital('Germans', 'Karelia S.S.R.') && draft.setCapital('Germans', 'East Europe')
+    && draft.data.capitals.Germans === 'East Europe');
+  draft.setOwner('East Europe', 'Russians');
+  check('losing the land drops the capital', !draft.data.capitals.Germans && draft.data.owners['East Europe'] === 'Russians');
+  draft.setOwner('East Europe', null);
+  check('neutral', !('East Europe' in draft.data.owners));
+  check('owners must be playing', !draft.setOwner('East Europe', 'Japanese'));
+
+  draft.setUnits('Karelia S.S.R.', 'Russians', 'artillery', 2);
+  draft.setUnits('Karelia S.S.R.', 'Russians', 'infantry', 0);
+  check('unit stacks set and removed', draft.unitsIn('Karelia S.S.R.').map(u => `${u.type}:${u.quantity}`).join() === 'artillery:2');
+  check('no stacks for outsiders', !draft.setUnits('Karelia S.S.R.', 'Japanese', 'infantry', 1));
+
+  draft.setCardCount('Russians', 'cavalry', 2);
+  draft.setCardCount('Russians', 'wild', 0);
+  check('card counts', draft.data.cards.Russians.sort().join() === 'cavalry,cavalry,infantry');
+  draft.toggleTech('Germans', 'jets');
+  draft.toggleTech('Germans', 'rockets');
+  check('techs toggle', draft.data.techs.Germans.join() === 'rockets');
+  check('IPCs', draft.setIpcs('Russians', 50) && !draft.setIpcs('Russians', -5) && draft.data.ipcs.Russians === 50);
+
+  draft.addSeat('Japanese');
+  draft.moveSeat('Japanese', -1);
+  check('seats added and reordered', draft.data.seats.join() === 'Germans,Japanese,Russians');
+  draft.removeSeat('Russians');
+  check('removing a seat clears its board', !Object.values(draft.data.owners).includes('Russians')
+    && !draft.unitsIn('Karelia S.S.R.').length && draft.data.toMove === 'Germans' && !('Russians' in draft.data.ipcs));
+  check('the draft is a copy', duel().owners['Karelia S.S.R.'] === 'Russians');
+}
+
+console.log('=== Checks ===');
+{
+  check('a sound scenario has no errors', errorsOf(validateScenario(duel(), context)).length === 0);
+  const bad = new ScenarioDraft(duel());
+  bad.setUnits('Germany', 'Germans', 'battleship', 1);
+  bad.setUnits('East Europe', 'Russians', 'infantry', 1);
+  bad.data.owners['Alaska Sea Zone'] = 'Germans';
+  bad.data.cards.Germans = ['joker'];
+  const errors = errorsOf(bad.validate(context));
+  check('ships on land', errors.some(m => m.includes('ships must be at sea')));
+  check('units in enemy land', errors.some(m => m.includes('East Europe is not friendly to Russians')));
+  check('owned sea zones', errors.some(m => m.includes('Alaska Sea Zone cannot be owned')));
+  check('unknown cards', errors.some(m => m.includes('unknown card joker')));
+
+  const lonely = normalizeScenario({ seats: ['Germans'] });
+  check('two players at least', errorsOf(validateScenario(lonely, context)).some(m => m.includes('at least 2')));
+  check('missing capitals are a warning under Risk rules', validateScenario(normalizeScenario({ ...duel(), capitals: {} }), context)
+    .some(i => i.level === 'warning' && i.message.includes('no capital')));
+}
+
+console.log('=== Files ===');
+{
+  let threw = null;
+  try { normalizeScenario({ territoryState: {} }); } catch (err) { threw = err.message; }
+  check('not a scenario', threw === 'Not a scenario file');
+  threw = null;
+  try { normalizeScenario({ format: 99, seats: [] }); } catch (err) { threw = err.message; }
+  check('newer format refused', threw?.includes('newer version'));
+
+  const played = start(duel());
+  played.units['East Europe'][0].moved = true;
+  const save = JSON.parse(JSON.stringify(played.toJSON()));
+  const captured = scenarioFromState(save, { name: 'From save' });
+  check('a save file becomes a scenario', captured.name === 'From save' && captured.toMove === 'Russians' && captured.round === 4
+    && captured.capitals.Russians === 'Russia' && captured.techs.Germans.join() === 'jets');
+  check('per-turn unit flags are dropped', !('moved' in captured.units['East Europe'][0]));
+  check('and it replays the same board', JSON.stringify(start(captured).territoryState) === JSON.stringify(played.territoryState));
+}
+
+console.log('=== Saved scenarios ===');
+{
+  const store = new Map();
+  const storage = { getItem: k => store.get(k) ?? null, setItem: (k, v) => store.set(k, v) };
+  saveScenario(duel(), storage);
+  saveScenario({ ...duel(), name: 'Atlantic' }, storage);
+  saveScenario({ ...duel(), name: 'Eastern Front', round: 7 }, storage);
+  check('listed by name', listScenarios(storage).map(s => s.name).join() === 'Atlantic,Eastern Front');
+  check('same name replaces', findScenario('Eastern Front', storage).round === 7);
+  check('deleted', deleteScenario('Atlantic', storage) && !findScenario('Atlantic', storage));
+  store.set('tacticalRisk_scenarios', 'not json');
+  check('an unreadable list reads as empty', listScenarios(storage).length === 0);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll scenario checks passed');
@@ -0,0 +1,170 @@
+// Sound: which cues action log entries and the your-turn event play, mute
+// and per-category volume kept in storage, the handoff silence, and the
+// repeat guard. Web Audio is replaced by a recorder.
+// Run: node tools/test-sound.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  SoundManager, SOUND_CATEGORIES, SOUND_SETTINGS_KEY, CUES, LOG_CUES, normalizeSoundSettings, loadSoundSettings,
+} = await import(pathToFileURL(join(root, 'src/audio/sound.js')));
+const { ActionLog } = await import(pathToFileURL(join(root, 'src/ui/actionLog.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+function memoryStorage() {
+  const items = {};
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: (key) => { delete items[key]; },
+  };
+}
+
+// Records what a cue builds: oscillator frequencies, noise bursts, and the
+// gain each cue is sent through
+function recordingContext() {
+  const param = (value = 0) => ({
+    value,
+    setValueAtTime() {}, linearRampToValueAtTime() {}, exponentialRampToValueAtTime() {},
+  });
+  const node = extra => ({ connect: (n) => n, start() {}, stop() {}, ...extra });
+  const ctx = {
+    state: 'suspended',
+    resumed: 0,
+    currentTime: 0,
+    sampleRate: 8000,
+    destination: {},
+    tones: [],
+    bursts: 0,
+    gains: [],
+    resume() { this.resumed++; this.state = 'running'; },
+    createGain() { const g = node({ gain: param(1) }); ctx.gains.push(g); return g; },
+    createOscillator() {
+      const freq = param();
+      freq.setValueAtTime = (value) => ctx.tones.push(value);
+      return node({ frequency: freq });
+    },
+    createBuffer(channels, length) { const data = new Float32Array(length); return { getChannelData: () => data }; },
+    createBufferSource() { ctx.bursts++; return node({}); },
+    createBiquadFilter() { return node({ frequency: param() }); },
+  };
+  return ctx;
+}
+
+function makeManager(storage = memoryStorage()) {
+  const ctx = recordingContext();
+  let clock = 1000;
+  const sound = new SoundManager({ storage, createContext: () => ctx, now: () => clock });
+  return { sound, ctx, storage, tick: (ms = 1000) => { clock += ms; } };
+}
+
+console.log('=== Cues ===');
+{
+  const { sound, ctx, tick } = makeManager();
+  check('the request\'s log types have cues', ['move', 'combat', 'capture', 'purchase', 'phase', 'turn'].every(t => CUES[LOG_CUES[t]]));
+  check('every cue has a volume category', Object.values(CUES).every(c => c.category in SOUND_CATEGORIES));
+
+  check('a purchase plays its notes', sound.playForLog('purchase') && JSON.stringify(ctx.tones) === '[1319,1760]');
+  tick();
+  check('dice are noise', sound.play('dice') && ctx.bursts === 4);
+  tick();
+  check('non-combat moves sound like moves', sound.playForLog('ncm') && ctx.tones.at(-1) === 330);
+  check('entries without a cue are quiet', sound.playForLog('income') === false && sound.play('fanfare') === false);
+  check('played at the category volume', ctx.gains.some(g => g.gain.value === 0.7));
+}
+
+console.log('=== Repeats ===');
+{
+  const { sound, tick } = makeManager();
+  check('first move', sound.play('move'));
+  check('a burst of moves plays once', !sound.play('move') && !sound.play('move'));
+  check('other cues are not held back', sound.play('capture'));
+  tick(100);
+  check('and again after a moment', sound.play('move'));
+}
+
+console.log('=== Settings ===');
+{
+  const { sound, ctx, storage, tick } = makeManager();
+  sound.unlock();
+  check('unlock resumes audio', ctx.resumed === 1 && ctx.state === 'running');
+
+  sound.setVolume('dice', 0.25);
+  sound.setVolume('combat', 0);
+  sound.setVolume('weather', 1);
+  check('per-category volume', sound.volume('dice') === 0.25 && sound.volume('move') === 0.7);
+  check('a silent category does not play', sound.play('combat') === false);
+  sound.play('dice');
+  check('the cue uses its category volume', ctx.gains.at(-5).gain.value === 0.25);
+
+  tick();
+  sound.setMuted(true);
+  check('muted: nothing plays', sound.play('capture') === false && ctx.gains[0].gain.value === 0);
+  const stored = JSON.parse(storage.items[SOUND_SETTINGS_KEY]);
+  check('kept in storage', stored.muted === true && stored.volumes.dice === 0.25 && stored.volumes.combat === 0 && !('weather' in stored.volumes));
+
+  const again = new SoundManager({ storage, createContext: () => null });
+  check('and loaded next time', again.muted && again.volume('dice') === 0.25);
+  check('toggle unmutes', again.toggleMuted() === false && !loadSoundSettings(storage).muted);
+
+  check('bad settings fall back', JSON.stringify(normalizeSoundSettings({ muted: 'yes', volumes: { dice: 7, move: 'loud', turn: null } }))
+    === JSON.stringify({ muted: true, volumes: { dice: 1, move: 0.7, combat: 0.7, capture: 0.7, purchase: 0.7, phase: 0.7, turn: 0.7 } }));
+  storage.setItem(SOUND_SETTINGS_KEY, '{oops');
+  check('unreadable settings fall back', loadSoundSettings(storage).muted === false);
+}
+
+console.log('=== Handoff ===');
+{
+  const { sound, ctx, tick } = makeManager();
+  sound.play('phase');
+  sound.setSilenced(true);
+  check('the handoff screen cuts what is playing', ctx.gains[0].gain.value === 0);
+  tick();
+  check('and nothing new plays', sound.play('turn') === false);
+  sound.setSilenced(false);
+  check('sound returns after it', ctx.gains[0].gain.value === 1 && sound.play('turn'));
+}
+
+console.log('=== Your turn ===');
+{
+  const { sound, ctx, tick } = makeManager();
+  const listeners = [];
+  const target = { addEventListener: (type, fn) => listeners.push({ type, fn }) };
+  sound.watchYourTurn(target);
+  const emit = (yourTurn) => {
+    tick();
+    listeners.filter(l => l.type === 'tacticalrisk:your-turn').forEach(l => l.fn({ detail: { yourTurn } }));
+  };
+  emit(true);
+  check('chimes when the turn becomes ours', JSON.stringify(ctx.tones) === '[523,659,784]');
+  emit(true);
+  check('not on every snapshot of the same turn', ctx.tones.length === 3);
+  emit(false);
+  emit(true);
+  check('again on our next turn', ctx.tones.length === 6);
+}
+
+console.log('=== Action log ===');
+{
+  const log = new ActionLog();
+  const heard = [];
+  log.setOnLog((type) => heard.push(type));
+  log.logPhaseChange('combat', { name: 'P1' });
+  log.logCapture('Germany', { name: 'P1' });
+  check('each entry is passed on', heard.join() === 'phase,capture' && log.entries.length === 2);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll sound checks passed');
@@ -0,0 +1,90 @@
+// Spectator mode: who watches instead of plays, which games the Live list
+// offers, the turn-start board delayed spectators see, and the watcher count.
+// Run: node tools/test-spectator.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  spectatorMode, isSpectatorOf, watchableGames, spectatorSnapshotFields, spectatorView, countSpectators,
+} = await import(pathToFileURL(join(root, 'src/multiplayer/spectatorPolicy.js')));
+const { resolveJoinByCode } = await import(pathToFileURL(join(root, 'src/multiplayer/presencePolicy.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+const game = (fields = {}) => ({
+  id: 'g1', status: 'active', playerUserIds: ['host', 'guest'],
+  lobbyData: { settings: {} }, state: { round: 3 }, ...fields,
+});
+
+console.log('=== Who watches ===');
+{
+  check('a seated player plays', !isSpectatorOf(game(), 'guest'));
+  check('anyone else watches', isSpectatorOf(game(), 'stranger'));
+  check('a stub doc without a roster stays on the player path',
+    !isSpectatorOf({ id: 'g1' }, 'stranger') && !isSpectatorOf(game({ playerUserIds: [] }), 'stranger'));
+  check('signed out is not a spectator', !isSpectatorOf(game(), null));
+  check('join by code still opens a started game for a stranger',
+    resolveJoinByCode({ startedGame: game(), userId: 'stranger' }).kind === 'game');
+  check('spectators default to live', spectatorMode(undefined) === 'live' && spectatorMode({ spectators: 'bogus' }) === 'live');
+  check('under fog live spectators are delayed', spectatorMode({ fogOfWar: 'units' }) === 'delayed'
+    && spectatorMode({ spectators: 'off', fogOfWar: 'full' }) === 'off');
+}
+
+console.log('=== Live list ===');
+{
+  const listed = watchableGames([
+    game({ id: 'open' }),
+    game({ id: 'mine', playerUserIds: ['me', 'host'] }),
+    game({ id: 'private', isPrivate: true }),
+    game({ id: 'over', state: { gameOver: true } }),
+    game({ id: 'closed', lobbyData: { settings: { spectators: 'off' } } }),
+    game({ id: 'starting', status: 'starting' }),
+    game({ id: 'delayed', lobbyData: { settings: { spectators: 'delayed' } } }),
+  ], 'me').map(g => g.id);
+  check('running public games the user is not in', listed.join() === 'open,delayed');
+}
+
+console.log('=== Delayed spectators ===');
+{
+  const prev = { currentPlayerIndex: 0, phase: 'playing', turnPhase: 'combat_move', units: { A: 1 } };
+  const move = { ...prev, turnPhase: 'non_combat_move', units: { A: 2 } };
+  const passed = { ...move, currentPlayerIndex: 1, turnPhase: 'purchase' };
+
+  check('live games write nothing extra', spectatorSnapshotFields({ mode: 'live', seq: 5, prev: move, next: passed }) === null);
+  check('moves within a turn are not shown', spectatorSnapshotFields({ mode: 'delayed', seq: 4, prev, next: move }) === null);
+  const fields = spectatorSnapshotFields({ mode: 'delayed', seq: 5, prev: move, next: passed });
+  check('passing the turn records the new turn-start board', fields?.spectatorVersion === 5 && fields.spectatorState === passed);
+  check('the first write records it too', spectatorSnapshotFields({ mode: 'delayed', seq: 1, prev: null, next: prev })?.spectatorVersion === 1);
+  check('as does the end of the game', !!spectatorSnapshotFields({ mode: 'delayed', seq: 9, prev: passed, next: { ...passed, gameOver: true } }));
+
+  const doc = { state: move, stateVersion: 4, spectatorState: prev, spectatorVersion: 2 };
+  check('live spectators load the snapshot', spectatorView(doc, 'live').version === 4 && spectatorView(doc, 'live').state === move);
+  check('delayed spectators load the turn-start board', spectatorView(doc, 'delayed').version === 2 && spectatorView(doc, 'delayed').state === prev);
+  check('nothing to show before the first write', spectatorView({ state: null }, 'live') === null
+    && spectatorView({ state: move, stateVersion: 4 }, 'delayed') === null);
+}
+
+console.log('=== Watcher count ===');
+{
+  check('online and idle spectators count, players and offline ones do not', countSpectators({
+    host: { role: 'player', state: 'online' },
+    old: { state: 'online' },
+    s1: { role: 'spectator', state: 'online' },
+    s2: { role: 'spectator', state: 'idle' },
+    s3: { role: 'spectator', state: 'offline' },
+  }) === 2);
+  check('no presence, no spectators', countSpectators(null) === 0);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll spectator checks passed');
@@ -0,0 +1,151 @@
+// Standing orders: rally points per factory or region, the routes they
+// propose in non-combat move, applying them as one group, and the frontline
+// search shared with the AI.
+// Run: node tools/test-standing-orders.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { GameState, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { AIPlayer } = await import(pathToFileURL(join(root, 'src/ai/aiPlayer.js')));
+const { validateSave } = await import(pathToFileURL(join(root, 'src/state/saveFormat.js')));
+
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// Side -- Rear -- Mid, and Mid -- Edge / Hill -- Enemy. p1 holds all but
+// Enemy, so Edge and Hill are the front. West: Rear, Mid, Side; East: the rest.
+function makeState() {
+  const land = (name, connections) => ({ name, isWater: false, production: 1, connections, polygons: [] });
+  const territories = [
+    land('Rear', ['Mid', 'Side']),
+    land('Side', ['Rear']),
+    land('Mid', ['Rear', 'Edge', 'Hill']),
+    land('Edge', ['Mid', 'Enemy']),
+    land('Hill', ['Mid', 'Enemy']),
+    land('Enemy', ['Edge', 'Hill']),
+  ];
+  const continents = [
+    { name: 'West', bonus: 1, territories: ['Rear', 'Mid', 'Side'] },
+    { name: 'East', bonus: 1, territories: ['Edge', 'Hill', 'Enemy'] },
+  ];
+  const gs = new GameState({ risk: { factions: [] } }, territories, continents);
+  gs.autoSave = () => {};
+  gs.players = [{ id: 'p1', name: 'P1' }, { id: 'p2', name: 'P2' }];
+  gs.currentPlayerIndex = 0;
+  gs.turnPhase = TURN_PHASES.NON_COMBAT_MOVE;
+  gs.territoryState = {
+    Rear: { owner: 'p1' }, Side: { owner: 'p1' }, Mid: { owner: 'p1' },
+    Edge: { owner: 'p1' }, Hill: { owner: 'p1' }, Enemy: { owner: 'p2' },
+  };
+  gs.playerState = { p1: { ipcs: 10 }, p2: { ipcs: 10 } };
+  gs.units = {
+    Rear: [
+      { type: 'infantry', quantity: 3, owner: 'p1' }, { type: 'armour', quantity: 1, owner: 'p1' },
+      { type: 'factory', quantity: 1, owner: 'p1' }, { type: 'aaGun', quantity: 1, owner: 'p1' },
+    ],
+    Side: [{ type: 'infantry', quantity: 1, owner: 'p1' }],
+    Mid: [{ type: 'artillery', quantity: 1, owner: 'p1', moved: true }],
+    Edge: [{ type: 'infantry', quantity: 2, owner: 'p1' }],
+    Enemy: [{ type: 'infantry', quantity: 1, owner: 'p2' }],
+  };
+  return gs;
+}
+
+const describe = routes => routes.map(r => `${r.from}>${r.to}:${r.units.map(u => `${u.type}${u.quantity}`).join('+')}`).join(' ');
+// Units by territory, stacks in a fixed order (undo may reorder them)
+const snapshot = gs => JSON.stringify(Object.fromEntries(Object.entries(gs.units)
+  .map(([name, stacks]) => [name, stacks.map(u => JSON.stringify(u)).sort()])));
+
+console.log('=== Nearest front ===');
+{
+  const gs = makeState();
+  const routes = gs.getStandingOrderRoutes(unitDefs);
+  check('idle interior units head for the front as far as they can go', describe(routes)
+    === 'Rear>Edge:armour1 Rear>Mid:infantry3 Side>Rear:infantry1');
+  check('the goal and why', routes.every(r => r.goal === 'Edge' && r.kind === 'front'));
+  check('AA guns, moved units and the front stay', !describe(routes).includes('aaGun')
+    && !routes.some(r => r.from === 'Mid' || r.from === 'Edge'));
+  gs.turnPhase = TURN_PHASES.COMBAT_MOVE;
+  check('non-combat move only', gs.getStandingOrderRoutes(unitDefs).length === 0);
+}
+
+console.log('=== Rally points ===');
+{
+  const gs = makeState();
+  check('a factory rally point', gs.setRallyPoint('p1', 'factory', 'Rear', 'Hill').success);
+  const routes = gs.getStandingOrderRoutes(unitDefs);
+  check('units on the factory follow it', describe(routes.filter(r => r.from === 'Rear')) === 'Rear>Hill:armour1 Rear>Mid:infantry3'
+    && routes.filter(r => r.from === 'Rear').every(r => r.goal === 'Hill' && r.kind === 'factory'));
+
+  gs.units.Mid[0].moved = false;
+  check('a region rally point', gs.setRallyPoint('p1', 'region', 'West', 'Side').success);
+  const west = gs.getStandingOrderRoutes(unitDefs);
+  check('interior units in the region follow it', describe(west.filter(r => r.from === 'Mid')) === 'Mid>Rear:artillery1'
+    && west.find(r => r.from === 'Mid').kind === 'region');
+  check('the factory rally point comes first', west.find(r => r.from === 'Rear').goal === 'Hill');
+  check('units already at the rally point stay', !west.some(r => r.from === 'Side'));
+
+  gs.setRallyPoint('p1', 'region', 'East', 'Hill');
+  check('a region rally point does not pull units off the front', !gs.getStandingOrderRoutes(unitDefs).some(r => r.from === 'Edge'));
+
+  check('rally points are kept per player', JSON.stringify(gs.getRallyPoints('p1'))
+    === '{"factories":{"Rear":"Hill"},"regions":{"West":"Side","East":"Hill"}}' && !gs.rallyPoints.p2);
+  check('cleared with no target', gs.setRallyPoint('p1', 'factory', 'Rear', null).success && !('Rear' in gs.getRallyPoints('p1').factories));
+
+  const refused = (...args) => gs.setRallyPoint('p1', ...args).error;
+  check('only on our factories', refused('factory', 'Mid', 'Hill') === 'Mid has no factory of yours');
+  check('only known regions', refused('region', 'Atlantis', 'Hill') === 'Unknown region Atlantis');
+  check('only to our own land', refused('region', 'West', 'Enemy') === 'A rally point must be your own or allied land');
+  check('only known kinds', refused('capital', 'Rear', 'Hill') === 'Unknown rally point kind capital');
+}
+
+console.log('=== Applying ===');
+{
+  const gs = makeState();
+  const before = snapshot(gs);
+  const routes = gs.getStandingOrderRoutes(unitDefs);
+  const result = gs.moveUnitsBatch(routes, unitDefs);
+  check('every route moves', result.success && result.results.length === 3);
+  check('units arrive', gs.units.Edge.find(u => u.type === 'armour')?.quantity === 1
+    && gs.units.Mid.find(u => u.type === 'infantry')?.quantity === 3 && gs.units.Rear.find(u => u.type === 'infantry')?.quantity === 1);
+  check('nothing left to propose for the moved units', gs.getStandingOrderRoutes(unitDefs).length === 0);
+  check('one group', new Set(gs.moveHistory.map(m => m.group)).size === 1 && gs.moveHistory.length === 3);
+  check('one undo takes them all back', gs.undoLastMove().success && gs.moveHistory.length === 0 && snapshot(gs) === before);
+}
+
+console.log('=== Saves ===');
+{
+  const gs = makeState();
+  gs.setRallyPoint('p1', 'factory', 'Rear', 'Hill');
+  const data = JSON.parse(JSON.stringify(gs.toJSON()));
+  const loaded = makeState();
+  loaded.loadFromJSON(data);
+  check('rally points are saved', loaded.getRallyPoints('p1').factories.Rear === 'Hill');
+  loaded.loadFromJSON({ ...data, rallyPoints: undefined });
+  check('older saves have none', JSON.stringify(loaded.rallyPoints) === '{}');
+  const warnings = validateSave({ ...data, rallyPoints: { p1: { factories: { Rear: 'Atlantis' } } } }, { territories: gs.territories });
+  check('unknown rally points are warned about', warnings.some(i => i.level === 'warning' && i.message.includes('rally point at unknown territory Atlantis')));
+}
+
+console.log('=== Shared with the AI ===');
+{
+  const gs = makeState();
+  const ai = new AIPlayer(gs, 'p1');
+  check('frontline', ai._isFrontline('Edge') && ai._isFrontline('Hill') && !ai._isFrontline('Mid'));
+  check('nearest frontline', ai._findNearestFrontline('Side') === 'Edge' && ai._findNearestFrontline('Mid') === 'Edge');
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll standing orders checks passed');
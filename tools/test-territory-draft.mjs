@@ -0,0 +1,124 @@
+// Territory Draft mode: snake order, draft validation, hand-off to capitals, save/load, AI picks.
+// Run: node tools/test-territory-draft.mjs
+
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { GameState, GAME_PHASES, isSetupPhase, usesRiskRules } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { AIController } = await import(pathToFileURL(join(root, 'src/ai/aiController.js')));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// A chain of six land territories plus one sea zone.
+//   West continent: L1 L2 L3 (bonus 6)   East continent: L4 L5 L6 (bonus 3)
+const LAND = ['L1', 'L2', 'L3', 'L4', 'L5', 'L6'];
+const territories = [
+  ...LAND.map((name, i) => ({
+    name, isWater: false, production: 1, polygons: [],
+    connections: [LAND[i - 1], LAND[i + 1], i === 0 ? 'Sea' : null].filter(Boolean),
+  })),
+  { name: 'Sea', isWater: true, production: 0, connections: ['L1'], polygons: [] },
+];
+const continents = [
+  { name: 'West', territories: ['L1', 'L2', 'L3'], bonus: 6 },
+  { name: 'East', territories: ['L4', 'L5', 'L6'], bonus: 3 },
+];
+
+function makeDraft(playerCount = 3) {
+  const gs = new GameState({ risk: { factions: [] } }, territories, continents);
+  gs.autoSave = () => {};
+  const players = Array.from({ length: playerCount }, (_, i) => ({ id: `p${i + 1}`, name: `P${i + 1}` }));
+  gs.initGame('draft', players, { startingIPCs: 40 });
+  return gs;
+}
+
+console.log('=== Setup ===');
+{
+  const gs = makeDraft();
+  check('draft mode starts in the draft phase', gs.phase === GAME_PHASES.TERRITORY_DRAFT && gs.gameMode === 'draft');
+  check('draft counts as setup', isSetupPhase(gs.phase));
+  check('draft plays by Risk rules', usesRiskRules(gs.gameMode) && !usesRiskRules('classic'));
+  check('map starts unowned', gs.getDraftableTerritories().length === LAND.length);
+  check('starting IPCs and deploy pools set up', gs.playerState.p1.ipcs === 40 && gs.unitsToPlace.p1.length > 0);
+  check('first seat opens the draft', gs.currentPlayerIndex === 0);
+
+  check('snake order: 0 1 2 2 1 0 0',
+    [0, 1, 2, 3, 4, 5, 6].map(i => gs.getDraftPlayerIndex(i)).join(' ') === '0 1 2 2 1 0 0');
+}
+
+console.log('=== Picks ===');
+{
+  const gs = makeDraft();
+  const first = gs.currentPlayer.id;
+  check('water cannot be drafted', gs.draftTerritory('Sea').success === false);
+  check('unknown territory rejected', gs.draftTerritory('Atlantis').success === false);
+
+  const ok = gs.draftTerritory('L1');
+  check('draft succeeds', ok.success === true && gs.getOwner('L1') === first);
+  check('drafted land gets its starting infantry',
+    gs.units.L1.length === 1 && gs.units.L1[0].type === 'infantry' && gs.units.L1[0].owner === first);
+  check('pick passes to the next seat', gs.currentPlayerIndex === 1);
+  check('already-drafted land rejected', gs.draftTerritory('L1').success === false);
+
+  const json = gs.toJSON();
+  const loaded = new GameState({ risk: { factions: [] } }, territories, continents);
+  loaded.loadFromJSON(json);
+  check('draft progress survives save/load',
+    loaded.phase === GAME_PHASES.TERRITORY_DRAFT && loaded.draftPick === 1 && loaded.currentPlayerIndex === 1);
+
+  gs.draftTerritory('L2');
+  gs.draftTerritory('L3');
+  check('last seat picks twice at the turn of the snake', gs.currentPlayerIndex === 2);
+  gs.draftTerritory('L4');
+  gs.draftTerritory('L5');
+  check('phase unchanged until the map is full', gs.phase === GAME_PHASES.TERRITORY_DRAFT);
+  gs.draftTerritory('L6');
+  check('last pick hands over to capital placement',
+    gs.phase === GAME_PHASES.CAPITAL_PLACEMENT && gs.currentPlayerIndex === 0 && gs.placementRound === 1);
+  check('each seat drafted two territories',
+    gs.players.every(p => gs.getPlayerTerritories(p.id).length === 2));
+  check('no more drafting once capitals start', gs.draftTerritory('L1').success === false);
+}
+
+console.log('=== Surrender ===');
+{
+  const gs = makeDraft();
+  gs.players[1].surrendered = true;
+  gs.draftTerritory('L1');
+  check('surrendered seat is skipped', gs.currentPlayerIndex === 2);
+}
+
+console.log('=== AI ===');
+{
+  const gs = makeDraft(2);
+  const ai = new AIController();
+  ai.gameState = gs;
+  ai._delay = async () => {};
+
+  const me = gs.players[0];
+  const other = gs.players[1];
+  gs.territoryState.L5 = { owner: me.id, isCapital: false };
+  gs.territoryState.L1 = { owner: other.id, isCapital: false };
+
+  check('medium AI grows a connected block', ai._scoreDraftPick('L4', me.id, false) > ai._scoreDraftPick('L2', me.id, false));
+  check('hard AI prefers an uncontested continent',
+    ai._scoreDraftPick('L6', me.id, true) > ai._scoreDraftPick('L3', me.id, true));
+
+  me.isAI = true;
+  gs.currentPlayerIndex = 0;
+  await ai._handleTerritoryDraft({ difficulty: 'hard' }, me);
+  check('AI turn drafts exactly one territory', gs.getPlayerTerritories(me.id).length === 2);
+  check('AI hands the pick on', gs.currentPlayerIndex === 1);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll territory draft checks passed');
@@ -0,0 +1,233 @@
+// Authority rules check: a whole legal turn passes validateTransition step by
+// step, and actions from the wrong seat, backwards phases, free IPCs, free
+// units, out-of-range moves, battles away from the fighting and land changing
+// hands without a conquest are caught with a reason.
+// Run: node tools/test-transition-validator.mjs
+
+import { readFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const { validateTransition, findIllegalAction, boardOf } =
+  await import(pathToFileURL(join(root, 'src/multiplayer/transitionValidator.js')));
+const { replicatedState, diffState } = await import(pathToFileURL(join(root, 'src/multiplayer/actionSync.js')));
+const { GameState, GAME_PHASES, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+// A - B - C - D - E in a line; p1 holds A (capital) and B, p2 the rest
+const names = ['A', 'B', 'C', 'D', 'E'];
+const territories = names.map((name, i) => ({
+  name, isWater: false, production: 2, polygons: [],
+  connections: [names[i - 1], names[i + 1]].filter(Boolean),
+}));
+// The host's client runs AI seats; it joined at t=1000
+const rules = { unitDefs, ...boardOf(territories), authorityIds: ['user-host'], authoritySince: 1000 };
+
+function makeState(turnPhase = TURN_PHASES.PURCHASE) {
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.initGame('none', [], {});
+  gs.gameMode = 'risk';
+  gs.isMultiplayer = true;
+  gs.players = ['p1', 'p2'].map(id => ({ id, name: id.toUpperCase(), oderId: `user-${id}` }));
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.turnPhase = turnPhase;
+  gs.currentPlayerIndex = 0;
+  gs.round = 1;
+  gs.territoryState = {
+    A: { owner: 'p1', isCapital: true }, B: { owner: 'p1' },
+    C: { owner: 'p2' }, D: { owner: 'p2' }, E: { owner: 'p2', isCapital: true },
+  };
+  gs.playerState = {
+    p1: { ipcs: 20, capitalTerritory: 'A', hasPlacedCapital: true },
+    p2: { ipcs: 20, capitalTerritory: 'E', hasPlacedCapital: true },
+  };
+  gs.units = {
+    A: [{ type: 'infantry', quantity: 3, owner: 'p1' }, { type: 'factory', quantity: 1, owner: 'p1' }],
+    B: [{ type: 'armour', quantity: 1, owner: 'p1' }],
+    E: [{ type: 'infantry', quantity: 2, owner: 'p2' }, { type: 'factory', quantity: 1, owner: 'p2' }],
+  };
+  gs._initFriendlyTerritoriesAtTurnStart();
+  return gs;
+}
+
+const snap = gs => replicatedState(gs.toJSON());
+const p1 = { by: 'user-p1', types: [] };
+
+console.log('=== A legal turn ===');
+{
+  const gs = makeState();
+  const states = [snap(gs)];
+  const step = (label, fn) => {
+    const result = fn();
+    states.push(snap(gs));
+    const reasons = validateTransition(states.at(-2), states.at(-1), p1, rules);
+    check(`${label} is accepted`, result !== false && result?.success !== false && reasons.length === 0);
+    if (reasons.length) console.error('      ', reasons);
+  };
+  step('buying', () => gs.addToPendingPurchases('infantry', unitDefs));
+  step('buying more', () => gs.addToPendingPurchases('armour', unitDefs));
+  step('taking one back', () => gs.removeFromPendingPurchases('armour', unitDefs));
+  step('ending purchase', () => gs.nextPhase());
+  check('now in combat move', gs.turnPhase === TURN_PHASES.COMBAT_MOVE);
+  step('ending combat move', () => gs.nextPhase());
+  step('a non-combat move', () => gs.moveUnits('A', 'B', [{ type: 'infantry', quantity: 2 }], unitDefs));
+  step('ending non-combat move', () => gs.nextPhase());
+  check('now mobilizing', gs.turnPhase === TURN_PHASES.MOBILIZE);
+  step('placing the purchase', () => gs.mobilizeUnit('infantry', 'A', unitDefs));
+  step('ending the turn', () => gs.nextPhase());
+  check('income collected, p2 to move', gs.currentPlayerIndex === 1 && gs.playerState.p1.ipcs > 17);
+
+  const actions = states.slice(1).map((state, i) => ({ seq: i + 1, by: 'user-p1', patch: diffState(states[i], state) }));
+  check('the whole log passes', findIllegalAction(states[0], actions, rules) === null);
+}
+
+console.log('=== Caught ===');
+{
+  const gs = makeState(TURN_PHASES.NON_COMBAT_MOVE);
+  const before = snap(gs);
+  const reasonsFor = (mutate, action = p1) => {
+    const next = JSON.parse(JSON.stringify(before));
+    mutate(next);
+    return validateTransition(before, next, action, rules);
+  };
+
+  const moved = JSON.parse(JSON.stringify(before));
+  moved.units.A[0].quantity = 2;
+  moved.units.B.push({ type: 'infantry', quantity: 1, owner: 'p1' });
+  check('the seat to move may move', validateTransition(before, moved, p1, rules).length === 0);
+  check('another player may not', validateTransition(before, moved, { by: 'user-p2', types: [] }, rules)
+    .some(r => r.includes("P1's turn")));
+  const aiSeat = { ...before, players: before.players.map((p, i) => ({ ...p, isAI: i === 0 })) };
+  const aiMove = action => validateTransition(aiSeat, { ...moved, players: aiSeat.players }, action, rules);
+  check('the host plays an AI seat', aiMove({ by: 'user-host', types: [] }).length === 0);
+  check('another player may not', aiMove({ by: 'user-p2', types: [], at: 2000 }).some(r => r.includes('Only the host')));
+  check('unless a failover did while the host was away', aiMove({ by: 'user-p2', types: [], at: 500 }).length === 0);
+  check('nor a stranger, then', aiMove({ by: 'user-x', types: [], at: 500 }).some(r => r.includes('Only the host')));
+  check('timed-out turns are the host\'s too', reasonsFor(s => s, { by: 'user-host', types: ['timeout'] }).length === 0
+    && reasonsFor(s => s, { by: 'user-p2', types: ['timeout'], at: 2000 }).some(r => r.includes('Only the host')));
+
+  check('phases only move forward', reasonsFor(s => { s.turnPhase = TURN_PHASES.COMBAT_MOVE; })
+    .some(r => r.includes('went back')));
+  check('the game does not go back to setup', reasonsFor(s => { s.phase = GAME_PHASES.UNIT_PLACEMENT; })
+    .some(r => r.includes('went back')));
+  check('turns do not rewind', reasonsFor(s => { s.round = 0; s.currentPlayerIndex = 1; })
+    .some(r => r.includes('Turn order')));
+  check('battles are fought before non-combat moves', validateTransition(
+    { ...before, turnPhase: TURN_PHASES.COMBAT }, { ...before, combatQueue: ['C'] }, p1, rules)
+    .some(r => r.includes('unresolved')));
+
+  check('no IPCs from thin air for others', reasonsFor(s => { s.playerState.p2.ipcs += 10; })
+    .some(r => r.includes('gained IPCs')));
+  check('nor for the seat to move', reasonsFor(s => { s.playerState.p1.ipcs += 10; })
+    .some(r => r.includes('gained 10 IPCs with 0 to collect')));
+  check('others only lose IPCs to raids, rockets and capitals', reasonsFor(s => { s.playerState.p2.ipcs -= 5; })
+    .some(r => r.includes('P2 lost 5 IPCs')));
+  check('no debt', reasonsFor(s => { s.playerState.p1.ipcs = -3; }).some(r => r.includes('-3 IPCs')));
+  check('no free units', reasonsFor(s => { s.units.A[0].quantity = 9; })
+    .some(r => r.includes('without being bought')));
+  check('no units for other players', reasonsFor(s => { s.units.E[0].quantity = 5; })
+    .some(r => r.includes('appeared for P2')));
+  check('no units taken away outside a battle', reasonsFor(s => { s.units.E[0].quantity = 1; })
+    .some(r => r.includes('P2 lost 1 infantry outside a battle')));
+  check('moves stay in reach', reasonsFor(s => {
+    s.units.B = [];
+    s.units.E.push({ type: 'armour', quantity: 1, owner: 'p1' });
+  }).some(r => r.includes('out of range')));
+
+  // L1 - S1 - S2 - L2: infantry may ride a transport across, not walk that far
+  const sea = boardOf([
+    { name: 'L1', connections: ['S1'] }, { name: 'S1', isWater: true, connections: ['L1', 'S2'] },
+    { name: 'S2', isWater: true, connections: ['S1', 'L2'] }, { name: 'L2', connections: ['S2', 'L3'] },
+    { name: 'L3', connections: ['L2'] },
+  ]);
+  const ride = (to) => validateTransition(
+    { ...before, units: { L1: [{ type: 'infantry', quantity: 1, owner: 'p1' }] } },
+    { ...before, units: { [to]: [{ type: 'infantry', quantity: 1, owner: 'p1' }] } },
+    p1, { unitDefs, ...sea });
+  check('a transport ride is in reach', ride('L2').length === 0);
+  check('walking on after landing is not', ride('L3').some(r => r.includes('out of range')));
+
+  const shop = snap(makeState());
+  const cheap = JSON.parse(JSON.stringify(shop));
+  cheap.pendingPurchases = [{ type: 'armour', quantity: 1, owner: 'p1', cost: 5 }];
+  cheap.playerState.p1.ipcs -= 1;
+  check('purchases are paid in full', validateTransition(shop, cheap, p1, rules).some(r => r.includes('Spent 1 IPCs')));
+
+  const trade = JSON.parse(JSON.stringify(shop));
+  trade.cardTradeCount = { p1: 1 };
+  trade.playerState.p1.ipcs += 12;
+  check('a card trade pays out while shopping', validateTransition(shop, trade, p1, rules).length === 0);
+  const early = JSON.parse(JSON.stringify(trade));
+  early.cardTradeCount.p1 = 2;
+  early.playerState.p1.ipcs += 18;
+  check('but not in other phases', validateTransition({ ...trade, turnPhase: TURN_PHASES.COMBAT_MOVE },
+    { ...early, turnPhase: TURN_PHASES.COMBAT_MOVE }, p1, rules).some(r => r.includes('outside the purchase phase')));
+
+  const good = { seq: 1, by: 'user-p1', patch: diffState(before, moved) };
+  const bad = { seq: 2, by: 'user-p1', patch: [{ p: ['playerState', 'p2', 'ipcs'], v: 99 }] };
+  const found = findIllegalAction(before, [good, bad], rules);
+  check('the first illegal action is found with the state to go back to', found?.action === bad
+    && found.before.units.B.length === 2);
+  check('our own actions are trusted', findIllegalAction(before, [good, bad], rules, 'user-p1') === null);
+  check('rollbacks are not checked again', findIllegalAction(before, [{ ...bad, rejected: { seq: 1 } }], rules) === null);
+}
+
+console.log('=== Battles and conquest ===');
+{
+  // p1's armour has moved into C, held by two p2 infantry
+  const gs = makeState(TURN_PHASES.COMBAT);
+  gs.units.B = [];
+  gs.units.C = [{ type: 'armour', quantity: 1, owner: 'p1' }, { type: 'infantry', quantity: 2, owner: 'p2' }];
+  gs.combatQueue = ['C'];
+  const before = snap(gs);
+  const reasonsFor = (mutate, from = before) => {
+    const next = JSON.parse(JSON.stringify(from));
+    mutate(next);
+    return validateTransition(from, next, p1, rules);
+  };
+
+  check('casualties where the armies meet', reasonsFor(s => { s.units.C[1].quantity = 1; }).length === 0);
+  const won = s => { s.units.C = [s.units.C[0]]; s.territoryState.C.owner = 'p1'; s.combatQueue = []; };
+  check('a won battle takes the land', reasonsFor(won).length === 0);
+  check('no losses away from the fighting', reasonsFor(s => { s.units.E[0].quantity = 1; })
+    .some(r => r.includes('P2 lost 1 infantry in E, away from any battle')));
+  check('no reinforcements mid-battle', reasonsFor(s => { s.units.C[0].quantity = 3; })
+    .some(r => r.includes('2 armour appeared for P1')));
+  check('defenders do not slip away', reasonsFor(s => { s.units.C[1].quantity = 1; s.units.D = [{ type: 'infantry', quantity: 1, owner: 'p2' }]; })
+    .some(r => r.includes("P2's infantry moved to D")));
+  check('land is not taken without an army there', reasonsFor(s => { s.territoryState.E.owner = 'p1'; })
+    .some(r => r.includes('E changed hands outside a conquest')));
+  const quiet = snap(makeState(TURN_PHASES.NON_COMBAT_MOVE));
+  check('or outside the combat phases', reasonsFor(s => { s.territoryState.C.owner = 'p1'; }, quiet)
+    .some(r => r.includes('C changed hands outside a conquest')));
+
+  // E is p2's capital: taking it hands over the treasury
+  const siege = JSON.parse(JSON.stringify(before));
+  siege.units.E.push({ type: 'armour', quantity: 1, owner: 'p1' });
+  siege.combatQueue = ['E'];
+  const taken = reasonsFor(s => {
+    s.units.E = [{ type: 'armour', quantity: 1, owner: 'p1' }, { type: 'factory', quantity: 1, owner: 'p1' }];
+    s.territoryState.E.owner = 'p1';
+    s.combatQueue = [];
+    s.playerState.p1.ipcs += 20;
+    s.playerState.p2.ipcs = 0;
+    s.playerState.p2.capitalCaptured = true;
+  }, siege);
+  check('a captured capital hands over its treasury, factory included', taken.length === 0);
+  if (taken.length) console.error('      ', taken);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll transition validator checks passed');
@@ -0,0 +1,145 @@
+// Turn clock: time bank and per-turn deadline rules, the timeout pass / AI
+// takeover in GameState, and the multiplayer guard around a timed-out seat.
+// Run: node tools/test-turn-clock.mjs
+
+import { readFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const {
+  normalizeTurnClock, parseTimeoutChoice, startClockTurn, clockRemainingMs, isClockExpired, formatClock,
+} = await import(pathToFileURL(join(root, 'src/state/turnClock.js')));
+const { GameState, GAME_PHASES, TURN_PHASES } = await import(pathToFileURL(join(root, 'src/state/gameState.js')));
+const { EVENT_TYPES } = await import(pathToFileURL(join(root, 'src/state/eventLog.js')));
+const { createMultiplayerGuard } = await import(pathToFileURL(join(root, 'src/multiplayer/multiplayerGuard.js')));
+const unitDefs = JSON.parse(readFileSync(join(root, 'data/units.json'), 'utf8'));
+
+let failures = 0;
+const check = (label, cond) => {
+  if (!cond) { failures++; console.error('FAIL:', label); }
+  else console.log('ok  :', label);
+};
+
+const MIN = 60 * 1000;
+
+console.log('=== Clock rules ===');
+{
+  check('no mode: untimed', normalizeTurnClock(null) === null && normalizeTurnClock({ mode: 'sundial', minutes: 5 }) === null);
+  const bank = normalizeTurnClock({ mode: 'bank', minutes: 60, ...parseTimeoutChoice('ai:hard') });
+  check('lobby options', bank.limitMs === 60 * MIN && bank.incrementMs === 6 * MIN
+    && bank.onTimeout === 'ai' && bank.aiDifficulty === 'hard');
+  check('timeout choice defaults to pass', normalizeTurnClock({ mode: 'deadline', minutes: 5 }).onTimeout === 'pass');
+
+  startClockTurn(bank, 'p1', 0);
+  check('a new seat starts with the full bank', clockRemainingMs(bank, 30 * MIN) === 30 * MIN);
+  startClockTurn(bank, 'p2', 40 * MIN);
+  check('time used comes off the bank, plus the increment', bank.banks.p1 === 26 * MIN);
+  startClockTurn(bank, 'p1', 40 * MIN + 5 * MIN);
+  check('the bank carries into the next turn', clockRemainingMs(bank, 45 * MIN) === 26 * MIN);
+  startClockTurn(bank, 'p2', 200 * MIN);
+  check('an empty bank only gets the increment back', bank.banks.p1 === 6 * MIN);
+
+  const deadline = normalizeTurnClock({ mode: 'deadline', minutes: 15 });
+  startClockTurn(deadline, 'p1', 0);
+  startClockTurn(deadline, 'p2', 2 * MIN);
+  check('deadline: every turn gets the same allowance', clockRemainingMs(deadline, 2 * MIN) === 15 * MIN);
+  check('expired once the allowance is gone', isClockExpired(deadline, { id: 'p2' }, 17 * MIN)
+    && !isClockExpired(deadline, { id: 'p2' }, 16 * MIN));
+  check('AI seats never time out', !isClockExpired(deadline, { id: 'p2', isAI: true }, 99 * MIN));
+  check('clock text', formatClock(65 * 1000) === '1:05' && formatClock(3 * 3600 * 1000 + 9000) === '3:00:09');
+
+  const saved = normalizeTurnClock(JSON.parse(JSON.stringify(bank)));
+  check('a saved clock reloads as is', JSON.stringify(saved) === JSON.stringify(bank));
+}
+
+// p1 holds A and B, p2 holds C; p1 is in combat move with a 5 minute deadline
+function makeState(onTimeout) {
+  const territories = [
+    { name: 'A', isWater: false, production: 3, connections: ['B'], polygons: [] },
+    { name: 'B', isWater: false, production: 2, connections: ['A', 'C'], polygons: [] },
+    { name: 'C', isWater: false, production: 1, connections: ['B'], polygons: [] },
+  ];
+  const gs = new GameState({ risk: { factions: [] } }, territories, []);
+  gs.autoSave = () => {};
+  gs.initGame('none', [], { turnClock: { mode: 'deadline', minutes: 5, ...parseTimeoutChoice(onTimeout) } });
+  gs.gameMode = 'risk';
+  gs.isMultiplayer = true;
+  gs.players = ['p1', 'p2'].map(id => ({ id, name: id.toUpperCase(), oderId: `user-${id}` }));
+  gs.phase = GAME_PHASES.PLAYING;
+  gs.turnPhase = TURN_PHASES.COMBAT_MOVE;
+  gs.currentPlayerIndex = 0;
+  gs.territoryState = { A: { owner: 'p1' }, B: { owner: 'p1' }, C: { owner: 'p2' } };
+  gs.playerState = { p1: { ipcs: 10 }, p2: { ipcs: 10 } };
+  gs.units = {
+    A: [{ type: 'infantry', quantity: 3, owner: 'p1' }],
+    B: [{ type: 'infantry', quantity: 2, owner: 'p1' }],
+    C: [{ type: 'infantry', quantity: 1, owner: 'p2' }],
+  };
+  gs._startTurnClock();
+  return gs;
+}
+
+const runOut = gs => { gs.turnClock.turn.startedAt -= 6 * MIN; };
+
+console.log('=== Timeout: pass ===');
+{
+  const gs = makeState('pass');
+  check('the seat to move is on the clock', gs.turnClock.turn.playerId === 'p1' && !gs.isTurnClockExpired());
+  gs.moveUnits('B', 'C', [{ type: 'infantry', quantity: 2 }], unitDefs);
+  gs.pendingPurchases = [{ type: 'infantry', quantity: 1, owner: 'p1' }];
+  gs.playerState.p1.ipcs -= unitDefs.infantry.cost;
+  check('nothing to do before time runs out', gs.timeOutTurn(unitDefs).success === false);
+
+  runOut(gs);
+  check('expired', gs.isTurnClockExpired());
+  const result = gs.timeOutTurn(unitDefs);
+  check('turn passed', result.success && result.action === 'pass' && gs.currentPlayer.id === 'p2');
+  check('uncommitted attack taken back', gs.territoryState.C.owner === 'p2'
+    && gs.units.B.reduce((n, u) => n + u.quantity, 0) === 2);
+  check('purchase refunded, income collected', gs.playerState.p1.ipcs === 10 + 5);
+  check('the next seat is on a fresh clock', gs.turnClock.turn.playerId === 'p2' && !gs.turnClock.expired
+    && !gs.isTurnClockExpired());
+  check('timeout is in the replay log', gs.getEventLog().events.some(e => e.type === EVENT_TYPES.TIMEOUT && e.playerId === 'p1'));
+}
+
+console.log('=== Timeout: AI takeover ===');
+{
+  const gs = makeState('ai:easy');
+  runOut(gs);
+  const result = gs.timeOutTurn(unitDefs);
+  check('seat handed to the AI for this turn', result.success && result.action === 'ai'
+    && gs.currentPlayer.id === 'p1' && gs.isTurnTakenOver());
+  check('acted on only once', gs.timeOutTurn(unitDefs).success === false && !gs.isTurnClockExpired());
+
+  const copy = new GameState({ risk: { factions: [] } }, Object.values(gs.territoryByName), []);
+  copy.autoSave = () => {};
+  copy.loadFromJSON(JSON.parse(JSON.stringify(gs.toJSON())));
+  check('takeover survives the sync round-trip', copy.isTurnTakenOver('p1') && copy.turnClock.aiDifficulty === 'easy');
+
+  const authority = makeState('ai:easy');
+  runOut(authority);
+  authority.timeOutTurn(unitDefs);
+  createMultiplayerGuard({ userId: 'user-p2', hasAIAuthority: () => true }).wrapGameState(authority);
+  authority.nextPhase();
+  check('authority client may play the timed-out seat', authority.turnPhase !== TURN_PHASES.COMBAT_MOVE);
+
+  const owner = makeState('ai:easy');
+  runOut(owner);
+  owner.timeOutTurn(unitDefs);
+  createMultiplayerGuard({ userId: 'user-p1', hasAIAuthority: () => false }).wrapGameState(owner);
+  const blocked = owner.moveUnits('A', 'B', [{ type: 'infantry', quantity: 1 }], unitDefs);
+  check('the timed-out player is locked out for the rest of the turn', blocked.success === false);
+
+  const other = makeState('pass');
+  createMultiplayerGuard({ userId: 'user-p2', hasAIAuthority: () => true }).wrapGameState(other);
+  check('authority still cannot act for a human on the clock',
+    other.moveUnits('A', 'B', [{ type: 'infantry', quantity: 1 }], unitDefs).success === false);
+}
+
+if (failures) {
+  console.error(`\n${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll turn clock checks passed');